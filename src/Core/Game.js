@@ -21,9 +21,46 @@ import { SimLoop } from '../SimCore/runtime/SimLoop.js';
 import { nextEntityId, peekEntityId, setEntityIdCounter } from '../SimCore/runtime/IdGenerator.js';
 import { rngNext, getGlobalRNG } from '../SimCore/runtime/SeededRNG.js';
 import { globalCommandQueue, CommandType } from '../SimCore/runtime/CommandQueue.js';
-import { initializeTransport, SupabaseTransport } from '../SimCore/transport/index.js';
-import { SaveManager, MemoryStorageAdapter, LocalStorageAdapter, SupabaseStorageAdapter } from '../SimCore/persistence/index.js';
+import { CommandValidator, LOCAL_PLAYER_ID } from '../SimCore/runtime/CommandValidator.js';
+import { SessionManager, SessionEvent } from '../SimCore/runtime/SessionManager.js';
+import { StateSync, StateSyncStatus } from '../SimCore/multiplayer/StateSync.js';
+import { RollbackManager } from '../SimCore/multiplayer/RollbackManager.js';
+import { DesyncMonitor } from '../SimCore/diagnostics/DesyncMonitor.js';
+import { ReplayRecorder, ReplayPlayer, serializeReplay, getReplayFileName, REPLAY_FILE_EXTENSION } from '../SimCore/replay/index.js';
+import { globalInputFactory } from '../SimCore/runtime/InputFactory.js';
+import { reorderOrders, deleteOrder, clearOrders } from '../SimCore/domain/UnitOrders.js';
+import {
+    initializeTransport,
+    globalLocalTransport,
+    SupabaseTransport,
+    LockstepTransport,
+    RollbackTransport,
+    WebSocketTransport,
+    DEFAULT_RELAY_PORT,
+    WebRTCTransport,
+    SupabaseSignaler,
+    SimulatedNetworkTransport,
+    NetworkProfiles
+} from '../SimCore/transport/index.js';
+import { SaveManager, MemoryStorageAdapter, LocalStorageAdapter, SupabaseStorageAdapter, IndexedDBStorageAdapter, SyncingStorageAdapter, ConflictResolution, describeSaveRejection } from '../SimCore/persistence/index.js';
 import { serializeState } from '../SimCore/runtime/StateSurface.js';
+import { SystemScheduler } from '../SimCore/systems/SystemScheduler.js';
+import { GoalManager, GoalEvent } from '../SimCore/systems/GoalManager.js';
+import { ResearchSystem, ResearchEvent } from '../SimCore/systems/ResearchSystem.js';
+import { ProductionSystem, ProductionEvent } from '../SimCore/systems/ProductionSystem.js';
+import { TrainingSystem, TrainingSystemEvent } from '../SimCore/systems/TrainingSystem.js';
+import { spawnUnit, applyBlueprintToUnit } from '../SimCore/runtime/UnitFactory.js';
+import { setTrainingSource } from '../SimCore/runtime/UnitTypeBinder.js';
+import { globalTrainingManager, TrainingEvent, LOCAL_TRAINING_USER } from '../SimCore/runtime/TrainingManager.js';
+import { FeatureRegistry } from '../SimCore/domain/FeatureRegistry.js';
+import { StatsEngine } from '../SimCore/rules/StatsEngine.js';
+import { loadStatsConfig } from '../SimCore/runtime/StatsConfigStorage.js';
+import { globalStore } from '../SimCore/runtime/Store.js';
+import { globalEventBus } from '../SimCore/runtime/EventBus.js';
+import { EntityStore } from '../SimCore/runtime/EntityStore.js';
+import { dcos, dsin, dsqrt } from '../SimCore/runtime/DeterministicMath.js';
+import { EntityKind } from '../SimCore/domain/Components.js';
+import { UnitUpdateSystem, PathLoopingSystem } from './GameSystems.js';
 
 import { WaypointDebugOverlay } from '../UI/WaypointDebugOverlay.js';
 import { globalCommandDebugOverlay } from '../UI/CommandDebugOverlay.js';
@@ -35,6 +72,9 @@ export class Game {
         const hash = window.location.hash;
         this._isDevMode = urlParams.has('dev') || hash.includes('dev=1');
 
+        // Opt-in quantized math mode (cross-engine determinism, see DeterministicMath)
+        this.quantize = urlParams.get('quantize') === '1';
+
         // R012: Create unified dev HUD FIRST (so transport init can update it)
         if (this._isDevMode) {
             this._createDevHUD();
@@ -92,12 +132,32 @@ export class Game {
 
                     const transport = new SupabaseTransport({
                         supabaseClient: client,
-                        room: 'r012-echo',
-                        throttleMs: 100
+                        room: urlParams.get('room') || 'r012-echo',
+                        throttleMs: 100,
+                        clientId: urlParams.get('peer') || undefined // Lockstep checks turn senders against peer IDs
                     });
-                    this._transport = initializeTransport(transport);
+
+                    // Co-op visit (&p2p=1&peer=a&remote=b): direct DataChannel, this channel as fallback
+                    let network = transport;
+                    const remotePeerId = urlParams.get('remote');
+                    if (urlParams.get('p2p') === '1' && remotePeerId) {
+                        this._p2pTransport = new WebRTCTransport({
+                            peerId: urlParams.get('peer') || 'host',
+                            remotePeerId,
+                            signaler: new SupabaseSignaler({ supabaseClient: client }),
+                            fallback: transport
+                        });
+                        network = this._p2pTransport;
+                    }
+
+                    this._transport = this._initNetworkTransport(network, urlParams);
                     this._supabaseTransport = transport; // Store ref for status polling
 
+                    // Lobby presence (&name=Ada): player list, host, ready-check
+                    if (!this._p2pTransport) {
+                        this._initSession(transport, urlParams);
+                    }
+
                     // Initial status
                     this._updateNetStatus('SUPABASE', { config: 'OK', auth: 'ANON OK', rt: 'CONNECTING...' });
 
@@ -113,24 +173,146 @@ export class Game {
                     this._updateNetStatus('LOCAL', { config: keyMsg, auth: 'FAIL', rt: 'N/A' });
                 }
             }
+        } else if (netMode === 'ws') {
+            // Relay server (npm run relay; relay:public for other machines): &net=ws[&relay=ws://host:port][&room=name]
+            const url = urlParams.get('relay') || `ws://${window.location.hostname || 'localhost'}:${DEFAULT_RELAY_PORT}`;
+            const transport = new WebSocketTransport({
+                url,
+                room: urlParams.get('room') || undefined,
+                clientId: urlParams.get('peer') || undefined
+            });
+            this._transport = this._initNetworkTransport(transport, urlParams);
+            this._wsTransport = transport; // Store ref for status polling
+
+            this._updateNetStatus('WEBSOCKET', { config: 'OK', auth: 'N/A', rt: 'CONNECTING...' });
+            this._startRealtimeStatusPolling();
         } else {
             // Default: Local Transport
-            this._transport = initializeTransport();
+            this._transport = initializeTransport(this._wrapNetSim(globalLocalTransport, urlParams));
             if (this._isDevMode) {
                 this._updateNetStatus('LOCAL', { config: 'N/A', auth: 'N/A', rt: 'N/A' });
             }
         }
 
+        // Authority: ownership/position checks before commands reach the queue.
+        // In a shared sim every peer must decide alike: players are the peer IDs,
+        // rate limits count sim ticks, and per-peer session presence is not consulted.
+        // Rejection notices skip the lockstep / rollback wrapper (network transport)
+        this._commandValidator = new CommandValidator({
+            commandQueue: globalCommandQueue,
+            transport: this._transport,
+            noticeTransport: this._netTransport ?? null,
+            getUnits: () => this.units,
+            localPlayerId: () => this.getLocalPlayerId(),
+            getTick: () => this.simLoop.tickCount,
+            isSenderPresent: this.session && !this._sharedSimTransport() ? (senderId) => this.session.isPresent(senderId) : null,
+            onRejected: (notice) => {
+                console.warn(`[Game] Order rejected: ${notice.commandType} (${notice.reason})`);
+            }
+        });
+        this._commandValidator.attach();
+
         // ... (existing)
         this.debugOverlay = new WaypointDebugOverlay(this);
         this.commandDebugOverlay = globalCommandDebugOverlay; // R006: Command debug overlay
         window.game = this; // Expose for UI interactions
 
+        // Sim systems, run by simTick after input commands
+        const game = this;
+        this.systems = new SystemScheduler({
+            context: {
+                store: globalStore,
+                eventBus: globalEventBus,
+                get rng() { return getGlobalRNG(); },
+                get entityStore() { return game.entities; },
+                get units() { return game.units; },
+                get entities() { return game.units; }
+            }
+        });
+        this.systems.register(new UnitUpdateSystem(this));
+        this.systems.register(new PathLoopingSystem(this), { after: ['units'] });
+        // G step: GameEvent triggers → Goals (Need cards)
+        this.goalManager = new GoalManager({
+            eventBus: globalEventBus,
+            isFeatureKnown: (featureId) => FeatureRegistry.isUnlocked(featureId)
+        });
+        this.systems.register(this.goalManager, { after: ['units'] });
+        globalEventBus.on(GoalEvent.CREATED, ({ goal }) => {
+            if (globalStore.get('debugMode')) console.log(`[Game] New goal: ${goal.label} (${goal.reward.featureId})`);
+        });
+        // R step: Invent / Extend jobs, costs from the (dev-panel editable) stats config
+        this.researchSystem = new ResearchSystem({
+            eventBus: globalEventBus,
+            goals: this.goalManager,
+            stats: new StatsEngine(loadStatsConfig()),
+            getUnit: (id) => this.entities.get(id, EntityKind.UNIT)
+        });
+        this.systems.register(this.researchSystem, { after: ['goals'] });
+        globalEventBus.on(ResearchEvent.COMPLETED, ({ job, multiplier }) => {
+            if (!globalStore.get('debugMode')) return;
+            const detail = multiplier ? ` ${job.constraintKey} x${multiplier}` : '';
+            console.log(`[Game] Research done: ${job.type} ${job.featureId}${detail}`);
+        });
+        // P step: Build / Refit queues on producer units
+        this.productionSystem = new ProductionSystem({
+            eventBus: globalEventBus,
+            stats: new StatsEngine(loadStatsConfig()),
+            getUnit: (id) => this.entities.get(id, EntityKind.UNIT),
+            spawnUnit: (blueprint, position, producer) => spawnUnit(this, blueprint.id, {
+                position: new THREE.Vector3(position.x, position.y, position.z),
+                ownerId: producer.ownerId ?? producer.model?.ownerId,
+                version: blueprint.version
+            }),
+            refitUnit: (unit, blueprint) => applyBlueprintToUnit(unit, blueprint.id, blueprint.version)
+        });
+        this.systems.register(this.productionSystem, { after: ['research'] });
+        globalEventBus.on(ProductionEvent.COMPLETED, ({ job, unit }) => {
+            if (globalStore.get('debugMode')) console.log(`[Game] Production done: ${job.type} ${job.blueprintId} v${job.blueprintVersion} → unit ${unit.id}`);
+        });
+        // Tr step: the local player's records reach the sim only as APPLY_TRAINING commands,
+        // so every peer rebinds on the same tick; binds read the replicated scores
+        this.trainingSystem = new TrainingSystem({
+            eventBus: globalEventBus,
+            stats: new StatsEngine(loadStatsConfig()),
+            getUnits: () => this.units
+        });
+        this.systems.register(this.trainingSystem, { after: ['production'] });
+        setTrainingSource((model) => this.trainingSystem.getFeatureTraining(model.ownerId ?? LOCAL_TRAINING_USER));
+        globalEventBus.on(TrainingEvent.RECORDS_CHANGED, ({ userId }) => {
+            if (userId !== LOCAL_TRAINING_USER) return;
+            globalInputFactory.applyTraining(globalTrainingManager.getRecords(userId));
+        });
+        globalEventBus.on(TrainingSystemEvent.APPLIED, ({ ownerId, featureIds, rebound }) => {
+            if (globalStore.get('debugMode')) console.log(`[Game] Training applied for ${ownerId} (${featureIds.join(', ')}): rebound ${rebound} units`);
+        });
+        globalTrainingManager.load(LOCAL_TRAINING_USER);
+
         // R001: Fixed-timestep simulation loop (50ms tick)
         this.simLoop = new SimLoop({ fixedDtMs: 50 });
         this.simLoop.onSimTick = (dt, tick) => this.simTick(dt, tick);
         // R008: Hook render callback for interpolation
         this.simLoop.onRender = (alpha) => this._applyInterpolatedRender(alpha);
+        // Lockstep: stall ticks until every peer's turn has arrived
+        if (this._lockstepTransport) {
+            this._lockstepTransport.attach(this.simLoop);
+        }
+        // Rollback: never stall; rewind when a peer's input arrives late
+        if (this._rollbackTransport) {
+            this._initRollback();
+        }
+        // Shared sim: compare tick hashes with the other peers
+        if (this._sharedSimTransport()) {
+            this._initDesyncMonitor();
+        }
+        // Late join / reconnect: take the host's state before accepting input.
+        // Not under rollback: remote inputs for ticks after the snapshot are
+        // dropped while requesting and nothing sends them again.
+        if (this.session && !this._rollbackTransport) {
+            this._initStateSync();
+        }
+
+        // Dev-only replay recording/playback (before save/load: autosave persists the recording)
+        this._setupDevReplay();
 
         // R011: Dev-only save/load hotkeys (Ctrl+Alt+S / Ctrl+Alt+L)
         this._setupDevSaveLoad();
@@ -231,6 +413,8 @@ export class Game {
         this.loadingManager.onLoad = () => {
             console.log('[Game] All assets loaded!');
             this.assetsLoaded = true;
+            // Dev replay: record from the fully loaded starting state
+            this._replayRecorder?.start({ name: 'session' });
         };
 
         this.loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
@@ -254,8 +438,9 @@ export class Game {
         // Audio Manager
         this.audioManager = new AudioManager();
 
-        // Entities
+        // Entities (units stay index-ordered in this.units; lookups go through the store)
         this.units = [];
+        this.entities = new EntityStore();
         this.selectedUnit = null;
         this.unitParams = {
             speed: 5.0,
@@ -353,7 +538,12 @@ export class Game {
             <div id="r012-net-mode" style="margin-bottom:4px;">NET MODE: <span style="color:#888;">---</span></div>
             <div id="r012-config" style="margin-bottom:4px;">CONFIG: <span style="color:#888;">---</span></div>
             <div id="r012-auth" style="margin-bottom:4px;">AUTH: <span style="color:#888;">---</span></div>
-            <div id="r012-realtime" style="margin-bottom:8px;">REALTIME: <span style="color:#888;">---</span></div>
+            <div id="r012-realtime" style="margin-bottom:4px;">REALTIME: <span style="color:#888;">---</span></div>
+            <div id="r012-wire" style="margin-bottom:4px;">WIRE: <span style="color:#888;">---</span></div>
+            <div id="r012-net-sim" style="margin-bottom:8px;">NET SIM: <select style="
+                background:#111;color:#ccc;border:1px solid #333;
+                font-family:monospace;font-size:11px;
+            ">${Object.keys(NetworkProfiles).map(name => `<option value="${name}">${name}</option>`).join('')}</select></div>
             <div style="border-top:1px solid #333;padding-top:8px;margin-bottom:6px;">
                 <div style="display:flex;gap:8px;margin-bottom:6px;">
                     <button id="r012-btn-save" style="
@@ -376,20 +566,153 @@ export class Game {
             config: document.getElementById('r012-config').querySelector('span'),
             auth: document.getElementById('r012-auth').querySelector('span'),
             realtime: document.getElementById('r012-realtime').querySelector('span'),
+            wire: document.getElementById('r012-wire').querySelector('span'),
+            netSim: document.getElementById('r012-net-sim').querySelector('select'),
             dbStatus: document.getElementById('r012-db-status'),
             btnSave: document.getElementById('r012-btn-save'),
             btnLoad: document.getElementById('r012-btn-load')
         };
     }
 
+    /**
+     * Dev mode: put the network condition simulator under the lockstep layer.
+     * Starts from &netsim=<profile> (default 'perfect', i.e. pass-through) and
+     * &netseed=<n>; the NET SIM select in the dev HUD switches profiles live.
+     * @param {TransportBase} transport
+     * @param {URLSearchParams} urlParams
+     * @returns {TransportBase} The wrapped transport (unchanged outside dev mode)
+     */
+    _wrapNetSim(transport, urlParams) {
+        if (!this._isDevMode) return transport;
+
+        const requested = urlParams.get('netsim') || 'perfect';
+        const profile = NetworkProfiles[requested] ? requested : 'perfect';
+        if (profile !== requested) {
+            console.warn(`[Game] Unknown netsim profile "${requested}", using perfect`);
+        }
+
+        this._netSim = new SimulatedNetworkTransport(transport, {
+            profile,
+            seed: Number(urlParams.get('netseed')) || 1
+        });
+
+        if (this._devHUD) {
+            this._devHUD.netSim.value = profile;
+            this._devHUD.netSim.onchange = (e) => {
+                this._netSim.setProfile(e.target.value);
+                if (globalStore.get('debugMode')) console.log(`[Game] Net sim profile: ${e.target.value}`);
+            };
+        }
+        return this._netSim;
+    }
+
+    /**
+     * Initialize a network transport, wrapped in lockstep or rollback when requested.
+     * Lockstep (&lockstep=1&peer=a&peers=a,b): every peer applies inputs on the same tick.
+     * Rollback (&rollback=1&peer=a&peers=a,b): inputs apply at once; late ones rewind the sim.
+     * @param {TransportBase} transport - Network transport (Supabase or WebSocket)
+     * @param {URLSearchParams} urlParams
+     * @returns {TransportBase} The transport wired to the command queue
+     */
+    _initNetworkTransport(transport, urlParams) {
+        transport = this._wrapNetSim(transport, urlParams);
+        const lockstep = urlParams.get('lockstep') === '1';
+        if (!lockstep && urlParams.get('rollback') !== '1') {
+            return initializeTransport(transport);
+        }
+
+        // Diagnostics chain in front of the wrapper on the network transport
+        this._netTransport = transport;
+
+        // clientId is only assigned on connect(), so peer IDs come from the URL
+        const peerId = urlParams.get('peer') || 'host';
+        const peers = urlParams.get('peers') ? urlParams.get('peers').split(',') : [peerId];
+        if (lockstep) {
+            this._lockstepTransport = new LockstepTransport(transport, { peerId, peers });
+            return initializeTransport(this._lockstepTransport);
+        }
+        this._rollbackTransport = new RollbackTransport(transport, {
+            peerId,
+            peers,
+            inputDelay: Number(urlParams.get('inputDelay')) || 0
+        });
+        return initializeTransport(this._rollbackTransport);
+    }
+
+    /**
+     * Rollback netcode: snapshot every tick, rewind and resimulate for late inputs.
+     * The validator stays on the transport and feeds inputs into the log; their
+     * state checks run at each input's tick, so late inputs see that tick's state.
+     * Call after the SimLoop exists and before anything else chains onto its tick.
+     */
+    _initRollback() {
+        this._rollbackTransport.attach(this.simLoop);
+        this._rollback = new RollbackManager(this._createSaveAdapter(), {
+            commandQueue: globalCommandQueue,
+            validate: (command, tick) => this._commandValidator.validate(command, tick),
+            onRollback: ({ fromTick, toTick, resimulatedTicks }) => {
+                if (globalStore.get('debugMode')) console.log(`[Game] Rollback ${fromTick} → ${toTick} (${resimulatedTicks} ticks resimulated)`);
+            }
+        });
+        this._rollback.start();
+        this._commandValidator.commandQueue = this._rollback;
+        this._commandValidator.deferStateChecks = true;
+    }
+
+    /**
+     * Desync detection: exchange per-tick state hashes with the other peers and
+     * log a field-level diff on mismatch. Under rollback only ticks older than
+     * the rollback window are compared (later ones may still be corrected).
+     * Call after _initRollback so the recorded hash is the corrected state.
+     */
+    _initDesyncMonitor() {
+        this._desyncMonitor = new DesyncMonitor(this._createSaveAdapter(), this._netTransport, {
+            peerId: this.getLocalPlayerId(),
+            settleTicks: this._rollback?.capacity ?? 0,
+            onDiff: ({ tick, peerId, differences }) => {
+                console.warn(`[Game] Desync with ${peerId} at tick ${tick}: ${differences.length} differences`);
+                console.table(differences.slice(0, 50));
+            }
+        });
+        this._desyncMonitor.start();
+    }
+
+    /**
+     * Transport wrapper of a sim shared between peers (lockstep or rollback), if any.
+     * @returns {LockstepTransport|RollbackTransport|null}
+     * @private
+     */
+    _sharedSimTransport() {
+        return this._lockstepTransport ?? this._rollbackTransport ?? null;
+    }
+
+    /**
+     * Player ID of this client: the peer ID of a shared sim, or 'local' when the sim is not shared.
+     * @returns {string}
+     */
+    getLocalPlayerId() {
+        return this._sharedSimTransport()?.peerId ?? LOCAL_PLAYER_ID;
+    }
+
+    /**
+     * Owner of the starting unit at a load slot. Shared sims deal the slots
+     * round-robin over the sorted peer list, so owners match on every peer.
+     * @param {number} index - Slot in the starting unit list
+     * @returns {string}
+     */
+    _startingUnitOwner(index) {
+        const peers = this._sharedSimTransport()?.peers;
+        return peers && peers.length > 0 ? peers[index % peers.length] : LOCAL_PLAYER_ID;
+    }
+
     // R012: Update network status in dev HUD
     _updateNetStatus(status, extraInfo = {}) {
         if (!this._devHUD) return;
 
         // NET MODE
-        const isSupabase = status === 'SUPABASE';
-        this._devHUD.netMode.textContent = isSupabase ? 'SUPABASE' : 'LOCAL';
-        this._devHUD.netMode.style.color = isSupabase ? '#4caf50' : '#888';
+        const isNetworked = status === 'SUPABASE' || status === 'WEBSOCKET';
+        this._devHUD.netMode.textContent = isNetworked ? status : 'LOCAL';
+        this._devHUD.netMode.style.color = isNetworked ? '#4caf50' : '#888';
 
         // CONFIG status
         if (extraInfo.config) {
@@ -419,6 +742,63 @@ export class Game {
         }
     }
 
+    /**
+     * Join the transport's room as a session member and log membership changes.
+     * @param {SupabaseTransport} transport
+     * @param {URLSearchParams} urlParams
+     */
+    _initSession(transport, urlParams) {
+        this.session = new SessionManager({
+            transport,
+            eventBus: globalEventBus,
+            playerName: urlParams.get('name') || undefined
+        });
+
+        globalEventBus.on(SessionEvent.PLAYER_JOINED, ({ player }) => {
+            if (globalStore.get('debugMode')) console.log(`[Game] ${player.name} joined (${player.clientId})`);
+        });
+        globalEventBus.on(SessionEvent.PLAYER_LEFT, ({ player }) => {
+            if (globalStore.get('debugMode')) console.log(`[Game] ${player.name} left (${player.clientId})`);
+        });
+        globalEventBus.on(SessionEvent.HOST_CHANGED, ({ hostId }) => {
+            if (globalStore.get('debugMode')) console.log(`[Game] Session host: ${hostId}`);
+        });
+
+        this.session.joinRoom(transport.room).catch((err) => {
+            console.error('[Game] Session join failed:', err);
+        });
+    }
+
+    /**
+     * Serve snapshots as host; fetch one when joining as a guest or after a reconnect.
+     */
+    _initStateSync() {
+        // Lockstep only sends from its tick gate, which is held while syncing:
+        // sync messages go over the network transport underneath
+        this._stateSync = new StateSync(this._createSaveAdapter(), this._netTransport ?? this._transport, {
+            commandQueue: globalCommandQueue,
+            peerId: () => this.session.localId,
+            isHost: () => this.session.isHost,
+            onSynced: ({ tick }) => {
+                this._lockstepTransport?.resync(tick);
+                this._desyncMonitor?.reset();
+            },
+            onFailed: ({ error }) => console.error(`[Game] State sync failed: ${error}`)
+        });
+        this._stateSync.start();
+
+        const syncIfGuest = () => {
+            if (this.session.hostId && !this.session.isHost) {
+                this._stateSync.requestSync();
+            }
+        };
+        // First host seen after joining (presence is not known at join time)
+        globalEventBus.on(SessionEvent.HOST_CHANGED, () => {
+            if (this._stateSync.status === StateSyncStatus.IDLE) syncIfGuest();
+        });
+        this._supabaseTransport.onReconnected = syncIfGuest;
+    }
+
     // R012: Update DB status in dev HUD (called by save/load)
     _updateDBStatus(msg, isError = false) {
         if (!this._devHUD) return;
@@ -426,13 +806,14 @@ export class Game {
         this._devHUD.dbStatus.style.color = isError ? '#f44336' : '#4caf50';
     }
 
-    // R012: Poll Supabase transport state and update REALTIME status in HUD
+    // R012: Poll network transport state (Supabase or WebSocket) and update REALTIME status in HUD
     _startRealtimeStatusPolling() {
-        if (!this._supabaseTransport || !this._devHUD) return;
+        const transport = this._p2pTransport ?? this._supabaseTransport ?? this._wsTransport;
+        if (!transport || !this._devHUD) return;
 
         let lastState = null;
         const poll = () => {
-            const state = this._supabaseTransport.state;
+            const state = transport.state;
             if (state !== lastState) {
                 lastState = state;
                 let rtText = 'UNKNOWN';
@@ -450,6 +831,11 @@ export class Game {
                     this._devHUD.realtime.style.color = '#f44336';
                 }
             }
+
+            // Wire codec and traffic (bytes/s, averaged over a few seconds)
+            const stats = transport.getStats();
+            const codec = stats.codecVersion ? `BIN v${stats.codecVersion}` : 'JSON';
+            this._devHUD.wire.textContent = `${codec} ↑${stats.bytesSentPerSec} ↓${stats.bytesReceivedPerSec} B/s`;
         };
 
         // Poll every 500ms
@@ -504,6 +890,7 @@ export class Game {
                 const unitId = nextEntityId();
                 const unit = new Unit(this.planet, unitId);
                 unit.name = `Unit ${unitId}`; // Set unit name from ID
+                unit.ownerId = this._startingUnitOwner(index); // By slot: load order differs per peer
 
                 // Replace the default cube mesh with the loaded model
                 // CRITICAL FIX: Do NOT replace unit.mesh (Group). Add model TO it.
@@ -550,14 +937,16 @@ export class Game {
 
                     for (let r = 0; r < maxRetries; r++) {
                         // R004: seeded RNG for deterministic spawn positions
+                        // Reproducible trig (DeterministicMath): sin φ from cos φ, no acos
                         const theta = rngNext() * Math.PI * 2;
-                        const phi = Math.acos(2 * rngNext() - 1);
+                        const cosPhi = 2 * rngNext() - 1;
+                        const sinPhi = dsqrt(1 - cosPhi * cosPhi);
                         const radius = this.planet.terrain.params.radius + 10;
 
                         randomPos.set(
-                            radius * Math.sin(phi) * Math.cos(theta),
-                            radius * Math.sin(phi) * Math.sin(theta),
-                            radius * Math.cos(phi)
+                            radius * sinPhi * dcos(theta),
+                            radius * sinPhi * dsin(theta),
+                            radius * cosPhi
                         );
                         
                         // Check against rocks
@@ -607,6 +996,7 @@ export class Game {
 
                 // Insert at specific index to preserve order
                 this.units[index] = unit;
+                this.entities.add(unit, { kind: EntityKind.UNIT });
                 loadedCount++;
 
                 // Generate tabs after all units loaded
@@ -2168,7 +2558,6 @@ export class Game {
 
         // Start Moving Slowly (User requirement: "lassan induljon el")
         if (unit) {
-            unit.isFollowingPath = false; // Not following path yet (drawing)
             // But maybe we want it to creep forward?
             // "Ha a user vonalat kezd rajzolni, akkor a unit lassan induljon el rajta"
             // Start moving on existing path or just idle?
@@ -2186,8 +2575,8 @@ export class Game {
             // If I place Waypoint 1, 2, 3... Unit should start moving to WP1 immediately?
             // Yes.
 
-            unit.setCommandPause(false); // Unpause
-            unit.isFollowingPath = true; // Try to follow whatever path exists
+            // Unpause and follow whatever path exists, via the command queue
+            globalInputFactory.resume(unit.id);
         }
     }
 
@@ -2619,23 +3008,10 @@ export class Game {
 
         const items = list.querySelectorAll('.command-item');
         const newOrderIndices = Array.from(items).map(item => parseInt(item.dataset.index));
-        
-        // Reorder COMMANDS
-        const reorderedCommands = newOrderIndices.map(i => unit.commands[i]);
-        unit.commands = reorderedCommands;
-        
-        // Adjust currentCommandIndex if necessary?
-        // For simple logic, maybe reset or try to track the active one via ID?
-        // Let's assume simpler: Reset logic or trust the user knows what they are doing.
-        // Sync Derived Waypoints
-        this.syncWaypointsFromCommands(unit);
 
-        // Update panel to reflect new indices
-        if (this.focusedUnit) {
-            this.updatePanelContent(this.focusedUnit);
-        }
-
-        console.log("Commands reordered successfully.", newOrderIndices);
+        // Send command IDs (indices may shift before the command is applied)
+        const order = newOrderIndices.map(i => unit.commands[i]?.id);
+        globalInputFactory.reorderCommands(unit.id, order);
     }
 
     clearWaypoints() {
@@ -2644,23 +3020,36 @@ export class Game {
             console.log("[Game] clearWaypoints: No unit");
             return;
         }
-        
-        this.clearWaypointMarkers(); // Clears markers and resets waypoints/controlPoints arrays on unit
+
+        // Applied in _processInputCommands (STOP)
+        globalInputFactory.stop(unit.id);
+    }
+
+    /**
+     * STOP: drop all orders and halt the unit.
+     * @param {Unit} unit
+     * @private
+     */
+    _stopUnit(unit) {
+        clearOrders(unit);
+        unit.loopingEnabled = false;
+        unit.isPathClosed = false;
+
+        this.syncWaypointsFromCommands(unit); // Removes markers of the dropped orders
         unit.path = [];
         unit.isFollowingPath = false;
         unit.setCommandPause(false);
         unit.waterState = 'normal';
-        
+
         // Remove curve line
         if (unit.waypointCurveLine) {
             this.scene.remove(unit.waypointCurveLine);
             unit.waypointCurveLine.geometry.dispose();
             unit.waypointCurveLine = null;
         }
-        
+
         // Update panel (no argument needed - will use getPanelUnit)
         this.updatePanelContent();
-        console.log("[Game] Waypoints cleared via UI");
     }
 
     /**
@@ -2670,20 +3059,10 @@ export class Game {
      */
     deleteCommandAtIndex(index) {
         const unit = this.getPanelUnit();
-        if (!unit || !unit.commands) return;
-        
-        // Remove command
-        unit.commands.splice(index, 1);
-        
-        // Adjust current index if needed
-        if (unit.currentCommandIndex > index) unit.currentCommandIndex--;
-        
-        // Sync derived data
-        this.syncWaypointsFromCommands(unit);
-        
-        // Update UI
-        this.updatePanelContent();
-        console.log(`[Game] Deleted command at index ${index}. Remaining: ${unit.commands.length}`);
+        if (!unit || !unit.commands || !unit.commands[index]) return;
+
+        // Applied in _processInputCommands (DELETE_COMMAND)
+        globalInputFactory.deleteCommand(unit.id, unit.commands[index].id);
     }
     setupPlaybackButtons() {
         // Clone buttons to remove all existing listeners (prevents duplication)
@@ -2708,29 +3087,8 @@ export class Game {
                 
                 const unit = this.selectedUnit || this.focusedUnit;
                 if (unit && unit.waypointControlPoints && unit.waypointControlPoints.length >= 2) {
-                    // Reset command pause
-                    unit.setCommandPause(false);
-
-                    // CRITICAL: Reset water state so unit can move again
-                    unit.waterState = 'normal';
-
-                    // Resume path following
-                    unit.isFollowingPath = true;
-
-                    // Only find closest point if starting fresh (not resuming from pause)
-                    // This prevents jerking when pressing Play repeatedly
-                    const wasAlreadyFollowing = unit.isFollowingPath && unit.pathIndex !== undefined && unit.pathIndex >= 0;
-                    
-                    if (!wasAlreadyFollowing && unit.path && unit.path.length > 0) {
-                        let closest = 0;
-                        let minDist = Infinity;
-                        for (let i = 0; i < unit.path.length; i++) {
-                            const d = unit.position.distanceTo(unit.path[i]);
-                            if (d < minDist) { minDist = d; closest = i; }
-                        }
-                        unit.pathIndex = closest;
-                        console.log("[UI] Play: Found closest path point:", closest);
-                    }
+                    // Unpause, clear a water stop and follow the path in the sim tick
+                    globalInputFactory.resume(unit.id);
 
                     console.log("[UI] Playback: PLAY - Resumed path following");
                 } else {
@@ -2746,8 +3104,8 @@ export class Game {
                 console.log("[UI] Pause button clicked");
                 
                 const unit = this.selectedUnit || this.focusedUnit;
-                if (unit) {
-                    unit.setCommandPause(true);
+                if (unit && !unit.pausedByCommand) {
+                    globalInputFactory.togglePause(unit.id);
                     console.log("[UI] Playback: PAUSE (Command)");
                 }
             });
@@ -2776,7 +3134,7 @@ export class Game {
                 
                 const unit = this.selectedUnit || this.focusedUnit;
                 if (unit) {
-                     this.addCommand(unit, 'Wait', { seconds: 3.0 });
+                     globalInputFactory.wait(unit.id, 3.0);
                 }
             });
         }
@@ -2904,33 +3262,8 @@ export class Game {
         // R006: Process input commands from queue first
         this._processInputCommands(tickCount);
 
-        const keys = this.input.getKeys();
-
-        // Update all units on fixed timestep
-        this.units.forEach(unit => {
-            if (!unit) return;
-
-            // R008: Snapshot PREV state BEFORE update (for render interpolation)
-            unit.snapshotPrevAuthState();
-
-            // Sync params
-            unit.speed = this.unitParams.speed;
-            unit.turnSpeed = this.unitParams.turnSpeed;
-            unit.groundOffset = this.unitParams.groundOffset;
-            unit.smoothingRadius = this.unitParams.smoothingRadius;
-
-            if (unit === this.selectedUnit) {
-                unit.update(keys, fixedDt, this.pathPlanner);
-            } else {
-                unit.update({ forward: false, backward: false, left: false, right: false }, fixedDt, this.pathPlanner);
-            }
-
-            // R008: Snapshot CURR state AFTER update (for render interpolation)
-            unit.snapshotCurrAuthState();
-        });
-
-        // Handle path looping (sim state mutation)
-        this.handlePathLooping();
+        // Unit updates, path looping and any registered systems (see GameSystems)
+        this.systems.update(fixedDt, tickCount);
     }
 
     /**
@@ -2948,30 +3281,16 @@ export class Game {
     }
 
     /**
-     * R011: Dev-only save/load with clickable HUD buttons.
-     * Primary: Click [Save] / [Load] buttons in HUD
-     * Keyboard: Ctrl+Shift+K = Save, Ctrl+Shift+J = Load
-     * Only active when ?dev=1 or #dev=1 is present.
+     * Adapter exposing Game state to SaveManager (save/load, state sync).
+     * @returns {Object}
      */
-    _setupDevSaveLoad() {
-        // R012: Guard - only run in dev mode (HUD created by _createDevHUD)
-        if (!this._isDevMode || !this._devHUD) return;
-
-        // Use unified HUD buttons (created by _createDevHUD)
-        const btnSave = this._devHUD.btnSave;
-        const btnLoad = this._devHUD.btnLoad;
-        if (!btnSave || !btnLoad) return;
-
-        // Update status uses unified HUD method
-        const showStatus = (msg, isError = false) => {
-            this._updateDBStatus(msg, isError);
-        };
-
-        // Create adapter wrapper for SaveManager (maps to global functions)
-        const gameAdapter = {
+    _createSaveAdapter() {
+        return {
             simLoop: this.simLoop,
             get units() { return this._gameRef.units; },
             set units(v) { /* no-op: we update in-place */ },
+            get entities() { return this._gameRef.entities; },
+            get systems() { return this._gameRef.systems; },
             get selectedUnit() { return this._gameRef.selectedUnit; },
             set selectedUnit(unit) {
                 // Safely restore selection via Game's API (skipCamera=true during load)
@@ -2990,19 +3309,208 @@ export class Game {
                 peekEntityId: () => peekEntityId(),
                 setEntityIdCounter: (v) => setEntityIdCounter(v)
             },
-            restoreUnits: (unitDataArray) => this._restoreUnitsFromSave(unitDataArray)
+            restoreUnits: (unitDataArray) => this._restoreUnitsFromSave(unitDataArray),
+            restoreEntities: (records) => this._restoreEntitiesFromSave(records)
         };
+    }
+
+    /**
+     * Dev-only replay: the session is recorded from load so it can be exported
+     * for bug reports, and a .asterobia-replay file can be played back in place.
+     * Keyboard: Ctrl+Alt+E = Export recording, Ctrl+Alt+O = Open replay,
+     * Ctrl+Alt+P = Play/pause, Ctrl+Alt+U = Cycle speed, Ctrl+Alt+B = Back to start,
+     * Ctrl+Alt+X = Exit playback (the live sim continues from the replayed state).
+     * Only active when ?dev=1 or #dev=1 is present and the sim is not shared
+     * (lockstep / rollback peers would diverge from a local replay).
+     */
+    _setupDevReplay() {
+        if (!this._isDevMode || this._sharedSimTransport()) return;
+
+        const adapter = this._createSaveAdapter();
+        this._replayRecorder = new ReplayRecorder(adapter, { commandQueue: globalCommandQueue });
+        this._replayPlayer = null;
+
+        const showStatus = (msg, isError = false) => {
+            this._updateDBStatus(msg, isError);
+        };
+        const speeds = [0.5, 1, 2, 4];
+
+        const exportRecording = () => {
+            const replay = this._replayRecorder.snapshot();
+            if (!replay) {
+                showStatus('REPLAY: NOT RECORDING', true);
+                return;
+            }
+            const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = getReplayFileName(`${replay.metadata.name}-t${replay.metadata.endTick}`);
+            link.click();
+            URL.revokeObjectURL(link.href);
+            showStatus(`REPLAY SAVED t:${replay.metadata.endTick} (${replay.commands.length} cmds)`);
+        };
+
+        const startPlayback = async (file) => {
+            if (this._replayPlayer) stopPlayback();
+
+            const player = new ReplayPlayer(adapter, {
+                commandQueue: globalCommandQueue,
+                onDesync: ({ tick }) => showStatus(`REPLAY DESYNC t:${tick}`, true)
+            });
+            this._replayRecorder.stop();
+            const result = player.load(await file.text());
+            if (!result.success) {
+                this._replayRecorder.start({ name: 'session' });
+                showStatus(`REPLAY FAIL: ${result.error}`, true);
+                return;
+            }
+
+            // Live input would change the replayed timeline
+            this._replayPrevOnReceive = this._transport.onReceive;
+            this._transport.onReceive = () => {};
+            this._replayPlayer = player;
+            player.play();
+            const { startTick, endTick } = player.replay.metadata;
+            console.log(`[Game] Replaying ${file.name} (ticks ${startTick}-${endTick})`);
+            showStatus(`REPLAY ${file.name}`);
+        };
+
+        const stopPlayback = () => {
+            if (!this._replayPlayer) return;
+            this._replayPlayer.pause();
+            this._replayPlayer = null;
+            this._transport.onReceive = this._replayPrevOnReceive;
+            this._replayPrevOnReceive = null;
+            // The player ran the loop on its own clock; resume without a catch-up burst
+            this.simLoop.lastFrameMs = 0;
+            this.simLoop.accumulatorMs = 0;
+            this._replayRecorder.start({ name: 'session' });
+            showStatus(`REPLAY EXIT t:${this.simLoop.tickCount}`);
+        };
+
+        const openReplay = () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = `${REPLAY_FILE_EXTENSION},application/json`;
+            input.onchange = () => {
+                const file = input.files?.[0];
+                if (!file) return;
+                startPlayback(file).catch((err) => {
+                    console.error('[Game] Replay load failed:', err);
+                    showStatus(`REPLAY ERR: ${err.message}`, true);
+                });
+            };
+            input.click();
+        };
+
+        window.addEventListener('keydown', (e) => {
+            if (!e.ctrlKey || !e.altKey) return;
+            const player = this._replayPlayer;
+
+            switch (e.code) {
+                case 'KeyE':
+                    exportRecording();
+                    break;
+                case 'KeyO':
+                    openReplay();
+                    break;
+                case 'KeyP':
+                    if (!player) return;
+                    if (player.playing) {
+                        player.pause();
+                    } else {
+                        player.play();
+                    }
+                    showStatus(`REPLAY ${player.playing ? 'PLAY' : 'PAUSE'} t:${this.simLoop.tickCount}`);
+                    break;
+                case 'KeyU': {
+                    if (!player) return;
+                    const next = speeds[(speeds.indexOf(player.speed) + 1) % speeds.length];
+                    player.setSpeed(next);
+                    showStatus(`REPLAY SPEED x${next}`);
+                    break;
+                }
+                case 'KeyB':
+                    if (!player) return;
+                    player.seek(player.replay.metadata.startTick);
+                    showStatus(`REPLAY t:${this.simLoop.tickCount}`);
+                    break;
+                case 'KeyX':
+                    stopPlayback();
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        });
+
+        console.log('[Game] Dev replay: Ctrl+Alt+E export, Ctrl+Alt+O open, Ctrl+Alt+P/U/B/X playback');
+    }
+
+    /**
+     * Start a fresh recording after the sim state was replaced outside the
+     * recorded command stream (e.g. a save was loaded).
+     * @private
+     */
+    _restartReplayRecording() {
+        if (!this._replayRecorder?.recording) return;
+        this._replayRecorder.stop();
+        this._replayRecorder.start({ name: 'session' });
+    }
+
+    /**
+     * R011: Dev-only save/load with clickable HUD buttons.
+     * Primary: Click [Save] / [Load] buttons in HUD
+     * Keyboard: Ctrl+Shift+K = Save, Ctrl+Shift+J = Load
+     * Only active when ?dev=1 or #dev=1 is present.
+     */
+    _setupDevSaveLoad() {
+        // R012: Guard - only run in dev mode (HUD created by _createDevHUD)
+        if (!this._isDevMode || !this._devHUD) return;
+
+        // Use unified HUD buttons (created by _createDevHUD)
+        const btnSave = this._devHUD.btnSave;
+        const btnLoad = this._devHUD.btnLoad;
+        if (!btnSave || !btnLoad) return;
+
+        // Update status uses unified HUD method
+        const showStatus = (msg, isError = false) => {
+            this._updateDBStatus(msg, isError);
+        };
+
+        // Create adapter wrapper for SaveManager (maps to global functions)
+        const gameAdapter = this._createSaveAdapter();
 
         // R012: Choose storage adapter based on transport mode
+        // (IndexedDB when available: no ~5MB localStorage limit for large worlds)
+        // With Supabase, saves go to local storage first and the quicksave syncs to the cloud.
         const useSupabase = !!this._supabaseClient;
+        const useIndexedDB = !useSupabase && IndexedDBStorageAdapter.isAvailable();
+        const isAsync = useSupabase || useIndexedDB;
+        const backend = useSupabase ? 'CLOUD' : (useIndexedDB ? 'IDB' : 'LOCAL');
         let storageAdapter = null;
         let saveManager = null;
+        let pendingConflict = null;
 
         const getStorageAdapter = () => {
             if (!storageAdapter) {
                 if (useSupabase) {
-                    storageAdapter = new SupabaseStorageAdapter(this._supabaseClient);
-                    console.log('[R012] Using SupabaseStorageAdapter for persistence');
+                    // SupabaseStorageAdapter keeps one row per user: only the quicksave syncs
+                    storageAdapter = new SyncingStorageAdapter({
+                        local: IndexedDBStorageAdapter.isAvailable() ? new IndexedDBStorageAdapter() : new LocalStorageAdapter(),
+                        remote: new SupabaseStorageAdapter(this._supabaseClient),
+                        syncKeys: ['quicksave'],
+                        onConflict: (conflict) => {
+                            pendingConflict = conflict.key;
+                            showStatus(`SYNC CONFLICT ${conflict.key}: F6 local / F7 cloud / F8 both`, true);
+                        }
+                    });
+                    storageAdapter.resume();
+                    window.addEventListener('online', () => storageAdapter.flush());
+                    console.log('[R012] Using SyncingStorageAdapter (local + Supabase) for persistence');
+                } else if (useIndexedDB) {
+                    storageAdapter = new IndexedDBStorageAdapter();
+                    console.log('[R011] Using IndexedDBStorageAdapter for persistence');
                 } else {
                     storageAdapter = new LocalStorageAdapter();
                     console.log('[R011] Using LocalStorageAdapter for persistence');
@@ -3013,7 +3521,11 @@ export class Game {
 
         const getSaveManager = () => {
             if (!saveManager) {
-                saveManager = new SaveManager(gameAdapter, getStorageAdapter());
+                // IndexedDB saves are packed (compressed + checksummed); every load is verified
+                saveManager = new SaveManager(gameAdapter, getStorageAdapter(), {
+                    packSaves: useIndexedDB,
+                    verifyOnLoad: true
+                });
             }
             return saveManager;
         };
@@ -3024,7 +3536,7 @@ export class Game {
             const mgr = getSaveManager();
 
             try {
-                const result = useSupabase
+                const result = isAsync
                     ? await mgr.saveAsync('quicksave')
                     : mgr.save('quicksave');
 
@@ -3034,7 +3546,6 @@ export class Game {
                     const stateJson = JSON.stringify(result.data || {});
                     const bytes = stateJson.length;
                     const kb = (bytes / 1024).toFixed(1);
-                    const backend = useSupabase ? 'CLOUD' : 'LOCAL';
                     showStatus(`SAVE OK t:${tick} ${kb}KB [${backend}]`);
                     console.log(`[R012] Saved at tick ${tick} (${kb}KB) via ${backend}`);
                 } else {
@@ -3053,20 +3564,23 @@ export class Game {
             const mgr = getSaveManager();
 
             try {
-                const result = useSupabase
+                const result = isAsync
                     ? await mgr.loadAsync('quicksave')
                     : mgr.load('quicksave');
 
                 if (result.success) {
+                    this._rollback?.reset(); // Snapshots and hashes predate the loaded state
+                    this._desyncMonitor?.reset();
+                    this._restartReplayRecording(); // The recording's initial state no longer leads here
                     const tick = this.simLoop.tickCount;
                     const stateJson = JSON.stringify(result.data || {});
                     const bytes = stateJson.length;
                     const kb = (bytes / 1024).toFixed(1);
-                    const backend = useSupabase ? 'CLOUD' : 'LOCAL';
                     showStatus(`LOAD OK t:${tick} ${kb}KB [${backend}]`);
                     console.log(`[R012] Loaded at tick ${tick} (${kb}KB) via ${backend}`);
                 } else {
-                    showStatus(`LOAD FAIL: ${result.error}`, true);
+                    const why = describeSaveRejection(result.reason, result.error);
+                    showStatus(`LOAD ${result.reason ? 'REJECTED' : 'FAIL'}: ${why}`, true);
                     console.error(`[R012] Load failed: ${result.error}`);
                 }
             } catch (err) {
@@ -3075,6 +3589,31 @@ export class Game {
             }
         };
 
+        // Resolve a cloud sync conflict reported by SyncingStorageAdapter
+        const resolveConflict = async (choice) => {
+            if (!pendingConflict) return;
+            const result = await getStorageAdapter().resolveConflict(pendingConflict, choice);
+            if (result.success) {
+                showStatus(result.keptAs ? `SYNC: LOCAL KEPT AS ${result.keptAs}` : `SYNC: ${choice.toUpperCase()}`);
+                pendingConflict = null;
+            } else {
+                showStatus(`SYNC FAIL: ${result.error}`, true);
+            }
+        };
+
+        // Autosave to rotating local slots every 60s (1200 ticks) and when the tab is hidden.
+        // With Supabase the autosave slots stay local (only the quicksave syncs).
+        getSaveManager().enableAutosave({
+            intervalTicks: 1200,
+            slots: 3,
+            recorder: this._replayRecorder,
+            onSaved: (result) => showStatus(`AUTOSAVE t:${result.tick} [${useSupabase ? 'LOCAL' : backend}]`),
+            onError: (result) => showStatus(
+                result.quotaExceeded ? 'AUTOSAVE FAIL: QUOTA FULL' : `AUTOSAVE FAIL: ${result.error}`,
+                true
+            )
+        });
+
         // Button click handlers
         btnSave.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -3114,6 +3653,17 @@ export class Game {
                 doLoad();
                 return;
             }
+
+            // F6/F7/F8 = resolve cloud sync conflict (keep local / keep cloud / keep both)
+            const resolution = {
+                F6: ConflictResolution.KEEP_LOCAL,
+                F7: ConflictResolution.KEEP_REMOTE,
+                F8: ConflictResolution.KEEP_BOTH
+            }[e.key];
+            if (resolution && pendingConflict) {
+                e.preventDefault();
+                resolveConflict(resolution);
+            }
         });
 
         console.log('[R011] Dev save/load enabled: buttons or Ctrl+Shift+K/J');
@@ -3122,17 +3672,85 @@ export class Game {
     /**
      * R011: Restore all units from saved state array.
      * Updates existing Unit instances in-place and resets interpolation for visual snap.
+     * The live unit set is made to match the save: units built after the save are
+     * removed, saved units missing here (built after this session's load) are created.
      * @param {Array} unitDataArray - Array of serialized unit data
      */
     _restoreUnitsFromSave(unitDataArray) {
         if (!unitDataArray || !this.units) return;
 
+        const savedIds = new Set(unitDataArray.map(data => data.id));
+        for (const unit of this.units.filter(u => u && !savedIds.has(u.id))) {
+            this._removeUnitForRestore(unit);
+        }
+
+        const restored = [];
         for (const data of unitDataArray) {
-            const existing = this.units.find(u => u && u.id === data.id);
-            if (existing) {
-                this._restoreUnitFromSave(existing, data);
+            const unit = this.entities.get(data.id, EntityKind.UNIT) ?? this._createUnitFromSave(data);
+            this._restoreUnitFromSave(unit, data);
+            restored.push(unit);
+        }
+
+        // Keep the saved order (StateSurface hashes units in list order)
+        this.units = restored;
+        this.generateUnitTabs();
+    }
+
+    /**
+     * Create a Unit that exists in the save but not in the live game.
+     * @param {Object} data - Serialized unit data
+     * @returns {Unit} The new unit (added to scene and entity store)
+     */
+    _createUnitFromSave(data) {
+        const unit = new Unit(this.planet, data.id);
+        unit.name = data.name ?? `Unit ${data.id}`;
+        unit.ownerId = data.ownerId ?? LOCAL_PLAYER_ID;
+        unit.typeId = data.typeId ?? null;
+        unit.typeVersion = data.typeVersion ?? null;
+        unit.typeSpec = data.typeSpec ? JSON.parse(JSON.stringify(data.typeSpec)) : null;
+        unit.turnSpeed = data.turnSpeed ?? unit.turnSpeed;
+        unit.groundOffset = data.groundOffset ?? unit.groundOffset;
+        unit.maxSlopeDeg = data.maxSlopeDeg ?? unit.maxSlopeDeg;
+        unit.maxHealth = data.maxHealth ?? unit.maxHealth;
+
+        this.scene.add(unit.mesh);
+        this.audioManager.addUnitSound(unit);
+        this.entities.add(unit, { kind: EntityKind.UNIT });
+        return unit;
+    }
+
+    /**
+     * Remove a live unit that does not exist in the save being loaded.
+     * @param {Unit} unit - Unit to remove (scene, entity store, selection)
+     */
+    _removeUnitForRestore(unit) {
+        if (this.selectedUnit === unit) {
+            this.deselectUnit();
+        }
+        if (this.unit === unit) {
+            this.unit = null;
+        }
+        this.hideUnitMarkers(unit);
+        if (unit.waypointCurveLine) {
+            this.scene.remove(unit.waypointCurveLine);
+        }
+        this.scene.remove(unit.mesh);
+        this.audioManager.unitSounds.delete(unit);
+        this.entities.remove(unit.id);
+    }
+
+    /**
+     * Restore non-unit entities (deposits, piles, wrecks) from saved state.
+     * Replaces every non-unit entity in the store with the saved records.
+     * @param {Array} records - EntityStore.serialize() output
+     */
+    _restoreEntitiesFromSave(records) {
+        for (const entity of this.entities.all()) {
+            if (this.entities.kindOf(entity.id) !== EntityKind.UNIT) {
+                this.entities.remove(entity.id);
             }
         }
+        this.entities.restore(records);
     }
 
     /**
@@ -3161,11 +3779,19 @@ export class Game {
         if (data.velocity) {
             unit.velocity.set(data.velocity.x, data.velocity.y, data.velocity.z);
         }
+        unit.ownerId = data.ownerId ?? unit.ownerId;
         unit.health = data.health ?? unit.health;
+        unit.speed = data.speed ?? unit.speed;
         unit.currentSpeed = data.currentSpeed ?? 0;
         unit.pathIndex = data.pathIndex ?? 0;
         unit.isFollowingPath = data.isFollowingPath ?? false;
         unit.pausedByCommand = data.pausedByCommand ?? false;
+        // Easing state: a snapshot taken mid pause / Wait / water ease resumes mid-ease
+        unit.speedFactor = data.speedFactor ?? (unit.pausedByCommand ? 0 : 1);
+        unit.waterState = data.waterState ?? 'normal';
+        unit.waterSlowdownFactor = data.waterSlowdownFactor ?? 1.0;
+        unit.actionState = data.actionState ?? 'idle';
+        unit.actionTimer = data.actionTimer ?? 0;
 
         // R011+R008: Reset interpolation snapshots to loaded position
         // This makes visuals snap immediately to loaded state
@@ -3239,7 +3865,7 @@ export class Game {
         for (const cmd of commands) {
             switch (cmd.type) {
                 case CommandType.SELECT: {
-                    const unit = this.units.find(u => u && u.id === cmd.unitId);
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
                     if (unit) {
                         this.selectUnit(unit, cmd.skipCamera);
                     }
@@ -3250,7 +3876,7 @@ export class Game {
                     break;
                 }
                 case CommandType.MOVE: {
-                    const unit = this.units.find(u => u && u.id === cmd.unitId);
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
                     if (unit) {
                         const pos = new THREE.Vector3(cmd.position.x, cmd.position.y, cmd.position.z);
                         this.addCommand(unit, 'Move', { position: pos });
@@ -3258,7 +3884,7 @@ export class Game {
                     break;
                 }
                 case CommandType.SET_PATH: {
-                    const unit = this.units.find(u => u && u.id === cmd.unitId);
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
                     if (unit && cmd.points && cmd.points.length > 0) {
                         // Clear existing path and add new waypoints
                         unit.commands = [];
@@ -3272,12 +3898,126 @@ export class Game {
                     break;
                 }
                 case CommandType.CLOSE_PATH: {
-                    const unit = this.units.find(u => u && u.id === cmd.unitId);
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
                     if (unit && unit === this.selectedUnit) {
                         this.closePath();
                     }
                     break;
                 }
+                case CommandType.WAIT: {
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
+                    if (unit) {
+                        this.addCommand(unit, 'Wait', { seconds: cmd.seconds });
+                    }
+                    break;
+                }
+                case CommandType.STOP: {
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
+                    if (unit) {
+                        this._stopUnit(unit);
+                    }
+                    break;
+                }
+                case CommandType.REORDER_COMMANDS: {
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
+                    if (unit && reorderOrders(unit, cmd.order)) {
+                        this.syncWaypointsFromCommands(unit);
+                        this.updatePanelContent();
+                    }
+                    break;
+                }
+                case CommandType.DELETE_COMMAND: {
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
+                    if (unit && deleteOrder(unit, cmd.commandId)) {
+                        this.syncWaypointsFromCommands(unit);
+                        this.updatePanelContent();
+                    }
+                    break;
+                }
+                case CommandType.TOGGLE_PAUSE: {
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
+                    if (unit) {
+                        unit.setCommandPause(!unit.pausedByCommand);
+                        if (this.isFocusMode && this.focusedUnit === unit) {
+                            this.updatePanelContent(unit);
+                        }
+                    }
+                    break;
+                }
+                case CommandType.RESUME: {
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
+                    if (unit) {
+                        unit.setCommandPause(false);
+                        unit.waterState = 'normal';
+                        unit.isFollowingPath = true;
+                        if (this.isFocusMode && this.focusedUnit === unit) {
+                            this.updatePanelContent(unit);
+                        }
+                    }
+                    break;
+                }
+                case CommandType.SET_LOOPING: {
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
+                    if (unit) {
+                        unit.loopingEnabled = !!cmd.enabled;
+                    }
+                    break;
+                }
+                case CommandType.ATTACK: {
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
+                    const target = this.entities.get(cmd.targetId, EntityKind.UNIT);
+                    if (unit && target) {
+                        this.addCommand(unit, 'Attack', { targetId: cmd.targetId });
+                    }
+                    break;
+                }
+                case CommandType.BUILD: {
+                    const unit = this.entities.get(cmd.unitId, EntityKind.UNIT);
+                    if (unit && cmd.position) {
+                        const pos = new THREE.Vector3(cmd.position.x, cmd.position.y, cmd.position.z);
+                        this.addCommand(unit, 'Build', { typeId: cmd.typeId, position: pos });
+                    }
+                    break;
+                }
+                case CommandType.PRODUCE: {
+                    const result = this.productionSystem.queueBuild(cmd.unitId, cmd.typeId);
+                    if (!result.success) console.warn('[Game] PRODUCE rejected:', result.error);
+                    break;
+                }
+                case CommandType.REFIT: {
+                    const result = this.productionSystem.queueRefit(cmd.unitId, cmd.targetId);
+                    if (!result.success) console.warn('[Game] REFIT rejected:', result.error);
+                    break;
+                }
+                case CommandType.CANCEL_PRODUCTION: {
+                    const job = this.productionSystem.getJob(cmd.jobId);
+                    if (job?.producerUnitId === cmd.unitId) {
+                        this.productionSystem.cancelJob(cmd.jobId);
+                    }
+                    break;
+                }
+                case CommandType.APPLY_TRAINING: {
+                    const result = this.trainingSystem.applyScores(cmd.senderId ?? LOCAL_TRAINING_USER, cmd.records);
+                    if (!result.success) console.warn('[Game] APPLY_TRAINING rejected:', result.error);
+                    break;
+                }
+                case CommandType.SET_UNIT_SPEED: {
+                    // UnitUpdateSystem applies it to every unit from the next tick
+                    this.unitParams.speed = cmd.speed;
+                    break;
+                }
+                case CommandType.RESEARCH: {
+                    const result = cmd.goalId
+                        ? this.researchSystem.queueGoal(cmd.goalId, cmd.unitId)
+                        : this.researchSystem.queueJob({
+                            type: cmd.researchType,
+                            featureId: cmd.featureId,
+                            constraintKey: cmd.constraintKey,
+                            researcherUnitId: cmd.unitId
+                        });
+                    if (!result.success) console.warn('[Game] RESEARCH rejected:', result.error);
+                    break;
+                }
                 default:
                     console.warn('[Game] Unknown input command type:', cmd.type);
             }
@@ -3410,7 +4150,12 @@ export class Game {
 
     animate() {
         // R001: Run fixed-timestep sim ticks, then render
-        this.simLoop.step(performance.now());
+        // (a loaded replay drives the sim loop with its own clock and speed)
+        if (this._replayPlayer) {
+            this._replayPlayer.update(performance.now());
+        } else {
+            this.simLoop.step(performance.now());
+        }
         this.renderUpdate();
         this.renderer.render(this.scene, this.camera);
 
@@ -3439,13 +4184,8 @@ export class Game {
 
         if (!unit) return;
 
-        unit.pausedByCommand = !unit.pausedByCommand;
-
-        console.log(`Unit ${unit.id} Paused: ${unit.pausedByCommand}`);
-
-        if (this.isFocusMode && this.focusedUnit === unit) {
-            this.updatePanelContent(unit);
-        }
+        // Applied in _processInputCommands (TOGGLE_PAUSE)
+        globalInputFactory.togglePause(unit.id);
     }
 
     // === PATH PLANNER DEBUG VISUALIZATION ===
@@ -3539,7 +4279,12 @@ export class Game {
             <div id="r012-net-mode" style="margin-bottom:4px;">NET MODE: <span style="color:#888;">---</span></div>
             <div id="r012-config" style="margin-bottom:4px;">CONFIG: <span style="color:#888;">---</span></div>
             <div id="r012-auth" style="margin-bottom:4px;">AUTH: <span style="color:#888;">---</span></div>
-            <div id="r012-realtime" style="margin-bottom:8px;">REALTIME: <span style="color:#888;">---</span></div>
+            <div id="r012-realtime" style="margin-bottom:4px;">REALTIME: <span style="color:#888;">---</span></div>
+            <div id="r012-wire" style="margin-bottom:4px;">WIRE: <span style="color:#888;">---</span></div>
+            <div id="r012-net-sim" style="margin-bottom:8px;">NET SIM: <select style="
+                background:#111;color:#ccc;border:1px solid #333;
+                font-family:monospace;font-size:11px;
+            ">${Object.keys(NetworkProfiles).map(name => `<option value="${name}">${name}</option>`).join('')}</select></div>
             <div style="border-top:1px solid #333;padding-top:8px;margin-bottom:6px;">
                 <div style="display:flex;gap:8px;margin-bottom:6px;">
                     <button id="r012-btn-save" style="
@@ -3562,6 +4307,8 @@ export class Game {
             config: document.getElementById('r012-config').querySelector('span'),
             auth: document.getElementById('r012-auth').querySelector('span'),
             realtime: document.getElementById('r012-realtime').querySelector('span'),
+            wire: document.getElementById('r012-wire').querySelector('span'),
+            netSim: document.getElementById('r012-net-sim').querySelector('select'),
             dbStatus: document.getElementById('r012-db-status'),
             btnSave: document.getElementById('r012-btn-save'),
             btnLoad: document.getElementById('r012-btn-load')
@@ -3573,9 +4320,9 @@ export class Game {
         if (!this._devHUD) return;
 
         // NET MODE
-        const isSupabase = status === 'SUPABASE';
-        this._devHUD.netMode.textContent = isSupabase ? 'SUPABASE' : 'LOCAL';
-        this._devHUD.netMode.style.color = isSupabase ? '#4caf50' : '#888';
+        const isNetworked = status === 'SUPABASE' || status === 'WEBSOCKET';
+        this._devHUD.netMode.textContent = isNetworked ? status : 'LOCAL';
+        this._devHUD.netMode.style.color = isNetworked ? '#4caf50' : '#888';
 
         // CONFIG status
         if (extraInfo.config) {
@@ -3612,13 +4359,14 @@ export class Game {
         this._devHUD.dbStatus.style.color = isError ? '#f44336' : '#4caf50';
     }
 
-    // R012: Poll Supabase transport state and update REALTIME status in HUD
+    // R012: Poll network transport state (Supabase or WebSocket) and update REALTIME status in HUD
     _startRealtimeStatusPolling() {
-        if (!this._supabaseTransport || !this._devHUD) return;
+        const transport = this._p2pTransport ?? this._supabaseTransport ?? this._wsTransport;
+        if (!transport || !this._devHUD) return;
 
         let lastState = null;
         const poll = () => {
-            const state = this._supabaseTransport.state;
+            const state = transport.state;
             if (state !== lastState) {
                 lastState = state;
                 let rtText = 'UNKNOWN';
@@ -3636,6 +4384,11 @@ export class Game {
                     this._devHUD.realtime.style.color = '#f44336';
                 }
             }
+
+            // Wire codec and traffic (bytes/s, averaged over a few seconds)
+            const stats = transport.getStats();
+            const codec = stats.codecVersion ? `BIN v${stats.codecVersion}` : 'JSON';
+            this._devHUD.wire.textContent = `${codec} ↑${stats.bytesSentPerSec} ↓${stats.bytesReceivedPerSec} B/s`;
         };
 
         // Poll every 500ms
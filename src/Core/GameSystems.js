@@ -0,0 +1,60 @@
+import { BaseSystem } from '../SimCore/systems/BaseSystem.js';
+import { quantizeUnitState } from '../SimCore/runtime/DeterministicMath.js';
+
+/**
+ * Game-side sim systems run by Game.systems (SystemScheduler).
+ * These drive the render Units (Three.js), so they live outside SimCore.
+ */
+
+/**
+ * Advances every render Unit on the fixed timestep
+ * (keyboard driving for the selected unit, path following for the rest).
+ */
+export class UnitUpdateSystem extends BaseSystem {
+    constructor(game) {
+        super('units');
+        this.game = game;
+    }
+
+    update(dt, context) {
+        const game = this.game;
+        const keys = game.input.getKeys();
+        const idleKeys = { forward: false, backward: false, left: false, right: false };
+
+        context.entities.forEach(unit => {
+            if (!unit) return;
+
+            // R008: Snapshot PREV state BEFORE update (for render interpolation)
+            unit.snapshotPrevAuthState();
+
+            // Sync params
+            unit.speed = game.unitParams.speed;
+            unit.turnSpeed = game.unitParams.turnSpeed;
+            unit.groundOffset = game.unitParams.groundOffset;
+            unit.smoothingRadius = game.unitParams.smoothingRadius;
+
+            unit.update(unit === game.selectedUnit ? keys : idleKeys, dt, game.pathPlanner);
+
+            if (game.quantize) {
+                quantizeUnitState(unit);
+            }
+
+            // R008: Snapshot CURR state AFTER update (for render interpolation)
+            unit.snapshotCurrAuthState();
+        });
+    }
+}
+
+/**
+ * Rebuilds the closed loop path of the selected unit once every marker is filled.
+ */
+export class PathLoopingSystem extends BaseSystem {
+    constructor(game) {
+        super('pathLooping');
+        this.game = game;
+    }
+
+    update() {
+        this.game.handlePathLooping();
+    }
+}
@@ -1,6 +1,11 @@
 import * as THREE from 'three';
 import { SphericalMath } from '../Math/SphericalMath.js';
 import { rngNext, rngNextInt } from '../SimCore/runtime/SeededRNG.js';
+import { globalEventBus } from '../SimCore/runtime/EventBus.js';
+import { globalStore } from '../SimCore/runtime/Store.js';
+import { GameEvent } from '../SimCore/domain/GameEvents.js';
+import { easeSpeed, stepAlongPath } from '../SimCore/rules/MovementRules.js';
+import { dcos } from '../SimCore/runtime/DeterministicMath.js';
 
 export class Unit {
     /**
@@ -585,21 +590,9 @@ export class Unit {
 
         const turnSpeed = this.turnSpeed * dt;
 
-        // Hover Speed Logic (Easy In / Easy Out)
+        // Hover Speed Logic (Easy In / Easy Out), shared with the headless sim
         // Also include pausedByCommand for smooth stop/start
-        const targetFactor = (this.hoverState || this.pausedByCommand) ? 0.0 : 1.0;
-        // Smoothly interpolate factor - FAST stop (8.0), slower resume (4.0)
-        const lerpSpeed = (this.hoverState || this.pausedByCommand) ? 4.0 : 3.0; // Slower for smoother ease
-        this.speedFactor = THREE.MathUtils.lerp(this.speedFactor, targetFactor, dt * lerpSpeed);
-
-        // Effective Speed
-        let moveSpeed = (this.speed || 10) * dt * this.speedFactor * this.waterSlowdownFactor;
-
-        // If "effectively stopped", clamp to 0 to avoid micro-movements
-        if (this.speedFactor < 0.001) {
-            moveSpeed = 0;
-            this.speedFactor = 0; // Snap to fully stopped
-        }
+        const moveSpeed = easeSpeed(this, dt);
 
         // === ROLL-BACK UPDATE (collision push-back on EXACT arrival path) ===
         // Countdown cooldown (prevents double-collision)
@@ -870,387 +863,97 @@ export class Unit {
         // Skip main path following if we're in transition
         if (this.path && this.path.length > 0 && this.isFollowingPath && !this.pausedByCommand && !this.isBouncing && !this.isInTransition) {
             // One-time log
-            if (!this._pathFollowingLogged) {
+            if (!this._pathFollowingLogged && globalStore.get('debugMode')) {
                 this._pathFollowingLogged = true;
                 console.log(`[Unit] Path following ACTIVE! Path length: ${this.path.length}`);
             }
 
-            // Initialize path index if needed
-            if (this.pathIndex === undefined || this.pathIndex < 0) this.pathIndex = 0;
-
-            // Handle path completion / looping
-            if (this.pathIndex >= this.path.length) {
-                if (this.loopingEnabled || this.isPathClosed) {
-                    this.pathIndex = 0;
-                } else {
-                    // Path completed
-                    this.isFollowingPath = false;
-                    console.log("Path completed.");
-                }
-            }
-
-            // Get current target point on path
-            const currentTarget = this.path[this.pathIndex];
-            if (!currentTarget) {
-                // Invalid target, stop
-                this.isFollowingPath = false;
-            } else {
-                // Calculate remaining distance we can travel this frame
-                // Ensure declared only once in this block scope
-                let remainingMove = moveSpeed;
-
-                // END-OF-PATH SLOWDOWN (Only for non-looping paths)
-                if (!this.loopingEnabled && !this.isPathClosed) {
-                    const remainingPoints = this.path.length - this.pathIndex;
-                    const slowdownZone = Math.min(30, this.path.length * 0.2);
-                    if (remainingPoints < slowdownZone) {
-                        const slowdownFactor = Math.max(0.1, remainingPoints / slowdownZone);
-                        remainingMove *= slowdownFactor;
-                    }
-                }
-
-                // === TANGENT-BASED SPEED MODULATION (User Request) ===
-                // Compare CURRENT path tangent with FUTURE path tangent (~1s ahead).
-                // If they differ (curve ahead), slow down.
-                
-                let tangentSpeedFactor = 1.0;
-
-                // === UNIFIED COMMAND EXECUTION LOGIC ===
-                // Check current command
-                const currentCmd = this.commands && this.commands[this.currentCommandIndex];
-                
-                // If current command is an ACTION (not Move), we execute it
-                // 'Move' commands are handled by the pathfinding/movement code below, 
-                // but we also check if we need to STOP for an action.
-                
-                if (currentCmd && currentCmd.type !== 'Move') {
-                     // We are performing a non-spatial action (Wait, Build, Attack, etc.)
-                     const stopDuration = 1.5; 
-                     
-                     // Initialize state if needed
-                     if (this.actionState === 'idle') {
-                         console.log(`[Unit] Starting Action: ${currentCmd.type}`);
-                         this.activeAction = currentCmd; // Keep reference for legacy property if needed, or just use currentCmd
-                         this.actionState = 'stopping';
-                         this.actionTimer = 0;
-                     }
-                     
-                     if (this.actionState === 'stopping') {
-                        // Decelerate
-                        this.actionTimer += dt;
-                        const progress = Math.min(1, this.actionTimer / stopDuration);
-                        this.actionSpeedFactor = 0.5 * (1 + Math.cos(progress * Math.PI)); // 1 -> 0
-                        
-                        if (progress >= 1.0) {
-                            this.actionState = 'waiting';
-                            this.actionTimer = 0;
-                            this.actionSpeedFactor = 0;
-                        }
-                    } else if (this.actionState === 'waiting') {
-                        // execution
+            // === UNIFIED COMMAND EXECUTION LOGIC ===
+            // Check current command
+            const currentCmd = this.commands && this.commands[this.currentCommandIndex];
+            
+            // If current command is an ACTION (not Move), we execute it
+            // 'Move' commands are handled by the pathfinding/movement code below, 
+            // but we also check if we need to STOP for an action.
+            
+            if (currentCmd && currentCmd.type !== 'Move') {
+                 // We are performing a non-spatial action (Wait, Build, Attack, etc.)
+                 const stopDuration = 1.5; 
+                 
+                 // Initialize state if needed
+                 if (this.actionState === 'idle') {
+                     if (globalStore.get('debugMode')) console.log(`[Unit] Starting Action: ${currentCmd.type}`);
+                     this.activeAction = currentCmd; // Keep reference for legacy property if needed, or just use currentCmd
+                     this.actionState = 'stopping';
+                     this.actionTimer = 0;
+                 }
+                 
+                 if (this.actionState === 'stopping') {
+                    // Decelerate
+                    this.actionTimer += dt;
+                    const progress = Math.min(1, this.actionTimer / stopDuration);
+                    this.actionSpeedFactor = 0.5 * (1 + dcos(progress * Math.PI)); // 1 -> 0
+                    
+                    if (progress >= 1.0) {
+                        this.actionState = 'waiting';
+                        this.actionTimer = 0;
                         this.actionSpeedFactor = 0;
-                        this.actionTimer += dt;
-                        const duration = currentCmd.params.seconds || 3.0;
-                        
-                        // Execute payload (if any)
-                        // ...
-                        
-                        if (this.actionTimer >= duration) {
-                            console.log(`[Unit] Action Completed: ${currentCmd.type}`);
-                            this.actionState = 'resuming';
-                            this.actionTimer = 0;
-                        }
-                    } else if (this.actionState === 'resuming') {
-                        // Accelerate
-                        this.actionTimer += dt;
-                        const progress = Math.min(1, this.actionTimer / stopDuration);
-                        this.actionSpeedFactor = 0.5 * (1 - Math.cos(progress * Math.PI)); // 0 -> 1
-                        
-                        if (progress >= 1.0) {
-                            // Done
-                            this.actionState = 'idle';
-                            this.actionSpeedFactor = 1.0;
-                            this.activeAction = null;
-                            
-                            // ADVANCE COMMAND QUEUE
-                            this.currentCommandIndex++;
-                            console.log(`[Unit] Advanced to command index ${this.currentCommandIndex}`);
-                        }
                     }
-                } else {
-                    // We are either Moving or Idle (no commands)
-                    this.actionSpeedFactor = 1.0;
-                    this.actionState = 'idle';
-                }
-                
-                if (this.path && this.path.length > 1 && this.pathIndex !== undefined) {
-                    const currentIdx = this.pathIndex;
-                    const nextIdx = Math.min(this.path.length - 1, currentIdx + 1);
+                } else if (this.actionState === 'waiting') {
+                    // execution
+                    this.actionSpeedFactor = 0;
+                    this.actionTimer += dt;
+                    const duration = currentCmd.params.seconds || 3.0;
                     
-                    if (nextIdx > currentIdx) {
-                        // 1. Current Tangent (Direction of current segment)
-                        const currentTangent = this.path[nextIdx].clone().sub(this.path[currentIdx]).normalize();
-
-                        // 2. Future Tangent (approx 1s ahead)
-                        const lookAheadDist = Math.max(3.0, this.speed * 1.5); 
-                        let futureIdx = currentIdx;
-                        let distAccum = 0;
-                        
-                        for (let i = currentIdx; i < this.path.length - 1; i++) {
-                            distAccum += this.path[i].distanceTo(this.path[i+1]);
-                            if (distAccum >= lookAheadDist) {
-                                futureIdx = i;
-                                break;
-                            }
-                        }
-                        
-                        // If we reached end of path, future tangent is same as last segment
-                        const futureNextIdx = Math.min(this.path.length - 1, futureIdx + 1);
-                        
-                        if (futureNextIdx > futureIdx) {
-                            const futureTangent = this.path[futureNextIdx].clone().sub(this.path[futureIdx]).normalize();
-
-                            // 3. Compare Tangents (Dot Product)
-                            // dot = 1.0 (Aligned) -> Max Speed
-                            // dot = -1.0 (Opposite) -> Min Speed (Don't stop!)
-                            // FIX: Allow negative dot for turnaround, map -1..1 to 0.2..1.0
-                            let rawDot = currentTangent.dot(futureTangent);
-                            const dot = (rawDot + 1.0) * 0.5; // Map -1..1 to 0..1
-                            
-                            // === ASYMMETRIC CURVE EASING (User Request) ===
-                            // Approach curve: Slow down more (power > 1.0)
-                            // Exit curve: Speed up faster (power < 1.0)
-                            
-                            // Track curve state: Compare with last frame's dot
-                            const prevDot = this._lastCurveDot || 1.0;
-                            this._lastCurveDot = dot;
-                            
-                            // Entering curve (dot decreasing) vs Exiting curve (dot increasing)
-                            const isEnteringCurve = dot < prevDot;
-                            
-                            if (isEnteringCurve) {
-                                // Approaching curve: More aggressive slowdown (power 1.5)
-                                tangentSpeedFactor = Math.pow(Math.max(0, dot), 1.5);
-                            } else {
-                                // Exiting curve: Faster recovery (power 0.5)
-                                tangentSpeedFactor = Math.pow(Math.max(0, dot), 0.5);
-                            }
-                            
-                            // Minimum speed for turnarounds
-                            tangentSpeedFactor = Math.max(0.1, tangentSpeedFactor);
-                        }
-                    }
-                }
-                
-                // Combine with global speed factor AND Action Speed Factor
-                let speedFactor = this.speedFactor * tangentSpeedFactor * this.actionSpeedFactor; 
-                
-                // Force stop ONLY if speedFactor is practically zero (e.g. pause)
-                if (speedFactor < 0.001) speedFactor = 0.0;
-                
-                moveSpeed *= speedFactor;
-
-                // Get water level for path checking
-                const waterLevel = this.planet.terrain.params.waterLevel || 0;
-                const baseRadius = this.planet.terrain.params.radius || 10;
-                const pathWaterRadius = baseRadius + waterLevel;
-                const canEnterWater = this.canWalkUnderwater || this.canSwim;
-
-                // SIMPLE FORWARD MOVEMENT along the path
-                let iterations = 0;
-                const maxIterations = 100;
-
-                while (remainingMove > 0 && this.waterState === 'normal' && iterations < maxIterations) {
-                    iterations++;
-
-                    // Bounds check
-                    if (this.pathIndex >= this.path.length) {
-                        if (this.loopingEnabled || this.isPathClosed) {
-                            this.pathIndex = 0;
-                        } else {
-                            this.isFollowingPath = false;
-                            break;
-                        }
-                    }
-
-                    const target = this.path[this.pathIndex];
-                    if (!target) break;
-
-                    // CHECK IF TARGET IS UNDERWATER
-                    const targetDir = target.clone().normalize();
-                    const targetTerrainRadius = this.planet.terrain.getRadiusAt(targetDir);
-                    const targetIsUnderwater = targetTerrainRadius < pathWaterRadius;
-
-                    if (targetIsUnderwater && !canEnterWater) {
-                        console.log("Path leads to water! Starting water pushback.");
-                        this.waterState = 'slowing';  // FIXED: was 'backing' which is not handled!
-                        this.isFollowingPath = false;
-                        break;
-                    }
-
-                    const distToTarget = this.position.distanceTo(target);
-
-                    if (distToTarget <= remainingMove) {
-                        // Reached this point, move to next
-                        // But DON'T teleport - just advance pathIndex
-                        this.position.copy(target);
-                        remainingMove -= distToTarget;
-                        this.pathIndex++;
-
-                        // === WAYPOINT ARRIVAL ===
-                        // (Wait logic removed - user request)
-                    } else {
-                        // Move towards target incrementally
-                        const dir = target.clone().sub(this.position).normalize();
-
-                        // Calculate desired position
-                        const desiredPos = this.position.clone().addScaledVector(dir, remainingMove);
-
-                        // === ROCK COLLISION CHECK ===
-                        if (this.planet && this.planet.rockCollision) {
-                            const result = this.planet.rockCollision.checkAndSlide(this.position, desiredPos);
-
-                            if (result.collided && this.bounceCooldown <= 0) {
-                                if (result.bounceDir) {
-                                    this.bounceDirection = result.bounceDir;
-                                    this.bounceVelocity = (remainingMove / (1 / 60)) * 0.2;
-                                    this.bounceCooldown = 0.5;
-                                }
-                            } else if (!result.collided) {
-                                this.position.copy(result.position);
-                            }
-                        } else {
-                            this.position.copy(desiredPos);
-                        }
-
-                        // Store velocity direction
-                        this.velocityDirection = dir.clone();
-                        remainingMove = 0;
-                    }
-
-                    // === CRITICAL: PROJECT TO TERRAIN AFTER EVERY MOVEMENT ===
-                    // This ensures we NEVER go through the ground
-                    const posDir = this.position.clone().normalize();
-                    const terrainRadius = this.planet.terrain.getRadiusAt(posDir);
-                    const groundOffset = this.groundOffset || 0.5;
-                    this.position.copy(posDir.multiplyScalar(terrainRadius + groundOffset));
-
-                    // === WAYPOINT ARRIVAL DETECTION (Event-Based) ===
-                    // CRITICAL: lastWaypointId is STABLE - only changes when unit ARRIVES at target
-                    // targetWaypointId = next waypoint after lastWaypointId in current order
-                    //
-                    // RULE: Dragging/reordering waypoints does NOT change lastWaypointId!
-                    // Only actual arrival (pathIndex crossing target's pathSegmentIndex) triggers update.
-                    if (this.pathSegmentIndices && this.waypoints && this.waypoints.length > 0 && this.targetWaypointId) {
-                        // Find target waypoint's index in waypoints array
-                        const targetWpIdx = this.waypoints.findIndex(wp => wp.id === this.targetWaypointId);
-                        
-                        if (targetWpIdx !== -1) {
-                            // Get the path index where we "arrive" at this waypoint
-                            const arrivalPathIdx = this.pathSegmentIndices[targetWpIdx];
-                            
-                            // Track previous pathIndex to detect CROSSING (not just being past)
-                            const prevPathIdx = this._prevPathIndex || 0;
-                            this._prevPathIndex = this.pathIndex;
-                            
-                            // === CROSSING DETECTION ===
-                            // Normal case: prevPathIdx < arrivalPathIdx && pathIndex >= arrivalPathIdx
-                            // Wrap case (loop from end to start): 
-                            //   - Target is waypoint 0, arrivalPathIdx is near 0
-                            //   - pathIndex just wrapped from high to low
-                            //   - prevPathIdx was high, pathIndex is now low (near 0)
-                            
-                            let crossed = false;
-                            
-                            if (targetWpIdx === 0 && (this.loopingEnabled || this.isPathClosed)) {
-                                // WRAP-AROUND CASE: Going from last waypoint to first
-                                // Detect when we wrapped (pathIndex decreased significantly)
-                                const didWrap = prevPathIdx > this.path.length * 0.5 && this.pathIndex < this.path.length * 0.2;
-                                crossed = didWrap && this.pathIndex >= arrivalPathIdx;
-                            } else {
-                                // NORMAL CASE: Simple crossing detection
-                                crossed = prevPathIdx < arrivalPathIdx && this.pathIndex >= arrivalPathIdx;
-                            }
-                            
-                            // Check if we've crossed this threshold
-                            if (arrivalPathIdx !== undefined && crossed) {
-                                // === ARRIVAL DETECTED ===
-                                const arrivedWp = this.waypoints[targetWpIdx];
-                                
-                                // Update lastWaypointId to the waypoint we just arrived at
-                                this.lastWaypointId = arrivedWp.id;
-                                
-                                // Mark as 'left' (we're now leaving it)
-                                arrivedWp.logicalState = 'left';
-                                arrivedWp.actionCompletedCount = (arrivedWp.actionCompletedCount || 0) + 1;
-                                
-                                // Find NEXT target in current sequence
-                                let nextWpIdx = targetWpIdx + 1;
-                                if (nextWpIdx >= this.waypoints.length) {
-                                    if (this.loopingEnabled || this.isPathClosed) nextWpIdx = 0;
-                                    else nextWpIdx = this.waypoints.length - 1;
-                                }
-                                
-                                const newTargetWp = this.waypoints[nextWpIdx];
-                                if (newTargetWp && newTargetWp.id !== arrivedWp.id) {
-                                    this.targetWaypointId = newTargetWp.id;
-                                    newTargetWp.logicalState = 'approaching';
-                                    newTargetWp.actionStartedCount = (newTargetWp.actionStartedCount || 0) + 1;
-                                }
-                                
-                                // Set all other waypoints to 'neutral'
-                                this.waypoints.forEach(wp => {
-                                    if (wp.id !== this.lastWaypointId && wp.id !== this.targetWaypointId) {
-                                        wp.logicalState = 'neutral';
-                                    }
-                                });
-                                
-                                console.log(`[ARRIVAL] Arrived at ${arrivedWp.id?.slice(-4)}, next target: ${newTargetWp?.id?.slice(-4)}`);
-                            
-                                // === COMMAND PROGRESSION ===
-                                // Check if the waypoint we arrived at corresponds to the current command
-                                if (this.commands && this.commands[this.currentCommandIndex]) {
-                                    const currentCmd = this.commands[this.currentCommandIndex];
-                                    
-                                    // Match IDs (arrivedWp.id IS the command ID)
-                                    if (currentCmd && arrivedWp.id === currentCmd.id) {
-                                        console.log(`[Unit] Finished Move Command: ${currentCmd.id}`);
-                                        this.currentCommandIndex++;
-                                        
-                                        // Update status
-                                        currentCmd.status = 'completed';
-                                    }
-                                }
-                            }
-                        }
+                    // Execute payload (if any)
+                    // ...
+                    
+                    if (this.actionTimer >= duration) {
+                        if (globalStore.get('debugMode')) console.log(`[Unit] Action Completed: ${currentCmd.type}`);
+                        this.actionState = 'resuming';
+                        this.actionTimer = 0;
                     }
+                } else if (this.actionState === 'resuming') {
+                    // Accelerate
+                    this.actionTimer += dt;
+                    const progress = Math.min(1, this.actionTimer / stopDuration);
+                    this.actionSpeedFactor = 0.5 * (1 - dcos(progress * Math.PI)); // 0 -> 1
                     
-                    // === FIRST-TIME INITIALIZATION ===
-                    // If no targetWaypointId yet, initialize from lastWaypointId (or start)
-                    if (this.waypoints && this.waypoints.length > 1 && !this.targetWaypointId) {
-                        // Find lastWaypointId index, default to 0
-                        let lastIdx = 0;
-                        if (this.lastWaypointId) {
-                            const foundIdx = this.waypoints.findIndex(wp => wp.id === this.lastWaypointId);
-                            if (foundIdx !== -1) lastIdx = foundIdx;
-                        } else {
-                            // No lastWaypointId - initialize to first waypoint
-                            this.lastWaypointId = this.waypoints[0].id;
-                            this.waypoints[0].logicalState = 'left';
-                        }
-                        
-                        // Next target is after lastIdx
-                        let nextIdx = lastIdx + 1;
-                        if (nextIdx >= this.waypoints.length) {
-                            if (this.loopingEnabled || this.isPathClosed) nextIdx = 0;
-                            else nextIdx = this.waypoints.length - 1;
-                        }
+                    if (progress >= 1.0) {
+                        // Done
+                        this.actionState = 'idle';
+                        this.actionSpeedFactor = 1.0;
+                        this.activeAction = null;
                         
-                        this.targetWaypointId = this.waypoints[nextIdx].id;
-                        this.waypoints[nextIdx].logicalState = 'approaching';
-                        console.log(`[INIT] last=${this.lastWaypointId?.slice(-4)} target=${this.targetWaypointId?.slice(-4)}`);
+                        // ADVANCE COMMAND QUEUE
+                        this.currentCommandIndex++;
+                        if (globalStore.get('debugMode')) console.log(`[Unit] Advanced to command index ${this.currentCommandIndex}`);
                     }
                 }
+            } else {
+                // We are either Moving or Idle (no commands)
+                this.actionSpeedFactor = 1.0;
+                this.actionState = 'idle';
+            }
+
+            // PATH FOLLOWING: shared rules (SimCore/rules/MovementRules.js) -
+            // forward-only steps, terrain projection, water / slope limits,
+            // waypoint arrival and Move command progression.
+            // actionSpeedFactor eases the unit out of / into non-Move orders (Wait, Build, ...)
+            const stepDir = stepAlongPath(this, moveSpeed * this.actionSpeedFactor, this.planet.terrain, {
+                eventBus: globalEventBus,
+                groundOffset: this.groundOffset || 0.5,
+                waterState: 'slowing', // Eased out by updateWaterBehavior
+                resolveStep: (from, desired) => this._resolveRockStep(from, desired),
+                onArrival: (arrivedWp, nextWp) => {
+                    arrivedWp.actionCompletedCount = (arrivedWp.actionCompletedCount || 0) + 1;
+                    if (nextWp) nextWp.actionStartedCount = (nextWp.actionStartedCount || 0) + 1;
+                    if (globalStore.get('debugMode')) console.log(`[ARRIVAL] Arrived at ${arrivedWp.id?.slice(-4)}, next target: ${nextWp?.id?.slice(-4)}`);
+                }
+            });
+            if (stepDir) {
+                // Store velocity direction
+                this.velocityDirection = new THREE.Vector3(stepDir.x, stepDir.y, stepDir.z);
             }
 
             // ========================================================
@@ -1797,6 +1500,29 @@ export class Unit {
         this.mesh.quaternion.slerp(this._interpCurrQuat, alpha);
     }
 
+    /**
+     * Capture the on-screen pose before a rollback rewinds the sim.
+     * @returns {{ position: THREE.Vector3, quaternion: THREE.Quaternion }|null}
+     */
+    captureRenderState() {
+        if (!this._interpInitialized) return null;
+        return {
+            position: this.mesh.position.clone(),
+            quaternion: this.mesh.quaternion.clone()
+        };
+    }
+
+    /**
+     * After resimulation: interpolate from the pose that was on screen
+     * to the corrected state, instead of snapping.
+     * @param {{ position: THREE.Vector3, quaternion: THREE.Quaternion }|null} renderState
+     */
+    blendRenderFrom(renderState) {
+        if (!renderState || !this._interpInitialized) return;
+        this._interpPrevPos.copy(renderState.position);
+        this._interpPrevQuat.copy(renderState.quaternion);
+    }
+
     // === DUST PARTICLE SYSTEM ===
     updateDustParticles(dt, isMoving) {
         // === LAZY INIT (INSTANCED MESH) ===
@@ -2183,6 +1909,46 @@ export class Unit {
         return tex;
     }
 
+    /**
+     * Rock collision for a partial path step (MovementRules resolveStep hook).
+     * A hit starts the roll-back bounce and keeps the unit where it was.
+     *
+     * @param {{x: number, y: number, z: number}} from - Position before the step
+     * @param {{x: number, y: number, z: number}} desired - Position after the step
+     * @returns {{x: number, y: number, z: number}} Position to take
+     */
+    _resolveRockStep(from, desired) {
+        const rockCollision = this.planet?.rockCollision;
+        if (!rockCollision) return desired;
+
+        const distance = Math.sqrt((desired.x - from.x) ** 2 + (desired.y - from.y) ** 2 + (desired.z - from.z) ** 2);
+        const result = rockCollision.checkAndSlide(
+            new THREE.Vector3(from.x, from.y, from.z),
+            new THREE.Vector3(desired.x, desired.y, desired.z)
+        );
+
+        if (!result.collided) return result.position;
+
+        if (this.bounceCooldown <= 0 && result.bounceDir) {
+            this.bounceDirection = result.bounceDir;
+            this.bounceVelocity = (distance / (1 / 60)) * 0.2;
+            this.bounceCooldown = 0.5;
+        }
+        return from;
+    }
+
+    /**
+     * Emit COLLISION_WATER (goal trigger) when a land unit is stopped by water.
+     * @param {number} waterLevel - Water level relative to base radius
+     */
+    _emitWaterCollision(waterLevel) {
+        globalEventBus.emit(GameEvent.COLLISION_WATER, {
+            unitId: this.id,
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            waterLevel
+        });
+    }
+
     // === REBUILT WATER LOGIC ===
     updateWaterBehavior(dt, moveInput) {
         // 1. Check current depth and state
@@ -2206,6 +1972,7 @@ export class Unit {
                 this.waterState = 'slowing';
                 this.waterEntryVector = this.headingQuaternion.clone(); // Remember entry direction? Or just velocity?
                 console.log("Water: Entering -> Slowing down...");
+                this._emitWaterCollision(waterLevel);
             }
             return moveInput; // Allow control
         }
@@ -0,0 +1,343 @@
+/**
+ * IndexedDB Storage + Autosave Tests
+ *
+ * Validates:
+ * - IndexedDBStorageAdapter implements save/load/delete/list/exists (async)
+ * - Saves survive a "page reload" (new adapter on the same database)
+ * - Quota-exceeded writes fail with quotaExceeded and keep the previous save
+ * - Missing IndexedDB fails cleanly
+ * - SaveManager autosaves every N ticks into rotating slots, continues the
+ *   rotation after a reload, saves on visibility change, and reports quota errors
+ * - A recording ReplayRecorder's command timeline is stored with the autosave
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/autosave.test.js
+ */
+
+import { IndexedDBStorageAdapter } from '../persistence/IndexedDBStorageAdapter.js';
+import { MemoryStorageAdapter } from '../persistence/StorageAdapter.js';
+import { SaveManager } from '../persistence/SaveManager.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { validateReplay } from '../replay/ReplaySchema.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Minimal in-memory IndexedDB (test-only): open/upgrade, one object store
+ * per name, transactions that commit (or abort over quota) asynchronously.
+ */
+class FakeIndexedDB {
+    constructor({ quotaBytes = Infinity } = {}) {
+        this.quotaBytes = quotaBytes;
+        this.databases = new Map();
+        this.openCount = 0;
+    }
+
+    open(name, version) {
+        const request = {};
+        setTimeout(() => {
+            this.openCount++;
+            if (!this.databases.has(name)) {
+                this.databases.set(name, { version: 0, stores: new Map() });
+            }
+            const entry = this.databases.get(name);
+            request.result = new FakeDatabase(entry, this);
+            if (entry.version < version) {
+                entry.version = version;
+                request.onupgradeneeded?.();
+            }
+            request.onsuccess?.();
+        }, 0);
+        return request;
+    }
+}
+
+class FakeDatabase {
+    constructor(entry, factory) {
+        this._entry = entry;
+        this._factory = factory;
+    }
+
+    get objectStoreNames() {
+        return { contains: (name) => this._entry.stores.has(name) };
+    }
+
+    createObjectStore(name, { keyPath }) {
+        this._entry.stores.set(name, { keyPath, records: new Map() });
+    }
+
+    transaction(name, mode) {
+        const store = this._entry.stores.get(name);
+        const staged = new Map(store.records);
+        const tx = {};
+        const request = (result) => ({ result });
+
+        tx.objectStore = () => ({
+            put: (value) => {
+                if (mode !== 'readwrite') throw new Error('ReadOnlyError');
+                staged.set(value[store.keyPath], structuredClone(value));
+                return request(value[store.keyPath]);
+            },
+            get: (key) => request(staged.has(key) ? structuredClone(staged.get(key)) : undefined),
+            delete: (key) => { staged.delete(key); return request(undefined); },
+            getAllKeys: () => request([...staged.keys()].sort()),
+            count: (key) => request(staged.has(key) ? 1 : 0)
+        });
+
+        setTimeout(() => {
+            const bytes = [...staged.values()].reduce((n, v) => n + JSON.stringify(v).length, 0);
+            if (bytes > this._factory.quotaBytes) {
+                tx.error = new DOMException('Quota exceeded', 'QuotaExceededError');
+                tx.onabort?.();
+                return;
+            }
+            store.records = staged;
+            tx.oncomplete?.();
+        }, 0);
+        return tx;
+    }
+
+    close() {}
+}
+
+/** Minimal document for visibilitychange (test-only) */
+class FakeDocument {
+    constructor() {
+        this.visibilityState = 'visible';
+        this._listeners = new Set();
+    }
+    addEventListener(type, fn) { if (type === 'visibilitychange') this._listeners.add(fn); }
+    removeEventListener(type, fn) { this._listeners.delete(fn); }
+    setVisibility(state) {
+        this.visibilityState = state;
+        for (const fn of this._listeners) fn();
+    }
+}
+
+/** Let pending timers and promise callbacks run */
+async function settle() {
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+/** Advance a world one tick at a time so async autosaves finish between ticks */
+async function runTicks(world, count) {
+    for (let i = 0; i < count; i++) {
+        world.runTicks(1);
+        await settle();
+    }
+}
+
+function makeWorld(seed = 7) {
+    const world = new SimWorld({ seed });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.spawnUnit({ position: { x: 10, y: 0, z: 0 } });
+    return world;
+}
+
+// ============ Tests ============
+
+console.log('\n=== Autosave Tests ===\n');
+
+await test('IndexedDB adapter implements the storage contract', async () => {
+    const idb = new FakeIndexedDB();
+    const storage = new IndexedDBStorageAdapter({ indexedDB: idb });
+
+    assertEqual((await storage.load('a')).error, 'Save not found', 'missing slot');
+    assertEqual((await storage.save('a', { n: 1 })).success, true);
+    assertEqual((await storage.save('b', { n: 2 })).success, true);
+    assertEqual((await storage.load('a')).data.n, 1);
+    assertEqual(await storage.exists('b'), true);
+    assertEqual(JSON.stringify(await storage.list()), '["a","b"]');
+
+    assertEqual((await storage.delete('a')).success, true);
+    assertEqual(await storage.exists('a'), false);
+    assertEqual(idb.openCount, 1, 'database opened once');
+
+    const afterReload = new IndexedDBStorageAdapter({ indexedDB: idb });
+    assertEqual((await afterReload.load('b')).data.n, 2, 'survives a new adapter (page reload)');
+});
+
+await test('Quota exceeded is reported and keeps the previous save', async () => {
+    const storage = new IndexedDBStorageAdapter({ indexedDB: new FakeIndexedDB({ quotaBytes: 200 }) });
+    assertEqual((await storage.save('slot', { small: true })).success, true);
+
+    const result = await storage.save('slot', { big: 'x'.repeat(500) });
+    assertEqual(result.success, false);
+    assertEqual(result.quotaExceeded, true, 'flagged');
+    assertEqual(result.error, 'Storage quota exceeded');
+    assertEqual((await storage.load('slot')).data.small, true, 'aborted write left old data');
+
+    const quota = await new IndexedDBStorageAdapter({
+        indexedDB: new FakeIndexedDB(),
+        storageManager: { estimate: async () => ({ usage: 10, quota: 100 }) }
+    }).estimateQuota();
+    assertEqual(quota.quota, 100, 'estimateQuota');
+});
+
+await test('Missing IndexedDB fails cleanly', async () => {
+    const storage = new IndexedDBStorageAdapter({ indexedDB: null });
+    const result = await storage.save('a', {});
+    assertEqual(result.success, false);
+    assertEqual(result.error, 'IndexedDB not available');
+    assertEqual((await storage.list()).length, 0);
+    assertEqual(await storage.exists('a'), false);
+});
+
+await test('Autosave every N ticks rotates through slots', async () => {
+    const world = makeWorld();
+    const storage = new MemoryStorageAdapter();
+    const manager = new SaveManager(world, storage);
+    const saved = [];
+    manager.enableAutosave({ intervalTicks: 10, slots: 3, document: null, onSaved: r => saved.push(r) });
+
+    // Saves run at the start of the following tick (ticks 11, 21, 31, 41)
+    await runTicks(world, 45);
+    assertEqual(saved.map(r => r.slotKey).join(','), 'autosave_0,autosave_1,autosave_2,autosave_0', 'rotation');
+    assertEqual(saved[3].tick, 40, 'every 10 ticks');
+    assertEqual(storage.load('autosave_0').data.autosave.seq, 3, 'slot 0 overwritten by newest');
+    assertEqual(storage.load('autosave_0').data.state.simLoop.tickCount, 40, 'captured on the tick');
+
+    const status = manager.getAutosaveStatus();
+    assertEqual(status.saveCount, 4);
+    assertEqual(status.lastSlot, 'autosave_0');
+
+    manager.disableAutosave();
+    await runTicks(world, 20);
+    assertEqual(saved.length, 4, 'stopped');
+    assertEqual(manager.getAutosaveStatus().enabled, false);
+});
+
+await test('Autosave resumes rotation after a reload and restores the newest', async () => {
+    const idb = new FakeIndexedDB();
+    let world = makeWorld(11);
+    let manager = new SaveManager(world, new IndexedDBStorageAdapter({ indexedDB: idb }));
+    manager.enableAutosave({ intervalTicks: 5, slots: 3, document: null });
+    await runTicks(world, 10);
+    const hashAtSave = world.getHash();
+    await runTicks(world, 1);
+    manager.disableAutosave();
+
+    // Reload: fresh world, fresh adapter, same database
+    world = makeWorld(99);
+    manager = new SaveManager(world, new IndexedDBStorageAdapter({ indexedDB: idb }));
+    const latest = await manager.findLatestAutosave();
+    assertEqual(latest.slotKey, 'autosave_1', 'newest slot');
+    assertEqual((await manager.loadAsync(latest.slotKey)).success, true);
+    assertEqual(world.getHash(), hashAtSave, 'state restored');
+
+    manager.enableAutosave({ intervalTicks: 0, slots: 3, document: null });
+    const result = await manager.autosaveNow();
+    assertEqual(result.slotKey, 'autosave_2', 'continues after the newest instead of overwriting it');
+});
+
+await test('Autosave on visibility change and skip while writing', async () => {
+    const world = makeWorld();
+    const doc = new FakeDocument();
+    const manager = new SaveManager(world, new IndexedDBStorageAdapter({ indexedDB: new FakeIndexedDB() }));
+    const saved = [];
+    manager.enableAutosave({ intervalTicks: 0, document: doc, onSaved: r => saved.push(r) });
+
+    doc.setVisibility('hidden');
+    const overlapping = await manager.autosaveNow();
+    assertEqual(overlapping.skipped, true, 'second save while the first writes');
+    await settle();
+    assertEqual(saved.length, 1);
+    const stored = await manager.storage.load('autosave_0');
+    assertEqual(stored.data.autosave.reason, 'hidden');
+
+    doc.setVisibility('visible');
+    await settle();
+    assertEqual(saved.length, 1, 'only when hidden');
+
+    manager.disableAutosave();
+    doc.setVisibility('hidden');
+    await settle();
+    assertEqual(saved.length, 1, 'listener removed');
+});
+
+await test('Autosave reports quota errors', async () => {
+    const world = makeWorld();
+    const manager = new SaveManager(world, new IndexedDBStorageAdapter({ indexedDB: new FakeIndexedDB({ quotaBytes: 100 }) }));
+    const errors = [];
+    manager.enableAutosave({ intervalTicks: 5, document: null, onError: r => errors.push(r) });
+
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        await runTicks(world, 6);
+    } finally {
+        console.warn = originalWarn;
+    }
+    assertEqual(errors.length, 1);
+    assertEqual(errors[0].quotaExceeded, true);
+    const status = manager.getAutosaveStatus();
+    assertEqual(status.quotaExceeded, true);
+    assertEqual(status.saveCount, 0);
+    assertEqual(status.lastError, 'Storage quota exceeded');
+    manager.disableAutosave();
+});
+
+await test('Autosave stores the recorder command timeline', async () => {
+    const world = makeWorld();
+    const [unit] = world.units;
+    const recorder = new ReplayRecorder(world, { checkpointInterval: 5 });
+    recorder.start({ name: 'Autosaved session' });
+    const storage = new MemoryStorageAdapter();
+    const manager = new SaveManager(world, storage);
+    manager.enableAutosave({ intervalTicks: 20, document: null, recorder });
+
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 5, y: 5, z: 0 } });
+    await runTicks(world, 21);
+
+    const timeline = storage.load('autosave_0').data.timeline;
+    assertTrue(validateReplay(timeline).valid, 'timeline is a valid replay');
+    assertEqual(timeline.commands.length, 1, 'command recorded');
+    assertEqual(timeline.metadata.endTick, 20);
+    assertTrue(recorder.recording, 'recording continues');
+
+    manager.disableAutosave();
+    assertEqual(recorder.stop().commands.length, 1);
+});
+
+// ============ Summary ============
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Autosave tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,305 @@
+/**
+ * Blueprint History Test
+ *
+ * Validates blueprint revisions:
+ * - saveBlueprint appends an immutable revision per design change
+ *   (revision number, parent revision ID); same design keeps the revision
+ * - Editing an old revision branches from it
+ * - diffBlueprints / diffBlueprintRevisions report design changes
+ * - Units stay pinned to their revision on rebind; refit moves the pin
+ * - ProductionSystem builds the revision a job was queued for
+ * - History export / import (merge keeps local revisions)
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/blueprintHistory.test.js
+ */
+
+import { TypeBlueprint, createScoutSeedBlueprint, createSeedBlueprint, diffBlueprints } from '../domain/TypeBlueprint.js';
+import { UnitModel } from '../domain/UnitModel.js';
+import {
+    saveBlueprint,
+    getBlueprint,
+    getBlueprintRevision,
+    getBlueprintHistory,
+    diffBlueprintRevisions,
+    deleteBlueprint,
+    clearAllBlueprints,
+    exportBlueprintHistory,
+    importBlueprints
+} from '../runtime/BlueprintStorage.js';
+import { bindUnitToBlueprint, rebindUnit, applyBlueprintStats } from '../runtime/UnitTypeBinder.js';
+import { ProductionJobStatus } from '../systems/ProductionSystem.js';
+import { StatsEngine, DEFAULT_STATS_CONFIG } from '../rules/StatsEngine.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/** Minimal localStorage (test-only, for BlueprintStorage) */
+class FakeLocalStorage {
+    constructor() { this._items = new Map(); }
+    getItem(key) { return this._items.has(key) ? this._items.get(key) : null; }
+    setItem(key, value) { this._items.set(key, String(value)); }
+    removeItem(key) { this._items.delete(key); }
+    clear() { this._items.clear(); }
+    key(i) { return [...this._items.keys()][i] ?? null; }
+    get length() { return this._items.size; }
+}
+
+globalThis.localStorage = new FakeLocalStorage();
+
+/** Run `fn` with console.log silenced (binder logs every bind) */
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * Stored Scout at revision 1 and an edited copy saved as revision 2.
+ */
+function saveScoutRevisions() {
+    localStorage.clear();
+    const scout = createScoutSeedBlueprint();
+    saveBlueprint(scout);
+
+    const edited = getBlueprint(scout.id);
+    edited.setAllocation('move', 0.75);
+    edited.setAllocation('vision', 0.25);
+    saveBlueprint(edited);
+    return { scout, edited };
+}
+
+// ============ Tests ============
+
+test('Design changes append immutable revisions with parent IDs', () => {
+    localStorage.clear();
+    const scout = createScoutSeedBlueprint();
+    saveBlueprint(scout);
+    assertEqual(scout.version, 1);
+    assertEqual(scout.parentRevisionId, null);
+    assertEqual(getBlueprintHistory(scout.id).length, 1);
+
+    scout.name = 'Pathfinder';
+    saveBlueprint(scout);
+    assertEqual(scout.version, 1, 'rename keeps the revision');
+    assertEqual(getBlueprintHistory(scout.id).length, 1, 'no revision for a rename');
+    assertEqual(getBlueprint(scout.id).name, 'Pathfinder', 'head updated');
+
+    scout.designPct = 80;
+    saveBlueprint(scout);
+    assertEqual(scout.version, 2);
+    assertEqual(scout.parentRevisionId, `${scout.id}@v1`);
+    assertEqual(scout.getRevisionId(), `${scout.id}@v2`);
+
+    scout.setAllocation('move', 0.6);
+    scout.setAllocation('vision', 0.4);
+    saveBlueprint(scout);
+    const history = getBlueprintHistory(scout.id);
+    assertEqual(history.map(r => r.version).join(','), '1,2,3');
+    assertEqual(history[2].parentRevisionId, `${scout.id}@v2`);
+    assertEqual(getBlueprint(scout.id).version, 3, 'head is the latest revision');
+
+    const v1 = getBlueprintRevision(scout.id, 1);
+    assertEqual(v1.designPct, 60, 'old revision unchanged');
+    assertEqual(v1.allocations.move, 0.5);
+    v1.designPct = 200;
+    assertEqual(getBlueprintRevision(scout.id, 1).designPct, 60, 'returned copies do not write through');
+    assertEqual(getBlueprintRevision(scout.id, 9), null, 'unknown revision');
+});
+
+test('Editing an old revision branches from it', () => {
+    const { scout } = saveScoutRevisions();
+
+    const old = getBlueprintRevision(scout.id, 1);
+    old.setAllocation('move', 0.4);
+    old.setAllocation('vision', 0.6);
+    saveBlueprint(old);
+
+    assertEqual(old.version, 3, 'next revision number');
+    assertEqual(old.parentRevisionId, `${scout.id}@v1`, 'parent is the edited revision');
+
+    // Reverting to v1's design still makes a new revision (history is append-only)
+    const revert = getBlueprintRevision(scout.id, 1);
+    saveBlueprint(revert);
+    assertEqual(revert.version, 4);
+    assertEqual(getBlueprintHistory(scout.id).length, 4);
+});
+
+test('Diff reports design changes between revisions', () => {
+    localStorage.clear();
+    const gunship = new TypeBlueprint({
+        name: 'Gunship',
+        designPct: 100,
+        allocations: { move: 0.5, shot: 0.5 },
+        subAllocations: { shot: { power: 0.5, rate: 0.5 } }
+    });
+    saveBlueprint(gunship);
+    const edited = getBlueprint(gunship.id);
+    edited.designPct = 140;
+    edited.setAllocation('move', 0);
+    edited.setAllocation('shot', 0.6);
+    edited.setAllocation('shield', 0.4);
+    edited.setSubAllocation('shot', { power: 0.7, rate: 0.3 });
+    saveBlueprint(edited);
+
+    const diff = diffBlueprintRevisions(gunship.id, 1, 2);
+    assertTrue(diff.changed);
+    assertEqual(diff.fromRevisionId, `${gunship.id}@v1`);
+    assertEqual(diff.toRevisionId, `${gunship.id}@v2`);
+    assertEqual(diff.name, null, 'name unchanged');
+    assertEqual(JSON.stringify(diff.designPct), '{"from":100,"to":140}');
+    assertEqual(diff.addedFeatures.join(','), 'shield');
+    assertEqual(diff.removedFeatures.join(','), 'move');
+    assertEqual(JSON.stringify(diff.allocations.shot), '{"from":0.5,"to":0.6}');
+    assertEqual(JSON.stringify(diff.allocations.move), '{"from":0.5,"to":0}');
+    assertEqual(JSON.stringify(diff.subAllocations.shot.power), '{"from":0.5,"to":0.7}');
+
+    const same = diffBlueprints(edited, getBlueprintRevision(gunship.id, 2));
+    assertEqual(same.changed, false, 'identical revisions');
+    assertEqual(diffBlueprintRevisions(gunship.id, 1, 5), null, 'missing revision');
+});
+
+test('Units stay pinned to their revision until refit', () => {
+    localStorage.clear();
+    const scout = createScoutSeedBlueprint();
+    saveBlueprint(scout);
+
+    const unit = new UnitModel({ id: 1, name: 'Scout' });
+    const binding = quietly(() => bindUnitToBlueprint(unit, scout.id));
+    assertEqual(binding.version, 1, 'binding pins the revision');
+    const v1Speed = unit.speed;
+
+    const edited = getBlueprint(scout.id);
+    edited.setAllocation('move', 0.75);
+    edited.setAllocation('vision', 0.25);
+    saveBlueprint(edited);
+
+    quietly(() => rebindUnit(unit));
+    assertEqual(unit.typeVersion, 1, 'rebind keeps the pinned revision');
+    assertEqual(unit.speed, v1Speed, 'edit does not change the unit');
+
+    quietly(() => bindUnitToBlueprint(unit, scout.id));
+    assertEqual(unit.typeVersion, 2, 'refit moves the pin');
+    assertTrue(unit.speed > v1Speed, 'new design applied');
+
+    const old = new UnitModel({ id: 2, name: 'Old' });
+    assertEqual(quietly(() => bindUnitToBlueprint(old, scout.id, 1)).version, 1, 'explicit revision');
+    assertEqual(old.typeSpec.allocations.move, 0.5);
+    assertEqual(quietly(() => {
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            return bindUnitToBlueprint(old, scout.id, 7);
+        } finally {
+            console.warn = warn;
+        }
+    }), null, 'unknown revision');
+});
+
+test('Production builds the revision a job was queued for', () => {
+    localStorage.clear();
+    const station = createSeedBlueprint();
+    const scout = createScoutSeedBlueprint();
+    saveBlueprint(station);
+    saveBlueprint(scout);
+
+    const world = new SimWorld({
+        seed: 9,
+        goals: { onboarding: false },
+        production: {
+            stats: new StatsEngine({
+                ...DEFAULT_STATS_CONFIG,
+                production: { ...DEFAULT_STATS_CONFIG.production, buildTimeSecPerComplexity: 4 / 3 }
+            })
+        }
+    });
+    const factory = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    applyBlueprintStats(factory, station, world.productionSystem.stats);
+
+    const job = world.productionSystem.queueBuild(factory.id, scout.id).job;
+    world.runTicks(5);
+
+    const edited = getBlueprint(scout.id);
+    edited.setAllocation('move', 0.75);
+    edited.setAllocation('vision', 0.25);
+    saveBlueprint(edited);
+
+    world.runTicks(20);
+    assertEqual(job.status, ProductionJobStatus.DONE);
+    const built = world.getUnit(job.resultUnitId);
+    assertEqual(built.typeVersion, 1, 'queued revision built');
+    assertEqual(built.typeSpec.allocations.move, 0.5);
+
+    const next = world.productionSystem.queueBuild(factory.id, scout.id).job;
+    assertEqual(next.blueprintVersion, 2, 'new jobs use the latest revision');
+});
+
+test('History export and import', () => {
+    const { scout } = saveScoutRevisions();
+    const json = exportBlueprintHistory(scout.id);
+    assertEqual(exportBlueprintHistory('missing'), null);
+    const exported = JSON.parse(json);
+    assertEqual(exported.history[scout.id].length, 2);
+    assertEqual(Object.keys(exported.blueprints).length, 1, 'only that type');
+
+    quietly(() => clearAllBlueprints());
+    assertEqual(importBlueprints(json), 1);
+    assertEqual(getBlueprintHistory(scout.id).map(r => r.version).join(','), '1,2', 'history imported');
+    assertEqual(getBlueprint(scout.id).version, 2);
+
+    // Local revision 3 is newer than the imported head: kept
+    const local = getBlueprint(scout.id);
+    local.designPct = 100;
+    saveBlueprint(local);
+    assertEqual(importBlueprints(json), 1);
+    assertEqual(getBlueprint(scout.id).version, 3, 'newer local head kept');
+    assertEqual(getBlueprintHistory(scout.id).length, 3, 'no duplicate revisions');
+
+    assertTrue(deleteBlueprint(scout.id));
+    assertEqual(getBlueprintHistory(scout.id).length, 0, 'history deleted with the type');
+});
+
+// ============ Summary ============
+
+console.log('\n=== Blueprint History Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Blueprint History tests PASS');
+    process.exit(0);
+}
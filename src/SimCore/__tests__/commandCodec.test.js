@@ -0,0 +1,300 @@
+/**
+ * Command Codec Tests
+ *
+ * Validates:
+ * - Every CommandType round-trips (positions within quantization error)
+ * - canonicalizeCommand is idempotent (sender and peers agree)
+ * - SET_PATH point lists are delta-encoded and much smaller than JSON
+ * - Unknown types, extra fields and unexpected values survive unchanged
+ * - Lockstep turns and rollback inputs nest commands
+ * - Version negotiation, corrupt/unsupported input
+ * - TransportBase byte counters and bytes/sec
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/commandCodec.test.js
+ */
+
+import {
+    JSON_CODEC_VERSION,
+    CURRENT_CODEC_VERSION,
+    negotiateCodecVersion,
+    encodeCommandBatch,
+    decodeCommandBatch,
+    readCommandBatchCount,
+    canonicalizeCommand,
+    quantizeSurfacePoint,
+    dequantizeSurfacePoint
+} from '../transport/CommandCodec.js';
+import { TransportBase } from '../transport/ITransport.js';
+import { LockstepMessageType } from '../transport/LockstepTransport.js';
+import { RollbackMessageType } from '../transport/RollbackTransport.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { SeededRNG } from '../runtime/SeededRNG.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+function assertThrows(fn, msg = '') {
+    let threw = false;
+    try { fn(); } catch (err) { threw = true; }
+    assertTrue(threw, msg || 'Expected an error');
+}
+
+// ============ Helpers ============
+
+const rng = new SeededRNG(2024);
+
+/** Random point near a radius-60 planet surface */
+function surfacePoint() {
+    const z = rng.next() * 2 - 1;
+    const a = rng.next() * Math.PI * 2;
+    const r = 60 + rng.next() * 4;
+    const s = Math.sqrt(1 - z * z);
+    return { x: r * s * Math.cos(a), y: r * s * Math.sin(a), z: r * z };
+}
+
+function distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+/** JSON with sorted keys (the codec does not preserve key order) */
+function sortedJson(value) {
+    return JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+        ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+        : v));
+}
+
+function roundTrip(command) {
+    return decodeCommandBatch(encodeCommandBatch([command])).commands[0];
+}
+
+// ============ Tests ============
+
+console.log('\n=== Command Codec Tests ===\n');
+
+test('Every CommandType round-trips', () => {
+    const p = surfacePoint();
+    const commands = [
+        { type: CommandType.SELECT, unitId: 3, skipCamera: true },
+        { type: CommandType.DESELECT },
+        { type: CommandType.MOVE, unitId: 'unit_7', position: p },
+        { type: CommandType.SET_PATH, unitId: 3, points: [surfacePoint(), surfacePoint()] },
+        { type: CommandType.CLOSE_PATH, unitId: 3 },
+        { type: CommandType.WAIT, unitId: 3, seconds: 2.5 },
+        { type: CommandType.STOP, unitId: 3 },
+        { type: CommandType.REORDER_COMMANDS, unitId: 3, order: ['icmd_4', 'icmd_2'] },
+        { type: CommandType.DELETE_COMMAND, unitId: 3, commandId: 'icmd_4' },
+        { type: CommandType.TOGGLE_PAUSE, unitId: 3 },
+        { type: CommandType.SET_LOOPING, unitId: 3, enabled: false },
+        { type: CommandType.ATTACK, unitId: 3, targetId: 9 },
+        { type: CommandType.BUILD, unitId: 3, typeId: 'refinery', position: p, scheduledTick: 42 },
+        // v2 layouts
+        { type: CommandType.PRODUCE, unitId: 3, typeId: 'scout' },
+        { type: CommandType.REFIT, unitId: 3, targetId: 9 },
+        { type: CommandType.CANCEL_PRODUCTION, unitId: 3, jobId: 'PJOB_002' },
+        { type: CommandType.RESEARCH, unitId: 3, goalId: 'GOAL_INVENT_SWIM', researchType: null, featureId: null, constraintKey: null },
+        { type: CommandType.APPLY_TRAINING, records: [{ featureId: 'move', highScore: 80 }] },
+        { type: CommandType.RESUME, unitId: 3 },
+        { type: CommandType.SET_UNIT_SPEED, speed: 12.5 }
+    ];
+    assertEqual(commands.length, Object.keys(CommandType).length, 'covers every type');
+
+    const { version, commands: decoded } = decodeCommandBatch(encodeCommandBatch(commands));
+    assertEqual(version, CURRENT_CODEC_VERSION);
+    decoded.forEach((cmd, i) => {
+        const { position, points, ...rest } = commands[i];
+        const { position: dPosition, points: dPoints, ...dRest } = cmd;
+        assertEqual(sortedJson(dRest), sortedJson(rest), `${cmd.type} fields`);
+        if (position) assertTrue(distance(dPosition, position) < 0.01, `${cmd.type} position`);
+        if (points) points.forEach((pt, j) => assertTrue(distance(dPoints[j], pt) < 0.01, 'path point'));
+    });
+});
+
+test('v2 layouts: production, research, training, RESUME and SET_UNIT_SPEED commands are binary and round-trip', () => {
+    const commands = [
+        { type: CommandType.PRODUCE, unitId: 3, typeId: 'scout', scheduledTick: 9, senderId: 'peer-a' },
+        { type: CommandType.REFIT, unitId: 'unit_3', targetId: 9 },
+        { type: CommandType.CANCEL_PRODUCTION, unitId: 3, jobId: 'PJOB_002' },
+        { type: CommandType.RESEARCH, unitId: 3, goalId: 'GOAL_INVENT_SWIM', researchType: null, featureId: null, constraintKey: null },
+        { type: CommandType.RESEARCH, unitId: 3, goalId: null, researchType: 'EXTEND', featureId: 'MOVE_FLY', constraintKey: 'maxAltitude' },
+        { type: CommandType.APPLY_TRAINING, records: [{ featureId: 'move', highScore: 80 }, { featureId: 'vision', highScore: 12.5 }] },
+        { type: CommandType.APPLY_TRAINING, records: [] },
+        { type: CommandType.RESUME, unitId: 'unit_3' },
+        { type: CommandType.SET_UNIT_SPEED, speed: 7 }
+    ];
+    for (const command of commands) {
+        const bytes = encodeCommandBatch([command], 2);
+        const json = new TextEncoder().encode(JSON.stringify(command)).length;
+        assertTrue(bytes.length < json, `${command.type} encoded compactly (${bytes.length} < ${json} bytes)`);
+        assertEqual(sortedJson(decodeCommandBatch(bytes).commands[0]), sortedJson(command), `${command.type} v2`);
+        assertEqual(sortedJson(decodeCommandBatch(encodeCommandBatch([command], 1)).commands[0]), sortedJson(command),
+            `${command.type} v1 (JSON-embedded)`);
+    }
+
+    // Values outside the layout still survive as extras
+    const odd = { type: CommandType.APPLY_TRAINING, records: [{ featureId: 'move', highScore: 80, note: 'x' }], extra: true };
+    assertEqual(sortedJson(roundTrip(odd)), sortedJson(odd), 'extras');
+});
+
+test('Quantization error is small and canonical form is idempotent', () => {
+    let maxError = 0;
+    for (let i = 0; i < 2000; i++) {
+        const p = surfacePoint();
+        const once = canonicalizeCommand({ type: CommandType.MOVE, unitId: 1, position: p });
+        const twice = canonicalizeCommand(once);
+        assertEqual(JSON.stringify(twice), JSON.stringify(once), 'idempotent');
+        maxError = Math.max(maxError, distance(once.position, p));
+    }
+    assertTrue(maxError < 0.005, `max error ${maxError}`);
+
+    const origin = dequantizeSurfacePoint(quantizeSurfacePoint({ x: 0, y: 0, z: 0 }));
+    assertEqual(origin.x + origin.y + origin.z, 0, 'zero vector survives');
+    const south = dequantizeSurfacePoint(quantizeSurfacePoint({ x: 0, y: 0, z: -60 }));
+    assertTrue(distance(south, { x: 0, y: 0, z: -60 }) < 0.005, 'lower hemisphere folds correctly');
+});
+
+test('SET_PATH is delta-encoded and much smaller than JSON', () => {
+    const points = [];
+    for (let i = 0; i < 300; i++) {
+        const a = i * 0.005;
+        points.push({ x: 60 * Math.cos(a), y: 60 * Math.sin(a), z: 0.3 + i * 0.001 });
+    }
+    const command = { type: CommandType.SET_PATH, unitId: 12, points };
+    const binary = encodeCommandBatch([command]).length;
+    const json = JSON.stringify(command).length;
+    assertTrue(binary * 8 < json, `binary ${binary} bytes vs JSON ${json}`);
+    assertTrue(binary < points.length * 8, 'a few bytes per point');
+});
+
+test('Unknown types and extra fields pass through unchanged', () => {
+    const unknown = { type: 'DESYNC_REPORT', peerId: 'a', hashes: [1, 2, 3], nested: { ok: true } };
+    assertEqual(JSON.stringify(roundTrip(unknown)), JSON.stringify(unknown), 'unknown type');
+
+    const extras = { type: CommandType.MOVE, unitId: 1, target: { x: 1 }, tick: 3, position: 'not-a-vector' };
+    const decoded = roundTrip(extras);
+    assertEqual(decoded.position, 'not-a-vector', 'unexpected value kept verbatim');
+    assertEqual(decoded.tick, 3, 'extra field');
+    assertEqual(decoded.target.x, 1, 'extra object');
+
+    const negative = roundTrip({ type: CommandType.SELECT, unitId: -2.5 });
+    assertEqual(negative.unitId, -2.5, 'non-integer ids');
+});
+
+test('Lockstep turns nest their commands', () => {
+    const move = { type: CommandType.MOVE, unitId: 1, position: surfacePoint(), scheduledTick: 7 };
+    const turn = { type: LockstepMessageType.TURN, peerId: 'alice', tick: 7, commands: [move, { type: 'CUSTOM', a: 1 }] };
+    const decoded = roundTrip(turn);
+    assertEqual(decoded.peerId, 'alice');
+    assertEqual(decoded.tick, 7);
+    assertEqual(decoded.commands.length, 2);
+    assertEqual(decoded.commands[0].scheduledTick, 7, 'nested fields');
+    assertEqual(decoded.commands[1].a, 1, 'nested unknown type');
+    assertEqual(readCommandBatchCount(encodeCommandBatch([turn, move])), 2, 'header count');
+});
+
+test('Rollback inputs nest their command and are binary in v2', () => {
+    const move = { type: CommandType.MOVE, unitId: 1, position: surfacePoint() };
+    const input = { type: RollbackMessageType.INPUT, peerId: 'bob', inputSeq: 12, tick: 40, command: move };
+
+    const bytes = encodeCommandBatch([input], 2);
+    const decoded = decodeCommandBatch(bytes).commands[0];
+    assertEqual(decoded.type, RollbackMessageType.INPUT);
+    assertEqual(decoded.peerId, 'bob');
+    assertEqual(decoded.inputSeq, 12);
+    assertEqual(decoded.tick, 40);
+    assertEqual(decoded.command.type, CommandType.MOVE, 'nested type');
+    assertEqual(decoded.command.unitId, 1, 'nested fields');
+    assertTrue(distance(decoded.command.position, move.position) < 0.01, 'nested position within quantization error');
+    assertEqual(sortedJson(roundTrip(decoded)), sortedJson(decoded), 'canonical form is stable');
+
+    const json = new TextEncoder().encode(JSON.stringify(input)).length;
+    assertTrue(bytes.length < json / 2, `encoded compactly (${bytes.length} vs ${json} JSON bytes)`);
+
+    // v1 has no layout: the whole input travels as embedded JSON
+    assertEqual(sortedJson(decodeCommandBatch(encodeCommandBatch([input], 1)).commands[0]), sortedJson(input), 'v1 (JSON-embedded)');
+
+    // Unknown nested types still survive
+    const custom = { ...input, command: { type: 'CUSTOM', a: 1 } };
+    assertEqual(sortedJson(decodeCommandBatch(encodeCommandBatch([custom], 2)).commands[0]), sortedJson(custom), 'nested unknown type');
+});
+
+test('Version negotiation picks the best common version', () => {
+    assertEqual(negotiateCodecVersion([1]), 1);
+    assertEqual(negotiateCodecVersion([1, 2], [1]), 1, 'highest common');
+    assertEqual(negotiateCodecVersion([1], []), JSON_CODEC_VERSION, 'JSON-only peer');
+    assertEqual(negotiateCodecVersion([1], undefined), JSON_CODEC_VERSION, 'peer without codec support');
+    assertEqual(negotiateCodecVersion(), JSON_CODEC_VERSION);
+});
+
+test('Corrupt or unsupported batches throw', () => {
+    assertThrows(() => encodeCommandBatch([], 99), 'unsupported encode version');
+    assertThrows(() => decodeCommandBatch(new Uint8Array([99, 0])), 'unsupported decode version');
+    const bytes = encodeCommandBatch([{ type: CommandType.MOVE, unitId: 1, position: surfacePoint() }]);
+    assertThrows(() => decodeCommandBatch(bytes.subarray(0, bytes.length - 2)), 'truncated');
+    const padded = new Uint8Array(bytes.length + 1);
+    padded.set(bytes);
+    assertThrows(() => decodeCommandBatch(padded), 'trailing bytes');
+});
+
+test('TransportBase reports wire bytes and bytes/sec', () => {
+    class CountingTransport extends TransportBase {
+        send(command) { this._recordBytes(JSON.stringify(command).length); }
+        connect() {}
+        disconnect() {}
+    }
+    const transport = new CountingTransport();
+    let now = 0;
+    transport._byteClock = () => now;
+
+    assertEqual(transport.getStats().bytesSentPerSec, 0, 'idle');
+    for (let i = 0; i < 10; i++) {
+        transport._recordBytes(100, 50);
+        now += 500;
+    }
+    const stats = transport.getStats();
+    assertEqual(stats.bytesSent, 1000);
+    assertEqual(stats.bytesReceived, 500);
+    assertEqual(stats.bytesSentPerSec, 200, '1000 bytes over the 5 s window');
+    assertEqual(stats.bytesReceivedPerSec, 100);
+
+    now += 10000;
+    assertEqual(transport.getStats().bytesSentPerSec, 0, 'window expired');
+    assertEqual(transport.getStats().bytesSent, 1000, 'totals kept');
+    assertEqual(transport.canonicalize(stats), stats, 'base canonicalize is identity');
+});
+
+// ============ Summary ============
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Command Codec tests PASS');
+    process.exit(0);
+}
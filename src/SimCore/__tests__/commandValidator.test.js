@@ -0,0 +1,327 @@
+/**
+ * Command Validation / Authority Test
+ *
+ * Validates CommandValidator between transport and CommandQueue:
+ * - Ownership (remote senders cannot command local units)
+ * - NaN / out-of-range positions, empty and oversized SET_PATH
+ * - SET_UNIT_SPEED range
+ * - Rejections reported locally (onRejected) and remotely (COMMAND_REJECTED),
+ *   on a separate notice transport under lockstep / rollback
+ * - Deferred state checks (rollback): validate() at the input's tick, counted once
+ * - Per-sender rate limiting of rejected commands, in sim ticks
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/commandValidator.test.js
+ */
+
+import { CommandQueue, CommandType } from '../runtime/CommandQueue.js';
+import {
+    CommandValidator,
+    validateCommand,
+    RejectReason,
+    AuthorityMessageType
+} from '../runtime/CommandValidator.js';
+import { LocalTransport } from '../transport/LocalTransport.js';
+import { TransportBase, TransportState } from '../transport/ITransport.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Records sent messages; delivery is driven by the test (test-only).
+ */
+class SpyTransport extends TransportBase {
+    constructor() {
+        super();
+        this.sent = [];
+    }
+
+    connect() {
+        this._state = TransportState.CONNECTED;
+    }
+
+    disconnect() {
+        this._state = TransportState.DISCONNECTED;
+    }
+
+    send(command) {
+        this._messagesSent++;
+        this.sent.push(command);
+    }
+
+    deliver(command) {
+        this._deliverReceived(command);
+    }
+}
+
+function createUnits() {
+    return [
+        { id: 1, model: { ownerId: 'local' } },
+        { id: 2, ownerId: 'bob' },
+        { id: 3 }
+    ];
+}
+
+function context(senderId = 'local') {
+    return { units: createUnits(), senderId };
+}
+
+// Silence expected rejection logs
+const originalWarn = console.warn;
+console.warn = () => {};
+
+// ============ Tests ============
+
+test('validateCommand rejects malformed commands with reasons', () => {
+    const move = (position) => ({ type: CommandType.MOVE, unitId: 1, position });
+
+    assertEqual(validateCommand({ type: 'NUKE' }, context()).reason, RejectReason.UNKNOWN_TYPE, 'unknown type');
+    assertEqual(validateCommand({ type: CommandType.SELECT, unitId: 99 }, context()).reason,
+        RejectReason.UNKNOWN_UNIT, 'unknown unit');
+    assertEqual(validateCommand(move({ x: NaN, y: 0, z: 0 }), context()).reason,
+        RejectReason.INVALID_POSITION, 'NaN');
+    assertEqual(validateCommand(move({ x: 0, y: '5', z: 0 }), context()).reason,
+        RejectReason.INVALID_POSITION, 'string coordinate');
+    assertEqual(validateCommand(move(null), context()).reason, RejectReason.INVALID_POSITION, 'missing');
+    assertEqual(validateCommand(move({ x: 0, y: 1e9, z: 0 }), context()).reason,
+        RejectReason.OUT_OF_BOUNDS, 'out of range');
+    assertEqual(validateCommand(move({ x: 1, y: 2, z: 3 }), context()).valid, true, 'valid move');
+    assertEqual(validateCommand({ type: CommandType.DESELECT }, context('anyone')).valid, true, 'deselect');
+});
+
+test('validateCommand checks SET_PATH point arrays', () => {
+    const setPath = (points) => ({ type: CommandType.SET_PATH, unitId: 1, points });
+    const points = (n) => Array.from({ length: n }, (_, i) => ({ x: i, y: 0, z: 0 }));
+
+    assertEqual(validateCommand(setPath([]), context()).reason, RejectReason.EMPTY_PATH, 'empty');
+    assertEqual(validateCommand(setPath('abc'), context()).reason, RejectReason.EMPTY_PATH, 'not an array');
+    assertEqual(validateCommand(setPath(points(65)), context()).reason, RejectReason.TOO_MANY_POINTS, 'oversized');
+    assertEqual(validateCommand(setPath([...points(3), { x: Infinity, y: 0, z: 0 }]), context()).reason,
+        RejectReason.INVALID_POSITION, 'bad point');
+    assertEqual(validateCommand(setPath(points(64)), context()).valid, true, 'at limit');
+});
+
+test('validateCommand enforces unit ownership', () => {
+    const select = (unitId) => ({ type: CommandType.SELECT, unitId });
+
+    assertEqual(validateCommand(select(1), context('local')).valid, true, 'local owns model.ownerId local');
+    assertEqual(validateCommand(select(3), context('local')).valid, true, 'unowned defaults to local');
+    assertEqual(validateCommand(select(1), context('bob')).reason, RejectReason.NOT_OWNER, 'bob vs local unit');
+    assertEqual(validateCommand(select(2), context('bob')).valid, true, 'bob owns unit 2');
+    assertEqual(validateCommand(select(2), context('local')).reason, RejectReason.NOT_OWNER, 'local vs bob unit');
+
+    // 'local' is a player ID like any other: never an alias for whoever validates
+    assertEqual(validateCommand(select(1), context('client-7')).reason, RejectReason.NOT_OWNER, "'local' unit vs client-7");
+});
+
+test('validateCommand checks SET_UNIT_SPEED values', () => {
+    const setSpeed = (speed) => ({ type: CommandType.SET_UNIT_SPEED, speed });
+
+    assertEqual(validateCommand(setSpeed(12), context('anyone')).valid, true, 'no unit to own');
+    assertEqual(validateCommand(setSpeed(0), context()).reason, RejectReason.INVALID_PARAMS, 'zero');
+    assertEqual(validateCommand(setSpeed(-3), context()).reason, RejectReason.INVALID_PARAMS, 'negative');
+    assertEqual(validateCommand(setSpeed(NaN), context()).reason, RejectReason.INVALID_PARAMS, 'NaN');
+    assertEqual(validateCommand(setSpeed('5'), context()).reason, RejectReason.INVALID_PARAMS, 'string');
+    assertEqual(validateCommand(setSpeed(1e6), context()).reason, RejectReason.INVALID_PARAMS, 'too fast');
+});
+
+test('Attached validator only enqueues accepted commands', () => {
+    const transport = new LocalTransport();
+    const queue = new CommandQueue();
+    const notices = [];
+    transport.onReceive = (cmd) => queue.enqueue(cmd);
+    transport.connect();
+
+    const validator = new CommandValidator({
+        commandQueue: queue,
+        transport,
+        getUnits: createUnits,
+        onRejected: n => notices.push(n)
+    });
+    validator.attach();
+
+    transport.send({ type: CommandType.MOVE, unitId: 1, position: { x: 1, y: 2, z: 3 } });
+    transport.send({ type: CommandType.MOVE, unitId: 2, position: { x: 1, y: 2, z: 3 } });
+    transport.send({ type: CommandType.SET_PATH, unitId: 1, points: [] });
+
+    assertEqual(queue.pendingCount, 1, 'one accepted');
+    assertEqual(notices.length, 2, 'local rejections reported via onRejected');
+    assertEqual(notices[0].reason, RejectReason.NOT_OWNER, 'first reason');
+    assertEqual(notices[1].reason, RejectReason.EMPTY_PATH, 'second reason');
+    assertEqual(validator.getStats().rejected, 2, 'stats');
+
+    validator.detach();
+    transport.send({ type: CommandType.MOVE, unitId: 2, position: { x: 1, y: 2, z: 3 } });
+    assertEqual(queue.pendingCount, 2, 'detached: original callback restored');
+});
+
+test('Remote rejections are reported over the transport', () => {
+    const host = new SpyTransport();
+    const queue = new CommandQueue();
+    host.connect();
+    const validator = new CommandValidator({ commandQueue: queue, transport: host, getUnits: createUnits });
+    validator.attach();
+
+    host.deliver({ type: CommandType.MOVE, unitId: 1, position: { x: 0, y: 0, z: 0 }, senderId: 'bob' });
+
+    assertEqual(queue.pendingCount, 0, 'rejected');
+    assertEqual(host.sent.length, 1, 'notice sent');
+    assertEqual(host.sent[0].type, AuthorityMessageType.COMMAND_REJECTED, 'notice type');
+    assertEqual(host.sent[0].targetSenderId, 'bob', 'addressed to sender');
+    assertEqual(host.sent[0].reason, RejectReason.NOT_OWNER, 'reason');
+
+    // Bob's side: the notice reaches his onRejected, not his queue
+    const client = new SpyTransport();
+    const clientQueue = new CommandQueue();
+    const notices = [];
+    const clientValidator = new CommandValidator({
+        commandQueue: clientQueue,
+        transport: client,
+        getUnits: createUnits,
+        localPlayerId: () => 'bob',
+        onRejected: n => notices.push(n)
+    });
+    clientValidator.attach();
+
+    client.deliver({ ...host.sent[0], senderId: 'host' });
+    client.deliver({ ...host.sent[0], targetSenderId: 'carol', senderId: 'host' });
+
+    assertEqual(notices.length, 1, 'only notices addressed to bob');
+    assertEqual(clientQueue.pendingCount, 0, 'notices never enqueued');
+});
+
+test('Notices travel on the notice transport, not the wrapper', () => {
+    // wrapper: lockstep / rollback transport (commands); net: the network transport under it
+    const wrapper = new SpyTransport();
+    const net = new SpyTransport();
+    const queue = new CommandQueue();
+    const passedOn = [];
+    const notices = [];
+    net.onReceive = (message) => passedOn.push(message);
+
+    const validator = new CommandValidator({
+        commandQueue: queue,
+        transport: wrapper,
+        noticeTransport: net,
+        getUnits: createUnits,
+        localPlayerId: 'bob',
+        onRejected: n => notices.push(n)
+    });
+    validator.attach();
+
+    wrapper.deliver({ type: CommandType.MOVE, unitId: 1, position: { x: 0, y: 0, z: 0 }, senderId: 'carol' });
+    assertEqual(wrapper.sent.length, 0, 'nothing through the wrapper');
+    assertEqual(net.sent.length, 1, 'notice on the network transport');
+    assertEqual(net.sent[0].targetSenderId, 'carol', 'addressed to sender');
+
+    net.deliver({ ...net.sent[0], targetSenderId: 'bob' });
+    net.deliver({ type: 'DESYNC_HASH', tick: 5 });
+    assertEqual(notices.length, 1, 'notice from the network transport reported');
+    assertEqual(passedOn.length, 1, 'other network messages passed on');
+    assertEqual(passedOn[0].type, 'DESYNC_HASH', 'passed-on message');
+
+    validator.detach();
+    net.deliver({ type: AuthorityMessageType.COMMAND_REJECTED, targetSenderId: 'bob' });
+    assertEqual(passedOn.length, 2, 'detached: network callback restored');
+});
+
+test('Deferred state checks run in validate() and count each input once', () => {
+    const transport = new SpyTransport();
+    const queued = [];
+    const validator = new CommandValidator({
+        commandQueue: { enqueue: (cmd) => queued.push(cmd) },
+        transport,
+        getUnits: createUnits,
+        deferStateChecks: true
+    });
+    validator.attach();
+
+    const forged = { type: CommandType.MOVE, unitId: 2, position: { x: 0, y: 0, z: 0 } };
+    transport.deliver(forged);
+    assertEqual(queued.length, 1, 'enqueued without state checks');
+
+    const input = queued[0];
+    assertEqual(validator.validate(input, 11), false, 'local player does not own unit 2');
+    assertEqual(validator.validate(input, 11), false, 'same result on resimulation');
+    assertEqual(validator.validate({ type: CommandType.SELECT, unitId: 1 }, 11), true, 'own unit');
+    assertEqual(validator.getStats().rejected, 1, 'rejection counted once');
+    assertEqual(validator.getStats().accepted, 1, 'acceptance counted once');
+});
+
+test('Repeated rejections rate-limit the sender', () => {
+    let tick = 0;
+    const host = new SpyTransport();
+    const queue = new CommandQueue();
+    const validator = new CommandValidator({
+        commandQueue: queue,
+        transport: host,
+        getUnits: createUnits,
+        maxRejections: 3,
+        rateWindowTicks: 20,
+        getTick: () => tick
+    });
+    validator.attach();
+
+    const bad = { type: CommandType.MOVE, unitId: 2, position: { x: NaN, y: 0, z: 0 }, senderId: 'bob' };
+    const good = { type: CommandType.SELECT, unitId: 2, senderId: 'bob' };
+
+    for (let i = 0; i < 5; i++) host.deliver(bad);
+    host.deliver(good);
+
+    assertEqual(host.sent.length, 3, 'notices stop once limited');
+    assertEqual(queue.pendingCount, 0, 'valid command dropped while limited');
+    assertEqual(validator.getStats().rateLimited[0], 'bob', 'bob limited');
+
+    tick += 20;
+    host.deliver(good);
+    assertEqual(queue.pendingCount, 1, 'accepted after window');
+
+    // Lockstep commands count their scheduledTick, not the local tick
+    for (let i = 0; i < 3; i++) host.deliver({ ...bad, scheduledTick: 100 });
+    host.deliver({ ...good, scheduledTick: 119 });
+    assertEqual(queue.pendingCount, 1, 'limited within the scheduled window');
+    host.deliver({ ...good, scheduledTick: 120 });
+    assertEqual(queue.pendingCount, 2, 'accepted once the scheduled window ends');
+});
+
+console.warn = originalWarn;
+
+// ============ Summary ============
+
+console.log('\n=== Command Validator Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Command Validator tests PASS');
+    process.exit(0);
+}
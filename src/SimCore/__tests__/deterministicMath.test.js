@@ -0,0 +1,215 @@
+/**
+ * Deterministic Math / Quantized Mode Test
+ *
+ * Validates DeterministicMath and the opt-in quantized simulation mode:
+ * - quantize* snaps to the 16.16 grid (in place, -0 normalized)
+ * - dsin/dcos/datan2 match Math.* and reproduce golden bit patterns
+ * - SimWorld({ quantize: true }) keeps unit state on the grid
+ * - Sub-quantum float noise does not change quantized hashes
+ * - Replays record and enforce the math mode
+ * - Sim-path modules use the reproducible functions, not Math trig
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/deterministicMath.test.js
+ */
+
+import {
+    QUANTIZE_SCALE,
+    quantize,
+    toFixedInt,
+    quantizeVec3,
+    quantizeQuat,
+    dsqrt,
+    dsin,
+    dcos,
+    datan2
+} from '../runtime/DeterministicMath.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { hashState, checksumState } from '../runtime/StateSurface.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+import { readFileSync } from 'fs';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+function onGrid(value) {
+    return Number.isInteger(value * QUANTIZE_SCALE);
+}
+
+/**
+ * Two units on crossing paths; `perturb` nudges unit 1 between ticks.
+ */
+function runWorld({ quantize: quantized = false, perturb = 0 } = {}) {
+    const world = new SimWorld({ seed: 3, quantize: quantized });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.spawnUnit({ position: { x: 10, y: 0, z: 0 } });
+
+    world.commandQueue.enqueue({
+        type: CommandType.SET_PATH,
+        unitId: 1,
+        points: [{ x: 10, y: 0, z: 0 }, { x: 0, y: 0, z: 10 }, { x: -10, y: 0, z: 0 }]
+    });
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: 2, position: { x: 0, y: -10, z: 0 } });
+
+    // Noise lands between ticks; the final tick leaves state untouched
+    world.runTicks(60, (tick, w) => {
+        if (tick < 60) w.getUnit(1).position.x += perturb;
+    });
+    return world;
+}
+
+// ============ Tests ============
+
+test('quantize snaps to the 16.16 grid', () => {
+    assertEqual(quantize(1.00000001), 1, 'sub-quantum noise removed');
+    assertEqual(quantize(0.5 + 1 / QUANTIZE_SCALE), 0.5 + 1 / QUANTIZE_SCALE, 'grid values kept');
+    assertTrue(Object.is(quantize(-1e-9), 0), '-0 normalized');
+    assertEqual(toFixedInt(1.5), 98304, 'grid index');
+    assertTrue(Number.isNaN(quantize(NaN)), 'NaN passes through');
+
+    const v = { x: 1 / 3, y: -2 / 3, z: 5 };
+    assertEqual(quantizeVec3(v), v, 'in place');
+    assertTrue(onGrid(v.x) && onGrid(v.y) && v.z === 5, 'vector on grid');
+
+    const q = { x: 0.1, y: 0.2, z: 0.3, w: 0.9273618495495704 };
+    quantizeQuat(q);
+    assertTrue(onGrid(q.x) && onGrid(q.w), 'quaternion on grid');
+});
+
+test('dsin/dcos/datan2 match Math within 1e-14', () => {
+    let maxError = 0;
+    for (let i = -2000; i <= 2000; i++) {
+        const x = i * 0.0731;
+        maxError = Math.max(maxError, Math.abs(dsin(x) - Math.sin(x)), Math.abs(dcos(x) - Math.cos(x)));
+        const y = Math.sin(i) * 7;
+        const xx = Math.cos(i * 0.3) * 5;
+        maxError = Math.max(maxError, Math.abs(datan2(y, xx) - Math.atan2(y, xx)));
+    }
+    assertTrue(maxError < 1e-14, `max error ${maxError}`);
+    assertEqual(dsqrt(2), Math.SQRT2, 'sqrt');
+});
+
+test('datan2 follows Math.atan2 special cases', () => {
+    const cases = [[0, 1], [0, -1], [-0, -1], [1, 0], [-1, 0], [0, 0], [0, -0], [-0, -0], [Infinity, 1], [1, -Infinity]];
+    for (const [y, x] of cases) {
+        assertTrue(Object.is(datan2(y, x), Math.atan2(y, x)), `atan2(${y}, ${x})`);
+    }
+    assertTrue(Number.isNaN(dsin(Infinity)), 'sin(Infinity)');
+});
+
+test('Deterministic functions reproduce golden values bit-for-bit', () => {
+    // Built from correctly rounded + - * / only: identical on every engine
+    assertEqual(dsin(1), 0.8414709848078965, 'sin(1)');
+    assertEqual(dcos(2.5), -0.8011436155469337, 'cos(2.5)');
+    assertEqual(datan2(3, -4), 2.498091544796509, 'atan2(3, -4)');
+    assertEqual(dsin(1000.123), 0.8896308316731366, 'sin(1000.123)');
+});
+
+test('Quantized SimWorld keeps unit state on the grid', () => {
+    const world = runWorld({ quantize: true });
+    for (const unit of world.units) {
+        const p = unit.position;
+        const q = unit.quaternion;
+        assertTrue(onGrid(p.x) && onGrid(p.y) && onGrid(p.z), `unit ${unit.id} position`);
+        assertTrue(onGrid(q.x) && onGrid(q.y) && onGrid(q.z) && onGrid(q.w), `unit ${unit.id} quaternion`);
+        assertTrue(onGrid(unit.velocity.x) && onGrid(unit.speedFactor), `unit ${unit.id} velocity`);
+    }
+    assertTrue(world.getUnit(1).currentSpeed > 0, 'units actually moved');
+});
+
+test('Sub-quantum float noise does not change quantized hashes', () => {
+    const noise = 1e-11;
+    const rawA = runWorld();
+    const rawB = runWorld({ perturb: noise });
+    assertTrue(checksumState(rawA.serialize()) !== checksumState(rawB.serialize()), 'raw floats diverge');
+
+    const quantA = runWorld({ quantize: true });
+    const quantB = runWorld({ quantize: true, perturb: noise });
+    assertEqual(quantA.getHash(), quantB.getHash(), 'quantized hash');
+    assertEqual(checksumState(quantA.serialize()), checksumState(quantB.serialize()), 'quantized checksum');
+
+    // Quantized hashing alone also absorbs noise in snapshots
+    const state = rawA.serialize();
+    const noisy = JSON.parse(JSON.stringify(state));
+    noisy.units[0].position.x += noise;
+    assertEqual(hashState(state, { quantized: true }), hashState(noisy, { quantized: true }), 'hashState');
+    assertEqual(checksumState(state, { quantized: true }), checksumState(noisy, { quantized: true }), 'checksumState');
+});
+
+test('Replays record and enforce the math mode', () => {
+    const world = new SimWorld({ seed: 5, quantize: true });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    const recorder = new ReplayRecorder(world, { checkpointInterval: 10 });
+    recorder.start({ name: 'Quantized' });
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: 1, position: { x: 10, y: 0, z: 0 } });
+    world.runTicks(40);
+    const replay = recorder.stop();
+
+    assertEqual(replay.metadata.quantized, true, 'math mode recorded');
+
+    const floatPlayer = new ReplayPlayer(new SimWorld());
+    const mismatch = floatPlayer.load(replay);
+    assertEqual(mismatch.success, false, 'float sim rejected');
+    assertTrue(mismatch.error.includes('Math mode'), 'error message');
+
+    const player = new ReplayPlayer(new SimWorld({ quantize: true }));
+    assertEqual(player.load(replay).success, true, 'quantized sim loads');
+    assertEqual(player.verify().valid, true, 'checkpoints verify');
+});
+
+test('Sim-path modules use reproducible trig', () => {
+    const simModules = [
+        '../rules/MovementRules.js',
+        '../systems/MovementSystem.js',
+        '../systems/ProductionSystem.js',
+        '../runtime/UnitFactory.js',
+        '../runtime/SimWorld.js'
+    ];
+    for (const module of simModules) {
+        const source = readFileSync(new URL(module, import.meta.url), 'utf8');
+        const match = source.match(/Math\.(sin|cos|tan|asin|acos|atan2?)\(/);
+        assertEqual(match, null, `${module} uses Math.${match?.[1]}`);
+    }
+});
+
+// ============ Summary ============
+
+console.log('\n=== Deterministic Math Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Deterministic Math tests PASS');
+    process.exit(0);
+}
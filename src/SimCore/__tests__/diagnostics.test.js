@@ -0,0 +1,383 @@
+/**
+ * Desync Diagnostics Verification Test
+ *
+ * Validates:
+ * - checksumState covers every unit field (not just positions), entities,
+ *   system state and the RNG position
+ * - diffStates field-level diff (waypoints, commands, quaternion, waterState)
+ * - HashTimeline rolling window + chain hash
+ * - DesyncMonitor hash exchange over a transport + remote snapshot diff
+ *   (including a divergence in system state only)
+ * - settleTicks: hashes exchanged and compared only once a tick is final (rollback)
+ * - bisectReplays finds the first divergent tick of two command logs
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/diagnostics.test.js
+ */
+
+import { SimLoop } from '../runtime/SimLoop.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { checksumState, diffStates } from '../runtime/StateSurface.js';
+import { TransportBase, TransportState } from '../transport/ITransport.js';
+import { HashTimeline } from '../diagnostics/HashTimeline.js';
+import { DesyncMonitor, DesyncMessageType } from '../diagnostics/DesyncMonitor.js';
+import { bisectReplays, findFirstCommandDivergence } from '../diagnostics/bisect.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+function createUnitState(id, overrides = {}) {
+    return {
+        id,
+        position: { x: id, y: 10, z: 0 },
+        quaternion: { x: 0, y: 0, z: 0, w: 1 },
+        waypoints: [{ id: 'cmd_1', position: { x: 1, y: 2, z: 3 }, logicalState: 'neutral' }],
+        commands: [{ id: 'cmd_1', type: 'Move', params: {}, status: 'pending' }],
+        health: 100,
+        waterState: 'normal',
+        ...overrides
+    };
+}
+
+/**
+ * Synchronous in-memory peer link (test-only).
+ */
+class LinkedTransport extends TransportBase {
+    constructor() {
+        super();
+        this.peer = null;
+    }
+
+    connect() {
+        this._state = TransportState.CONNECTED;
+    }
+
+    disconnect() {
+        this._state = TransportState.DISCONNECTED;
+    }
+
+    send(command) {
+        this._messagesSent++;
+        this.peer?._deliverReceived(JSON.parse(JSON.stringify(command)));
+    }
+}
+
+function createLinkedPair() {
+    const a = new LinkedTransport();
+    const b = new LinkedTransport();
+    a.peer = b;
+    b.peer = a;
+    a.connect();
+    b.connect();
+    return [a, b];
+}
+
+/**
+ * Minimal sim: one unit drifting along x; optional perturbation tick.
+ */
+function createMockSim(perturbTick = null) {
+    const sim = {
+        simLoop: new SimLoop({ fixedDtMs: 50 }),
+        units: [createUnitState(1)]
+    };
+    sim.simLoop.onSimTick = (dt, tick) => {
+        sim.units[0].position.x += dt;
+        if (tick === perturbTick) {
+            sim.units[0].waterState = 'slowing';
+        }
+    };
+    return sim;
+}
+
+/**
+ * Minimal sim whose units always agree; a production job finishes at
+ * `jobDoneTick` (system state only).
+ */
+function createSystemsSim(jobDoneTick) {
+    const sim = {
+        simLoop: new SimLoop({ fixedDtMs: 50 }),
+        units: [createUnitState(1)],
+        production: { jobs: [{ id: 'job_1', progress: 0 }] },
+        systems: { serialize: () => JSON.parse(JSON.stringify({ production: sim.production })) }
+    };
+    sim.simLoop.onSimTick = (dt, tick) => {
+        sim.units[0].position.x += dt;
+        if (tick === jobDoneTick) sim.production.jobs = [];
+    };
+    return sim;
+}
+
+function recordWorld(moveTarget) {
+    const world = new SimWorld({ seed: 3 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    const recorder = new ReplayRecorder(world, { checkpointInterval: 10 });
+    recorder.start({ name: 'bisect' });
+    world.runTicks(100, (tick, w) => {
+        if (tick === 30) {
+            w.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: moveTarget });
+        }
+    });
+    return recorder.stop();
+}
+
+// ============ Tests ============
+
+test('checksumState covers non-position fields', () => {
+    const base = { tickCount: 5, units: [createUnitState(1)] };
+    const same = { tickCount: 5, units: [createUnitState(1)] };
+    const water = { tickCount: 5, units: [createUnitState(1, { waterState: 'slowing' })] };
+    const perPeer = { ...base, selectedUnitId: 1, commandQueue: { pendingCount: 3 } };
+
+    assertEqual(checksumState(base), checksumState(same), 'identical states');
+    assertTrue(checksumState(base) !== checksumState(water), 'waterState changes checksum');
+    assertEqual(checksumState(base), checksumState(perPeer), 'per-peer fields ignored');
+
+    const full = { ...base, entities: [{ id: 9, kind: 'deposit', amount: 5 }], systems: { goals: { done: [] } }, rng: { seed: 1, state: 7, callCount: 2 } };
+    assertTrue(checksumState(full) !== checksumState({ ...full, entities: [{ id: 9, kind: 'deposit', amount: 4 }] }), 'entities change checksum');
+    assertTrue(checksumState(full) !== checksumState({ ...full, systems: { goals: { done: ['g1'] } } }), 'system state changes checksum');
+    assertTrue(checksumState(full) !== checksumState({ ...full, rng: { seed: 1, state: 9, callCount: 3 } }), 'RNG position changes checksum');
+});
+
+test('diffStates reports field-level paths', () => {
+    const a = { tickCount: 5, units: [createUnitState(1), createUnitState(2)] };
+    const b = {
+        tickCount: 5,
+        units: [
+            createUnitState(1, {
+                quaternion: { x: 0, y: 0.5, z: 0, w: 1 },
+                waterState: 'stopped',
+                waypoints: [{ id: 'cmd_1', position: { x: 1, y: 2, z: 4 }, logicalState: 'left' }],
+                commands: [{ id: 'cmd_1', type: 'Move', params: {}, status: 'completed' }]
+            }),
+            createUnitState(3)
+        ]
+    };
+
+    const result = diffStates(a, b);
+    const paths = result.differences.map(d => d.path);
+
+    assertEqual(result.equal, false, 'not equal');
+    assertTrue(paths.includes('units[1].quaternion.y'), 'quaternion');
+    assertTrue(paths.includes('units[1].waterState'), 'waterState');
+    assertTrue(paths.includes('units[1].waypoints[0].position.z'), 'waypoint position');
+    assertTrue(paths.includes('units[1].waypoints[0].logicalState'), 'waypoint state');
+    assertTrue(paths.includes('units[1].commands[0].status'), 'command status');
+    assertTrue(paths.includes('units[2]'), 'missing unit');
+    assertTrue(paths.includes('units[3]'), 'extra unit');
+
+    assertEqual(diffStates(a, a).equal, true, 'self-diff equal');
+});
+
+test('HashTimeline keeps a rolling window and chain', () => {
+    const timeline = new HashTimeline({ capacity: 5, snapshotCapacity: 2 });
+    for (let tick = 1; tick <= 8; tick++) {
+        timeline.record(tick, { tickCount: tick, units: [] });
+    }
+
+    assertEqual(timeline.size, 5, 'capacity');
+    assertEqual(timeline.get(3), null, 'oldest evicted');
+    assertEqual(timeline.latestTick, 8, 'latest tick');
+    assertTrue(timeline.getSnapshot(8) !== null, 'recent snapshot kept');
+    assertEqual(timeline.getSnapshot(6), null, 'old snapshot evicted');
+
+    const other = new HashTimeline();
+    for (let tick = 1; tick <= 8; tick++) {
+        const units = tick >= 6 ? [createUnitState(1)] : [];
+        other.record(tick, { tickCount: tick, units });
+    }
+    assertEqual(timeline.findFirstDivergence(other), 6, 'first divergence');
+    assertTrue(timeline.get(5).chain === other.get(5).chain, 'chain equal before divergence');
+    assertTrue(timeline.get(8).chain !== other.get(8).chain, 'chain differs after divergence');
+});
+
+test('DesyncMonitor detects mismatch and diffs remote snapshot', () => {
+    const [transportA, transportB] = createLinkedPair();
+    const received = [];
+    transportA.onReceive = (cmd) => received.push(cmd);
+
+    const simA = createMockSim();
+    const simB = createMockSim(35);
+
+    const desyncs = [];
+    const diffs = [];
+    const monitorA = new DesyncMonitor(simA, transportA, {
+        peerId: 'A',
+        onDesync: d => desyncs.push(d),
+        onDiff: r => diffs.push(r)
+    });
+    const monitorB = new DesyncMonitor(simB, transportB, { peerId: 'B' });
+    monitorA.start();
+    monitorB.start();
+
+    // B runs ahead of A by a few ticks (hashes queue until A catches up)
+    let timeB = 50;
+    let timeA = 50;
+    simB.simLoop.step(timeB);
+    simA.simLoop.step(timeA);
+    for (let i = 0; i < 5; i++) simB.simLoop.step(timeB += 50);
+    for (let i = 0; i < 45; i++) {
+        simB.simLoop.step(timeB += 50);
+        simA.simLoop.step(timeA += 50);
+    }
+
+    assertEqual(desyncs.length, 1, 'one desync reported');
+    assertEqual(desyncs[0].tick, 40, 'first exchanged tick after divergence');
+    assertEqual(desyncs[0].peerId, 'B', 'peer id');
+    assertEqual(diffs.length, 1, 'diff received');
+    assertTrue(diffs[0].differences.some(d => d.path === 'units[1].waterState'), 'waterState in diff');
+    assertEqual(received.length, 0, 'diagnostic messages not forwarded');
+
+    // Non-diagnostic messages still reach the original callback
+    transportB.send({ type: CommandType.SELECT, unitId: 1 });
+    assertEqual(received.length, 1, 'commands forwarded');
+
+    monitorA.stop();
+    assertEqual(typeof transportA.onReceive, 'function', 'callback restored');
+    transportB.send({ type: DesyncMessageType.HASH, peerId: 'B', tick: 1, hash: 'x' });
+    assertEqual(received.length, 2, 'stopped monitor no longer intercepts');
+});
+
+test('DesyncMonitor settleTicks holds hashes until the tick is final', () => {
+    const [transportA, transportB] = createLinkedPair();
+    const simA = createMockSim();
+    const simB = createMockSim(35);
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    // SimLoop advances tickCount after onSimTick returns
+    const hashTicks = [];
+    const send = transportA.send.bind(transportA);
+    transportA.send = (message) => {
+        if (message.type === DesyncMessageType.HASH) hashTicks.push(`${simA.simLoop.tickCount + 1}:${message.tick}`);
+        send(message);
+    };
+
+    const desyncs = [];
+    const diffs = [];
+    const monitorA = new DesyncMonitor(simA, transportA, {
+        peerId: 'A',
+        settleTicks: 10,
+        onDesync: d => desyncs.push({ ...d, at: simA.simLoop.tickCount + 1 }),
+        onDiff: r => diffs.push(r)
+    });
+    const monitorB = new DesyncMonitor(simB, transportB, { peerId: 'B', settleTicks: 10 });
+    monitorA.start();
+    monitorB.start();
+
+    let time = 50;
+    simB.simLoop.step(time);
+    simA.simLoop.step(time);
+    for (let i = 0; i < 55; i++) {
+        time += 50;
+        simB.simLoop.step(time);
+        simA.simLoop.step(time);
+    }
+    console.warn = originalWarn;
+
+    assertEqual(hashTicks.slice(0, 2).join(','), '20:10,30:20', 'hash of tick - settleTicks sent');
+    assertEqual(desyncs.length, 1, 'one desync reported');
+    assertEqual(desyncs[0].tick, 40, 'first exchanged tick after divergence');
+    assertEqual(desyncs[0].at, 50, 'reported once tick 40 settled on both sides');
+    assertEqual(diffs.length, 1, 'snapshot still retained for the diff');
+});
+
+test('DesyncMonitor reports a divergence in system state only', () => {
+    const [transportA, transportB] = createLinkedPair();
+    const simA = createSystemsSim(null);
+    const simB = createSystemsSim(25);
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    const desyncs = [];
+    const diffs = [];
+    const monitorA = new DesyncMonitor(simA, transportA, {
+        peerId: 'A',
+        onDesync: d => desyncs.push(d),
+        onDiff: r => diffs.push(r)
+    });
+    const monitorB = new DesyncMonitor(simB, transportB, { peerId: 'B' });
+    monitorA.start();
+    monitorB.start();
+
+    let time = 50;
+    simB.simLoop.step(time);
+    simA.simLoop.step(time);
+    for (let i = 0; i < 35; i++) {
+        time += 50;
+        simB.simLoop.step(time);
+        simA.simLoop.step(time);
+    }
+    console.warn = originalWarn;
+
+    assertEqual(desyncs.length, 1, 'desync reported');
+    assertEqual(desyncs[0].tick, 30, 'first exchanged tick after divergence');
+    assertEqual(diffs.length, 1, 'diff received');
+    assertTrue(diffs[0].differences.some(d => d.path.startsWith('systems.production.jobs')), 'production queue in diff');
+    assertTrue(diffs[0].differences.every(d => !d.path.startsWith('units')), 'units agree');
+});
+
+test('findFirstCommandDivergence finds differing entry', () => {
+    const a = [{ tick: 1, command: { type: 'SELECT' } }, { tick: 2, command: { type: 'MOVE' } }];
+    const b = [{ tick: 1, command: { type: 'SELECT' } }, { tick: 3, command: { type: 'MOVE' } }];
+    assertEqual(findFirstCommandDivergence(a, a), null, 'identical');
+    assertEqual(findFirstCommandDivergence(a, b).index, 1, 'index');
+    assertEqual(findFirstCommandDivergence(a, a.slice(0, 1)).b, null, 'shorter log');
+});
+
+test('bisectReplays locates first divergent tick', () => {
+    const replayA = recordWorld({ x: 10, y: 0, z: 0 });
+    const replayB = recordWorld({ x: 0, y: 0, z: 10 });
+
+    const same = bisectReplays(replayA, replayA, () => new SimWorld());
+    assertEqual(same.success, true, 'bisect ok');
+    assertEqual(same.divergentTick, null, 'identical logs do not diverge');
+
+    const result = bisectReplays(replayA, replayB, () => new SimWorld());
+    assertEqual(result.success, true, 'bisect ok');
+    assertEqual(result.divergentTick, 31, 'first divergent tick');
+    assertEqual(result.commandDivergence.index, 0, 'first differing command');
+    assertTrue(result.iterations < 12, `log2 iterations (${result.iterations})`);
+    assertTrue(result.diff.some(d => d.path.startsWith('units[1].position')), 'position in diff');
+});
+
+// ============ Summary ============
+
+console.log('\n=== Diagnostics Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Diagnostics tests PASS');
+    process.exit(0);
+}
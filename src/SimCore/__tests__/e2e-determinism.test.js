@@ -21,6 +21,8 @@
 import { SimLoop } from '../runtime/SimLoop.js';
 import { resetGlobalRNG, rngNext } from '../runtime/SeededRNG.js';
 import { resetEntityIdCounter, nextEntityId } from '../runtime/IdGenerator.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { CommandType } from '../runtime/CommandQueue.js';
 
 // ============ Minimal Headless Unit Model (test-only) ============
 
@@ -412,6 +414,53 @@ export function runStressTest(iterations = 10) {
     return { passed, failed };
 }
 
+/**
+ * Run the same dual-run check against SimWorld (real MovementSystem, not HeadlessUnit).
+ */
+export function runSimWorldTest() {
+    console.log('\n=== E2E Determinism: SimWorld (real movement) ===\n');
+
+    const SEED = 42;
+    const TICKS = 200;
+
+    const runOnce = () => {
+        const world = new SimWorld({ seed: SEED });
+        const a = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+        const b = world.spawnUnit({ position: { x: 10, y: 0, z: 0 } });
+
+        world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: a.id, position: { x: 10, y: 0, z: 0 } }, 5);
+        world.commandQueue.enqueue({
+            type: CommandType.SET_PATH,
+            unitId: b.id,
+            points: [{ x: 0, y: 0, z: 10 }, { x: -10, y: 0, z: 0 }, { x: 0, y: -10, z: 0 }]
+        }, 10);
+        world.commandQueue.enqueue({ type: CommandType.SELECT, unitId: b.id }, 20);
+        world.commandQueue.enqueue({ type: CommandType.CLOSE_PATH, unitId: b.id }, 21);
+
+        world.runTicks(TICKS);
+        return world.serialize();
+    };
+
+    const snap1 = runOnce();
+    const snap2 = runOnce();
+    const result = compareSnapshots(snap1, snap2);
+    const moved = snap1.units[0].position.x !== 0;
+
+    if (result.equal && moved) {
+        console.log('✓ PASS: SimWorld states are IDENTICAL');
+        for (const u of snap1.units) {
+            console.log(`  Unit ${u.id}: (${u.position.x.toFixed(6)}, ${u.position.y.toFixed(6)}, ${u.position.z.toFixed(6)})`);
+        }
+        return { passed: true, snapshot: snap1 };
+    }
+
+    console.log('✗ FAIL: SimWorld states DIFFER or units did not move');
+    for (const diff of result.differences) {
+        console.log(`  - ${diff}`);
+    }
+    return { passed: false, differences: result.differences, snap1, snap2 };
+}
+
 // ============ Auto-run if executed directly ============
 
 // Node.js detection
@@ -419,7 +468,8 @@ const isNode = typeof process !== 'undefined' && process.versions && process.ver
 
 if (isNode) {
     const result = runTest();
-    process.exit(result.passed ? 0 : 1);
+    const worldResult = runSimWorldTest();
+    process.exit(result.passed && worldResult.passed ? 0 : 1);
 } else if (typeof window !== 'undefined') {
     console.log('E2E Determinism Test loaded. Call runTest() to execute.');
 }
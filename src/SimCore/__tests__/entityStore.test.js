@@ -0,0 +1,194 @@
+/**
+ * EntityStore Test
+ *
+ * Validates EntityStore and its SimWorld integration:
+ * - O(1) lookup by ID and kind, removal keeps indexes consistent
+ * - Component defaults fill missing fields only
+ * - Component queries across units, deposits, piles and wrecks
+ * - Serialize/restore round-trip through SaveManager
+ * - Unit hashes are unchanged by non-unit entities
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/entityStore.test.js
+ */
+
+import { EntityStore } from '../runtime/EntityStore.js';
+import { ComponentType, EntityKind, defineComponent } from '../domain/Components.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { SaveManager } from '../persistence/SaveManager.js';
+import { MemoryStorageAdapter } from '../persistence/StorageAdapter.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Run a fixed move scenario, optionally with extra non-unit entities.
+ */
+function runScenario(withResources) {
+    const world = new SimWorld({ seed: 7 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    if (withResources) {
+        world.spawnEntity(EntityKind.DEPOSIT, { Resource: { amount: 300 } });
+        world.spawnEntity(EntityKind.WRECK, { Health: { health: 0, disabled: true } });
+    }
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 10, y: 0, z: 0 } });
+    world.runTicks(40);
+    return world;
+}
+
+// ============ Tests ============
+
+test('Lookup by ID and kind; removal updates every index', () => {
+    const store = new EntityStore();
+    const unit = store.add({ id: 1, name: 'Scout' }, { kind: EntityKind.UNIT });
+    const deposit = store.create(EntityKind.DEPOSIT, {}, { id: 2 });
+
+    assertEqual(store.get(1), unit, 'get unit');
+    assertEqual(store.get(1, EntityKind.UNIT), unit, 'get unit by kind');
+    assertEqual(store.get(2, EntityKind.UNIT), null, 'deposit is not a unit');
+    assertEqual(store.kindOf(2), EntityKind.DEPOSIT, 'kindOf');
+    assertEqual(store.size, 2, 'size');
+
+    let error = null;
+    try {
+        store.add({ id: 1 });
+    } catch (err) {
+        error = err;
+    }
+    assertTrue(error && error.message.includes('duplicate'), 'duplicate rejected');
+
+    assertEqual(store.remove(1), true, 'removed');
+    assertEqual(store.remove(1), false, 'already removed');
+    assertEqual(store.get(1), null, 'gone');
+    assertEqual(store.ofKind(EntityKind.UNIT).length, 0, 'kind list');
+    assertEqual(store.query(ComponentType.HEALTH).length, 0, 'component index');
+    assertEqual(store.query(ComponentType.RESOURCE)[0], deposit, 'deposit still indexed');
+});
+
+test('Component defaults fill missing fields without overwriting', () => {
+    const store = new EntityStore();
+    const unit = store.add({ id: 'u1', health: 40, position: { x: 1, y: 2, z: 3 } });
+
+    assertEqual(unit.health, 40, 'existing health kept');
+    assertEqual(unit.position.x, 1, 'existing position kept');
+    assertEqual(unit.maxHealth, 100, 'default maxHealth');
+    assertEqual(unit.commands.length, 0, 'default commands');
+    assertEqual(store.getComponent('u1', ComponentType.HEALTH).health, 40, 'component view');
+    assertEqual(store.getComponent('u1', ComponentType.RESOURCE), null, 'no resource component');
+
+    const other = store.add({ id: 'u2' });
+    assertTrue(other.commands !== unit.commands, 'defaults are fresh per entity');
+
+    defineComponent('Cargo', () => ({ cargo: 0, capacity: 10 }));
+    store.addComponent('u2', 'Cargo', { cargo: 4 });
+    assertEqual(store.getComponent('u2', 'Cargo').capacity, 10, 'custom component default');
+    assertEqual(store.query('Cargo').length, 1, 'custom component query');
+    assertEqual(store.removeComponent('u2', 'Cargo'), true, 'detached');
+    assertEqual(store.hasComponent('u2', 'Cargo'), false, 'no longer attached');
+});
+
+test('Queries span units, deposits, piles and wrecks', () => {
+    const world = new SimWorld({ seed: 1 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    const deposit = world.spawnEntity(EntityKind.DEPOSIT, { Resource: { amount: 500 } });
+    const pile = world.spawnEntity(EntityKind.PILE, { Resource: { amount: 20 } });
+    const wreck = world.spawnEntity(EntityKind.WRECK, { Health: { health: 0, disabled: true } });
+
+    assertEqual(world.units.length, 1, 'units');
+    assertEqual(world.getUnit(unit.id), unit, 'getUnit');
+    assertEqual(world.getUnit(deposit.id), null, 'getUnit ignores deposits');
+
+    const resources = world.entities.query(ComponentType.RESOURCE);
+    assertEqual(resources.map(e => e.id).join(','), [deposit.id, pile.id, wreck.id].join(','), 'resource holders');
+
+    const damageable = world.entities.query(ComponentType.TRANSFORM, ComponentType.HEALTH);
+    assertEqual(damageable.map(e => e.id).join(','), [unit.id, wreck.id].join(','), 'transform + health');
+
+    assertEqual(deposit.amount, 500, 'component values applied');
+    assertEqual(wreck.disabled, true, 'wreck disabled');
+});
+
+test('Non-unit entities survive a save/load round-trip', () => {
+    const world = new SimWorld({ seed: 3 });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    const deposit = world.spawnEntity(EntityKind.DEPOSIT, {
+        Transform: { position: { x: 1, y: 9, z: 0 } },
+        Resource: { resourceType: 'crystal', amount: 250 }
+    });
+
+    const storage = new MemoryStorageAdapter();
+    const saveManager = new SaveManager(world, storage);
+    assertEqual(saveManager.save('slot').success, true, 'save');
+
+    deposit.amount = 0;
+    world.spawnEntity(EntityKind.PILE, { Resource: { amount: 5 } });
+
+    assertEqual(saveManager.load('slot').success, true, 'load');
+
+    const restored = world.entities.get(deposit.id);
+    assertTrue(restored !== null, 'deposit restored');
+    assertEqual(restored.amount, 250, 'amount');
+    assertEqual(restored.resourceType, 'crystal', 'resource type');
+    assertEqual(restored.position.y, 9, 'position');
+    assertEqual(world.entities.ofKind(EntityKind.PILE).length, 0, 'unsaved pile removed');
+    assertEqual(world.units.length, 1, 'units restored separately');
+});
+
+test('Serialized entities are plain data', () => {
+    const store = new EntityStore();
+    class Vec { constructor(x, y, z) { this.x = x; this.y = y; this.z = z; } }
+    store.add({ id: 9, position: new Vec(1, 2, 3) }, { kind: EntityKind.PILE });
+
+    const records = store.serialize();
+    assertEqual(records.length, 1, 'one record');
+    assertEqual(Object.getPrototypeOf(records[0].components.Transform.position), Object.prototype, 'plain vector');
+    assertEqual(JSON.stringify(JSON.parse(JSON.stringify(records))), JSON.stringify(records), 'JSON stable');
+    assertEqual(store.serialize({ excludeKinds: [EntityKind.PILE] }).length, 0, 'excluded kind');
+});
+
+test('Unit hashes do not change when other entities exist', () => {
+    const plain = runScenario(false).getHash();
+    const withResources = runScenario(true).getHash();
+    assertEqual(withResources, plain, 'hash');
+});
+
+// ============ Summary ============
+
+console.log('\n=== Entity Store Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Entity Store tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,275 @@
+/**
+ * GoalManager Test
+ *
+ * Validates GoalManager (G step of G-R-F-Tr-D-P-U):
+ * - Trigger table maps GameEvents to goals on the next update
+ * - De-duplication of active goals and cooldown before re-raising
+ * - INVENT only for unknown features, EXTEND only for known ones
+ * - Demo 1.0 onboarding (no mobile units → Explore) and progress
+ * - MovementSystem emits COLLISION_WATER and BLOCKED_BY_SLOPE
+ * - Goal state survives SaveManager save/load
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/goalManager.test.js
+ */
+
+import { GoalManager, GoalEvent, GoalType, GoalStatus, GOAL_TRIGGERS } from '../systems/GoalManager.js';
+import { GameEvent } from '../domain/GameEvents.js';
+import { EventBus } from '../runtime/EventBus.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { SaveManager } from '../persistence/SaveManager.js';
+import { MemoryStorageAdapter } from '../persistence/StorageAdapter.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Tick a standalone GoalManager with a scheduler-like context.
+ */
+function step(manager, tick, units = []) {
+    manager.update(0.05, { tick, units });
+}
+
+/**
+ * Terrain whose +x half is a deep basin (below water level).
+ */
+function createLakeTerrain() {
+    return {
+        params: { radius: 10, waterLevel: -0.5 },
+        getRadiusAt(dir) {
+            return dir.x > 0.5 ? 8 : 10;
+        }
+    };
+}
+
+/**
+ * Terrain that rises steeply towards +x.
+ */
+function createCliffTerrain() {
+    return {
+        params: { radius: 10, waterLevel: -5 },
+        getRadiusAt(dir) {
+            return 10 + Math.max(0, dir.x) * 40;
+        }
+    };
+}
+
+// ============ Tests ============
+
+test('Trigger table maps events to goals on the next update', () => {
+    const bus = new EventBus();
+    const manager = new GoalManager({ eventBus: bus, onboarding: false });
+    const created = [];
+    bus.on(GoalEvent.CREATED, ({ goal }) => created.push(goal.id));
+
+    bus.emit(GameEvent.COLLISION_WATER, { unitId: 3 });
+    assertEqual(manager.getGoals().length, 0, 'queued until update');
+
+    step(manager, 1);
+    const goal = manager.getGoal('GOAL_INVENT_SWIM');
+    assertTrue(goal, 'swim goal');
+    assertEqual(goal.type, GoalType.INVENT);
+    assertEqual(goal.reward.featureId, 'MOVE_SWIM');
+    assertEqual(goal.status, GoalStatus.AVAILABLE);
+    assertEqual(goal.context.unitId, 3, 'payload kept');
+    assertEqual(created.join(','), 'GOAL_INVENT_SWIM', 'CREATED emitted');
+
+    bus.emit('SOMETHING_ELSE', {});
+    step(manager, 2);
+    assertEqual(manager.getGoals().length, 1, 'unmapped events ignored');
+
+    manager.detach();
+    bus.emit(GameEvent.INVENTORY_FULL, {});
+    step(manager, 3);
+    assertEqual(manager.getGoals().length, 1, 'detached');
+});
+
+test('Active goals are de-duplicated and re-raised only after the cooldown', () => {
+    const manager = new GoalManager({ onboarding: false, cooldownTicks: 100 });
+
+    manager.trigger(GameEvent.COLLISION_WATER, {});
+    manager.trigger(GameEvent.COLLISION_WATER, {});
+    step(manager, 10);
+    manager.trigger(GameEvent.COLLISION_WATER, {});
+    step(manager, 11);
+
+    assertEqual(manager.getActiveGoals().length, 1, 'one active goal');
+    assertEqual(manager.getGoal('GOAL_INVENT_SWIM').triggerCount, 3, 'repeats counted');
+
+    assertTrue(manager.resolveGoal('GOAL_INVENT_SWIM').success, 'resolved');
+    assertEqual(manager.resolveGoal('GOAL_INVENT_SWIM').success, false, 'already resolved');
+
+    manager.trigger(GameEvent.COLLISION_WATER, {});
+    step(manager, 50);
+    assertEqual(manager.getActiveGoals().length, 0, 'inside cooldown');
+
+    manager.trigger(GameEvent.COLLISION_WATER, {});
+    step(manager, 110);
+    assertEqual(manager.getActiveGoals().length, 1, 'raised again after cooldown');
+    assertEqual(manager.getGoals().length, 2, 'history kept');
+    assertEqual(manager.getGoal('GOAL_INVENT_SWIM').seq, 2, 'active goal found first');
+});
+
+test('INVENT needs an unknown feature, EXTEND a known one; when() filters', () => {
+    const known = new Set(['MOVE_SWIM']);
+    const manager = new GoalManager({ onboarding: false, isFeatureKnown: (id) => known.has(id) });
+
+    manager.trigger(GameEvent.COLLISION_WATER, {});
+    manager.trigger(GameEvent.FLIGHT_CEILING_HIT, {});
+    step(manager, 1);
+    assertEqual(manager.getGoals().length, 0, 'swim known, fly unknown');
+
+    known.add('MOVE_FLY');
+    manager.trigger(GameEvent.FLIGHT_CEILING_HIT, { altitude: 50 });
+    step(manager, 2);
+    const extend = manager.getGoal('GOAL_EXTEND_FLIGHT');
+    assertEqual(extend.type, GoalType.EXTEND);
+    assertEqual(extend.reward.constraintKey, 'maxAltitude');
+
+    manager.trigger(GameEvent.BLOCKED_BY_SLOPE, { slopeDeg: 45 });
+    step(manager, 3);
+    assertEqual(manager.getGoal('GOAL_INVENT_CLIMB'), null, 'gentle slope');
+    manager.trigger(GameEvent.BLOCKED_BY_SLOPE, { slopeDeg: 70 });
+    step(manager, 4);
+    assertTrue(manager.getGoal('GOAL_INVENT_CLIMB'), 'cliff needs climbing');
+    assertEqual(manager.getGoal('GOAL_SURFACE_CONTROL'), null, 'onboarding goals off');
+
+    const resolved = manager.resolveFeature('MOVE_FLY', 'maxAltitude');
+    assertEqual(resolved.length, 1, 'resolved by feature');
+    assertEqual(manager.getGoal('GOAL_EXTEND_FLIGHT').status, GoalStatus.RESOLVED);
+});
+
+test('Onboarding raises Explore when no unit can move and tracks progress', () => {
+    const bus = new EventBus();
+    const manager = new GoalManager({ eventBus: bus });
+    const changes = [];
+    bus.on(GoalEvent.STATUS_CHANGED, ({ goal, previousStatus }) => changes.push(`${goal.id}:${previousStatus}>${goal.status}`));
+
+    step(manager, 1, []);
+    assertEqual(manager.getGoals().length, 0, 'no units, no goal');
+
+    step(manager, 2, [{ id: 1, speed: 5 }, { id: 2, speed: 0 }]);
+    assertEqual(manager.getGoals().length, 0, 'one unit can move');
+
+    step(manager, 3, [{ id: 1, speed: 0 }, { id: 2, speed: 5, disabled: true }]);
+    const explore = manager.getGoal('GOAL_EXPLORE');
+    assertTrue(explore, 'explore raised');
+    assertEqual(explore.reward.featureId, 'MOVE_ROLL');
+    assertEqual(explore.context.unitIds.join(','), '1,2');
+
+    step(manager, 4, [{ id: 1, speed: 0 }]);
+    assertEqual(manager.getGoals().length, 1, 'not raised twice');
+
+    const progress = manager.getOnboardingProgress();
+    const onboardingIds = GOAL_TRIGGERS.filter(t => t.onboarding).map(t => t.goalId);
+    assertEqual(progress.map(p => p.goalId).join(','), onboardingIds.join(','), 'sequence order');
+    assertEqual(progress[0].status, GoalStatus.AVAILABLE);
+    assertEqual(progress[1].status, null, 'later steps not triggered');
+
+    assertTrue(manager.startGoal('GOAL_EXPLORE').success);
+    assertEqual(manager.startGoal('GOAL_EXPLORE').success, false, 'already started');
+    manager.resolveFeature('MOVE_ROLL');
+    assertEqual(changes.join(','), 'GOAL_EXPLORE:AVAILABLE>IN_PROGRESS,GOAL_EXPLORE:IN_PROGRESS>RESOLVED');
+});
+
+test('MovementSystem emits COLLISION_WATER at the shore', () => {
+    const world = new SimWorld({ seed: 1, terrain: createLakeTerrain(), goals: { onboarding: false } });
+    const events = [];
+    world.eventBus.on(GameEvent.COLLISION_WATER, (payload) => events.push(payload));
+
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 10, y: 0, z: 0 } });
+    world.runTicks(200);
+
+    assertEqual(events.length, 1, 'one collision');
+    assertEqual(events[0].unitId, unit.id);
+    assertEqual(unit.isFollowingPath, false, 'halted');
+    assertTrue(world.goalManager.getGoal('GOAL_INVENT_SWIM'), 'goal from movement');
+});
+
+test('MovementSystem emits BLOCKED_BY_SLOPE past maxSlopeDeg', () => {
+    const world = new SimWorld({ seed: 1, terrain: createCliffTerrain(), goals: { onboarding: false } });
+    const events = [];
+    world.eventBus.on(GameEvent.BLOCKED_BY_SLOPE, (payload) => events.push(payload));
+
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    unit.maxSlopeDeg = 60;
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 10, y: 0, z: 0 } });
+    world.runTicks(200);
+
+    assertEqual(events.length, 1, 'blocked once');
+    assertTrue(events[0].slopeDeg > 60, `slope ${events[0].slopeDeg}`);
+    assertTrue(world.goalManager.getGoal('GOAL_INVENT_CLIMB'), 'climb goal');
+    assertTrue(world.goalManager.getGoal('GOAL_SURFACE_CONTROL') === null, 'onboarding off');
+
+    unit.maxSlopeDeg = null;
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 10, y: 0, z: 0 } });
+    world.runTicks(20);
+    assertEqual(events.length, 1, 'no limit, no event');
+});
+
+test('Goal state survives SaveManager save/load', () => {
+    const world = new SimWorld({ seed: 7 });
+    const manager = new SaveManager(world, new MemoryStorageAdapter());
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 }, speed: 0 });
+    world.runTicks(2);
+    world.eventBus.emit(GameEvent.DARKSIDE_CONTACT, { unitId: 99 });
+    world.runTicks(1);
+    world.goalManager.startGoal('GOAL_COMBAT_CAPABILITY');
+    world.eventBus.emit(GameEvent.INVENTORY_FULL, {});
+
+    const before = JSON.stringify(world.goalManager.serialize());
+    assertTrue(manager.save('slot').success, 'saved');
+
+    world.goalManager.reset();
+    assertEqual(world.goalManager.getGoals().length, 0, 'cleared');
+
+    const loaded = manager.load('slot');
+    assertTrue(loaded.success, loaded.error);
+    assertEqual(JSON.stringify(world.goalManager.serialize()), before, 'goals, cooldowns and queue restored');
+    assertEqual(world.goalManager.getGoal('GOAL_COMBAT_CAPABILITY').status, GoalStatus.IN_PROGRESS);
+
+    world.runTicks(1);
+    assertTrue(world.goalManager.getGoal('GOAL_INVENT_TRANSPORT'), 'queued event processed after load');
+});
+
+// ============ Summary ============
+
+console.log('\n=== Goal Manager Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Goal Manager tests PASS');
+    process.exit(0);
+}
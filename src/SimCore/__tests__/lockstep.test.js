@@ -0,0 +1,386 @@
+/**
+ * Lockstep Input-Delay Verification Test
+ *
+ * Validates:
+ * - CommandQueue honors command.scheduledTick from the transport
+ * - SimLoop.canAdvance stalls ticks and keeps time owed
+ * - LockstepTransport applies commands on the same tick on every peer
+ * - Missing turns stall the sim until they arrive
+ * - Canonical peer ordering of same-tick commands
+ * - Adaptive input delay follows measured RTT
+ * - Delivered commands carry the turn's peerId as senderId
+ * - CommandValidator makes the same accept/reject decisions on every peer
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/lockstep.test.js
+ */
+
+import { SimLoop } from '../runtime/SimLoop.js';
+import { CommandQueue, CommandType } from '../runtime/CommandQueue.js';
+import { TransportBase, TransportState } from '../transport/ITransport.js';
+import { LockstepTransport, LockstepMessageType } from '../transport/LockstepTransport.js';
+import { CommandValidator } from '../runtime/CommandValidator.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * In-memory peer link (test-only). While `held`, messages queue until release().
+ */
+class LinkedTransport extends TransportBase {
+    constructor() {
+        super();
+        this.peer = null;
+        this.held = false;
+        this._queue = [];
+    }
+
+    connect() {
+        this._state = TransportState.CONNECTED;
+    }
+
+    disconnect() {
+        this._state = TransportState.DISCONNECTED;
+    }
+
+    send(command) {
+        this._messagesSent++;
+        const copy = JSON.parse(JSON.stringify(command));
+        if (this.held) {
+            this._queue.push(copy);
+        } else {
+            this.peer?._deliverReceived(copy);
+        }
+    }
+
+    release() {
+        this.held = false;
+        const queued = this._queue;
+        this._queue = [];
+        for (const message of queued) {
+            this.peer?._deliverReceived(message);
+        }
+    }
+}
+
+function createLinkedPair() {
+    const a = new LinkedTransport();
+    const b = new LinkedTransport();
+    a.peer = b;
+    b.peer = a;
+    a.connect();
+    b.connect();
+    return [a, b];
+}
+
+/**
+ * Peer = SimLoop + CommandQueue behind a LockstepTransport.
+ * Records which commands were flushed on which tick.
+ */
+function createPeer(peerId, inner, options = {}) {
+    const simLoop = new SimLoop({ fixedDtMs: 50 });
+    const queue = new CommandQueue();
+    const applied = [];
+
+    const lockstep = new LockstepTransport(inner, {
+        peerId,
+        peers: ['A', 'B'],
+        inputDelay: 3,
+        adaptiveDelay: false,
+        pingIntervalTicks: 0,
+        ...options
+    });
+    lockstep.onReceive = (cmd) => queue.enqueue(cmd);
+    lockstep.connect();
+    lockstep.attach(simLoop);
+
+    simLoop.onSimTick = (dt, tick) => {
+        for (const cmd of queue.flush(tick)) {
+            applied.push({ tick, from: cmd.from, type: cmd.type, unitId: cmd.unitId, senderId: cmd.senderId });
+        }
+    };
+
+    let time = 0;
+    simLoop.step(time += 50); // First frame only initializes the clock
+
+    return {
+        simLoop,
+        lockstep,
+        queue,
+        applied,
+        step: () => simLoop.step(time += 50)
+    };
+}
+
+// ============ Tests ============
+
+test('CommandQueue honors command.scheduledTick', () => {
+    const queue = new CommandQueue();
+    queue.enqueue({ type: CommandType.SELECT, unitId: 1, scheduledTick: 5 });
+    queue.enqueue({ type: CommandType.DESELECT, scheduledTick: 5 }, 7);
+
+    assertEqual(queue.flush(4).length, 0, 'not before scheduled tick');
+    assertEqual(queue.flush(5)[0].type, CommandType.SELECT, 'command.scheduledTick');
+    assertEqual(queue.flush(6).length, 0, 'explicit argument wins');
+    assertEqual(queue.flush(7).length, 1, 'explicit argument tick');
+});
+
+test('SimLoop.canAdvance stalls without losing owed time', () => {
+    const simLoop = new SimLoop({ fixedDtMs: 50 });
+    let open = false;
+    let ticks = 0;
+    let alpha = null;
+    simLoop.canAdvance = () => open;
+    simLoop.onSimTick = () => ticks++;
+    simLoop.onRender = (a) => { alpha = a; };
+
+    simLoop.step(1000);
+    simLoop.step(1100);
+    assertEqual(ticks, 0, 'gated');
+    assertTrue(simLoop.stalled, 'stalled flag');
+    assertEqual(alpha, 1, 'render holds last state');
+
+    open = true;
+    simLoop.step(1100);
+    assertEqual(ticks, 2, 'owed ticks run once open');
+    assertEqual(simLoop.stalled, false, 'stall cleared');
+});
+
+test('Commands apply on the same tick on both peers', () => {
+    const [linkA, linkB] = createLinkedPair();
+    const peerA = createPeer('A', linkA);
+    const peerB = createPeer('B', linkB);
+
+    for (let i = 0; i < 5; i++) {
+        peerA.step();
+        peerB.step();
+    }
+    peerA.lockstep.send({ type: CommandType.SELECT, unitId: 1, from: 'A' });
+    for (let i = 0; i < 10; i++) {
+        peerA.step();
+        peerB.step();
+    }
+
+    assertEqual(peerA.applied.length, 1, 'applied on A');
+    assertEqual(peerB.applied.length, 1, 'applied on B');
+    assertEqual(peerA.applied[0].tick, 5 + 3, 'current tick + input delay');
+    assertEqual(peerB.applied[0].tick, peerA.applied[0].tick, 'same tick on both peers');
+    assertEqual(peerA.simLoop.tickCount, 15, 'no stalls on a healthy link');
+});
+
+test('Missing turn stalls the sim until it arrives', () => {
+    const [linkA, linkB] = createLinkedPair();
+    const peerA = createPeer('A', linkA);
+    const peerB = createPeer('B', linkB);
+
+    peerA.step();
+    peerB.step();
+
+    linkB.held = true; // B's turns stop reaching A
+    for (let i = 0; i < 6; i++) {
+        peerA.step();
+        peerB.step();
+    }
+
+    assertEqual(peerA.simLoop.tickCount, 3, 'A ran through the delay window, then stalled');
+    assertTrue(peerA.simLoop.stalled, 'A stalled');
+    assertEqual(peerA.lockstep.getStats().waitingOn[0], 'B', 'waiting on B');
+    assertTrue(peerA.lockstep.getStats().stalls >= 1, 'stall counted');
+
+    linkB.release();
+    for (let i = 0; i < 3; i++) {
+        peerA.step();
+        peerB.step();
+    }
+
+    assertEqual(peerA.simLoop.stalled, false, 'resumed');
+    assertEqual(peerA.simLoop.tickCount, peerB.simLoop.tickCount, 'caught up with B');
+});
+
+test('Heartbeat turns are sent with no input', () => {
+    const [linkA, linkB] = createLinkedPair();
+    const turns = [];
+    const peerA = createPeer('A', linkA);
+    const peerB = createPeer('B', linkB);
+    const onReceive = linkB.onReceive;
+    linkB.onReceive = (message) => {
+        if (message.type === LockstepMessageType.TURN) turns.push(message);
+        onReceive(message);
+    };
+
+    for (let i = 0; i < 4; i++) {
+        peerA.step();
+        peerB.step();
+    }
+
+    assertTrue(turns.length >= 4, `turns sent (${turns.length})`);
+    assertTrue(turns.every(t => t.commands.length === 0), 'all heartbeats empty');
+    assertEqual(turns[0].tick, 1, 'first turn tick');
+});
+
+test('Same-tick commands apply in canonical peer order', () => {
+    const [linkA, linkB] = createLinkedPair();
+    const peerA = createPeer('A', linkA);
+    const peerB = createPeer('B', linkB);
+
+    peerB.lockstep.send({ type: CommandType.SELECT, unitId: 2, from: 'B' });
+    peerA.lockstep.send({ type: CommandType.SELECT, unitId: 1, from: 'A' });
+    for (let i = 0; i < 8; i++) {
+        peerB.step();
+        peerA.step();
+    }
+
+    const orderA = peerA.applied.map(c => c.from).join(',');
+    const orderB = peerB.applied.map(c => c.from).join(',');
+    assertEqual(orderA, 'A,B', 'A order');
+    assertEqual(orderB, 'A,B', 'B order');
+    assertEqual(peerA.applied[0].tick, peerB.applied[1].tick, 'same tick');
+});
+
+test('Adaptive delay follows measured RTT', () => {
+    const [linkA, linkB] = createLinkedPair();
+    let clock = 0;
+    const peerA = createPeer('A', linkA, {
+        adaptiveDelay: true,
+        pingIntervalTicks: 1,
+        now: () => clock
+    });
+    createPeer('B', linkB);
+
+    // Delay every pong by 400ms of wall clock
+    const onReceive = linkA.onReceive;
+    linkA.onReceive = (message) => {
+        if (message.type === LockstepMessageType.PONG) clock += 400;
+        onReceive(message);
+    };
+
+    peerA.step();
+    assertEqual(peerA.lockstep.getStats().rttMs, 400, 'rtt measured');
+    assertEqual(peerA.lockstep.inputDelay, 5, 'ceil(200ms / 50ms) + 1');
+
+    // Fast link: delay steps down one tick at a time
+    linkA.onReceive = onReceive;
+    for (let i = 0; i < 40; i++) {
+        peerA.lockstep._recordRtt('B', 20);
+    }
+    assertEqual(peerA.lockstep.inputDelay, 2, 'ceil(10ms / 50ms) + 1');
+
+    peerA.lockstep.inputDelay = 99;
+    assertEqual(peerA.lockstep.inputDelay, 10, 'manual delay clamped to max');
+});
+
+test('Delivered commands carry the turn peer as sender', () => {
+    const [linkA, linkB] = createLinkedPair();
+    const peerA = createPeer('A', linkA);
+    const peerB = createPeer('B', linkB);
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    peerA.lockstep.send({ type: CommandType.SELECT, unitId: 1, from: 'A' });
+    peerB.lockstep.send({ type: CommandType.SELECT, unitId: 2, from: 'B', senderId: 'A' });
+    // Turn claiming to be B's, but the transport attests it came from C
+    linkA._deliverReceived({
+        type: LockstepMessageType.TURN, peerId: 'B', senderId: 'C', tick: 5,
+        commands: [{ type: CommandType.SELECT, unitId: 1, from: 'C' }]
+    });
+    for (let i = 0; i < 8; i++) {
+        peerA.step();
+        peerB.step();
+    }
+    console.warn = originalWarn;
+
+    for (const peer of [peerA, peerB]) {
+        const senders = peer.applied.map(c => `${c.from}:${c.senderId}`).join(',');
+        assertEqual(senders, 'A:A,B:B', `${peer.lockstep.peerId} senders`);
+    }
+});
+
+test('Validator decisions match on both peers', () => {
+    const [linkA, linkB] = createLinkedPair();
+    const peers = [createPeer('A', linkA), createPeer('B', linkB)];
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    // Each peer validates against its own copy of the replicated units
+    const validators = peers.map(peer => {
+        const units = [{ id: 1, ownerId: 'A' }, { id: 2, ownerId: 'B' }];
+        const validator = new CommandValidator({
+            commandQueue: peer.queue,
+            transport: peer.lockstep,
+            getUnits: () => units,
+            localPlayerId: peer.lockstep.peerId,
+            maxRejections: 2,
+            rateWindowTicks: 10,
+            reportRejections: false
+        });
+        validator.attach();
+        return validator;
+    });
+    const [peerA, peerB] = peers;
+    const select = (unitId, from) => ({ type: CommandType.SELECT, unitId, from });
+    const run = (ticks) => {
+        for (let i = 0; i < ticks; i++) {
+            peerA.step();
+            peerB.step();
+        }
+    };
+
+    peerA.lockstep.send(select(1, 'A'));                        // Own unit
+    peerA.lockstep.send({ ...select(2, 'A'), senderId: 'B' });  // Forged sender, B's unit
+    peerB.lockstep.send(select(1, 'B'));                        // A's unit: rejected...
+    peerB.lockstep.send(select(1, 'B'));                        // ...and rate-limited
+    run(2);
+    peerB.lockstep.send(select(2, 'B'));                        // Own unit, but still limited
+    run(12);
+    peerB.lockstep.send(select(2, 'B'));                        // Window over
+    run(8);
+    console.warn = originalWarn;
+
+    const decisions = peers.map(peer => peer.applied.map(c => `${c.tick}:${c.senderId}:${c.unitId}`).join(','));
+    assertEqual(decisions[0], decisions[1], 'same accepted commands on the same ticks');
+    assertEqual(peerA.applied.map(c => `${c.senderId}:${c.unitId}`).join(','), 'A:1,B:2', 'accepted set');
+    for (const validator of validators) {
+        assertEqual(validator.getStats().accepted, 2, 'accepted count');
+        assertEqual(validator.getStats().rejected, 4, 'forged + 2 not owned + 1 limited');
+    }
+});
+
+// ============ Summary ============
+
+console.log('\n=== Lockstep Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Lockstep tests PASS');
+    process.exit(0);
+}
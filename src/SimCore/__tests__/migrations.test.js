@@ -0,0 +1,287 @@
+/**
+ * Schema Migration Tests
+ *
+ * Validates:
+ * - MigrationRegistry runs pure vN → vN+1 steps in order, with backup and dry-run
+ * - Missing, failing and out-of-range steps give clear errors
+ * - Every file in __tests__/fixtures/ migrates to the current version
+ *   (add a fixture of the old format whenever a schema version is bumped)
+ * - v1 save, v1 blueprint storage and unversioned stats config fixtures
+ *   load through SaveManager / BlueprintStorage / StatsConfigStorage
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/migrations.test.js
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { MigrationRegistry } from '../persistence/MigrationRegistry.js';
+import { SaveManager } from '../persistence/SaveManager.js';
+import { MemoryStorageAdapter } from '../persistence/StorageAdapter.js';
+import { saveMigrations, validateSaveEnvelope, SAVE_SCHEMA_VERSION } from '../persistence/SaveSchema.js';
+import { blueprintStorageMigrations, getAllBlueprints, getBlueprintHistory, importBlueprints, clearAllBlueprints } from '../runtime/BlueprintStorage.js';
+import {
+    statsConfigMigrations,
+    loadStatsConfig,
+    saveStatsConfig,
+    STATS_CONFIG_SCHEMA_VERSION
+} from '../runtime/StatsConfigStorage.js';
+import { DEFAULT_STATS_CONFIG } from '../rules/StatsEngine.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+function assertThrows(fn, msg = '') {
+    let threw = false;
+    try { fn(); } catch (err) { threw = true; }
+    assertTrue(threw, msg || 'Expected an error');
+}
+
+// ============ Helpers ============
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+
+function readFixture(fileName) {
+    return JSON.parse(readFileSync(new URL(fileName, FIXTURES_DIR), 'utf8'));
+}
+
+/** Fixture file prefix → registry that owns the format */
+const FIXTURE_REGISTRIES = {
+    'save-': saveMigrations,
+    'blueprints-': blueprintStorageMigrations,
+    'stats-config-': statsConfigMigrations
+};
+
+/** Minimal localStorage (test-only) */
+class FakeLocalStorage {
+    constructor() { this._items = new Map(); }
+    getItem(key) { return this._items.has(key) ? this._items.get(key) : null; }
+    setItem(key, value) { this._items.set(key, String(value)); }
+    removeItem(key) { this._items.delete(key); }
+    clear() { this._items.clear(); }
+    key(i) { return [...this._items.keys()][i] ?? null; }
+    get length() { return this._items.size; }
+}
+
+const localStorage = new FakeLocalStorage();
+globalThis.localStorage = localStorage;
+
+/** Run `fn` with console.log/warn/error silenced (expected migration noise) */
+function quietly(fn) {
+    const saved = [console.log, console.warn, console.error];
+    console.log = console.warn = console.error = () => {};
+    try {
+        return fn();
+    } finally {
+        [console.log, console.warn, console.error] = saved;
+    }
+}
+
+/** Registry with two real steps (v1 → v2 → v3), as a future schema would have */
+function makeRegistry() {
+    return new MigrationRegistry({ name: 'Test', currentVersion: 3 })
+        .register(1, (data) => {
+            data.inventory = { matera: 0 };
+            return data;
+        }, 'Add matera inventory')
+        .register(2, (data) => {
+            data.energy = { buffer: 0, capacity: data.inventory.matera * 10 };
+            return data;
+        }, 'Add energy buffer');
+}
+
+// ============ Tests ============
+
+console.log('\n=== Migration Tests ===\n');
+
+await test('Steps run in order and the input is untouched', () => {
+    const registry = makeRegistry();
+    const original = { schemaVersion: 1, name: 'old' };
+    const result = registry.migrate(original);
+
+    assertTrue(result.success, result.error);
+    assertEqual(result.data.schemaVersion, 3, 'stamped');
+    assertEqual(result.data.energy.capacity, 0, 'v2 step saw the v1 step output');
+    assertEqual(result.applied.map(s => s.description).join(' | '), 'Add matera inventory | Add energy buffer');
+    assertEqual(result.fromVersion, 1);
+    assertEqual(JSON.stringify(original), '{"schemaVersion":1,"name":"old"}', 'input not modified');
+    assertEqual(JSON.stringify(result.backup), JSON.stringify(original), 'backup of the original');
+
+    const fromMiddle = registry.migrate({ schemaVersion: 2, inventory: { matera: 3 } });
+    assertEqual(fromMiddle.applied.length, 1, 'only the remaining step');
+    assertEqual(fromMiddle.data.energy.capacity, 30);
+
+    const current = registry.migrate({ schemaVersion: 3 });
+    assertEqual(current.applied.length, 0, 'nothing to do');
+    assertEqual(current.backup, undefined, 'no backup when nothing ran');
+    assertEqual(registry.needsMigration({ schemaVersion: 3 }), false);
+    assertEqual(registry.getSteps().length, 2);
+});
+
+await test('Dry run reports the steps and flags the result', () => {
+    const result = makeRegistry().migrate({ schemaVersion: 1 }, { dryRun: true });
+    assertTrue(result.success);
+    assertEqual(result.dryRun, true);
+    assertEqual(result.applied.length, 2);
+});
+
+await test('Missing, failing and out-of-range steps give clear errors', () => {
+    const gap = new MigrationRegistry({ name: 'Test', currentVersion: 3 }).register(1, d => d);
+    assertEqual(gap.migrate({ schemaVersion: 1 }).error, 'Test: no migration from v2 to v3');
+
+    const broken = new MigrationRegistry({ name: 'Test', currentVersion: 2 })
+        .register(1, () => { throw new Error('bad unit'); });
+    assertEqual(broken.migrate({ schemaVersion: 1 }).error, 'Test: migration v1 → v2 failed: bad unit');
+
+    const empty = new MigrationRegistry({ name: 'Test', currentVersion: 2 }).register(1, () => null);
+    assertTrue(empty.migrate({ schemaVersion: 1 }).error.includes('returned no data'));
+
+    const registry = makeRegistry();
+    assertEqual(registry.migrate({ schemaVersion: 4 }).error, 'Test version 4 is newer than supported (3)');
+    assertEqual(registry.migrate({}).error, 'Test: missing or invalid schema version');
+    assertEqual(registry.migrate(null).success, false);
+
+    assertThrows(() => registry.register(1, d => d), 'duplicate step');
+    assertThrows(() => registry.register(3, d => d), 'step past current version');
+    assertThrows(() => new MigrationRegistry({ name: 'Test' }), 'missing currentVersion');
+});
+
+await test('Every fixture migrates to its current version', () => {
+    const files = readdirSync(FIXTURES_DIR).filter(f => f.endsWith('.json'));
+    assertTrue(files.length >= 3, 'fixtures present');
+
+    for (const file of files) {
+        const prefix = Object.keys(FIXTURE_REGISTRIES).find(p => file.startsWith(p));
+        assertTrue(prefix, `${file} has a known prefix`);
+        const registry = FIXTURE_REGISTRIES[prefix];
+        const result = registry.migrate(readFixture(file));
+        assertTrue(result.success, `${file}: ${result.error}`);
+        assertEqual(result.data.schemaVersion, registry.currentVersion, file);
+        if (registry === saveMigrations) {
+            assertTrue(validateSaveEnvelope(result.data).valid, `${file} validates after migration`);
+        }
+    }
+});
+
+await test('v1 save fixture loads and keeps simulating deterministically', () => {
+    const fixture = readFixture('save-v1.json');
+
+    const restoreAndRun = () => {
+        const world = new SimWorld({ seed: 1 });
+        world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+        world.spawnUnit({ position: { x: 10, y: 0, z: 0 } });
+        const storage = new MemoryStorageAdapter();
+        storage.save('old', fixture);
+        const manager = new SaveManager(world, storage);
+        const result = manager.load('old');
+        assertTrue(result.success, result.error);
+        assertEqual(world.simLoop.tickCount, 20, 'tick restored');
+        assertEqual(world.getUnit(1).position.z, fixture.state.game.units[0].position.z, 'unit restored');
+        world.runTicks(30);
+        return world.getHash();
+    };
+    assertEqual(restoreAndRun(), restoreAndRun(), 'same continuation');
+    assertEqual(SAVE_SCHEMA_VERSION, saveMigrations.currentVersion);
+});
+
+await test('migrateSave leaves current and unmigratable saves untouched', async () => {
+    const storage = new MemoryStorageAdapter();
+    const manager = new SaveManager(new SimWorld(), storage);
+
+    storage.save('current', readFixture('save-v1.json'));
+    const upToDate = await manager.migrateSave('current');
+    assertTrue(upToDate.success);
+    assertEqual(upToDate.applied.length, 0, 'already current');
+
+    const ancient = { ...readFixture('save-v1.json'), schemaVersion: 0 };
+    storage.save('ancient', ancient);
+    const failed = await manager.migrateSave('ancient');
+    assertEqual(failed.error, 'Save: no migration from v0 to v1');
+    assertEqual(storage.load('ancient').data.schemaVersion, 0, 'left untouched');
+    assertEqual(manager.load('ancient').error, 'Save: no migration from v0 to v1', 'load reports it too');
+
+    storage.save('future', { ...readFixture('save-v1.json'), schemaVersion: SAVE_SCHEMA_VERSION + 1 });
+    assertTrue(manager.loadEnvelope('future').error.includes('newer than supported'));
+    assertEqual(manager.loadEnvelope('missing').error, 'Save not found');
+});
+
+await test('v1 blueprint fixture loads through BlueprintStorage', () => {
+    localStorage.clear();
+    localStorage.setItem('simcore:typeBlueprints:v1', JSON.stringify(readFixture('blueprints-v1.json')));
+
+    const blueprints = getAllBlueprints();
+    assertEqual(blueprints.length, 2);
+    const gunship = blueprints.find(bp => bp.name === 'Gunship');
+    assertEqual(gunship.subAllocations.shot.power, 0.7);
+    assertEqual(gunship.metadata.notes, 'user design');
+    const history = getBlueprintHistory(gunship.id);
+    assertEqual(history.length, 1, 'v1 → v2: current design becomes revision 1');
+    assertEqual(history[0].version, 1);
+    assertEqual(history[0].parentRevisionId, null);
+
+    quietly(() => clearAllBlueprints());
+    assertEqual(importBlueprints(JSON.stringify(readFixture('blueprints-v1.json'))), 2, 'import migrates too');
+
+    const unversioned = readFixture('blueprints-v1.json');
+    delete unversioned.schemaVersion;
+    assertEqual(blueprintStorageMigrations.migrate(unversioned).fromVersion, 1, 'unversioned = v1');
+    assertEqual(quietly(() => importBlueprints(JSON.stringify({ schemaVersion: 99, blueprints: {} }))), 0,
+        'newer storage rejected');
+});
+
+await test('Unversioned stats config fixture migrates with a backup', () => {
+    localStorage.clear();
+    const legacy = JSON.stringify(readFixture('stats-config-v0.json'));
+    localStorage.setItem('ASTEROIDA_StatsConfig', legacy);
+
+    const config = loadStatsConfig();
+    assertEqual(config.baseValues.move, 12, 'customized value kept');
+    assertEqual(config.tuningBonus, 1.25);
+    assertEqual(config.maxTypeSlots, DEFAULT_STATS_CONFIG.maxTypeSlots, 'new fields default');
+
+    const stored = JSON.parse(localStorage.getItem('ASTEROIDA_StatsConfig'));
+    assertEqual(stored.schemaVersion, STATS_CONFIG_SCHEMA_VERSION, 'rewritten');
+    assertEqual(localStorage.getItem('ASTEROIDA_StatsConfig:backup:v0'), legacy, 'original backed up');
+
+    saveStatsConfig({ ...config, tuningBonus: 1.3 });
+    assertEqual(loadStatsConfig().tuningBonus, 1.3, 'round trip');
+
+    localStorage.setItem('ASTEROIDA_StatsConfig', JSON.stringify({ schemaVersion: 99, config: {} }));
+    assertEqual(quietly(() => loadStatsConfig()).tuningBonus, DEFAULT_STATS_CONFIG.tuningBonus, 'newer config → defaults');
+});
+
+// ============ Summary ============
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Migration tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,266 @@
+/**
+ * Network Condition Simulator Test
+ *
+ * Validates:
+ * - Perfect profile passes messages through synchronously
+ * - Latency delays delivery; jitter stays in bounds and keeps order
+ * - Loss, duplication and reordering follow their rates
+ * - Bandwidth cap queues messages behind each other
+ * - Same seed + same traffic = identical delivery schedule
+ * - Inbound-only direction, live profile switching, disconnect cancels in-flight
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/networkSimulator.test.js
+ */
+
+import { LocalTransport } from '../transport/LocalTransport.js';
+import { TransportBase, TransportState } from '../transport/ITransport.js';
+import {
+    SimulatedNetworkTransport,
+    NetworkProfiles,
+    NetworkDirection
+} from '../transport/SimulatedNetworkTransport.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Manual clock + timer queue (test-only). advance(ms) fires due timers in time order.
+ */
+class FakeTimers {
+    constructor() {
+        this.time = 0;
+        this._nextId = 1;
+        this._pending = new Map();
+    }
+    now = () => this.time;
+    setTimeout = (fn, ms) => {
+        const id = this._nextId++;
+        this._pending.set(id, { fn, at: this.time + ms, id });
+        return id;
+    };
+    clearTimeout = (id) => {
+        this._pending.delete(id);
+    };
+    advance(ms) {
+        const end = this.time + ms;
+        for (;;) {
+            const due = [...this._pending.values()]
+                .filter(t => t.at <= end)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due) break;
+            this._pending.delete(due.id);
+            this.time = due.at;
+            due.fn();
+        }
+        this.time = end;
+    }
+}
+
+/**
+ * Loopback wrapped in a simulator; records (time, seq) of every delivery.
+ */
+function makeLink(options = {}) {
+    const timers = new FakeTimers();
+    const net = new SimulatedNetworkTransport(new LocalTransport(), {
+        timers, now: timers.now, ...options
+    });
+    const received = [];
+    net.onReceive = (msg) => received.push({ at: timers.time, seq: msg.seq });
+    net.connect();
+    return { net, timers, received };
+}
+
+function sendMany(link, count, spacingMs = 0, payload = {}) {
+    for (let i = 0; i < count; i++) {
+        link.net.send({ type: 'MOVE', seq: i, ...payload });
+        if (spacingMs > 0) link.timers.advance(spacingMs);
+    }
+}
+
+// ============ Tests ============
+
+console.log('\n=== Network Simulator Tests ===\n');
+
+test('Perfect profile passes through synchronously', () => {
+    const { net, received } = makeLink();
+    net.send({ type: 'MOVE', seq: 0 });
+    assertEqual(received.length, 1, 'delivered without any timer');
+    assertEqual(net.type, 'simulated');
+    assertEqual(net.state, TransportState.CONNECTED, 'state follows inner');
+    assertEqual(net.getStats().sent, 1);
+});
+
+test('Latency applies to each direction of the loopback', () => {
+    const link = makeLink({ latencyMs: 50 });
+    link.net.send({ type: 'MOVE', seq: 0 });
+    link.timers.advance(99);
+    assertEqual(link.received.length, 0, 'not yet');
+    link.timers.advance(1);
+    assertEqual(link.received.length, 1, 'out 50ms + back 50ms');
+    assertEqual(link.net.getStats().inFlight, 0);
+    assertEqual(link.net.getStats().avgDelayMs, 50, 'per leg');
+});
+
+test('Jitter stays within bounds and preserves order', () => {
+    const link = makeLink({ latencyMs: 40, jitterMs: 20, direction: NetworkDirection.OUTBOUND, seed: 3 });
+    sendMany(link, 200, 1);
+    link.timers.advance(1000);
+    assertEqual(link.received.length, 200);
+    for (let i = 0; i < 200; i++) {
+        assertEqual(link.received[i].seq, i, 'in order');
+        const delay = link.received[i].at - i;
+        assertTrue(delay >= 20 && delay <= 80, `delay ${delay} within latency ± jitter (+ ordering hold)`);
+    }
+    const spread = new Set(link.received.map((r, i) => r.at - i));
+    assertTrue(spread.size > 10, 'delays actually vary');
+});
+
+test('Loss and duplication follow their rates', () => {
+    const lossy = makeLink({ latencyMs: 5, lossRate: 0.25, direction: NetworkDirection.OUTBOUND, seed: 11 });
+    sendMany(lossy, 1000);
+    lossy.timers.advance(100);
+    const dropped = lossy.net.getStats().dropped;
+    assertEqual(lossy.received.length, 1000 - dropped);
+    assertTrue(dropped > 200 && dropped < 300, `~25% dropped (got ${dropped})`);
+
+    const dup = makeLink({ latencyMs: 5, duplicateRate: 0.1, direction: NetworkDirection.OUTBOUND, seed: 11 });
+    sendMany(dup, 1000);
+    dup.timers.advance(100);
+    const duplicated = dup.net.getStats().duplicated;
+    assertEqual(dup.received.length, 1000 + duplicated);
+    assertTrue(duplicated > 60 && duplicated < 140, `~10% duplicated (got ${duplicated})`);
+});
+
+test('Reordering lets later messages overtake held ones', () => {
+    const link = makeLink({ latencyMs: 10, reorderRate: 0.2, direction: NetworkDirection.OUTBOUND, seed: 5 });
+    sendMany(link, 100, 1);
+    link.timers.advance(1000);
+    assertEqual(link.received.length, 100, 'nothing lost');
+    const reordered = link.net.getStats().reordered;
+    assertTrue(reordered > 5, `some messages held back (got ${reordered})`);
+    let inversions = 0;
+    for (let i = 1; i < link.received.length; i++) {
+        if (link.received[i].seq < link.received[i - 1].seq) inversions++;
+    }
+    assertTrue(inversions > 0, 'arrival order differs from send order');
+});
+
+test('Bandwidth cap queues messages behind each other', () => {
+    // 100 bytes/s; each message is ~50 bytes → ~0.5s each on the wire
+    const link = makeLink({ bandwidthBps: 100, direction: NetworkDirection.OUTBOUND });
+    const payload = { pad: 'x'.repeat(20) };
+    const size = JSON.stringify({ type: 'MOVE', seq: 0, ...payload }).length;
+    sendMany(link, 3, 0, payload);
+    link.timers.advance(10000);
+    assertEqual(link.received.length, 3);
+    const perMsgMs = size * 10;
+    assertEqual(link.received[0].at, perMsgMs, 'first waits its own transmission time');
+    assertEqual(link.received[2].at, 3 * perMsgMs, 'third waits for the two before it');
+});
+
+test('Same seed gives an identical delivery schedule', () => {
+    const run = (seed) => {
+        const link = makeLink({ profile: 'terrible', seed });
+        sendMany(link, 300, 3);
+        link.timers.advance(10000);
+        return JSON.stringify(link.received);
+    };
+    assertEqual(run(42), run(42), 'same seed reproduces');
+    assertTrue(run(42) !== run(43), 'different seed differs');
+});
+
+test('Inbound-only direction leaves sends untouched', () => {
+    /** Records sends; delivers inbound manually (test-only). */
+    class RecordingTransport extends TransportBase {
+        constructor() { super(); this.sent = []; this._state = TransportState.CONNECTED; }
+        connect() {}
+        disconnect() {}
+        send(msg) { this.sent.push(msg); }
+        get state() { return this._state; }
+    }
+    const timers = new FakeTimers();
+    const inner = new RecordingTransport();
+    const net = new SimulatedNetworkTransport(inner, {
+        timers, now: timers.now, latencyMs: 30, direction: NetworkDirection.INBOUND
+    });
+    const received = [];
+    net.onReceive = (msg) => received.push(msg);
+
+    net.send({ type: 'MOVE' });
+    assertEqual(inner.sent.length, 1, 'outbound immediate');
+
+    inner._deliverReceived({ type: 'MOVE' });
+    assertEqual(received.length, 0, 'inbound delayed');
+    timers.advance(30);
+    assertEqual(received.length, 1);
+});
+
+test('Profiles switch live and reject unknown names', () => {
+    const link = makeLink({ seed: 1 });
+    link.net.setProfile('lan');
+    assertEqual(link.net.profile, 'lan');
+    assertEqual(link.net.conditions.latencyMs, NetworkProfiles.lan.latencyMs);
+    link.net.setConditions({ lossRate: 0.5 });
+    assertEqual(link.net.profile, 'custom');
+    assertEqual(link.net.conditions.latencyMs, NetworkProfiles.lan.latencyMs, 'merged');
+
+    let threw = false;
+    try { link.net.setProfile('dialup'); } catch (e) { threw = true; }
+    assertTrue(threw, 'unknown profile throws');
+    threw = false;
+    try { link.net.setConditions({ lossRate: -1 }); } catch (e) { threw = true; }
+    assertTrue(threw, 'negative rate throws');
+
+    link.net.setProfile('perfect');
+    link.net.send({ type: 'MOVE', seq: 9 });
+    assertEqual(link.received.length, 1, 'back to pass-through');
+});
+
+test('Disconnect cancels in-flight messages', () => {
+    const link = makeLink({ latencyMs: 100 });
+    sendMany(link, 5);
+    assertEqual(link.net.getStats().inFlight, 5);
+    link.net.disconnect();
+    assertEqual(link.net.getStats().inFlight, 0);
+    link.timers.advance(1000);
+    assertEqual(link.received.length, 0, 'nothing delivered after disconnect');
+});
+
+// ============ Summary ============
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Network Simulator tests PASS');
+    process.exit(0);
+}
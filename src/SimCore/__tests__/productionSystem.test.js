@@ -0,0 +1,398 @@
+/**
+ * ProductionSystem Test
+ *
+ * Validates ProductionSystem (P step of G-R-F-Tr-D-P-U):
+ * - StatsEngine production config: complexity, delta complexity, costs, speed
+ * - One BUILD queue per producer: serial per producer, parallel across producers
+ * - Built units take IdGenerator IDs and spawn next to the producer on the terrain
+ * - REFIT: newer version required, refit range, delta-complexity cost, stats applied
+ * - Producer validation, energy gating, cancel, PRODUCE / REFIT / CANCEL_PRODUCTION commands
+ * - Finished jobs leave the queues; only a bounded history is kept and saved
+ * - Jobs survive SaveManager save/load
+ * - Save → produce → load: built units are removed / re-created, verifyOnLoad passes
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/productionSystem.test.js
+ */
+
+import { ProductionEvent, ProductionJobType, ProductionJobStatus } from '../systems/ProductionSystem.js';
+import { StatsEngine, DEFAULT_STATS_CONFIG } from '../rules/StatsEngine.js';
+import { TypeBlueprint, createSeedBlueprint, createScoutSeedBlueprint } from '../domain/TypeBlueprint.js';
+import { applyBlueprintStats } from '../runtime/UnitTypeBinder.js';
+import { peekEntityId } from '../runtime/IdGenerator.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { validateCommand } from '../runtime/CommandValidator.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { SaveManager } from '../persistence/SaveManager.js';
+import { MemoryStorageAdapter } from '../persistence/StorageAdapter.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+function assertClose(actual, expected, msg = '', epsilon = 1e-9) {
+    if (Math.abs(actual - expected) > epsilon) {
+        throw new Error(`${msg} Expected ~${expected}, got ${actual}`);
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Stats engine with short jobs: a Scout (complexity 0.75) builds in 1 second
+ * (20 ticks) at 1x speed.
+ */
+function createFastStats() {
+    return new StatsEngine({
+        ...DEFAULT_STATS_CONFIG,
+        production: { ...DEFAULT_STATS_CONFIG.production, buildTimeSecPerComplexity: 4 / 3, refitTimeSecPerComplexity: 2 }
+    });
+}
+
+/**
+ * World with an in-memory blueprint library and a Base Station producer
+ * (produce_repair 25% → 1x speed).
+ */
+function createWorld(production = {}) {
+    const station = createSeedBlueprint();
+    const scout = createScoutSeedBlueprint();
+    const blueprints = new Map([[station.id, station], [scout.id, scout]]);
+
+    const world = new SimWorld({
+        seed: 5,
+        goals: { onboarding: false },
+        production: {
+            stats: createFastStats(),
+            getBlueprint: (id) => blueprints.get(id) ?? null,
+            ...production
+        }
+    });
+    const factory = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    applyBlueprintStats(factory, station, world.productionSystem.stats);
+    return { world, factory, station, scout, blueprints };
+}
+
+function distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+// ============ Tests ============
+
+test('StatsEngine production config: complexity, delta complexity, costs and speed', () => {
+    const stats = new StatsEngine();
+
+    assertClose(stats.getBlueprintComplexity(createScoutSeedBlueprint()), 0.75, 'scout: design 60%, 2 features');
+    assertClose(stats.getBlueprintComplexity(createSeedBlueprint()), 1.75, 'station: 4 features');
+    assertClose(stats.getBlueprintComplexity({ designPct: 200, allocations: { move: 1 } }), 2, 'design 200%');
+    assertEqual(stats.getBlueprintComplexity({ designPct: 100, allocations: {} }), 0, 'empty design');
+
+    const from = { designPct: 100, allocations: { move: 0.5, vision: 0.5 } };
+    assertEqual(stats.getDeltaComplexity(from, from), 0, 'same design is free');
+    assertClose(stats.getDeltaComplexity(from, { designPct: 100, allocations: { move: 0.75, vision: 0.25 } }), 0.25,
+        'moved allocation counts once');
+    assertClose(stats.getDeltaComplexity(from, { designPct: 100, allocations: { move: 0.5, vision: 0.25, shot: 0.25 } }),
+        0.25 + 0.25, 'new feature adds complexity growth');
+
+    const build = stats.getProductionCost(ProductionJobType.BUILD, 1.25);
+    assertClose(build.energyCost, 125);
+    assertClose(build.timeCostSec, 25);
+    const refit = stats.getProductionCost(ProductionJobType.REFIT, 0.5);
+    assertClose(refit.energyCost, 40);
+    assertClose(refit.timeCostSec, 7.5);
+
+    assertEqual(stats.getProductionSpeed(0.25), 1, 'base allocation');
+    assertEqual(stats.getProductionSpeed(0.5), 2);
+    assertEqual(stats.getProductionSpeed(0), 0, 'no produce_repair');
+});
+
+test('Build queue runs serially per producer and spawns next to it', () => {
+    const { world, factory, scout } = createWorld();
+    const production = world.productionSystem;
+    const events = [];
+    for (const type of Object.values(ProductionEvent)) {
+        world.eventBus.on(type, (payload) => events.push({ type, payload }));
+    }
+
+    const first = production.queueBuild(factory.id, scout.id);
+    assertTrue(first.success, first.error);
+    assertEqual(first.job.jobId, 'PJOB_001');
+    assertEqual(first.job.type, ProductionJobType.BUILD);
+    assertClose(first.job.energyCost, 75);
+    const second = production.queueBuild(factory.id, scout.id).job;
+    assertEqual(production.getQueue(factory.id).length, 2);
+
+    world.runTicks(10);
+    assertEqual(first.job.status, ProductionJobStatus.RUNNING);
+    assertClose(first.job.progress01, 0.5, 'half way', 1e-6);
+    assertEqual(second.status, ProductionJobStatus.QUEUED, 'second waits for the first');
+
+    const expectedId = peekEntityId() + 1;
+    world.runTicks(12);
+    assertEqual(first.job.status, ProductionJobStatus.DONE);
+    assertEqual(second.status, ProductionJobStatus.RUNNING);
+
+    const built = world.getUnit(first.job.resultUnitId);
+    assertTrue(built, 'unit added to the world');
+    assertEqual(built.id, expectedId, 'ID from IdGenerator');
+    assertEqual(built.name, 'Scout');
+    assertEqual(built.typeId, scout.id);
+    assertEqual(built.typeVersion, 1);
+    assertTrue(built.speed > 0, 'blueprint stats applied');
+
+    const near = distance(built.position, factory.position);
+    assertTrue(near > 1 && near < 3, `spawned ~spawnOffset from producer (${near})`);
+    const radius = Math.sqrt(built.position.x ** 2 + built.position.y ** 2 + built.position.z ** 2);
+    assertClose(radius, 10 + built.groundOffset, 'on the terrain surface', 1e-6);
+
+    const completed = events.find(e => e.type === ProductionEvent.COMPLETED);
+    assertEqual(completed.payload.unit, built, 'completion event carries the unit');
+    assertEqual(events[0].type, ProductionEvent.QUEUED);
+
+    world.runTicks(21);
+    const builtSecond = world.getUnit(second.resultUnitId);
+    assertTrue(distance(builtSecond.position, built.position) > 0.5, 'next spawn at another angle');
+});
+
+test('Producers build in parallel; speed follows produce_repair allocation', () => {
+    const { world, factory, scout, station } = createWorld();
+    const production = world.productionSystem;
+    const fast = world.spawnUnit({ position: { x: 10, y: 0, z: 0 } });
+    applyBlueprintStats(fast, new TypeBlueprint({ ...station.serialize(), allocations: { produce_repair: 0.5, vision: 0.5 } }),
+        production.stats);
+    const rover = world.spawnUnit({ position: { x: 0, y: 0, z: 10 } });
+    applyBlueprintStats(rover, scout, production.stats);
+
+    assertEqual(production.canProduce(rover), false, 'scout has no produce_repair');
+    const rejected = production.queueBuild(rover.id, scout.id);
+    assertEqual(rejected.success, false);
+    assertTrue(rejected.error.includes('cannot produce'), rejected.error);
+    assertEqual(production.queueBuild(factory.id, 'missing').success, false, 'unknown blueprint');
+    assertEqual(production.queueBuild(999, scout.id).success, false, 'unknown producer');
+
+    const slow = production.queueBuild(factory.id, scout.id).job;
+    const quick = production.queueBuild(fast.id, scout.id).job;
+    world.runTicks(11);
+    assertEqual(quick.status, ProductionJobStatus.DONE, '2x speed finishes in ~10 ticks');
+    assertEqual(slow.status, ProductionJobStatus.RUNNING, 'other producer runs at the same time');
+    world.runTicks(10);
+    assertEqual(slow.status, ProductionJobStatus.DONE);
+});
+
+test('Refit needs a newer version in range and costs delta complexity', () => {
+    const { world, factory, scout, blueprints } = createWorld();
+    const production = world.productionSystem;
+    const rover = world.spawnUnit({ position: { x: 1, y: 10, z: 0 } });
+    applyBlueprintStats(rover, scout, production.stats);
+    const oldSpeed = rover.speed;
+
+    assertTrue(production.queueRefit(factory.id, rover.id).error.includes('newest version'), 'same version');
+
+    const v2 = new TypeBlueprint({ ...scout.serialize(), allocations: { move: 0.75, vision: 0.25 }, version: 2 });
+    blueprints.set(scout.id, v2);
+
+    const far = world.spawnUnit({ position: { x: 0, y: -10, z: 0 } });
+    applyBlueprintStats(far, scout, production.stats);
+    assertTrue(production.queueRefit(factory.id, far.id).error.includes('out of refit range'));
+
+    const result = production.queueRefit(factory.id, rover.id);
+    assertTrue(result.success, result.error);
+    assertEqual(result.job.type, ProductionJobType.REFIT);
+    assertEqual(result.job.targetUnitId, rover.id);
+    assertEqual(result.job.blueprintVersion, 2);
+    assertClose(result.job.complexity, 0.15, 'delta complexity at design 60%');
+    assertClose(result.job.energyCost, 12);
+    assertClose(result.job.timeCostSec, 0.3);
+    assertTrue(production.queueRefit(factory.id, rover.id).error.includes('already queued'), 'one refit per target');
+
+    // Out of range pauses the job
+    const home = { ...rover.position };
+    rover.position = { x: 0, y: 0, z: 10 };
+    world.runTicks(5);
+    assertEqual(result.job.status, ProductionJobStatus.QUEUED, 'paused while out of range');
+    rover.position = home;
+    world.runTicks(11);
+    assertEqual(result.job.status, ProductionJobStatus.DONE);
+    assertEqual(rover.typeVersion, 2);
+    assertEqual(rover.typeSpec.allocations.move, 0.75);
+    assertTrue(rover.speed > oldSpeed, 'more move allocation → faster');
+    assertEqual(world.units.length, 3, 'refit builds nothing');
+
+    // Target destroyed mid-job
+    const v3 = new TypeBlueprint({ ...v2.serialize(), allocations: { move: 1 }, version: 3 });
+    blueprints.set(scout.id, v3);
+    const job = production.queueRefit(factory.id, rover.id).job;
+    world.entities.remove(rover.id);
+    world.runTicks(1);
+    assertEqual(job.status, ProductionJobStatus.FAILED);
+});
+
+test('Energy gating, cancel and production commands', () => {
+    let energy = 100;
+    const { world, factory, scout } = createWorld({
+        spendEnergy: (amount) => {
+            if (energy < amount) return false;
+            energy -= amount;
+            return true;
+        }
+    });
+    const production = world.productionSystem;
+
+    const first = production.queueBuild(factory.id, scout.id).job;
+    const second = production.queueBuild(factory.id, scout.id).job;
+    world.runTicks(21);
+    assertEqual(first.status, ProductionJobStatus.DONE);
+    assertEqual(energy, 25, 'energy paid once when the job starts');
+    world.runTicks(5);
+    assertEqual(second.status, ProductionJobStatus.QUEUED, 'waits for energy');
+    assertEqual(second.progress01, 0);
+    energy = 1000;
+
+    // PRODUCE / CANCEL_PRODUCTION through the command queue
+    const context = { units: world.units, senderId: 'local', localPlayerId: 'local' };
+    const produce = { type: CommandType.PRODUCE, unitId: factory.id, typeId: scout.id };
+    assertTrue(validateCommand(produce, context).valid, 'PRODUCE valid');
+    assertEqual(validateCommand({ ...produce, typeId: 7 }, context).valid, false, 'typeId must be a string');
+    assertEqual(validateCommand({ type: CommandType.REFIT, unitId: factory.id, targetId: 999 }, context).valid, false,
+        'REFIT target must exist');
+    assertEqual(validateCommand({ type: CommandType.CANCEL_PRODUCTION, unitId: factory.id }, context).valid, false,
+        'CANCEL_PRODUCTION needs a jobId');
+
+    world.commandQueue.enqueue(produce);
+    world.runTicks(1);
+    assertEqual(production.getQueue(factory.id).length, 2, 'PRODUCE queued a build');
+    assertEqual(second.status, ProductionJobStatus.RUNNING);
+
+    world.commandQueue.enqueue({ type: CommandType.CANCEL_PRODUCTION, unitId: factory.id, jobId: second.jobId });
+    world.runTicks(1);
+    assertEqual(second.status, ProductionJobStatus.CANCELLED);
+    assertEqual(production.getQueue(factory.id)[0].status, ProductionJobStatus.RUNNING, 'next job starts');
+    assertEqual(production.cancelJob(second.jobId).success, false, 'already cancelled');
+    assertEqual(production.getJobs({ status: ProductionJobStatus.DONE }).length, 1);
+});
+
+test('Finished jobs leave the queues; the saved history is bounded', () => {
+    const { world, factory, scout } = createWorld({ historyLimit: 2 });
+    const production = world.productionSystem;
+
+    const jobs = [];
+    for (let i = 0; i < 4; i++) {
+        jobs.push(production.queueBuild(factory.id, scout.id).job);
+    }
+    production.cancelJob(jobs[3].jobId);
+    world.runTicks(70);
+
+    assertEqual(jobs[2].status, ProductionJobStatus.DONE);
+    assertEqual(production.getQueue(factory.id).length, 0, 'no active jobs');
+    assertEqual(production.getJobs().map(job => job.jobId).join(','), 'PJOB_002,PJOB_003', 'last two finished');
+    assertEqual(production.getJob(jobs[0].jobId), null, 'oldest dropped');
+    assertEqual(production.getJob(jobs[2].jobId), jobs[2], 'recent job still queryable');
+
+    const saved = production.serialize();
+    assertEqual(saved.jobs.length, 0, 'finished jobs are not queued work');
+    assertEqual(saved.history.length, 2, 'history capped');
+
+    // Saves from before the split kept every job in `jobs`
+    production.restore({ jobs: [...saved.history, { ...jobs[0], status: ProductionJobStatus.QUEUED }], nextJobSeq: 5 });
+    assertEqual(production.getQueue(factory.id).length, 1, 'active job restored to the queue');
+    assertEqual(production.serialize().history.length, 2);
+});
+
+test('Jobs survive SaveManager save/load', () => {
+    const { world, factory, scout } = createWorld();
+    const manager = new SaveManager(world, new MemoryStorageAdapter());
+    const production = world.productionSystem;
+
+    production.queueBuild(factory.id, scout.id);
+    const running = production.queueBuild(factory.id, scout.id).job;
+    world.runTicks(30);
+
+    const before = JSON.stringify(production.serialize());
+    const unitCount = world.units.length;
+    assertTrue(manager.save('slot').success, 'saved');
+
+    world.runTicks(40);
+    production.reset();
+
+    const loaded = manager.load('slot');
+    assertTrue(loaded.success, loaded.error);
+    assertEqual(JSON.stringify(production.serialize()), before, 'jobs restored');
+    assertEqual(world.units.length, unitCount);
+    assertEqual(world.getUnit(factory.id).typeSpec.allocations.produce_repair, 0.25, 'producer design restored');
+
+    world.runTicks(12);
+    assertEqual(production.getJob(running.jobId).status, ProductionJobStatus.DONE, 'resumed and finished');
+    assertEqual(production.queueBuild(factory.id, scout.id).job.jobId, 'PJOB_003', 'job sequence restored');
+});
+
+test('Save, produce, load: the unit set matches the save', () => {
+    const { world, factory, scout } = createWorld();
+    const manager = new SaveManager(world, new MemoryStorageAdapter(), { verifyOnLoad: true });
+    const production = world.productionSystem;
+
+    assertTrue(manager.save('before').success, 'saved before production');
+    const hashBefore = world.getHash();
+    const unitCount = world.units.length;
+
+    const job = production.queueBuild(factory.id, scout.id).job;
+    world.runTicks(25);
+    assertEqual(job.status, ProductionJobStatus.DONE);
+    assertEqual(world.units.length, unitCount + 1, 'unit built');
+    assertTrue(manager.save('after').success, 'saved after production');
+    const hashAfter = world.getHash();
+
+    // Quickload to before production: the built unit is removed
+    const back = manager.load('before');
+    assertTrue(back.success, back.error);
+    assertEqual(world.units.length, unitCount);
+    assertEqual(world.getUnit(job.resultUnitId), null, 'built unit removed');
+    assertEqual(world.getHash(), hashBefore);
+
+    // Load forward again: the built unit is re-created with its design
+    const forward = manager.load('after');
+    assertTrue(forward.success, forward.error);
+    assertEqual(world.units.length, unitCount + 1);
+    const rebuilt = world.getUnit(job.resultUnitId);
+    assertTrue(rebuilt, 'built unit re-created');
+    assertEqual(rebuilt.typeId, scout.id);
+    assertEqual(world.getHash(), hashAfter);
+
+    world.runTicks(5);
+    assertEqual(production.queueBuild(factory.id, scout.id).job.jobId, 'PJOB_002', 'job sequence follows the save');
+});
+
+// ============ Summary ============
+
+console.log('\n=== Production System Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Production System tests PASS');
+    process.exit(0);
+}
@@ -17,6 +17,7 @@ import { CommandQueue, CommandType } from '../runtime/CommandQueue.js';
 import { LocalTransport } from '../transport/LocalTransport.js';
 import { InputFactory } from '../runtime/InputFactory.js';
 import { hashState } from '../runtime/StateSurface.js';
+import { SimWorld } from '../runtime/SimWorld.js';
 
 // ============ Headless Unit (no Three.js) ============
 
@@ -497,6 +498,59 @@ test('R010: Stress test - 10 seeds × 100 ticks each', () => {
     assertEqual(allPassed, true, 'All seeds passed');
 });
 
+// ============ SimWorld (real MovementSystem) ============
+
+/**
+ * Build a SimWorld wired through the REAL InputFactory → Transport → Queue pipeline.
+ */
+function createWiredWorld(seed) {
+    const world = new SimWorld({ seed });
+    const transport = new LocalTransport();
+    transport.onReceive = (cmd) => world.commandQueue.enqueue(cmd);
+    transport.connect();
+    return { world, factory: new InputFactory(transport) };
+}
+
+function runWorldScript(seed, ticks) {
+    const { world, factory } = createWiredWorld(seed);
+    const u1 = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    const u2 = world.spawnUnit({ position: { x: 0, y: 0, z: 10 } });
+    const hashes = [];
+
+    world.runTicks(ticks, (tick) => {
+        if (tick === 2) {
+            factory.select(u1.id);
+            factory.move(u1.id, { x: 10, y: 0, z: 0 });
+        }
+        if (tick === 6) {
+            factory.setPath(u2.id, [{ x: 10, y: 0, z: 0 }, { x: 0, y: -10, z: 0 }, { x: -10, y: 0, z: 0 }]);
+        }
+        if (tick === 8) {
+            factory.select(u2.id);
+            factory.closePath(u2.id);
+        }
+        hashes.push(world.getHash());
+    });
+
+    return { world, hashes };
+}
+
+test('R010: SimWorld dual-run per-tick hash match (real movement)', () => {
+    const TICKS = 200;
+    const run1 = runWorldScript(42, TICKS);
+    const run2 = runWorldScript(42, TICKS);
+
+    assertEqual(run1.hashes.length, TICKS, 'tick hash count');
+    for (let i = 0; i < TICKS; i++) {
+        assertEqual(run1.hashes[i], run2.hashes[i], `tick ${i + 1} hash`);
+    }
+
+    const u2 = run1.world.units[1];
+    assertEqual(u2.isPathClosed, true, 'closed path applied');
+    assertEqual(u2.isFollowingPath, true, 'looping unit still following');
+    assertEqual(run1.world.units[0].isFollowingPath, false, 'open path finished');
+});
+
 // ============ Summary & Report ============
 
 console.log('\n=== R010: Full Determinism Verification ===\n');
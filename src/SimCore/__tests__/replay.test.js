@@ -0,0 +1,341 @@
+/**
+ * Replay Verification Test
+ *
+ * Validates ReplayRecorder/ReplayPlayer:
+ * - Recorded session replays to identical per-checkpoint and final hashes
+ * - Command/unit IDs match (entity counter consumption reproduced)
+ * - A recording that starts mid pause-ease restores the ease (no false desync)
+ * - Seek, pause, speed controls
+ * - Tampered checkpoints are reported as desync at the exact tick
+ * - .asterobia-replay JSON round-trip and validation
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/replay.test.js
+ */
+
+import { SimWorld } from '../runtime/SimWorld.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+import {
+    REPLAY_FORMAT,
+    REPLAY_SCHEMA_VERSION,
+    validateReplay,
+    parseReplay,
+    serializeReplay,
+    getReplayFileName
+} from '../replay/ReplaySchema.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+const TOTAL_TICKS = 160;
+
+/**
+ * Record a session: 10 warm-up ticks, then commands (one scheduled in the future).
+ * @returns {{ replay: Object, hashesByTick: Map<number, string>, finalState: Object }}
+ */
+function recordSession(seed = 42, options = {}) {
+    const world = new SimWorld({ seed });
+    const a = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    const b = world.spawnUnit({ position: { x: 0, y: 0, z: 10 } });
+    world.runTicks(10);
+
+    // Pending before recording starts
+    world.commandQueue.enqueue({ type: CommandType.SELECT, unitId: b.id });
+
+    const recorder = new ReplayRecorder(world, { checkpointInterval: options.checkpointInterval ?? 10 });
+    assertEqual(recorder.start({ name: 'Test Session' }).success, true, 'start');
+
+    const hashesByTick = new Map();
+    world.runTicks(TOTAL_TICKS, (tick, w) => {
+        if (tick === 12) {
+            w.commandQueue.enqueue({ type: CommandType.MOVE, unitId: a.id, position: { x: 10, y: 0, z: 0 } });
+            // Scheduled 5 ticks ahead (IDs consumed now, processed later)
+            w.commandQueue.enqueue({
+                type: CommandType.SET_PATH,
+                unitId: b.id,
+                points: [{ x: 10, y: 0, z: 0 }, { x: 0, y: -10, z: 0 }, { x: -10, y: 0, z: 0 }]
+            }, tick + 5);
+        }
+        if (tick === 20) {
+            w.commandQueue.enqueue({ type: CommandType.CLOSE_PATH, unitId: b.id });
+        }
+        if (options.bulkCommands && tick > 20 && tick < 80) {
+            w.commandQueue.enqueue({ type: CommandType.SELECT, unitId: a.id });
+            w.commandQueue.enqueue({ type: CommandType.DESELECT });
+        }
+        hashesByTick.set(tick, w.getHash());
+    });
+
+    const replay = recorder.stop();
+    return { replay, recorder, hashesByTick, finalState: world.serialize() };
+}
+
+// ============ Tests ============
+
+test('Recorder captures initial envelope, commands and checkpoints', () => {
+    const { replay } = recordSession();
+
+    assertEqual(replay.format, REPLAY_FORMAT, 'format');
+    assertEqual(replay.schemaVersion, REPLAY_SCHEMA_VERSION, 'version');
+    assertEqual(replay.metadata.startTick, 10, 'start tick');
+    assertEqual(replay.metadata.endTick, 170, 'end tick');
+    assertEqual(replay.metadata.seed, 42, 'seed');
+    assertEqual(replay.initialPending.length, 1, 'pending at start');
+    assertEqual(replay.commands.length, 3, 'command count');
+    assertEqual(replay.commands[1].enqueuedTick, 12, 'enqueued tick');
+    assertEqual(replay.commands[1].tick, 17, 'processedAtTick of scheduled command');
+    assertEqual(replay.commands[1].command.id, undefined, 'queue stamps stripped');
+    assertEqual(replay.checkpoints.length, 16, 'checkpoint count');
+    assertTrue(validateReplay(replay).valid, 'replay validates');
+});
+
+test('Recorder is not capped by CommandQueue history', () => {
+    const { replay } = recordSession(42, { bulkCommands: true });
+    assertTrue(replay.commands.length > 100, `recorded ${replay.commands.length} commands`);
+});
+
+test('Playback verifies all checkpoints and final hash', () => {
+    const { replay, finalState } = recordSession();
+
+    const player = new ReplayPlayer(new SimWorld());
+    assertEqual(player.load(replay).success, true, 'load');
+
+    const result = player.verify();
+    assertEqual(result.valid, true, 'valid');
+    assertEqual(result.firstDesyncTick, null, 'no desync');
+    assertEqual(result.finalHash, replay.finalHash, 'final hash');
+
+    // Full state (incl. command IDs) matches, not just the position hash
+    assertEqual(
+        JSON.stringify(player.sim.serialize()),
+        JSON.stringify(finalState),
+        'serialized state'
+    );
+});
+
+test('JSON file round-trip plays back identically', () => {
+    const { recorder } = recordSession();
+    const exported = recorder.export();
+
+    assertEqual(exported.success, true, 'export');
+    assertEqual(exported.fileName, 'Test_Session.asterobia-replay', 'file name');
+
+    const player = new ReplayPlayer(new SimWorld());
+    assertEqual(player.load(exported.json).success, true, 'load from JSON');
+    assertEqual(player.verify().valid, true, 'valid after round-trip');
+});
+
+test('Seek forward and backward lands on recorded state', () => {
+    const { replay, hashesByTick } = recordSession();
+    const player = new ReplayPlayer(new SimWorld());
+    player.load(replay);
+
+    player.seek(100);
+    assertEqual(player.sim.getHash(), hashesByTick.get(100), 'seek forward');
+
+    player.seek(25);
+    assertEqual(player.sim.getTickCount(), 25, 'tick after backward seek');
+    assertEqual(player.sim.getHash(), hashesByTick.get(25), 'seek backward');
+
+    const clamped = player.seek(9999);
+    assertEqual(clamped.tick, 170, 'seek clamps to end');
+    assertTrue(player.isFinished(), 'finished');
+});
+
+test('Pause, step and speed controls', () => {
+    const { replay, hashesByTick } = recordSession();
+    const player = new ReplayPlayer(new SimWorld());
+    player.load(replay);
+
+    // Paused: update does nothing
+    player.update(1000);
+    player.update(2000);
+    assertEqual(player.sim.getTickCount(), 10, 'paused');
+
+    // stepTick works while paused
+    player.stepTick();
+    assertEqual(player.sim.getTickCount(), 11, 'single step');
+
+    // 2x speed: 100ms of frames = 4 ticks
+    player.setSpeed(2);
+    player.play();
+    player.update(1000);
+    player.update(1050);
+    player.update(1100);
+    assertEqual(player.sim.getTickCount(), 15, 'speed 2x');
+    assertEqual(player.sim.getHash(), hashesByTick.get(15), 'hash at tick 15');
+
+    player.pause();
+    player.update(1500);
+    assertEqual(player.sim.getTickCount(), 15, 'paused again');
+
+    assertEqual(player.getProgress().currentTick, 15, 'progress tick');
+});
+
+test('Tampered checkpoint reports desync at exact tick and pauses', () => {
+    const { replay } = recordSession();
+    const tampered = JSON.parse(JSON.stringify(replay));
+    tampered.checkpoints.find(cp => cp.tick === 60).hash = 'corrupt';
+
+    const desyncs = [];
+    const player = new ReplayPlayer(new SimWorld(), { onDesync: d => desyncs.push(d) });
+    player.load(tampered);
+    player.play();
+
+    let frame = 1;
+    player.update(frame);
+    while (player.playing && frame < 10000) {
+        frame += 50;
+        player.update(frame);
+    }
+
+    assertEqual(player.sim.getTickCount(), 60, 'paused at desync tick');
+    assertEqual(desyncs.length, 1, 'one desync');
+    assertEqual(desyncs[0].expected, 'corrupt', 'expected hash reported');
+
+    const result = player.verify();
+    assertEqual(result.valid, false, 'verify fails');
+    assertEqual(result.firstDesyncTick, 60, 'first desync tick');
+});
+
+test('Divergent sim is detected (command removed from log)', () => {
+    const { replay } = recordSession();
+    const broken = JSON.parse(JSON.stringify(replay));
+    broken.commands.splice(0, 1); // drop the MOVE command
+
+    const player = new ReplayPlayer(new SimWorld());
+    player.load(broken);
+    const result = player.verify();
+
+    assertEqual(result.valid, false, 'invalid');
+    assertEqual(result.firstDesyncTick, 20, 'first checkpoint after the missing command');
+});
+
+test('Invalid replays are rejected', () => {
+    assertEqual(validateReplay(null).valid, false, 'null');
+    assertEqual(validateReplay({ format: 'asterobia-save' }).valid, false, 'wrong format');
+
+    const { replay } = recordSession();
+    const newer = { ...replay, schemaVersion: REPLAY_SCHEMA_VERSION + 1 };
+    assertEqual(validateReplay(newer).valid, false, 'newer version');
+
+    assertEqual(parseReplay('{not json').success, false, 'bad JSON');
+
+    const player = new ReplayPlayer(new SimWorld({ fixedDtMs: 20 }));
+    assertEqual(player.load(replay).success, false, 'timestep mismatch');
+});
+
+test('getReplayFileName sanitizes and appends extension', () => {
+    assertEqual(getReplayFileName('desync #3'), 'desync_3.asterobia-replay', 'sanitized');
+    assertEqual(getReplayFileName('a.asterobia-replay'), 'a.asterobia-replay', 'no double extension');
+});
+
+test('Recording started mid pause-ease plays back without desync', () => {
+    const world = new SimWorld({ seed: 11 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 10, y: 0, z: 0 } });
+    world.runTicks(20);
+    world.commandQueue.enqueue({ type: CommandType.TOGGLE_PAUSE, unitId: unit.id });
+    world.runTicks(3);
+    assertTrue(unit.speedFactor > 0 && unit.speedFactor < 1, `recording starts mid-ease (speedFactor ${unit.speedFactor})`);
+
+    const recorder = new ReplayRecorder(world, { checkpointInterval: 5 });
+    recorder.start({ name: 'ease' });
+    world.runTicks(10);
+    world.commandQueue.enqueue({ type: CommandType.TOGGLE_PAUSE, unitId: unit.id });
+    world.runTicks(30);
+    const replay = recorder.stop();
+
+    const player = new ReplayPlayer(new SimWorld());
+    player.load(replay);
+    const result = player.verify();
+    assertEqual(result.firstDesyncTick, null, 'no desync');
+    assertEqual(result.finalHash, replay.finalHash, 'final hash');
+});
+
+test('Dev replay flow: export while recording, play back in place, resume recording', () => {
+    // Mirrors Game: snapshot export mid-session, playback on the same world
+    // driven by frame timestamps, then a fresh recording from the replayed state
+    const world = new SimWorld({ seed: 7 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    const recorder = new ReplayRecorder(world);
+    recorder.start({ name: 'session' });
+
+    world.runTicks(30, (tick, w) => {
+        if (tick === 5) {
+            w.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 10, y: 0, z: 0 } });
+        }
+    });
+    const exported = serializeReplay(recorder.snapshot());
+    assertTrue(recorder.recording, 'snapshot keeps recording');
+    world.runTicks(20);
+
+    recorder.stop();
+    const player = new ReplayPlayer(world, { commandQueue: world.commandQueue });
+    assertEqual(player.load(exported).success, true, 'load into the live world');
+    assertEqual(world.simLoop.tickCount, 0, 'rewound to recording start');
+
+    player.play();
+    for (let frameMs = 1; !player.isFinished(); frameMs += 50) {
+        player.update(frameMs);
+    }
+    assertEqual(world.simLoop.tickCount, 30, 'played to the exported tick');
+    assertEqual(player.desyncs.length, 0, 'no desync');
+
+    // Exit playback: the next recording starts from the replayed state
+    assertEqual(recorder.start({ name: 'session' }).success, true, 'recording restarts');
+    world.runTicks(10, (tick, w) => {
+        if (tick === 35) {
+            w.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 0, y: 0, z: 10 } });
+        }
+    });
+    const resumed = recorder.stop();
+    assertEqual(resumed.metadata.startTick, 30, 'resumed recording start');
+    assertEqual(resumed.commands.length, 1, 'only post-exit input recorded');
+
+    const check = new ReplayPlayer(new SimWorld());
+    check.load(resumed);
+    assertEqual(check.verify().valid, true, 'resumed recording replays');
+});
+
+// ============ Summary ============
+
+console.log('\n=== Replay Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Replay tests PASS');
+    process.exit(0);
+}
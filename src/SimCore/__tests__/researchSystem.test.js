@@ -0,0 +1,329 @@
+/**
+ * ResearchSystem Test
+ *
+ * Validates ResearchSystem (R step of G-R-F-Tr-D-P-U):
+ * - StatsEngine research config: costs, speed, Extend multiplier (1.0 + L × 0.5, cap 5)
+ * - FeatureRegistry LOCKED / UNLOCKED status and Extend levels
+ * - Invent from a goal: tick progress, unlock, goal resolved, completion event
+ * - Extend: preconditions, growing costs, level cap
+ * - Researcher validation, energy gating, one job per researcher, cancel
+ * - RESEARCH command: InputFactory → transport → CommandValidator → CommandQueue → ResearchSystem
+ * - Jobs and feature progress survive SaveManager save/load
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/researchSystem.test.js
+ */
+
+import { ResearchEvent, ResearchJobStatus } from '../systems/ResearchSystem.js';
+import { GoalType, GoalStatus } from '../systems/GoalManager.js';
+import { StatsEngine, DEFAULT_STATS_CONFIG } from '../rules/StatsEngine.js';
+import { FeatureRegistry, FEATURE_STATUS } from '../domain/FeatureRegistry.js';
+import { GameEvent } from '../domain/GameEvents.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { InputFactory } from '../runtime/InputFactory.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { CommandValidator, validateCommand } from '../runtime/CommandValidator.js';
+import { LocalTransport } from '../transport/LocalTransport.js';
+import { SaveManager } from '../persistence/SaveManager.js';
+import { MemoryStorageAdapter } from '../persistence/StorageAdapter.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Stats engine with 1 second jobs (20 ticks at 1x speed).
+ */
+function createFastStats() {
+    return new StatsEngine({
+        ...DEFAULT_STATS_CONFIG,
+        research: { ...DEFAULT_STATS_CONFIG.research, inventTimeSec: 1, extendTimeSec: 1 }
+    });
+}
+
+/**
+ * World whose units research with their `researchAllocation` field.
+ */
+function createWorld(research = {}) {
+    const world = new SimWorld({
+        seed: 3,
+        goals: { onboarding: false },
+        research: {
+            stats: createFastStats(),
+            getResearchAllocation: (unit) => unit.researchAllocation ?? 0,
+            ...research
+        }
+    });
+    const station = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    station.researchAllocation = 0.25;
+    return { world, station };
+}
+
+// ============ Tests ============
+
+test('StatsEngine research config: costs, speed and Extend multiplier', () => {
+    const stats = new StatsEngine();
+    assertEqual(stats.getExtendMultiplier(0), 1.0);
+    assertEqual(stats.getExtendMultiplier(1), 1.5);
+    assertEqual(stats.getExtendMultiplier(5), 3.5, 'cap value');
+    assertEqual(stats.getExtendMultiplier(9), 3.5, 'capped');
+
+    const invent = stats.getResearchCost(GoalType.INVENT);
+    assertEqual(invent.energyCost, DEFAULT_STATS_CONFIG.research.inventEnergyCost);
+    assertEqual(invent.timeCostSec, DEFAULT_STATS_CONFIG.research.inventTimeSec);
+
+    const extend0 = stats.getResearchCost(GoalType.EXTEND, 0);
+    const extend2 = stats.getResearchCost(GoalType.EXTEND, 2);
+    assertEqual(extend2.energyCost, extend0.energyCost * 2, 'costs grow per level');
+
+    assertEqual(stats.getResearchSpeed(0.25), 1, 'base allocation = 1x');
+    assertEqual(stats.getResearchSpeed(0.5), 2);
+    assertEqual(stats.getResearchSpeed(0), 0);
+
+    stats.setConfig({ research: { ...DEFAULT_STATS_CONFIG.research, extendMultiplierStep: 0.25 } });
+    assertEqual(stats.getExtendMultiplier(2), 1.5, 'configurable');
+    assertEqual(DEFAULT_STATS_CONFIG.research.extendMultiplierStep, 0.5, 'defaults untouched');
+});
+
+test('FeatureRegistry tracks status and Extend levels', () => {
+    FeatureRegistry.resetProgress();
+    assertEqual(FeatureRegistry.getStatus('research'), FEATURE_STATUS.UNLOCKED, 'built-in');
+    assertEqual(FeatureRegistry.getStatus('MOVE_SWIM'), FEATURE_STATUS.LOCKED, 'spec feature');
+
+    FeatureRegistry.unlock('MOVE_SWIM');
+    assertTrue(FeatureRegistry.isUnlocked('MOVE_SWIM'));
+    assertEqual(FeatureRegistry.extendConstraint('MOVE_FLY', 'maxAltitude', 2), 1);
+    assertEqual(FeatureRegistry.extendConstraint('MOVE_FLY', 'maxAltitude', 2), 2);
+    assertEqual(FeatureRegistry.extendConstraint('MOVE_FLY', 'maxAltitude', 2), 2, 'capped');
+
+    const saved = FeatureRegistry.serializeProgress();
+    FeatureRegistry.resetProgress();
+    assertEqual(FeatureRegistry.getExtendLevel('MOVE_FLY', 'maxAltitude'), 0, 'reset');
+    FeatureRegistry.restoreProgress(saved);
+    assertEqual(FeatureRegistry.getExtendLevels('MOVE_FLY').maxAltitude, 2, 'restored');
+    assertTrue(FeatureRegistry.isUnlocked('MOVE_SWIM'), 'status restored');
+    FeatureRegistry.resetProgress();
+});
+
+test('Invent from a goal unlocks the feature and resolves the goal', () => {
+    const { world, station } = createWorld();
+    const events = [];
+    for (const event of Object.values(ResearchEvent)) {
+        world.eventBus.on(event, ({ job }) => events.push(`${event}:${job.status}`));
+    }
+
+    world.eventBus.emit(GameEvent.COLLISION_WATER, { unitId: station.id });
+    world.runTicks(1);
+    const queued = world.researchSystem.queueGoal('GOAL_INVENT_SWIM', station.id);
+    assertTrue(queued.success, queued.error);
+    assertEqual(queued.job.jobId, 'RJOB_001');
+    assertEqual(queued.job.type, GoalType.INVENT);
+    assertEqual(world.goalManager.getGoal('GOAL_INVENT_SWIM').status, GoalStatus.IN_PROGRESS);
+    assertEqual(world.researchSystem.queueGoal('GOAL_INVENT_SWIM', station.id).success, false, 'no double queue');
+
+    world.runTicks(10);
+    assertEqual(queued.job.status, ResearchJobStatus.RUNNING);
+    assertTrue(Math.abs(queued.job.progress01 - 0.5) < 1e-9, `half done: ${queued.job.progress01}`);
+    assertEqual(FeatureRegistry.isUnlocked('MOVE_SWIM'), false, 'not yet');
+
+    world.runTicks(10);
+    assertEqual(queued.job.status, ResearchJobStatus.DONE);
+    assertTrue(FeatureRegistry.isUnlocked('MOVE_SWIM'), 'invented');
+    assertEqual(world.goalManager.getGoal('GOAL_INVENT_SWIM').status, GoalStatus.RESOLVED);
+    assertEqual(events.join(','), 'RESEARCH_QUEUED:QUEUED,RESEARCH_STARTED:RUNNING,RESEARCH_COMPLETED:DONE');
+
+    world.eventBus.emit(GameEvent.COLLISION_WATER, {});
+    world.runTicks(1000);
+    assertEqual(world.goalManager.getActiveGoals().length, 0, 'known feature raises no INVENT goal');
+});
+
+test('Extend needs an invented feature and raises the constraint level', () => {
+    const { world, station } = createWorld();
+    const research = world.researchSystem;
+    const extend = { type: GoalType.EXTEND, featureId: 'MOVE_FLY', constraintKey: 'maxAltitude', researcherUnitId: station.id };
+
+    assertEqual(research.queueJob(extend).success, false, 'locked feature');
+    FeatureRegistry.unlock('MOVE_FLY');
+    assertEqual(research.queueJob({ ...extend, constraintKey: null }).success, false, 'constraint required');
+    assertEqual(research.queueJob({ ...extend, type: GoalType.INVENT }).success, false, 'already invented');
+
+    const completed = [];
+    world.eventBus.on(ResearchEvent.COMPLETED, (payload) => completed.push(payload));
+
+    const first = research.queueJob(extend).job;
+    const second = research.queueJob(extend).job;
+    assertTrue(second.energyCost > first.energyCost, 'second level costs more');
+    assertTrue(second.timeCostSec > first.timeCostSec, 'and takes longer');
+    assertEqual(research.getQueue(station.id).length, 2, 'queue panel');
+
+    world.runTicks(20);
+    assertEqual(first.status, ResearchJobStatus.DONE, 'first done');
+    assertEqual(second.status, ResearchJobStatus.QUEUED, 'one job per researcher');
+    world.runTicks(31);
+    assertEqual(second.status, ResearchJobStatus.DONE, '1.5x longer');
+
+    assertEqual(completed.map(c => c.level).join(','), '1,2');
+    assertEqual(completed[1].multiplier, 2.0);
+    assertEqual(research.getExtendMultiplier('MOVE_FLY', 'maxAltitude'), 2.0);
+
+    for (let i = 0; i < 3; i++) {
+        assertTrue(research.queueJob(extend).success, `level ${3 + i}`);
+    }
+    const capped = research.queueJob(extend);
+    assertEqual(capped.success, false, 'queued jobs count towards the cap');
+    assertTrue(capped.error.includes('maximum'), capped.error);
+});
+
+test('Researchers are validated, energy gates the start, cancel releases the goal', () => {
+    let energy = 50;
+    const { world, station } = createWorld({
+        spendEnergy: (amount) => {
+            if (energy < amount) return false;
+            energy -= amount;
+            return true;
+        }
+    });
+    const research = world.researchSystem;
+    const scout = world.spawnUnit({ position: { x: 0, y: 0, z: 10 } });
+
+    const job = { type: GoalType.INVENT, featureId: 'SUP_SHIELD' };
+    assertEqual(research.queueJob({ ...job, researcherUnitId: scout.id }).success, false, 'no research feature');
+    assertEqual(research.queueJob({ ...job, researcherUnitId: 999 }).success, false, 'unknown unit');
+    assertTrue(!research.canResearch(scout) && research.canResearch(station), 'canResearch');
+
+    const queued = research.queueJob({ ...job, researcherUnitId: station.id }).job;
+    world.runTicks(5);
+    assertEqual(queued.status, ResearchJobStatus.QUEUED, 'waiting for energy');
+    assertEqual(queued.progress01, 0);
+
+    energy = 500;
+    world.runTicks(5);
+    assertEqual(queued.status, ResearchJobStatus.RUNNING, 'started once paid');
+    assertEqual(energy, 500 - queued.energyCost, 'charged once');
+
+    world.eventBus.emit(GameEvent.UNIT_DESTROYED_INSTANTLY, {});
+    world.runTicks(1);
+    assertTrue(research.cancelJob(queued.jobId).success, 'cancelled');
+    assertEqual(research.cancelJob(queued.jobId).success, false, 'already cancelled');
+
+    const goal = research.queueGoal('GOAL_INVENT_SHIELD', station.id);
+    assertTrue(goal.success, goal.error);
+    assertTrue(research.cancelJob(goal.job.jobId).success);
+    assertEqual(world.goalManager.getGoal('GOAL_INVENT_SHIELD').status, GoalStatus.AVAILABLE, 'goal back on the list');
+
+    station.disabled = true;
+    assertEqual(research.queueJob({ ...job, researcherUnitId: station.id }).success, false, 'disabled unit');
+    assertEqual(research.getJobs({ status: ResearchJobStatus.CANCELLED }).length, 2);
+});
+
+test('RESEARCH command reaches ResearchSystem through the transport', () => {
+    FeatureRegistry.resetProgress();
+    const { world, station } = createWorld();
+    const transport = new LocalTransport();
+    transport.onReceive = (cmd) => world.commandQueue.enqueue(cmd);
+    transport.connect();
+    const rejected = [];
+    new CommandValidator({
+        commandQueue: world.commandQueue,
+        transport,
+        getUnits: () => world.units,
+        onRejected: (notice) => rejected.push(notice.reason)
+    }).attach();
+    const input = new InputFactory(transport);
+
+    const context = { units: world.units, senderId: 'local', localPlayerId: 'local' };
+    const research = { type: CommandType.RESEARCH, unitId: station.id, goalId: 'GOAL_INVENT_SWIM' };
+    assertTrue(validateCommand(research, context).valid, 'goal RESEARCH valid');
+    assertEqual(validateCommand({ ...research, goalId: 3 }, context).valid, false, 'goalId must be a string');
+    assertEqual(validateCommand({ type: CommandType.RESEARCH, unitId: station.id }, context).valid, false,
+        'needs a goal or a feature');
+    assertEqual(validateCommand({ ...research, unitId: 999 }, context).valid, false, 'unknown researcher');
+
+    world.eventBus.emit(GameEvent.COLLISION_WATER, { unitId: station.id });
+    world.runTicks(1);
+    input.research(station.id, { goalId: 'GOAL_INVENT_SWIM' });
+    input.research(station.id, { researchType: GoalType.INVENT, featureId: 'SUP_SHIELD' });
+    input.research(station.id, {});
+    assertEqual(rejected.join(','), 'INVALID_PARAMS', 'invalid command stopped by the validator');
+
+    world.runTicks(1);
+    const jobs = world.researchSystem.getQueue(station.id);
+    assertEqual(jobs.map(job => job.featureId).join(','), 'MOVE_SWIM,SUP_SHIELD', 'both queued in order');
+    assertEqual(jobs[0].goalId, 'GOAL_INVENT_SWIM');
+    assertEqual(world.goalManager.getGoal('GOAL_INVENT_SWIM').status, GoalStatus.IN_PROGRESS);
+
+    world.runTicks(40);
+    assertTrue(FeatureRegistry.isUnlocked('MOVE_SWIM') && FeatureRegistry.isUnlocked('SUP_SHIELD'), 'both invented');
+    FeatureRegistry.resetProgress();
+});
+
+test('Jobs and feature progress survive SaveManager save/load', () => {
+    const { world, station } = createWorld();
+    const manager = new SaveManager(world, new MemoryStorageAdapter());
+    const research = world.researchSystem;
+
+    research.queueJob({ type: GoalType.INVENT, featureId: 'MOVE_SWIM', researcherUnitId: station.id });
+    world.runTicks(20);
+    FeatureRegistry.unlock('MOVE_FLY');
+    const running = research.queueJob({
+        type: GoalType.EXTEND, featureId: 'MOVE_FLY', constraintKey: 'maxAltitude', researcherUnitId: station.id
+    }).job;
+    world.runTicks(5);
+
+    const before = JSON.stringify(research.serialize());
+    assertTrue(manager.save('slot').success, 'saved');
+
+    world.runTicks(40);
+    research.reset();
+    FeatureRegistry.resetProgress();
+
+    const loaded = manager.load('slot');
+    assertTrue(loaded.success, loaded.error);
+    assertEqual(JSON.stringify(research.serialize()), before, 'jobs and progress restored');
+    assertTrue(FeatureRegistry.isUnlocked('MOVE_SWIM'), 'invented feature restored');
+    assertEqual(research.getJob(running.jobId).status, ResearchJobStatus.RUNNING);
+
+    // restoreUnits rebuilds units; the research allocation is not a saved field
+    world.getUnit(station.id).researchAllocation = 0.25;
+    world.runTicks(15);
+    assertEqual(FeatureRegistry.getExtendLevel('MOVE_FLY', 'maxAltitude'), 1, 'resumed and finished');
+});
+
+// ============ Summary ============
+
+console.log('\n=== Research System Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Research System tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,358 @@
+/**
+ * Rollback / Resimulation Verification Test
+ *
+ * Validates RollbackManager:
+ * - A late command resimulates to exactly the state of an on-time run (incl. IDs)
+ * - Same-tick commands apply in canonical order regardless of arrival order
+ * - Commands older than the window are rejected without touching state
+ * - A rollback to a tick mid pause-ease resumes the ease (speedFactor, action timers)
+ * - Frame timing survives the rollback; render poses blend from the on-screen state
+ * - Game wiring (RollbackTransport → CommandValidator → input log): a peer that
+ *   got an input late ends in the same state as the peer that sent it
+ * - Inputs are validated against the state at their tick, not on arrival
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/rollback.test.js
+ */
+
+import { SimLoop } from '../runtime/SimLoop.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { CommandQueue, CommandType } from '../runtime/CommandQueue.js';
+import { TransportBase, TransportState } from '../transport/ITransport.js';
+import { RollbackManager } from '../multiplayer/RollbackManager.js';
+import { RollbackTransport, RollbackMessageType } from '../transport/RollbackTransport.js';
+import { CommandValidator } from '../runtime/CommandValidator.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Transport that only delivers what the test pushes in (test-only).
+ */
+class ManualTransport extends TransportBase {
+    constructor() {
+        super();
+        this.sent = [];
+    }
+
+    connect() {
+        this._state = TransportState.CONNECTED;
+    }
+
+    disconnect() {
+        this._state = TransportState.DISCONNECTED;
+    }
+
+    send(command) {
+        this._messagesSent++;
+        this.sent.push(JSON.parse(JSON.stringify(command)));
+    }
+
+    deliver(command) {
+        this._deliverReceived(JSON.parse(JSON.stringify(command)));
+    }
+}
+
+const MOVE_A = { type: CommandType.MOVE, unitId: 1, position: { x: 10, y: 0, z: 0 }, peerId: 'alice', inputSeq: 0 };
+const MOVE_B = { type: CommandType.MOVE, unitId: 1, position: { x: 0, y: 0, z: 10 }, peerId: 'bob', inputSeq: 0 };
+
+/**
+ * Run a two-unit world for 60 ticks; `deliveries` maps delivery tick → commands.
+ * @returns {{ world: SimWorld, rollback: RollbackManager, state: string, results: Object[] }}
+ */
+function runSession(deliveries, options = {}) {
+    const world = new SimWorld({ seed: 7 });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.spawnUnit({ position: { x: 0, y: -10, z: 0 } });
+
+    const transport = new ManualTransport();
+    transport.connect();
+    const rollback = new RollbackManager(world, { transport, capacity: options.capacity ?? 30 });
+    rollback.start();
+
+    const results = [];
+    world.runTicks(60, (tick) => {
+        for (const command of deliveries[tick] ?? []) {
+            results.push(rollback.addInput(command));
+        }
+        options.onTick?.(tick, world);
+    });
+
+    return { world, rollback, state: JSON.stringify(world.serialize()), results };
+}
+
+/**
+ * One peer wired like Game: RollbackTransport → CommandValidator → RollbackManager,
+ * which validates each input at its tick.
+ * `sends` and `arrivals` map tick → local commands / remote INPUT messages;
+ * `createSystem(world)` returns a system to register (sim-side state changes).
+ * @returns {{ world: SimWorld, rollback: RollbackManager, validator: CommandValidator, sent: Object[], state: string }}
+ */
+function runPeer(peerId, { sends = {}, arrivals = {}, createSystem = null }) {
+    const world = new SimWorld({ seed: 7 });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 }, ownerId: 'alice' });
+    world.spawnUnit({ position: { x: 0, y: -10, z: 0 }, ownerId: 'bob' });
+    if (createSystem) world.systems.register(createSystem(world));
+
+    const inner = new ManualTransport();
+    const net = new RollbackTransport(inner, { peerId, peers: ['alice', 'bob'] });
+    net.connect();
+    net.attach(world.simLoop);
+
+    let validator = null;
+    const rollback = new RollbackManager(world, {
+        validate: (command, tick) => validator.validate(command, tick)
+    });
+    rollback.start();
+    validator = new CommandValidator({
+        commandQueue: rollback,
+        transport: net,
+        getUnits: () => world.units,
+        localPlayerId: peerId,
+        reportRejections: false,
+        deferStateChecks: true
+    });
+    validator.attach();
+
+    world.runTicks(40, (tick) => {
+        for (const command of sends[tick] ?? []) net.send(command);
+        for (const message of arrivals[tick] ?? []) inner.deliver(message);
+    });
+
+    return { world, rollback, validator, sent: inner.sent, state: JSON.stringify(world.serialize()) };
+}
+
+// ============ Tests ============
+
+test('SimLoop.advanceTick runs one tick without frame time', () => {
+    const simLoop = new SimLoop({ fixedDtMs: 50 });
+    const ticks = [];
+    simLoop.onSimTick = (dt, tick) => ticks.push(tick);
+    simLoop.canAdvance = () => false;
+
+    assertEqual(simLoop.advanceTick(), 1, 'returns tick');
+    assertEqual(simLoop.tickCount, 1, 'tick count advanced');
+    assertEqual(simLoop.accumulatorMs, 0, 'no frame time consumed');
+    assertEqual(ticks.join(','), '1', 'gate ignored');
+});
+
+test('CommandQueue getState/setState round-trips pending and history', () => {
+    const queue = new CommandQueue();
+    queue.enqueue({ type: CommandType.SELECT, unitId: 1 }, 5);
+    const saved = queue.getState();
+
+    queue.flush(5);
+    assertEqual(queue.pendingCount, 0, 'flushed');
+    assertEqual(queue.historyCount, 1, 'history grew');
+
+    queue.setState(saved);
+    assertEqual(queue.historyCount, 0, 'history restored');
+    const ready = queue.flush(5);
+    assertEqual(ready.length, 1, 'pending restored');
+    assertEqual(ready[0].id, saved.pending[0].id, 'original stamp kept');
+});
+
+test('Late command resimulates to the on-time result', () => {
+    const onTime = runSession({ 20: [{ ...MOVE_A, scheduledTick: 30 }] });
+    const late = runSession({ 40: [{ ...MOVE_A, scheduledTick: 30 }] });
+
+    assertEqual(onTime.rollback.rollbackCount, 0, 'on-time run never rolls back');
+    assertEqual(late.results[0].rolledBack, true, 'late command rolled back');
+    assertEqual(late.rollback.rollbackCount, 1, 'one rollback');
+    assertEqual(late.rollback.resimulatedTicks, 11, 'ticks 30..40 resimulated');
+    assertEqual(late.world.getTickCount(), 60, 'back at present tick');
+    assertEqual(late.state, onTime.state, 'identical state (positions, command IDs)');
+
+    const unit = late.world.getUnit(1);
+    assertEqual(unit.commands.length, 2, 'start + move command');
+});
+
+test('Transport-delivered commands go through the input log', () => {
+    const world = new SimWorld({ seed: 7 });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    const transport = new ManualTransport();
+    transport.connect();
+    const rollback = new RollbackManager(world, { transport });
+    rollback.start();
+
+    world.runTicks(10);
+    transport.deliver({ type: CommandType.SELECT, unitId: 1, scheduledTick: 5 });
+    assertEqual(rollback.rollbackCount, 1, 'late transport command rolled back');
+    assertEqual(world.selectedUnit?.id, 1, 'command applied');
+
+    rollback.stop();
+    assertEqual(transport.onReceive, null, 'callback restored');
+});
+
+test('Same-tick commands resimulate in canonical order', () => {
+    const inOrder = runSession({ 20: [{ ...MOVE_A, scheduledTick: 30 }, { ...MOVE_B, scheduledTick: 30 }] });
+    const reversed = runSession({
+        32: [{ ...MOVE_B, scheduledTick: 30 }],
+        45: [{ ...MOVE_A, scheduledTick: 30 }]
+    });
+
+    assertEqual(reversed.rollback.rollbackCount, 2, 'two rollbacks');
+    assertEqual(reversed.state, inOrder.state, 'arrival order does not matter');
+});
+
+test('Rollback mid pause-ease matches the run without rollback', () => {
+    const pause = { type: CommandType.TOGGLE_PAUSE, unitId: 1, peerId: 'alice', inputSeq: 1, scheduledTick: 20 };
+    // DESELECT with nothing selected: the late input itself changes nothing
+    const noop = { type: CommandType.DESELECT, peerId: 'bob', inputSeq: 0, scheduledTick: 24 };
+    const setup = { 1: [{ ...MOVE_A, scheduledTick: 5 }], 10: [pause] };
+
+    const onTime = runSession({ ...setup, 15: [noop] });
+    let easing = null;
+    const late = runSession({ ...setup, 30: [noop] }, {
+        onTick: (tick, world) => {
+            if (tick === 23) easing = world.getUnit(1).speedFactor;
+        }
+    });
+
+    assertTrue(easing > 0 && easing < 1, `rolled back to a tick mid-ease (speedFactor ${easing})`);
+    assertEqual(late.rollback.rollbackCount, 1, 'late input rolled back');
+    assertEqual(late.world.getHash(), onTime.world.getHash(), 'same hash');
+    assertEqual(late.state, onTime.state, 'same state (speedFactor, timers)');
+});
+
+test('Command older than the window is rejected', () => {
+    const reference = runSession({});
+    const session = runSession({ 50: [{ ...MOVE_A, scheduledTick: 10 }] }, { capacity: 20 });
+
+    assertEqual(session.results[0].success, false, 'rejected');
+    assertTrue(session.results[0].error.includes('rollback window'), 'error message');
+    assertEqual(session.rollback.oldestTick, 41, 'window keeps last 20 ticks');
+    assertEqual(session.state, reference.state, 'state untouched');
+});
+
+test('Rollback keeps frame timing and blends render poses', () => {
+    const units = [{
+        id: 1,
+        position: { x: 0, y: 0, z: 0 },
+        blended: null,
+        captureRenderState() { return { x: this.position.x }; },
+        blendRenderFrom(state) { this.blended = state; }
+    }];
+    const sim = {
+        simLoop: new SimLoop({ fixedDtMs: 50 }),
+        commandQueue: new CommandQueue(),
+        units,
+        restoreUnits(data) { units[0].position.x = data[0].position.x; }
+    };
+    sim.simLoop.onSimTick = (dt, tick) => {
+        for (const cmd of sim.commandQueue.flush(tick)) units[0].position.x += cmd.dx;
+        units[0].position.x += 1;
+    };
+
+    const events = [];
+    const rollback = new RollbackManager(sim, { onRollback: e => events.push(e) });
+    rollback.start();
+
+    sim.simLoop.step(1000);
+    sim.simLoop.step(1240); // 4 ticks + 40ms owed
+    const accumulatorMs = sim.simLoop.accumulatorMs;
+    const onScreen = units[0].position.x;
+
+    rollback.addInput({ type: 'NUDGE', dx: 100, scheduledTick: 2 });
+
+    assertEqual(units[0].position.x, onScreen + 100, 'resimulated with late input');
+    assertEqual(units[0].blended.x, onScreen, 'interpolation starts from on-screen pose');
+    assertEqual(sim.simLoop.accumulatorMs, accumulatorMs, 'accumulator preserved');
+    assertEqual(accumulatorMs, 40, 'owed time before rollback');
+    assertEqual(sim.simLoop.lastFrameMs, 1240, 'frame clock preserved');
+    assertEqual(events[0].fromTick, 4, 'event from');
+    assertEqual(events[0].toTick, 2, 'event to');
+    assertEqual(events[0].resimulatedTicks, 3, 'ticks 2..4 resimulated');
+});
+
+test('Late peer input through the Game wiring converges with the sender', () => {
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    const moveBob = { type: CommandType.MOVE, unitId: 2, position: { x: 10, y: 0, z: 0 } };
+    const forged = { type: CommandType.MOVE, unitId: 1, position: { x: 0, y: 0, z: 10 }, senderId: 'alice' };
+    const moveAlice = { type: CommandType.MOVE, unitId: 1, position: { x: 0, y: 0, z: -10 } };
+
+    const bobInputs = [
+        { type: RollbackMessageType.INPUT, peerId: 'bob', inputSeq: 0, tick: 11, command: moveBob },
+        { type: RollbackMessageType.INPUT, peerId: 'bob', inputSeq: 1, tick: 11, command: forged }
+    ];
+    const aliceInput = { type: RollbackMessageType.INPUT, peerId: 'alice', inputSeq: 0, tick: 6, command: moveAlice };
+
+    // Bob's inputs reach alice 9 ticks late; alice's reach bob in time
+    const alice = runPeer('alice', { sends: { 5: [moveAlice] }, arrivals: { 20: bobInputs } });
+    const bob = runPeer('bob', { sends: { 10: [moveBob, forged] }, arrivals: { 5: [aliceInput] } });
+    console.warn = originalWarn;
+
+    assertEqual(alice.sent[0].tick, 6, 'local input scheduled for the next tick');
+    assertEqual(bob.sent[1].command.senderId, undefined, 'claimed sender not sent');
+    assertEqual(alice.rollback.rollbackCount, 2, 'alice rolled back for each late input (checked at tick 11)');
+    assertEqual(bob.rollback.rollbackCount, 0, 'bob never rolled back');
+    assertEqual(alice.validator.getStats().rejected, 1, 'forged move rejected on alice');
+    assertEqual(bob.validator.getStats().rejected, 1, 'forged move rejected on bob');
+    assertEqual(alice.state, bob.state, 'same state on both peers');
+    assertEqual(alice.world.getUnit(2).commands.length, 2, "bob's move applied");
+});
+
+test('Late input is validated against the state at its tick', () => {
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    // Bob's unit leaves the world at tick 15 (same on both peers, and on resimulation)
+    const despawn = (world) => ({
+        name: 'despawn',
+        update: (dt, context) => {
+            if (context.tick === 15 && world.getUnit(2)) world.entities.remove(2);
+        }
+    });
+    const moveBob = { type: CommandType.MOVE, unitId: 2, position: { x: 10, y: 0, z: 0 } };
+    const bobInput = { type: RollbackMessageType.INPUT, peerId: 'bob', inputSeq: 0, tick: 11, command: moveBob };
+
+    const alice = runPeer('alice', { arrivals: { 20: [bobInput] }, createSystem: despawn });
+    const bob = runPeer('bob', { sends: { 10: [moveBob] }, createSystem: despawn });
+    console.warn = originalWarn;
+
+    assertEqual(alice.world.getUnit(2), null, 'unit gone when the input arrives');
+    assertEqual(alice.rollback.rollbackCount, 1, 'alice rolled back to tick 11');
+    assertEqual(alice.validator.getStats().rejected, 0, 'valid at tick 11 on alice');
+    assertEqual(bob.validator.getStats().rejected, 0, 'valid at tick 11 on bob');
+    assertEqual(alice.state, bob.state, 'same state on both peers');
+});
+
+// ============ Summary ============
+
+console.log('\n=== Rollback Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Rollback tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,227 @@
+/**
+ * Save Integrity Tests
+ *
+ * Validates:
+ * - packSave/unpackSave round-trip (compressed, checksum, embedded state hash)
+ * - Damaged data, edited envelopes and edited state are rejected with a reason
+ * - SaveManager stores packed saves, loads them async, refuses them sync
+ * - Export/import of packed files; plain imports can be refused
+ * - Verify on load: a load that does not reproduce the saved state hash is
+ *   rejected and the previous game state is restored
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/saveIntegrity.test.js
+ */
+
+import {
+    packSave,
+    unpackSave,
+    encodeEnvelope,
+    isPackedSave,
+    describeSaveRejection,
+    SaveEncoding,
+    SaveRejectReason,
+    PACKED_SAVE_VERSION
+} from '../persistence/SaveCodec.js';
+import { SaveManager } from '../persistence/SaveManager.js';
+import { MemoryStorageAdapter } from '../persistence/StorageAdapter.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { fnv1a32 } from '../runtime/StateSurface.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+function makeWorld(seed = 5) {
+    const world = new SimWorld({ seed });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.spawnUnit({ position: { x: 10, y: 0, z: 0 } });
+    world.spawnUnit({ position: { x: 0, y: 0, z: 10 } });
+    world.runTicks(10);
+    return world;
+}
+
+/** Run `fn` with console.warn silenced (expected rejection warnings) */
+async function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+// ============ Tests ============
+
+console.log('\n=== Save Integrity Tests ===\n');
+
+await test('Packed saves round-trip with checksum and state hash', async () => {
+    const world = makeWorld();
+    const envelope = new SaveManager(world, null).captureEnvelope({ name: 'Packed' });
+    envelope.padding = 'x'.repeat(5000);
+
+    const packed = await packSave(envelope);
+    assertTrue(isPackedSave(packed), 'format tag');
+    assertEqual(packed.version, PACKED_SAVE_VERSION);
+    assertEqual(packed.encoding, SaveEncoding.GZIP_BASE64);
+    assertEqual(packed.checksum.algorithm, 'sha256');
+    assertEqual(packed.stateHash, world.getHash(), 'embedded hashState of the game');
+    assertEqual(packed.tick, 10);
+    assertTrue(JSON.stringify(packed).length < JSON.stringify(envelope).length / 2, 'compressed');
+
+    const result = await unpackSave(JSON.parse(JSON.stringify(packed)));
+    assertTrue(result.success, result.error);
+    assertEqual(JSON.stringify(result.envelope), JSON.stringify(envelope), 'identical envelope');
+
+    const plain = await packSave(envelope, { compress: false });
+    assertEqual(plain.encoding, SaveEncoding.JSON);
+    assertTrue((await unpackSave(plain)).success, 'uncompressed variant');
+});
+
+await test('Damaged or edited saves are rejected with a reason', async () => {
+    const world = makeWorld();
+    const envelope = new SaveManager(world, null).captureEnvelope();
+    const packed = await packSave(envelope);
+
+    // Damaged bytes: gzip cannot decode
+    const damaged = { ...packed, data: packed.data.slice(0, 40) + 'AAAA' + packed.data.slice(44) };
+    const damagedResult = await unpackSave(damaged);
+    assertEqual(damagedResult.success, false);
+    assertTrue([SaveRejectReason.CORRUPT, SaveRejectReason.CHECKSUM].includes(damagedResult.reason),
+        `damaged → ${damagedResult.reason}`);
+
+    // Edited envelope (a unit moved) without a new checksum
+    const plain = await packSave(envelope, { compress: false });
+    const moved = JSON.parse(plain.data);
+    moved.state.game.units[0].position.x += 50;
+    const edited = { ...plain, data: JSON.stringify(moved) };
+    assertEqual((await unpackSave(edited)).reason, SaveRejectReason.CHECKSUM, 'checksum catches edits');
+
+    // Edited envelope with a recomputed checksum: state hash still disagrees
+    const resigned = {
+        ...edited,
+        checksum: { algorithm: 'fnv1a32', value: fnv1a32(edited.data) }
+    };
+    assertEqual((await unpackSave(resigned)).reason, SaveRejectReason.STATE_HASH, 'state hash catches edits');
+
+    assertEqual((await unpackSave({ ...packed, version: PACKED_SAVE_VERSION + 1 })).reason, SaveRejectReason.UNSUPPORTED);
+    assertEqual((await unpackSave(await encodeEnvelope(envelope))).reason, SaveRejectReason.INVALID, 'not packed');
+
+    assertTrue(describeSaveRejection(SaveRejectReason.CHECKSUM).includes('checksum'), 'readable text');
+    assertEqual(describeSaveRejection(undefined, 'Save not found'), 'Save not found', 'fallback');
+});
+
+await test('SaveManager stores packed saves and loads them async only', async () => {
+    const world = makeWorld();
+    const storage = new MemoryStorageAdapter();
+    const manager = new SaveManager(world, storage, { packSaves: true, verifyOnLoad: true });
+    const hash = world.getHash();
+
+    assertTrue((await manager.saveAsync('slot')).success);
+    assertTrue(isPackedSave(storage.load('slot').data), 'stored packed');
+    assertEqual(manager.getSaveMetadata('slot').metadata.tickCount, 10, 'metadata without unpacking');
+
+    world.runTicks(20);
+    const loaded = await manager.loadAsync('slot');
+    assertTrue(loaded.success, loaded.error);
+    assertEqual(world.getHash(), hash, 'restored');
+
+    const sync = manager.load('slot');
+    assertEqual(sync.success, false);
+    assertEqual(sync.reason, SaveRejectReason.UNSUPPORTED, 'packed needs loadAsync');
+
+    const stored = storage.load('slot').data;
+    storage.save('tampered', { ...stored, stateHash: 'nope' });
+    const tampered = await manager.loadAsync('tampered');
+    assertEqual(tampered.reason, SaveRejectReason.STATE_HASH);
+    assertEqual(world.getHash(), hash, 'game untouched by a rejected save');
+});
+
+await test('Export and import of packed files', async () => {
+    const world = makeWorld();
+    const storage = new MemoryStorageAdapter();
+    const manager = new SaveManager(world, storage);
+    manager.save('plain');
+
+    const exported = await manager.exportPackedSave('plain');
+    assertTrue(exported.success, exported.error);
+    assertTrue(isPackedSave(JSON.parse(exported.json)));
+
+    assertTrue((await manager.importSaveAsync('copy', exported.json)).success, 'packed import');
+    assertEqual(storage.load('copy').data.format, 'asterobia-save', 'stored as plain (packSaves off)');
+
+    const file = JSON.parse(exported.json);
+    file.data = file.data.slice(0, -8) + 'AAAAAAA=';
+    const broken = await manager.importSaveAsync('broken', JSON.stringify(file));
+    assertEqual(broken.success, false, 'damaged file refused');
+    assertEqual(storage.exists('broken'), false, 'nothing written');
+
+    assertEqual((await manager.importSaveAsync('x', '{not json')).reason, SaveRejectReason.CORRUPT);
+    const plainJson = manager.exportSave('plain').json;
+    assertTrue((await manager.importSaveAsync('x', plainJson)).success, 'plain JSON still accepted');
+    assertEqual((await manager.importSaveAsync('x', plainJson, { requirePacked: true })).reason,
+        SaveRejectReason.INVALID, 'plain refused when a checksum is required');
+    assertEqual(manager.importSave('x', exported.json).reason, SaveRejectReason.UNSUPPORTED, 'sync import refuses packed');
+});
+
+await test('Verify on load rejects a mismatching load and restores the game', async () => {
+    const world = makeWorld();
+    const storage = new MemoryStorageAdapter();
+    const manager = new SaveManager(world, storage, { verifyOnLoad: true });
+    manager.save('slot');
+    world.runTicks(15);
+    const before = world.getHash();
+
+    // A hydrator bug: the first restore drops a unit
+    const restoreUnits = world.restoreUnits.bind(world);
+    let calls = 0;
+    world.restoreUnits = (units) => restoreUnits(calls++ === 0 ? units.slice(0, -1) : units);
+
+    const result = await quietly(() => manager.load('slot'));
+    assertEqual(result.success, false);
+    assertEqual(result.reason, SaveRejectReason.VERIFY);
+    assertTrue(result.error.includes('does not match'), result.error);
+    assertEqual(world.getHash(), before, 'previous state restored');
+
+    assertTrue(manager.load('slot').success, 'correct hydrator verifies');
+    assertEqual(manager.verifyLoadedState(storage.load('slot').data).valid, true);
+    assertTrue(manager.load('slot', { verify: false }).success, 'verification can be skipped per load');
+});
+
+// ============ Summary ============
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Save Integrity tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,387 @@
+/**
+ * Session Lobby Tests
+ *
+ * SessionManager over SupabaseTransport with a mocked Realtime server that
+ * shares broadcast and presence between clients:
+ * - Presence list with names and colors, join/leave events on the EventBus
+ * - Host election and handover when the host leaves
+ * - Ready-check and host-only match start
+ * - Rooms are isolated; client ID and presence survive reconnects
+ * - CommandValidator rejects commands from senders outside the session
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/sessionManager.test.js
+ */
+
+import { SessionManager, SessionEvent, PLAYER_COLORS } from '../runtime/SessionManager.js';
+import { SupabaseTransport } from '../transport/SupabaseTransport.js';
+import { CommandValidator, RejectReason } from '../runtime/CommandValidator.js';
+import { CommandQueue, CommandType } from '../runtime/CommandQueue.js';
+import { EventBus } from '../runtime/EventBus.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    return (async () => {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (err) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${err.message}`);
+            failed++;
+        }
+    })();
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Mock Realtime Server ============
+
+/**
+ * Shared in-process Realtime server: every client created from it sees the
+ * same channels. Presence sync is delivered asynchronously like the real one.
+ */
+function createMockRealtime() {
+    const rooms = new Map(); // room → { channels: Set, presence: Map<key, meta[]> }
+    let refCounter = 0;
+
+    const roomOf = (name) => {
+        if (!rooms.has(name)) rooms.set(name, { channels: new Set(), presence: new Map() });
+        return rooms.get(name);
+    };
+
+    const syncRoom = (name) => {
+        queueMicrotask(() => {
+            for (const channel of roomOf(name).channels) {
+                for (const cb of channel.listeners.get('presence:sync') || []) cb();
+            }
+        });
+    };
+
+    class MockChannel {
+        constructor(name, options) {
+            this.name = name;
+            this.key = options?.config?.presence?.key;
+            this.listeners = new Map();
+        }
+
+        on(type, filter, cb) {
+            const id = `${type}:${filter.event}`;
+            if (!this.listeners.has(id)) this.listeners.set(id, []);
+            this.listeners.get(id).push(cb);
+            return this;
+        }
+
+        subscribe(cb) {
+            roomOf(this.name).channels.add(this);
+            queueMicrotask(() => cb('SUBSCRIBED'));
+            return this;
+        }
+
+        async track(state) {
+            roomOf(this.name).presence.set(this.key, [{ ...state, presence_ref: `ref-${++refCounter}` }]);
+            syncRoom(this.name);
+            return 'ok';
+        }
+
+        async untrack() {
+            roomOf(this.name).presence.delete(this.key);
+            syncRoom(this.name);
+            return 'ok';
+        }
+
+        presenceState() {
+            return Object.fromEntries(roomOf(this.name).presence);
+        }
+
+        async send(message) {
+            for (const channel of roomOf(this.name).channels) {
+                for (const cb of channel.listeners.get(`broadcast:${message.event}`) || []) {
+                    cb({ payload: JSON.parse(JSON.stringify(message.payload)) });
+                }
+            }
+            return 'ok';
+        }
+
+        leave() {
+            const room = roomOf(this.name);
+            room.channels.delete(this);
+            if (room.presence.delete(this.key)) syncRoom(this.name);
+        }
+    }
+
+    return {
+        createClient() {
+            return {
+                channel: (name, options) => new MockChannel(name, options),
+                removeChannel: async (channel) => channel.leave()
+            };
+        }
+    };
+}
+
+// ============ Helpers ============
+
+/** Let queued presence syncs run */
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+let clock = 1000;
+const now = () => clock++;
+
+function createPlayer(realtime, bus, name, options = {}) {
+    const transport = new SupabaseTransport({
+        supabaseClient: realtime.createClient(),
+        clientId: options.clientId,
+        throttleMs: 0
+    });
+    return new SessionManager({ transport, eventBus: bus, playerName: name, now, ...options });
+}
+
+function recordEvents(bus) {
+    const events = [];
+    for (const type of Object.values(SessionEvent)) {
+        bus.on(type, (payload) => events.push({ type, ...payload }));
+    }
+    return events;
+}
+
+// Keep test output readable
+const originalLog = console.log;
+console.log = (...args) => {
+    if (typeof args[0] === 'string' && /^\[(SupabaseTransport|SessionManager|CommandValidator)\]/.test(args[0])) return;
+    originalLog(...args);
+};
+const originalWarn = console.warn;
+console.warn = () => {};
+
+// ============ Tests ============
+
+await test('SessionManager requires a transport', () => {
+    let error = null;
+    try {
+        new SessionManager({});
+    } catch (err) {
+        error = err;
+    }
+    assertTrue(error && error.message.includes('transport'), 'throws without transport');
+});
+
+await test('Players see each other with names and colors; first joiner hosts', async () => {
+    const realtime = createMockRealtime();
+    const busA = new EventBus();
+    const events = recordEvents(busA);
+    const a = createPlayer(realtime, busA, 'Ada', { clientId: 'a' });
+    const b = createPlayer(realtime, new EventBus(), '  Bob  ', { clientId: 'b', color: '#123456' });
+
+    await a.createRoom('lobby-1');
+    await flush();
+    await b.joinRoom('lobby-1');
+    await flush();
+
+    const players = a.getPlayers();
+    assertEqual(players.map(p => p.clientId).join(','), 'a,b', 'join order');
+    assertEqual(players[0].name, 'Ada', 'name');
+    assertEqual(players[1].name, 'Bob', 'name trimmed');
+    assertEqual(players[0].color, PLAYER_COLORS[0], 'palette color');
+    assertEqual(players[1].color, '#123456', 'chosen color');
+    assertTrue(players[0].isHost && players[0].isLocal, 'a is local host');
+    assertEqual(b.hostId, 'a', 'b agrees on host');
+    assertTrue(a.isHost && !b.isHost, 'isHost');
+
+    const joined = events.filter(e => e.type === SessionEvent.PLAYER_JOINED).map(e => e.clientId);
+    assertEqual(joined.join(','), 'a,b', 'join events');
+    assertEqual(events.find(e => e.type === SessionEvent.HOST_CHANGED).hostId, 'a', 'host event');
+    assertEqual(events.find(e => e.type === SessionEvent.ROOM_JOINED).room, 'lobby-1', 'room joined event');
+});
+
+await test('Ready-check gates the match; only the host can start it', async () => {
+    const realtime = createMockRealtime();
+    const busB = new EventBus();
+    const events = recordEvents(busB);
+    const a = createPlayer(realtime, new EventBus(), 'Ada', { clientId: 'a' });
+    const b = createPlayer(realtime, busB, 'Bob', { clientId: 'b' });
+    await a.joinRoom('ready');
+    await b.joinRoom('ready');
+    await flush();
+
+    const early = await a.startMatch({ seed: 7 });
+    assertEqual(early.success, false, 'not ready yet');
+    assertTrue(early.error.includes('not ready'), early.error);
+
+    await a.setReady(true);
+    await b.setReady(true);
+    await flush();
+
+    assertTrue(a.getReadyCheck().canStart, 'all ready');
+    const readyEvent = events.filter(e => e.type === SessionEvent.READY_CHANGED).pop();
+    assertEqual(readyEvent.allReady, true, 'ready event');
+    assertEqual(events.filter(e => e.type === SessionEvent.PLAYER_UPDATED).length, 2, 'ready flags announced');
+
+    const byGuest = await b.startMatch({ seed: 7 });
+    assertEqual(byGuest.success, false, 'guest cannot start');
+
+    const started = await a.startMatch({ seed: 7 });
+    await flush();
+    assertEqual(started.success, true, 'host starts');
+
+    const starts = events.filter(e => e.type === SessionEvent.MATCH_START);
+    assertEqual(starts.length, 1, 'one start event');
+    assertEqual(starts[0].seed, 7, 'seed shared');
+    assertEqual(starts[0].hostId, 'a', 'started by host');
+    assertEqual(starts[0].players.length, 2, 'roster');
+    assertEqual(a.match.seed, 7, 'host sees its own start');
+    assertEqual((await b.setReady(false)).success, false, 'ready locked after start');
+});
+
+await test('Ready-check requires minPlayers', async () => {
+    const realtime = createMockRealtime();
+    const solo = createPlayer(realtime, new EventBus(), 'Solo', { clientId: 's' });
+    await solo.joinRoom('solo');
+    await solo.setReady(true);
+    await flush();
+
+    const check = solo.getReadyCheck();
+    assertEqual(check.canStart, false, 'one player is not enough');
+    assertEqual(check.readyCount, 1, 'ready count');
+    assertTrue(check.reason.includes('2'), check.reason);
+});
+
+await test('Host leaving hands over to the next player', async () => {
+    const realtime = createMockRealtime();
+    const busB = new EventBus();
+    const events = recordEvents(busB);
+    const a = createPlayer(realtime, new EventBus(), 'Ada', { clientId: 'a' });
+    const b = createPlayer(realtime, busB, 'Bob', { clientId: 'b' });
+    const c = createPlayer(realtime, new EventBus(), 'Cy', { clientId: 'c' });
+    await a.joinRoom('handover');
+    await b.joinRoom('handover');
+    await c.joinRoom('handover');
+    await flush();
+    assertEqual(c.hostId, 'a', 'a hosts');
+
+    await a.leaveRoom();
+    await flush();
+
+    assertEqual(a.room, null, 'a left');
+    assertEqual(b.hostId, 'b', 'next in join order hosts');
+    assertEqual(c.hostId, 'b', 'all agree');
+    assertTrue(!b.isPresent('a'), 'a no longer present');
+    const left = events.find(e => e.type === SessionEvent.PLAYER_LEFT);
+    assertEqual(left.clientId, 'a', 'leave event');
+    assertEqual(left.player.name, 'Ada', 'leave event carries player');
+    assertEqual(events.filter(e => e.type === SessionEvent.HOST_CHANGED).pop().previousHostId, 'a', 'handover event');
+});
+
+await test('Rooms are isolated and switching rooms moves presence', async () => {
+    const realtime = createMockRealtime();
+    const a = createPlayer(realtime, new EventBus(), 'Ada', { clientId: 'a', generateRoomId: () => 'generated-1' });
+    const b = createPlayer(realtime, new EventBus(), 'Bob', { clientId: 'b' });
+
+    const room = await a.createRoom();
+    assertEqual(room, 'generated-1', 'generated room');
+    assertEqual(a.transport.room, 'generated-1', 'transport moved');
+    await b.joinRoom('elsewhere');
+    await flush();
+    assertEqual(a.getPlayers().length, 1, 'only self');
+
+    await b.joinRoom('generated-1');
+    await flush();
+    assertEqual(a.getPlayers().length, 2, 'b arrived');
+    assertEqual(b.room, 'generated-1', 'b room');
+    assertEqual(b.getPlayers().map(p => p.clientId).join(','), 'a,b', 'b joined later than a');
+});
+
+await test('Profile changes are validated and published', async () => {
+    const realtime = createMockRealtime();
+    const a = createPlayer(realtime, new EventBus(), 'Ada', { clientId: 'a' });
+    const b = createPlayer(realtime, new EventBus(), 'Bob', { clientId: 'b' });
+    await a.joinRoom('profile');
+    await b.joinRoom('profile');
+
+    const bad = await a.setProfile({ color: 'red' });
+    assertEqual(bad.success, false, 'invalid color');
+    await a.setProfile({ name: 'x'.repeat(40), color: '#abcdef' });
+    await flush();
+
+    const seen = b.getPlayers().find(p => p.clientId === 'a');
+    assertEqual(seen.name.length, 24, 'name bounded');
+    assertEqual(seen.color, '#abcdef', 'color published');
+});
+
+await test('Client ID and presence survive a reconnect', async () => {
+    const realtime = createMockRealtime();
+    const a = createPlayer(realtime, new EventBus(), 'Ada', { clientId: 'a' });
+    const b = createPlayer(realtime, new EventBus(), 'Bob');
+    await a.joinRoom('flaky');
+    await b.joinRoom('flaky');
+    await flush();
+    const bId = b.localId;
+    assertTrue(bId && bId !== 'a', 'generated client ID');
+
+    await b.transport.disconnect();
+    await flush();
+    assertTrue(!a.isPresent(bId), 'gone while disconnected');
+
+    await b.transport.connect();
+    await flush();
+    assertEqual(b.localId, bId, 'same client ID');
+    assertTrue(a.isPresent(bId), 'presence re-announced');
+});
+
+await test('CommandValidator rejects remote senders outside the session', async () => {
+    const realtime = createMockRealtime();
+    const a = createPlayer(realtime, new EventBus(), 'Ada', { clientId: 'a' });
+    const b = createPlayer(realtime, new EventBus(), 'Bob', { clientId: 'b' });
+    await a.joinRoom('authority');
+    await b.joinRoom('authority');
+    await flush();
+
+    const units = [{ id: 1, ownerId: 'b' }, { id: 2, ownerId: 'a' }];
+    const queue = new CommandQueue();
+    const validator = new CommandValidator({
+        commandQueue: queue,
+        getUnits: () => units,
+        localPlayerId: 'a',
+        reportRejections: false,
+        isSenderPresent: (senderId) => a.isPresent(senderId)
+    });
+
+    assertEqual(validator.receive({ type: CommandType.SELECT, unitId: 1, senderId: 'b' }).accepted, true, 'present sender');
+    assertEqual(validator.receive({ type: CommandType.SELECT, unitId: 2 }).accepted, true, 'local always allowed');
+
+    await b.leaveRoom();
+    await flush();
+    const result = validator.receive({ type: CommandType.SELECT, unitId: 1, senderId: 'b' });
+    assertEqual(result.accepted, false, 'absent sender');
+    assertEqual(result.reason, RejectReason.NOT_IN_SESSION, 'reason');
+});
+
+console.log = originalLog;
+console.warn = originalWarn;
+
+// ============ Summary ============
+
+console.log('\n=== Session Lobby Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Session Lobby tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,256 @@
+/**
+ * SimWorld Verification Test
+ *
+ * Validates the headless world runs real movement in plain Node:
+ * spawn on terrain, MOVE/SET_PATH/CLOSE_PATH handling, waypoint arrival,
+ * pause easing, water stop, SET_UNIT_SPEED and save/load continuation.
+ * Render-style units (Vector3 positions, Unit.update) follow the same
+ * MovementRules as MovementSystem.
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/simWorld.test.js
+ */
+
+import { SimWorld, createSphereTerrain } from '../runtime/SimWorld.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { projectToTerrain, buildSurfacePath } from '../systems/MovementSystem.js';
+import { easeSpeed, stepAlongPath } from '../rules/MovementRules.js';
+import { SaveManager } from '../persistence/SaveManager.js';
+import { MemoryStorageAdapter } from '../persistence/StorageAdapter.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+function radiusOf(p) {
+    return Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z);
+}
+
+// ============ Tests ============
+
+test('projectToTerrain places point at radius + offset', () => {
+    const terrain = createSphereTerrain(10);
+    const p = projectToTerrain(terrain, { x: 3, y: 4, z: 0 }, 0.5);
+    assertTrue(Math.abs(radiusOf(p) - 10.5) < 1e-9, 'projected radius');
+});
+
+test('buildSurfacePath records segment index per control point', () => {
+    const terrain = createSphereTerrain(10);
+    const points = [{ x: 0, y: 10, z: 0 }, { x: 10, y: 0, z: 0 }, { x: 0, y: 0, z: 10 }];
+
+    const open = buildSurfacePath(terrain, points);
+    assertEqual(open.segmentIndices.length, 3, 'open segment indices');
+    assertEqual(open.segmentIndices[2], open.path.length - 1, 'last control point at path end');
+
+    const closed = buildSurfacePath(terrain, points, { closed: true });
+    assertEqual(closed.segmentIndices.length, 3, 'closed segment indices');
+    assertTrue(closed.path.length > open.path.length, 'closing segment appended');
+});
+
+test('spawnUnit projects to surface with deterministic IDs', () => {
+    const world = new SimWorld({ seed: 1 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 50, z: 0 } });
+
+    assertEqual(unit.id, 1, 'first entity ID');
+    assertTrue(Math.abs(radiusOf(unit.position) - (10 + unit.groundOffset)) < 1e-9, 'on surface');
+    assertEqual(world.getUnit(1), unit, 'getUnit lookup');
+});
+
+test('MOVE command drives unit to target and completes command', () => {
+    const world = new SimWorld({ seed: 1 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 10, y: 0, z: 0 } }, 1);
+    world.runTicks(1);
+
+    assertEqual(unit.commands.length, 2, 'start + move command');
+    assertEqual(unit.commands[0].status, 'completed', 'start command completed');
+    assertTrue(unit.isFollowingPath, 'following path');
+
+    world.runTicks(150);
+
+    assertEqual(unit.isFollowingPath, false, 'path finished');
+    assertEqual(unit.commands[1].status, 'completed', 'move command completed');
+    assertEqual(unit.currentCommandIndex, 2, 'command index advanced');
+    assertTrue(Math.abs(unit.position.x - (10 + unit.groundOffset)) < 1e-9, 'arrived at target');
+});
+
+test('Render-style unit follows the same MovementRules as MovementSystem', () => {
+    /** Stand-in for THREE.Vector3: written in place, never replaced */
+    class Vector3 {
+        constructor(x, y, z) { this.x = x; this.y = y; this.z = z; }
+        clone() { return new Vector3(this.x, this.y, this.z); }
+    }
+
+    const world = new SimWorld({ seed: 1 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 0, y: 0, z: 10 } }, 1);
+    world.runTicks(1);
+
+    // Same state as the headless unit, as Unit.update sees it
+    const position = new Vector3(unit.position.x, unit.position.y, unit.position.z);
+    const render = {
+        ...JSON.parse(JSON.stringify(unit)),
+        position,
+        path: unit.path.map(p => new Vector3(p.x, p.y, p.z))
+    };
+
+    for (let i = 0; i < 150; i++) {
+        world.runTicks(1);
+        stepAlongPath(render, easeSpeed(render, world.simLoop.fixedDtMs / 1000), world.terrain);
+    }
+
+    assertEqual(render.position, position, 'position written in place');
+    assertEqual(render.position.x, unit.position.x, 'x');
+    assertEqual(render.position.y, unit.position.y, 'y');
+    assertEqual(render.position.z, unit.position.z, 'z');
+    assertEqual(render.isFollowingPath, false, 'path finished');
+    assertEqual(render.currentCommandIndex, unit.currentCommandIndex, 'same command progression');
+    assertEqual(render.commands[1].status, 'completed');
+});
+
+test('Unit never leaves the terrain surface while moving', () => {
+    const world = new SimWorld({ seed: 1 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.commandQueue.enqueue({
+        type: CommandType.SET_PATH,
+        unitId: unit.id,
+        points: [{ x: 10, y: 0, z: 0 }, { x: 0, y: 0, z: 10 }]
+    }, 1);
+
+    let maxError = 0;
+    world.runTicks(100, () => {
+        maxError = Math.max(maxError, Math.abs(radiusOf(unit.position) - 10.22));
+    });
+
+    assertTrue(maxError < 1e-9, `surface error ${maxError}`);
+});
+
+test('CLOSE_PATH requires selection and loops the path', () => {
+    const world = new SimWorld({ seed: 1 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.commandQueue.enqueue({
+        type: CommandType.SET_PATH,
+        unitId: unit.id,
+        points: [{ x: 10, y: 0, z: 0 }, { x: 0, y: 0, z: 10 }]
+    }, 1);
+    world.commandQueue.enqueue({ type: CommandType.CLOSE_PATH, unitId: unit.id }, 2);
+    world.runTicks(2);
+    assertEqual(unit.isPathClosed, false, 'not closed without selection');
+
+    world.commandQueue.enqueue({ type: CommandType.SELECT, unitId: unit.id }, 3);
+    world.commandQueue.enqueue({ type: CommandType.CLOSE_PATH, unitId: unit.id }, 3);
+    world.runTicks(400);
+
+    assertEqual(unit.isPathClosed, true, 'closed after selection');
+    assertEqual(unit.isFollowingPath, true, 'still looping after 400 ticks');
+});
+
+test('pausedByCommand eases unit to a stop', () => {
+    const world = new SimWorld({ seed: 1 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 0, y: -10, z: 0.1 } }, 1);
+    world.runTicks(10);
+
+    unit.pausedByCommand = true;
+    world.runTicks(80);
+    const pausedAt = { ...unit.position };
+    world.runTicks(10);
+
+    assertEqual(unit.position.x, pausedAt.x, 'no movement while paused');
+    assertEqual(unit.currentSpeed, 0, 'speed zero while paused');
+});
+
+test('Unit halts at water when it cannot swim', () => {
+    // Terrain dips below water for z > 0.5 (normalized direction)
+    const terrain = {
+        params: { radius: 10, waterLevel: -0.5 },
+        getRadiusAt: (dir) => (dir.z > 0.5 ? 9 : 10)
+    };
+    const world = new SimWorld({ seed: 1, terrain });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 0, y: 0, z: 10 } }, 1);
+    world.runTicks(100);
+
+    assertEqual(unit.waterState, 'stopped', 'water state');
+    assertEqual(unit.isFollowingPath, false, 'stopped following');
+    assertTrue(unit.position.z / radiusOf(unit.position) <= 0.5 + 1e-9, 'stayed on land');
+});
+
+test('SET_UNIT_SPEED applies to current and later units', () => {
+    const world = new SimWorld({ seed: 1, unitDefaults: { speed: 5 } });
+    const first = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.commandQueue.enqueue({ type: CommandType.SET_UNIT_SPEED, speed: 12 }, 1);
+    world.runTicks(1);
+
+    assertEqual(first.speed, 12, 'existing unit');
+    assertEqual(world.spawnUnit({ position: { x: 10, y: 0, z: 0 } }).speed, 12, 'spawned unit');
+});
+
+test('Save/load continuation matches uninterrupted run', () => {
+    const script = (world) => {
+        const u = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+        world.commandQueue.enqueue({
+            type: CommandType.SET_PATH,
+            unitId: u.id,
+            points: [{ x: 10, y: 0, z: 0 }, { x: 0, y: 0, z: 10 }, { x: -10, y: 0, z: 0 }]
+        }, 1);
+    };
+
+    const reference = new SimWorld({ seed: 7 });
+    script(reference);
+    reference.runTicks(120);
+    const expectedHash = reference.getHash();
+
+    const world = new SimWorld({ seed: 7 });
+    script(world);
+    world.runTicks(40);
+
+    const storage = new MemoryStorageAdapter();
+    const saveManager = new SaveManager(world, storage);
+    assertEqual(saveManager.save('slot').success, true, 'save');
+
+    world.runTicks(25); // diverge before loading
+    assertEqual(saveManager.load('slot').success, true, 'load');
+    assertEqual(world.getTickCount(), 40, 'tick restored');
+
+    world.runTicks(80);
+    assertEqual(world.getHash(), expectedHash, 'continuation hash');
+});
+
+// ============ Summary ============
+
+console.log('\n=== SimWorld Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All SimWorld tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,438 @@
+/**
+ * Late-Join State Sync Tests
+ *
+ * Validates StateSync and SaveCodec:
+ * - A joiner applies the host's compressed keyframe, replays the logged
+ *   commands to the live tick, matches hashState and stays in sync afterwards
+ * - Input is dropped while requesting, buffered while applying, and the sim
+ *   is stalled until the sync settles
+ * - Hash mismatches and missing hosts are retried, then reported
+ * - Only the host answers; snapshots for other peers are ignored
+ * - Under lockstep, sync runs on the network transport and the joiner's turns
+ *   continue from the synced tick (keyframe taken while a unit eases to a stop)
+ *
+ * Host and joiner run one after the other (one SimWorld per process):
+ * the host's snapshot message is captured and handed to the joiner.
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/stateSync.test.js
+ */
+
+import { SimWorld } from '../runtime/SimWorld.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { peekEntityId } from '../runtime/IdGenerator.js';
+import { StateSync, StateSyncMessageType, StateSyncStatus } from '../multiplayer/StateSync.js';
+import { encodeEnvelope, decodeEnvelope, SaveEncoding } from '../persistence/SaveCodec.js';
+import { TransportBase } from '../transport/ITransport.js';
+import { LockstepTransport, LockstepMessageType } from '../transport/LockstepTransport.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    return (async () => {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (err) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${err.message}`);
+            failed++;
+        }
+    })();
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Transport stand-in: records sends; the test delivers messages by hand.
+ */
+function createTransport() {
+    return {
+        onReceive: null,
+        sent: [],
+        send(message) {
+            this.sent.push(JSON.parse(JSON.stringify(message)));
+        },
+        deliver(message) {
+            this.onReceive(JSON.parse(JSON.stringify(message)));
+        }
+    };
+}
+
+/**
+ * Network transport under a LockstepTransport: records sends, delivers by hand.
+ */
+class RecordingTransport extends TransportBase {
+    constructor() {
+        super();
+        this.sent = [];
+    }
+
+    send(message) {
+        this._messagesSent++;
+        this.sent.push(JSON.parse(JSON.stringify(message)));
+    }
+
+    deliver(message) {
+        this._deliverReceived(JSON.parse(JSON.stringify(message)));
+    }
+}
+
+/**
+ * One lockstep peer wired like Game: lockstep → CommandQueue, StateSync on the
+ * network transport underneath.
+ */
+function createLockstepPeer(peerId, syncOptions) {
+    const world = createWorld();
+    const net = new RecordingTransport();
+    const lockstep = new LockstepTransport(net, {
+        peerId,
+        peers: ['guest', 'host'],
+        inputDelay: 2,
+        adaptiveDelay: false,
+        pingIntervalTicks: 0
+    });
+    lockstep.onReceive = (command) => world.commandQueue.enqueue(command);
+    lockstep.attach(world.simLoop);
+
+    const sync = new StateSync(world, net, {
+        peerId,
+        keyframeInterval: 10,
+        onSynced: ({ tick }) => lockstep.resync(tick),
+        ...syncOptions
+    });
+    sync.start();
+    return { world, net, lockstep, sync };
+}
+
+/** Turn message from another lockstep peer */
+function turn(peerId, tick, commands = []) {
+    return { type: LockstepMessageType.TURN, peerId, tick, commands };
+}
+
+function createWorld() {
+    const world = new SimWorld({ seed: 21 });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.spawnUnit({ position: { x: 0, y: -10, z: 0 } });
+    return world;
+}
+
+/** Poll until predicate() is true (decoding/encoding is async) */
+async function waitFor(predicate, what = 'condition') {
+    for (let i = 0; i < 200; i++) {
+        if (predicate()) return;
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+}
+
+/** Wait until the last sent message has the given type (encoding is async) */
+async function waitForSent(transport, type) {
+    for (let i = 0; i < 200; i++) {
+        const last = transport.sent[transport.sent.length - 1];
+        if (last?.type === type) return last;
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    throw new Error(`Timed out waiting for ${type}`);
+}
+
+const MOVES = {
+    5: { type: CommandType.MOVE, unitId: 1, position: { x: 10, y: 0, z: 0 } },
+    24: { type: CommandType.MOVE, unitId: 2, position: { x: 0, y: 0, z: -10 } },
+    31: { type: CommandType.MOVE, unitId: 1, position: { x: 0, y: 0, z: 10 } },
+    40: { type: CommandType.MOVE, unitId: 2, position: { x: 10, y: 0, z: 0 } }
+};
+
+/**
+ * Host runs 32 ticks (keyframe at 20, commands after it), serves a snapshot
+ * for 'guest', then keeps running to tick 50.
+ */
+async function runHost(options = {}) {
+    const world = createWorld();
+    const transport = createTransport();
+    const host = new StateSync(world, transport, { peerId: 'host', isHost: true, keyframeInterval: 20 });
+    host.start();
+
+    const enqueueFor = (tick) => {
+        if (MOVES[tick]) world.commandQueue.enqueue(MOVES[tick]);
+    };
+    world.runTicks(32, enqueueFor);
+
+    transport.deliver({ type: StateSyncMessageType.REQUEST, peerId: 'guest', requestId: options.requestId ?? 'guest#1' });
+    const snapshot = await waitForSent(transport, StateSyncMessageType.SNAPSHOT);
+    const liveHash = world.getHash();
+
+    world.runTicks(18, enqueueFor);
+    return { snapshot, liveHash, finalHash: world.getHash(), finalEntityId: peekEntityId(), host };
+}
+
+// Keep test output readable
+const originalLog = console.log;
+console.log = (...args) => {
+    if (typeof args[0] === 'string' && args[0].startsWith('[StateSync]')) return;
+    originalLog(...args);
+};
+const originalWarn = console.warn;
+const originalError = console.error;
+console.warn = () => {};
+console.error = () => {};
+
+// ============ Tests ============
+
+await test('StateSync requires a sim and a transport', () => {
+    let error = null;
+    try {
+        new StateSync({}, null);
+    } catch (err) {
+        error = err;
+    }
+    assertTrue(error && error.message.includes('simLoop'), 'throws');
+});
+
+await test('SaveCodec round-trips and compresses', async () => {
+    const world = createWorld();
+    world.runTicks(5);
+    const envelope = { format: 'asterobia-save', state: { game: world.serialize() }, padding: 'x'.repeat(2000) };
+
+    const packed = await encodeEnvelope(envelope);
+    assertEqual(packed.encoding, SaveEncoding.GZIP_BASE64, 'gzip available in Node');
+    assertTrue(packed.data.length < packed.size, 'smaller than JSON');
+    assertEqual(JSON.stringify(await decodeEnvelope(packed)), JSON.stringify(envelope), 'round trip');
+
+    const plain = await encodeEnvelope(envelope, { compress: false });
+    assertEqual(plain.encoding, SaveEncoding.JSON, 'uncompressed');
+    assertEqual((await decodeEnvelope(plain)).padding.length, 2000, 'json round trip');
+
+    let error = null;
+    try {
+        await decodeEnvelope({ encoding: SaveEncoding.GZIP_BASE64, data: 'bm90IGd6aXA=' });
+    } catch (err) {
+        error = err;
+    }
+    assertTrue(error !== null, 'corrupt data rejected');
+});
+
+await test('Joiner replays from the keyframe to the live tick and stays in sync', async () => {
+    const { snapshot, liveHash, finalHash, finalEntityId, host } = await runHost();
+    assertEqual(snapshot.keyframeTick, 20, 'latest keyframe');
+    assertEqual(snapshot.liveTick, 32, 'live tick');
+    assertEqual(snapshot.targetPeerId, 'guest', 'addressed to requester');
+    assertEqual(snapshot.log.length, 2, 'commands after keyframe logged');
+    assertEqual(snapshot.snapshot.encoding, SaveEncoding.GZIP_BASE64, 'compressed envelope');
+    assertEqual(snapshot.hash, liveHash, 'hashState at live tick');
+    assertEqual(host.snapshotsServed, 1, 'served');
+
+    // Joiner starts from a different state (fresh world, no commands)
+    const world = createWorld();
+    world.runTicks(3);
+    const transport = createTransport();
+    const synced = [];
+    const guest = new StateSync(world, transport, { peerId: 'guest', keyframeInterval: 20, onSynced: (r) => synced.push(r) });
+    guest.start();
+
+    const pending = guest.requestSync();
+    assertEqual(transport.sent[0].type, StateSyncMessageType.REQUEST, 'request sent');
+    assertEqual(guest.status, StateSyncStatus.REQUESTING, 'requesting');
+
+    transport.deliver(snapshot);
+    const result = await pending;
+
+    assertEqual(result.success, true, result.error);
+    assertEqual(result.tick, 32, 'fast-forwarded');
+    assertEqual(result.hash, liveHash, 'same hash as host');
+    assertEqual(synced[0].replayedTicks, 12, 'replayed ticks');
+    assertEqual(guest.status, StateSyncStatus.SYNCED, 'synced');
+
+    world.runTicks(18, (tick) => {
+        if (MOVES[tick]) world.commandQueue.enqueue(MOVES[tick]);
+    });
+    assertEqual(world.getHash(), finalHash, 'same state 18 ticks later');
+    assertEqual(peekEntityId(), finalEntityId, 'same entity counter');
+    guest.stop();
+});
+
+await test('Input is dropped while requesting, buffered while applying; sim stalls', async () => {
+    const { snapshot } = await runHost();
+
+    const world = createWorld();
+    const transport = createTransport();
+    const received = [];
+    transport.onReceive = (message) => received.push(message);
+    const guest = new StateSync(world, transport, { peerId: 'guest' });
+    guest.start();
+
+    transport.deliver({ type: CommandType.SELECT, unitId: 1 });
+    assertEqual(received.length, 1, 'passes through when idle');
+
+    const pending = guest.requestSync();
+    world.runTicks(5);
+    assertEqual(world.getTickCount(), 0, 'stalled while requesting');
+
+    transport.deliver({ type: CommandType.SELECT, unitId: 2 });
+    transport.deliver(snapshot);
+    transport.deliver({ type: CommandType.SELECT, unitId: 3 });
+    assertEqual(received.length, 1, 'held during sync');
+
+    await pending;
+    assertEqual(received.map(c => c.unitId).join(','), '1,3', 'pre-snapshot input dropped, later input released');
+
+    world.runTicks(2);
+    assertTrue(world.getTickCount() >= 34, 'runs again after sync (plus time owed while stalled)');
+    guest.stop();
+});
+
+await test('Hash mismatch is retried, then reported', async () => {
+    const { snapshot } = await runHost();
+
+    const world = createWorld();
+    const transport = createTransport();
+    const failures = [];
+    const guest = new StateSync(world, transport, { peerId: 'guest', maxAttempts: 2, onFailed: (f) => failures.push(f) });
+    guest.start();
+
+    const pending = guest.requestSync();
+    transport.deliver({ ...snapshot, hash: 'tampered' });
+    await waitFor(() => transport.sent.length === 2, 'retry');
+    assertEqual(transport.sent[1].requestId, 'guest#2', 'new request ID');
+
+    transport.deliver(snapshot); // Stale answer to the first request: ignored
+    transport.deliver({ ...snapshot, requestId: 'guest#2', hash: 'tampered' });
+    const result = await pending;
+
+    assertEqual(result.success, false, 'failed');
+    assertTrue(result.error.includes('mismatch'), result.error);
+    assertEqual(guest.status, StateSyncStatus.FAILED, 'status');
+    assertEqual(failures[0].attempts, 2, 'attempts reported');
+    guest.stop();
+});
+
+await test('Missing host times out after maxAttempts', async () => {
+    const world = createWorld();
+    const transport = createTransport();
+    const guest = new StateSync(world, transport, { peerId: 'guest', timeoutMs: 10, maxAttempts: 3 });
+    guest.start();
+
+    const result = await guest.requestSync();
+    assertEqual(result.success, false, 'failed');
+    assertTrue(result.error.includes('No snapshot'), result.error);
+    assertEqual(transport.sent.length, 3, 'three requests');
+    guest.stop();
+});
+
+await test('Only the host answers; foreign snapshots are ignored', async () => {
+    const world = createWorld();
+    const transport = createTransport();
+    let isHost = false;
+    const peer = new StateSync(world, transport, { peerId: 'p1', isHost: () => isHost, compress: false });
+    peer.start();
+
+    transport.deliver({ type: StateSyncMessageType.REQUEST, peerId: 'guest', requestId: 'guest#1' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assertEqual(transport.sent.length, 0, 'non-host silent');
+
+    isHost = true;
+    transport.deliver({ type: StateSyncMessageType.REQUEST, peerId: 'p1', requestId: 'p1#9' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assertEqual(transport.sent.length, 0, 'own request ignored');
+
+    transport.deliver({ type: StateSyncMessageType.REQUEST, peerId: 'guest', requestId: 'guest#1' });
+    const snapshot = await waitForSent(transport, StateSyncMessageType.SNAPSHOT);
+    assertEqual(snapshot.snapshot.encoding, SaveEncoding.JSON, 'uncompressed when disabled');
+
+    const tickBefore = world.getTickCount();
+    transport.deliver({ ...snapshot, targetPeerId: 'someone-else' });
+    assertEqual(peer.status, StateSyncStatus.IDLE, 'not applied');
+    assertEqual(world.getTickCount(), tickBefore, 'state untouched');
+    peer.stop();
+});
+
+await test('StateSync on top of LockstepTransport: joiner catches up and turns continue', async () => {
+    // Host: guest played ticks 1-20 and dropped out; host stalls at 21 waiting for it
+    const host = createLockstepPeer('host', { isHost: true });
+    for (let tick = 1; tick <= 20; tick++) {
+        const commands = tick === 3 ? [{ type: CommandType.MOVE, unitId: 1, position: { x: 10, y: 0, z: 0 } }] : [];
+        host.net.deliver(turn('guest', tick, commands));
+    }
+    let easing = null;
+    host.world.runTicks(27, (tick) => {
+        // Pause lands on tick 9: the keyframe at tick 10 is taken mid-ease
+        if (tick === 6) host.lockstep.send({ type: CommandType.TOGGLE_PAUSE, unitId: 1 });
+        if (tick === 10) easing = host.world.getUnit(1).speedFactor;
+    });
+    assertEqual(host.world.getTickCount(), 20, 'host stalled on the missing guest');
+    assertTrue(easing > 0 && easing < 1, `keyframe taken mid-ease (speedFactor ${easing})`);
+
+    host.net.deliver({ type: StateSyncMessageType.REQUEST, peerId: 'guest', requestId: 'guest#1' });
+    const snapshot = await waitForSent(host.net, StateSyncMessageType.SNAPSHOT);
+    assertEqual(snapshot.keyframeTick, 10, 'keyframe');
+    const liveHash = host.world.getHash();
+
+    // Turns the host sent while the guest was away are lost to it; it asks again
+    const sentBeforeResend = host.net.sent.length;
+    host.net.deliver({ type: LockstepMessageType.RESEND, peerId: 'guest', fromTick: 20 });
+    const resent = host.net.sent.slice(sentBeforeResend).map(m => m.tick).join(',');
+    assertEqual(resent, '21,22', 'host resends its turns after the synced tick');
+    for (let tick = 21; tick <= 40; tick++) host.net.deliver(turn('guest', tick));
+    host.world.runTicks(25);
+    assertEqual(host.world.getTickCount(), 40, 'host runs again (up to the last guest turn)');
+    const hostTurns = host.net.sent.slice(sentBeforeResend)
+        .filter(m => m.type === LockstepMessageType.TURN && m.tick <= 40);
+    const finalHash = host.world.getHash();
+    const finalState = JSON.stringify(host.world.serialize());
+    host.sync.stop();
+
+    // Guest: fresh world, requests while its own lockstep gate is held
+    const guest = createLockstepPeer('guest');
+    guest.world.runTicks(3);
+    const pending = guest.sync.requestSync();
+    assertEqual(guest.net.sent.at(-1).type, StateSyncMessageType.REQUEST, 'request sent on the network transport');
+
+    guest.net.deliver(snapshot);
+    const result = await pending;
+    assertEqual(result.success, true, result.error);
+    assertEqual(result.tick, 20, 'synced to live tick');
+    assertEqual(result.hash, liveHash, 'hash verified (keyframe mid-ease)');
+    assertEqual(guest.net.sent.at(-1).type, LockstepMessageType.RESEND, 'asked peers to resend');
+
+    for (const message of hostTurns) guest.net.deliver(message);
+    guest.world.runTicks(25);
+    assertEqual(guest.world.getTickCount(), 40, 'guest advances with the host');
+    assertEqual(guest.world.getHash(), finalHash, 'same hash at tick 40');
+    assertEqual(JSON.stringify(guest.world.serialize()), finalState, 'same state at tick 40');
+
+    const guestTurns = guest.net.sent.filter(m => m.type === LockstepMessageType.TURN && m.tick > 20);
+    assertEqual(guestTurns[0].tick, 21, 'guest turns continue from the synced tick');
+    guest.sync.stop();
+});
+
+console.log = originalLog;
+console.warn = originalWarn;
+console.error = originalError;
+
+// ============ Summary ============
+
+console.log('\n=== State Sync Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All State Sync tests PASS');
+    process.exit(0);
+}
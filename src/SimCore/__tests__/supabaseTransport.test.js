@@ -11,6 +11,7 @@ import { SupabaseTransport } from '../transport/SupabaseTransport.js';
 import { SupabaseStorageAdapter } from '../persistence/SupabaseStorageAdapter.js';
 import { TransportState } from '../transport/ITransport.js';
 import { CommandQueue, CommandType } from '../runtime/CommandQueue.js';
+import { CURRENT_CODEC_VERSION } from '../transport/CommandCodec.js';
 
 // ============ Test Framework ============
 
@@ -281,13 +282,58 @@ await test('SupabaseTransport delivers commands from remote clients', async () =
     channel._simulateReceive('command', {
         clientId: 'other-client-123',
         commands: [
-            { type: 'MOVE', unitId: 1, target: { x: 10, y: 0, z: 10 } }
+            { type: 'MOVE', unitId: 1, target: { x: 10, y: 0, z: 10 }, senderId: 'spoofed' }
         ]
     });
 
     assertEqual(received.length, 1, 'received remote command');
     assertEqual(received[0].type, 'MOVE', 'command type');
     assertEqual(received[0].unitId, 1, 'unit ID');
+    assertEqual(received[0].senderId, 'other-client-123', 'sender stamped from envelope');
+});
+
+await test('SupabaseTransport negotiates the wire codec with the room', async () => {
+    const supabase = createMockSupabase();
+    const transport = new SupabaseTransport({ supabaseClient: supabase, throttleMs: 1 });
+    await transport.connect();
+    const channel = supabase._getChannels().get('asterobia-main');
+
+    const sent = [];
+    const originalSend = channel.send;
+    channel.send = async (message) => {
+        sent.push(message);
+        return originalSend(message);
+    };
+
+    const received = [];
+    transport.onReceive = (cmd) => received.push(cmd);
+
+    assertEqual(transport.codecVersion, CURRENT_CODEC_VERSION, 'binary while alone');
+    transport.send({ type: CommandType.MOVE, unitId: 1, position: { x: 60, y: 0, z: 0 } });
+    await transport.flush();
+    const binaryBatch = sent.find(m => m.event === 'command');
+    assertEqual(binaryBatch.payload.codec, CURRENT_CODEC_VERSION, 'binary batch');
+    assertTrue(Math.abs(received[0].position.x - 60) < 0.01, 'own echo decoded');
+
+    // A peer announces JSON only: reply with our versions, fall back to JSON
+    channel._simulateReceive('codec', { clientId: 'legacy', versions: [], reply: false });
+    await new Promise(r => setTimeout(r, 10));
+    const reply = sent.find(m => m.event === 'codec' && m.payload.reply === true);
+    assertTrue(reply && reply.payload.versions.includes(1), 'replied with own versions');
+    assertEqual(transport.codecVersion, 0, 'downgraded to JSON');
+
+    transport.send({ type: CommandType.STOP, unitId: 1 });
+    await transport.flush();
+    const jsonBatch = sent.filter(m => m.event === 'command')[1];
+    assertTrue(Array.isArray(jsonBatch.payload.commands), 'JSON batch');
+    assertEqual(received.length, 2, 'both delivered');
+
+    // Replies are never answered (no announcement loop)
+    const before = sent.length;
+    channel._simulateReceive('codec', { clientId: 'other', versions: [1], reply: true });
+    await new Promise(r => setTimeout(r, 10));
+    assertEqual(sent.length, before, 'no reply to a reply');
+    assertTrue(transport.getStats().bytesSent > 0, 'bytes counted');
 });
 
 await test('SupabaseTransport tracks statistics', async () => {
@@ -0,0 +1,347 @@
+/**
+ * Syncing Storage Tests
+ *
+ * Validates SyncingStorageAdapter (local first, queued uploads to Supabase):
+ * - Saves land locally at once and upload on flush with a revision number
+ * - Offline saves stay queued (and are re-queued after a reload by resume())
+ * - A second device pulls newer revisions on load
+ * - Concurrent edits on two devices are detected as a conflict
+ * - keep-local / keep-remote / keep-both resolutions
+ * - Unsynced slots stay local; SaveManager round-trip through the adapter
+ *
+ * The remote is the real SupabaseStorageAdapter over an in-memory fake
+ * Supabase client (one row per user, like the world_states table).
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/syncingStorage.test.js
+ */
+
+import { SyncingStorageAdapter, ConflictResolution } from '../persistence/SyncingStorageAdapter.js';
+import { SupabaseStorageAdapter } from '../persistence/SupabaseStorageAdapter.js';
+import { MemoryStorageAdapter } from '../persistence/StorageAdapter.js';
+import { SaveManager } from '../persistence/SaveManager.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Fake Supabase ============
+
+/**
+ * In-memory world_states table shared by every client (= every device).
+ * Supports the query shapes SupabaseStorageAdapter uses.
+ */
+class FakeSupabaseServer {
+    constructor() {
+        /** @type {Map<string, Object>} owner_id → row */
+        this.rows = new Map();
+        this.online = true;
+    }
+
+    createClient(userId = 'user-1') {
+        return {
+            auth: {
+                getUser: async () => ({ data: { user: { id: userId } }, error: null })
+            },
+            from: () => new FakeQuery(this)
+        };
+    }
+}
+
+class FakeQuery {
+    constructor(server) {
+        this.server = server;
+        this.op = 'select';
+        this.options = {};
+        this.ownerId = null;
+        this.isSingle = false;
+    }
+
+    select(columns, options = {}) {
+        this.options = options;
+        return this;
+    }
+
+    upsert(row) {
+        this.op = 'upsert';
+        this.row = row;
+        return this;
+    }
+
+    delete() {
+        this.op = 'delete';
+        return this;
+    }
+
+    eq(column, value) {
+        this.ownerId = value;
+        return this;
+    }
+
+    single() {
+        this.isSingle = true;
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this._execute()).then(resolve, reject);
+    }
+
+    _execute() {
+        const { rows } = this.server;
+        if (!this.server.online) {
+            return { data: null, error: { message: 'Failed to fetch' } };
+        }
+        if (this.op === 'upsert') {
+            rows.set(this.row.owner_id, JSON.parse(JSON.stringify(this.row)));
+            return { error: null };
+        }
+        if (this.op === 'delete') {
+            rows.delete(this.ownerId);
+            return { error: null };
+        }
+
+        const row = rows.get(this.ownerId);
+        if (this.options.head) {
+            return { count: row ? 1 : 0, error: null };
+        }
+        const copy = row ? JSON.parse(JSON.stringify(row)) : null;
+        if (this.isSingle) {
+            return copy
+                ? { data: copy, error: null }
+                : { data: null, error: { code: 'PGRST116', message: 'No rows' } };
+        }
+        return { data: copy ? [copy] : [], error: null };
+    }
+}
+
+// ============ Helpers ============
+
+// The Supabase adapter logs every call; keep the test output readable
+const log = console.log;
+const error = console.error;
+const fromSupabaseAdapter = (args) => String(args[0]).startsWith('[SupabaseStorageAdapter]');
+console.log = (...args) => { if (!fromSupabaseAdapter(args)) log(...args); };
+console.error = (...args) => { if (!fromSupabaseAdapter(args)) error(...args); };
+console.warn = () => {};
+
+let clock = 0;
+
+function createDevice(server, name, options = {}) {
+    return new SyncingStorageAdapter({
+        local: options.local ?? new MemoryStorageAdapter(),
+        remote: new SupabaseStorageAdapter(server.createClient()),
+        deviceId: name,
+        syncKeys: ['quicksave'],
+        now: () => ++clock,
+        ...options
+    });
+}
+
+function remoteRow(server) {
+    return server.rows.get('user-1')?.state_data;
+}
+
+// ============ Tests ============
+
+log('\n=== Syncing Storage Tests ===\n');
+
+await test('Save is local first and uploads with a revision', async () => {
+    const server = new FakeSupabaseServer();
+    const device = createDevice(server, 'A', { autoFlush: false });
+
+    const result = await device.save('quicksave', { value: 1 });
+    assertTrue(result.success && result.pending, 'saved locally, upload pending');
+    assertEqual(remoteRow(server), undefined, 'nothing uploaded before flush');
+    assertEqual(device.local.load('quicksave').data._sync.dirty, true);
+
+    const status = await device.flush();
+    assertEqual(status.pendingUploads.length, 0);
+    assertEqual(status.online, true);
+    assertEqual(remoteRow(server)._sync.revision, 1, 'revision 1');
+    assertEqual(remoteRow(server)._sync.deviceId, 'A');
+    assertEqual(device.local.load('quicksave').data._sync.dirty, false, 'local marked clean');
+
+    await device.save('quicksave', { value: 2 });
+    await device.flush();
+    assertEqual(remoteRow(server)._sync.revision, 2, 'revision 2');
+
+    const loaded = await device.load('quicksave');
+    assertEqual(JSON.stringify(loaded.data), JSON.stringify({ value: 2 }), 'sync metadata stripped');
+});
+
+await test('Offline saves stay queued and survive a reload', async () => {
+    const server = new FakeSupabaseServer();
+    server.online = false;
+    const local = new MemoryStorageAdapter();
+    const device = createDevice(server, 'A', { local });
+
+    assertTrue((await device.save('quicksave', { value: 1 })).success, 'offline save succeeds');
+    const status = await device.flush();
+    assertEqual(status.online, false);
+    assertEqual(status.pendingUploads[0], 'quicksave', 'still queued');
+    assertEqual((await device.load('quicksave')).data.value, 1, 'offline load uses local');
+
+    // Page reload: a new adapter over the same local storage
+    server.online = true;
+    const reloaded = createDevice(server, 'A', { local });
+    const resumed = await reloaded.resume();
+    assertEqual(resumed.pendingUploads.length, 0, 'uploaded after resume');
+    assertEqual(remoteRow(server).value, 1);
+    assertEqual(remoteRow(server)._sync.revision, 1);
+});
+
+await test('Second device pulls newer revisions on load', async () => {
+    const server = new FakeSupabaseServer();
+    const a = createDevice(server, 'A');
+    const b = createDevice(server, 'B');
+
+    await a.save('quicksave', { value: 'from A' });
+    await a.flush();
+
+    assertEqual((await b.load('quicksave')).data.value, 'from A', 'B pulled');
+    await b.save('quicksave', { value: 'from B' });
+    await b.flush();
+    assertEqual(remoteRow(server)._sync.revision, 2, 'B uploaded on top of r1');
+
+    assertEqual((await a.load('quicksave')).data.value, 'from B', 'A pulled r2');
+    assertEqual(a.getConflicts().length, 0);
+});
+
+/** A and B both at r1; B uploads r2 while A edits offline */
+async function createConflict() {
+    const server = new FakeSupabaseServer();
+    const conflicts = [];
+    const a = createDevice(server, 'A', { onConflict: (c) => conflicts.push(c) });
+    const b = createDevice(server, 'B');
+
+    await a.save('quicksave', { value: 'base' });
+    await a.flush();
+    await b.load('quicksave');
+
+    server.online = false;
+    await a.save('quicksave', { value: 'A edit' });
+    await a.flush();
+
+    server.online = true;
+    await b.save('quicksave', { value: 'B edit' });
+    await b.flush();
+
+    await a.flush();
+    return { server, a, b, conflicts };
+}
+
+await test('Edits on two devices are detected as a conflict', async () => {
+    const { server, a, conflicts } = await createConflict();
+
+    assertEqual(conflicts.length, 1, 'onConflict called');
+    assertEqual(conflicts[0].localRevision, 1);
+    assertEqual(conflicts[0].remoteRevision, 2);
+    assertEqual(conflicts[0].remoteDeviceId, 'B');
+    assertEqual(a.getSyncStatus().conflicts[0], 'quicksave');
+    assertEqual(a.getSyncStatus().pendingUploads.length, 0, 'not uploaded');
+    assertEqual(remoteRow(server).value, 'B edit', 'remote untouched');
+    assertEqual((await a.load('quicksave')).data.value, 'A edit', 'local kept until resolved');
+
+    assertEqual((await a.resolveConflict('other', ConflictResolution.KEEP_LOCAL)).success, false);
+    assertEqual((await a.resolveConflict('quicksave', 'merge')).success, false);
+});
+
+await test('keep-local uploads the local copy over the remote', async () => {
+    const { server, a, b } = await createConflict();
+
+    assertTrue((await a.resolveConflict('quicksave', ConflictResolution.KEEP_LOCAL)).success);
+    assertEqual(remoteRow(server).value, 'A edit');
+    assertEqual(remoteRow(server)._sync.revision, 3, 'on top of the remote revision');
+    assertEqual(a.getConflicts().length, 0);
+    assertEqual((await b.load('quicksave')).data.value, 'A edit', 'B pulls the resolution');
+});
+
+await test('keep-remote replaces the local copy', async () => {
+    const { server, a } = await createConflict();
+
+    assertTrue((await a.resolveConflict('quicksave', ConflictResolution.KEEP_REMOTE)).success);
+    assertEqual((await a.load('quicksave')).data.value, 'B edit');
+    assertEqual(remoteRow(server)._sync.revision, 2, 'remote unchanged');
+
+    await a.save('quicksave', { value: 'A again' });
+    await a.flush();
+    assertEqual(remoteRow(server)._sync.revision, 3, 'syncs normally afterwards');
+});
+
+await test('keep-both moves the local copy to a new slot', async () => {
+    const { server, a } = await createConflict();
+
+    const result = await a.resolveConflict('quicksave', ConflictResolution.KEEP_BOTH);
+    assertTrue(result.success);
+    assertTrue(result.keptAs.startsWith('quicksave.conflict-'), result.keptAs);
+    assertEqual((await a.load('quicksave')).data.value, 'B edit', 'slot holds remote');
+    assertEqual((await a.load(result.keptAs)).data.value, 'A edit', 'local copy kept');
+    assertEqual(remoteRow(server).value, 'B edit', 'copy not uploaded (unsynced slot)');
+    assertEqual((await a.list()).length, 2);
+});
+
+await test('Unsynced slots stay local; SaveManager round-trip', async () => {
+    const server = new FakeSupabaseServer();
+    const device = createDevice(server, 'A');
+
+    await device.save('autosave_0', { value: 'local only' });
+    await device.flush();
+    assertEqual(remoteRow(server), undefined, 'autosave not uploaded');
+    assertEqual(device.local.load('autosave_0').data._sync, undefined, 'no sync metadata');
+
+    const world = new SimWorld({ seed: 9 });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.runTicks(10);
+    const hash = world.getHash();
+
+    const manager = new SaveManager(world, device);
+    assertTrue((await manager.saveAsync('quicksave')).success);
+    await device.flush();
+    assertEqual(remoteRow(server).format, 'asterobia-save', 'envelope uploaded');
+
+    world.runTicks(10);
+    const loaded = await manager.loadAsync('quicksave');
+    assertTrue(loaded.success, loaded.error);
+    assertEqual(world.getHash(), hash, 'restored');
+
+    assertTrue((await device.delete('quicksave')).success);
+    await device.flush();
+    assertEqual(remoteRow(server), undefined, 'delete synced');
+});
+
+// ============ Summary ============
+
+log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    log('\n✓ All Syncing Storage tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,195 @@
+/**
+ * SystemScheduler Test
+ *
+ * Validates SystemScheduler:
+ * - Registration order with before/after dependencies (and cycle rejection)
+ * - Per-system enable/disable
+ * - Shared context (host fields + dt/tick) and per-system timings
+ * - SimWorld runs MovementSystem and extra systems through the scheduler
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/systemScheduler.test.js
+ */
+
+import { SystemScheduler } from '../systems/SystemScheduler.js';
+import { BaseSystem } from '../systems/BaseSystem.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Records its name into a shared log on every update (test-only).
+ */
+class LogSystem extends BaseSystem {
+    constructor(name, log) {
+        super(name);
+        this.log = log;
+        this.lastContext = null;
+    }
+
+    update(dt, context) {
+        this.log.push(this.name);
+        this.lastContext = context;
+    }
+}
+
+// ============ Tests ============
+
+test('Systems run in registration order adjusted by dependencies', () => {
+    const log = [];
+    const scheduler = new SystemScheduler();
+    scheduler.register(new LogSystem('economy', log));
+    scheduler.register(new LogSystem('combat', log), { after: ['movement'] });
+    scheduler.register(new LogSystem('movement', log));
+    scheduler.register(new LogSystem('input', log), { before: ['economy'] });
+
+    assertEqual(scheduler.getOrder().join(','), 'input,economy,movement,combat', 'order');
+
+    scheduler.update(0.05, 1);
+    assertEqual(log.join(','), 'input,economy,movement,combat', 'run order');
+});
+
+test('Duplicate names and dependency cycles are rejected', () => {
+    const scheduler = new SystemScheduler();
+    scheduler.register(new LogSystem('a', []));
+    scheduler.register(new LogSystem('b', []), { after: ['a'] });
+
+    let error = null;
+    try {
+        scheduler.register(new LogSystem('a', []));
+    } catch (err) {
+        error = err;
+    }
+    assertTrue(error && error.message.includes('already registered'), 'duplicate');
+
+    error = null;
+    try {
+        scheduler.register(new LogSystem('c', []), { after: ['b'], before: ['a'] });
+    } catch (err) {
+        error = err;
+    }
+    assertTrue(error && error.message.includes('cycle'), 'cycle');
+    assertEqual(scheduler.get('c'), null, 'failed registration rolled back');
+    assertEqual(scheduler.getOrder().join(','), 'a,b', 'order intact');
+});
+
+test('Disabled systems are skipped without losing their slot', () => {
+    const log = [];
+    const scheduler = new SystemScheduler();
+    scheduler.register(new LogSystem('a', log));
+    scheduler.register(new LogSystem('b', log));
+    scheduler.register(new LogSystem('c', log));
+
+    assertEqual(scheduler.setEnabled('b', false), true, 'exists');
+    assertEqual(scheduler.setEnabled('nope', false), false, 'unknown');
+    scheduler.update(0.05, 1);
+    assertEqual(log.join(','), 'a,c', 'b skipped');
+
+    scheduler.setEnabled('b', true);
+    log.length = 0;
+    scheduler.update(0.05, 2);
+    assertEqual(log.join(','), 'a,b,c', 'b back in place');
+
+    assertEqual(scheduler.unregister('a'), true, 'unregistered');
+    assertEqual(scheduler.getOrder().join(','), 'b,c', 'order after unregister');
+});
+
+test('Shared context carries host fields, dt and tick; timings are tracked', () => {
+    let clock = 0;
+    const store = { name: 'store' };
+    const scheduler = new SystemScheduler({ context: { store }, now: () => clock });
+    const slow = new LogSystem('slow', []);
+    slow.update = function (dt, context) {
+        this.lastContext = context;
+        clock += 4;
+    };
+    scheduler.register(slow);
+    scheduler.register(new LogSystem('fast', []));
+
+    scheduler.update(0.05, 7);
+    scheduler.update(0.05, 8);
+
+    assertEqual(slow.lastContext.store, store, 'host field');
+    assertEqual(slow.lastContext.dt, 0.05, 'dt');
+    assertEqual(slow.lastContext.tick, 8, 'tick');
+    assertEqual(scheduler.get('fast').lastContext, slow.lastContext, 'one shared object');
+
+    const timings = scheduler.getTimings();
+    assertEqual(timings.slow.calls, 2, 'calls');
+    assertEqual(timings.slow.totalMs, 8, 'total');
+    assertEqual(timings.slow.avgMs, 4, 'average');
+    assertEqual(timings.fast.maxMs, 0, 'fast');
+
+    scheduler.resetTimings();
+    assertEqual(scheduler.getTimings().slow.calls, 0, 'reset');
+});
+
+test('SimWorld runs movement through the scheduler', () => {
+    const world = new SimWorld({ seed: 1 });
+    const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    const seen = [];
+    world.systems.register({
+        name: 'probe',
+        enabled: true,
+        update: (dt, context) => seen.push({ tick: context.tick, count: context.entities.length, rng: context.rng })
+    }, { after: ['movement'] });
+
+    assertEqual(world.systems.getOrder().join(','), 'movement,goals,research,production,training,probe', 'order');
+
+    world.commandQueue.enqueue({ type: CommandType.MOVE, unitId: unit.id, position: { x: 10, y: 0, z: 0 } });
+    const start = { ...unit.position };
+    world.runTicks(5);
+
+    assertTrue(unit.position.x !== start.x, 'unit moved');
+    assertEqual(seen.length, 5, 'probe ran each tick');
+    assertEqual(seen[0].count, 1, 'entities in context');
+    assertEqual(seen[0].rng, world.rng, 'rng in context');
+    assertEqual(world.systems.getTimings().movement.calls, 5, 'movement timed');
+
+    world.systems.setEnabled('movement', false);
+    const frozen = { ...unit.position };
+    world.runTicks(5);
+    assertEqual(unit.position.x, frozen.x, 'disabled movement does not run');
+});
+
+// ============ Summary ============
+
+console.log('\n=== System Scheduler Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All System Scheduler tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,304 @@
+/**
+ * TrainingManager Test
+ *
+ * Validates player training (Tr step of G-R-F-Tr-D-P-U):
+ * - StatsEngine training multiplier: 1.0 + HighScore / 100, capped at trainingCaps.feature
+ * - Sessions: trainable features only, one per user, score clamped, high score kept
+ * - Records are per user, persist through sync and async StorageAdapters
+ * - UnitTypeBinder applies the owner's multipliers on bind and rebind
+ *   (speed and vision change)
+ * - APPLY_TRAINING: records reach the sim only as a command; peers applying it
+ *   on the same tick rebind the sender's units identically; scores are saved
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/trainingManager.test.js
+ */
+
+import { TrainingManager, TrainingEvent, globalTrainingManager } from '../runtime/TrainingManager.js';
+import { StatsEngine, DEFAULT_STATS_CONFIG } from '../rules/StatsEngine.js';
+import { UnitModel } from '../domain/UnitModel.js';
+import { createScoutSeedBlueprint } from '../domain/TypeBlueprint.js';
+import { saveBlueprint } from '../runtime/BlueprintStorage.js';
+import { bindUnitToBlueprint, rebindUnit, applyBlueprintStats, setTrainingSource } from '../runtime/UnitTypeBinder.js';
+import { EventBus } from '../runtime/EventBus.js';
+import { MemoryStorageAdapter } from '../persistence/StorageAdapter.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+import { validateCommand } from '../runtime/CommandValidator.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+function assertClose(actual, expected, msg = '', epsilon = 1e-9) {
+    if (Math.abs(actual - expected) > epsilon) {
+        throw new Error(`${msg} Expected ~${expected}, got ${actual}`);
+    }
+}
+
+// ============ Helpers ============
+
+/** Minimal localStorage (test-only, for BlueprintStorage) */
+class FakeLocalStorage {
+    constructor() { this._items = new Map(); }
+    getItem(key) { return this._items.has(key) ? this._items.get(key) : null; }
+    setItem(key, value) { this._items.set(key, String(value)); }
+    removeItem(key) { this._items.delete(key); }
+    clear() { this._items.clear(); }
+    key(i) { return [...this._items.keys()][i] ?? null; }
+    get length() { return this._items.size; }
+}
+
+globalThis.localStorage = new FakeLocalStorage();
+
+/** MemoryStorageAdapter behind promises (IndexedDB / Supabase style) */
+class AsyncMemoryAdapter {
+    constructor() { this.inner = new MemoryStorageAdapter(); }
+    async save(key, data) { return this.inner.save(key, data); }
+    async load(key) { return this.inner.load(key); }
+    async delete(key) { return this.inner.delete(key); }
+    async list() { return this.inner.list(); }
+}
+
+function createManager(options = {}) {
+    const eventBus = new EventBus();
+    const events = [];
+    for (const type of Object.values(TrainingEvent)) {
+        eventBus.on(type, (payload) => events.push({ type, payload }));
+    }
+    const manager = new TrainingManager({
+        adapter: new MemoryStorageAdapter(),
+        eventBus,
+        now: () => 1000,
+        ...options
+    });
+    return { manager, events };
+}
+
+/** Run `fn` with console.log silenced (binder logs every bind) */
+async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+// ============ Tests ============
+
+await test('StatsEngine training multiplier follows the high score up to the cap', () => {
+    const stats = new StatsEngine();
+    assertEqual(stats.getTrainingMultiplier(0), 1.0, 'untrained');
+    assertClose(stats.getTrainingMultiplier(80), 1.8, 'score 80');
+    assertClose(stats.getTrainingMultiplier(100), 2.0, 'max score');
+
+    const steep = new StatsEngine({
+        ...DEFAULT_STATS_CONFIG,
+        training: { ...DEFAULT_STATS_CONFIG.training, scorePerMultiplier: 25 }
+    });
+    assertEqual(steep.getTrainingMultiplier(100), DEFAULT_STATS_CONFIG.trainingCaps.feature, 'capped');
+});
+
+await test('Sessions record the high score per user and feature', async () => {
+    const { manager, events } = createManager();
+
+    const locked = manager.startSession('USER_001', 'MOVE_SWIM');
+    assertEqual(locked.success, false, 'locked feature');
+    assertTrue(locked.error.includes('cannot be trained'), locked.error);
+
+    const { session } = manager.startSession('USER_001', 'move');
+    assertEqual(session.sessionId, 'TSES_001');
+    assertEqual(session.durationSec, 60);
+    assertEqual(manager.getActiveSession('USER_001'), session);
+    assertEqual(manager.startSession('USER_001', 'vision').success, false, 'one session per user');
+    assertTrue(manager.startSession('USER_002', 'vision').success, 'other users train in parallel');
+
+    const first = await manager.finishSession(session.sessionId, 80);
+    assertTrue(first.success && first.improved, 'first score');
+    assertEqual(first.record.highScore, 80);
+    assertClose(first.record.globalMultiplier, 1.8);
+    assertEqual(first.record.updatedAt, 1000);
+    assertEqual(manager.getActiveSession('USER_001'), null, 'session closed');
+    assertEqual((await manager.finishSession(session.sessionId, 90)).success, false, 'already finished');
+
+    const lower = await manager.finishSession(manager.startSession('USER_001', 'move').session.sessionId, 40);
+    assertEqual(lower.improved, false, 'lower score ignored');
+    assertEqual(manager.getRecord('USER_001', 'move').highScore, 80);
+
+    const clamped = await manager.recordScore('USER_001', 'move', 250);
+    assertEqual(clamped.record.highScore, 100, 'clamped to maxScore');
+    assertEqual((await manager.recordScore('USER_001', 'move', NaN)).success, false, 'invalid score');
+
+    assertClose(manager.getMultiplier('USER_001', 'move'), 2.0);
+    assertEqual(manager.getMultiplier('USER_001', 'vision'), 1.0, 'untrained feature');
+    assertEqual(manager.getMultiplier('USER_002', 'move'), 1.0, 'per user');
+    assertEqual(JSON.stringify(manager.getFeatureTraining('USER_001')), JSON.stringify({ move: 2 }));
+
+    const changed = events.filter(e => e.type === TrainingEvent.RECORDS_CHANGED);
+    assertEqual(changed.length, 2, 'only improvements change records');
+    assertEqual(changed[0].payload.userId, 'USER_001');
+    assertEqual(events.filter(e => e.type === TrainingEvent.SESSION_FINISHED).length, 2);
+
+    assertTrue(manager.abortSession(manager.startSession('USER_001', 'vision').session.sessionId), 'abort');
+    assertEqual(manager.getRecord('USER_001', 'vision'), null, 'aborted session stores nothing');
+});
+
+await test('Records persist through sync and async storage adapters', async () => {
+    for (const adapter of [new MemoryStorageAdapter(), new AsyncMemoryAdapter()]) {
+        const { manager } = createManager({ adapter });
+        await manager.recordScore('USER_001', 'move', 50);
+        await manager.recordScore('USER_001', 'vision', 30);
+        await manager.recordScore('USER_002', 'move', 90);
+
+        const stored = await adapter.load('USER_001');
+        assertTrue(stored.success, 'stored per user');
+        assertEqual(stored.data.records.length, 2);
+        assertEqual(stored.data.records[0].featureId, 'move');
+        assertClose(stored.data.records[0].globalMultiplier, 1.5, 'spec record shape');
+
+        const { manager: reloaded, events } = createManager({ adapter });
+        const result = await reloaded.load('USER_001');
+        assertTrue(result.success && result.count === 2, 'loaded');
+        assertEqual(reloaded.getRecord('USER_001', 'vision').highScore, 30);
+        assertEqual(reloaded.getRecord('USER_002', 'move'), null, 'other users load separately');
+        assertEqual(events[0].type, TrainingEvent.RECORDS_CHANGED, 'load announces records');
+
+        const empty = await reloaded.load('USER_404');
+        assertTrue(empty.success && empty.count === 0, 'no records is not an error');
+    }
+});
+
+await test('Binding applies the owner\'s training; rebind picks up new records', async () => {
+    const scout = createScoutSeedBlueprint();
+    saveBlueprint(scout);
+    globalTrainingManager.adapter = new MemoryStorageAdapter();
+    globalTrainingManager.reset();
+
+    const mine = new UnitModel({ id: 1, name: 'Mine' });
+    const theirs = new UnitModel({ id: 2, name: 'Theirs' });
+    theirs.ownerId = 'USER_002';
+
+    await quietly(() => {
+        bindUnitToBlueprint(mine, scout.id);
+        bindUnitToBlueprint(theirs, scout.id);
+    });
+    const baseSpeed = mine.speed;
+    const baseVision = mine.effectiveStats.vision;
+    assertTrue(baseSpeed > 0 && baseVision > 0, 'scout moves and sees');
+
+    await globalTrainingManager.recordScore('local', 'move', 50);
+    await globalTrainingManager.recordScore('local', 'vision', 100);
+    await quietly(() => {
+        rebindUnit(mine);
+        rebindUnit(theirs);
+    });
+    assertClose(mine.speed, baseSpeed * 1.5, 'move training → faster');
+    assertClose(mine.effectiveStats.vision, baseVision * 2, 'vision training → farther');
+    assertClose(theirs.speed, baseSpeed, 'other owner untrained');
+
+    // New binds get the multipliers without a rebind
+    const fresh = new UnitModel({ id: 3, name: 'Fresh' });
+    await quietly(() => bindUnitToBlueprint(fresh, scout.id));
+    assertClose(fresh.speed, baseSpeed * 1.5, 'applied on bind');
+
+    // Explicit training and custom source (headless hosts)
+    const headless = new UnitModel({ id: 4, name: 'Headless' });
+    applyBlueprintStats(headless, scout, new StatsEngine(), { move: 3 });
+    assertClose(headless.speed, baseSpeed * 3, 'explicit featureTraining');
+    setTrainingSource(() => ({ move: 1.25 }));
+    applyBlueprintStats(headless, scout, new StatsEngine());
+    assertClose(headless.speed, baseSpeed * 1.25, 'custom source');
+    setTrainingSource(null);
+    applyBlueprintStats(headless, scout, new StatsEngine());
+    assertClose(headless.speed, baseSpeed * 1.5, 'default source restored');
+});
+
+await test('APPLY_TRAINING applies the sender\'s scores on the same tick on every peer', async () => {
+    const scout = createScoutSeedBlueprint();
+    globalTrainingManager.reset();
+    await globalTrainingManager.recordScore('local', 'move', 100);
+
+    const command = { type: CommandType.APPLY_TRAINING, senderId: 'peer-a', records: [{ featureId: 'move', highScore: 50 }] };
+    const context = { units: [], senderId: 'peer-a', localPlayerId: 'peer-a' };
+    assertTrue(validateCommand(command, context).valid, 'no unit needed');
+    assertEqual(validateCommand({ ...command, records: [{ featureId: 'move', highScore: NaN }] }, context).valid, false,
+        'scores must be finite');
+    assertEqual(validateCommand({ ...command, records: 'move' }, context).valid, false, 'records must be a list');
+
+    // Each peer runs its own world; the command is delivered at tick 5 on both
+    const runPeer = () => {
+        const world = new SimWorld({ seed: 4 });
+        const units = ['peer-a', 'peer-b'].map((ownerId, i) => {
+            const unit = world.spawnUnit({ position: { x: i, y: 10, z: 0 } });
+            unit.ownerId = ownerId;
+            applyBlueprintStats(unit, scout, world.productionSystem.stats, {});
+            return unit;
+        });
+        const baseSpeed = units[0].speed;
+        world.runTicks(4);
+        world.commandQueue.enqueue({ ...command, records: command.records.map(r => ({ ...r })) });
+        world.runTicks(6);
+        return { world, units, baseSpeed };
+    };
+
+    const a = runPeer();
+    const speedsA = a.units.map(u => u.speed).join(',');
+    const hashA = a.world.getHash();
+    assertClose(a.units[0].speed, a.baseSpeed * 1.5, 'sender\'s unit trained');
+    assertClose(a.units[1].speed, a.baseSpeed, 'other owner untouched');
+    assertEqual(JSON.stringify(a.world.trainingSystem.getScores('local')), '{}', 'local records are not sim state');
+    assertEqual(a.world.trainingSystem.applyScores('peer-a', [{ featureId: 'move', highScore: 20 }]).rebound, 0,
+        'lower score ignored');
+
+    const saved = a.world.systems.serialize().training;
+    assertEqual(JSON.stringify(saved), '{"owners":{"peer-a":{"move":50}}}', 'scores saved with the game');
+
+    const b = runPeer();
+    assertEqual(b.units.map(u => u.speed).join(','), speedsA, 'same speeds on both peers');
+    assertEqual(b.world.getHash(), hashA, 'same state hash');
+
+    b.world.trainingSystem.restore(null);
+    assertEqual(JSON.stringify(b.world.trainingSystem.getFeatureTraining('peer-a')), '{}', 'restore replaces');
+    b.world.trainingSystem.restore(saved);
+    assertClose(b.world.trainingSystem.getFeatureTraining('peer-a').move, 1.5, 'restored');
+    globalTrainingManager.reset();
+});
+
+// ============ Summary ============
+
+console.log('\n=== Training Manager Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Training Manager tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,264 @@
+/**
+ * Unit Order Command Test
+ *
+ * Validates the unit order vocabulary (WAIT, STOP, REORDER_COMMANDS,
+ * DELETE_COMMAND, TOGGLE_PAUSE, RESUME, SET_LOOPING, ATTACK, BUILD):
+ * - InputFactory payloads go through the transport into the CommandQueue
+ * - SimWorld applies them (order list, currentCommandIndex, path sync)
+ * - CommandValidator rejects malformed order parameters
+ * - Replays of the same command stream produce identical state
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/unitOrders.test.js
+ */
+
+import { CommandQueue, CommandType } from '../runtime/CommandQueue.js';
+import { InputFactory } from '../runtime/InputFactory.js';
+import { LocalTransport } from '../transport/LocalTransport.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { validateCommand, RejectReason } from '../runtime/CommandValidator.js';
+import { reorderOrders, deleteOrder } from '../domain/UnitOrders.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${err.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * World with two units, a three-point path on unit 1 and a factory wired to its queue.
+ */
+function createWorld() {
+    const world = new SimWorld({ seed: 11 });
+    world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+    world.spawnUnit({ position: { x: 0, y: -10, z: 0 } });
+
+    const transport = new LocalTransport();
+    transport.onReceive = (cmd) => world.commandQueue.enqueue(cmd);
+    transport.connect();
+    const factory = new InputFactory(transport);
+
+    factory.setPath(1, [
+        { x: 10, y: 0, z: 0 },
+        { x: 0, y: 0, z: 10 },
+        { x: -10, y: 0, z: 0 }
+    ]);
+    world.runTicks(1);
+    return { world, factory };
+}
+
+function ids(unit) {
+    return unit.commands.map(cmd => cmd.id);
+}
+
+// ============ Tests ============
+
+test('InputFactory sends order payloads through the transport', () => {
+    const queue = new CommandQueue();
+    const transport = new LocalTransport();
+    transport.onReceive = (cmd) => queue.enqueue(cmd);
+    transport.connect();
+    const factory = new InputFactory(transport);
+
+    const order = ['a', 'b'];
+    factory.wait(1, 2.5);
+    factory.stop(1);
+    factory.reorderCommands(1, order);
+    factory.deleteCommand(1, 'a');
+    factory.togglePause(1);
+    factory.resume(1);
+    factory.setLooping(1, true);
+    factory.attack(1, 2);
+    factory.build(1, 'depot', { x: 1, y: 2, z: 3 });
+    order.push('c');
+
+    const flushed = queue.flush(1);
+    assertEqual(flushed.map(c => c.type).join(','),
+        'WAIT,STOP,REORDER_COMMANDS,DELETE_COMMAND,TOGGLE_PAUSE,RESUME,SET_LOOPING,ATTACK,BUILD', 'types');
+    assertEqual(flushed[0].seconds, 2.5, 'wait seconds');
+    assertEqual(flushed[2].order.length, 2, 'order copied at send time');
+    assertEqual(flushed[3].commandId, 'a', 'delete id');
+    assertEqual(flushed[5].unitId, 1, 'resume unit');
+    assertEqual(flushed[6].enabled, true, 'looping flag');
+    assertEqual(flushed[7].targetId, 2, 'attack target');
+    assertEqual(flushed[8].typeId, 'depot', 'build type');
+    assertEqual(flushed[8].position.z, 3, 'build position');
+});
+
+test('WAIT, ATTACK and BUILD append orders; BUILD adds a waypoint', () => {
+    const { world, factory } = createWorld();
+    const unit = world.getUnit(1);
+    assertEqual(unit.commands.length, 4, 'start + 3 moves');
+
+    factory.wait(1, 3);
+    factory.attack(1, 2);
+    factory.attack(1, 99);
+    factory.build(1, 'depot', { x: 0, y: 0, z: -10 });
+    world.runTicks(1);
+
+    assertEqual(unit.commands.map(c => c.type).slice(4).join(','), 'Wait,Attack,Build', 'unknown target ignored');
+    assertEqual(unit.commands[4].params.seconds, 3, 'wait params');
+    assertEqual(unit.waypoints.length, 5, 'build has a waypoint');
+});
+
+test('REORDER_COMMANDS keeps the active order and rejects non-permutations', () => {
+    const { world, factory } = createWorld();
+    const unit = world.getUnit(1);
+    unit.currentCommandIndex = 2;
+    const activeId = unit.commands[2].id;
+    const before = ids(unit);
+
+    factory.reorderCommands(1, [before[0], before[3], before[1]]);
+    factory.reorderCommands(1, [before[0], before[0], before[1], before[2]]);
+    world.runTicks(1);
+    assertEqual(ids(unit).join(','), before.join(','), 'invalid orders ignored');
+
+    factory.reorderCommands(1, [before[0], before[3], before[2], before[1]]);
+    world.runTicks(1);
+    assertEqual(unit.commands[1].id, before[3], 'reordered');
+    assertEqual(unit.commands[unit.currentCommandIndex].id, activeId, 'active order tracked');
+    assertEqual(unit.waypoints[1].id, before[3], 'waypoints follow the new order');
+});
+
+test('DELETE_COMMAND shifts currentCommandIndex and resyncs the path', () => {
+    const unit = {
+        commands: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }],
+        currentCommandIndex: 2
+    };
+    assertEqual(deleteOrder(unit, 'a'), true, 'removed');
+    assertEqual(unit.currentCommandIndex, 1, 'index shifted');
+    assertEqual(deleteOrder(unit, 'd'), true, 'removed later order');
+    assertEqual(unit.currentCommandIndex, 1, 'index unchanged');
+    assertEqual(deleteOrder(unit, 'zz'), false, 'unknown ID');
+    assertEqual(reorderOrders(unit, ['c', 'x']), false, 'unknown IDs rejected');
+
+    const { world, factory } = createWorld();
+    const worldUnit = world.getUnit(1);
+    factory.deleteCommand(1, worldUnit.commands[3].id);
+    world.runTicks(1);
+    assertEqual(worldUnit.commands.length, 3, 'order removed');
+    assertEqual(worldUnit.waypoints.length, 3, 'waypoints resynced');
+});
+
+test('STOP, TOGGLE_PAUSE and SET_LOOPING update unit state', () => {
+    const { world, factory } = createWorld();
+    const unit = world.getUnit(1);
+    assertTrue(unit.isFollowingPath, 'following before');
+
+    factory.togglePause(1);
+    factory.setLooping(1, true);
+    world.runTicks(1);
+    assertEqual(unit.pausedByCommand, true, 'paused');
+    assertEqual(unit.loopingEnabled, true, 'looping');
+
+    factory.togglePause(1);
+    world.runTicks(1);
+    assertEqual(unit.pausedByCommand, false, 'resumed');
+
+    factory.togglePause(1);
+    factory.stop(1);
+    world.runTicks(1);
+    assertEqual(unit.commands.length, 0, 'orders cleared');
+    assertEqual(unit.waypoints.length, 0, 'waypoints cleared');
+    assertEqual(unit.path.length, 0, 'path cleared');
+    assertEqual(unit.isFollowingPath, false, 'halted');
+    assertEqual(unit.pausedByCommand, false, 'pause cleared');
+    assertEqual(unit.loopingEnabled, false, 'looping cleared');
+});
+
+test('RESUME unpauses, clears a water stop and does not toggle', () => {
+    const { world, factory } = createWorld();
+    const unit = world.getUnit(1);
+
+    factory.togglePause(1);
+    world.runTicks(1);
+    assertEqual(unit.pausedByCommand, true, 'paused');
+
+    unit.waterState = 'stopped';
+    unit.isFollowingPath = false;
+    factory.resume(1);
+    world.runTicks(1);
+    assertEqual(unit.pausedByCommand, false, 'resumed');
+    assertEqual(unit.waterState, 'normal', 'water stop cleared');
+    assertTrue(unit.isFollowingPath, 'following again');
+
+    factory.resume(1);
+    world.runTicks(1);
+    assertEqual(unit.pausedByCommand, false, 'second resume keeps it running');
+});
+
+test('CommandValidator checks order parameters', () => {
+    const units = [{ id: 1 }, { id: 2 }];
+    const context = { units, senderId: 'local', localPlayerId: 'local' };
+    const check = (command) => validateCommand(command, context);
+
+    assertEqual(check({ type: CommandType.WAIT, unitId: 1, seconds: 2 }).valid, true, 'wait');
+    assertEqual(check({ type: CommandType.WAIT, unitId: 1, seconds: -1 }).reason, RejectReason.INVALID_PARAMS, 'negative');
+    assertEqual(check({ type: CommandType.WAIT, unitId: 1, seconds: NaN }).reason, RejectReason.INVALID_PARAMS, 'NaN');
+    assertEqual(check({ type: CommandType.REORDER_COMMANDS, unitId: 1, order: 'a' }).reason,
+        RejectReason.INVALID_PARAMS, 'order not an array');
+    assertEqual(check({ type: CommandType.DELETE_COMMAND, unitId: 1 }).reason, RejectReason.INVALID_PARAMS, 'no id');
+    assertEqual(check({ type: CommandType.ATTACK, unitId: 1, targetId: 2 }).valid, true, 'attack');
+    assertEqual(check({ type: CommandType.ATTACK, unitId: 1, targetId: 9 }).reason, RejectReason.UNKNOWN_TARGET, 'target');
+    assertEqual(check({ type: CommandType.ATTACK, unitId: 1, targetId: 1 }).reason, RejectReason.UNKNOWN_TARGET, 'self');
+    assertEqual(check({ type: CommandType.BUILD, unitId: 1, typeId: 'x', position: { x: 0, y: NaN, z: 0 } }).reason,
+        RejectReason.INVALID_POSITION, 'build position');
+    assertEqual(check({ type: CommandType.STOP, unitId: 2 }).valid, true, 'stop');
+});
+
+test('Replaying the same order stream is deterministic', () => {
+    const run = () => {
+        const { world, factory } = createWorld();
+        const unit = world.getUnit(1);
+        world.runTicks(20);
+        factory.wait(1, 1);
+        factory.reorderCommands(1, [...ids(unit)].reverse());
+        world.runTicks(20);
+        factory.deleteCommand(1, unit.commands[1].id);
+        factory.togglePause(1);
+        world.runTicks(20);
+        factory.togglePause(1);
+        factory.build(1, 'depot', { x: 0, y: 0, z: -10 });
+        world.runTicks(20);
+        return world.getHash();
+    };
+
+    assertEqual(run(), run(), 'identical hashes');
+});
+
+// ============ Summary ============
+
+console.log('\n=== Unit Order Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All Unit Order tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,444 @@
+/**
+ * WebRTC Transport Tests
+ *
+ * Validates WebRTCTransport with an in-process RTCPeerConnection double
+ * (Node has no WebRTC) and the real RelayServer as fallback:
+ * - Offer/answer/ICE exchange through InMemorySignaler
+ * - Ordered, reliable DataChannel with sender attestation and local echo
+ * - Fallback to the relay when the direct path fails, times out or drops
+ * - SupabaseSignaler routes signals by recipient
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/webRTCTransport.test.js
+ */
+
+import { WebRTCTransport, WebRTCPath } from '../transport/WebRTCTransport.js';
+import { InMemorySignalingHub, SignalType } from '../transport/Signaling.js';
+import { SupabaseSignaler } from '../transport/SupabaseSignaler.js';
+import { WebSocketTransport } from '../transport/WebSocketTransport.js';
+import { TransportState } from '../transport/ITransport.js';
+import { RelayServer } from '../transport/relay/RelayServer.js';
+import { NodeWebSocket } from '../transport/relay/NodeWebSocket.js';
+import { CommandType } from '../runtime/CommandQueue.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    return (async () => {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (err) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${err.message}`);
+            failed++;
+        }
+    })();
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+async function waitFor(predicate, timeoutMs = 2000, what = 'condition') {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeoutMs) {
+            throw new Error(`Timed out waiting for ${what}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// ============ RTCPeerConnection double ============
+
+/**
+ * Minimal in-process stand-in for RTCPeerConnection / RTCDataChannel.
+ * Peers find each other through the SDP string; `reachable = false`
+ * makes every connection fail like an ICE failure.
+ */
+function createFakeWebRTC() {
+    const network = { reachable: true, connections: new Map(), nextId: 1 };
+
+    class FakeDataChannel {
+        constructor(label, options = {}) {
+            this.label = label;
+            this.ordered = options.ordered ?? true;
+            this.maxRetransmits = options.maxRetransmits ?? null;
+            this.readyState = 'connecting';
+            this.onopen = null;
+            this.onmessage = null;
+            this.onclose = null;
+            this._peer = null;
+        }
+
+        send(data) {
+            if (this.readyState !== 'open') throw new Error('DataChannel not open');
+            const peer = this._peer;
+            queueMicrotask(() => peer.onmessage?.({ data }));
+        }
+
+        close() {
+            if (this.readyState === 'closed') return;
+            this.readyState = 'closed';
+            this.onclose?.();
+            const peer = this._peer;
+            if (peer) setTimeout(() => peer.close(), 0);
+        }
+
+        _open() {
+            this.readyState = 'open';
+            this.onopen?.();
+        }
+    }
+
+    class FakeRTCPeerConnection {
+        constructor(config) {
+            this.config = config;
+            this.id = network.nextId++;
+            this.connectionState = 'new';
+            this.localDescription = null;
+            this.remoteDescription = null;
+            this.candidatesAdded = [];
+            this.onicecandidate = null;
+            this.ondatachannel = null;
+            this.onconnectionstatechange = null;
+            this._channel = null;
+            network.connections.set(this.id, this);
+        }
+
+        createDataChannel(label, options) {
+            this._channel = new FakeDataChannel(label, options);
+            return this._channel;
+        }
+
+        async createOffer() {
+            return { type: 'offer', sdp: `fake:${this.id}` };
+        }
+
+        async createAnswer() {
+            return { type: 'answer', sdp: `fake:${this.id}` };
+        }
+
+        async setLocalDescription(description) {
+            this.localDescription = description;
+            queueMicrotask(() => {
+                this.onicecandidate?.({ candidate: { candidate: `candidate:${this.id}`, sdpMid: '0' } });
+                this.onicecandidate?.({ candidate: null });
+            });
+        }
+
+        async setRemoteDescription(description) {
+            this.remoteDescription = description;
+            if (description.type === 'answer') {
+                setTimeout(() => this._link(Number(description.sdp.split(':')[1])), 0);
+            }
+        }
+
+        async addIceCandidate(candidate) {
+            this.candidatesAdded.push(candidate);
+        }
+
+        close() {
+            this.connectionState = 'closed';
+            this._channel?.close();
+        }
+
+        _setState(state) {
+            this.connectionState = state;
+            this.onconnectionstatechange?.();
+        }
+
+        _link(remoteId) {
+            const remote = network.connections.get(remoteId);
+            if (!network.reachable || !remote) {
+                this._setState('failed');
+                remote?._setState('failed');
+                return;
+            }
+            const remoteChannel = new FakeDataChannel(this._channel.label, { ordered: this._channel.ordered });
+            remoteChannel._peer = this._channel;
+            this._channel._peer = remoteChannel;
+            remote._channel = remoteChannel;
+
+            this._setState('connected');
+            remote._setState('connected');
+            remote.ondatachannel?.({ channel: remoteChannel });
+            remoteChannel._open();
+            this._channel._open();
+        }
+    }
+
+    return { network, RTCPeerConnection: FakeRTCPeerConnection };
+}
+
+/**
+ * Transport pair on a shared signaling hub, recording received commands.
+ */
+function createPair(rtc, options = {}) {
+    const hub = new InMemorySignalingHub();
+    const make = (peerId, remotePeerId, extra) => {
+        const transport = new WebRTCTransport({
+            peerId,
+            remotePeerId,
+            signaler: hub.createSignaler(),
+            RTCPeerConnection: rtc.RTCPeerConnection,
+            connectTimeoutMs: options.connectTimeoutMs ?? 2000,
+            ...extra
+        });
+        transport.received = [];
+        transport.onReceive = (cmd) => transport.received.push(cmd);
+        return transport;
+    };
+    return { hub, alice: make('alice', 'bob', options.alice), bob: make('bob', 'alice', options.bob) };
+}
+
+// Keep test output readable
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+const quiet = (original) => (...args) => {
+    const first = String(args[0] ?? '');
+    if (first.startsWith('[WebRTCTransport]') || first.startsWith('[WebSocketTransport]')) return;
+    original(...args);
+};
+console.log = quiet(originalLog);
+console.warn = quiet(originalWarn);
+console.error = quiet(originalError);
+
+const relay = new RelayServer({ port: 0 });
+const { url } = await relay.start();
+
+const relayFallback = (room) => new WebSocketTransport({ url, room, WebSocket: NodeWebSocket, echoLocal: true });
+
+// ============ Tests ============
+
+await test('WebRTCTransport validates its options', () => {
+    const hub = new InMemorySignalingHub();
+    const attempts = [
+        {},
+        { peerId: 'a', remotePeerId: 'a', signaler: hub.createSignaler() },
+        { peerId: 'a', remotePeerId: 'b' }
+    ];
+    for (const options of attempts) {
+        let error = null;
+        try {
+            new WebRTCTransport(options);
+        } catch (err) {
+            error = err;
+        }
+        assertTrue(error !== null, `rejects ${JSON.stringify(Object.keys(options))}`);
+    }
+});
+
+await test('InMemorySignaler delivers copies asynchronously to the addressed peer', async () => {
+    const hub = new InMemorySignalingHub();
+    const a = hub.createSignaler();
+    const b = hub.createSignaler();
+    await a.connect('a');
+    await b.connect('b');
+
+    const got = [];
+    b.onSignal = (from, signal) => got.push({ from, signal });
+    const signal = { type: SignalType.OFFER, description: { sdp: 'x' } };
+    a.send('b', signal);
+    assertEqual(got.length, 0, 'async');
+
+    await Promise.resolve();
+    assertEqual(got.length, 1, 'delivered');
+    assertEqual(got[0].from, 'a', 'sender');
+    assertTrue(got[0].signal !== signal, 'copied');
+
+    await b.disconnect();
+    a.send('b', signal);
+    await Promise.resolve();
+    assertEqual(got.length, 1, 'disconnected peer gets nothing');
+    await a.disconnect();
+});
+
+await test('Peers connect directly over an ordered, reliable DataChannel', async () => {
+    const rtc = createFakeWebRTC();
+    const { alice, bob } = createPair(rtc);
+
+    await Promise.all([alice.connect(), bob.connect()]);
+
+    assertEqual(alice.path, WebRTCPath.DIRECT, 'alice direct');
+    assertEqual(bob.path, WebRTCPath.DIRECT, 'bob direct');
+    assertEqual(alice.state, TransportState.CONNECTED, 'connected');
+
+    const [pcA, pcB] = [...rtc.network.connections.values()];
+    assertEqual(pcA._channel.ordered, true, 'ordered channel');
+    assertEqual(pcA._channel.maxRetransmits, null, 'reliable channel');
+    assertTrue(pcA.candidatesAdded.length > 0 && pcB.candidatesAdded.length > 0, 'ICE candidates exchanged');
+
+    alice.send({ type: CommandType.MOVE, unitId: 1, position: { x: 1, y: 2, z: 3 }, senderId: 'forged' });
+    alice.send({ type: CommandType.SELECT, unitId: 2 });
+    await waitFor(() => bob.received.length === 2, 2000, 'delivery');
+
+    assertEqual(bob.received.map(c => c.type).join(','), 'MOVE,SELECT', 'order');
+    assertEqual(bob.received[0].senderId, 'alice', 'sender attested');
+    assertEqual(alice.received.length, 2, 'local echo');
+    assertEqual(alice.received[0].senderId, undefined, 'own echo stays local');
+
+    await Promise.all([alice.disconnect(), bob.disconnect()]);
+    assertEqual(alice.state, TransportState.DISCONNECTED, 'disconnected');
+});
+
+await test('Late answerer still connects (offer is resent)', async () => {
+    const rtc = createFakeWebRTC();
+    const { alice, bob } = createPair(rtc, { connectTimeoutMs: 3000 });
+
+    const aliceConnect = alice.connect();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await Promise.all([aliceConnect, bob.connect()]);
+
+    assertEqual(alice.path, WebRTCPath.DIRECT, 'direct');
+    bob.send({ type: CommandType.DESELECT });
+    await waitFor(() => alice.received.length === 1, 2000, 'delivery');
+    assertEqual(alice.received[0].senderId, 'bob', 'sender');
+
+    await Promise.all([alice.disconnect(), bob.disconnect()]);
+});
+
+await test('Duplicate sequence numbers are dropped', () => {
+    const rtc = createFakeWebRTC();
+    const { alice } = createPair(rtc);
+
+    const message = (seq) => JSON.stringify({ seq, commands: [{ type: 'SELECT', unitId: seq }] });
+    alice._handleData(message(0));
+    alice._handleData(message(0));
+    alice._handleData(message(1));
+    alice._handleData('garbage');
+
+    assertEqual(alice.received.map(c => c.unitId).join(','), '0,1', 'delivered once');
+    assertEqual(alice.getStats().duplicates, 1, 'duplicate counted');
+});
+
+await test('Unreachable peers fall back to the relay transport', async () => {
+    const rtc = createFakeWebRTC();
+    rtc.network.reachable = false;
+    const { alice, bob } = createPair(rtc, {
+        alice: { fallback: relayFallback('rtc-fallback') },
+        bob: { fallback: relayFallback('rtc-fallback') }
+    });
+
+    await Promise.all([alice.connect(), bob.connect()]);
+
+    assertEqual(alice.path, WebRTCPath.RELAY, 'alice on relay');
+    assertEqual(bob.path, WebRTCPath.RELAY, 'bob on relay');
+    assertTrue(alice.getStats().fallbackReason.includes('failed'), 'reason recorded');
+
+    alice.send({ type: CommandType.SELECT, unitId: 7 });
+    await waitFor(() => bob.received.length === 1 && alice.received.length === 1, 2000, 'relay delivery');
+    assertEqual(bob.received[0].unitId, 7, 'payload');
+
+    await Promise.all([alice.disconnect(), bob.disconnect()]);
+});
+
+await test('Timeout without a fallback fails the connection', async () => {
+    const rtc = createFakeWebRTC();
+    const { alice } = createPair(rtc, { connectTimeoutMs: 50 });
+
+    let error = null;
+    try {
+        await alice.connect(); // bob never connects
+    } catch (err) {
+        error = err;
+    }
+    assertTrue(error && error.message.includes('no direct connection'), 'timed out');
+    assertEqual(alice.state, TransportState.ERROR, 'error state');
+
+    const noWebRTC = createPair({ RTCPeerConnection: undefined }, {
+        alice: { fallback: relayFallback('no-webrtc') }
+    }).alice;
+    await noWebRTC.connect();
+    assertEqual(noWebRTC.path, WebRTCPath.RELAY, 'no WebRTC → relay');
+    await noWebRTC.disconnect();
+    await alice.disconnect();
+});
+
+await test('A dropped direct session switches to the relay', async () => {
+    const rtc = createFakeWebRTC();
+    const { alice, bob } = createPair(rtc, {
+        alice: { fallback: relayFallback('rtc-drop') },
+        bob: { fallback: relayFallback('rtc-drop') }
+    });
+    await Promise.all([alice.connect(), bob.connect()]);
+    assertEqual(alice.path, WebRTCPath.DIRECT, 'direct first');
+
+    const [pcA] = [...rtc.network.connections.values()];
+    pcA._channel.close();
+    await waitFor(() => alice.path === WebRTCPath.RELAY && bob.path === WebRTCPath.RELAY, 2000, 'switch');
+    await waitFor(() => alice._fallback.isConnected && bob._fallback.isConnected, 2000, 'relay connected');
+
+    alice.send({ type: CommandType.SELECT, unitId: 9 });
+    await waitFor(() => bob.received.length === 1, 2000, 'relay delivery');
+    assertEqual(bob.received[0].unitId, 9, 'delivered after switch');
+    assertEqual(alice.getStats().fallbackReason, 'DataChannel closed', 'reason');
+
+    await Promise.all([alice.disconnect(), bob.disconnect()]);
+});
+
+await test('SupabaseSignaler routes signals by recipient', async () => {
+    // Minimal broadcast channel double shared by both clients
+    const listeners = [];
+    const supabaseClient = {
+        channel: () => ({
+            on(type, filter, callback) { listeners.push(callback); return this; },
+            subscribe(callback) { callback('SUBSCRIBED'); return this; },
+            send(message) {
+                for (const listener of listeners) listener({ payload: message.payload });
+                return Promise.resolve('ok');
+            }
+        }),
+        removeChannel: async () => {}
+    };
+
+    const a = new SupabaseSignaler({ supabaseClient });
+    const b = new SupabaseSignaler({ supabaseClient });
+    const c = new SupabaseSignaler({ supabaseClient });
+    await a.connect('a');
+    await b.connect('b');
+    await c.connect('c');
+
+    const gotB = [];
+    const gotC = [];
+    b.onSignal = (from, signal) => gotB.push({ from, signal });
+    c.onSignal = (from, signal) => gotC.push({ from, signal });
+
+    a.send('b', { type: SignalType.ANSWER });
+    assertEqual(gotB.length, 1, 'b received');
+    assertEqual(gotB[0].from, 'a', 'from a');
+    assertEqual(gotC.length, 0, 'c filtered out');
+
+    await Promise.all([a.disconnect(), b.disconnect(), c.disconnect()]);
+});
+
+await relay.stop();
+console.log = originalLog;
+console.warn = originalWarn;
+console.error = originalError;
+
+// ============ Summary ============
+
+console.log('\n=== WebRTC Transport Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All WebRTC Transport tests PASS');
+    process.exit(0);
+}
@@ -0,0 +1,394 @@
+/**
+ * WebSocket Transport & Relay Server Tests
+ *
+ * End to end against a real RelayServer on localhost (no mocks):
+ * - Client IDs, rooms and peer presence
+ * - Command relay with sender attestation and echo control
+ * - Delivery sequence ordering (duplicates dropped, gaps held)
+ * - Queue-before-connect, reconnect after a server restart
+ * - Two headless sims reach the same hash from relayed commands
+ * - Room codec negotiation; binary batches converted for JSON-only clients
+ * - Unmasked client frames closed (RFC 6455 §5.1); multi-MiB messages relay,
+ *   oversized ones are dropped with an error; --public / RELAY_HOST
+ *
+ * Run: node --experimental-vm-modules src/SimCore/__tests__/webSocketTransport.test.js
+ */
+
+import { WebSocketTransport } from '../transport/WebSocketTransport.js';
+import { TransportState } from '../transport/ITransport.js';
+import { RelayMessageType } from '../transport/RelayProtocol.js';
+import { RelayServer, parseRelayArgs } from '../transport/relay/RelayServer.js';
+import { NodeWebSocket } from '../transport/relay/NodeWebSocket.js';
+import { Opcode, CloseCode, encodeFrame } from '../transport/relay/WebSocketFrames.js';
+import { CommandQueue, CommandType } from '../runtime/CommandQueue.js';
+import { SimWorld } from '../runtime/SimWorld.js';
+import { encodeCommandBatch, bytesToBase64, CURRENT_CODEC_VERSION } from '../transport/CommandCodec.js';
+
+// ============ Test Framework ============
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    return (async () => {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (err) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${err.message}`);
+            failed++;
+        }
+    })();
+}
+
+function assertEqual(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(condition, msg = '') {
+    if (!condition) {
+        throw new Error(msg || 'Assertion failed');
+    }
+}
+
+// ============ Helpers ============
+
+/**
+ * Poll until predicate() is true (fails after timeoutMs).
+ */
+async function waitFor(predicate, timeoutMs = 2000, what = 'condition') {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeoutMs) {
+            throw new Error(`Timed out waiting for ${what}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * Connected transport that records received commands.
+ */
+async function connectClient(url, options = {}) {
+    const transport = new WebSocketTransport({ url, WebSocket: NodeWebSocket, ...options });
+    transport.received = [];
+    transport.onReceive = (cmd) => transport.received.push(cmd);
+    await transport.connect();
+    return transport;
+}
+
+// Keep test output readable
+const originalLog = console.log;
+console.log = (...args) => {
+    if (typeof args[0] === 'string' && args[0].startsWith('[WebSocketTransport]')) return;
+    originalLog(...args);
+};
+
+const relay = new RelayServer({ port: 0 });
+const { url } = await relay.start();
+
+// ============ Tests ============
+
+await test('WebSocketTransport requires url option', () => {
+    let error = null;
+    try {
+        new WebSocketTransport({});
+    } catch (err) {
+        error = err;
+    }
+    assertTrue(error && error.message.includes('url'), 'throws without url');
+});
+
+await test('Clients join a room with server-assigned IDs and see each other', async () => {
+    const a = await connectClient(url, { room: 'presence' });
+    const b = await connectClient(url, { room: 'presence' });
+
+    assertEqual(a.state, TransportState.CONNECTED, 'a connected');
+    assertTrue(a.clientId && b.clientId && a.clientId !== b.clientId, 'distinct IDs');
+    assertEqual(b.peers.join(','), a.clientId, 'b sees a on join');
+    await waitFor(() => a.peers.includes(b.clientId), 2000, 'peer_joined');
+
+    await b.disconnect();
+    await waitFor(() => a.peers.length === 0, 2000, 'peer_left');
+    assertEqual(b.state, TransportState.DISCONNECTED, 'b disconnected');
+    await a.disconnect();
+});
+
+await test('Requested client IDs are honoured when free', async () => {
+    const a = await connectClient(url, { room: 'ids', clientId: 'alice' });
+    const b = await connectClient(url, { room: 'ids', clientId: 'alice' });
+    const c = await connectClient(url, { room: 'other-ids', clientId: 'alice' });
+
+    assertEqual(a.clientId, 'alice', 'requested ID');
+    assertTrue(b.clientId !== 'alice' && b.clientId.startsWith('alice-'), 'taken ID gets a suffix');
+    assertEqual(c.clientId, 'alice', 'IDs are per room');
+
+    await Promise.all([a.disconnect(), b.disconnect(), c.disconnect()]);
+});
+
+await test('Commands reach the room with the attested sender', async () => {
+    const a = await connectClient(url, { room: 'relay' });
+    const b = await connectClient(url, { room: 'relay' });
+    const outsider = await connectClient(url, { room: 'elsewhere' });
+
+    a.send({ type: CommandType.MOVE, unitId: 1, position: { x: 1, y: 2, z: 3 }, senderId: 'forged' });
+    await waitFor(() => a.received.length === 1 && b.received.length === 1, 2000, 'delivery');
+
+    assertEqual(b.received[0].type, CommandType.MOVE, 'type');
+    assertTrue(Math.abs(b.received[0].position.z - 3) < 0.01, 'payload (quantized on the wire)');
+    assertEqual(JSON.stringify(b.received[0].position), JSON.stringify(a.received[0].position),
+        'sender and peer see the same quantized position');
+    assertEqual(b.received[0].senderId, a.clientId, 'sender attested by relay');
+    assertEqual(b.received[0]._meta, undefined, 'metadata stripped');
+    assertEqual(a.received[0].senderId, undefined, 'own echo stays local');
+    assertEqual(outsider.received.length, 0, 'other rooms isolated');
+
+    const stats = b.getStats();
+    assertEqual(stats.received, 1, 'received count');
+    assertEqual(stats.lastSeq, 1, 'delivery sequence');
+    assertEqual(a.getStats().sent, 1, 'sent count');
+
+    await Promise.all([a.disconnect(), b.disconnect(), outsider.disconnect()]);
+});
+
+await test('echoLocal=false skips own commands', async () => {
+    const a = await connectClient(url, { room: 'echo', echoLocal: false });
+    const b = await connectClient(url, { room: 'echo' });
+
+    a.send({ type: CommandType.SELECT, unitId: 1 });
+    a.send({ type: CommandType.SELECT, unitId: 2 });
+    await waitFor(() => b.received.length === 2, 2000, 'delivery to b');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assertEqual(a.received.length, 0, 'no echo');
+    assertEqual(b.received.map(c => c.unitId).join(','), '1,2', 'order kept');
+
+    await Promise.all([a.disconnect(), b.disconnect()]);
+});
+
+await test('Batches are delivered in sequence order; duplicates dropped', () => {
+    const transport = new WebSocketTransport({ url, WebSocket: NodeWebSocket });
+    const received = [];
+    transport.onReceive = (cmd) => received.push(cmd.unitId);
+    transport._clientId = 'me';
+
+    const batch = (seq, unitId) => ({ type: RelayMessageType.COMMANDS, seq, clientId: 'peer', commands: [{ type: 'SELECT', unitId }] });
+    transport._handleMessage(batch(2, 'b'));
+    assertEqual(received.length, 0, 'gap holds batch 2');
+    transport._handleMessage(batch(1, 'a'));
+    transport._handleMessage(batch(1, 'a'));
+    transport._handleMessage(batch(3, 'c'));
+
+    assertEqual(received.join(','), 'a,b,c', 'ordered');
+    assertEqual(transport.getStats().duplicates, 1, 'duplicate dropped');
+    assertEqual(transport.getStats().held, 0, 'nothing held');
+});
+
+await test('Commands sent before connect are flushed on join', async () => {
+    const b = await connectClient(url, { room: 'pending' });
+    const a = new WebSocketTransport({ url, WebSocket: NodeWebSocket, room: 'pending' });
+    a.onReceive = () => {};
+
+    a.send({ type: CommandType.DESELECT });
+    assertEqual(a.getStats().sent, 1, 'counted once');
+    await a.connect();
+    await waitFor(() => b.received.length === 1, 2000, 'flushed command');
+
+    assertEqual(b.received[0].type, CommandType.DESELECT, 'flushed');
+    assertEqual(a.getStats().sent, 1, 'still counted once');
+    await Promise.all([a.disconnect(), b.disconnect()]);
+});
+
+await test('Relay rejects malformed messages and commands before join', async () => {
+    const socket = new NodeWebSocket(url);
+    const messages = [];
+    socket.onmessage = (event) => messages.push(JSON.parse(event.data));
+    await new Promise(resolve => { socket.onopen = resolve; });
+
+    socket.send('not json');
+    socket.send(JSON.stringify({ type: RelayMessageType.COMMANDS, commands: [{ type: 'SELECT' }] }));
+    await waitFor(() => messages.length === 2, 2000, 'errors');
+
+    assertEqual(messages[0].type, RelayMessageType.ERROR, 'malformed rejected');
+    assertTrue(messages[1].error.includes('Join'), 'must join first');
+
+    await new Promise(resolve => {
+        socket.onclose = resolve;
+        socket.close();
+    });
+});
+
+await test('Transport reconnects after the relay restarts', async () => {
+    const server = new RelayServer({ port: 0 });
+    const { port, url: restartUrl } = await server.start();
+    const a = await connectClient(restartUrl, { room: 'restart', reconnectDelayMs: 20 });
+
+    await server.stop();
+    await waitFor(() => a.state !== TransportState.CONNECTED, 2000, 'connection lost');
+
+    const restarted = new RelayServer({ port });
+    await restarted.start();
+    await waitFor(() => a.state === TransportState.CONNECTED, 3000, 'reconnect');
+
+    const b = await connectClient(restartUrl, { room: 'restart' });
+    a.send({ type: CommandType.SELECT, unitId: 5 });
+    await waitFor(() => b.received.length === 1, 2000, 'relay after reconnect');
+
+    await Promise.all([a.disconnect(), b.disconnect()]);
+    await restarted.stop();
+});
+
+await test('Two headless sims reach the same hash from relayed commands', async () => {
+    const a = await connectClient(url, { room: 'match' });
+    const b = await connectClient(url, { room: 'match' });
+
+    // Both peers spawn the same unit (same seed → same ID); a issues the orders
+    const probe = new SimWorld({ seed: 11 });
+    const unitId = probe.spawnUnit({ position: { x: 0, y: 10, z: 0 } }).id;
+
+    a.send({ type: CommandType.MOVE, unitId, position: { x: 10, y: 0, z: 0 } });
+    a.send({ type: CommandType.MOVE, unitId, position: { x: 0, y: 0, z: 10 } });
+    await waitFor(() => a.received.length === 2 && b.received.length === 2, 2000, 'relay');
+
+    const runPeer = (received) => {
+        const queue = new CommandQueue();
+        const world = new SimWorld({ seed: 11, commandQueue: queue });
+        world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+        for (const cmd of received) queue.enqueue(cmd);
+        world.runTicks(60);
+        return world;
+    };
+
+    const worldA = runPeer(a.received);
+    const hashA = worldA.getHash();
+    const movedX = worldA.units[0].position.x;
+    const hashB = runPeer(b.received).getHash();
+
+    assertTrue(movedX > 0, 'unit moved');
+    assertEqual(hashB, hashA, 'same hash on both peers');
+    assertEqual(relay.getStats().batchesRelayed > 0, true, 'relay counted batches');
+
+    await Promise.all([a.disconnect(), b.disconnect()]);
+});
+
+await test('Relay negotiates the room codec and converts batches for JSON-only clients', async () => {
+    const a = await connectClient(url, { room: 'codec' });
+    const b = await connectClient(url, { room: 'codec' });
+    await waitFor(() => a.peers.includes(b.clientId), 2000, 'peer_joined');
+    assertEqual(a.codecVersion, CURRENT_CODEC_VERSION, 'binary when everyone supports it');
+    assertEqual(b.codecVersion, CURRENT_CODEC_VERSION, 'binary announced on welcome');
+
+    const points = [];
+    for (let i = 0; i < 100; i++) {
+        points.push({ x: 60 * Math.cos(i * 0.01), y: 60 * Math.sin(i * 0.01), z: 0.25 });
+    }
+    const bytesBefore = a.getStats().bytesSent;
+    a.send({ type: CommandType.SET_PATH, unitId: 4, points });
+    await waitFor(() => b.received.length === 1, 2000, 'binary delivery');
+    const binaryBytes = a.getStats().bytesSent - bytesBefore;
+    assertTrue(binaryBytes < JSON.stringify(points).length / 4, `binary path is compact (${binaryBytes} bytes)`);
+    assertEqual(b.received[0].points.length, 100, 'all points decoded');
+    assertTrue(a.getStats().bytesSentPerSec > 0, 'send rate reported');
+    assertTrue(b.getStats().bytesReceivedPerSec > 0, 'receive rate reported');
+
+    // A JSON-only client drags the room down to JSON
+    const legacy = await connectClient(url, { room: 'codec', codecVersions: [] });
+    await waitFor(() => a.codecVersion === 0 && b.codecVersion === 0, 2000, 'downgrade');
+    assertEqual(legacy.codecVersion, 0, 'JSON-only client');
+
+    // A batch sent in binary before the downgrade still reaches it (relay converts)
+    const legacySocket = new NodeWebSocket(url);
+    await new Promise(resolve => { legacySocket.onopen = resolve; });
+    const frames = [];
+    legacySocket.onmessage = (event) => frames.push(JSON.parse(event.data));
+    legacySocket.send(JSON.stringify({ type: RelayMessageType.JOIN, room: 'codec', clientId: 'raw' }));
+    await waitFor(() => frames.some(f => f.type === RelayMessageType.WELCOME), 2000, 'raw join');
+    legacySocket.send(JSON.stringify({ type: RelayMessageType.COMMANDS, codec: 1, data: bytesToBase64(encodeCommandBatch([{ type: CommandType.STOP, unitId: 4 }])) }));
+    await waitFor(() => frames.some(f => f.type === RelayMessageType.COMMANDS), 2000, 'converted echo');
+    const echoed = frames.find(f => f.type === RelayMessageType.COMMANDS);
+    assertEqual(echoed.data, undefined, 'no binary to a JSON-only client');
+    assertEqual(echoed.commands[0].type, CommandType.STOP, 'converted to JSON');
+    await waitFor(() => legacy.received.some(c => c.type === CommandType.STOP), 2000, 'legacy delivery');
+
+    legacySocket.close();
+    await Promise.all([a.disconnect(), b.disconnect(), legacy.disconnect()]);
+});
+
+await test('Relay closes the connection on unmasked client frames', async () => {
+    const socket = new NodeWebSocket(url);
+    await new Promise(resolve => { socket.onopen = resolve; });
+    const closed = new Promise(resolve => { socket.onclose = resolve; });
+
+    // Bypass the client's masking: write a raw frame to the upgraded socket
+    socket._connection._socket.write(encodeFrame(Opcode.TEXT, JSON.stringify({ type: RelayMessageType.JOIN }), false));
+    const event = await closed;
+
+    assertEqual(event.code, CloseCode.PROTOCOL_ERROR, 'protocol error');
+    assertTrue(event.reason.includes('unmasked'), `reason: ${event.reason}`);
+});
+
+await test('Multi-MiB messages relay; oversized ones are dropped with an error', async () => {
+    const a = await connectClient(url, { room: 'large' });
+    const b = await connectClient(url, { room: 'large' });
+
+    // Larger than the old 1 MiB frame cap (StateSync / DESYNC_STATE dumps)
+    const state = 'x'.repeat(2 * 1024 * 1024);
+    a.send({ type: 'DESYNC_STATE', state });
+    await waitFor(() => b.received.length === 1, 5000, 'large delivery');
+    assertEqual(b.received[0].state.length, state.length, 'payload intact');
+
+    const small = await connectClient(url, { room: 'large', maxMessageBytes: 4096 });
+    const errors = [];
+    small.onError = (error) => errors.push(error);
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        small.send({ type: 'DESYNC_STATE', state: 'y'.repeat(8192) });
+    } finally {
+        console.error = originalError;
+    }
+    assertEqual(small.getStats().dropped, 1, 'dropped');
+    assertEqual(errors.length, 1, 'reported');
+    assertTrue(errors[0].includes('DESYNC_STATE'), `error names the command: ${errors[0]}`);
+
+    small.send({ type: CommandType.SELECT, unitId: 5 });
+    await waitFor(() => b.received.some(c => c.type === CommandType.SELECT), 2000, 'still connected');
+
+    await Promise.all([a.disconnect(), b.disconnect(), small.disconnect()]);
+});
+
+await test('Relay host: --public listens on every interface, RELAY_HOST sets the default', async () => {
+    assertEqual(parseRelayArgs(['--public']).host, '0.0.0.0', '--public');
+    assertEqual(parseRelayArgs([], { RELAY_HOST: '192.168.1.5' }).host, '192.168.1.5', 'env');
+    assertEqual(parseRelayArgs(['--host', '10.0.0.2'], { RELAY_HOST: '192.168.1.5' }).host, '10.0.0.2', 'flag wins');
+    assertEqual(parseRelayArgs(['--port', '9000'], {}).host, undefined, 'default left to RelayServer');
+
+    const server = new RelayServer({ ...parseRelayArgs(['--public', '--port', '0'], {}) });
+    const address = await server.start();
+    assertEqual(address.host, '0.0.0.0', 'bound to every interface');
+    const client = await connectClient(address.url, { room: 'public' });
+    assertEqual(client.state, TransportState.CONNECTED, 'reachable through address.url');
+
+    await client.disconnect();
+    await server.stop();
+});
+
+await relay.stop();
+console.log = originalLog;
+
+// ============ Summary ============
+
+console.log('\n=== WebSocket Transport & Relay Tests ===\n');
+
+console.log(`\n${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All WebSocket Transport tests PASS');
+    process.exit(0);
+}
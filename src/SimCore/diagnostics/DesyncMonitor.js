@@ -0,0 +1,275 @@
+/**
+ * DesyncMonitor - Live desync detection between peers
+ *
+ * Every tick: records checksumState() into a HashTimeline.
+ * Every N ticks: broadcasts { tick, hash } to peers over the transport.
+ * On mismatch: requests the peer's retained snapshot for that tick and
+ * reports a field-level diffStates() result.
+ *
+ * Diagnostic messages share the command transport but are intercepted
+ * here and never reach the CommandQueue. With a LockstepTransport or
+ * RollbackTransport, give the wrapped network transport: the monitor chains
+ * in front of the wrapper's handler.
+ *
+ * Under rollback a tick's state is only final once no late input can
+ * rewind it: settleTicks (the rollback window) holds hashes back until then,
+ * on both the sending and the comparing side.
+ *
+ * Usage:
+ *   const monitor = new DesyncMonitor(world, transport, {
+ *       peerId: 'host',
+ *       onDesync: (d) => console.warn(d),
+ *       onDiff: (r) => console.table(r.differences)
+ *   });
+ *   monitor.start();
+ */
+
+import { serializeState, diffStates } from '../runtime/StateSurface.js';
+import { HashTimeline } from './HashTimeline.js';
+
+/**
+ * Message types used on the transport.
+ */
+export const DesyncMessageType = {
+    HASH: 'DESYNC_HASH',
+    STATE_REQUEST: 'DESYNC_STATE_REQUEST',
+    STATE: 'DESYNC_STATE'
+};
+
+/**
+ * DesyncMonitor compares per-tick checksums with remote peers.
+ */
+export class DesyncMonitor {
+    /**
+     * @param {Object} sim - Game or SimWorld (simLoop, units)
+     * @param {TransportBase} transport - Transport shared with peers
+     * @param {Object} [options]
+     * @param {string} [options.peerId='local'] - This peer's identifier
+     * @param {number} [options.exchangeInterval=10] - Ticks between hash broadcasts
+     * @param {number} [options.settleTicks=0] - Ticks before a tick's hash is final (rollback window)
+     * @param {number} [options.capacity=600] - Hash timeline capacity (ticks)
+     * @param {number} [options.snapshotCapacity] - Snapshot retention in ticks (default 20 + settleTicks)
+     * @param {Function} [options.onDesync] - Called with { tick, peerId, localHash, remoteHash }
+     * @param {Function} [options.onDiff] - Called with { tick, peerId, differences }
+     */
+    constructor(sim, transport, options = {}) {
+        if (!sim?.simLoop || !transport) {
+            throw new Error('DesyncMonitor requires a sim with simLoop and a transport');
+        }
+
+        this.sim = sim;
+        this.transport = transport;
+        this.peerId = options.peerId ?? 'local';
+        this.exchangeInterval = options.exchangeInterval ?? 10;
+        this.settleTicks = options.settleTicks ?? 0;
+
+        this.timeline = new HashTimeline({
+            capacity: options.capacity ?? 600,
+            snapshotCapacity: options.snapshotCapacity ?? 20 + this.settleTicks
+        });
+
+        this.onDesync = options.onDesync ?? null;
+        this.onDiff = options.onDiff ?? null;
+
+        /** @type {Array<{ tick: number, peerId: string, localHash: string, remoteHash: string }>} */
+        this.desyncs = [];
+
+        /** @type {Map<string, Array<{ tick: number, hash: string }>>} Remote hashes not yet checked */
+        this._pendingRemote = new Map();
+
+        /** @type {Set<string>} Peer+tick pairs already reported */
+        this._reported = new Set();
+
+        this.running = false;
+        this._prevOnSimTick = null;
+        this._prevOnReceive = null;
+    }
+
+    /**
+     * Start monitoring (chains onto SimLoop.onSimTick and transport.onReceive).
+     */
+    start() {
+        if (this.running) return;
+
+        const simLoop = this.sim.simLoop;
+        this._prevOnSimTick = simLoop.onSimTick;
+        simLoop.onSimTick = (dt, tick) => {
+            if (this._prevOnSimTick) this._prevOnSimTick(dt, tick);
+            this._onTick(tick);
+        };
+
+        this._prevOnReceive = this.transport.onReceive;
+        this.transport.onReceive = (message) => {
+            if (this._handleMessage(message)) return;
+            if (this._prevOnReceive) this._prevOnReceive(message);
+        };
+
+        this.running = true;
+    }
+
+    /**
+     * Stop monitoring and restore the original callbacks.
+     */
+    stop() {
+        if (!this.running) return;
+
+        this.sim.simLoop.onSimTick = this._prevOnSimTick;
+        this.transport.onReceive = this._prevOnReceive;
+        this._prevOnSimTick = null;
+        this._prevOnReceive = null;
+        this.running = false;
+    }
+
+    /**
+     * Forget recorded hashes (call after load or rollback).
+     */
+    reset() {
+        this.timeline.clear();
+        this._pendingRemote.clear();
+        this._reported.clear();
+        this.desyncs = [];
+    }
+
+    // ============ Tick ============
+
+    /** @private */
+    _onTick(tick) {
+        // SimLoop advances tickCount after onSimTick returns
+        const state = serializeState(this.sim);
+        state.tickCount = tick;
+
+        this.timeline.record(tick, state);
+
+        const settledTick = tick - this.settleTicks;
+        const settled = this.timeline.get(settledTick);
+        if (this.exchangeInterval > 0 && settledTick % this.exchangeInterval === 0 && settled) {
+            this.transport.send({
+                type: DesyncMessageType.HASH,
+                peerId: this.peerId,
+                tick: settledTick,
+                hash: settled.hash
+            });
+        }
+
+        this._checkPending();
+    }
+
+    // ============ Messages ============
+
+    /**
+     * @returns {boolean} True if the message was a diagnostics message
+     * @private
+     */
+    _handleMessage(message) {
+        switch (message?.type) {
+            case DesyncMessageType.HASH:
+                if (message.peerId !== this.peerId) {
+                    this._queueRemoteHash(message.peerId, message.tick, message.hash);
+                    this._checkPending();
+                }
+                return true;
+
+            case DesyncMessageType.STATE_REQUEST:
+                if (message.targetPeerId === this.peerId) {
+                    this.transport.send({
+                        type: DesyncMessageType.STATE,
+                        peerId: this.peerId,
+                        targetPeerId: message.peerId,
+                        tick: message.tick,
+                        state: this.timeline.getSnapshot(message.tick)
+                    });
+                }
+                return true;
+
+            case DesyncMessageType.STATE:
+                if (message.targetPeerId === this.peerId) {
+                    this._handleRemoteState(message);
+                }
+                return true;
+
+            default:
+                return false;
+        }
+    }
+
+    /** @private */
+    _queueRemoteHash(peerId, tick, hash) {
+        if (!this._pendingRemote.has(peerId)) {
+            this._pendingRemote.set(peerId, []);
+        }
+        this._pendingRemote.get(peerId).push({ tick, hash });
+    }
+
+    /**
+     * Compare remote hashes for ticks we have simulated and settled; keep the rest queued.
+     * @private
+     */
+    _checkPending() {
+        if (this.timeline.latestTick === null) return;
+        const latest = this.timeline.latestTick - this.settleTicks;
+
+        for (const [peerId, entries] of this._pendingRemote) {
+            const waiting = [];
+
+            for (const remote of entries) {
+                if (remote.tick > latest) {
+                    waiting.push(remote);
+                    continue;
+                }
+
+                const localHash = this.timeline.getHash(remote.tick);
+                if (localHash === null) continue; // Evicted; cannot compare
+
+                if (localHash !== remote.hash) {
+                    this._reportDesync(peerId, remote.tick, localHash, remote.hash);
+                }
+            }
+
+            this._pendingRemote.set(peerId, waiting);
+        }
+    }
+
+    /** @private */
+    _reportDesync(peerId, tick, localHash, remoteHash) {
+        const key = `${peerId}@${tick}`;
+        if (this._reported.has(key)) return;
+        this._reported.add(key);
+
+        const desync = { tick, peerId, localHash, remoteHash };
+        this.desyncs.push(desync);
+        console.warn(`[DesyncMonitor] Desync with ${peerId} at tick ${tick}: ${localHash} vs ${remoteHash}`);
+
+        if (this.onDesync) {
+            this.onDesync(desync);
+        }
+
+        // Ask the peer for its snapshot to build a field-level diff
+        this.transport.send({
+            type: DesyncMessageType.STATE_REQUEST,
+            peerId: this.peerId,
+            targetPeerId: peerId,
+            tick
+        });
+    }
+
+    /** @private */
+    _handleRemoteState(message) {
+        const local = this.timeline.getSnapshot(message.tick);
+
+        if (!local || !message.state) {
+            console.warn(`[DesyncMonitor] Snapshot for tick ${message.tick} no longer retained`);
+            return;
+        }
+
+        const result = diffStates(local, message.state);
+        const report = {
+            tick: message.tick,
+            peerId: message.peerId,
+            differences: result.differences
+        };
+
+        if (this.onDiff) {
+            this.onDiff(report);
+        }
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * HashTimeline - Rolling per-tick state checksums
+ *
+ * Keeps a bounded ring of { tick, hash, chain } entries:
+ * - hash:  checksumState() of the tick's full authoritative state
+ * - chain: running hash over all previous tick hashes, so two timelines
+ *          that agree on a chain value agree on every earlier tick too
+ *
+ * The most recent snapshots are retained as well, so a mismatch can be
+ * turned into a field-level diff without re-simulating.
+ */
+
+import { checksumState, fnv1a32 } from '../runtime/StateSurface.js';
+
+/**
+ * HashTimeline stores recent per-tick checksums and snapshots.
+ */
+export class HashTimeline {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.capacity=600] - Ticks of hashes to keep (600 = 30s at 20Hz)
+     * @param {number} [options.snapshotCapacity=20] - Ticks of full snapshots to keep (0 = none)
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity ?? 600;
+        this.snapshotCapacity = options.snapshotCapacity ?? 20;
+
+        /** @type {Map<number, { tick: number, hash: string, chain: string }>} */
+        this._entries = new Map();
+
+        /** @type {Map<number, Object>} */
+        this._snapshots = new Map();
+
+        this._lastChain = '00000000';
+        this._latestTick = null;
+    }
+
+    /**
+     * Record the state of a tick.
+     * @param {number} tick - Tick the state belongs to
+     * @param {Object} state - Serialized state (serializeState)
+     * @returns {{ tick: number, hash: string, chain: string }}
+     */
+    record(tick, state) {
+        const hash = checksumState(state);
+        const chain = fnv1a32(this._lastChain + hash);
+        const entry = { tick, hash, chain };
+
+        this._entries.set(tick, entry);
+        this._lastChain = chain;
+        this._latestTick = tick;
+
+        if (this.snapshotCapacity > 0) {
+            this._snapshots.set(tick, state);
+        }
+
+        this._trim(this._entries, this.capacity);
+        this._trim(this._snapshots, this.snapshotCapacity);
+
+        return entry;
+    }
+
+    /**
+     * @param {number} tick
+     * @returns {{ tick: number, hash: string, chain: string }|null}
+     */
+    get(tick) {
+        return this._entries.get(tick) ?? null;
+    }
+
+    /**
+     * @param {number} tick
+     * @returns {string|null}
+     */
+    getHash(tick) {
+        return this._entries.get(tick)?.hash ?? null;
+    }
+
+    /**
+     * @param {number} tick
+     * @returns {Object|null} Retained snapshot for the tick
+     */
+    getSnapshot(tick) {
+        return this._snapshots.get(tick) ?? null;
+    }
+
+    /**
+     * @returns {number|null} Most recently recorded tick
+     */
+    get latestTick() {
+        return this._latestTick;
+    }
+
+    /**
+     * @returns {number} Number of retained hash entries
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * @returns {Array<{ tick: number, hash: string, chain: string }>} Entries, oldest first
+     */
+    entries() {
+        return [...this._entries.values()];
+    }
+
+    /**
+     * Find the first tick where another timeline's hashes differ from ours.
+     * Only ticks present in both timelines are compared.
+     *
+     * @param {HashTimeline|Array<{ tick: number, hash: string }>} other
+     * @returns {number|null} First divergent tick, or null if all shared ticks match
+     */
+    findFirstDivergence(other) {
+        const otherEntries = Array.isArray(other) ? other : other.entries();
+        let first = null;
+
+        for (const { tick, hash } of otherEntries) {
+            const local = this._entries.get(tick);
+            if (local && local.hash !== hash && (first === null || tick < first)) {
+                first = tick;
+            }
+        }
+
+        return first;
+    }
+
+    /**
+     * Forget all entries (after load/rollback).
+     */
+    clear() {
+        this._entries.clear();
+        this._snapshots.clear();
+        this._lastChain = '00000000';
+        this._latestTick = null;
+    }
+
+    /**
+     * Drop oldest entries beyond capacity (Map keeps insertion order).
+     * @private
+     */
+    _trim(map, capacity) {
+        while (map.size > capacity) {
+            map.delete(map.keys().next().value);
+        }
+    }
+}
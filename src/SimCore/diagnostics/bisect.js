@@ -0,0 +1,103 @@
+/**
+ * Bisect - Find the first divergent tick between two command logs
+ *
+ * Given two replays of the "same" session (e.g. host and client recordings
+ * attached to a bug report), replays both and binary-searches the first tick
+ * whose full state checksum differs, then returns a field-level diff of that tick.
+ *
+ * Assumes divergence is sticky (once states differ they stay different),
+ * which holds for the deterministic sim.
+ */
+
+import { serializeState, checksumState, diffStates } from '../runtime/StateSurface.js';
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+
+/**
+ * Compare two command logs entry by entry.
+ *
+ * @param {Object[]} commandsA - replay.commands
+ * @param {Object[]} commandsB - replay.commands
+ * @returns {{ index: number, a: Object|null, b: Object|null }|null} First differing entry, or null
+ */
+export function findFirstCommandDivergence(commandsA, commandsB) {
+    const count = Math.max(commandsA.length, commandsB.length);
+
+    for (let i = 0; i < count; i++) {
+        const a = commandsA[i] ?? null;
+        const b = commandsB[i] ?? null;
+        if (JSON.stringify(a) !== JSON.stringify(b)) {
+            return { index: i, a, b };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Binary-search the first tick where two replays produce different state.
+ *
+ * @param {Object} replayA - Replay object (see ReplaySchema)
+ * @param {Object} replayB - Replay object
+ * @param {Function} createSim - Factory returning a fresh sim (e.g. () => new SimWorld())
+ * @returns {{ success: boolean, divergentTick?: number|null, diff?: Object[], commandDivergence?: Object|null, iterations?: number, error?: string }}
+ */
+export function bisectReplays(replayA, replayB, createSim) {
+    const playerA = new ReplayPlayer(createSim(), { pauseOnDesync: false });
+    const playerB = new ReplayPlayer(createSim(), { pauseOnDesync: false });
+
+    const loadA = playerA.load(replayA);
+    if (!loadA.success) return { success: false, error: `Replay A: ${loadA.error}` };
+    const loadB = playerB.load(replayB);
+    if (!loadB.success) return { success: false, error: `Replay B: ${loadB.error}` };
+
+    // Sims share the global RNG / entity counter, so every snapshot reloads
+    // the initial envelope and plays forward from it.
+    const snapshotAt = (player, replay, tick) => {
+        player.load(replay);
+        player.seek(tick);
+        const state = serializeState(player.sim);
+        state.tickCount = tick;
+        return state;
+    };
+
+    const startTick = Math.max(replayA.metadata.startTick, replayB.metadata.startTick);
+    const endTick = Math.min(replayA.metadata.endTick, replayB.metadata.endTick);
+    const commandDivergence = findFirstCommandDivergence(replayA.commands, replayB.commands);
+
+    let iterations = 0;
+    const differsAt = (tick) => {
+        iterations++;
+        const a = snapshotAt(playerA, replayA, tick);
+        const b = snapshotAt(playerB, replayB, tick);
+        return checksumState(a) !== checksumState(b);
+    };
+
+    if (!differsAt(endTick)) {
+        return { success: true, divergentTick: null, diff: [], commandDivergence, iterations };
+    }
+
+    // Invariant: differs at hi; lo is the last tick known (or assumed) equal
+    let lo = startTick - 1;
+    let hi = endTick;
+
+    if (differsAt(startTick)) {
+        hi = startTick;
+    } else {
+        lo = startTick;
+        while (hi - lo > 1) {
+            const mid = Math.floor((lo + hi) / 2);
+            if (differsAt(mid)) {
+                hi = mid;
+            } else {
+                lo = mid;
+            }
+        }
+    }
+
+    const diff = diffStates(
+        snapshotAt(playerA, replayA, hi),
+        snapshotAt(playerB, replayB, hi)
+    ).differences;
+
+    return { success: true, divergentTick: hi, diff, commandDivergence, iterations };
+}
@@ -0,0 +1,14 @@
+/**
+ * SimCore Diagnostics Module
+ *
+ * Desync detection and investigation tools.
+ *
+ * Exports:
+ * - HashTimeline: rolling per-tick checksums (+ recent snapshots)
+ * - DesyncMonitor: exchanges checksums with peers over the transport, diffs on mismatch
+ * - bisectReplays / findFirstCommandDivergence: locate the first divergent tick of two command logs
+ */
+
+export { HashTimeline } from './HashTimeline.js';
+export { DesyncMonitor, DesyncMessageType } from './DesyncMonitor.js';
+export { bisectReplays, findFirstCommandDivergence } from './bisect.js';
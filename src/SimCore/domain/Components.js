@@ -0,0 +1,138 @@
+/**
+ * Components - Typed component schemas for EntityStore
+ *
+ * A component is a named group of fields stored flat on the entity object
+ * (UnitModel keeps `unit.position`, `unit.health`, ... so systems and the
+ * render Unit read them directly). The schema lists the fields and their
+ * defaults; EntityStore uses it for indexing, queries and serialization.
+ *
+ * NO Three.js or rendering code allowed here.
+ */
+
+/**
+ * Built-in component names.
+ */
+export const ComponentType = {
+    TRANSFORM: 'Transform',
+    LOCOMOTION: 'Locomotion',
+    HEALTH: 'Health',
+    COMMAND_TIMELINE: 'CommandTimeline',
+    BLUEPRINT: 'Blueprint',
+    RESOURCE: 'Resource'
+};
+
+/**
+ * Entity kinds sharing the component model.
+ */
+export const EntityKind = {
+    UNIT: 'unit',
+    DEPOSIT: 'deposit',
+    PILE: 'pile',
+    WRECK: 'wreck'
+};
+
+/** @type {Map<string, Function>} Component name → defaults factory */
+const schemas = new Map([
+    [ComponentType.TRANSFORM, () => ({
+        position: { x: 0, y: 0, z: 0 },
+        quaternion: { x: 0, y: 0, z: 0, w: 1 }
+    })],
+    [ComponentType.LOCOMOTION, () => ({
+        speed: 5.0,
+        turnSpeed: 2.0,
+        groundOffset: 0.22,
+        velocity: { x: 0, y: 0, z: 0 },
+        velocityDirection: { x: 0, y: 0, z: 1 },
+        currentSpeed: 0,
+        pathIndex: 0,
+        isFollowingPath: false,
+        pausedByCommand: false,
+        waterState: 'normal'
+    })],
+    [ComponentType.HEALTH, () => ({
+        health: 100,
+        maxHealth: 100,
+        shieldLevel: 0,
+        disabled: false
+    })],
+    [ComponentType.COMMAND_TIMELINE, () => ({
+        commands: [],
+        currentCommandIndex: 0,
+        waypoints: [],
+        targetWaypointId: null,
+        lastWaypointId: null,
+        loopingEnabled: false,
+        isPathClosed: false
+    })],
+    [ComponentType.BLUEPRINT, () => ({
+        typeId: null
+    })],
+    [ComponentType.RESOURCE, () => ({
+        resourceType: 'materia',
+        amount: 0
+    })]
+]);
+
+/**
+ * Default component set per entity kind.
+ */
+export const KIND_COMPONENTS = {
+    [EntityKind.UNIT]: [
+        ComponentType.TRANSFORM,
+        ComponentType.LOCOMOTION,
+        ComponentType.HEALTH,
+        ComponentType.COMMAND_TIMELINE,
+        ComponentType.BLUEPRINT
+    ],
+    [EntityKind.DEPOSIT]: [ComponentType.TRANSFORM, ComponentType.RESOURCE],
+    [EntityKind.PILE]: [ComponentType.TRANSFORM, ComponentType.RESOURCE],
+    [EntityKind.WRECK]: [ComponentType.TRANSFORM, ComponentType.HEALTH, ComponentType.RESOURCE]
+};
+
+/**
+ * Register a component schema.
+ *
+ * @param {string} name - Component name
+ * @param {Function} defaults - Returns a fresh object of field defaults
+ * @throws {Error} If the name is taken
+ */
+export function defineComponent(name, defaults) {
+    if (schemas.has(name)) {
+        throw new Error(`Component '${name}' is already defined`);
+    }
+    if (typeof defaults !== 'function') {
+        throw new Error(`Component '${name}' needs a defaults factory`);
+    }
+    schemas.set(name, defaults);
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasComponentType(name) {
+    return schemas.has(name);
+}
+
+/**
+ * Fresh default field values for a component.
+ * @param {string} name
+ * @returns {Object}
+ * @throws {Error} If the component is unknown
+ */
+export function createComponentDefaults(name) {
+    const defaults = schemas.get(name);
+    if (!defaults) {
+        throw new Error(`Unknown component '${name}'`);
+    }
+    return defaults();
+}
+
+/**
+ * Field names of a component.
+ * @param {string} name
+ * @returns {string[]}
+ */
+export function getComponentFields(name) {
+    return Object.keys(createComponentDefaults(name));
+}
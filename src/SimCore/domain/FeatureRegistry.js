@@ -4,6 +4,11 @@
  * Manages feature definitions for the Type system.
  * Built-in features are auto-registered on import.
  * Supports modding via controlled registration.
+ *
+ * Also tracks research progress per feature ID: LOCKED / UNLOCKED status
+ * (Invent) and Extend levels per constraint. Built-ins start UNLOCKED,
+ * every other ID (including spec IDs like MOVE_SWIM that have no
+ * definition yet) starts LOCKED.
  * 
  * NO Three.js or rendering dependencies.
  */
@@ -17,6 +22,12 @@ export const FEATURE_CATEGORIES = {
     LOGISTICS: 'Logistics'
 };
 
+/** Feature research status */
+export const FEATURE_STATUS = Object.freeze({
+    LOCKED: 'LOCKED',
+    UNLOCKED: 'UNLOCKED'
+});
+
 /**
  * @typedef {Object} FeatureDef
  * @property {string} id - Stable identifier (lowercase, no spaces)
@@ -111,6 +122,12 @@ class FeatureRegistryClass {
         
         /** @type {boolean} */
         this._builtInsFrozen = false;
+
+        /** @type {Map<string, string>} Feature ID → FEATURE_STATUS (overrides the default) */
+        this._status = new Map();
+
+        /** @type {Map<string, Object<string, number>>} Feature ID → constraintKey → Extend level */
+        this._extendLevels = new Map();
         
         // Auto-register built-ins
         for (const def of BUILT_IN_FEATURES) {
@@ -281,6 +298,112 @@ class FeatureRegistryClass {
     getFeaturesWithSubAlloc() {
         return this.getAll().filter(f => f.subAllocKeys && f.subAllocKeys.length > 0);
     }
+
+    // === RESEARCH PROGRESS ===
+
+    /**
+     * Research status of a feature (built-ins default to UNLOCKED)
+     * @param {string} id
+     * @returns {string} FEATURE_STATUS value
+     */
+    getStatus(id) {
+        return this._status.get(id)
+            ?? (this._builtInIds.has(id) ? FEATURE_STATUS.UNLOCKED : FEATURE_STATUS.LOCKED);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isUnlocked(id) {
+        return this.getStatus(id) === FEATURE_STATUS.UNLOCKED;
+    }
+
+    /**
+     * Mark a feature as invented
+     * @param {string} id
+     */
+    unlock(id) {
+        this._status.set(id, FEATURE_STATUS.UNLOCKED);
+    }
+
+    /**
+     * Mark a feature as not (yet) invented
+     * @param {string} id
+     */
+    lock(id) {
+        this._status.set(id, FEATURE_STATUS.LOCKED);
+    }
+
+    /**
+     * Extend level of one constraint of a feature
+     * @param {string} id
+     * @param {string} constraintKey
+     * @returns {number} Level (0 = not extended)
+     */
+    getExtendLevel(id, constraintKey) {
+        return this._extendLevels.get(id)?.[constraintKey] ?? 0;
+    }
+
+    /**
+     * All Extend levels of a feature
+     * @param {string} id
+     * @returns {Object<string, number>} constraintKey → level (copy)
+     */
+    getExtendLevels(id) {
+        return { ...(this._extendLevels.get(id) ?? {}) };
+    }
+
+    /**
+     * Raise the Extend level of a constraint by one
+     * @param {string} id
+     * @param {string} constraintKey
+     * @param {number} maxLevel - Level cap
+     * @returns {number} New level (unchanged when already at the cap)
+     */
+    extendConstraint(id, constraintKey, maxLevel) {
+        const level = Math.min(this.getExtendLevel(id, constraintKey) + 1, maxLevel);
+        if (!this._extendLevels.has(id)) this._extendLevels.set(id, {});
+        this._extendLevels.get(id)[constraintKey] = level;
+        return level;
+    }
+
+    /**
+     * Serialize research progress (statuses and Extend levels)
+     * @returns {{ status: Object<string, string>, extendLevels: Object<string, Object<string, number>> }}
+     */
+    serializeProgress() {
+        const extendLevels = {};
+        for (const [id, levels] of this._extendLevels) {
+            extendLevels[id] = { ...levels };
+        }
+        return {
+            status: Object.fromEntries(this._status),
+            extendLevels
+        };
+    }
+
+    /**
+     * Replace research progress with serialized data
+     * @param {Object} data - serializeProgress() output
+     */
+    restoreProgress(data) {
+        this.resetProgress();
+        for (const [id, status] of Object.entries(data?.status ?? {})) {
+            this._status.set(id, status);
+        }
+        for (const [id, levels] of Object.entries(data?.extendLevels ?? {})) {
+            this._extendLevels.set(id, { ...levels });
+        }
+    }
+
+    /**
+     * Forget all research progress (back to defaults)
+     */
+    resetProgress() {
+        this._status.clear();
+        this._extendLevels.clear();
+    }
 }
 
 // Singleton instance
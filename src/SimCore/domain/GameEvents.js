@@ -0,0 +1,38 @@
+/**
+ * GameEvents - Canonical game events (EventBus names)
+ *
+ * Feature modules emit these with the payloads below (GRFDTRDPU spec §5);
+ * GoalManager listens and turns them into goals (Need cards).
+ *
+ * NO Three.js or rendering code allowed here.
+ */
+
+/**
+ * Canonical game events and their payloads.
+ */
+export const GameEvent = Object.freeze({
+    // Movement & exploration
+    COLLISION_WATER: 'COLLISION_WATER',             // { unitId, position, waterLevel }
+    BLOCKED_BY_SLOPE: 'BLOCKED_BY_SLOPE',           // { unitId, position, slopeDeg, normal }
+    FLIGHT_CEILING_HIT: 'FLIGHT_CEILING_HIT',       // { unitId, position, attemptedAltitude, maxAltitude }
+    SCAN_UNKNOWN_RESOURCE: 'SCAN_UNKNOWN_RESOURCE', // { unitId, position, depth, signature }
+    INVENTORY_FULL: 'INVENTORY_FULL',               // { unitId, inventoryState }
+
+    // Combat
+    UNIT_DESTROYED_BY_INVISIBLE: 'UNIT_DESTROYED_BY_INVISIBLE', // { unitId, attackerHint, lastKnownImpact }
+    UNIT_DESTROYED_INSTANTLY: 'UNIT_DESTROYED_INSTANTLY',       // { unitId, damageBurst, timeToKillSec }
+    UNKNOWN_ATTACKER: 'UNKNOWN_ATTACKER',                       // { unitId, directionHint, damageTypeHint }
+
+    // Economy
+    LOW_ENERGY_STATE: 'LOW_ENERGY_STATE',           // { empireEnergy, threshold }
+    DISTANT_UNITS_OFFLINE: 'DISTANT_UNITS_OFFLINE', // { count, regionHint }
+
+    // Dark Side
+    DARKSIDE_CONTACT: 'DARKSIDE_CONTACT',           // { unitId, detectionType, position }
+
+    // Demo 1.0 onboarding
+    NO_MOBILE_UNITS: 'NO_MOBILE_UNITS',             // { unitIds } (raised by GoalManager itself)
+    SURFACE_MATERA_SEEN: 'SURFACE_MATERA_SEEN',     // { unitId, position }
+    MATERA_PILE_GROWING: 'MATERA_PILE_GROWING',     // { pileId, position, amount }
+    NON_MOBILE_DESIGN_CREATED: 'NON_MOBILE_DESIGN_CREATED' // { typeId }
+});
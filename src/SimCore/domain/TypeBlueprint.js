@@ -26,8 +26,19 @@ function generateUUID() {
 
 /**
  * Current schema version for migration support
+ * v2: revision history (parentRevisionId, BlueprintStorage `history`)
  */
-export const BLUEPRINT_SCHEMA_VERSION = 1;
+export const BLUEPRINT_SCHEMA_VERSION = 2;
+
+/**
+ * ID of one immutable revision of a blueprint.
+ * @param {string} blueprintId
+ * @param {number} version - Revision number
+ * @returns {string} e.g. "5f1c…@v3"
+ */
+export function blueprintRevisionId(blueprintId, version) {
+    return `${blueprintId}@v${version}`;
+}
 
 /**
  * @typedef {Object} TypeBlueprintData
@@ -38,6 +49,8 @@ export const BLUEPRINT_SCHEMA_VERSION = 1;
  * @property {Object<string, number>} allocations - Feature allocations (sum to 1.0)
  * @property {Object<string, Object<string, number>>} subAllocations - Sub-allocations per feature
  * @property {boolean} isSeed - True if factory seed blueprint
+ * @property {number} version - Revision number (raised when the design changes; units are pinned to one)
+ * @property {string|null} parentRevisionId - Revision this one was edited from (null for the first)
  * @property {number} schemaVersion - For migration support
  * @property {number} createdAt - Unix timestamp ms
  * @property {number} updatedAt - Unix timestamp ms
@@ -76,6 +89,12 @@ export class TypeBlueprint {
         
         /** @type {boolean} */
         this.isSeed = data.isSeed || false;
+
+        /** @type {number} */
+        this.version = data.version || 1;
+
+        /** @type {string|null} */
+        this.parentRevisionId = data.parentRevisionId ?? null;
         
         /** @type {number} */
         this.schemaVersion = data.schemaVersion || BLUEPRINT_SCHEMA_VERSION;
@@ -154,6 +173,25 @@ export class TypeBlueprint {
         return this.subAllocations[featureId] || null;
     }
 
+    /**
+     * Design fields that units are built from (cost basis for Refit)
+     * @returns {{ designPct: number, allocations: Object<string, number>, subAllocations: Object }}
+     */
+    getDesignSpec() {
+        return {
+            designPct: this.designPct,
+            allocations: { ...this.allocations },
+            subAllocations: JSON.parse(JSON.stringify(this.subAllocations))
+        };
+    }
+
+    /**
+     * @returns {string} ID of the revision this blueprint represents
+     */
+    getRevisionId() {
+        return blueprintRevisionId(this.id, this.version);
+    }
+
     /**
      * Serialize to plain JSON object
      * @returns {TypeBlueprintData}
@@ -167,6 +205,8 @@ export class TypeBlueprint {
             allocations: { ...this.allocations },
             subAllocations: JSON.parse(JSON.stringify(this.subAllocations)),
             isSeed: this.isSeed,
+            version: this.version,
+            parentRevisionId: this.parentRevisionId,
             schemaVersion: this.schemaVersion,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
@@ -193,6 +233,8 @@ export class TypeBlueprint {
         cloned.createdAt = Date.now();
         cloned.updatedAt = Date.now();
         cloned.isSeed = false; // Clones are not seeds
+        cloned.version = 1; // A new type starts its own history
+        cloned.parentRevisionId = null;
         return cloned;
     }
 
@@ -204,6 +246,69 @@ export class TypeBlueprint {
     }
 }
 
+// ============================================
+// REVISION DIFF
+// ============================================
+
+/**
+ * @typedef {Object} BlueprintDiff
+ * @property {string} fromRevisionId
+ * @property {string} toRevisionId
+ * @property {boolean} changed - True if any design field or the name differs
+ * @property {{ from: string, to: string }|null} name
+ * @property {{ from: number, to: number }|null} designPct
+ * @property {string[]} addedFeatures - Included in `to` only
+ * @property {string[]} removedFeatures - Included in `from` only
+ * @property {Object<string, { from: number, to: number }>} allocations - Changed allocations (0 = not included)
+ * @property {Object<string, Object<string, { from: number|null, to: number|null }>>} subAllocations - Changed sub-allocation keys
+ */
+
+/**
+ * Compare two revisions of a blueprint (or any two blueprints).
+ *
+ * @param {TypeBlueprint} from - Older revision
+ * @param {TypeBlueprint} to - Newer revision
+ * @returns {BlueprintDiff}
+ */
+export function diffBlueprints(from, to) {
+    const diff = {
+        fromRevisionId: from.getRevisionId(),
+        toRevisionId: to.getRevisionId(),
+        changed: false,
+        name: from.name !== to.name ? { from: from.name, to: to.name } : null,
+        designPct: from.designPct !== to.designPct ? { from: from.designPct, to: to.designPct } : null,
+        addedFeatures: [],
+        removedFeatures: [],
+        allocations: {},
+        subAllocations: {}
+    };
+
+    const features = [...new Set([...Object.keys(from.allocations), ...Object.keys(to.allocations)])].sort();
+    for (const featureId of features) {
+        const before = from.allocations[featureId] || 0;
+        const after = to.allocations[featureId] || 0;
+        if (before === after) continue;
+        diff.allocations[featureId] = { from: before, to: after };
+        if (before <= 0) diff.addedFeatures.push(featureId);
+        if (after <= 0) diff.removedFeatures.push(featureId);
+    }
+
+    const subFeatures = [...new Set([...Object.keys(from.subAllocations), ...Object.keys(to.subAllocations)])].sort();
+    for (const featureId of subFeatures) {
+        const before = from.subAllocations[featureId] || {};
+        const after = to.subAllocations[featureId] || {};
+        for (const key of [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()) {
+            if (before[key] === after[key]) continue;
+            diff.subAllocations[featureId] = diff.subAllocations[featureId] || {};
+            diff.subAllocations[featureId][key] = { from: before[key] ?? null, to: after[key] ?? null };
+        }
+    }
+
+    diff.changed = !!(diff.name || diff.designPct ||
+        Object.keys(diff.allocations).length > 0 || Object.keys(diff.subAllocations).length > 0);
+    return diff;
+}
+
 // ============================================
 // SEED BLUEPRINT FACTORY
 // ============================================
@@ -21,12 +21,16 @@ export class UnitModel {
      * @param {string} [config.id] - Unique identifier
      * @param {string} [config.name] - Display name
      * @param {string} [config.typeId] - Reference to TypeBlueprint
+     * @param {string} [config.ownerId] - Owner player ID
      */
     constructor(config = {}) {
         // === IDENTITY ===
         this.id = config.id || this._generateId();
         this.name = config.name || `Unit-${this.id.slice(-4)}`;
         this.typeId = config.typeId || null; // Future: links to TypeBlueprint
+        this.ownerId = config.ownerId ?? null; // Player ID, same on every peer (null = 'local')
+        this.typeVersion = null;    // Blueprint version the unit was built / refit from
+        this.typeSpec = null;       // That version's design ({ designPct, allocations, subAllocations })
         
         // === POSITION & ORIENTATION ===
         // Plain objects for serializability (no Vector3/Quaternion)
@@ -40,6 +44,7 @@ export class UnitModel {
         this.currentSpeed = 0.0;    // Actual speed this frame
         this.turnSpeed = 2.0;       // Rotation speed
         this.groundOffset = 0.22;   // Hover height above terrain
+        this.maxSlopeDeg = null;    // Steepest climbable slope (null = no limit; MOVE_ROLL = 60)
         
         // === COMMAND QUEUE ===
         this.commands = [];             // Array of command objects
@@ -129,6 +134,18 @@ export class UnitModel {
         this.rotation.w = w;
     }
 
+    /**
+     * Alias for rotation (StateSurface and Unit use `quaternion`)
+     * @type {{x: number, y: number, z: number, w: number}}
+     */
+    get quaternion() {
+        return this.rotation;
+    }
+
+    set quaternion(q) {
+        this.rotation = { x: q.x, y: q.y, z: q.z, w: q.w };
+    }
+
     // === COMMAND QUEUE ===
     
     /**
@@ -177,7 +194,10 @@ export class UnitModel {
             // Identity
             id: this.id,
             name: this.name,
+            ownerId: this.ownerId,
             typeId: this.typeId,
+            typeVersion: this.typeVersion,
+            typeSpec: this.typeSpec ? JSON.parse(JSON.stringify(this.typeSpec)) : null,
             
             // Position
             position: { ...this.position },
@@ -188,6 +208,7 @@ export class UnitModel {
             speed: this.speed,
             turnSpeed: this.turnSpeed,
             groundOffset: this.groundOffset,
+            maxSlopeDeg: this.maxSlopeDeg,
             
             // Commands
             commands: JSON.parse(JSON.stringify(this.commands)),
@@ -236,7 +257,10 @@ export class UnitModel {
         // Identity
         if (data.id) this.id = data.id;
         if (data.name) this.name = data.name;
+        if (data.ownerId !== undefined) this.ownerId = data.ownerId;
         if (data.typeId) this.typeId = data.typeId;
+        if (data.typeVersion !== undefined) this.typeVersion = data.typeVersion;
+        if (data.typeSpec !== undefined) this.typeSpec = data.typeSpec ? JSON.parse(JSON.stringify(data.typeSpec)) : null;
         
         // Position
         if (data.position) this.position = { ...data.position };
@@ -247,6 +271,7 @@ export class UnitModel {
         if (data.speed !== undefined) this.speed = data.speed;
         if (data.turnSpeed !== undefined) this.turnSpeed = data.turnSpeed;
         if (data.groundOffset !== undefined) this.groundOffset = data.groundOffset;
+        if (data.maxSlopeDeg !== undefined) this.maxSlopeDeg = data.maxSlopeDeg;
         
         // Commands
         if (data.commands) this.commands = JSON.parse(JSON.stringify(data.commands));
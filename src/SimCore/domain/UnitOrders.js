@@ -0,0 +1,71 @@
+/**
+ * UnitOrders - Per-unit order list operations
+ *
+ * Shared by Game._processInputCommands and SimWorld._applyCommand so both
+ * apply WAIT/STOP/REORDER_COMMANDS/DELETE_COMMAND identically.
+ * Only unit.commands / currentCommandIndex are touched; callers resync
+ * derived waypoints and paths afterwards.
+ */
+
+/**
+ * Order types stored in unit.commands.
+ */
+export const OrderType = {
+    MOVE: 'Move',
+    WAIT: 'Wait',
+    ATTACK: 'Attack',
+    BUILD: 'Build'
+};
+
+/**
+ * Reorder a unit's orders by ID.
+ * The new order must be a permutation of the current command IDs.
+ * currentCommandIndex keeps pointing at the same order.
+ *
+ * @param {Object} unit - Unit with commands[]
+ * @param {string[]} order - Command IDs in the new order
+ * @returns {boolean} True if applied
+ */
+export function reorderOrders(unit, order) {
+    const commands = unit.commands || [];
+    if (!Array.isArray(order) || order.length !== commands.length) return false;
+
+    const byId = new Map(commands.map(cmd => [cmd.id, cmd]));
+    if (byId.size !== commands.length || new Set(order).size !== order.length) return false;
+    if (!order.every(id => byId.has(id))) return false;
+
+    const currentId = commands[unit.currentCommandIndex]?.id ?? null;
+    unit.commands = order.map(id => byId.get(id));
+
+    if (currentId !== null) {
+        unit.currentCommandIndex = unit.commands.findIndex(cmd => cmd.id === currentId);
+    }
+    return true;
+}
+
+/**
+ * Remove one order by ID.
+ *
+ * @param {Object} unit - Unit with commands[]
+ * @param {string} commandId - Order to remove
+ * @returns {boolean} True if removed
+ */
+export function deleteOrder(unit, commandId) {
+    const index = (unit.commands || []).findIndex(cmd => cmd.id === commandId);
+    if (index === -1) return false;
+
+    unit.commands.splice(index, 1);
+    if (unit.currentCommandIndex > index) unit.currentCommandIndex--;
+    return true;
+}
+
+/**
+ * Drop every order and the waypoint progress that referenced them.
+ * @param {Object} unit
+ */
+export function clearOrders(unit) {
+    unit.commands = [];
+    unit.currentCommandIndex = 0;
+    unit.targetWaypointId = null;
+    unit.lastWaypointId = null;
+}
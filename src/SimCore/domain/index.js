@@ -8,20 +8,45 @@
  * - UnitModel: Unit state (position, stats, commands)
  * - TypeBlueprint: Unit type definitions (allocations, features)
  * - FeatureRegistry: Feature definitions registry
+ * - UnitOrders: Order queue operations (reorder/delete/clear)
+ * - Components: Component schemas and entity kinds for EntityStore
+ * - GameEvents: Canonical game event names (goal triggers)
  */
 
 export { UnitModel } from './UnitModel.js';
 export { 
     FeatureRegistry, 
-    FEATURE_CATEGORIES 
+    FEATURE_CATEGORIES,
+    FEATURE_STATUS
 } from './FeatureRegistry.js';
 export { 
     TypeBlueprint, 
     BLUEPRINT_SCHEMA_VERSION,
+    blueprintRevisionId,
+    diffBlueprints,
     createSeedBlueprint,
     createScoutSeedBlueprint
 } from './TypeBlueprint.js';
 
+export {
+    OrderType,
+    reorderOrders,
+    deleteOrder,
+    clearOrders
+} from './UnitOrders.js';
+
+export {
+    ComponentType,
+    EntityKind,
+    KIND_COMPONENTS,
+    defineComponent,
+    hasComponentType,
+    createComponentDefaults,
+    getComponentFields
+} from './Components.js';
+
+export { GameEvent } from './GameEvents.js';
+
 export const DOMAIN_VERSION = '0.3.0';
 
 // Placeholder types for TypeScript-style documentation
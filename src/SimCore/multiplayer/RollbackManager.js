@@ -0,0 +1,311 @@
+/**
+ * RollbackManager - Snapshot rollback and resimulation
+ *
+ * Keeps a ring buffer of full sim snapshots (one per tick, taken before the
+ * tick runs). When a command arrives stamped for a tick that has already been
+ * simulated, the sim is restored to the state before that tick, the command is
+ * inserted into the input log, and every tick up to the present is resimulated.
+ *
+ * Inputs are held in a per-tick log and enqueued at the START of their tick
+ * in canonical order (peerId, then inputSeq). A peer that received a command
+ * on time and a peer that rolled back for it therefore consume entity IDs in
+ * the same order and end up in the same state.
+ *
+ * Render interpolation: units exposing captureRenderState()/blendRenderFrom()
+ * (Entities/Unit) keep their on-screen pose as the interpolation start, so a
+ * correction blends in over one tick instead of snapping.
+ *
+ * Inputs come from RollbackTransport, which stamps peerId, inputSeq and
+ * scheduledTick. Either give it as `transport`, or let a CommandValidator
+ * feed accepted commands in through enqueue() (Game: validator on the
+ * transport, this manager as its queue). With a `validate` hook, each input
+ * is checked as its tick starts, against the state every peer has at that
+ * tick; refused inputs stay in the log and are checked again on resimulation.
+ *
+ * Usage:
+ *   const rollback = new RollbackManager(world, { transport, capacity: 30 });
+ *   rollback.start();
+ *   // remote: transport.onReceive({ ...cmd, peerId: 'bob', inputSeq: 7, scheduledTick: 118 })
+ */
+
+import { SaveManager } from '../persistence/SaveManager.js';
+
+/**
+ * RollbackManager rewinds and resimulates the sim for late-arriving commands.
+ */
+export class RollbackManager {
+    /**
+     * @param {Object} sim - Game adapter or SimWorld (simLoop, units, rng, idGenerator, restoreUnits)
+     * @param {Object} [options]
+     * @param {CommandQueue} [options.commandQueue] - Queue the sim flushes (default: sim.commandQueue)
+     * @param {TransportBase} [options.transport] - Transport whose received commands go through the input log
+     * @param {number} [options.capacity=30] - Ticks of history kept (max rollback distance)
+     * @param {Function} [options.onRollback] - Called with { fromTick, toTick, resimulatedTicks }
+     * @param {Function} [options.validate] - (command, tick) => boolean; false skips the input
+     *   on this (re)simulation of its tick (CommandValidator.validate)
+     */
+    constructor(sim, options = {}) {
+        this.sim = sim;
+        this.commandQueue = options.commandQueue ?? sim?.commandQueue;
+        this.transport = options.transport ?? null;
+        this.capacity = options.capacity ?? 30;
+        this.onRollback = options.onRollback ?? null;
+        this.validate = options.validate ?? null;
+
+        if (!sim?.simLoop || !this.commandQueue) {
+            throw new Error('RollbackManager requires a sim with simLoop and a commandQueue');
+        }
+
+        this._saveManager = new SaveManager(sim, null);
+
+        /** @type {Map<number, { envelope: Object, queue: Object }>} tick → state before that tick */
+        this._snapshots = new Map();
+
+        /** @type {Map<number, Object[]>} tick → commands to enqueue at the start of that tick */
+        this._inputs = new Map();
+
+        this.rollbackCount = 0;
+        this.resimulatedTicks = 0;
+
+        this.running = false;
+        this._inTick = false;
+        this._resimulating = false;
+        this._prevOnSimTick = null;
+        this._prevOnReceive = null;
+    }
+
+    /**
+     * Start capturing snapshots (chains onto SimLoop.onSimTick and transport.onReceive).
+     */
+    start() {
+        if (this.running) return;
+
+        const simLoop = this.sim.simLoop;
+        this._prevOnSimTick = simLoop.onSimTick;
+        simLoop.onSimTick = (dt, tick) => this._onTick(dt, tick);
+
+        if (this.transport) {
+            this._prevOnReceive = this.transport.onReceive;
+            this.transport.onReceive = (command) => this.addInput(command);
+        }
+
+        this.running = true;
+    }
+
+    /**
+     * Stop and restore the original callbacks.
+     */
+    stop() {
+        if (!this.running) return;
+
+        this.sim.simLoop.onSimTick = this._prevOnSimTick;
+        if (this.transport) {
+            this.transport.onReceive = this._prevOnReceive;
+        }
+        this._prevOnSimTick = null;
+        this._prevOnReceive = null;
+        this.running = false;
+    }
+
+    /**
+     * Forget snapshots and queued inputs (call after load).
+     */
+    reset() {
+        this._snapshots.clear();
+        this._inputs.clear();
+    }
+
+    /**
+     * @returns {number|null} Oldest tick we can roll back to, or null if no history
+     */
+    get oldestTick() {
+        const ticks = [...this._snapshots.keys()];
+        return ticks.length > 0 ? Math.min(...ticks) : null;
+    }
+
+    // ============ Inputs ============
+
+    /**
+     * Add a command to the input log. Commands for past ticks trigger a rollback.
+     *
+     * @param {Object} command - Command (scheduledTick = tick to apply; default: next tick)
+     * @returns {{ success: boolean, rolledBack: boolean, error?: string }}
+     */
+    addInput(command) {
+        const simLoop = this.sim.simLoop;
+        const tick = command.scheduledTick ?? simLoop.tickCount + 1;
+
+        if (tick > simLoop.tickCount) {
+            this._storeInput(tick, command);
+            return { success: true, rolledBack: false };
+        }
+
+        if (this._inTick) {
+            console.warn(`[RollbackManager] Late command for tick ${tick} received during a tick; applied next tick`);
+            this._storeInput(simLoop.tickCount + 1, command);
+            return { success: true, rolledBack: false };
+        }
+
+        if (!this._snapshots.has(tick)) {
+            const error = `Command for tick ${tick} is older than rollback window (oldest: ${this.oldestTick})`;
+            console.warn(`[RollbackManager] ${error}`);
+            return { success: false, rolledBack: false, error };
+        }
+
+        this._storeInput(tick, command);
+        const result = this.rollbackTo(tick);
+        return { ...result, rolledBack: result.success };
+    }
+
+    /**
+     * CommandQueue-compatible entry point (CommandValidator enqueues accepted commands here).
+     * @param {Object} command
+     */
+    enqueue(command) {
+        this.addInput(command);
+    }
+
+    /** @private */
+    _storeInput(tick, command) {
+        if (!this._inputs.has(tick)) {
+            this._inputs.set(tick, []);
+        }
+        this._inputs.get(tick).push({ ...command, scheduledTick: tick });
+    }
+
+    /**
+     * Enqueue the tick's inputs in canonical order.
+     * @private
+     */
+    _feedInputs(tick) {
+        const commands = this._inputs.get(tick);
+        if (!commands) return;
+
+        const ordered = [...commands].sort((a, b) => {
+            const peerA = a.peerId ?? '';
+            const peerB = b.peerId ?? '';
+            if (peerA !== peerB) return peerA < peerB ? -1 : 1;
+            return (a.inputSeq ?? 0) - (b.inputSeq ?? 0);
+        });
+
+        for (const command of ordered) {
+            if (this.validate && !this.validate(command, tick)) continue;
+            this.commandQueue.enqueue(command, tick);
+        }
+    }
+
+    // ============ Tick ============
+
+    /** @private */
+    _onTick(dt, tick) {
+        this._inTick = true;
+        try {
+            // Snapshot BEFORE the tick's inputs are enqueued
+            this._snapshots.set(tick, {
+                envelope: this._saveManager.captureEnvelope(),
+                queue: this.commandQueue.getState()
+            });
+            this._prune(tick);
+
+            this._feedInputs(tick);
+
+            if (this._prevOnSimTick) this._prevOnSimTick(dt, tick);
+        } finally {
+            this._inTick = false;
+        }
+    }
+
+    /**
+     * Drop snapshots and inputs that fell out of the window.
+     * @private
+     */
+    _prune(latestTick) {
+        const oldest = latestTick - this.capacity + 1;
+        for (const tick of this._snapshots.keys()) {
+            if (tick < oldest) this._snapshots.delete(tick);
+        }
+        for (const tick of this._inputs.keys()) {
+            if (tick < oldest) this._inputs.delete(tick);
+        }
+    }
+
+    // ============ Rollback ============
+
+    /**
+     * Restore the state before `tick` and resimulate up to the current tick.
+     *
+     * @param {number} tick - First tick to resimulate
+     * @returns {{ success: boolean, error?: string }}
+     */
+    rollbackTo(tick) {
+        const simLoop = this.sim.simLoop;
+        const presentTick = simLoop.tickCount;
+        const snapshot = this._snapshots.get(tick);
+
+        if (this._resimulating) {
+            return { success: false, error: 'Rollback already in progress' };
+        }
+        if (tick > presentTick) {
+            return { success: true };
+        }
+        if (!snapshot) {
+            return { success: false, error: `No snapshot for tick ${tick}` };
+        }
+
+        // Frame timing belongs to the live loop, not to the snapshot
+        const accumulatorMs = simLoop.accumulatorMs;
+        const lastFrameMs = simLoop.lastFrameMs;
+        const renderStates = this._captureRenderStates();
+
+        this._resimulating = true;
+        try {
+            this._saveManager.applyState(snapshot.envelope.state);
+            this.commandQueue.setState(snapshot.queue);
+
+            while (simLoop.tickCount < presentTick) {
+                simLoop.advanceTick();
+            }
+        } catch (err) {
+            return { success: false, error: `Resimulation failed: ${err.message}` };
+        } finally {
+            simLoop.accumulatorMs = accumulatorMs;
+            simLoop.lastFrameMs = lastFrameMs;
+            this._resimulating = false;
+        }
+
+        this._blendRenderStates(renderStates);
+
+        const resimulatedTicks = presentTick - tick + 1;
+        this.rollbackCount++;
+        this.resimulatedTicks += resimulatedTicks;
+
+        if (this.onRollback) {
+            this.onRollback({ fromTick: presentTick, toTick: tick, resimulatedTicks });
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * @returns {Map<number, Object>} unitId → on-screen render state
+     * @private
+     */
+    _captureRenderStates() {
+        const states = new Map();
+        for (const unit of this.sim.units ?? []) {
+            if (unit?.captureRenderState) {
+                states.set(unit.id, unit.captureRenderState());
+            }
+        }
+        return states;
+    }
+
+    /** @private */
+    _blendRenderStates(states) {
+        for (const unit of this.sim.units ?? []) {
+            if (unit?.blendRenderFrom && states.has(unit.id)) {
+                unit.blendRenderFrom(states.get(unit.id));
+            }
+        }
+    }
+}
@@ -0,0 +1,486 @@
+/**
+ * StateSync - Late-join and reconnect state transfer
+ *
+ * A client that joins a running match (or comes back after a reconnect) has
+ * missed every command sent before it arrived. StateSync lets it fetch the
+ * host's state instead of simulating from a different starting point:
+ *
+ *   joiner                                host
+ *     | STATE_SYNC_REQUEST ------------->  |
+ *     |                                    | keyframe at tick T (save envelope + queue)
+ *     |                                    | + commands enqueued after T
+ *     | <------------- STATE_SYNC_SNAPSHOT | + live tick L and hashState at L
+ *     | SaveManager.applyState(T)          |
+ *     | replay logged commands, T → L      |
+ *     | compare hashState at L             |
+ *
+ * Every peer keeps a keyframe every `keyframeInterval` ticks and logs the
+ * commands enqueued between ticks since then, so whoever is host can answer.
+ * Replaying the logged commands with CommandQueue.enqueue at the same points
+ * between ticks reproduces the host's command IDs and entity counter.
+ *
+ * While a sync is in progress the joiner does not accept input: its SimLoop
+ * is stalled (canAdvance) and incoming commands are dropped until the
+ * snapshot arrives (the host's state already contains them), then buffered
+ * until the snapshot is applied. This relies on the transport delivering
+ * messages to every client in one order (one Realtime channel / relay room).
+ * A hash mismatch after fast-forwarding is retried up to maxAttempts.
+ *
+ * Sync messages share the command transport but are intercepted here and
+ * never reach the CommandQueue. Start StateSync after CommandValidator.attach().
+ *
+ * Under lockstep, give StateSync the wrapped network transport, not the
+ * LockstepTransport: the wrapper only sends from its tick gate, which is held
+ * while syncing. Start it after LockstepTransport.attach() and call
+ * lockstep.resync(tick) from onSynced so turns continue from the synced tick.
+ *
+ * Usage:
+ *   const sync = new StateSync(gameAdapter, transport, {
+ *       commandQueue: globalCommandQueue,
+ *       peerId: () => session.localId,
+ *       isHost: () => session.isHost
+ *   });
+ *   sync.start();
+ *   if (!session.isHost) await sync.requestSync();
+ */
+
+import { SaveManager } from '../persistence/SaveManager.js';
+import { validateSaveEnvelope, migrateSaveEnvelope } from '../persistence/SaveSchema.js';
+import { encodeEnvelope, decodeEnvelope } from '../persistence/SaveCodec.js';
+import { serializeState, hashState } from '../runtime/StateSurface.js';
+
+/**
+ * Message types used on the transport.
+ */
+export const StateSyncMessageType = {
+    REQUEST: 'STATE_SYNC_REQUEST',
+    SNAPSHOT: 'STATE_SYNC_SNAPSHOT'
+};
+
+/**
+ * Sync progress on the joining side.
+ */
+export const StateSyncStatus = {
+    IDLE: 'idle',             // Never synced (host or solo)
+    REQUESTING: 'requesting', // Waiting for a snapshot; input dropped
+    APPLYING: 'applying',     // Snapshot received; input buffered
+    SYNCED: 'synced',
+    FAILED: 'failed'
+};
+
+/**
+ * StateSync serves and applies keyframe snapshots over the transport.
+ */
+export class StateSync {
+    /**
+     * @param {Object} sim - Game adapter or SimWorld (simLoop, units, rng, idGenerator, restoreUnits)
+     * @param {TransportBase} transport - Transport shared with peers
+     * @param {Object} [options]
+     * @param {CommandQueue} [options.commandQueue] - Queue the sim flushes (default: sim.commandQueue)
+     * @param {string|Function} [options.peerId='local'] - This peer's identifier (or getter)
+     * @param {boolean|Function} [options.isHost=false] - Whether this peer answers sync requests (or getter)
+     * @param {number} [options.keyframeInterval=100] - Ticks between keyframes (bounds the replay on join)
+     * @param {number} [options.timeoutMs=5000] - Wait per request before retrying
+     * @param {number} [options.maxAttempts=3] - Requests before giving up
+     * @param {boolean} [options.compress=true] - Gzip the envelope (see SaveCodec)
+     * @param {Function} [options.onSynced] - Called with { tick, hash, replayedTicks }
+     * @param {Function} [options.onFailed] - Called with { error, attempts }
+     */
+    constructor(sim, transport, options = {}) {
+        if (!sim?.simLoop || !transport) {
+            throw new Error('StateSync requires a sim with simLoop and a transport');
+        }
+
+        this.sim = sim;
+        this.transport = transport;
+        this.commandQueue = options.commandQueue ?? sim.commandQueue;
+        if (!this.commandQueue) {
+            throw new Error('StateSync requires a commandQueue');
+        }
+
+        this._peerId = options.peerId ?? 'local';
+        this._isHost = options.isHost ?? false;
+        this.keyframeInterval = options.keyframeInterval ?? 100;
+        this.timeoutMs = options.timeoutMs ?? 5000;
+        this.maxAttempts = options.maxAttempts ?? 3;
+        this.compress = options.compress ?? true;
+        this.onSynced = options.onSynced ?? null;
+        this.onFailed = options.onFailed ?? null;
+
+        this._saveManager = new SaveManager(sim, null);
+
+        /** @type {{ tick: number, envelope: Object, queue: Object }|null} State between ticks T and T+1 */
+        this._keyframe = null;
+
+        /** @type {Array<{ tick: number, command: Object }>} Commands enqueued between ticks since the keyframe */
+        this._log = [];
+
+        this.status = StateSyncStatus.IDLE;
+
+        /** @type {Object[]} Commands received while a snapshot is being applied */
+        this._buffer = [];
+
+        /** @type {{ requestId: string, attempt: number, timer: *, resolve: Function }|null} */
+        this._request = null;
+        this._requestCounter = 0;
+
+        this.snapshotsServed = 0;
+        this.syncCount = 0;
+
+        this.running = false;
+        this._inTick = false;
+        this._unsubscribeEnqueue = null;
+        this._prevOnSimTick = null;
+        this._prevOnReceive = null;
+        this._prevCanAdvance = null;
+    }
+
+    /** @returns {string} */
+    get peerId() {
+        return typeof this._peerId === 'function' ? this._peerId() : this._peerId;
+    }
+
+    /** @returns {boolean} */
+    get isHost() {
+        return typeof this._isHost === 'function' ? !!this._isHost() : !!this._isHost;
+    }
+
+    /** @returns {boolean} True while waiting for or applying a snapshot */
+    get isSyncing() {
+        return this.status === StateSyncStatus.REQUESTING || this.status === StateSyncStatus.APPLYING;
+    }
+
+    /**
+     * Start keyframing and intercepting sync messages
+     * (chains onto SimLoop.onSimTick/canAdvance and transport.onReceive).
+     */
+    start() {
+        if (this.running) return;
+
+        const simLoop = this.sim.simLoop;
+        this._prevOnSimTick = simLoop.onSimTick;
+        simLoop.onSimTick = (dt, tick) => this._onTick(dt, tick);
+
+        this._prevCanAdvance = simLoop.canAdvance;
+        simLoop.canAdvance = (nextTick) => {
+            if (this.isSyncing) return false;
+            return this._prevCanAdvance ? this._prevCanAdvance(nextTick) : true;
+        };
+
+        this._prevOnReceive = this.transport.onReceive;
+        this.transport.onReceive = (message) => this._receive(message);
+
+        this._unsubscribeEnqueue = this.commandQueue.on('enqueue', (command) => {
+            // Commands created by the sim during a tick are reproduced by the replay itself
+            if (!this._inTick) {
+                this._log.push({ tick: this.sim.simLoop.tickCount, command: { ...command } });
+            }
+        });
+
+        this._captureKeyframe();
+        this.running = true;
+    }
+
+    /**
+     * Stop and restore the original callbacks.
+     */
+    stop() {
+        if (!this.running) return;
+
+        const simLoop = this.sim.simLoop;
+        simLoop.onSimTick = this._prevOnSimTick;
+        simLoop.canAdvance = this._prevCanAdvance;
+        this.transport.onReceive = this._prevOnReceive;
+        this._unsubscribeEnqueue();
+
+        this._finishRequest({ success: false, error: 'StateSync stopped' });
+        if (this.isSyncing) {
+            this.status = StateSyncStatus.IDLE;
+        }
+
+        this._prevOnSimTick = null;
+        this._prevCanAdvance = null;
+        this._prevOnReceive = null;
+        this._unsubscribeEnqueue = null;
+        this.running = false;
+    }
+
+    /**
+     * Forget the keyframe and log and take a fresh keyframe (call after load).
+     */
+    reset() {
+        this._captureKeyframe();
+    }
+
+    // ============ Joiner ============
+
+    /**
+     * Ask the host for its state. Input is held until the result settles.
+     *
+     * @returns {Promise<{ success: boolean, tick?: number, hash?: string, error?: string }>}
+     */
+    requestSync() {
+        if (!this.running) {
+            return Promise.resolve({ success: false, error: 'StateSync not started' });
+        }
+        if (this._request) {
+            return this._request.promise;
+        }
+
+        let resolve;
+        const promise = new Promise(r => { resolve = r; });
+        this._request = { requestId: null, attempt: 0, timer: null, resolve, promise };
+        this._sendRequest();
+        return promise;
+    }
+
+    /** @private */
+    _sendRequest() {
+        const request = this._request;
+        request.attempt++;
+        request.requestId = `${this.peerId}#${++this._requestCounter}`;
+
+        this.status = StateSyncStatus.REQUESTING;
+        this._buffer = [];
+
+        clearTimeout(request.timer);
+        request.timer = setTimeout(() => {
+            this._retryOrFail(`No snapshot within ${this.timeoutMs}ms`);
+        }, this.timeoutMs);
+
+        console.log(`[StateSync] Requesting state (attempt ${request.attempt}/${this.maxAttempts})`);
+        this.transport.send({
+            type: StateSyncMessageType.REQUEST,
+            peerId: this.peerId,
+            requestId: request.requestId
+        });
+    }
+
+    /** @private */
+    _retryOrFail(error) {
+        const request = this._request;
+        if (!request) return;
+
+        if (request.attempt < this.maxAttempts) {
+            console.warn(`[StateSync] ${error}; retrying`);
+            this._sendRequest();
+            return;
+        }
+
+        console.error(`[StateSync] Sync failed after ${request.attempt} attempt(s): ${error}`);
+        this.status = StateSyncStatus.FAILED;
+        this._releaseBuffer();
+
+        const attempts = request.attempt;
+        this._finishRequest({ success: false, error });
+        if (this.onFailed) {
+            this.onFailed({ error, attempts });
+        }
+    }
+
+    /** @private */
+    _finishRequest(result) {
+        const request = this._request;
+        if (!request) return;
+
+        clearTimeout(request.timer);
+        this._request = null;
+        request.resolve(result);
+    }
+
+    /**
+     * Apply a snapshot addressed to this peer.
+     * @private
+     */
+    async _applySnapshot(message) {
+        const request = this._request;
+        this.status = StateSyncStatus.APPLYING;
+
+        let envelope;
+        try {
+            envelope = await decodeEnvelope(message.snapshot);
+        } catch (err) {
+            this._retryOrFail(`Corrupt snapshot: ${err.message}`);
+            return;
+        }
+
+        // A newer request may have replaced this one while decoding
+        if (this._request !== request || request.requestId !== message.requestId) {
+            return;
+        }
+
+        const validation = validateSaveEnvelope(envelope);
+        if (!validation.valid) {
+            this._retryOrFail(`Invalid snapshot: ${validation.error}`);
+            return;
+        }
+
+        const simLoop = this.sim.simLoop;
+        const keyframeTick = message.keyframeTick;
+        const log = message.log || [];
+
+        // Frame timing belongs to the local loop, not to the host's keyframe
+        const accumulatorMs = simLoop.accumulatorMs;
+        const lastFrameMs = simLoop.lastFrameMs;
+
+        try {
+            this._saveManager.applyState(migrateSaveEnvelope(envelope).state);
+            this.commandQueue.setState(message.queue);
+
+            // Fast-forward: same enqueues between the same ticks as on the host
+            const enqueueLogged = (tick) => {
+                for (const entry of log) {
+                    if (entry.tick === tick) this.commandQueue.enqueue(entry.command);
+                }
+            };
+
+            enqueueLogged(keyframeTick);
+            while (simLoop.tickCount < message.liveTick) {
+                simLoop.advanceTick();
+                enqueueLogged(simLoop.tickCount);
+            }
+        } catch (err) {
+            this._retryOrFail(`Applying snapshot failed: ${err.message}`);
+            return;
+        } finally {
+            simLoop.accumulatorMs = accumulatorMs;
+            simLoop.lastFrameMs = lastFrameMs;
+        }
+
+        const hash = this._hash();
+        if (hash !== message.hash) {
+            this._retryOrFail(`State hash mismatch at tick ${message.liveTick}`);
+            return;
+        }
+
+        this._captureKeyframe();
+        this.status = StateSyncStatus.SYNCED;
+        this.syncCount++;
+
+        const result = { success: true, tick: simLoop.tickCount, hash, replayedTicks: message.liveTick - keyframeTick };
+        console.log(`[StateSync] Synced to tick ${result.tick} (replayed ${result.replayedTicks} ticks)`);
+
+        this._releaseBuffer();
+        this._finishRequest({ success: true, tick: result.tick, hash });
+        if (this.onSynced) {
+            this.onSynced(result);
+        }
+    }
+
+    /**
+     * Hand buffered commands to the next receiver.
+     * @private
+     */
+    _releaseBuffer() {
+        const buffered = this._buffer;
+        this._buffer = [];
+        for (const message of buffered) {
+            if (this._prevOnReceive) this._prevOnReceive(message);
+        }
+    }
+
+    // ============ Host ============
+
+    /**
+     * Answer a sync request with the latest keyframe and the log since.
+     * State is captured synchronously; only the encoding is async.
+     * @private
+     */
+    async _serveSnapshot(request) {
+        const keyframe = this._keyframe;
+        const message = {
+            type: StateSyncMessageType.SNAPSHOT,
+            peerId: this.peerId,
+            targetPeerId: request.peerId,
+            requestId: request.requestId,
+            keyframeTick: keyframe.tick,
+            queue: keyframe.queue,
+            log: this._log.map(entry => ({ tick: entry.tick, command: entry.command })),
+            liveTick: this.sim.simLoop.tickCount,
+            hash: this._hash()
+        };
+
+        message.snapshot = await encodeEnvelope(keyframe.envelope, { compress: this.compress });
+
+        this.snapshotsServed++;
+        console.log(`[StateSync] Sending state to ${request.peerId} (keyframe ${message.keyframeTick}, live ${message.liveTick}, ${message.log.length} logged commands)`);
+        this.transport.send(message);
+    }
+
+    // ============ Tick / Messages ============
+
+    /** @private */
+    _onTick(dt, tick) {
+        // State before this tick = state after tick - 1
+        if ((tick - 1) % this.keyframeInterval === 0 && tick - 1 !== this._keyframe?.tick) {
+            this._captureKeyframe();
+        }
+
+        this._inTick = true;
+        try {
+            if (this._prevOnSimTick) this._prevOnSimTick(dt, tick);
+        } finally {
+            this._inTick = false;
+        }
+    }
+
+    /** @private */
+    _captureKeyframe() {
+        this._keyframe = {
+            tick: this.sim.simLoop.tickCount,
+            envelope: this._saveManager.captureEnvelope({ name: 'state-sync keyframe' }),
+            queue: JSON.parse(JSON.stringify(this.commandQueue.getState()))
+        };
+        this._log = [];
+    }
+
+    /** @private */
+    _hash() {
+        return hashState(serializeState(this.sim), { quantized: !!this.sim.quantize });
+    }
+
+    /** @private */
+    _receive(message) {
+        switch (message?.type) {
+            case StateSyncMessageType.REQUEST:
+                if (message.peerId !== this.peerId && this.isHost && !this.isSyncing) {
+                    this._serveSnapshot(message).catch((err) => {
+                        console.error('[StateSync] Failed to send state:', err);
+                    });
+                }
+                return;
+
+            case StateSyncMessageType.SNAPSHOT:
+                if (message.targetPeerId === this.peerId && this.status === StateSyncStatus.REQUESTING &&
+                    message.requestId === this._request?.requestId) {
+                    this._applySnapshot(message);
+                }
+                return;
+
+            default:
+                break;
+        }
+
+        if (this.status === StateSyncStatus.REQUESTING) {
+            return; // Already part of the host's state
+        }
+        if (this.status === StateSyncStatus.APPLYING) {
+            this._buffer.push(message);
+            return;
+        }
+        if (this._prevOnReceive) this._prevOnReceive(message);
+    }
+
+    /**
+     * @returns {{ status: string, keyframeTick: number|null, logged: number, snapshotsServed: number, syncCount: number }}
+     */
+    getStats() {
+        return {
+            status: this.status,
+            keyframeTick: this._keyframe?.tick ?? null,
+            logged: this._log.length,
+            snapshotsServed: this.snapshotsServed,
+            syncCount: this.syncCount
+        };
+    }
+}
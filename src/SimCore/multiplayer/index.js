@@ -0,0 +1,12 @@
+/**
+ * SimCore Multiplayer Module
+ *
+ * Netcode built on top of the transport layer.
+ *
+ * Exports:
+ * - RollbackManager: snapshot ring buffer + resimulation for late-arriving commands
+ * - StateSync: keyframe snapshot transfer for late joiners and reconnects
+ */
+
+export { RollbackManager } from './RollbackManager.js';
+export { StateSync, StateSyncMessageType, StateSyncStatus } from './StateSync.js';
@@ -0,0 +1,237 @@
+/**
+ * IndexedDBStorageAdapter - Browser IndexedDB Storage Backend
+ *
+ * Implements the StorageAdapter interface (save/load/delete/list/exists)
+ * on IndexedDB. Every method is async, like SupabaseStorageAdapter, so use
+ * SaveManager.saveAsync/loadAsync with it.
+ *
+ * Unlike localStorage (~5MB, synchronous, strings only), IndexedDB stores
+ * envelopes as structured clones and is limited only by the browser's
+ * per-origin quota, so large worlds and long command timelines fit.
+ *
+ * Records: { key, data, savedAt } in one object store keyed by `key`.
+ *
+ * Usage:
+ *   const storage = new IndexedDBStorageAdapter();
+ *   const saveManager = new SaveManager(game, storage);
+ *   await saveManager.saveAsync('slot1');
+ */
+
+import { isQuotaExceededError } from './StorageAdapter.js';
+
+/** Database schema version (bump when object stores change) */
+const DB_VERSION = 1;
+
+/**
+ * Map a failed IndexedDB operation to a StorageAdapter result.
+ * @param {*} err
+ * @param {string} fallback - Message when the error has none
+ * @returns {{ success: false, error: string, quotaExceeded?: boolean }}
+ */
+function toFailure(err, fallback) {
+    if (isQuotaExceededError(err)) {
+        return { success: false, error: 'Storage quota exceeded', quotaExceeded: true };
+    }
+    return { success: false, error: err?.message || fallback };
+}
+
+/**
+ * IndexedDBStorageAdapter provides persistence via the browser's IndexedDB.
+ */
+export class IndexedDBStorageAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dbName='asterobia'] - Database name
+     * @param {string} [options.storeName='saves'] - Object store name
+     * @param {IDBFactory} [options.indexedDB] - Factory (default: globalThis.indexedDB; tests inject a fake)
+     * @param {Object} [options.storageManager] - navigator.storage-like object for estimateQuota()
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'asterobia';
+        this.storeName = options.storeName || 'saves';
+
+        /** @type {IDBFactory|null} */
+        this._indexedDB = options.indexedDB ?? globalThis.indexedDB ?? null;
+
+        /** @type {Object|null} */
+        this._storageManager = options.storageManager ?? globalThis.navigator?.storage ?? null;
+
+        /** @type {Promise<IDBDatabase>|null} Opened lazily, shared by all calls */
+        this._dbPromise = null;
+    }
+
+    /**
+     * @returns {boolean} True if IndexedDB exists in this environment
+     */
+    static isAvailable() {
+        return typeof globalThis.indexedDB !== 'undefined' && globalThis.indexedDB !== null;
+    }
+
+    /**
+     * Save data under a key (replaces any previous save).
+     * @param {string} key - Save slot key
+     * @param {Object} data - Data to persist (must be structured-cloneable)
+     * @returns {Promise<{ success: boolean, error?: string, quotaExceeded?: boolean }>}
+     */
+    async save(key, data) {
+        try {
+            await this._run('readwrite', store => store.put({ key, data, savedAt: Date.now() }));
+            return { success: true };
+        } catch (err) {
+            console.error('[IndexedDBStorageAdapter] Save failed:', err?.message ?? err);
+            return toFailure(err, 'IndexedDB save failed');
+        }
+    }
+
+    /**
+     * Load data for a key.
+     * @param {string} key - Save slot key
+     * @returns {Promise<{ success: boolean, data?: Object, error?: string }>}
+     */
+    async load(key) {
+        try {
+            const record = await this._run('readonly', store => store.get(key));
+            if (!record) {
+                return { success: false, error: 'Save not found' };
+            }
+            return { success: true, data: record.data };
+        } catch (err) {
+            return toFailure(err, 'IndexedDB load failed');
+        }
+    }
+
+    /**
+     * Delete a save.
+     * @param {string} key - Save slot key
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async delete(key) {
+        try {
+            await this._run('readwrite', store => store.delete(key));
+            return { success: true };
+        } catch (err) {
+            return toFailure(err, 'IndexedDB delete failed');
+        }
+    }
+
+    /**
+     * List all save keys.
+     * @returns {Promise<string[]>}
+     */
+    async list() {
+        try {
+            const keys = await this._run('readonly', store => store.getAllKeys());
+            return Array.from(keys ?? []);
+        } catch (err) {
+            console.error('[IndexedDBStorageAdapter] List failed:', err?.message ?? err);
+            return [];
+        }
+    }
+
+    /**
+     * Check if a save exists.
+     * @param {string} key - Save slot key
+     * @returns {Promise<boolean>}
+     */
+    async exists(key) {
+        try {
+            const count = await this._run('readonly', store => store.count(key));
+            return count > 0;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Storage usage and quota for this origin, if the browser reports it.
+     * @returns {Promise<{ usage: number, quota: number }|null>}
+     */
+    async estimateQuota() {
+        if (!this._storageManager?.estimate) return null;
+        try {
+            const { usage = 0, quota = 0 } = await this._storageManager.estimate();
+            return { usage, quota };
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Close the database connection (reopened on next use).
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (!this._dbPromise) return;
+        const pending = this._dbPromise;
+        this._dbPromise = null;
+        try {
+            (await pending).close();
+        } catch (err) {
+            // Never opened; nothing to close
+        }
+    }
+
+    // ============ Internals ============
+
+    /**
+     * Open (and create/upgrade) the database once.
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _open() {
+        if (this._dbPromise) return this._dbPromise;
+
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (!this._indexedDB) {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = this._indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab upgraded the schema: drop our handle so the next call reopens
+                db.onversionchange = () => {
+                    db.close();
+                    this._dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error ?? new Error('IndexedDB open failed'));
+            request.onblocked = () => console.warn('[IndexedDBStorageAdapter] Open blocked by another tab');
+        });
+
+        // Allow a retry after a failed open
+        this._dbPromise.catch(() => {
+            this._dbPromise = null;
+        });
+
+        return this._dbPromise;
+    }
+
+    /**
+     * Run one request in its own transaction; resolves once the transaction
+     * commits (so quota failures, which abort the transaction, reject).
+     *
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - (IDBObjectStore) => IDBRequest
+     * @returns {Promise<*>} Request result
+     * @private
+     */
+    async _run(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error ?? request.error ?? new Error('IndexedDB transaction failed'));
+            tx.onabort = () => reject(tx.error ?? request.error ?? new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * MigrationRegistry - Versioned Schema Migrations
+ *
+ * Each persisted format (save envelopes, blueprint storage, stats config)
+ * owns one registry. A migration is a pure function for exactly one step
+ * (vN → vN+1); migrate() runs every step from the data's version up to the
+ * current one, in order.
+ *
+ * Rules for migration functions:
+ * - Pure: receive a private deep copy, return the migrated object (no I/O,
+ *   no globals, no RNG). The registry stamps the new version.
+ * - New fields get defaults that reproduce the old behaviour, so an old save
+ *   loads exactly as it played.
+ *
+ * Usage:
+ *   export const saveMigrations = new MigrationRegistry({ name: 'Save', currentVersion: 2 });
+ *   saveMigrations.register(1, (save) => { save.state.game.materaInventory ??= {}; return save; },
+ *       'Add matera inventory');
+ *   const result = saveMigrations.migrate(envelope);
+ *   if (!result.success) console.error(result.error);
+ */
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {boolean} success
+ * @property {Object} [data] - Migrated copy (input is never modified)
+ * @property {Object} [backup] - Deep copy of the input, present when any step ran
+ * @property {number} [fromVersion]
+ * @property {number} [toVersion]
+ * @property {Array<{ from: number, to: number, description: string }>} [applied] - Steps run, in order
+ * @property {boolean} [dryRun] - True if requested; callers must not persist `data`
+ * @property {string} [error]
+ */
+
+/**
+ * Deep copy of JSON data.
+ * @param {Object} data
+ * @returns {Object}
+ */
+function cloneData(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * MigrationRegistry holds the step functions for one persisted format.
+ */
+export class MigrationRegistry {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Format name used in error messages ('Save', 'Blueprint storage', ...)
+     * @param {number} options.currentVersion - Version written by the current code
+     * @param {string} [options.versionField='schemaVersion'] - Field holding the version
+     * @param {number} [options.defaultVersion] - Version assumed when the field is missing (default: reject)
+     */
+    constructor(options) {
+        if (!options?.name || !Number.isInteger(options.currentVersion)) {
+            throw new Error('MigrationRegistry requires a name and an integer currentVersion');
+        }
+
+        this.name = options.name;
+        this.currentVersion = options.currentVersion;
+        this.versionField = options.versionField ?? 'schemaVersion';
+        this.defaultVersion = options.defaultVersion ?? null;
+
+        /** @type {Map<number, { migrate: Function, description: string }>} fromVersion → step */
+        this._steps = new Map();
+    }
+
+    /**
+     * Register the migration from `fromVersion` to `fromVersion + 1`.
+     *
+     * @param {number} fromVersion
+     * @param {Function} migrate - (data) => migrated data
+     * @param {string} [description]
+     * @returns {MigrationRegistry} this (for chaining)
+     */
+    register(fromVersion, migrate, description = '') {
+        if (!Number.isInteger(fromVersion) || fromVersion < 0 || fromVersion >= this.currentVersion) {
+            throw new Error(`${this.name}: invalid migration step v${fromVersion} (current is v${this.currentVersion})`);
+        }
+        if (typeof migrate !== 'function') {
+            throw new Error(`${this.name}: migration v${fromVersion} must be a function`);
+        }
+        if (this._steps.has(fromVersion)) {
+            throw new Error(`${this.name}: duplicate migration from v${fromVersion}`);
+        }
+
+        this._steps.set(fromVersion, {
+            migrate,
+            description: description || `v${fromVersion} → v${fromVersion + 1}`
+        });
+        return this;
+    }
+
+    /**
+     * @returns {Array<{ from: number, to: number, description: string }>} Registered steps, in order
+     */
+    getSteps() {
+        return [...this._steps.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([from, step]) => ({ from, to: from + 1, description: step.description }));
+    }
+
+    /**
+     * Version of `data` (defaultVersion if the field is missing).
+     * @param {Object} data
+     * @returns {number|null} null if unknown
+     */
+    getVersion(data) {
+        const version = data?.[this.versionField];
+        if (Number.isInteger(version)) return version;
+        return version === undefined ? this.defaultVersion : null;
+    }
+
+    /**
+     * @param {Object} data
+     * @returns {boolean} True if migrate() would run at least one step
+     */
+    needsMigration(data) {
+        const version = this.getVersion(data);
+        return version !== null && version < this.currentVersion;
+    }
+
+    /**
+     * Run every step from the data's version to currentVersion.
+     *
+     * @param {Object} data - Persisted data (not modified)
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Report what would happen; the caller must not persist the result
+     * @returns {MigrationResult}
+     */
+    migrate(data, options = {}) {
+        const dryRun = !!options.dryRun;
+
+        if (!data || typeof data !== 'object') {
+            return { success: false, error: `${this.name}: invalid data (not an object)` };
+        }
+
+        const fromVersion = this.getVersion(data);
+        if (fromVersion === null) {
+            return { success: false, error: `${this.name}: missing or invalid schema version` };
+        }
+        if (fromVersion > this.currentVersion) {
+            return {
+                success: false,
+                fromVersion,
+                error: `${this.name} version ${fromVersion} is newer than supported (${this.currentVersion})`
+            };
+        }
+
+        let current;
+        try {
+            current = cloneData(data);
+        } catch (err) {
+            return { success: false, fromVersion, error: `${this.name}: invalid data (${err.message})` };
+        }
+
+        const backup = fromVersion < this.currentVersion ? cloneData(data) : undefined;
+        const applied = [];
+
+        for (let version = fromVersion; version < this.currentVersion; version++) {
+            const step = this._steps.get(version);
+            if (!step) {
+                return {
+                    success: false,
+                    fromVersion,
+                    applied,
+                    dryRun,
+                    error: `${this.name}: no migration from v${version} to v${version + 1}`
+                };
+            }
+
+            try {
+                const next = step.migrate(current);
+                if (!next || typeof next !== 'object') {
+                    throw new Error('migration returned no data');
+                }
+                current = next;
+            } catch (err) {
+                return {
+                    success: false,
+                    fromVersion,
+                    applied,
+                    dryRun,
+                    error: `${this.name}: migration v${version} → v${version + 1} failed: ${err.message}`
+                };
+            }
+
+            current[this.versionField] = version + 1;
+            applied.push({ from: version, to: version + 1, description: step.description });
+        }
+
+        // Data already at the current version may lack the field (defaultVersion)
+        current[this.versionField] = this.currentVersion;
+
+        return {
+            success: true,
+            data: current,
+            backup,
+            fromVersion,
+            toVersion: this.currentVersion,
+            applied,
+            dryRun
+        };
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * SaveCodec - Compact text encoding for save envelopes
+ *
+ * Envelopes are JSON-serialized, gzip-compressed with the platform
+ * CompressionStream (browsers, Node 18+) and base64-encoded so they fit in
+ * JSON transport messages and text fields. Where CompressionStream is not
+ * available the JSON is sent as-is; the encoding tag tells the reader which.
+ *
+ * Packed saves (packSave/unpackSave) wrap an encoded envelope with integrity
+ * data for files and storage:
+ * - checksum of the envelope JSON (SHA-256 where WebCrypto exists, else FNV-1a)
+ *   → detects corrupted or hand-edited saves
+ * - hashState of the game state → compared again after loading (verify on load)
+ *
+ * Usage:
+ *   const packed = await encodeEnvelope(saveManager.captureEnvelope());
+ *   transport.send({ type: 'X', snapshot: packed });
+ *   const envelope = await decodeEnvelope(packed);
+ *
+ *   const file = await packSave(envelope);
+ *   const result = await unpackSave(file);   // { success, envelope } or { success: false, reason, error }
+ */
+
+import { hashState, fnv1a32 } from '../runtime/StateSurface.js';
+
+/**
+ * Encodings written by encodeEnvelope().
+ */
+export const SaveEncoding = {
+    JSON: 'json',
+    GZIP_BASE64: 'gzip+base64'
+};
+
+/**
+ * @returns {boolean} True if gzip streams are available
+ */
+function canCompress() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * Pipe bytes through a (de)compression stream.
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+async function pipeBytes(bytes, stream) {
+    const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encode an envelope (or any JSON value) compactly.
+ *
+ * @param {Object} envelope - Save envelope
+ * @param {Object} [options]
+ * @param {boolean} [options.compress=true] - Gzip when the platform supports it
+ * @returns {Promise<{ encoding: string, data: string, size: number }>} size = uncompressed JSON length
+ */
+export async function encodeEnvelope(envelope, options = {}) {
+    const json = JSON.stringify(envelope);
+
+    if (options.compress === false || !canCompress()) {
+        return { encoding: SaveEncoding.JSON, data: json, size: json.length };
+    }
+
+    const compressed = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('gzip'));
+    return { encoding: SaveEncoding.GZIP_BASE64, data: bytesToBase64(compressed), size: json.length };
+}
+
+/**
+ * Decode the output of encodeEnvelope().
+ *
+ * @param {{ encoding: string, data: string }} packed
+ * @returns {Promise<Object>} Envelope
+ * @throws {Error} On unknown encodings or corrupt data
+ */
+export async function decodeEnvelope(packed) {
+    return JSON.parse(await decodeText(packed));
+}
+
+/**
+ * Decode the output of encodeEnvelope() to its JSON text.
+ *
+ * @param {{ encoding: string, data: string }} packed
+ * @returns {Promise<string>}
+ * @throws {Error} On unknown encodings or corrupt data
+ */
+async function decodeText(packed) {
+    if (!packed || typeof packed.data !== 'string') {
+        throw new Error('Invalid packed envelope');
+    }
+
+    switch (packed.encoding) {
+        case SaveEncoding.JSON:
+            return packed.data;
+
+        case SaveEncoding.GZIP_BASE64: {
+            if (!canCompress()) {
+                throw new Error('gzip decoding is not supported on this platform');
+            }
+            const bytes = await pipeBytes(base64ToBytes(packed.data), new DecompressionStream('gzip'));
+            return new TextDecoder().decode(bytes);
+        }
+
+        default:
+            throw new Error(`Unknown envelope encoding: ${packed.encoding}`);
+    }
+}
+
+// ============ Packed saves ============
+
+/** Format identifier of packSave() output */
+export const PACKED_SAVE_FORMAT = 'asterobia-save-packed';
+
+/** Current packed save container version */
+export const PACKED_SAVE_VERSION = 1;
+
+/**
+ * Why a save was rejected (result.reason). describeSaveRejection() turns
+ * these into HUD text.
+ */
+export const SaveRejectReason = {
+    INVALID: 'invalid',
+    CORRUPT: 'corrupt',
+    CHECKSUM: 'checksum',
+    STATE_HASH: 'state-hash',
+    UNSUPPORTED: 'unsupported',
+    VERIFY: 'verify'
+};
+
+const REJECTION_TEXT = {
+    [SaveRejectReason.INVALID]: 'not a valid save file',
+    [SaveRejectReason.CORRUPT]: 'save data is damaged and cannot be read',
+    [SaveRejectReason.CHECKSUM]: 'checksum mismatch (file was modified or damaged)',
+    [SaveRejectReason.STATE_HASH]: 'game state does not match its recorded hash (modified)',
+    [SaveRejectReason.UNSUPPORTED]: 'save version is not supported by this build',
+    [SaveRejectReason.VERIFY]: 'loaded state did not verify; previous game restored'
+};
+
+/**
+ * Readable text for a SaveRejectReason.
+ * @param {string} [reason]
+ * @param {string} [fallback] - Used for unknown/missing reasons (e.g. result.error)
+ * @returns {string}
+ */
+export function describeSaveRejection(reason, fallback = 'save could not be loaded') {
+    return REJECTION_TEXT[reason] ?? fallback;
+}
+
+/**
+ * @param {Object} data
+ * @returns {boolean} True if `data` is packSave() output
+ */
+export function isPackedSave(data) {
+    return !!data && typeof data === 'object' && data.format === PACKED_SAVE_FORMAT;
+}
+
+/**
+ * hashState of an envelope's game state (what verify-on-load compares).
+ * @param {Object} envelope - Save envelope
+ * @param {boolean} [quantized=false] - Sim runs in quantized math mode
+ * @returns {string}
+ */
+export function computeEnvelopeStateHash(envelope, quantized = false) {
+    return hashState(envelope.state.game, { quantized });
+}
+
+/**
+ * Checksum of a JSON text.
+ * @param {string} text
+ * @param {string} algorithm - 'sha256' | 'fnv1a32'
+ * @returns {Promise<string>} Hex digest
+ */
+async function checksumText(text, algorithm) {
+    if (algorithm === 'fnv1a32') {
+        return fnv1a32(text);
+    }
+    if (algorithm === 'sha256' && globalThis.crypto?.subtle) {
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+    throw new Error(`Checksum algorithm not available: ${algorithm}`);
+}
+
+/**
+ * Pack a save envelope with checksum and state hash.
+ *
+ * @param {Object} envelope - Save envelope (from SaveManager.captureEnvelope)
+ * @param {Object} [options]
+ * @param {boolean} [options.compress=true] - Gzip when the platform supports it
+ * @param {boolean} [options.quantized=false] - Hash quantized positions (sim.quantize)
+ * @returns {Promise<Object>} Packed save (JSON-serializable)
+ */
+export async function packSave(envelope, options = {}) {
+    const json = JSON.stringify(envelope);
+    const algorithm = globalThis.crypto?.subtle ? 'sha256' : 'fnv1a32';
+    const quantized = !!options.quantized;
+    const encoded = await encodeEnvelope(envelope, { compress: options.compress });
+
+    return {
+        format: PACKED_SAVE_FORMAT,
+        version: PACKED_SAVE_VERSION,
+        name: envelope.name,
+        savedAt: envelope.savedAt,
+        tick: envelope.state?.simLoop?.tickCount ?? 0,
+        encoding: encoded.encoding,
+        size: encoded.size,
+        checksum: { algorithm, value: await checksumText(json, algorithm) },
+        stateHash: computeEnvelopeStateHash(envelope, quantized),
+        quantized,
+        data: encoded.data
+    };
+}
+
+/**
+ * Unpack and check a packed save: decode, verify the checksum, verify the
+ * embedded state hash against the decoded game state.
+ *
+ * @param {Object} packed - packSave() output
+ * @returns {Promise<{ success: boolean, envelope?: Object, stateHash?: string, quantized?: boolean, reason?: string, error?: string }>}
+ */
+export async function unpackSave(packed) {
+    if (!isPackedSave(packed)) {
+        return { success: false, reason: SaveRejectReason.INVALID, error: 'Not a packed save' };
+    }
+    if (packed.version > PACKED_SAVE_VERSION) {
+        return {
+            success: false,
+            reason: SaveRejectReason.UNSUPPORTED,
+            error: `Packed save version ${packed.version} is newer than supported (${PACKED_SAVE_VERSION})`
+        };
+    }
+
+    let json;
+    try {
+        json = await decodeText(packed);
+    } catch (err) {
+        return { success: false, reason: SaveRejectReason.CORRUPT, error: `Corrupt save data: ${err.message}` };
+    }
+
+    let actual;
+    try {
+        actual = await checksumText(json, packed.checksum?.algorithm);
+    } catch (err) {
+        return { success: false, reason: SaveRejectReason.UNSUPPORTED, error: err.message };
+    }
+    if (actual !== packed.checksum.value) {
+        return { success: false, reason: SaveRejectReason.CHECKSUM, error: 'Save checksum mismatch' };
+    }
+
+    let envelope;
+    try {
+        envelope = JSON.parse(json);
+    } catch (err) {
+        return { success: false, reason: SaveRejectReason.CORRUPT, error: `Corrupt save data: ${err.message}` };
+    }
+
+    let stateHash;
+    try {
+        stateHash = computeEnvelopeStateHash(envelope, !!packed.quantized);
+    } catch (err) {
+        return { success: false, reason: SaveRejectReason.INVALID, error: `Invalid save state: ${err.message}` };
+    }
+    if (stateHash !== packed.stateHash) {
+        return { success: false, reason: SaveRejectReason.STATE_HASH, error: 'Save state hash mismatch' };
+    }
+
+    return { success: true, envelope, stateHash, quantized: !!packed.quantized };
+}
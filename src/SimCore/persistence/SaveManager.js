@@ -8,16 +8,76 @@
  * - Package into versioned save envelope
  * - Persist via StorageAdapter (localStorage by default)
  * - Restore/hydrate SimCore from saved state
+ * - Autosave into a rotating set of slots (every N ticks / when the page is hidden)
+ * - Optionally store packed saves (compressed, checksummed) and verify the
+ *   game state hash after loading; rejected loads carry a SaveRejectReason
  *
  * Usage:
- *   const saveManager = new SaveManager(game, storageAdapter);
+ *   const saveManager = new SaveManager(game, storageAdapter, { packSaves: true, verifyOnLoad: true });
  *   saveManager.save('slot1');
  *   saveManager.load('slot1');
+ *   saveManager.enableAutosave({ intervalTicks: 1200, slots: 3 });
  */
 
-import { serializeState, serializeUnit } from '../runtime/StateSurface.js';
-import { createSaveEnvelope, validateSaveEnvelope, migrateSaveEnvelope, extractSaveMetadata } from './SaveSchema.js';
+import { serializeState, serializeUnit, hashState } from '../runtime/StateSurface.js';
+import { createSaveEnvelope, validateSaveEnvelope, runSaveMigrations, extractSaveMetadata } from './SaveSchema.js';
 import { defaultStorageAdapter } from './StorageAdapter.js';
+import {
+    SaveRejectReason,
+    isPackedSave,
+    packSave,
+    unpackSave,
+    computeEnvelopeStateHash
+} from './SaveCodec.js';
+
+/**
+ * Migrate loaded save data to the current schema, then validate it.
+ * Migration runs first so validation only ever sees the current format.
+ *
+ * @param {Object} data - Envelope as stored
+ * @param {Object} [options] - Migration options (dryRun)
+ * @returns {{ success: boolean, envelope?: Object, migration?: Object, error?: string }}
+ */
+function prepareEnvelope(data, options = {}) {
+    if (!data || typeof data !== 'object' || data.format !== 'asterobia-save') {
+        return { success: false, reason: SaveRejectReason.INVALID, error: validateSaveEnvelope(data).error };
+    }
+
+    const migration = runSaveMigrations(data, options);
+    if (!migration.success) {
+        return { success: false, reason: SaveRejectReason.UNSUPPORTED, error: migration.error };
+    }
+
+    const validation = validateSaveEnvelope(migration.data);
+    if (!validation.valid) {
+        return { success: false, reason: SaveRejectReason.INVALID, error: validation.error };
+    }
+
+    return { success: true, envelope: migration.data, migration };
+}
+
+/**
+ * Decode stored save data (plain envelope or packed save), then migrate and
+ * validate it. Packed saves have their checksum and state hash checked.
+ *
+ * @param {Object} data - As stored / imported
+ * @param {Object} [options] - Migration options (dryRun)
+ * @returns {Promise<{ success: boolean, envelope?: Object, migration?: Object, packed?: boolean, reason?: string, error?: string }>}
+ */
+async function decodeStoredSave(data, options = {}) {
+    const packed = isPackedSave(data);
+    let envelope = data;
+    if (packed) {
+        const unpacked = await unpackSave(data);
+        if (!unpacked.success) {
+            return { success: false, reason: unpacked.reason, error: unpacked.error };
+        }
+        envelope = unpacked.envelope;
+    }
+
+    const prepared = prepareEnvelope(envelope, options);
+    return prepared.success ? { ...prepared, packed } : prepared;
+}
 
 /**
  * SaveManager orchestrates save/load operations.
@@ -26,53 +86,73 @@ export class SaveManager {
     /**
      * @param {Object} game - Game instance with simLoop, rng, units, etc.
      * @param {Object} [storageAdapter] - Storage backend (default: localStorage)
+     * @param {Object} [options]
+     * @param {boolean} [options.packSaves=false] - saveAsync/autosave store packed saves (compressed, checksummed)
+     * @param {boolean} [options.verifyOnLoad=false] - Compare the state hash after applying a save; roll back on mismatch
      */
-    constructor(game, storageAdapter = defaultStorageAdapter) {
+    constructor(game, storageAdapter = defaultStorageAdapter, options = {}) {
         this.game = game;
         this.storage = storageAdapter;
+        this.packSaves = !!options.packSaves;
+        this.verifyOnLoad = !!options.verifyOnLoad;
+
+        /** @type {Object|null} Active autosave policy (see enableAutosave) */
+        this._autosave = null;
     }
 
     /**
-     * Save current game state to storage.
+     * Capture current game state as a save envelope (no persistence).
+     * Used by save/saveAsync and by replay recording.
      *
-     * @param {string} slotKey - Save slot identifier
      * @param {Object} [metadata] - Optional metadata (name, description)
-     * @returns {{ success: boolean, error?: string }}
+     * @returns {Object} Save envelope
      */
-    save(slotKey, metadata = {}) {
-        try {
-            const game = this.game;
+    captureEnvelope(metadata = {}) {
+        const game = this.game;
 
-            // 1. Serialize game state (units, commands, etc.)
-            const gameState = serializeState(game);
+        // 1. Serialize game state (units, commands, etc.)
+        const gameState = serializeState(game);
 
-            // 2. Get SimLoop state
-            const simLoopState = game.simLoop?.getState?.() ?? {
-                tickCount: game.simLoop?.tickCount ?? 0,
-                accumulatorMs: game.simLoop?.accumulatorMs ?? 0
-            };
+        // 2. Get SimLoop state
+        const simLoopState = game.simLoop?.getState?.() ?? {
+            tickCount: game.simLoop?.tickCount ?? 0,
+            accumulatorMs: game.simLoop?.accumulatorMs ?? 0
+        };
 
-            // 3. Get RNG state
-            const rngState = game.rng?.getState?.() ?? {
-                seed: 0,
-                state: 0,
-                callCount: 0
-            };
+        // 3. Get RNG state
+        const rngState = game.rng?.getState?.() ?? {
+            seed: 0,
+            state: 0,
+            callCount: 0
+        };
 
-            // 4. Get entity ID counter
-            const entityIdCounter = game.idGenerator?.peekEntityId?.() ??
-                                   game.entityIdCounter ?? 1;
+        // 4. Get entity ID counter
+        const entityIdCounter = game.idGenerator?.peekEntityId?.() ??
+                               game.entityIdCounter ?? 1;
+
+        // 5. Create save envelope with versioning
+        return createSaveEnvelope(
+            gameState,
+            simLoopState,
+            rngState,
+            entityIdCounter,
+            metadata
+        );
+    }
 
-            // 5. Create save envelope with versioning
-            const envelope = createSaveEnvelope(
-                gameState,
-                simLoopState,
-                rngState,
-                entityIdCounter,
-                metadata
-            );
+    /**
+     * Save current game state to storage.
+     *
+     * @param {string} slotKey - Save slot identifier
+     * @param {Object} [metadata] - Optional metadata (name, description)
+     * @returns {{ success: boolean, error?: string }}
+     */
+    save(slotKey, metadata = {}) {
+        try {
+            // 1. Capture versioned envelope (game, simLoop, RNG, entity ID)
+            const envelope = this.captureEnvelope(metadata);
 
-            // 6. Persist to storage
+            // 2. Persist to storage
             const result = this.storage.save(slotKey, envelope);
 
             if (!result.success) {
@@ -90,10 +170,11 @@ export class SaveManager {
     }
 
     /**
-     * Load and validate save data (does not apply to game).
+     * Load, migrate and validate save data (does not apply to game).
+     * The stored save is left untouched; use migrateSave() to rewrite it.
      *
      * @param {string} slotKey - Save slot identifier
-     * @returns {{ success: boolean, envelope?: Object, error?: string }}
+     * @returns {{ success: boolean, envelope?: Object, migrated?: boolean, reason?: string, error?: string }}
      */
     loadEnvelope(slotKey) {
         // 1. Load from storage
@@ -102,16 +183,25 @@ export class SaveManager {
             return { success: false, error: loadResult.error };
         }
 
-        // 2. Validate
-        const validation = validateSaveEnvelope(loadResult.data);
-        if (!validation.valid) {
-            return { success: false, error: validation.error };
+        if (isPackedSave(loadResult.data)) {
+            return {
+                success: false,
+                reason: SaveRejectReason.UNSUPPORTED,
+                error: 'Packed saves must be loaded with loadAsync'
+            };
         }
 
-        // 3. Migrate if needed
-        const envelope = migrateSaveEnvelope(loadResult.data);
+        // 2. Migrate if needed, then validate
+        const prepared = prepareEnvelope(loadResult.data);
+        if (!prepared.success) {
+            return { success: false, reason: prepared.reason, error: prepared.error };
+        }
 
-        return { success: true, envelope };
+        return {
+            success: true,
+            envelope: prepared.envelope,
+            migrated: prepared.migration.applied.length > 0
+        };
     }
 
     /**
@@ -120,7 +210,8 @@ export class SaveManager {
      * @param {string} slotKey - Save slot identifier
      * @param {Object} [options] - Load options
      * @param {Function} [options.createUnit] - Unit factory function
-     * @returns {{ success: boolean, error?: string }}
+     * @param {boolean} [options.verify] - Override verifyOnLoad
+     * @returns {{ success: boolean, reason?: string, error?: string }}
      */
     load(slotKey, options = {}) {
         // 1. Load envelope
@@ -130,13 +221,10 @@ export class SaveManager {
         }
 
         const envelope = loadResult.envelope;
-        const state = envelope.state;
 
         try {
-            // 2. Apply to game
-            this.applyState(state, options);
-
-            return { success: true };
+            // 2. Apply to game (and verify)
+            return this._applyEnvelope(envelope, options);
 
         } catch (err) {
             return {
@@ -183,13 +271,85 @@ export class SaveManager {
         // 4. Restore units
         this._restoreUnits(state.game.units, options);
 
-        // 5. Restore selected unit
+        // 5. Restore non-unit entities (deposits, piles, wrecks)
+        this._restoreEntities(state.game.entities);
+
+        // 6. Restore selected unit
         if (state.game.selectedUnitId !== null && state.game.selectedUnitId !== undefined) {
             const selected = game.units?.find(u => u.id === state.game.selectedUnitId);
             if (selected) {
                 game.selectedUnit = selected;
             }
         }
+
+        // 7. Restore system state (goals, ...); older saves have none
+        if (state.game.systems) {
+            game.systems?.restore?.(state.game.systems);
+        }
+    }
+
+    /**
+     * Verify the game matches a save after applyState: resimulate zero ticks
+     * and compare hashState of the live game with the save's game state.
+     *
+     * @param {Object} envelope - Save envelope that was applied
+     * @returns {{ valid: boolean, hash: string, expected: string, error?: string }}
+     */
+    verifyLoadedState(envelope) {
+        const quantized = !!this.game.quantize;
+        const expected = computeEnvelopeStateHash(envelope, quantized);
+        const hash = hashState(serializeState(this.game), { quantized });
+
+        if (hash !== expected) {
+            return {
+                valid: false,
+                hash,
+                expected,
+                error: `State hash after load (${hash}) does not match the save (${expected})`
+            };
+        }
+        return { valid: true, hash, expected };
+    }
+
+    /**
+     * Apply an envelope; with verification, restore the previous state if the
+     * loaded game does not match the save.
+     *
+     * @param {Object} envelope
+     * @param {Object} options - Load options (verify overrides verifyOnLoad)
+     * @returns {{ success: boolean, reason?: string, error?: string }}
+     * @private
+     */
+    _applyEnvelope(envelope, options) {
+        const verify = options.verify ?? this.verifyOnLoad;
+        const previous = verify ? this.captureEnvelope() : null;
+
+        this.applyState(envelope.state, options);
+        if (!verify) {
+            return { success: true };
+        }
+
+        const check = this.verifyLoadedState(envelope);
+        if (check.valid) {
+            return { success: true };
+        }
+
+        this.applyState(previous.state, options);
+        console.warn(`[SaveManager] Save rejected: ${check.error}`);
+        return { success: false, reason: SaveRejectReason.VERIFY, error: `Save rejected: ${check.error}` };
+    }
+
+    /**
+     * Data to store for an envelope (packed when packSaves is on).
+     * @param {Object} envelope
+     * @param {boolean} [pack=this.packSaves]
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _encodeForStorage(envelope, pack = this.packSaves) {
+        return pack
+            ? packSave(envelope, { quantized: !!this.game.quantize })
+            : envelope;
     }
 
     /**
@@ -249,6 +409,24 @@ export class SaveManager {
         }
     }
 
+    /**
+     * Restore non-unit entities from saved state.
+     * Saves written before the EntityStore have no `entities` field.
+     *
+     * @param {Array} [records] - EntityStore.serialize() output
+     * @private
+     */
+    _restoreEntities(records) {
+        const game = this.game;
+        if (!records) return;
+
+        if (game.restoreEntities) {
+            game.restoreEntities(records);
+        } else if (game.entities?.restore) {
+            game.entities.restore(records);
+        }
+    }
+
     /**
      * Delete a save slot.
      *
@@ -290,7 +468,10 @@ export class SaveManager {
             return { success: false, error: loadResult.error };
         }
 
-        const metadata = extractSaveMetadata(loadResult.data);
+        const data = loadResult.data;
+        const metadata = isPackedSave(data)
+            ? { name: data.name || 'Unnamed Save', savedAt: data.savedAt || 'Unknown', tickCount: data.tick ?? 0, packed: true }
+            : extractSaveMetadata(data);
         return { success: true, metadata };
     }
 
@@ -322,10 +503,18 @@ export class SaveManager {
     importSave(slotKey, json) {
         try {
             const data = JSON.parse(json);
+            if (isPackedSave(data)) {
+                return {
+                    success: false,
+                    reason: SaveRejectReason.UNSUPPORTED,
+                    error: 'Packed saves must be imported with importSaveAsync'
+                };
+            }
 
-            const validation = validateSaveEnvelope(data);
-            if (!validation.valid) {
-                return { success: false, error: validation.error };
+            // Older exports are accepted if they migrate; stored as exported
+            const prepared = prepareEnvelope(data, { dryRun: true });
+            if (!prepared.success) {
+                return { success: false, reason: prepared.reason, error: prepared.error };
             }
 
             return this.storage.save(slotKey, data);
@@ -338,50 +527,137 @@ export class SaveManager {
         }
     }
 
-    // ============ R012: Async Methods for Supabase ============
+    /**
+     * Export a save as a packed file (compressed, with checksum and state
+     * hash) so corruption or edits are detected on import.
+     *
+     * @param {string} slotKey - Save slot identifier
+     * @param {Object} [options]
+     * @param {boolean} [options.compress=true] - Gzip when the platform supports it
+     * @returns {Promise<{ success: boolean, json?: string, error?: string }>}
+     */
+    async exportPackedSave(slotKey, options = {}) {
+        try {
+            const loadResult = await this.storage.load(slotKey);
+            if (!loadResult.success) {
+                return { success: false, error: loadResult.error };
+            }
+
+            const decoded = await decodeStoredSave(loadResult.data);
+            if (!decoded.success) {
+                return { success: false, reason: decoded.reason, error: decoded.error };
+            }
+
+            const packed = await packSave(decoded.envelope, {
+                compress: options.compress,
+                quantized: !!this.game.quantize
+            });
+            return { success: true, json: JSON.stringify(packed) };
+
+        } catch (err) {
+            return { success: false, error: `Export failed: ${err.message}` };
+        }
+    }
 
     /**
-     * Save current game state to async storage (e.g., Supabase).
+     * Import a save file (packed or plain JSON). Packed files are rejected
+     * if their checksum or state hash does not match.
+     *
+     * @param {string} slotKey - Save slot to import into
+     * @param {string} text - File contents
+     * @param {Object} [options]
+     * @param {boolean} [options.requirePacked=false] - Reject plain JSON (no checksum to check)
+     * @returns {Promise<{ success: boolean, reason?: string, error?: string }>}
+     */
+    async importSaveAsync(slotKey, text, options = {}) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            return { success: false, reason: SaveRejectReason.CORRUPT, error: `Import failed: ${err.message}` };
+        }
+
+        if (options.requirePacked && !isPackedSave(data)) {
+            return { success: false, reason: SaveRejectReason.INVALID, error: 'Save has no checksum (not a packed save)' };
+        }
+
+        try {
+            const decoded = await decodeStoredSave(data, { dryRun: true });
+            if (!decoded.success) {
+                return { success: false, reason: decoded.reason, error: decoded.error };
+            }
+
+            const result = await this.storage.save(slotKey, await this._encodeForStorage(decoded.envelope));
+            return result.success ? { success: true } : { success: false, error: result.error };
+
+        } catch (err) {
+            return { success: false, error: `Import failed: ${err.message}` };
+        }
+    }
+
+    /**
+     * Migrate a stored save to the current schema in place, keeping the
+     * original under `<slotKey>.v<N>.backup` first. Works with sync and async storage.
      *
      * @param {string} slotKey - Save slot identifier
-     * @param {Object} [metadata] - Optional metadata
-     * @returns {Promise<{ success: boolean, data?: Object, error?: string }>}
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Only report the steps that would run
+     * @returns {Promise<{ success: boolean, applied?: Array, backupKey?: string, dryRun?: boolean, error?: string }>}
      */
-    async saveAsync(slotKey, metadata = {}) {
+    async migrateSave(slotKey, options = {}) {
+        const dryRun = !!options.dryRun;
         try {
-            const game = this.game;
+            const loadResult = await this.storage.load(slotKey);
+            if (!loadResult.success) {
+                return { success: false, error: loadResult.error };
+            }
 
-            // 1. Serialize game state
-            const gameState = serializeState(game);
+            const prepared = await decodeStoredSave(loadResult.data, { dryRun });
+            if (!prepared.success) {
+                return { success: false, reason: prepared.reason, error: prepared.error };
+            }
 
-            // 2. Get SimLoop state
-            const simLoopState = game.simLoop?.getState?.() ?? {
-                tickCount: game.simLoop?.tickCount ?? 0,
-                accumulatorMs: game.simLoop?.accumulatorMs ?? 0
-            };
+            const { applied, fromVersion } = prepared.migration;
+            if (applied.length === 0 || dryRun) {
+                return { success: true, applied, dryRun };
+            }
 
-            // 3. Get RNG state
-            const rngState = game.rng?.getState?.() ?? {
-                seed: 0,
-                state: 0,
-                callCount: 0
-            };
+            const backupKey = `${slotKey}.v${fromVersion}.backup`;
+            const backupResult = await this.storage.save(backupKey, loadResult.data);
+            if (!backupResult.success) {
+                return { success: false, error: `Backup failed: ${backupResult.error}` };
+            }
 
-            // 4. Get entity ID counter
-            const entityIdCounter = game.idGenerator?.peekEntityId?.() ??
-                                   game.entityIdCounter ?? 1;
+            const migrated = await this._encodeForStorage(prepared.envelope, prepared.packed || this.packSaves);
+            const saveResult = await this.storage.save(slotKey, migrated);
+            if (!saveResult.success) {
+                return { success: false, backupKey, error: saveResult.error };
+            }
 
-            // 5. Create save envelope
-            const envelope = createSaveEnvelope(
-                gameState,
-                simLoopState,
-                rngState,
-                entityIdCounter,
-                metadata
-            );
+            console.log(`[SaveManager] Migrated ${slotKey} from v${fromVersion} (backup: ${backupKey})`);
+            return { success: true, applied, backupKey, dryRun };
 
-            // 6. Persist to async storage
-            const result = await this.storage.save(slotKey, envelope);
+        } catch (err) {
+            return { success: false, error: `Migration failed: ${err.message}` };
+        }
+    }
+
+    // ============ R012: Async Methods for Supabase ============
+
+    /**
+     * Save current game state to async storage (e.g., Supabase).
+     *
+     * @param {string} slotKey - Save slot identifier
+     * @param {Object} [metadata] - Optional metadata
+     * @returns {Promise<{ success: boolean, data?: Object, error?: string }>}
+     */
+    async saveAsync(slotKey, metadata = {}) {
+        try {
+            // 1. Capture versioned envelope
+            const envelope = this.captureEnvelope(metadata);
+
+            // 2. Persist to async storage (packed if enabled)
+            const result = await this.storage.save(slotKey, await this._encodeForStorage(envelope));
 
             if (!result.success) {
                 return { success: false, error: result.error };
@@ -401,8 +677,8 @@ export class SaveManager {
      * Load and apply saved state from async storage.
      *
      * @param {string} slotKey - Save slot identifier
-     * @param {Object} [options] - Load options
-     * @returns {Promise<{ success: boolean, data?: Object, error?: string }>}
+     * @param {Object} [options] - Load options (verify overrides verifyOnLoad)
+     * @returns {Promise<{ success: boolean, data?: Object, reason?: string, error?: string }>}
      */
     async loadAsync(slotKey, options = {}) {
         try {
@@ -412,18 +688,19 @@ export class SaveManager {
                 return loadResult;
             }
 
-            // 2. Validate
-            const validation = validateSaveEnvelope(loadResult.data);
-            if (!validation.valid) {
-                return { success: false, error: validation.error };
+            // 2. Unpack (checksum, state hash), migrate if needed, validate
+            const prepared = await decodeStoredSave(loadResult.data);
+            if (!prepared.success) {
+                return { success: false, reason: prepared.reason, error: prepared.error };
             }
 
-            // 3. Migrate if needed
-            const envelope = migrateSaveEnvelope(loadResult.data);
-            const state = envelope.state;
+            const envelope = prepared.envelope;
 
-            // 4. Apply to game
-            this.applyState(state, options);
+            // 3. Apply to game (and verify)
+            const applied = this._applyEnvelope(envelope, options);
+            if (!applied.success) {
+                return applied;
+            }
 
             return { success: true, data: envelope };
 
@@ -434,4 +711,239 @@ export class SaveManager {
             };
         }
     }
+
+    // ============ Autosave ============
+
+    /**
+     * Start autosaving. Works with sync (localStorage) and async (IndexedDB,
+     * Supabase) storage. Each autosave goes to the oldest of `slots` rotating
+     * slots ('autosave_0', 'autosave_1', ...) so a save that fails half-way
+     * never destroys the only good copy.
+     *
+     * The envelope is captured on the tick boundary (before the next tick
+     * runs, like state-sync keyframes); only the write is async.
+     * With a recording ReplayRecorder, its command timeline is stored in the
+     * envelope as `timeline`.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.intervalTicks=1200] - Ticks between autosaves (0 = only on visibility change / autosaveNow)
+     * @param {number} [options.slots=3] - Number of rotating slots
+     * @param {string} [options.slotPrefix='autosave_'] - Slot key prefix
+     * @param {boolean} [options.onHidden=true] - Also autosave when the page becomes hidden
+     * @param {Object} [options.document] - Document for visibilitychange (default: globalThis.document)
+     * @param {Object} [options.recorder] - ReplayRecorder whose timeline is saved too
+     * @param {Object} [options.metadata] - Envelope metadata (name, description)
+     * @param {Function} [options.onSaved] - (result) after a successful autosave
+     * @param {Function} [options.onError] - (result) after a failed autosave; result.quotaExceeded when storage is full
+     */
+    enableAutosave(options = {}) {
+        const intervalTicks = options.intervalTicks ?? 1200;
+        const slots = options.slots ?? 3;
+        if (!Number.isInteger(intervalTicks) || intervalTicks < 0) {
+            throw new Error(`Invalid autosave interval: ${intervalTicks}`);
+        }
+        if (!Number.isInteger(slots) || slots < 1) {
+            throw new Error(`Invalid autosave slot count: ${slots}`);
+        }
+        const simLoop = this.game.simLoop;
+        if (intervalTicks > 0 && !simLoop) {
+            throw new Error('Interval autosave requires game.simLoop');
+        }
+
+        this.disableAutosave();
+
+        const autosave = {
+            intervalTicks,
+            slots,
+            slotPrefix: options.slotPrefix ?? 'autosave_',
+            recorder: options.recorder ?? null,
+            metadata: options.metadata ?? {},
+            onSaved: options.onSaved ?? null,
+            onError: options.onError ?? null,
+            seq: null,
+            saving: false,
+            lastTick: simLoop?.tickCount ?? 0,
+            lastSlot: null,
+            lastSavedAt: null,
+            lastError: null,
+            quotaExceeded: false,
+            saveCount: 0,
+            prevOnSimTick: null,
+            document: null,
+            onVisibilityChange: null
+        };
+        this._autosave = autosave;
+
+        if (intervalTicks > 0) {
+            // Chain onto the sim tick (restored on disableAutosave)
+            autosave.prevOnSimTick = simLoop.onSimTick;
+            simLoop.onSimTick = (dt, tick) => {
+                // State before this tick = state after tick - 1 (consistent with simLoop.tickCount)
+                if (simLoop.tickCount - autosave.lastTick >= intervalTicks) {
+                    this.autosaveNow('interval');
+                }
+                if (autosave.prevOnSimTick) autosave.prevOnSimTick(dt, tick);
+            };
+        }
+
+        const doc = options.document ?? globalThis.document;
+        if ((options.onHidden ?? true) && doc?.addEventListener) {
+            autosave.document = doc;
+            autosave.onVisibilityChange = () => {
+                if (doc.visibilityState === 'hidden') {
+                    this.autosaveNow('hidden');
+                }
+            };
+            doc.addEventListener('visibilitychange', autosave.onVisibilityChange);
+        }
+    }
+
+    /**
+     * Stop autosaving (an autosave already writing still completes).
+     */
+    disableAutosave() {
+        const autosave = this._autosave;
+        if (!autosave) return;
+
+        if (autosave.intervalTicks > 0 && this.game.simLoop) {
+            this.game.simLoop.onSimTick = autosave.prevOnSimTick;
+        }
+        if (autosave.document) {
+            autosave.document.removeEventListener('visibilitychange', autosave.onVisibilityChange);
+        }
+        this._autosave = null;
+    }
+
+    /**
+     * Autosave immediately into the next rotating slot.
+     * Skipped (not queued) while a previous autosave is still writing.
+     *
+     * @param {string} [reason='manual'] - Stored in the envelope ('interval', 'hidden', 'manual')
+     * @returns {Promise<{ success: boolean, slotKey?: string, tick?: number, skipped?: boolean, error?: string, quotaExceeded?: boolean }>}
+     */
+    async autosaveNow(reason = 'manual') {
+        const autosave = this._autosave;
+        if (!autosave) {
+            return { success: false, error: 'Autosave not enabled' };
+        }
+        if (autosave.saving) {
+            return { success: false, skipped: true, error: 'Autosave already in progress' };
+        }
+
+        autosave.saving = true;
+        const tick = this.game.simLoop?.tickCount ?? 0;
+        autosave.lastTick = tick;
+
+        let result;
+        try {
+            const envelope = this.captureEnvelope(autosave.metadata);
+            const timeline = autosave.recorder?.snapshot?.();
+            if (timeline) {
+                envelope.timeline = timeline;
+            }
+
+            if (autosave.seq === null) {
+                autosave.seq = await this._findNextAutosaveSeq(autosave);
+            }
+            const slotKey = autosave.slotPrefix + (autosave.seq % autosave.slots);
+            envelope.autosave = { seq: autosave.seq, reason, tick };
+
+            const saveResult = await this.storage.save(slotKey, await this._encodeForStorage(envelope));
+            result = saveResult.success
+                ? { success: true, slotKey, tick }
+                : { success: false, slotKey, tick, error: saveResult.error, quotaExceeded: !!saveResult.quotaExceeded };
+        } catch (err) {
+            result = { success: false, tick, error: `Autosave failed: ${err.message}` };
+        } finally {
+            autosave.saving = false;
+        }
+
+        if (result.success) {
+            autosave.seq++;
+            autosave.saveCount++;
+            autosave.lastSlot = result.slotKey;
+            autosave.lastSavedAt = Date.now();
+            autosave.lastError = null;
+            autosave.quotaExceeded = false;
+            autosave.onSaved?.(result);
+        } else {
+            autosave.lastError = result.error;
+            autosave.quotaExceeded = !!result.quotaExceeded;
+            console.warn(`[SaveManager] Autosave failed: ${result.error}`);
+            autosave.onError?.(result);
+        }
+        return result;
+    }
+
+    /**
+     * @returns {Object} Autosave policy and last outcome ({ enabled: false } when off)
+     */
+    getAutosaveStatus() {
+        const autosave = this._autosave;
+        if (!autosave) {
+            return { enabled: false };
+        }
+        return {
+            enabled: true,
+            intervalTicks: autosave.intervalTicks,
+            slots: autosave.slots,
+            saving: autosave.saving,
+            saveCount: autosave.saveCount,
+            lastSlot: autosave.lastSlot,
+            lastTick: autosave.lastTick,
+            lastSavedAt: autosave.lastSavedAt,
+            lastError: autosave.lastError,
+            quotaExceeded: autosave.quotaExceeded
+        };
+    }
+
+    /**
+     * Find the newest autosave (e.g. to offer "Continue" after a reload).
+     *
+     * @param {Object} [options]
+     * @param {number} [options.slots=3] - Rotating slot count
+     * @param {string} [options.slotPrefix='autosave_'] - Slot key prefix
+     * @returns {Promise<{ success: boolean, slotKey?: string, envelope?: Object, error?: string }>}
+     */
+    async findLatestAutosave(options = {}) {
+        const autosaves = await this._readAutosaves(
+            options.slotPrefix ?? this._autosave?.slotPrefix ?? 'autosave_',
+            options.slots ?? this._autosave?.slots ?? 3
+        );
+        if (autosaves.length === 0) {
+            return { success: false, error: 'No autosave found' };
+        }
+        const latest = autosaves.reduce((a, b) => (b.seq > a.seq ? b : a));
+        return { success: true, slotKey: latest.slotKey, envelope: latest.envelope };
+    }
+
+    /**
+     * Sequence number after the newest existing autosave, so rotation
+     * continues across page reloads instead of overwriting the newest slot.
+     * @private
+     */
+    async _findNextAutosaveSeq(autosave) {
+        const autosaves = await this._readAutosaves(autosave.slotPrefix, autosave.slots);
+        return autosaves.reduce((next, { seq }) => Math.max(next, seq + 1), 0);
+    }
+
+    /**
+     * Read every valid autosave slot.
+     * @returns {Promise<Array<{ slotKey: string, seq: number, envelope: Object }>>}
+     * @private
+     */
+    async _readAutosaves(slotPrefix, slots) {
+        const found = [];
+        for (let i = 0; i < slots; i++) {
+            const slotKey = slotPrefix + i;
+            const loadResult = await this.storage.load(slotKey);
+            if (!loadResult.success) continue;
+            const decoded = await decodeStoredSave(loadResult.data, { dryRun: true });
+            const seq = decoded.envelope?.autosave?.seq;
+            if (decoded.success && Number.isInteger(seq)) {
+                found.push({ slotKey, seq, envelope: decoded.envelope });
+            }
+        }
+        return found;
+    }
 }
@@ -8,6 +8,8 @@
  * - v1: Initial R011 release
  */
 
+import { MigrationRegistry } from './MigrationRegistry.js';
+
 /** Current schema version */
 export const SAVE_SCHEMA_VERSION = 1;
 
@@ -96,28 +98,41 @@ export function validateSaveEnvelope(envelope) {
     return { valid: true, version: envelope.schemaVersion };
 }
 
+/**
+ * Save envelope migrations (one pure step per schema version).
+ * Register new steps here when SAVE_SCHEMA_VERSION is bumped, and add a
+ * fixture of the old format to __tests__/fixtures/ so it keeps loading.
+ */
+export const saveMigrations = new MigrationRegistry({
+    name: 'Save',
+    currentVersion: SAVE_SCHEMA_VERSION
+});
+
+/**
+ * Run the save migrations and report the outcome (steps applied, backup of
+ * the original envelope, errors).
+ *
+ * @param {Object} envelope - Save envelope to migrate (not modified)
+ * @param {Object} [options] - MigrationRegistry.migrate options (dryRun)
+ * @returns {import('./MigrationRegistry.js').MigrationResult}
+ */
+export function runSaveMigrations(envelope, options = {}) {
+    return saveMigrations.migrate(envelope, options);
+}
+
 /**
  * Migrate save data from older schema versions.
- * Add migration logic here as schema evolves.
  *
  * @param {Object} envelope - Save envelope to migrate
  * @returns {Object} Migrated envelope (at current schema version)
+ * @throws {Error} If a migration step is missing or fails
  */
 export function migrateSaveEnvelope(envelope) {
-    let current = { ...envelope };
-
-    // Migration v0 -> v1 (placeholder for future)
-    // if (current.schemaVersion < 1) {
-    //     current = migrateV0ToV1(current);
-    // }
-
-    // Future migrations:
-    // if (current.schemaVersion < 2) {
-    //     current = migrateV1ToV2(current);
-    // }
-
-    current.schemaVersion = SAVE_SCHEMA_VERSION;
-    return current;
+    const result = saveMigrations.migrate(envelope);
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    return result.data;
 }
 
 /**
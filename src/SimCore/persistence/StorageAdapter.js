@@ -10,7 +10,23 @@
  * - load(key) - Retrieve JSON data
  * - delete(key) - Remove saved data
  * - list() - List all save keys
+ *
+ * Failed saves return { success: false, error }; when the backend ran out of
+ * space they also carry quotaExceeded: true so callers can tell the player.
+ */
+
+/**
+ * Whether an error thrown by a browser storage API means the quota is full.
+ * @param {*} err
+ * @returns {boolean}
  */
+export function isQuotaExceededError(err) {
+    return !!err && (
+        err.name === 'QuotaExceededError' ||
+        err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        err.code === 22
+    );
+}
 
 /**
  * LocalStorageAdapter - Default storage using browser localStorage.
@@ -27,7 +43,7 @@ export class LocalStorageAdapter {
      * Save data to localStorage.
      * @param {string} key - Save slot key
      * @param {Object} data - Data to persist (will be JSON stringified)
-     * @returns {{ success: boolean, error?: string }}
+     * @returns {{ success: boolean, error?: string, quotaExceeded?: boolean }}
      */
     save(key, data) {
         try {
@@ -36,6 +52,9 @@ export class LocalStorageAdapter {
             localStorage.setItem(fullKey, json);
             return { success: true };
         } catch (err) {
+            if (isQuotaExceededError(err)) {
+                return { success: false, error: 'Storage quota exceeded', quotaExceeded: true };
+            }
             return {
                 success: false,
                 error: err.message || 'localStorage save failed'
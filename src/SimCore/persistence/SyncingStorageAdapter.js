@@ -0,0 +1,522 @@
+/**
+ * SyncingStorageAdapter - Local-First Storage with Cloud Sync
+ *
+ * Implements the StorageAdapter interface on top of two adapters: a local one
+ * (LocalStorageAdapter / IndexedDBStorageAdapter) that is always written first,
+ * and a remote one (SupabaseStorageAdapter) that receives queued uploads
+ * whenever it is reachable. Every method is async; use
+ * SaveManager.saveAsync/loadAsync with it.
+ *
+ * Revisions:
+ *   Each synced slot carries a revision number, stored next to the data as
+ *   `_sync` (stripped again by load()). The remote copy holds the latest
+ *   revision; the local copy remembers the revision it was last synced with
+ *   and whether it has unsynced changes (`dirty`).
+ *
+ *   - local dirty, remote still at our revision  → upload as revision + 1
+ *   - local clean, remote newer                  → pull remote into local
+ *   - local dirty, remote newer (another device) → conflict
+ *
+ * Conflicts are never resolved silently: they are reported through
+ * getConflicts()/onConflict and settled with resolveConflict(key, choice):
+ *   - 'keep-local'  : upload the local copy over the remote one
+ *   - 'keep-remote' : replace the local copy with the remote one
+ *   - 'keep-both'   : remote stays in the slot, the local copy moves to a new slot
+ *
+ * The upload queue survives reloads (dirty local records are re-queued by
+ * resume()); pending remote deletes are kept in memory only.
+ *
+ * Usage:
+ *   const storage = new SyncingStorageAdapter({
+ *       local: new LocalStorageAdapter(),
+ *       remote: new SupabaseStorageAdapter(client),
+ *       syncKeys: ['quicksave']   // SupabaseStorageAdapter keeps one row per user
+ *   });
+ *   await storage.resume();
+ *   const saveManager = new SaveManager(game, storage);
+ */
+
+/** Conflict resolution choices */
+export const ConflictResolution = Object.freeze({
+    KEEP_LOCAL: 'keep-local',
+    KEEP_REMOTE: 'keep-remote',
+    KEEP_BOTH: 'keep-both'
+});
+
+/** Field holding sync metadata inside stored data */
+const SYNC_FIELD = '_sync';
+
+/**
+ * Split stored data into the caller's data and its sync metadata.
+ * @param {Object} stored
+ * @returns {{ data: Object, meta: Object|null }}
+ */
+function splitSyncMeta(stored) {
+    if (!stored || typeof stored !== 'object' || !(SYNC_FIELD in stored)) {
+        return { data: stored, meta: null };
+    }
+    const { [SYNC_FIELD]: meta, ...data } = stored;
+    return { data, meta: meta ?? null };
+}
+
+/**
+ * @returns {string} Random device identifier
+ */
+function createDeviceId() {
+    if (globalThis.crypto?.randomUUID) {
+        return globalThis.crypto.randomUUID();
+    }
+    return `device-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * SyncingStorageAdapter writes locally first and syncs slots to a remote adapter.
+ */
+export class SyncingStorageAdapter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.local - Local StorageAdapter (sync or async)
+     * @param {Object} options.remote - Remote StorageAdapter (async, may be unreachable)
+     * @param {string} [options.deviceId] - Identifies this device in sync metadata (default: random)
+     * @param {string[]|null} [options.syncKeys=null] - Slots to sync (null: all); others stay local
+     * @param {boolean} [options.autoFlush=true] - Start uploading right after each save/delete
+     * @param {Function} [options.onConflict] - (conflict) => void when a conflict is detected
+     * @param {Function} [options.now=Date.now] - Clock (tests)
+     */
+    constructor(options = {}) {
+        if (!options.local || !options.remote) {
+            throw new Error('SyncingStorageAdapter requires local and remote adapters');
+        }
+
+        this.local = options.local;
+        this.remote = options.remote;
+        this.deviceId = options.deviceId || createDeviceId();
+        this.syncKeys = options.syncKeys ? new Set(options.syncKeys) : null;
+        this.autoFlush = options.autoFlush ?? true;
+        this.onConflict = options.onConflict ?? null;
+        this._now = options.now ?? Date.now;
+
+        /** @type {Set<string>} Slots waiting for upload (in order) */
+        this._uploads = new Set();
+
+        /** @type {Set<string>} Slots waiting for remote delete */
+        this._deletes = new Set();
+
+        /** @type {Map<string, Object>} key → conflict */
+        this._conflicts = new Map();
+
+        /** @type {Promise|null} Running flush */
+        this._flushing = null;
+
+        /** @type {boolean|null} Whether the last remote call succeeded (null: not tried yet) */
+        this.online = null;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean} True if this slot is synced to the remote
+     */
+    isSynced(key) {
+        return !this.syncKeys || this.syncKeys.has(key);
+    }
+
+    // ============ StorageAdapter interface ============
+
+    /**
+     * Save locally and queue the upload.
+     * @param {string} key - Save slot key
+     * @param {Object} data - Data to persist
+     * @returns {Promise<{ success: boolean, pending?: boolean, error?: string, quotaExceeded?: boolean }>}
+     */
+    async save(key, data) {
+        if (!this.isSynced(key)) {
+            return this.local.save(key, data);
+        }
+
+        const previous = await this._loadLocal(key);
+        const result = await this.local.save(key, {
+            ...data,
+            [SYNC_FIELD]: {
+                revision: previous?.meta?.revision ?? null,
+                dirty: true,
+                deviceId: this.deviceId,
+                updatedAt: this._now()
+            }
+        });
+        if (!result.success) {
+            return result;
+        }
+
+        this._deletes.delete(key);
+        this._uploads.add(key);
+        this._autoFlush();
+        return { success: true, pending: true };
+    }
+
+    /**
+     * Load a slot, pulling a newer remote revision first when reachable.
+     * Falls back to the local copy when the remote is unreachable or in conflict.
+     *
+     * @param {string} key - Save slot key
+     * @returns {Promise<{ success: boolean, data?: Object, error?: string }>}
+     */
+    async load(key) {
+        if (this.isSynced(key) && !this._conflicts.has(key)) {
+            await this.pull(key);
+        }
+
+        const result = await this.local.load(key);
+        if (!result.success) {
+            return result;
+        }
+        return { success: true, data: splitSyncMeta(result.data).data };
+    }
+
+    /**
+     * Delete locally and queue the remote delete.
+     * @param {string} key - Save slot key
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async delete(key) {
+        const result = await this.local.delete(key);
+        if (!result.success || !this.isSynced(key)) {
+            return result;
+        }
+
+        this._uploads.delete(key);
+        this._conflicts.delete(key);
+        this._deletes.add(key);
+        this._autoFlush();
+        return { success: true, pending: true };
+    }
+
+    /**
+     * @returns {Promise<string[]>} Local save keys
+     */
+    async list() {
+        return this.local.list();
+    }
+
+    /**
+     * @param {string} key - Save slot key
+     * @returns {Promise<boolean>} True if the slot exists locally
+     */
+    async exists(key) {
+        return this.local.exists(key);
+    }
+
+    // ============ Sync ============
+
+    /**
+     * Re-queue local slots with unsynced changes (after a reload) and flush.
+     * @returns {Promise<Object>} Sync status
+     */
+    async resume() {
+        const keys = await this.local.list();
+        for (const key of keys) {
+            if (!this.isSynced(key)) continue;
+            const local = await this._loadLocal(key);
+            if (local?.meta?.dirty) {
+                this._uploads.add(key);
+            }
+        }
+        await this.flush();
+        return this.getSyncStatus();
+    }
+
+    /**
+     * Process queued uploads and deletes until done or the remote is unreachable.
+     * Concurrent calls share one run.
+     *
+     * @returns {Promise<Object>} Sync status
+     */
+    flush() {
+        if (!this._flushing) {
+            this._flushing = this._drain().finally(() => {
+                this._flushing = null;
+            });
+        }
+        return this._flushing.then(() => this.getSyncStatus());
+    }
+
+    /**
+     * Bring the local copy of a slot up to the remote revision if it has no
+     * unsynced changes; records a conflict if it has.
+     *
+     * @param {string} key - Save slot key
+     * @returns {Promise<{ success: boolean, pulled?: boolean, conflict?: boolean, offline?: boolean, error?: string }>}
+     */
+    async pull(key) {
+        const remote = await this._loadRemote(key);
+        if (remote.offline) {
+            return { success: false, offline: true, error: remote.error };
+        }
+        if (!remote.exists) {
+            return { success: true, pulled: false };
+        }
+
+        const local = await this._loadLocal(key);
+        const remoteRevision = remote.meta?.revision ?? 0;
+        const localRevision = local?.meta?.revision ?? null;
+
+        if (localRevision === remoteRevision) {
+            return { success: true, pulled: false };
+        }
+        if (local && (local.meta?.dirty ?? true)) {
+            this._recordConflict(key, local.meta, remote.meta);
+            return { success: false, conflict: true, error: `Sync conflict on ${key}` };
+        }
+
+        const result = await this._writeLocal(key, remote.data, remoteRevision);
+        return result.success ? { success: true, pulled: true } : result;
+    }
+
+    /**
+     * @returns {Array<Object>} Unresolved conflicts
+     */
+    getConflicts() {
+        return [...this._conflicts.values()];
+    }
+
+    /**
+     * Settle a conflict detected by flush() or pull().
+     *
+     * @param {string} key - Save slot key
+     * @param {string} choice - ConflictResolution value
+     * @returns {Promise<{ success: boolean, keptAs?: string, error?: string }>}
+     */
+    async resolveConflict(key, choice) {
+        if (!this._conflicts.has(key)) {
+            return { success: false, error: `No conflict on ${key}` };
+        }
+        if (!Object.values(ConflictResolution).includes(choice)) {
+            return { success: false, error: `Unknown conflict resolution: ${choice}` };
+        }
+
+        const remote = await this._loadRemote(key);
+        if (remote.offline) {
+            return { success: false, error: remote.error };
+        }
+        const remoteRevision = remote.meta?.revision ?? 0;
+        const local = await this._loadLocal(key);
+
+        if (choice === ConflictResolution.KEEP_LOCAL) {
+            if (!local) {
+                return { success: false, error: 'Local save not found' };
+            }
+            const result = await this._upload(key, local.data, remoteRevision, local.meta?.updatedAt);
+            if (!result.success) return result;
+            this._conflicts.delete(key);
+            return { success: true };
+        }
+
+        let keptAs;
+        if (choice === ConflictResolution.KEEP_BOTH && local) {
+            keptAs = `${key}.conflict-${this._now()}`;
+            const copy = await this.save(keptAs, local.data);
+            if (!copy.success) return copy;
+        }
+
+        const result = remote.exists
+            ? await this._writeLocal(key, remote.data, remoteRevision)
+            : await this.local.delete(key);
+        if (!result.success) return result;
+
+        this._conflicts.delete(key);
+        this._uploads.delete(key);
+        return { success: true, keptAs };
+    }
+
+    /**
+     * @returns {{ online: boolean|null, pendingUploads: string[], pendingDeletes: string[], conflicts: string[] }}
+     */
+    getSyncStatus() {
+        return {
+            online: this.online,
+            pendingUploads: [...this._uploads],
+            pendingDeletes: [...this._deletes],
+            conflicts: [...this._conflicts.keys()]
+        };
+    }
+
+    // ============ Internals ============
+
+    /**
+     * Start a flush in the background if enabled.
+     * @private
+     */
+    _autoFlush() {
+        if (this.autoFlush) {
+            this.flush().catch(err => {
+                console.error('[SyncingStorageAdapter] Sync failed:', err?.message ?? err);
+            });
+        }
+    }
+
+    /**
+     * Flush body: deletes first, then uploads; keys queued meanwhile are picked up.
+     * @private
+     */
+    async _drain() {
+        for (const key of [...this._deletes]) {
+            const result = await this._callRemote('delete', key);
+            this.online = !!result.success;
+            if (!result.success) return;
+            this._deletes.delete(key);
+        }
+
+        const attempted = new Set();
+        let key;
+        while ((key = [...this._uploads].find(k => !attempted.has(k))) !== undefined) {
+            attempted.add(key);
+            const result = await this._syncUpload(key);
+            if (result.offline) return;
+            if (result.retry) {
+                attempted.delete(key);
+            } else {
+                this._uploads.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Upload one queued slot unless the remote moved on without us.
+     * @param {string} key
+     * @returns {Promise<{ offline?: boolean, retry?: boolean }>}
+     * @private
+     */
+    async _syncUpload(key) {
+        const local = await this._loadLocal(key);
+        if (!local || !local.meta?.dirty) {
+            return {};
+        }
+
+        const remote = await this._loadRemote(key);
+        if (remote.offline) {
+            return { offline: true };
+        }
+
+        const remoteRevision = remote.exists ? (remote.meta?.revision ?? 0) : null;
+        const baseRevision = local.meta.revision ?? null;
+
+        if (remote.exists && remoteRevision !== baseRevision) {
+            this._recordConflict(key, local.meta, remote.meta);
+            return {};
+        }
+
+        const result = await this._upload(key, local.data, remoteRevision ?? baseRevision ?? 0, local.meta.updatedAt);
+        if (!result.success) {
+            this.online = false;
+            return { offline: true };
+        }
+
+        // Saved again while uploading: keep it queued for the next pass
+        return { retry: result.dirty };
+    }
+
+    /**
+     * Write `data` remotely as revision baseRevision + 1, then record the new
+     * revision locally (still dirty if the slot was saved again meanwhile).
+     *
+     * @param {string} key
+     * @param {Object} data
+     * @param {number} baseRevision
+     * @param {number} [uploadedAt] - updatedAt of the local copy being uploaded
+     * @returns {Promise<{ success: boolean, revision?: number, dirty?: boolean, error?: string }>}
+     * @private
+     */
+    async _upload(key, data, baseRevision, uploadedAt) {
+        const revision = baseRevision + 1;
+        const result = await this._callRemote('save', key, {
+            ...data,
+            [SYNC_FIELD]: { revision, deviceId: this.deviceId, updatedAt: this._now() }
+        });
+        if (!result.success) {
+            return { success: false, error: result.error };
+        }
+
+        const local = await this._loadLocal(key);
+        if (!local) {
+            return { success: true, revision, dirty: false };
+        }
+        const dirty = local.meta?.updatedAt !== uploadedAt;
+        await this.local.save(key, {
+            ...local.data,
+            [SYNC_FIELD]: { ...local.meta, revision, dirty }
+        });
+        return { success: true, revision, dirty };
+    }
+
+    /**
+     * Call a remote adapter method; exceptions become failed results.
+     * @param {string} method - 'save' | 'load' | 'delete'
+     * @returns {Promise<{ success: boolean, data?: Object, error?: string }>}
+     * @private
+     */
+    async _callRemote(method, ...args) {
+        try {
+            return await this.remote[method](...args);
+        } catch (err) {
+            return { success: false, error: err?.message || `Remote ${method} failed` };
+        }
+    }
+
+    /**
+     * Store remote data locally as a clean copy of `revision`.
+     * @private
+     */
+    async _writeLocal(key, data, revision) {
+        return this.local.save(key, {
+            ...data,
+            [SYNC_FIELD]: { revision, dirty: false, deviceId: this.deviceId, updatedAt: this._now() }
+        });
+    }
+
+    /**
+     * @returns {Promise<{ data: Object, meta: Object|null }|null>} null if missing
+     * @private
+     */
+    async _loadLocal(key) {
+        const result = await this.local.load(key);
+        return result.success ? splitSyncMeta(result.data) : null;
+    }
+
+    /**
+     * @returns {Promise<{ exists: boolean, offline?: boolean, data?: Object, meta?: Object|null, error?: string }>}
+     * @private
+     */
+    async _loadRemote(key) {
+        const result = await this._callRemote('load', key);
+
+        if (result.success) {
+            this.online = true;
+            return { exists: true, ...splitSyncMeta(result.data) };
+        }
+        if (result.error === 'Save not found') {
+            this.online = true;
+            return { exists: false };
+        }
+        this.online = false;
+        return { exists: false, offline: true, error: result.error };
+    }
+
+    /**
+     * @private
+     */
+    _recordConflict(key, localMeta, remoteMeta) {
+        const conflict = {
+            key,
+            localRevision: localMeta?.revision ?? null,
+            remoteRevision: remoteMeta?.revision ?? 0,
+            remoteDeviceId: remoteMeta?.deviceId ?? null,
+            localUpdatedAt: localMeta?.updatedAt ?? null,
+            remoteUpdatedAt: remoteMeta?.updatedAt ?? null
+        };
+        this._conflicts.set(key, conflict);
+        this._uploads.delete(key);
+        console.warn(`[SyncingStorageAdapter] Conflict on ${key}: local r${conflict.localRevision}, remote r${conflict.remoteRevision}`);
+        if (this.onConflict) {
+            this.onConflict(conflict);
+        }
+    }
+}
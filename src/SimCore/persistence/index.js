@@ -3,11 +3,17 @@
  *
  * R011: Save/Load system for game state persistence.
  * R012: Supabase cloud storage adapter.
+ * IndexedDB storage adapter (large saves) and SaveManager autosave.
+ * SyncingStorageAdapter: local-first saves synced to Supabase with conflict resolution.
  *
  * Exports:
  * - SaveManager: Main save/load orchestrator
- * - StorageAdapters: localStorage, memory (for testing), Supabase (R012)
+ * - StorageAdapters: localStorage, memory (for testing), Supabase (R012), IndexedDB,
+ *   syncing (local + remote)
  * - Schema utilities: versioning, validation, migration
+ * - MigrationRegistry: ordered pure vN → vN+1 steps (saves, blueprints, stats config)
+ * - SaveCodec: gzip+base64 envelope encoding (state transfer), packed saves
+ *   with checksum + state hash, rejection reasons
  */
 
 export { SaveManager } from './SaveManager.js';
@@ -15,15 +21,38 @@ export { SaveManager } from './SaveManager.js';
 export {
     LocalStorageAdapter,
     MemoryStorageAdapter,
-    defaultStorageAdapter
+    defaultStorageAdapter,
+    isQuotaExceededError
 } from './StorageAdapter.js';
 
 export { SupabaseStorageAdapter } from './SupabaseStorageAdapter.js';
 
+export { IndexedDBStorageAdapter } from './IndexedDBStorageAdapter.js';
+
+export { SyncingStorageAdapter, ConflictResolution } from './SyncingStorageAdapter.js';
+
+export { MigrationRegistry } from './MigrationRegistry.js';
+
+export {
+    SaveEncoding,
+    encodeEnvelope,
+    decodeEnvelope,
+    PACKED_SAVE_FORMAT,
+    PACKED_SAVE_VERSION,
+    SaveRejectReason,
+    describeSaveRejection,
+    isPackedSave,
+    packSave,
+    unpackSave,
+    computeEnvelopeStateHash
+} from './SaveCodec.js';
+
 export {
     SAVE_SCHEMA_VERSION,
     createSaveEnvelope,
     validateSaveEnvelope,
     migrateSaveEnvelope,
+    runSaveMigrations,
+    saveMigrations,
     extractSaveMetadata
 } from './SaveSchema.js';
@@ -0,0 +1,308 @@
+/**
+ * ReplayPlayer - Deterministic playback of recorded sessions
+ *
+ * Restores the replay's initial save envelope into a sim (SimWorld or Game),
+ * re-enqueues every recorded command on the tick it was originally enqueued,
+ * and advances the sim through its SimLoop one fixed tick at a time.
+ *
+ * Re-enqueueing (instead of injecting at flush time) reproduces the exact
+ * entity ID consumption of the original run, so command and unit IDs match.
+ *
+ * Controls: play / pause / setSpeed / stepTick / seek / verify
+ * Verification: hashState checkpoints are compared after every tick;
+ * the first mismatching tick is reported via onDesync.
+ *
+ * Usage:
+ *   const player = new ReplayPlayer(new SimWorld());
+ *   player.load(replay);
+ *   const result = player.verify(); // { valid, firstDesyncTick, ... }
+ */
+
+import { SaveManager } from '../persistence/SaveManager.js';
+import { validateReplay, parseReplay, computeReplayHash } from './ReplaySchema.js';
+
+/**
+ * ReplayPlayer drives a sim from a replay object.
+ */
+export class ReplayPlayer {
+    /**
+     * @param {Object} sim - Sim with simLoop, commandQueue, rng, idGenerator, restoreUnits
+     * @param {Object} [options]
+     * @param {CommandQueue} [options.commandQueue] - Queue to feed (default: sim.commandQueue)
+     * @param {boolean} [options.pauseOnDesync=true] - Pause playback at the first mismatching checkpoint
+     * @param {Function} [options.onDesync] - Called with { tick, expected, actual }
+     */
+    constructor(sim, options = {}) {
+        this.sim = sim;
+        this.commandQueue = options.commandQueue ?? sim.commandQueue;
+        this.pauseOnDesync = options.pauseOnDesync ?? true;
+
+        /** @type {((desync: { tick: number, expected: string, actual: string }) => void) | null} */
+        this.onDesync = options.onDesync ?? null;
+
+        if (!this.commandQueue || !sim.simLoop) {
+            throw new Error('ReplayPlayer requires a sim with simLoop and commandQueue');
+        }
+
+        this.replay = null;
+        this.playing = false;
+        this.speed = 1.0;
+        this.desyncs = [];
+
+        this._checkpoints = new Map();
+        this._commandIndex = 0;
+        this._loopClockMs = 0;
+        this._playClockMs = 0;
+        this._lastFrameMs = 0;
+        this._fastForwarding = false;
+    }
+
+    /**
+     * Load a replay (object or .asterobia-replay JSON string) and restore its initial state.
+     * @param {Object|string} replayOrJson
+     * @returns {{ success: boolean, error?: string }}
+     */
+    load(replayOrJson) {
+        let replay = replayOrJson;
+
+        if (typeof replayOrJson === 'string') {
+            const parsed = parseReplay(replayOrJson);
+            if (!parsed.success) return { success: false, error: parsed.error };
+            replay = parsed.replay;
+        } else {
+            const validation = validateReplay(replay);
+            if (!validation.valid) return { success: false, error: validation.error };
+        }
+
+        if (replay.metadata.fixedDtMs !== this.sim.simLoop.fixedDtMs) {
+            return {
+                success: false,
+                error: `Timestep mismatch: replay ${replay.metadata.fixedDtMs}ms, sim ${this.sim.simLoop.fixedDtMs}ms`
+            };
+        }
+
+        if ((replay.metadata.quantized ?? false) !== !!this.sim.quantize) {
+            return {
+                success: false,
+                error: `Math mode mismatch: replay quantized=${!!replay.metadata.quantized}, sim quantized=${!!this.sim.quantize}`
+            };
+        }
+
+        this.replay = replay;
+        this._checkpoints = new Map(replay.checkpoints.map(cp => [cp.tick, cp.hash]));
+
+        try {
+            this._restoreInitialState();
+        } catch (err) {
+            this.replay = null;
+            return { success: false, error: `Restore failed: ${err.message}` };
+        }
+
+        return { success: true };
+    }
+
+    // ============ Controls ============
+
+    play() {
+        if (!this.replay) return;
+        this.playing = true;
+        this._lastFrameMs = 0;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Set playback speed multiplier (e.g. 0.5, 1, 2, 4).
+     * @param {number} speed
+     */
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || !(speed > 0)) {
+            console.warn('[ReplayPlayer] Invalid speed:', speed);
+            return;
+        }
+        this.speed = speed;
+    }
+
+    /**
+     * Advance playback by a real frame timestamp (call from requestAnimationFrame).
+     * Runs as many fixed ticks as elapsed time × speed allows.
+     * @param {number} frameMs - Frame timestamp in milliseconds
+     */
+    update(frameMs) {
+        if (!this.playing || !this.replay) return;
+
+        if (this._lastFrameMs === 0) {
+            this._lastFrameMs = frameMs;
+            return;
+        }
+
+        const simLoop = this.sim.simLoop;
+        const delta = Math.min(frameMs - this._lastFrameMs, simLoop.maxFrameMs);
+        this._lastFrameMs = frameMs;
+        this._playClockMs += delta * this.speed;
+
+        while (this.playing && this._playClockMs >= simLoop.fixedDtMs && !this.isFinished()) {
+            this._playClockMs -= simLoop.fixedDtMs;
+            this.stepTick();
+        }
+
+        if (this.isFinished()) {
+            this.playing = false;
+        }
+    }
+
+    /**
+     * Advance exactly one tick (works while paused).
+     * @returns {boolean} False if the replay has ended
+     */
+    stepTick() {
+        if (!this.replay || this.isFinished()) return false;
+
+        const simLoop = this.sim.simLoop;
+        const currentTick = simLoop.tickCount;
+
+        // Re-enqueue commands recorded between the previous tick and this one
+        const commands = this.replay.commands;
+        while (this._commandIndex < commands.length &&
+               commands[this._commandIndex].enqueuedTick <= currentTick) {
+            const entry = commands[this._commandIndex];
+            this.commandQueue.enqueue(entry.command, entry.scheduledTick);
+            this._commandIndex++;
+        }
+
+        // Exactly one fixed tick through SimLoop (accumulator < fixedDtMs after restore)
+        if (simLoop.lastFrameMs === 0) {
+            this._loopClockMs = simLoop.fixedDtMs;
+            simLoop.step(this._loopClockMs);
+        }
+        this._loopClockMs += simLoop.fixedDtMs;
+        simLoop.step(this._loopClockMs);
+
+        this._verifyCheckpoint(simLoop.tickCount);
+        return true;
+    }
+
+    /**
+     * Jump to a tick. Seeking backwards restores the initial state and fast-forwards.
+     * @param {number} targetTick
+     * @returns {{ success: boolean, tick?: number, error?: string }}
+     */
+    seek(targetTick) {
+        if (!this.replay) return { success: false, error: 'No replay loaded' };
+
+        const { startTick, endTick } = this.replay.metadata;
+        const tick = Math.max(startTick, Math.min(endTick, targetTick));
+
+        if (tick < this.sim.simLoop.tickCount) {
+            this._restoreInitialState();
+        }
+
+        this._fastForwarding = true;
+        while (this.sim.simLoop.tickCount < tick) {
+            this.stepTick();
+        }
+        this._fastForwarding = false;
+
+        return { success: true, tick };
+    }
+
+    /**
+     * Replay from the start to the end and compare every checkpoint.
+     * @returns {{ valid: boolean, firstDesyncTick: number|null, desyncs: Object[], finalHash: string, expectedFinalHash: string|null }}
+     */
+    verify() {
+        if (!this.replay) {
+            return { valid: false, firstDesyncTick: null, desyncs: [], finalHash: null, expectedFinalHash: null };
+        }
+
+        this._restoreInitialState();
+        this.seek(this.replay.metadata.endTick);
+
+        const finalHash = computeReplayHash(this.sim, this.sim.simLoop.tickCount);
+        const expectedFinalHash = this.replay.finalHash;
+        const finalMatches = expectedFinalHash === null || finalHash === expectedFinalHash;
+
+        return {
+            valid: this.desyncs.length === 0 && finalMatches,
+            firstDesyncTick: this.desyncs[0]?.tick ?? (finalMatches ? null : this.replay.metadata.endTick),
+            desyncs: [...this.desyncs],
+            finalHash,
+            expectedFinalHash
+        };
+    }
+
+    // ============ Status ============
+
+    /**
+     * @returns {boolean} True once the last recorded tick has been played
+     */
+    isFinished() {
+        return !this.replay || this.sim.simLoop.tickCount >= this.replay.metadata.endTick;
+    }
+
+    /**
+     * @returns {{ currentTick: number, startTick: number, endTick: number, percent: number, playing: boolean, speed: number }}
+     */
+    getProgress() {
+        const startTick = this.replay?.metadata.startTick ?? 0;
+        const endTick = this.replay?.metadata.endTick ?? 0;
+        const currentTick = this.sim.simLoop.tickCount;
+        const span = endTick - startTick;
+
+        return {
+            currentTick,
+            startTick,
+            endTick,
+            percent: span > 0 ? (currentTick - startTick) / span : 1,
+            playing: this.playing,
+            speed: this.speed
+        };
+    }
+
+    // ============ Internals ============
+
+    /**
+     * Reset queue, re-enqueue commands pending at record start, apply initial envelope.
+     * @private
+     */
+    _restoreInitialState() {
+        this.commandQueue.reset();
+
+        // Their IDs were consumed before recording; applyState restores the counter after
+        for (const pending of this.replay.initialPending || []) {
+            this.commandQueue.enqueue(pending.command, pending.scheduledTick);
+        }
+
+        new SaveManager(this.sim, null).applyState(this.replay.initialState.state);
+
+        this._commandIndex = 0;
+        this._loopClockMs = 0;
+        this._playClockMs = 0;
+        this._lastFrameMs = 0;
+        this.desyncs = [];
+    }
+
+    /** @private */
+    _verifyCheckpoint(tick) {
+        const expected = this._checkpoints.get(tick);
+        if (expected === undefined) return;
+
+        const actual = computeReplayHash(this.sim, tick);
+        if (actual === expected) return;
+
+        const desync = { tick, expected, actual };
+        this.desyncs.push(desync);
+
+        if (this.desyncs.length === 1) {
+            console.warn(`[ReplayPlayer] Desync at tick ${tick}`);
+        }
+        if (this.onDesync) {
+            this.onDesync(desync);
+        }
+        if (this.pauseOnDesync && !this._fastForwarding) {
+            this.playing = false;
+        }
+    }
+}
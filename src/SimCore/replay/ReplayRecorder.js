@@ -0,0 +1,231 @@
+/**
+ * ReplayRecorder - Captures a session for deterministic playback
+ *
+ * Records:
+ * - Initial save envelope (units, SimLoop state, RNG state, entity ID counter)
+ * - Every command enqueued on the CommandQueue, with the tick it was enqueued
+ *   on and the tick it was processed on (processedAtTick)
+ * - hashState checkpoints every N ticks (for desync detection)
+ *
+ * Unlike CommandQueue history (capped at _maxHistory), the log is unbounded
+ * for the duration of the recording.
+ *
+ * Usage:
+ *   const recorder = new ReplayRecorder(world, { checkpointInterval: 10 });
+ *   recorder.start({ name: 'Bug 42' });
+ *   world.runTicks(500);
+ *   const replay = recorder.stop();
+ *   const { json, fileName } = recorder.export();
+ */
+
+import { SaveManager } from '../persistence/SaveManager.js';
+import {
+    createReplay,
+    serializeReplay,
+    getReplayFileName,
+    computeReplayHash
+} from './ReplaySchema.js';
+
+/** Queue stamps that are re-applied on playback (not part of the input) */
+const STAMP_FIELDS = ['id', 'seq', 'enqueuedAt', 'scheduledTick', 'processedAtTick'];
+
+/**
+ * Strip CommandQueue stamps, leaving the original input command.
+ * @param {Object} stamped - Command as returned by CommandQueue.enqueue
+ * @returns {Object}
+ */
+function toInputCommand(stamped) {
+    const command = JSON.parse(JSON.stringify(stamped));
+    for (const field of STAMP_FIELDS) {
+        delete command[field];
+    }
+    return command;
+}
+
+/**
+ * ReplayRecorder observes a sim (Game or SimWorld) while it runs.
+ */
+export class ReplayRecorder {
+    /**
+     * @param {Object} sim - Sim with simLoop, units, rng, idGenerator (Game or SimWorld)
+     * @param {Object} [options]
+     * @param {CommandQueue} [options.commandQueue] - Queue to observe (default: sim.commandQueue)
+     * @param {number} [options.checkpointInterval=10] - Ticks between hash checkpoints (0 = final hash only)
+     */
+    constructor(sim, options = {}) {
+        this.sim = sim;
+        this.commandQueue = options.commandQueue ?? sim.commandQueue;
+        this.checkpointInterval = options.checkpointInterval ?? 10;
+
+        if (!this.commandQueue || !sim.simLoop) {
+            throw new Error('ReplayRecorder requires a sim with simLoop and commandQueue');
+        }
+
+        this.recording = false;
+        this.replay = null;
+
+        this._initialState = null;
+        this._initialPending = [];
+        this._commands = [];
+        this._commandsById = new Map();
+        this._checkpoints = [];
+        this._metadata = {};
+        this._unsubscribers = [];
+        this._prevOnSimTick = null;
+    }
+
+    /**
+     * Begin recording from the current sim state.
+     * @param {Object} [metadata] - Replay metadata (name, description)
+     * @returns {{ success: boolean, error?: string }}
+     */
+    start(metadata = {}) {
+        if (this.recording) {
+            return { success: false, error: 'Already recording' };
+        }
+
+        try {
+            this._initialState = new SaveManager(this.sim, null).captureEnvelope(metadata);
+        } catch (err) {
+            return { success: false, error: `Capture failed: ${err.message}` };
+        }
+
+        this._initialPending = this.commandQueue.getPending().map(cmd => ({
+            scheduledTick: cmd.scheduledTick,
+            command: toInputCommand(cmd)
+        }));
+        this._commands = [];
+        this._commandsById = new Map();
+        this._checkpoints = [];
+        this._metadata = { ...metadata };
+        this.replay = null;
+
+        this._unsubscribers = [
+            this.commandQueue.on('enqueue', (cmd) => this._onEnqueue(cmd)),
+            this.commandQueue.on('flush', (cmds, tick) => this._onFlush(cmds, tick))
+        ];
+
+        // Chain onto the sim tick for checkpoints (restored on stop)
+        const simLoop = this.sim.simLoop;
+        this._prevOnSimTick = simLoop.onSimTick;
+        simLoop.onSimTick = (dt, tick) => {
+            if (this._prevOnSimTick) this._prevOnSimTick(dt, tick);
+            this._onTick(tick);
+        };
+
+        this.recording = true;
+        return { success: true };
+    }
+
+    /**
+     * Stop recording and build the replay object.
+     * @returns {Object|null} Replay (null if not recording)
+     */
+    stop() {
+        if (!this.recording) return null;
+
+        for (const unsubscribe of this._unsubscribers) {
+            unsubscribe();
+        }
+        this._unsubscribers = [];
+        this.sim.simLoop.onSimTick = this._prevOnSimTick;
+        this._prevOnSimTick = null;
+        this.recording = false;
+
+        this.replay = this._buildReplay(this._commands, this._checkpoints);
+        return this.replay;
+    }
+
+    /**
+     * Build a replay of everything recorded so far without stopping
+     * (autosave persists it so the command timeline survives a reload).
+     * @returns {Object|null} Replay (null if not recording)
+     */
+    snapshot() {
+        if (!this.recording) return null;
+
+        // Entries still gain processedAtTick while recording continues
+        return this._buildReplay(
+            JSON.parse(JSON.stringify(this._commands)),
+            this._checkpoints.slice()
+        );
+    }
+
+    /**
+     * @param {Array} commands
+     * @param {Array} checkpoints
+     * @returns {Object} Replay ending at the current tick
+     * @private
+     */
+    _buildReplay(commands, checkpoints) {
+        return createReplay({
+            initialState: this._initialState,
+            initialPending: this._initialPending,
+            commands,
+            checkpoints
+        }, {
+            ...this._metadata,
+            fixedDtMs: this.sim.simLoop.fixedDtMs,
+            quantized: !!this.sim.quantize,
+            checkpointInterval: this.checkpointInterval,
+            endTick: this.sim.simLoop.tickCount,
+            finalHash: computeReplayHash(this.sim, this.sim.simLoop.tickCount)
+        });
+    }
+
+    /**
+     * Export the last stopped recording as .asterobia-replay file contents.
+     * @returns {{ success: boolean, json?: string, fileName?: string, error?: string }}
+     */
+    export() {
+        if (!this.replay) {
+            return { success: false, error: 'No replay recorded' };
+        }
+
+        return {
+            success: true,
+            json: serializeReplay(this.replay),
+            fileName: getReplayFileName(this.replay.metadata.name)
+        };
+    }
+
+    /**
+     * @returns {number} Commands recorded so far
+     */
+    get commandCount() {
+        return this._commands.length;
+    }
+
+    // ============ Observers ============
+
+    /** @private */
+    _onEnqueue(cmd) {
+        const entry = {
+            seq: this._commands.length,
+            enqueuedTick: this.sim.simLoop.tickCount,
+            scheduledTick: cmd.scheduledTick,
+            tick: null, // processedAtTick, filled on flush
+            command: toInputCommand(cmd)
+        };
+        this._commands.push(entry);
+        this._commandsById.set(cmd.id, entry);
+    }
+
+    /** @private */
+    _onFlush(cmds, tick) {
+        for (const cmd of cmds) {
+            const entry = this._commandsById.get(cmd.id);
+            if (entry) {
+                entry.tick = cmd.processedAtTick ?? tick;
+                this._commandsById.delete(cmd.id);
+            }
+        }
+    }
+
+    /** @private */
+    _onTick(tick) {
+        if (this.checkpointInterval > 0 && tick % this.checkpointInterval === 0) {
+            this._checkpoints.push({ tick, hash: computeReplayHash(this.sim, tick) });
+        }
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * ReplaySchema - Replay File Format & Versioning
+ *
+ * A replay is the initial save envelope plus every command the sim processed,
+ * stamped with the tick it was enqueued on and the tick it was flushed on.
+ * Periodic hashState checkpoints let playback detect the first desync tick.
+ *
+ * File extension: .asterobia-replay (plain JSON)
+ *
+ * Schema versions:
+ * - v1: Initial release
+ */
+
+import { validateSaveEnvelope } from '../persistence/SaveSchema.js';
+import { serializeState, hashState } from '../runtime/StateSurface.js';
+
+/** Current replay schema version */
+export const REPLAY_SCHEMA_VERSION = 1;
+
+/** Format identifier stored in every replay file */
+export const REPLAY_FORMAT = 'asterobia-replay';
+
+/** File extension for exported replays */
+export const REPLAY_FILE_EXTENSION = '.asterobia-replay';
+
+/**
+ * Create a replay file object.
+ *
+ * @param {Object} recording - Captured data
+ * @param {Object} recording.initialState - Save envelope captured when recording started
+ * @param {Object[]} [recording.initialPending] - Commands already queued at start ({ scheduledTick, command })
+ * @param {Object[]} recording.commands - Recorded commands ({ seq, enqueuedTick, scheduledTick, tick, command })
+ * @param {Object[]} recording.checkpoints - Hash checkpoints ({ tick, hash })
+ * @param {Object} [metadata] - Recording metadata (name, endTick, finalHash, ...)
+ * @returns {Object} Complete replay object
+ */
+export function createReplay(recording, metadata = {}) {
+    const initialState = recording.initialState;
+
+    return {
+        // Schema info
+        schemaVersion: REPLAY_SCHEMA_VERSION,
+        format: REPLAY_FORMAT,
+
+        // Timestamps
+        recordedAt: new Date().toISOString(),
+        gameVersion: metadata.gameVersion || '0.1.0',
+
+        metadata: {
+            name: metadata.name || 'Replay',
+            description: metadata.description || '',
+            seed: initialState?.state?.rng?.seed ?? 0,
+            fixedDtMs: metadata.fixedDtMs ?? 50,
+            checkpointInterval: metadata.checkpointInterval ?? 0,
+            startTick: initialState?.state?.simLoop?.tickCount ?? 0,
+            endTick: metadata.endTick ?? 0,
+            quantized: metadata.quantized ?? false
+        },
+
+        initialState,
+        initialPending: recording.initialPending ?? [],
+        commands: recording.commands,
+        checkpoints: recording.checkpoints,
+        finalHash: metadata.finalHash ?? null
+    };
+}
+
+/**
+ * Validate a replay object.
+ *
+ * @param {Object} replay - Parsed replay data
+ * @returns {{ valid: boolean, version?: number, error?: string }}
+ */
+export function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') {
+        return { valid: false, error: 'Invalid replay data: not an object' };
+    }
+
+    if (replay.format !== REPLAY_FORMAT) {
+        return { valid: false, error: 'Invalid replay format identifier' };
+    }
+
+    if (typeof replay.schemaVersion !== 'number') {
+        return { valid: false, error: 'Missing schema version' };
+    }
+
+    if (replay.schemaVersion > REPLAY_SCHEMA_VERSION) {
+        return {
+            valid: false,
+            error: `Replay version ${replay.schemaVersion} is newer than supported (${REPLAY_SCHEMA_VERSION})`
+        };
+    }
+
+    if (!replay.metadata || typeof replay.metadata.endTick !== 'number') {
+        return { valid: false, error: 'Missing or invalid replay metadata' };
+    }
+
+    const stateValidation = validateSaveEnvelope(replay.initialState);
+    if (!stateValidation.valid) {
+        return { valid: false, error: `Invalid initial state: ${stateValidation.error}` };
+    }
+
+    if (!Array.isArray(replay.commands)) {
+        return { valid: false, error: 'Missing command log' };
+    }
+
+    for (const entry of replay.commands) {
+        // tick is null for commands still pending when recording stopped
+        const tickValid = entry.tick === null || typeof entry.tick === 'number';
+        if (!tickValid || typeof entry.enqueuedTick !== 'number' || !entry.command) {
+            return { valid: false, error: 'Malformed command entry' };
+        }
+    }
+
+    if (!Array.isArray(replay.checkpoints)) {
+        return { valid: false, error: 'Missing checkpoints' };
+    }
+
+    return { valid: true, version: replay.schemaVersion };
+}
+
+/**
+ * Compute the checkpoint hash for a sim at a given tick.
+ * The tick is passed explicitly because SimLoop only advances tickCount
+ * after onSimTick returns. Sims in quantized math mode hash grid values.
+ *
+ * @param {Object} sim - Game or SimWorld
+ * @param {number} tick - Tick the state belongs to
+ * @returns {string}
+ */
+export function computeReplayHash(sim, tick) {
+    const state = serializeState(sim);
+    state.tickCount = tick;
+    return hashState(state, { quantized: !!sim.quantize });
+}
+
+/**
+ * Serialize a replay to file contents.
+ *
+ * @param {Object} replay - Replay object
+ * @returns {string} JSON string
+ */
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate replay file contents.
+ *
+ * @param {string} json - File contents
+ * @returns {{ success: boolean, replay?: Object, error?: string }}
+ */
+export function parseReplay(json) {
+    try {
+        const replay = JSON.parse(json);
+        const validation = validateReplay(replay);
+        if (!validation.valid) {
+            return { success: false, error: validation.error };
+        }
+        return { success: true, replay };
+    } catch (err) {
+        return { success: false, error: `Parse failed: ${err.message}` };
+    }
+}
+
+/**
+ * Build a replay file name with the standard extension.
+ *
+ * @param {string} name - Base name
+ * @returns {string}
+ */
+export function getReplayFileName(name) {
+    const base = String(name || 'replay')
+        .replace(REPLAY_FILE_EXTENSION, '')
+        .replace(/[^a-zA-Z0-9_-]+/g, '_');
+    return base + REPLAY_FILE_EXTENSION;
+}
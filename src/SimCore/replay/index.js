@@ -0,0 +1,25 @@
+/**
+ * SimCore Replay Module
+ *
+ * Deterministic session recording and playback.
+ *
+ * Exports:
+ * - ReplayRecorder: captures initial envelope + command log + hash checkpoints
+ * - ReplayPlayer: restores, replays through SimLoop, verifies checkpoints
+ * - Schema utilities: .asterobia-replay format, validation, parsing
+ */
+
+export { ReplayRecorder } from './ReplayRecorder.js';
+export { ReplayPlayer } from './ReplayPlayer.js';
+
+export {
+    REPLAY_SCHEMA_VERSION,
+    REPLAY_FORMAT,
+    REPLAY_FILE_EXTENSION,
+    createReplay,
+    validateReplay,
+    serializeReplay,
+    parseReplay,
+    getReplayFileName,
+    computeReplayHash
+} from './ReplaySchema.js';
@@ -0,0 +1,337 @@
+/**
+ * MovementRules - Authoritative path-following rules
+ *
+ * The one implementation of command-driven movement, shared by the render
+ * Unit (Entities/Unit.js update()) and the headless MovementSystem:
+ * - Smooth pause/resume through speedFactor easing
+ * - Follow path[] sequentially via pathIndex (never teleport, never reverse)
+ * - End-of-path slowdown for open paths, wrap-around for closed/looping paths
+ * - Water and slope limits (COLLISION_WATER / BLOCKED_BY_SLOPE)
+ * - Project onto the terrain surface after EVERY movement step
+ * - Waypoint arrival detection drives Move command progression
+ *
+ * Works on plain {x,y,z} vectors and THREE.Vector3 alike: positions are
+ * read through .x/.y/.z and written in place, never replaced.
+ * NO Three.js or rendering code allowed here.
+ *
+ * Render-only behaviour (rock bounce, transition arcs, keyboard driving,
+ * heading smoothing) stays in the render Unit and hooks in through the
+ * stepAlongPath options.
+ *
+ * Terrain contract (satisfied by World/Terrain.js and createSphereTerrain()):
+ *   { params: { radius, waterLevel }, getRadiusAt(dir: {x,y,z}): number }
+ */
+
+import { GameEvent } from '../domain/GameEvents.js';
+import { datan2, dsqrt } from '../runtime/DeterministicMath.js';
+
+/** Safety cap on path steps per tick */
+export const MAX_STEP_ITERATIONS = 100;
+
+/** Hover height used when a unit has no groundOffset */
+export const DEFAULT_GROUND_OFFSET = 0.22;
+
+// ============ Plain Vector Helpers (module-private) ============
+
+function copyVec(v) {
+    return { x: v.x, y: v.y, z: v.z };
+}
+
+function setVec(target, v) {
+    target.x = v.x;
+    target.y = v.y;
+    target.z = v.z;
+}
+
+function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function length(a) {
+    return Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z);
+}
+
+function distance(a, b) {
+    return length(sub(a, b));
+}
+
+function normalize(a) {
+    const len = length(a);
+    if (len === 0) return { x: 0, y: 0, z: 0 };
+    return { x: a.x / len, y: a.y / len, z: a.z / len };
+}
+
+/**
+ * Terrain surface point below `point` (plus hover offset).
+ * @returns {{x: number, y: number, z: number}}
+ */
+function surfacePoint(terrain, point, offset) {
+    let dir = normalize(point);
+    if (length(dir) === 0) dir = { x: 0, y: 1, z: 0 };
+    const radius = terrain.getRadiusAt(dir) + offset;
+    return { x: dir.x * radius, y: dir.y * radius, z: dir.z * radius };
+}
+
+/**
+ * Uphill angle of a step between two surface points, in degrees
+ * (rise in radius against the tangential run; 0 for level or downhill).
+ * Decides BLOCKED_BY_SLOPE, so it uses the reproducible datan2.
+ *
+ * @param {{x: number, y: number, z: number}} from
+ * @param {{x: number, y: number, z: number}} to
+ * @returns {number}
+ */
+export function stepSlopeDeg(from, to) {
+    const rise = length(to) - length(from);
+    if (rise <= 0) return 0;
+    const run = dsqrt(Math.max(0, dot(sub(to, from), sub(to, from)) - rise * rise));
+    return datan2(rise, run) * 180 / Math.PI;
+}
+
+// ============ Rules ============
+
+/**
+ * Ease speedFactor toward 0 (paused / hovered) or 1 and return this tick's
+ * move distance.
+ *
+ * @param {Object} unit
+ * @param {number} dt - Fixed delta time in seconds
+ * @returns {number} Distance the unit may travel this tick
+ */
+export function easeSpeed(unit, dt) {
+    if (unit.speedFactor === undefined) unit.speedFactor = 1.0;
+    if (unit.waterSlowdownFactor === undefined) unit.waterSlowdownFactor = 1.0;
+
+    const stopping = Boolean(unit.pausedByCommand || unit.hoverState);
+    const targetFactor = stopping ? 0.0 : 1.0;
+    const lerpSpeed = stopping ? 4.0 : 3.0;
+    unit.speedFactor += (targetFactor - unit.speedFactor) * (dt * lerpSpeed);
+
+    // "Effectively stopped": snap to 0 to avoid micro-movements
+    if (unit.speedFactor < 0.001) {
+        unit.speedFactor = 0;
+        return 0;
+    }
+    return (unit.speed || 10) * dt * unit.speedFactor * unit.waterSlowdownFactor;
+}
+
+/**
+ * @param {Object} unit
+ * @returns {boolean} True if the unit's path wraps around
+ */
+export function isLooping(unit) {
+    return Boolean(unit.loopingEnabled || unit.isPathClosed);
+}
+
+/**
+ * Move the unit forward along its path by up to moveSpeed.
+ *
+ * @param {Object} unit - Unit with path[], pathIndex, position
+ * @param {number} moveSpeed - Distance for this tick (see easeSpeed)
+ * @param {Object} terrain - Height sampler
+ * @param {Object} [options]
+ * @param {EventBus} [options.eventBus] - Receives COLLISION_WATER / BLOCKED_BY_SLOPE
+ * @param {string} [options.waterState='stopped'] - waterState entered at the shore
+ *   (the render Unit eases out through 'slowing')
+ * @param {Function} [options.resolveStep] - (from, desired, distance) => position;
+ *   lets the render Unit apply rock collision to partial steps
+ * @param {Function} [options.onArrival] - (arrivedWaypoint, nextWaypoint) => void
+ * @param {number} [options.groundOffset] - Hover height for terrain projection
+ *   (default: unit.groundOffset, then DEFAULT_GROUND_OFFSET)
+ * @returns {{x: number, y: number, z: number}|null} Direction of the last partial step
+ */
+export function stepAlongPath(unit, moveSpeed, terrain, options = {}) {
+    const path = unit.path;
+    if (!path || path.length === 0 || !unit.isFollowingPath || moveSpeed <= 0) return null;
+
+    const looping = isLooping(unit);
+    const eventBus = options.eventBus ?? null;
+
+    if (unit.pathIndex === undefined || unit.pathIndex < 0) unit.pathIndex = 0;
+
+    if (unit.pathIndex >= path.length) {
+        if (looping) {
+            unit.pathIndex = 0;
+        } else {
+            unit.isFollowingPath = false;
+            return null;
+        }
+    }
+
+    let remainingMove = moveSpeed;
+
+    // END-OF-PATH SLOWDOWN (only for non-looping paths)
+    if (!looping) {
+        const remainingPoints = path.length - unit.pathIndex;
+        const slowdownZone = Math.min(30, path.length * 0.2);
+        if (remainingPoints < slowdownZone) {
+            remainingMove *= Math.max(0.1, remainingPoints / slowdownZone);
+        }
+    }
+
+    const waterLevel = terrain.params?.waterLevel ?? 0;
+    const waterRadius = (terrain.params?.radius ?? 10) + waterLevel;
+    const canEnterWater = unit.canWalkUnderwater || unit.canSwim;
+    const offset = options.groundOffset ?? unit.groundOffset ?? DEFAULT_GROUND_OFFSET;
+    let direction = null;
+
+    let iterations = 0;
+    while (remainingMove > 0 && (unit.waterState ?? 'normal') === 'normal' && iterations < MAX_STEP_ITERATIONS) {
+        iterations++;
+
+        if (unit.pathIndex >= path.length) {
+            if (looping) {
+                unit.pathIndex = 0;
+            } else {
+                unit.isFollowingPath = false;
+                break;
+            }
+        }
+
+        const target = path[unit.pathIndex];
+        if (!target) break;
+
+        // Land units stop at the shore
+        if (!canEnterWater && terrain.getRadiusAt(normalize(target)) < waterRadius) {
+            unit.waterState = options.waterState ?? 'stopped';
+            unit.isFollowingPath = false;
+            eventBus?.emit(GameEvent.COLLISION_WATER, {
+                unitId: unit.id,
+                position: copyVec(unit.position),
+                waterLevel
+            });
+            break;
+        }
+
+        // Slope limit (e.g. 60° for MOVE_ROLL); units without one climb anything
+        if (unit.maxSlopeDeg !== undefined && unit.maxSlopeDeg !== null) {
+            const slopeDeg = stepSlopeDeg(unit.position, target);
+            if (slopeDeg > unit.maxSlopeDeg) {
+                unit.isFollowingPath = false;
+                eventBus?.emit(GameEvent.BLOCKED_BY_SLOPE, {
+                    unitId: unit.id,
+                    position: copyVec(unit.position),
+                    slopeDeg,
+                    normal: normalize(unit.position)
+                });
+                break;
+            }
+        }
+
+        const distToTarget = distance(unit.position, target);
+
+        if (distToTarget <= remainingMove) {
+            setVec(unit.position, target);
+            remainingMove -= distToTarget;
+            unit.pathIndex++;
+        } else {
+            direction = normalize(sub(target, unit.position));
+            const desired = {
+                x: unit.position.x + direction.x * remainingMove,
+                y: unit.position.y + direction.y * remainingMove,
+                z: unit.position.z + direction.z * remainingMove
+            };
+            setVec(unit.position, options.resolveStep
+                ? options.resolveStep(copyVec(unit.position), desired, remainingMove)
+                : desired);
+            remainingMove = 0;
+        }
+
+        // CRITICAL: project to terrain after every movement
+        setVec(unit.position, surfacePoint(terrain, unit.position, offset));
+
+        const arrival = detectWaypointArrival(unit, looping);
+        if (arrival) options.onArrival?.(arrival.arrived, arrival.next);
+    }
+
+    return direction;
+}
+
+/**
+ * Event-based waypoint arrival (crossing detection on pathSegmentIndices).
+ * Initializes lastWaypointId / targetWaypointId on first use, then completes
+ * the matching Move command and advances currentCommandIndex on arrival.
+ *
+ * Waypoint IDs are command IDs.
+ *
+ * @param {Object} unit
+ * @param {boolean} [looping=isLooping(unit)]
+ * @returns {{ arrived: Object, next: Object|null }|null} Waypoints on arrival
+ */
+export function detectWaypointArrival(unit, looping = isLooping(unit)) {
+    const waypoints = unit.waypoints;
+    if (!unit.pathSegmentIndices || !waypoints || waypoints.length < 2) return null;
+
+    // First-time initialization: last = start waypoint, target = next
+    if (!unit.targetWaypointId) {
+        let lastIdx = 0;
+        if (unit.lastWaypointId) {
+            const found = waypoints.findIndex(wp => wp.id === unit.lastWaypointId);
+            if (found !== -1) lastIdx = found;
+        } else {
+            unit.lastWaypointId = waypoints[0].id;
+            waypoints[0].logicalState = 'left';
+        }
+
+        let nextIdx = lastIdx + 1;
+        if (nextIdx >= waypoints.length) nextIdx = looping ? 0 : waypoints.length - 1;
+        unit.targetWaypointId = waypoints[nextIdx].id;
+        waypoints[nextIdx].logicalState = 'approaching';
+    }
+
+    const targetWpIdx = waypoints.findIndex(wp => wp.id === unit.targetWaypointId);
+    if (targetWpIdx === -1) return null;
+
+    const arrivalPathIdx = unit.pathSegmentIndices[targetWpIdx];
+    const prevPathIdx = unit._prevPathIndex || 0;
+    unit._prevPathIndex = unit.pathIndex;
+
+    let crossed;
+    if (targetWpIdx === 0 && looping) {
+        // Wrap-around: pathIndex jumped from the end back to the start
+        const didWrap = prevPathIdx > unit.path.length * 0.5 && unit.pathIndex < unit.path.length * 0.2;
+        crossed = didWrap && unit.pathIndex >= arrivalPathIdx;
+    } else {
+        crossed = prevPathIdx < arrivalPathIdx && unit.pathIndex >= arrivalPathIdx;
+    }
+
+    if (arrivalPathIdx === undefined || !crossed) return null;
+
+    const arrivedWp = waypoints[targetWpIdx];
+    unit.lastWaypointId = arrivedWp.id;
+    arrivedWp.logicalState = 'left';
+
+    let nextWpIdx = targetWpIdx + 1;
+    if (nextWpIdx >= waypoints.length) nextWpIdx = looping ? 0 : waypoints.length - 1;
+
+    let nextWp = waypoints[nextWpIdx];
+    if (nextWp && nextWp.id !== arrivedWp.id) {
+        unit.targetWaypointId = nextWp.id;
+        nextWp.logicalState = 'approaching';
+    } else {
+        nextWp = null;
+    }
+
+    for (const wp of waypoints) {
+        if (wp.id !== unit.lastWaypointId && wp.id !== unit.targetWaypointId) {
+            wp.logicalState = 'neutral';
+        }
+    }
+
+    // COMMAND PROGRESSION
+    // Skip already-completed entries (e.g. the implicit start command)
+    while (unit.commands?.[unit.currentCommandIndex]?.status === 'completed') {
+        unit.currentCommandIndex++;
+    }
+    const currentCmd = unit.commands?.[unit.currentCommandIndex];
+    if (currentCmd && currentCmd.id === arrivedWp.id) {
+        currentCmd.status = 'completed';
+        unit.currentCommandIndex++;
+    }
+
+    return { arrived: arrivedWp, next: nextWp };
+}
@@ -47,6 +47,13 @@ export const DEFAULT_STATS_CONFIG = {
         unit: 2.00      // Max 200% for whole-unit training
     },
 
+    // Training sessions (Tr step)
+    training: {
+        sessionDurationSec: 60,     // Length of one training session
+        maxScore: 100,              // Session score range 0..maxScore
+        scorePerMultiplier: 100     // GlobalTrainingMultiplier = 1.0 + HighScore / scorePerMultiplier
+    },
+
     // Tuning bonus (only one feature per unit can be tuned)
     tuningBonus: 1.20,  // +20%
 
@@ -63,6 +70,30 @@ export const DEFAULT_STATS_CONFIG = {
         range: 10,      // Base 10m range
         power: 10,      // Base 10 damage
         interval: 1.0   // Base 1 second between shots
+    },
+
+    // Research jobs (Invent / Extend)
+    research: {
+        inventEnergyCost: 100,      // Energy to start an Invent job
+        inventTimeSec: 30,          // Invent duration at 1x research speed
+        extendEnergyCost: 60,       // Energy to start an Extend job (level 0 → 1)
+        extendTimeSec: 20,          // Extend duration at 1x research speed (level 0 → 1)
+        extendCostPerLevel: 0.5,    // Extend costs grow +50% per level already reached
+        extendMultiplierStep: 0.5,  // ExtendMultiplier(Level) = 1.0 + Level × step
+        maxExtendLevel: 5,          // Cap: 1.0 + 5 × 0.5 = 3.5x
+        baseAllocation: 0.25        // Research allocation that runs at 1x speed
+    },
+
+    // Production (Build / Refit)
+    production: {
+        complexityPerFeature: 0.25, // Each feature beyond the first adds +25% complexity
+        buildEnergyPerComplexity: 100, // Energy per complexity point (Design 100%, 1 feature = 1.0)
+        buildTimeSecPerComplexity: 20, // Build seconds per complexity point at 1x speed
+        refitEnergyPerComplexity: 80,  // Energy per point of delta complexity
+        refitTimeSecPerComplexity: 15, // Refit seconds per point of delta complexity
+        refitRange: 8,              // Max producer ↔ target distance (world units)
+        spawnOffset: 2,             // Distance from the producer where new units appear
+        baseAllocation: 0.25        // produce_repair allocation that runs at 1x speed
     }
 };
 
@@ -267,6 +298,122 @@ export class StatsEngine {
         return designPct / 100;
     }
 
+    /**
+     * Canonical Extend multiplier: 1.0 + Level × step, level capped.
+     * @param {number} level - Extend level of a constraint
+     * @returns {number} Multiplier (1.0 - 3.5 with defaults)
+     */
+    getExtendMultiplier(level) {
+        const research = this.config.research;
+        const capped = Math.max(0, Math.min(level, research.maxExtendLevel));
+        return 1.0 + capped * research.extendMultiplierStep;
+    }
+
+    /**
+     * Energy and time cost of a research job.
+     * Extend costs grow with the level already reached.
+     *
+     * @param {string} type - 'INVENT' or 'EXTEND'
+     * @param {number} [level=0] - Current Extend level (EXTEND only)
+     * @returns {{ energyCost: number, timeCostSec: number }}
+     */
+    getResearchCost(type, level = 0) {
+        const research = this.config.research;
+        if (type === 'INVENT') {
+            return { energyCost: research.inventEnergyCost, timeCostSec: research.inventTimeSec };
+        }
+        const scale = 1 + level * research.extendCostPerLevel;
+        return {
+            energyCost: research.extendEnergyCost * scale,
+            timeCostSec: research.extendTimeSec * scale
+        };
+    }
+
+    /**
+     * Research speed of a unit from its research allocation.
+     * @param {number} allocation - Type allocation of the research feature (0.0 - 1.0)
+     * @returns {number} Speed multiplier (1.0 at research.baseAllocation)
+     */
+    getResearchSpeed(allocation) {
+        if (!(allocation > 0)) return 0;
+        return allocation / this.config.research.baseAllocation;
+    }
+
+    /**
+     * Global training multiplier of a feature from the player's high score.
+     * @param {number} highScore - Best session score (0..training.maxScore)
+     * @returns {number} 1.0 + HighScore / scorePerMultiplier, capped at trainingCaps.feature
+     */
+    getTrainingMultiplier(highScore) {
+        if (!(highScore > 0)) return 1.0;
+        const multiplier = 1.0 + highScore / this.config.training.scorePerMultiplier;
+        return Math.min(multiplier, this.config.trainingCaps.feature);
+    }
+
+    /**
+     * Complexity of a type design: Design% scaled up per included feature.
+     * @param {{ designPct: number, allocations: Object<string, number> }} design
+     * @returns {number} 1.0 for a Design 100%, single-feature type
+     */
+    getBlueprintComplexity(design) {
+        const featureCount = Object.values(design?.allocations ?? {}).filter(pct => pct > 0).length;
+        if (featureCount === 0) return 0;
+        const perFeature = this.config.production.complexityPerFeature;
+        return ((design.designPct ?? 100) / 100) * (1 + (featureCount - 1) * perFeature);
+    }
+
+    /**
+     * Delta complexity between two designs of a type (Refit cost basis).
+     * Allocation moved between features is charged at the new Design%,
+     * plus any growth in overall complexity. Identical designs cost 0.
+     *
+     * @param {{ designPct: number, allocations: Object<string, number> }} from
+     * @param {{ designPct: number, allocations: Object<string, number> }} to
+     * @returns {number}
+     */
+    getDeltaComplexity(from, to) {
+        const fromAlloc = from?.allocations ?? {};
+        const toAlloc = to?.allocations ?? {};
+        let moved = 0;
+        for (const feature of new Set([...Object.keys(fromAlloc), ...Object.keys(toAlloc)])) {
+            moved += Math.abs((toAlloc[feature] ?? 0) - (fromAlloc[feature] ?? 0));
+        }
+        // Moving x% out of one feature into another counts once, not twice
+        const reshaped = (moved / 2) * ((to?.designPct ?? 100) / 100);
+        const growth = Math.max(0, this.getBlueprintComplexity(to) - this.getBlueprintComplexity(from));
+        return reshaped + growth;
+    }
+
+    /**
+     * Energy and time cost of a production job.
+     * @param {string} type - 'BUILD' (complexity) or 'REFIT' (delta complexity)
+     * @param {number} complexity
+     * @returns {{ energyCost: number, timeCostSec: number }}
+     */
+    getProductionCost(type, complexity) {
+        const production = this.config.production;
+        if (type === 'REFIT') {
+            return {
+                energyCost: complexity * production.refitEnergyPerComplexity,
+                timeCostSec: complexity * production.refitTimeSecPerComplexity
+            };
+        }
+        return {
+            energyCost: complexity * production.buildEnergyPerComplexity,
+            timeCostSec: complexity * production.buildTimeSecPerComplexity
+        };
+    }
+
+    /**
+     * Production speed of a unit from its produce_repair allocation.
+     * @param {number} allocation - Type allocation of produce_repair (0.0 - 1.0)
+     * @returns {number} Speed multiplier (1.0 at production.baseAllocation)
+     */
+    getProductionSpeed(allocation) {
+        if (!(allocation > 0)) return 0;
+        return allocation / this.config.production.baseAllocation;
+    }
+
     /**
      * Validate type allocation (must sum to ~100%, each feature >= minAllocation)
      * @param {Object} allocation - { [feature]: percentage }
@@ -7,6 +7,7 @@
  * Main exports:
  * - StatsEngine: The percentage-based stat calculation system
  * - BlueprintValidator: TypeBlueprint validation
+ * - MovementRules: Path following shared by Unit.update and MovementSystem
  */
 
 export { 
@@ -22,6 +23,14 @@ export {
     validateAllocations
 } from './BlueprintValidator.js';
 
+export {
+    easeSpeed,
+    stepAlongPath,
+    detectWaypointArrival,
+    stepSlopeDeg,
+    isLooping
+} from './MovementRules.js';
+
 export const RULES_VERSION = '0.3.0';
 
 // Re-export default values for convenience
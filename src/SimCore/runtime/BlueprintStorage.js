@@ -2,20 +2,52 @@
  * BlueprintStorage - Versioned localStorage Persistence for TypeBlueprints
  * 
  * Stores blueprints in localStorage with schema versioning.
- * Supports CRUD operations and future migration hooks.
+ * Supports CRUD operations; older data is migrated on load through
+ * blueprintStorageMigrations (original kept under a backup key).
+ *
+ * Revisions: every save that changes the design (Design%, allocations,
+ * sub-allocations) appends an immutable revision to the type's history with
+ * the next revision number and the revision it was edited from as parent.
+ * `blueprints` holds the head (latest) revision of each type; units stay
+ * pinned to the revision they were built or refit from.
  * 
  * Storage key: simcore:typeBlueprints:v1
- * Schema: { schemaVersion: number, blueprints: { [id]: TypeBlueprintData } }
+ * Schema: { schemaVersion: number, blueprints: { [id]: TypeBlueprintData },
+ *           history: { [id]: TypeBlueprintData[] } (oldest first) }
  */
 
-import { TypeBlueprint, BLUEPRINT_SCHEMA_VERSION } from '../domain/TypeBlueprint.js';
+import { TypeBlueprint, BLUEPRINT_SCHEMA_VERSION, blueprintRevisionId, diffBlueprints } from '../domain/TypeBlueprint.js';
+import { MigrationRegistry } from '../persistence/MigrationRegistry.js';
 
 const STORAGE_KEY = 'simcore:typeBlueprints:v1';
 
+/**
+ * Blueprint storage migrations. Each step migrates the whole storage object,
+ * including every record in `blueprints`. Data without a version predates
+ * versioning and is treated as v1.
+ */
+export const blueprintStorageMigrations = new MigrationRegistry({
+    name: 'Blueprint storage',
+    currentVersion: BLUEPRINT_SCHEMA_VERSION,
+    defaultVersion: 1
+});
+
+// v1 → v2: every stored design becomes revision 1 of its history
+blueprintStorageMigrations.register(1, (data) => {
+    data.history = {};
+    for (const [id, blueprint] of Object.entries(data.blueprints || {})) {
+        blueprint.version = blueprint.version || 1;
+        blueprint.parentRevisionId = null;
+        data.history[id] = [{ ...blueprint }];
+    }
+    return data;
+}, 'Start revision history from the current designs');
+
 /**
  * @typedef {Object} BlueprintStorageData
  * @property {number} schemaVersion
  * @property {Object<string, import('../domain/TypeBlueprint.js').TypeBlueprintData>} blueprints
+ * @property {Object<string, import('../domain/TypeBlueprint.js').TypeBlueprintData[]>} history
  */
 
 /**
@@ -27,10 +59,10 @@ function loadStorageData() {
         const raw = localStorage.getItem(STORAGE_KEY);
         if (raw) {
             const data = JSON.parse(raw);
-            // Migration hook (for future versions)
-            if (data.schemaVersion < BLUEPRINT_SCHEMA_VERSION) {
-                return migrateStorageData(data);
+            if (blueprintStorageMigrations.needsMigration(data)) {
+                return migrateStoredData(data);
             }
+            data.history = data.history || {};
             return data;
         }
     } catch (error) {
@@ -40,7 +72,8 @@ function loadStorageData() {
     // Return empty storage
     return {
         schemaVersion: BLUEPRINT_SCHEMA_VERSION,
-        blueprints: {}
+        blueprints: {},
+        history: {}
     };
 }
 
@@ -57,19 +90,51 @@ function saveStorageData(data) {
 }
 
 /**
- * Migrate old schema to current version
+ * Migrate stored data to the current version and write it back.
+ * The original is saved under a backup key first, so a failed migration
+ * never loses blueprints.
  * @param {BlueprintStorageData} oldData 
  * @returns {BlueprintStorageData}
  */
-function migrateStorageData(oldData) {
-    console.log(`[BlueprintStorage] Migrating from v${oldData.schemaVersion} to v${BLUEPRINT_SCHEMA_VERSION}`);
-    
-    // Add migration logic here for future versions
-    // For now, just update version
-    return {
-        schemaVersion: BLUEPRINT_SCHEMA_VERSION,
-        blueprints: oldData.blueprints || {}
-    };
+function migrateStoredData(oldData) {
+    const fromVersion = blueprintStorageMigrations.getVersion(oldData);
+    console.log(`[BlueprintStorage] Migrating from v${fromVersion} to v${BLUEPRINT_SCHEMA_VERSION}`);
+
+    const backupKey = `${STORAGE_KEY}:backup:v${fromVersion}`;
+    localStorage.setItem(backupKey, JSON.stringify(oldData));
+
+    const result = migrateBlueprintStorage(oldData);
+    if (!result.success) {
+        console.error(`[BlueprintStorage] ${result.error} (original kept in ${backupKey})`);
+        return {
+            schemaVersion: BLUEPRINT_SCHEMA_VERSION,
+            blueprints: {},
+            history: {}
+        };
+    }
+
+    saveStorageData(result.data);
+    return result.data;
+}
+
+/**
+ * Run the blueprint storage migrations (pure; the input is not modified).
+ * Every record ends up stamped with the current schemaVersion.
+ * @param {BlueprintStorageData} data 
+ * @param {Object} [options] - MigrationRegistry.migrate options (dryRun)
+ * @returns {import('../persistence/MigrationRegistry.js').MigrationResult}
+ */
+export function migrateBlueprintStorage(data, options = {}) {
+    const result = blueprintStorageMigrations.migrate(data, options);
+    if (result.success) {
+        result.data.blueprints = result.data.blueprints || {};
+        result.data.history = result.data.history || {};
+        const records = [...Object.values(result.data.blueprints), ...Object.values(result.data.history).flat()];
+        for (const blueprint of records) {
+            blueprint.schemaVersion = result.data.schemaVersion;
+        }
+    }
+    return result;
 }
 
 // ============================================
@@ -115,19 +180,89 @@ export function hasBlueprint(id) {
     return id in data.blueprints;
 }
 
+/**
+ * Whether two blueprints have the same design (what a revision pins).
+ * @param {TypeBlueprint} a
+ * @param {TypeBlueprint} b
+ * @returns {boolean}
+ */
+function sameDesign(a, b) {
+    return JSON.stringify(a.getDesignSpec()) === JSON.stringify(b.getDesignSpec());
+}
+
 /**
  * Save a blueprint (create or update)
+ * A new design is stored as a new revision: the version becomes the next
+ * revision number and parentRevisionId the revision it was edited from
+ * (its own version if that is in the history, else the head). Saving the
+ * same design again only updates name / metadata of the head.
  * @param {TypeBlueprint} blueprint 
  */
 export function saveBlueprint(blueprint) {
     const data = loadStorageData();
+    const history = data.history[blueprint.id] || [];
+    const headData = history[history.length - 1] || data.blueprints[blueprint.id] || null;
+    const head = headData ? TypeBlueprint.deserialize(headData) : null;
+
     blueprint.touch(); // Update timestamp
+    if (head && sameDesign(head, blueprint)) {
+        blueprint.version = head.version;
+        blueprint.parentRevisionId = head.parentRevisionId;
+    } else {
+        if (head) {
+            if (history.length === 0) history.push(head.serialize()); // Head saved without history
+            const base = history.find(revision => revision.version === blueprint.version) || head;
+            blueprint.parentRevisionId = blueprintRevisionId(blueprint.id, base.version);
+            blueprint.version = head.version + 1;
+        }
+        history.push(blueprint.serialize());
+        data.history[blueprint.id] = history;
+    }
+
     data.blueprints[blueprint.id] = blueprint.serialize();
     saveStorageData(data);
 }
 
 /**
- * Delete a blueprint by ID
+ * Get one revision of a blueprint
+ * @param {string} id 
+ * @param {number} version - Revision number
+ * @returns {TypeBlueprint|null}
+ */
+export function getBlueprintRevision(id, version) {
+    const data = loadStorageData();
+    const revision = (data.history[id] || []).find(r => r.version === version);
+    if (revision) return TypeBlueprint.deserialize(revision);
+
+    const head = data.blueprints[id];
+    return head && (head.version || 1) === version ? TypeBlueprint.deserialize(head) : null;
+}
+
+/**
+ * Get every revision of a blueprint, oldest first
+ * @param {string} id 
+ * @returns {TypeBlueprint[]}
+ */
+export function getBlueprintHistory(id) {
+    const data = loadStorageData();
+    return (data.history[id] || []).map(revision => TypeBlueprint.deserialize(revision));
+}
+
+/**
+ * Compare two revisions of a blueprint
+ * @param {string} id 
+ * @param {number} fromVersion 
+ * @param {number} toVersion 
+ * @returns {import('../domain/TypeBlueprint.js').BlueprintDiff|null} Null if a revision is missing
+ */
+export function diffBlueprintRevisions(id, fromVersion, toVersion) {
+    const from = getBlueprintRevision(id, fromVersion);
+    const to = getBlueprintRevision(id, toVersion);
+    return from && to ? diffBlueprints(from, to) : null;
+}
+
+/**
+ * Delete a blueprint by ID (with its revision history)
  * @param {string} id 
  * @returns {boolean} True if deleted, false if not found
  */
@@ -135,6 +270,7 @@ export function deleteBlueprint(id) {
     const data = loadStorageData();
     if (id in data.blueprints) {
         delete data.blueprints[id];
+        delete data.history[id];
         saveStorageData(data);
         return true;
     }
@@ -147,7 +283,8 @@ export function deleteBlueprint(id) {
 export function clearAllBlueprints() {
     saveStorageData({
         schemaVersion: BLUEPRINT_SCHEMA_VERSION,
-        blueprints: {}
+        blueprints: {},
+        history: {}
     });
 }
 
@@ -185,25 +322,59 @@ export function exportBlueprints() {
     return JSON.stringify(data, null, 2);
 }
 
+/**
+ * Export one blueprint with its revision history as JSON string.
+ * Same format as exportBlueprints, so importBlueprints reads it.
+ * @param {string} id 
+ * @returns {string|null} Null if the blueprint does not exist
+ */
+export function exportBlueprintHistory(id) {
+    const data = loadStorageData();
+    if (!(id in data.blueprints)) return null;
+    return JSON.stringify({
+        schemaVersion: data.schemaVersion,
+        blueprints: { [id]: data.blueprints[id] },
+        history: { [id]: data.history[id] || [] }
+    }, null, 2);
+}
+
 /**
  * Import blueprints from JSON string
+ * Revision histories are merged; a type's head is only replaced by a
+ * revision at least as new.
  * @param {string} json 
  * @param {boolean} [merge=true] - If true, merge with existing. If false, replace all.
  * @returns {number} Number of blueprints imported
  */
 export function importBlueprints(json, merge = true) {
     try {
-        const imported = JSON.parse(json);
+        const migration = migrateBlueprintStorage(JSON.parse(json));
+        if (!migration.success) {
+            console.error(`[BlueprintStorage] Import failed: ${migration.error}`);
+            return 0;
+        }
+        const imported = migration.data;
         const currentData = merge ? loadStorageData() : {
             schemaVersion: BLUEPRINT_SCHEMA_VERSION,
-            blueprints: {}
+            blueprints: {},
+            history: {}
         };
         
         const importedBlueprints = imported.blueprints || {};
         let count = 0;
         
         for (const [id, bp] of Object.entries(importedBlueprints)) {
-            currentData.blueprints[id] = bp;
+            // Revisions are immutable: keep local ones, add the missing ones
+            const revisions = [...(currentData.history[id] || [])];
+            for (const revision of imported.history[id] || []) {
+                if (!revisions.some(r => r.version === revision.version)) revisions.push(revision);
+            }
+            currentData.history[id] = revisions.sort((a, b) => a.version - b.version);
+
+            const current = currentData.blueprints[id];
+            if (!current || (bp.version || 1) >= (current.version || 1)) {
+                currentData.blueprints[id] = bp;
+            }
             count++;
         }
         
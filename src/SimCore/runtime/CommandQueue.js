@@ -20,7 +20,32 @@ export const CommandType = {
     DESELECT: 'DESELECT',
     MOVE: 'MOVE',
     SET_PATH: 'SET_PATH',
-    CLOSE_PATH: 'CLOSE_PATH'
+    CLOSE_PATH: 'CLOSE_PATH',
+
+    // Unit order queue
+    WAIT: 'WAIT',
+    STOP: 'STOP',
+    REORDER_COMMANDS: 'REORDER_COMMANDS',
+    DELETE_COMMAND: 'DELETE_COMMAND',
+    TOGGLE_PAUSE: 'TOGGLE_PAUSE',
+    RESUME: 'RESUME',
+    SET_LOOPING: 'SET_LOOPING',
+    ATTACK: 'ATTACK',
+    BUILD: 'BUILD',
+
+    // Production queue (ProductionSystem)
+    PRODUCE: 'PRODUCE',
+    REFIT: 'REFIT',
+    CANCEL_PRODUCTION: 'CANCEL_PRODUCTION',
+
+    // Research queue (ResearchSystem)
+    RESEARCH: 'RESEARCH',
+
+    // Training high scores of the sender (TrainingSystem)
+    APPLY_TRAINING: 'APPLY_TRAINING',
+
+    // Debug overrides (DebugPanel)
+    SET_UNIT_SPEED: 'SET_UNIT_SPEED'
 };
 
 /**
@@ -32,24 +57,59 @@ export class CommandQueue {
         this._history = [];
         this._seqCounter = 0;
         this._maxHistory = 100;
+
+        /** @type {Map<string, Set<Function>>} Observers ('enqueue', 'flush') */
+        this._listeners = new Map();
+    }
+
+    /**
+     * Observe queue activity (replay recording, debug tooling).
+     * - 'enqueue': handler(stampedCommand)
+     * - 'flush':   handler(readyCommands, currentTick)
+     *
+     * @param {'enqueue'|'flush'} event - Event name
+     * @param {Function} handler - Callback
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, new Set());
+        }
+        this._listeners.get(event).add(handler);
+        return () => this._listeners.get(event)?.delete(handler);
+    }
+
+    /**
+     * @private
+     */
+    _notify(event, ...args) {
+        const handlers = this._listeners.get(event);
+        if (!handlers) return;
+        for (const handler of handlers) {
+            handler(...args);
+        }
     }
 
     /**
      * Enqueue a command for processing.
      * @param {Object} command - Command object with type and payload
-     * @param {number} [scheduledTick] - Tick to execute (default: next tick)
+     * @param {number} [scheduledTick] - Tick to execute (default: command.scheduledTick, else next tick)
      * @returns {Object} The stamped command
      */
     enqueue(command, scheduledTick = null) {
+        // Lockstep: commands arriving over transport carry their own target tick
+        const targetTick = scheduledTick ?? command.scheduledTick ?? null;
+
         const stamped = {
             ...command,
             id: 'icmd_' + nextEntityId(),
             seq: this._seqCounter++,
             enqueuedAt: this._seqCounter, // For ordering
-            scheduledTick: scheduledTick  // null = immediate (next flush)
+            scheduledTick: targetTick     // null = immediate (next flush)
         };
 
         this._pending.push(stamped);
+        this._notify('enqueue', stamped);
         return stamped;
     }
 
@@ -83,6 +143,10 @@ export class CommandQueue {
             this._history.shift();
         }
 
+        if (ready.length > 0) {
+            this._notify('flush', ready, currentTick);
+        }
+
         return ready;
     }
 
@@ -117,6 +181,29 @@ export class CommandQueue {
         return [...this._pending];
     }
 
+    /**
+     * Get queue state for rollback snapshots.
+     * @returns {{ pending: Object[], history: Object[], seqCounter: number }}
+     */
+    getState() {
+        return {
+            pending: this._pending.map(cmd => ({ ...cmd })),
+            history: [...this._history],
+            seqCounter: this._seqCounter
+        };
+    }
+
+    /**
+     * Restore queue state from getState() (rollback restore).
+     * Commands keep their original stamps.
+     * @param {{ pending: Object[], history: Object[], seqCounter: number }} state
+     */
+    setState(state) {
+        this._pending = state.pending.map(cmd => ({ ...cmd }));
+        this._history = [...state.history];
+        this._seqCounter = state.seqCounter;
+    }
+
     /**
      * Reset the queue (for testing/replay).
      */
@@ -0,0 +1,516 @@
+/**
+ * CommandValidator - Authority check between Transport and CommandQueue
+ *
+ * GRFDTRDPU §11.4: ownership/permissions are enforced where commands enter
+ * the simulation, never trusted from the sender.
+ *
+ * Checks:
+ * - Remote sender is a present session member (when isSenderPresent is set;
+ *   presence is per peer, so lockstep games leave it unset and rely on the
+ *   fixed peer list of LockstepTransport)
+ * - Known command type
+ * - Unit exists and is owned by the sender (every type except DESELECT and
+ *   APPLY_TRAINING, which only ever applies to the sender's own units)
+ * - Positions are finite numbers within world bounds (MOVE, BUILD)
+ * - SET_PATH point arrays are non-empty and not oversized
+ * - Order parameters: WAIT duration, REORDER_COMMANDS ID list,
+ *   DELETE_COMMAND ID, ATTACK target
+ * - Production parameters: PRODUCE type ID, REFIT target,
+ *   CANCEL_PRODUCTION job ID
+ * - RESEARCH: a goal ID, or a research type and feature ID
+ * - APPLY_TRAINING: bounded list of { featureId, highScore } records
+ *
+ * Rejections are logged with a reason and reported back to the sender
+ * (COMMAND_REJECTED over the transport for remote senders, onRejected for
+ * local ones). A sender producing too many rejections within a window of
+ * sim ticks is rate-limited: its commands are dropped without logging or
+ * notices until the window ends.
+ *
+ * Determinism: under lockstep every peer validates the same commands on the
+ * same tick, so accept/reject may only depend on replicated sim state: the
+ * units and their owners, the command's sender and its scheduledTick. No
+ * wall clock, no per-peer aliases.
+ *
+ * Rollback: inputs arrive before, on or after their tick, so receive() only
+ * applies the rate limit and presence check (deferStateChecks) and hands them
+ * to the RollbackManager, which calls validate() when the input's tick is
+ * simulated or resimulated. Every peer checks each input against the same
+ * state; a late input is checked against the state at its scheduledTick.
+ * COMMAND_REJECTED notices go out on noticeTransport (the network transport
+ * under a LockstepTransport / RollbackTransport), so they never enter the
+ * turn or input log.
+ *
+ * Identity: transports stamp `senderId` on commands from other clients
+ * (LockstepTransport stamps every command, own ones included, with the
+ * turn's peerId); commands without it come from the local player. A unit's
+ * ownerId is a player ID that is the same on every peer; units without one
+ * are owned by 'local', the single-player ID.
+ *
+ * Usage:
+ *   const transport = initializeTransport();
+ *   const validator = new CommandValidator({
+ *       commandQueue: globalCommandQueue,
+ *       transport,
+ *       getUnits: () => game.units,
+ *       onRejected: (notice) => showToast(notice.reason)
+ *   });
+ *   validator.attach(); // transport.onReceive → validate → CommandQueue
+ */
+
+import { CommandType } from './CommandQueue.js';
+
+/**
+ * Rejection reason codes.
+ */
+export const RejectReason = {
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    UNKNOWN_UNIT: 'UNKNOWN_UNIT',
+    NOT_OWNER: 'NOT_OWNER',
+    INVALID_POSITION: 'INVALID_POSITION',
+    OUT_OF_BOUNDS: 'OUT_OF_BOUNDS',
+    EMPTY_PATH: 'EMPTY_PATH',
+    TOO_MANY_POINTS: 'TOO_MANY_POINTS',
+    INVALID_PARAMS: 'INVALID_PARAMS',
+    UNKNOWN_TARGET: 'UNKNOWN_TARGET',
+    RATE_LIMITED: 'RATE_LIMITED',
+    NOT_IN_SESSION: 'NOT_IN_SESSION'
+};
+
+/**
+ * Message types sent by the validator.
+ */
+export const AuthorityMessageType = {
+    COMMAND_REJECTED: 'COMMAND_REJECTED'
+};
+
+/** Player ID of single-player games, and owner of units without an ownerId (UnitFactory default) */
+export const LOCAL_PLAYER_ID = 'local';
+
+/** Longest WAIT order in seconds */
+const MAX_WAIT_SECONDS = 3600;
+
+/** Longest REORDER_COMMANDS ID list */
+const MAX_ORDER_IDS = 256;
+
+/** Most APPLY_TRAINING records (one per feature) */
+const MAX_TRAINING_RECORDS = 64;
+
+/** Highest SET_UNIT_SPEED value (the debug slider goes to 20) */
+const MAX_UNIT_SPEED = 100;
+
+/**
+ * Validate a single position.
+ * @private
+ */
+function checkPosition(position, maxCoordinate) {
+    if (!position || typeof position !== 'object') {
+        return { valid: false, reason: RejectReason.INVALID_POSITION, detail: 'missing position' };
+    }
+    for (const axis of ['x', 'y', 'z']) {
+        const value = position[axis];
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return { valid: false, reason: RejectReason.INVALID_POSITION, detail: `${axis} is ${value}` };
+        }
+        if (Math.abs(value) > maxCoordinate) {
+            return { valid: false, reason: RejectReason.OUT_OF_BOUNDS, detail: `|${axis}| > ${maxCoordinate}` };
+        }
+    }
+    return { valid: true };
+}
+
+/**
+ * Validate a command against current sim state (pure; no side effects).
+ *
+ * @param {Object} command - Received command
+ * @param {Object} context
+ * @param {Object[]} context.units - Units in the sim
+ * @param {string} context.senderId - Resolved sender (local player ID for local commands)
+ * @param {number} [context.maxCoordinate=1000] - Max |x|, |y|, |z| for positions
+ * @param {number} [context.maxPathPoints=64] - Max SET_PATH points
+ * @returns {{ valid: boolean, reason?: string, detail?: string }}
+ */
+export function validateCommand(command, context) {
+    const maxCoordinate = context.maxCoordinate ?? 1000;
+    const maxPathPoints = context.maxPathPoints ?? 64;
+
+    if (!command || !Object.values(CommandType).includes(command.type)) {
+        return { valid: false, reason: RejectReason.UNKNOWN_TYPE, detail: String(command?.type) };
+    }
+
+    if (command.type === CommandType.DESELECT) {
+        return { valid: true };
+    }
+
+    if (command.type === CommandType.APPLY_TRAINING) {
+        const { records } = command;
+        if (!Array.isArray(records) || records.length > MAX_TRAINING_RECORDS) {
+            return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: 'records' };
+        }
+        for (const record of records) {
+            if (typeof record?.featureId !== 'string' || typeof record.highScore !== 'number' ||
+                !Number.isFinite(record.highScore) || record.highScore < 0) {
+                return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: `record ${record?.featureId}` };
+            }
+        }
+        return { valid: true };
+    }
+
+    if (command.type === CommandType.SET_UNIT_SPEED) {
+        const { speed } = command;
+        if (typeof speed !== 'number' || !Number.isFinite(speed) || speed <= 0 || speed > MAX_UNIT_SPEED) {
+            return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: `speed is ${speed}` };
+        }
+        return { valid: true };
+    }
+
+    // Every other command targets a unit the sender must own
+    const unit = (context.units || []).find(u => u && u.id === command.unitId);
+    if (!unit) {
+        return { valid: false, reason: RejectReason.UNKNOWN_UNIT, detail: `unit ${command.unitId}` };
+    }
+
+    const owner = unit.ownerId ?? unit.model?.ownerId ?? LOCAL_PLAYER_ID;
+    if (owner !== context.senderId) {
+        return { valid: false, reason: RejectReason.NOT_OWNER, detail: `unit ${unit.id} owned by ${owner}` };
+    }
+
+    switch (command.type) {
+        case CommandType.MOVE:
+            return checkPosition(command.position, maxCoordinate);
+
+        case CommandType.SET_PATH: {
+            if (!Array.isArray(command.points) || command.points.length === 0) {
+                return { valid: false, reason: RejectReason.EMPTY_PATH };
+            }
+            if (command.points.length > maxPathPoints) {
+                return {
+                    valid: false,
+                    reason: RejectReason.TOO_MANY_POINTS,
+                    detail: `${command.points.length} > ${maxPathPoints}`
+                };
+            }
+            for (const point of command.points) {
+                const result = checkPosition(point, maxCoordinate);
+                if (!result.valid) return result;
+            }
+            return { valid: true };
+        }
+
+        case CommandType.BUILD:
+            return checkPosition(command.position, maxCoordinate);
+
+        case CommandType.WAIT: {
+            const { seconds } = command;
+            if (typeof seconds !== 'number' || !Number.isFinite(seconds) ||
+                seconds < 0 || seconds > MAX_WAIT_SECONDS) {
+                return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: `seconds is ${seconds}` };
+            }
+            return { valid: true };
+        }
+
+        case CommandType.REORDER_COMMANDS: {
+            if (!Array.isArray(command.order) || command.order.length > MAX_ORDER_IDS) {
+                return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: 'order' };
+            }
+            return { valid: true };
+        }
+
+        case CommandType.DELETE_COMMAND: {
+            if (typeof command.commandId !== 'string') {
+                return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: 'commandId' };
+            }
+            return { valid: true };
+        }
+
+        case CommandType.ATTACK: {
+            const target = (context.units || []).find(u => u && u.id === command.targetId);
+            if (!target || target === unit) {
+                return { valid: false, reason: RejectReason.UNKNOWN_TARGET, detail: `target ${command.targetId}` };
+            }
+            return { valid: true };
+        }
+
+        case CommandType.PRODUCE: {
+            if (typeof command.typeId !== 'string') {
+                return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: 'typeId' };
+            }
+            return { valid: true };
+        }
+
+        case CommandType.REFIT: {
+            const target = (context.units || []).find(u => u && u.id === command.targetId);
+            if (!target) {
+                return { valid: false, reason: RejectReason.UNKNOWN_TARGET, detail: `target ${command.targetId}` };
+            }
+            return { valid: true };
+        }
+
+        case CommandType.CANCEL_PRODUCTION: {
+            if (typeof command.jobId !== 'string') {
+                return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: 'jobId' };
+            }
+            return { valid: true };
+        }
+
+        case CommandType.RESEARCH: {
+            if (command.goalId != null) {
+                if (typeof command.goalId !== 'string') {
+                    return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: 'goalId' };
+                }
+                return { valid: true };
+            }
+            if (typeof command.researchType !== 'string' || typeof command.featureId !== 'string') {
+                return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: 'researchType / featureId' };
+            }
+            if (command.constraintKey != null && typeof command.constraintKey !== 'string') {
+                return { valid: false, reason: RejectReason.INVALID_PARAMS, detail: 'constraintKey' };
+            }
+            return { valid: true };
+        }
+
+        default:
+            return { valid: true };
+    }
+}
+
+/**
+ * CommandValidator gates transport → CommandQueue delivery.
+ */
+export class CommandValidator {
+    /**
+     * @param {Object} options
+     * @param {CommandQueue} options.commandQueue - Queue receiving accepted commands
+     * @param {TransportBase} [options.transport] - Transport to intercept and report rejections on
+     * @param {Function} options.getUnits - Returns the current unit list
+     * @param {string|Function} [options.localPlayerId='local'] - Local player ID (or getter, e.g. () => lockstep.peerId)
+     * @param {number} [options.maxCoordinate=1000] - Max |x|, |y|, |z| for positions
+     * @param {number} [options.maxPathPoints=64] - Max SET_PATH points
+     * @param {number} [options.maxRejections=10] - Rejections per window before a sender is rate-limited
+     * @param {number} [options.rateWindowTicks=100] - Rate limit window in sim ticks
+     * @param {boolean} [options.reportRejections=true] - Send COMMAND_REJECTED to remote senders
+     * @param {Function} [options.onRejected] - Called with notices addressed to the local player
+     * @param {Function} [options.isSenderPresent] - (senderId) => boolean; remote senders outside the session are rejected
+     * @param {Function} [options.getTick] - Current sim tick, for commands without a scheduledTick
+     * @param {TransportBase} [options.noticeTransport] - Transport for COMMAND_REJECTED notices
+     *   (default: transport; pass the network transport under lockstep / rollback)
+     * @param {boolean} [options.deferStateChecks=false] - receive() skips the checks against sim
+     *   state; the queue calls validate() at the command's tick instead (RollbackManager)
+     */
+    constructor(options = {}) {
+        if (!options.commandQueue || !options.getUnits) {
+            throw new Error('CommandValidator requires commandQueue and getUnits');
+        }
+
+        this.commandQueue = options.commandQueue;
+        this.transport = options.transport ?? null;
+        this.getUnits = options.getUnits;
+        this.localPlayerId = options.localPlayerId ?? LOCAL_PLAYER_ID;
+        this.maxCoordinate = options.maxCoordinate ?? 1000;
+        this.maxPathPoints = options.maxPathPoints ?? 64;
+        this.maxRejections = options.maxRejections ?? 10;
+        this.rateWindowTicks = options.rateWindowTicks ?? 100;
+        this.reportRejections = options.reportRejections ?? true;
+        this.onRejected = options.onRejected ?? null;
+        this.isSenderPresent = options.isSenderPresent ?? null;
+        this.getTick = options.getTick ?? (() => 0);
+        this.noticeTransport = options.noticeTransport ?? null;
+        this.deferStateChecks = options.deferStateChecks ?? false;
+
+        /** @type {Map<string, { windowStart: number, count: number, limited: boolean }>} windowStart is a tick */
+        this._senders = new Map();
+
+        this.acceptedCount = 0;
+        this.rejectedCount = 0;
+        this.attached = false;
+        this._prevOnReceive = null;
+        this._prevNoticeOnReceive = null;
+
+        /** @type {WeakSet<Object>} Inputs already counted by validate() (resimulation checks them again) */
+        this._validated = new WeakSet();
+    }
+
+    /**
+     * Take over transport.onReceive (call after initializeTransport).
+     */
+    attach() {
+        if (this.attached || !this.transport) return;
+        this._prevOnReceive = this.transport.onReceive;
+        this.transport.onReceive = (message) => this.receive(message);
+
+        // Notices on a separate transport: take them, pass everything else on
+        const noticeTransport = this._noticeTransport();
+        if (noticeTransport !== this.transport) {
+            this._prevNoticeOnReceive = noticeTransport.onReceive;
+            noticeTransport.onReceive = (message) => {
+                if (message?.type === AuthorityMessageType.COMMAND_REJECTED) {
+                    this.receive(message);
+                } else if (this._prevNoticeOnReceive) {
+                    this._prevNoticeOnReceive(message);
+                }
+            };
+        }
+        this.attached = true;
+    }
+
+    /**
+     * Restore the original transport callback.
+     */
+    detach() {
+        if (!this.attached) return;
+        this.transport.onReceive = this._prevOnReceive;
+        const noticeTransport = this._noticeTransport();
+        if (noticeTransport !== this.transport) {
+            noticeTransport.onReceive = this._prevNoticeOnReceive;
+        }
+        this._prevOnReceive = null;
+        this._prevNoticeOnReceive = null;
+        this.attached = false;
+    }
+
+    /**
+     * Handle a message from the transport: validate and enqueue, or reject.
+     *
+     * @param {Object} message - Command or COMMAND_REJECTED notice
+     * @returns {{ accepted: boolean, reason?: string }}
+     */
+    receive(message) {
+        if (message?.type === AuthorityMessageType.COMMAND_REJECTED) {
+            if (message.targetSenderId === this._localId() && this.onRejected) {
+                this.onRejected(message);
+            }
+            return { accepted: false, reason: null };
+        }
+
+        const localId = this._localId();
+        const senderId = message?.senderId ?? localId;
+        const tick = message?.scheduledTick ?? this.getTick();
+
+        if (this._isRateLimited(senderId, tick)) {
+            this.rejectedCount++;
+            return { accepted: false, reason: RejectReason.RATE_LIMITED };
+        }
+
+        if (senderId !== localId && this.isSenderPresent && !this.isSenderPresent(senderId)) {
+            this._reject(message, senderId, tick, { valid: false, reason: RejectReason.NOT_IN_SESSION, detail: senderId });
+            return { accepted: false, reason: RejectReason.NOT_IN_SESSION };
+        }
+
+        if (this.deferStateChecks) {
+            this.commandQueue.enqueue(message);
+            return { accepted: true };
+        }
+
+        const result = this._check(message, senderId);
+        if (!result.valid) {
+            this._reject(message, senderId, tick, result);
+            return { accepted: false, reason: result.reason };
+        }
+
+        this.acceptedCount++;
+        this.commandQueue.enqueue(message);
+        return { accepted: true };
+    }
+
+    /**
+     * Check a command against the current sim state as its tick starts
+     * (RollbackManager validate hook, with deferStateChecks). A rejection is
+     * counted and reported once per input, however often it is resimulated.
+     *
+     * @param {Object} command - Input from the log
+     * @param {number} tick - Tick the input applies on
+     * @returns {boolean} True if the command may be applied
+     */
+    validate(command, tick) {
+        const senderId = command?.senderId ?? this._localId();
+        const result = this._check(command, senderId);
+
+        if (!this._validated.has(command)) {
+            this._validated.add(command);
+            if (result.valid) {
+                this.acceptedCount++;
+            } else {
+                this._reject(command, senderId, tick, result);
+            }
+        }
+        return result.valid;
+    }
+
+    /**
+     * @returns {{ accepted: number, rejected: number, rateLimited: string[] }}
+     */
+    getStats() {
+        return {
+            accepted: this.acceptedCount,
+            rejected: this.rejectedCount,
+            rateLimited: [...this._senders.entries()]
+                .filter(([, entry]) => entry.limited)
+                .map(([senderId]) => senderId)
+        };
+    }
+
+    /** @private */
+    _check(command, senderId) {
+        return validateCommand(command, {
+            units: this.getUnits() || [],
+            senderId,
+            maxCoordinate: this.maxCoordinate,
+            maxPathPoints: this.maxPathPoints
+        });
+    }
+
+    /** @private */
+    _noticeTransport() {
+        return this.noticeTransport ?? this.transport;
+    }
+
+    /** @private */
+    _localId() {
+        return typeof this.localPlayerId === 'function' ? this.localPlayerId() : this.localPlayerId;
+    }
+
+    /** @private */
+    _senderEntry(senderId, tick) {
+        let entry = this._senders.get(senderId);
+
+        if (!entry || tick - entry.windowStart >= this.rateWindowTicks) {
+            entry = { windowStart: tick, count: 0, limited: false };
+            this._senders.set(senderId, entry);
+        }
+        return entry;
+    }
+
+    /** @private */
+    _isRateLimited(senderId, tick) {
+        return this._senderEntry(senderId, tick).limited;
+    }
+
+    /** @private */
+    _reject(command, senderId, tick, result) {
+        this.rejectedCount++;
+
+        const entry = this._senderEntry(senderId, tick);
+        entry.count++;
+        if (entry.count >= this.maxRejections) {
+            entry.limited = true;
+            console.warn(`[CommandValidator] Rate-limiting ${senderId}: ${entry.count} rejected commands`);
+        } else {
+            console.warn(`[CommandValidator] Rejected ${command?.type} from ${senderId}: ${result.reason}` +
+                (result.detail ? ` (${result.detail})` : ''));
+        }
+
+        const notice = {
+            type: AuthorityMessageType.COMMAND_REJECTED,
+            targetSenderId: senderId,
+            commandType: command?.type ?? null,
+            unitId: command?.unitId ?? null,
+            reason: result.reason,
+            detail: result.detail ?? null
+        };
+
+        if (senderId === this._localId()) {
+            if (this.onRejected) this.onRejected(notice);
+        } else if (this.reportRejections && this._noticeTransport()) {
+            this._noticeTransport().send(notice);
+        }
+    }
+}
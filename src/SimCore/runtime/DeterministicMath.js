@@ -0,0 +1,262 @@
+/**
+ * DeterministicMath - Cross-platform reproducible math for the simulation
+ *
+ * ECMAScript leaves Math.sin/cos/atan2 "implementation-approximated": V8,
+ * SpiderMonkey and JavaScriptCore may return different last bits for the
+ * same input. Basic arithmetic (+ - * /) and Math.sqrt are correctly rounded
+ * IEEE-754 everywhere, so functions built only from them are reproducible.
+ *
+ * Provides:
+ * - dsqrt / dsin / dcos / datan2: reproducible replacements for Math.*
+ * - quantize*: snap values to a fixed-point grid (default 1/65536, i.e. 16.16)
+ * - quantizeUnitState: snap a unit's position, velocity and quaternion
+ *   at tick boundaries so sub-quantum float noise does not accumulate
+ *
+ * Sim code (movement rules, spawn placement) calls the d*
+ * functions instead of Math.*; trig in render-only code stays on Math.*.
+ *
+ * Opt-in: SimWorld({ quantize: true }) / Game ?quantize=1 apply
+ * quantizeUnitState after every tick; hashState/checksumState accept
+ * { quantized: true } to hash grid values instead of raw floats.
+ *
+ * Usage:
+ *   import { dsin, quantize } from './DeterministicMath.js';
+ *   const y = quantize(r * dsin(theta));
+ */
+
+/** Default quantization scale (16 fractional bits) */
+export const QUANTIZE_SCALE = 65536;
+
+const PI = 3.141592653589793;
+const HALF_PI = 1.5707963267948966;
+const QUARTER_PI = 0.7853981633974483;
+const TWO_OVER_PI = 0.6366197723675814;
+
+// π/2 split for Cody-Waite range reduction (PIO2_HI has trailing zero bits)
+const PIO2_HI = 1.5707963267341256;
+const PIO2_LO = 6.077100506506192e-11;
+
+const SIXTH_PI = 0.5235987755982989;
+const TAN_TWELFTH_PI = 0.2679491924311227;
+const SQRT3 = 1.7320508075688772;
+
+// ============ Quantization ============
+
+/**
+ * Snap a number to the fixed-point grid.
+ * The scale is a power of two, so the multiply/divide are exact.
+ *
+ * @param {number} value
+ * @param {number} [scale=QUANTIZE_SCALE] - Grid steps per unit
+ * @returns {number}
+ */
+export function quantize(value, scale = QUANTIZE_SCALE) {
+    if (!Number.isFinite(value)) return value;
+    // + 0 turns -0 into 0 so hashes do not depend on sign of zero
+    return Math.round(value * scale) / scale + 0;
+}
+
+/**
+ * Fixed-point integer for a number (grid index, used for hashing).
+ * @param {number} value
+ * @param {number} [scale=QUANTIZE_SCALE]
+ * @returns {number}
+ */
+export function toFixedInt(value, scale = QUANTIZE_SCALE) {
+    if (!Number.isFinite(value)) return value;
+    return Math.round(value * scale) + 0;
+}
+
+/**
+ * Snap a vector's components in place.
+ * Works on plain {x,y,z} objects and THREE.Vector3.
+ *
+ * @param {{x: number, y: number, z: number}} v
+ * @param {number} [scale=QUANTIZE_SCALE]
+ * @returns {{x: number, y: number, z: number}} The same object
+ */
+export function quantizeVec3(v, scale = QUANTIZE_SCALE) {
+    if (!v) return v;
+    v.x = quantize(v.x, scale);
+    v.y = quantize(v.y, scale);
+    v.z = quantize(v.z, scale);
+    return v;
+}
+
+/**
+ * Snap a quaternion's components in place.
+ * Works on plain {x,y,z,w} objects and THREE.Quaternion.
+ *
+ * @param {{x: number, y: number, z: number, w: number}} q
+ * @param {number} [scale=QUANTIZE_SCALE]
+ * @returns {{x: number, y: number, z: number, w: number}} The same object
+ */
+export function quantizeQuat(q, scale = QUANTIZE_SCALE) {
+    if (!q) return q;
+    q.x = quantize(q.x, scale);
+    q.y = quantize(q.y, scale);
+    q.z = quantize(q.z, scale);
+    q.w = quantize(q.w, scale);
+    return q;
+}
+
+/**
+ * Snap a unit's integrated motion state at a tick boundary.
+ * Covers position, velocity, velocityDirection, quaternion and the
+ * scalar state that feeds the next tick (speedFactor, currentSpeed).
+ *
+ * @param {Object} unit - UnitModel or render Unit
+ * @param {number} [scale=QUANTIZE_SCALE]
+ */
+export function quantizeUnitState(unit, scale = QUANTIZE_SCALE) {
+    quantizeVec3(unit.position, scale);
+    quantizeVec3(unit.velocity, scale);
+    quantizeVec3(unit.velocityDirection, scale);
+    quantizeQuat(unit.quaternion, scale);
+    if (typeof unit.speedFactor === 'number') unit.speedFactor = quantize(unit.speedFactor, scale);
+    if (typeof unit.currentSpeed === 'number') unit.currentSpeed = quantize(unit.currentSpeed, scale);
+}
+
+// ============ Reproducible functions ============
+
+/**
+ * Square root. IEEE-754 requires sqrt to be correctly rounded, so the
+ * built-in is already reproducible; exported for a single math surface.
+ * @param {number} x
+ * @returns {number}
+ */
+export function dsqrt(x) {
+    return Math.sqrt(x);
+}
+
+/**
+ * Sine polynomial on [-π/4, π/4] (Taylor through x^15).
+ * @private
+ */
+function sinKernel(x) {
+    const x2 = x * x;
+    return x * (1 + x2 * (-1 / 6 + x2 * (1 / 120 + x2 * (-1 / 5040 + x2 * (1 / 362880 +
+        x2 * (-1 / 39916800 + x2 * (1 / 6227020800 + x2 * (-1 / 1307674368000))))))));
+}
+
+/**
+ * Cosine polynomial on [-π/4, π/4] (Taylor through x^16).
+ * @private
+ */
+function cosKernel(x) {
+    const x2 = x * x;
+    return 1 + x2 * (-1 / 2 + x2 * (1 / 24 + x2 * (-1 / 720 + x2 * (1 / 40320 +
+        x2 * (-1 / 3628800 + x2 * (1 / 479001600 + x2 * (-1 / 87178291200 +
+        x2 * (1 / 20922789888000))))))));
+}
+
+/**
+ * Reduce x to r in [-π/4, π/4] with x = r + k·π/2.
+ * @private
+ * @returns {{ r: number, quadrant: number }}
+ */
+function reduceQuadrant(x) {
+    if (Math.abs(x) <= QUARTER_PI) {
+        return { r: x, quadrant: 0 };
+    }
+    const k = Math.round(x * TWO_OVER_PI);
+    const r = (x - k * PIO2_HI) - k * PIO2_LO;
+    return { r, quadrant: ((k % 4) + 4) % 4 };
+}
+
+/**
+ * Reproducible sine (abs. error < 1e-14 for |x| < 1e6).
+ * @param {number} x - Radians
+ * @returns {number}
+ */
+export function dsin(x) {
+    if (!Number.isFinite(x)) return NaN;
+    const { r, quadrant } = reduceQuadrant(x);
+    switch (quadrant) {
+        case 0: return sinKernel(r);
+        case 1: return cosKernel(r);
+        case 2: return -sinKernel(r);
+        default: return -cosKernel(r);
+    }
+}
+
+/**
+ * Reproducible cosine (abs. error < 1e-14 for |x| < 1e6).
+ * @param {number} x - Radians
+ * @returns {number}
+ */
+export function dcos(x) {
+    if (!Number.isFinite(x)) return NaN;
+    const { r, quadrant } = reduceQuadrant(x);
+    switch (quadrant) {
+        case 0: return cosKernel(r);
+        case 1: return -sinKernel(r);
+        case 2: return -cosKernel(r);
+        default: return sinKernel(r);
+    }
+}
+
+/**
+ * Arctangent polynomial on [-tan(π/12), tan(π/12)] (Taylor through x^23).
+ * @private
+ */
+function atanKernel(x) {
+    const x2 = x * x;
+    let sum = 0;
+    for (let n = 23; n >= 3; n -= 2) {
+        sum = x2 * ((((n - 1) / 2) % 2 === 0 ? 1 : -1) / n + sum);
+    }
+    return x * (1 + sum);
+}
+
+/**
+ * Reproducible arctangent of a single value.
+ * @param {number} x
+ * @returns {number}
+ */
+export function datan(x) {
+    if (Number.isNaN(x)) return NaN;
+    if (x === Infinity) return HALF_PI;
+    if (x === -Infinity) return -HALF_PI;
+
+    const sign = x < 0 ? -1 : 1;
+    let t = Math.abs(x);
+    let offset = 0;
+
+    if (t > 1) {
+        // atan(t) = π/2 - atan(1/t)
+        const result = HALF_PI - datan(1 / t);
+        return sign * result;
+    }
+    if (t > TAN_TWELFTH_PI) {
+        // atan(t) = π/6 + atan((t√3 - 1) / (t + √3))
+        t = (t * SQRT3 - 1) / (t + SQRT3);
+        offset = SIXTH_PI;
+    }
+    return sign * (offset + atanKernel(t));
+}
+
+/**
+ * Reproducible two-argument arctangent (same quadrant rules as Math.atan2).
+ * @param {number} y
+ * @param {number} x
+ * @returns {number} Angle in (-π, π]
+ */
+export function datan2(y, x) {
+    if (Number.isNaN(x) || Number.isNaN(y)) return NaN;
+
+    if (x === 0) {
+        if (y > 0) return HALF_PI;
+        if (y < 0) return -HALF_PI;
+        // y is ±0: follow Math.atan2 sign conventions
+        return Object.is(x, -0) ? (Object.is(y, -0) ? -PI : PI) : y;
+    }
+
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        return Math.atan2(y, x); // Exact special values (multiples of π/4)
+    }
+
+    const angle = datan(y / x);
+    if (x > 0) return angle;
+    return (y < 0 || Object.is(y, -0)) ? angle - PI : angle + PI;
+}
@@ -0,0 +1,353 @@
+/**
+ * EntityStore - Entity/component registry for the simulation
+ *
+ * One store holds every world object (units, deposits, piles, wrecks):
+ * - O(1) lookup by ID
+ * - Per-kind lists in insertion order (deterministic iteration)
+ * - Queries by component set (Transform + Health, ...)
+ * - Serialization of component fields (StateSurface / SaveManager)
+ *
+ * Entities are plain objects (or UnitModel / render Unit instances);
+ * component fields live flat on the entity (see domain/Components.js).
+ *
+ * NO Three.js or rendering code allowed here.
+ *
+ * Usage:
+ *   const store = new EntityStore();
+ *   store.add(unitModel, { kind: EntityKind.UNIT });
+ *   const deposit = store.create(EntityKind.DEPOSIT, { Resource: { amount: 500 } });
+ *   for (const e of store.query(ComponentType.TRANSFORM, ComponentType.HEALTH)) { ... }
+ */
+
+import { nextEntityId } from './IdGenerator.js';
+import {
+    EntityKind,
+    KIND_COMPONENTS,
+    createComponentDefaults,
+    getComponentFields
+} from '../domain/Components.js';
+
+/**
+ * Deep copy a field value into plain JSON data.
+ * Vector/quaternion-like objects (incl. THREE types) become {x,y,z[,w]}.
+ * @private
+ */
+function toPlain(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(toPlain);
+
+    if (typeof value.x === 'number' && typeof value.y === 'number' && typeof value.z === 'number') {
+        const plain = { x: value.x, y: value.y, z: value.z };
+        if (typeof value.w === 'number') plain.w = value.w;
+        return plain;
+    }
+
+    const plain = {};
+    for (const key of Object.keys(value)) {
+        plain[key] = toPlain(value[key]);
+    }
+    return plain;
+}
+
+/**
+ * EntityStore indexes entities by ID, kind and component.
+ */
+export class EntityStore {
+    constructor() {
+        /** @type {Map<number|string, Object>} ID → entity */
+        this._entities = new Map();
+
+        /** @type {Map<number|string, { kind: string, components: Set<string> }>} */
+        this._meta = new Map();
+
+        /** @type {Map<string, Object[]>} Kind → entities in insertion order */
+        this._byKind = new Map();
+
+        /** @type {Map<string, Set<number|string>>} Component → entity IDs */
+        this._byComponent = new Map();
+    }
+
+    /**
+     * @returns {number} Entity count
+     */
+    get size() {
+        return this._entities.size;
+    }
+
+    /**
+     * Register an existing object as an entity.
+     * Missing component fields are filled with schema defaults; existing
+     * fields are left untouched.
+     *
+     * @param {Object} entity - Object with a unique `id`
+     * @param {Object} [options]
+     * @param {string} [options.kind='unit'] - Entity kind
+     * @param {string[]} [options.components] - Component names (default: KIND_COMPONENTS[kind])
+     * @returns {Object} The entity
+     * @throws {Error} On missing or duplicate IDs
+     */
+    add(entity, options = {}) {
+        if (!entity || entity.id === undefined || entity.id === null) {
+            throw new Error('EntityStore.add requires an entity with an id');
+        }
+        if (this._entities.has(entity.id)) {
+            throw new Error(`EntityStore: duplicate entity id ${entity.id}`);
+        }
+
+        const kind = options.kind ?? EntityKind.UNIT;
+        this._entities.set(entity.id, entity);
+        this._meta.set(entity.id, { kind, components: new Set() });
+
+        if (!this._byKind.has(kind)) this._byKind.set(kind, []);
+        this._byKind.get(kind).push(entity);
+
+        for (const type of options.components ?? KIND_COMPONENTS[kind] ?? []) {
+            this.addComponent(entity.id, type);
+        }
+        return entity;
+    }
+
+    /**
+     * Create a plain-data entity with a deterministic ID.
+     *
+     * @param {string} kind - Entity kind
+     * @param {Object<string, Object>} [components] - Component name → field values
+     *   (default component set of the kind is always added)
+     * @param {Object} [options]
+     * @param {number|string} [options.id] - Explicit ID (default: nextEntityId())
+     * @returns {Object} The entity
+     */
+    create(kind, components = {}, options = {}) {
+        const entity = { id: options.id ?? nextEntityId() };
+        const names = [...new Set([...(KIND_COMPONENTS[kind] ?? []), ...Object.keys(components)])];
+
+        this.add(entity, { kind, components: [] });
+        for (const type of names) {
+            this.addComponent(entity.id, type, components[type]);
+        }
+        return entity;
+    }
+
+    /**
+     * Remove an entity.
+     * @param {number|string} id
+     * @returns {boolean} True if it existed
+     */
+    remove(id) {
+        const meta = this._meta.get(id);
+        if (!meta) return false;
+
+        const entity = this._entities.get(id);
+        const list = this._byKind.get(meta.kind);
+        list.splice(list.indexOf(entity), 1);
+
+        for (const type of meta.components) {
+            this._byComponent.get(type).delete(id);
+        }
+
+        this._entities.delete(id);
+        this._meta.delete(id);
+        return true;
+    }
+
+    /**
+     * Remove every entity (optionally only one kind).
+     * @param {string} [kind]
+     */
+    clear(kind) {
+        if (kind === undefined) {
+            this._entities.clear();
+            this._meta.clear();
+            this._byKind.clear();
+            this._byComponent.clear();
+            return;
+        }
+        for (const entity of this.ofKind(kind)) {
+            this.remove(entity.id);
+        }
+    }
+
+    /**
+     * O(1) lookup.
+     * @param {number|string} id
+     * @param {string} [kind] - Only match entities of this kind
+     * @returns {Object|null}
+     */
+    get(id, kind) {
+        const entity = this._entities.get(id);
+        if (!entity) return null;
+        if (kind !== undefined && this._meta.get(id).kind !== kind) return null;
+        return entity;
+    }
+
+    /**
+     * @param {number|string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this._entities.has(id);
+    }
+
+    /**
+     * @param {number|string} id
+     * @returns {string|null} Kind of the entity
+     */
+    kindOf(id) {
+        return this._meta.get(id)?.kind ?? null;
+    }
+
+    /**
+     * Entities of one kind in insertion order (copy).
+     * @param {string} kind
+     * @returns {Object[]}
+     */
+    ofKind(kind) {
+        return [...(this._byKind.get(kind) ?? [])];
+    }
+
+    /**
+     * All entities in insertion order.
+     * @returns {Object[]}
+     */
+    all() {
+        return [...this._entities.values()];
+    }
+
+    /**
+     * Attach a component: fill missing fields with defaults, then apply values.
+     *
+     * @param {number|string} id
+     * @param {string} type - Component name
+     * @param {Object} [values] - Field values to set
+     * @returns {Object} The entity
+     * @throws {Error} On unknown entity or component
+     */
+    addComponent(id, type, values = undefined) {
+        const entity = this._entities.get(id);
+        if (!entity) {
+            throw new Error(`EntityStore: unknown entity ${id}`);
+        }
+
+        const defaults = createComponentDefaults(type);
+        for (const field of Object.keys(defaults)) {
+            if (entity[field] === undefined) entity[field] = defaults[field];
+        }
+        if (values) {
+            Object.assign(entity, values);
+        }
+
+        this._meta.get(id).components.add(type);
+        if (!this._byComponent.has(type)) this._byComponent.set(type, new Set());
+        this._byComponent.get(type).add(id);
+        return entity;
+    }
+
+    /**
+     * Detach a component (fields stay on the object but are no longer indexed or saved).
+     * @param {number|string} id
+     * @param {string} type
+     * @returns {boolean} True if it was attached
+     */
+    removeComponent(id, type) {
+        const meta = this._meta.get(id);
+        if (!meta || !meta.components.delete(type)) return false;
+        this._byComponent.get(type).delete(id);
+        return true;
+    }
+
+    /**
+     * @param {number|string} id
+     * @param {string} type
+     * @returns {boolean}
+     */
+    hasComponent(id, type) {
+        return this._meta.get(id)?.components.has(type) ?? false;
+    }
+
+    /**
+     * Current field values of one component (shallow view object).
+     * @param {number|string} id
+     * @param {string} type
+     * @returns {Object|null}
+     */
+    getComponent(id, type) {
+        if (!this.hasComponent(id, type)) return null;
+        const entity = this._entities.get(id);
+        const view = {};
+        for (const field of getComponentFields(type)) {
+            view[field] = entity[field];
+        }
+        return view;
+    }
+
+    /**
+     * Entities that have every listed component, in insertion order.
+     * @param {...string} types - Component names
+     * @returns {Object[]}
+     */
+    query(...types) {
+        if (types.length === 0) return this.all();
+
+        const sets = types.map(type => this._byComponent.get(type) ?? new Set());
+        const result = [];
+        for (const [id, entity] of this._entities) {
+            if (sets.every(set => set.has(id))) result.push(entity);
+        }
+        return result;
+    }
+
+    // ============ Serialization ============
+
+    /**
+     * Serialize component fields of every entity.
+     *
+     * @param {Object} [options]
+     * @param {string[]} [options.excludeKinds] - Kinds to skip (e.g. units saved elsewhere)
+     * @returns {Array<{ id: number|string, kind: string, components: Object<string, Object> }>}
+     */
+    serialize(options = {}) {
+        const exclude = new Set(options.excludeKinds ?? []);
+        const records = [];
+
+        for (const [id, entity] of this._entities) {
+            const meta = this._meta.get(id);
+            if (exclude.has(meta.kind)) continue;
+
+            const components = {};
+            for (const type of meta.components) {
+                const data = {};
+                for (const field of getComponentFields(type)) {
+                    data[field] = toPlain(entity[field]);
+                }
+                components[type] = data;
+            }
+            records.push({ id, kind: meta.kind, components });
+        }
+        return records;
+    }
+
+    /**
+     * Add entities from serialized records.
+     * Existing entities with the same ID are replaced.
+     *
+     * @param {Object[]} records - From serialize()
+     * @param {Object} [options]
+     * @param {Function} [options.createEntity] - (record) → object to register (default: plain { id })
+     * @returns {Object[]} Restored entities
+     */
+    restore(records, options = {}) {
+        const restored = [];
+
+        for (const record of records || []) {
+            if (this.has(record.id)) this.remove(record.id);
+
+            const entity = options.createEntity ? options.createEntity(record) : { id: record.id };
+            this.add(entity, { kind: record.kind, components: [] });
+            for (const [type, data] of Object.entries(record.components || {})) {
+                this.addComponent(record.id, type, toPlain(data));
+            }
+            restored.push(entity);
+        }
+        return restored;
+    }
+}
@@ -12,6 +12,20 @@
  * - MOVE: { type: 'MOVE', unitId, position: {x,y,z} }
  * - SET_PATH: { type: 'SET_PATH', unitId, points: [{x,y,z}...] }
  * - CLOSE_PATH: { type: 'CLOSE_PATH', unitId }
+ * - WAIT: { type: 'WAIT', unitId, seconds }
+ * - STOP: { type: 'STOP', unitId }
+ * - REORDER_COMMANDS: { type: 'REORDER_COMMANDS', unitId, order: [commandId...] }
+ * - DELETE_COMMAND: { type: 'DELETE_COMMAND', unitId, commandId }
+ * - TOGGLE_PAUSE: { type: 'TOGGLE_PAUSE', unitId }
+ * - RESUME: { type: 'RESUME', unitId }
+ * - SET_LOOPING: { type: 'SET_LOOPING', unitId, enabled }
+ * - ATTACK: { type: 'ATTACK', unitId, targetId }
+ * - BUILD: { type: 'BUILD', unitId, typeId, position: {x,y,z} }
+ * - PRODUCE: { type: 'PRODUCE', unitId, typeId }
+ * - REFIT: { type: 'REFIT', unitId, targetId }
+ * - CANCEL_PRODUCTION: { type: 'CANCEL_PRODUCTION', unitId, jobId }
+ * - RESEARCH: { type: 'RESEARCH', unitId, goalId, researchType, featureId, constraintKey }
+ * - APPLY_TRAINING: { type: 'APPLY_TRAINING', records: [{ featureId, highScore }...] }
  *
  * Architecture (R007):
  *   DOM Event → InputFactory.select/move/etc → Transport.send → CommandQueue
@@ -137,6 +151,222 @@ export class InputFactory {
         });
     }
 
+    /**
+     * Create a WAIT command (appends a timed pause to the unit's order queue).
+     * @param {number|string} unitId - Target unit
+     * @param {number} seconds - Wait duration
+     * @returns {Object} The created command
+     */
+    wait(unitId, seconds) {
+        return this._send({
+            type: CommandType.WAIT,
+            unitId: unitId,
+            seconds: seconds
+        });
+    }
+
+    /**
+     * Create a STOP command (clears the unit's orders and path).
+     * @param {number|string} unitId - Target unit
+     * @returns {Object} The created command
+     */
+    stop(unitId) {
+        return this._send({
+            type: CommandType.STOP,
+            unitId: unitId
+        });
+    }
+
+    /**
+     * Create a REORDER_COMMANDS command.
+     * @param {number|string} unitId - Target unit
+     * @param {string[]} order - All of the unit's command IDs in the new order
+     * @returns {Object} The created command
+     */
+    reorderCommands(unitId, order) {
+        return this._send({
+            type: CommandType.REORDER_COMMANDS,
+            unitId: unitId,
+            order: [...order]
+        });
+    }
+
+    /**
+     * Create a DELETE_COMMAND command.
+     * @param {number|string} unitId - Target unit
+     * @param {string} commandId - Order to remove
+     * @returns {Object} The created command
+     */
+    deleteCommand(unitId, commandId) {
+        return this._send({
+            type: CommandType.DELETE_COMMAND,
+            unitId: unitId,
+            commandId: commandId
+        });
+    }
+
+    /**
+     * Create a TOGGLE_PAUSE command.
+     * @param {number|string} unitId - Target unit
+     * @returns {Object} The created command
+     */
+    togglePause(unitId) {
+        return this._send({
+            type: CommandType.TOGGLE_PAUSE,
+            unitId: unitId
+        });
+    }
+
+    /**
+     * Create a RESUME command (unpause and follow the path; unlike
+     * TOGGLE_PAUSE, sending it twice does not pause again).
+     * @param {number|string} unitId - Target unit
+     * @returns {Object} The created command
+     */
+    resume(unitId) {
+        return this._send({
+            type: CommandType.RESUME,
+            unitId: unitId
+        });
+    }
+
+    /**
+     * Create a SET_LOOPING command.
+     * @param {number|string} unitId - Target unit
+     * @param {boolean} enabled - Loop the path when complete
+     * @returns {Object} The created command
+     */
+    setLooping(unitId, enabled) {
+        return this._send({
+            type: CommandType.SET_LOOPING,
+            unitId: unitId,
+            enabled: !!enabled
+        });
+    }
+
+    /**
+     * Create an ATTACK command.
+     * @param {number|string} unitId - Attacking unit
+     * @param {number|string} targetId - Target unit
+     * @returns {Object} The created command
+     */
+    attack(unitId, targetId) {
+        return this._send({
+            type: CommandType.ATTACK,
+            unitId: unitId,
+            targetId: targetId
+        });
+    }
+
+    /**
+     * Create a BUILD command.
+     * @param {number|string} unitId - Builder unit
+     * @param {string} typeId - Blueprint/type to build
+     * @param {{x: number, y: number, z: number}} position - Build site
+     * @returns {Object} The created command
+     */
+    build(unitId, typeId, position) {
+        return this._send({
+            type: CommandType.BUILD,
+            unitId: unitId,
+            typeId: typeId,
+            position: {
+                x: position.x,
+                y: position.y,
+                z: position.z
+            }
+        });
+    }
+
+    /**
+     * Create a PRODUCE command (queue a new unit at a producer).
+     * @param {number|string} unitId - Producer unit
+     * @param {string} typeId - Blueprint/type to produce
+     * @returns {Object} The created command
+     */
+    produce(unitId, typeId) {
+        return this._send({
+            type: CommandType.PRODUCE,
+            unitId: unitId,
+            typeId: typeId
+        });
+    }
+
+    /**
+     * Create a REFIT command (update a nearby unit to its newest blueprint version).
+     * @param {number|string} unitId - Producer unit
+     * @param {number|string} targetId - Unit to refit
+     * @returns {Object} The created command
+     */
+    refit(unitId, targetId) {
+        return this._send({
+            type: CommandType.REFIT,
+            unitId: unitId,
+            targetId: targetId
+        });
+    }
+
+    /**
+     * Create a CANCEL_PRODUCTION command.
+     * @param {number|string} unitId - Producer unit
+     * @param {string} jobId - Production job to cancel
+     * @returns {Object} The created command
+     */
+    cancelProduction(unitId, jobId) {
+        return this._send({
+            type: CommandType.CANCEL_PRODUCTION,
+            unitId: unitId,
+            jobId: jobId
+        });
+    }
+
+    /**
+     * Create a RESEARCH command: research a goal (Need card dropped on a unit),
+     * or invent / extend a feature directly.
+     * @param {number|string} unitId - Researcher unit
+     * @param {Object} request
+     * @param {string} [request.goalId] - Goal to research
+     * @param {string} [request.researchType] - GoalType INVENT / EXTEND (without goalId)
+     * @param {string} [request.featureId] - Feature to research (without goalId)
+     * @param {string} [request.constraintKey] - Constraint to extend (EXTEND only)
+     * @returns {Object} The created command
+     */
+    research(unitId, { goalId = null, researchType = null, featureId = null, constraintKey = null } = {}) {
+        return this._send({
+            type: CommandType.RESEARCH,
+            unitId: unitId,
+            goalId: goalId,
+            researchType: researchType,
+            featureId: featureId,
+            constraintKey: constraintKey
+        });
+    }
+
+    /**
+     * Create an APPLY_TRAINING command: publish the local player's training
+     * high scores so every peer applies them to that player's units on the same tick.
+     * @param {{ featureId: string, highScore: number }[]} records - TrainingManager records
+     * @returns {Object} The created command
+     */
+    applyTraining(records) {
+        return this._send({
+            type: CommandType.APPLY_TRAINING,
+            records: records.map(record => ({ featureId: record.featureId, highScore: record.highScore }))
+        });
+    }
+
+    /**
+     * Create a SET_UNIT_SPEED command (debug override of every unit's speed).
+     * @param {number} speed - Movement speed
+     * @returns {Object} The created command
+     */
+    setUnitSpeed(speed) {
+        return this._send({
+            type: CommandType.SET_UNIT_SPEED,
+            speed: speed
+        });
+    }
+
     /**
      * Get the underlying transport.
      * @returns {TransportBase}
@@ -0,0 +1,419 @@
+/**
+ * SessionManager - Room lobby, presence and match start on top of a transport
+ *
+ * Tracks who is in the current room via transport presence, elects a host,
+ * runs the ready-check and announces the match start. Membership changes are
+ * emitted on the EventBus (HUD, CommandValidator.isSenderPresent).
+ *
+ * Presence payload per client (published with transport.trackPresence):
+ *   { name, color, ready, joinedAt, match? }
+ *
+ * Host election: the member with the earliest joinedAt (wall clock at join),
+ * ties broken by clientId. Every client computes the same host from the same
+ * presence list, so no extra messages are needed. When the host leaves, the
+ * next member in that order takes over.
+ *
+ * Match start: the host publishes `match: { seed, startedAt }` in its presence
+ * once every member is ready; each client emits MATCH_START when it sees it.
+ *
+ * Transport contract (SupabaseTransport):
+ *   joinRoom(room), disconnect(), trackPresence(state), untrackPresence(),
+ *   onPresence = (list) => ..., clientId, room
+ *
+ * Usage:
+ *   const session = new SessionManager({ transport, playerName: 'Ada' });
+ *   await session.joinRoom('asterobia-lobby');
+ *   await session.setReady(true);
+ *   globalEventBus.on(SessionEvent.MATCH_START, ({ seed }) => startGame(seed));
+ */
+
+import { globalEventBus } from './EventBus.js';
+
+/**
+ * Session events (EventBus names).
+ */
+export const SessionEvent = {
+    ROOM_JOINED: 'SESSION_ROOM_JOINED',
+    ROOM_LEFT: 'SESSION_ROOM_LEFT',
+    PLAYER_JOINED: 'SESSION_PLAYER_JOINED',
+    PLAYER_LEFT: 'SESSION_PLAYER_LEFT',
+    PLAYER_UPDATED: 'SESSION_PLAYER_UPDATED',
+    HOST_CHANGED: 'SESSION_HOST_CHANGED',
+    READY_CHANGED: 'SESSION_READY_CHANGED',
+    MATCH_START: 'SESSION_MATCH_START'
+};
+
+/**
+ * Default player colors, assigned in join order when a player has none.
+ */
+export const PLAYER_COLORS = ['#4fc3f7', '#ef5350', '#66bb6a', '#ffca28', '#ab47bc', '#ff7043', '#26a69a', '#ec407a'];
+
+const MAX_NAME_LENGTH = 24;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Sort members into host-election order.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function byJoinOrder(a, b) {
+    if (a.joinedAt !== b.joinedAt) return a.joinedAt - b.joinedAt;
+    return a.clientId < b.clientId ? -1 : a.clientId > b.clientId ? 1 : 0;
+}
+
+/**
+ * Trim and bound a display name.
+ * @param {*} name
+ * @returns {string}
+ */
+function sanitizeName(name) {
+    const text = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    return text || 'Player';
+}
+
+/**
+ * SessionManager owns lobby state for one transport.
+ */
+export class SessionManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.transport - Presence-capable transport (SupabaseTransport)
+     * @param {EventBus} [options.eventBus] - Bus for SessionEvent (default: globalEventBus)
+     * @param {string} [options.playerName] - Local display name
+     * @param {string} [options.color] - Local color '#rrggbb' (default: palette by join order)
+     * @param {number} [options.minPlayers=2] - Players required before the match can start
+     * @param {number} [options.maxPlayers=8] - Room capacity (the ready-check fails above it)
+     * @param {Function} [options.now] - Wall clock in ms (join order only)
+     * @param {Function} [options.generateRoomId] - Room name for createRoom()
+     */
+    constructor(options = {}) {
+        if (!options.transport) {
+            throw new Error('SessionManager requires transport option');
+        }
+
+        this.transport = options.transport;
+        this.eventBus = options.eventBus ?? globalEventBus;
+        this.minPlayers = options.minPlayers ?? 2;
+        this.maxPlayers = options.maxPlayers ?? PLAYER_COLORS.length;
+        this._now = options.now ?? (() => Date.now());
+        this._generateRoomId = options.generateRoomId
+            ?? (() => `asterobia-${Math.random().toString(36).slice(2, 8)}`);
+
+        /** @type {{ name: string, color: string|null, ready: boolean, joinedAt: number, match?: Object }} */
+        this._local = {
+            name: sanitizeName(options.playerName),
+            color: COLOR_PATTERN.test(options.color ?? '') ? options.color : null,
+            ready: false,
+            joinedAt: 0
+        };
+
+        /** @type {string|null} Current room */
+        this._room = null;
+
+        /** @type {Map<string, Object>} clientId → member (from the last presence sync) */
+        this._members = new Map();
+
+        /** @type {string|null} */
+        this._hostId = null;
+
+        /** @type {boolean} Last ready-check result */
+        this._allReady = false;
+
+        /** @type {Object|null} Match announced by the host */
+        this._match = null;
+
+        this.transport.onPresence = (list) => this._handlePresence(list);
+    }
+
+    // ============ Rooms ============
+
+    /**
+     * Create a new room and join it (the creator becomes host).
+     * @param {string} [room] - Room name (default: generated)
+     * @returns {Promise<string>} Room name
+     */
+    async createRoom(room) {
+        const name = room || this._generateRoomId();
+        await this.joinRoom(name);
+        return name;
+    }
+
+    /**
+     * Join a room and announce this player.
+     * @param {string} room
+     * @returns {Promise<void>}
+     */
+    async joinRoom(room) {
+        if (!room) {
+            throw new Error('SessionManager.joinRoom() requires a room name');
+        }
+        if (this._room) {
+            await this.leaveRoom();
+        }
+
+        this._room = room;
+        this._local.ready = false;
+        this._local.joinedAt = this._now();
+        delete this._local.match;
+
+        await this.transport.joinRoom(room);
+        await this.transport.trackPresence({ ...this._local });
+
+        console.log(`[SessionManager] Joined room ${room} as ${this.localId}`);
+        this.eventBus.emit(SessionEvent.ROOM_JOINED, { room, clientId: this.localId });
+    }
+
+    /**
+     * Leave the current room.
+     * @returns {Promise<void>}
+     */
+    async leaveRoom() {
+        const room = this._room;
+        if (!room) return;
+
+        await this.transport.untrackPresence();
+        await this.transport.disconnect();
+
+        for (const member of this._members.values()) {
+            if (member.clientId !== this.localId) {
+                this.eventBus.emit(SessionEvent.PLAYER_LEFT, { clientId: member.clientId, player: member });
+            }
+        }
+
+        this._room = null;
+        this._members.clear();
+        this._hostId = null;
+        this._allReady = false;
+        this._match = null;
+
+        console.log(`[SessionManager] Left room ${room}`);
+        this.eventBus.emit(SessionEvent.ROOM_LEFT, { room });
+    }
+
+    // ============ Local player ============
+
+    /**
+     * Change the local name and/or color.
+     * @param {{ name?: string, color?: string }} profile
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async setProfile(profile = {}) {
+        if (profile.color !== undefined && profile.color !== null && !COLOR_PATTERN.test(profile.color)) {
+            return { success: false, error: `Invalid color: ${profile.color}` };
+        }
+        if (profile.name !== undefined) this._local.name = sanitizeName(profile.name);
+        if (profile.color !== undefined) this._local.color = profile.color;
+        await this._publish();
+        return { success: true };
+    }
+
+    /**
+     * Set the local ready flag (ignored once the match has started).
+     * @param {boolean} ready
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async setReady(ready) {
+        if (!this._room) {
+            return { success: false, error: 'Not in a room' };
+        }
+        if (this._match) {
+            return { success: false, error: 'Match already started' };
+        }
+        this._local.ready = !!ready;
+        await this._publish();
+        return { success: true };
+    }
+
+    /**
+     * Host only: start the match once the ready-check passes.
+     * @param {{ seed?: number }} [options]
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async startMatch(options = {}) {
+        if (!this.isHost) {
+            return { success: false, error: 'Only the host can start the match' };
+        }
+        const check = this.getReadyCheck();
+        if (!check.canStart) {
+            return { success: false, error: check.reason };
+        }
+
+        this._local.match = {
+            seed: options.seed ?? Math.floor(this._now() % 2147483647),
+            startedAt: this._now()
+        };
+        await this._publish();
+        return { success: true };
+    }
+
+    // ============ Queries ============
+
+    /** @returns {string|null} */
+    get room() {
+        return this._room;
+    }
+
+    /** @returns {string|null} Local client ID (transport presence key) */
+    get localId() {
+        return this.transport.clientId ?? null;
+    }
+
+    /** @returns {string|null} */
+    get hostId() {
+        return this._hostId;
+    }
+
+    /** @returns {boolean} */
+    get isHost() {
+        return this._hostId !== null && this._hostId === this.localId;
+    }
+
+    /** @returns {Object|null} { seed, startedAt, hostId } once the host started the match */
+    get match() {
+        return this._match;
+    }
+
+    /**
+     * Whether a client is currently in the room.
+     * @param {string} clientId
+     * @returns {boolean}
+     */
+    isPresent(clientId) {
+        return this._members.has(clientId);
+    }
+
+    /**
+     * Members in join order with display colors resolved.
+     * @returns {Array<{ clientId: string, name: string, color: string, ready: boolean, joinedAt: number, isHost: boolean, isLocal: boolean }>}
+     */
+    getPlayers() {
+        return [...this._members.values()].sort(byJoinOrder).map(member => ({ ...member }));
+    }
+
+    /**
+     * Ready-check status.
+     * @returns {{ canStart: boolean, readyCount: number, playerCount: number, reason: string|null }}
+     */
+    getReadyCheck() {
+        const players = [...this._members.values()];
+        const readyCount = players.filter(p => p.ready).length;
+        let reason = null;
+
+        if (!this._room) {
+            reason = 'Not in a room';
+        } else if (players.length < this.minPlayers) {
+            reason = `Need at least ${this.minPlayers} players`;
+        } else if (players.length > this.maxPlayers) {
+            reason = `Room is full (max ${this.maxPlayers})`;
+        } else if (readyCount < players.length) {
+            reason = `${players.length - readyCount} player(s) not ready`;
+        } else if (this._match) {
+            reason = 'Match already started';
+        }
+
+        return { canStart: reason === null, readyCount, playerCount: players.length, reason };
+    }
+
+    /**
+     * Summary for HUD/debug.
+     * @returns {Object}
+     */
+    getStats() {
+        const check = this.getReadyCheck();
+        return {
+            room: this._room,
+            localId: this.localId,
+            hostId: this._hostId,
+            players: check.playerCount,
+            ready: check.readyCount,
+            matchStarted: !!this._match
+        };
+    }
+
+    // ============ Internal ============
+
+    /**
+     * Re-publish local presence.
+     * @private
+     */
+    async _publish() {
+        if (this._room) {
+            await this.transport.trackPresence({ ...this._local });
+        }
+    }
+
+    /**
+     * Diff a presence sync against the previous member list and emit events.
+     * @private
+     * @param {Object[]} list - [{ clientId, name, color, ready, joinedAt, match? }]
+     */
+    _handlePresence(list) {
+        if (!this._room) return;
+
+        const localId = this.localId;
+        const incoming = list
+            .filter(entry => entry && typeof entry.clientId === 'string')
+            .map(entry => ({
+                clientId: entry.clientId,
+                name: sanitizeName(entry.name),
+                color: COLOR_PATTERN.test(entry.color ?? '') ? entry.color : null,
+                ready: !!entry.ready,
+                joinedAt: Number.isFinite(entry.joinedAt) ? entry.joinedAt : Number.MAX_SAFE_INTEGER,
+                match: entry.match ?? null
+            }))
+            .sort(byJoinOrder);
+
+        const hostId = incoming.length > 0 ? incoming[0].clientId : null;
+        const next = new Map();
+        incoming.forEach((entry, index) => {
+            const { match, ...member } = entry;
+            member.color = member.color ?? PLAYER_COLORS[index % PLAYER_COLORS.length];
+            member.isHost = member.clientId === hostId;
+            member.isLocal = member.clientId === localId;
+            next.set(member.clientId, member);
+        });
+
+        const previous = this._members;
+        const previousHost = this._hostId;
+        this._members = next;
+        this._hostId = hostId;
+
+        for (const [clientId, member] of previous) {
+            if (!next.has(clientId)) {
+                this.eventBus.emit(SessionEvent.PLAYER_LEFT, { clientId, player: member });
+            }
+        }
+        for (const [clientId, member] of next) {
+            const before = previous.get(clientId);
+            if (!before) {
+                this.eventBus.emit(SessionEvent.PLAYER_JOINED, { clientId, player: { ...member } });
+            } else if (before.name !== member.name || before.color !== member.color || before.ready !== member.ready) {
+                this.eventBus.emit(SessionEvent.PLAYER_UPDATED, { clientId, player: { ...member } });
+            }
+        }
+
+        if (hostId !== previousHost) {
+            this.eventBus.emit(SessionEvent.HOST_CHANGED, { hostId, previousHostId: previousHost });
+        }
+
+        const check = this.getReadyCheck();
+        const allReady = check.playerCount >= this.minPlayers && check.readyCount === check.playerCount;
+        if (allReady !== this._allReady) {
+            this._allReady = allReady;
+            this.eventBus.emit(SessionEvent.READY_CHANGED, { allReady, readyCount: check.readyCount, playerCount: check.playerCount });
+        }
+
+        const hostMatch = incoming.length > 0 ? incoming[0].match : null;
+        if (!this._match && hostMatch && Number.isFinite(hostMatch.seed)) {
+            this._match = { seed: hostMatch.seed, startedAt: hostMatch.startedAt, hostId };
+            console.log(`[SessionManager] Match started by ${hostId} (seed ${hostMatch.seed})`);
+            this.eventBus.emit(SessionEvent.MATCH_START, {
+                room: this._room,
+                hostId,
+                seed: hostMatch.seed,
+                players: this.getPlayers()
+            });
+        }
+    }
+}
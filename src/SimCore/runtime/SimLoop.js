@@ -43,6 +43,16 @@ export class SimLoop {
          * @type {((alpha: number) => void) | null}
          */
         this.onRender = null;
+
+        /**
+         * Optional gate checked before each tick (lockstep multiplayer).
+         * Returning false stalls the sim until the next step().
+         * @type {((nextTickCount: number) => boolean) | null}
+         */
+        this.canAdvance = null;
+
+        /** True if the last step() was held back by canAdvance */
+        this.stalled = false;
     }
 
     /**
@@ -67,9 +77,17 @@ export class SimLoop {
         this.accumulatorMs += delta;
 
         // Run fixed-timestep simulation ticks
+        this.stalled = false;
         while (this.accumulatorMs >= this.fixedDtMs) {
             const nextTickCount = this.tickCount + 1;
 
+            if (this.canAdvance && !this.canAdvance(nextTickCount)) {
+                // Waiting on input: keep time owed, but never more than one max frame
+                this.stalled = true;
+                this.accumulatorMs = Math.min(this.accumulatorMs, this.maxFrameMs);
+                break;
+            }
+
             if (this.onSimTick) {
                 this.onSimTick(this.fixedDtSec, nextTickCount);
             }
@@ -79,13 +97,30 @@ export class SimLoop {
         }
 
         // Calculate interpolation alpha for rendering
-        const alpha = this.accumulatorMs / this.fixedDtMs;
+        // (while stalled, hold the last simulated state instead of extrapolating)
+        const alpha = this.stalled ? 1 : this.accumulatorMs / this.fixedDtMs;
 
         if (this.onRender) {
             this.onRender(alpha);
         }
     }
 
+    /**
+     * Run exactly one tick now, without consuming frame time or consulting canAdvance.
+     * Used to resimulate ticks after a rollback.
+     * @returns {number} The tick that was simulated
+     */
+    advanceTick() {
+        const nextTickCount = this.tickCount + 1;
+
+        if (this.onSimTick) {
+            this.onSimTick(this.fixedDtSec, nextTickCount);
+        }
+
+        this.tickCount = nextTickCount;
+        return nextTickCount;
+    }
+
     /**
      * Reset the loop state. Call when restarting simulation.
      */
@@ -93,6 +128,7 @@ export class SimLoop {
         this.accumulatorMs = 0;
         this.tickCount = 0;
         this.lastFrameMs = 0;
+        this.stalled = false;
     }
 
     /**
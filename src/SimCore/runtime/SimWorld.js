@@ -0,0 +1,588 @@
+/**
+ * SimWorld - Headless Authoritative Simulation World
+ *
+ * Owns everything needed to advance a match without a renderer:
+ * entities (UnitModel units, deposits, piles, wrecks in an EntityStore),
+ * terrain height sampling, SimLoop, CommandQueue and RNG.
+ * Runs in plain Node (no Three.js, no DOM, no Planet mesh).
+ *
+ * Command handling mirrors Game._processInputCommands / Game.addCommand
+ * (same command IDs, same start-point behaviour) and movement runs the
+ * MovementRules shared with Unit.update() through MovementSystem.
+ *
+ * Usage:
+ *   const world = new SimWorld({ seed: 42 });
+ *   const unit = world.spawnUnit({ position: { x: 0, y: 10, z: 0 } });
+ *   world.commandQueue.enqueue({ type: 'MOVE', unitId: unit.id, position: {...} });
+ *   world.runTicks(100);
+ *   const hash = world.getHash();
+ */
+
+import { SimLoop } from './SimLoop.js';
+import { CommandQueue, CommandType } from './CommandQueue.js';
+import { getGlobalRNG, resetGlobalRNG } from './SeededRNG.js';
+import {
+    nextEntityId,
+    peekEntityId,
+    resetEntityIdCounter,
+    setEntityIdCounter
+} from './IdGenerator.js';
+import { serializeState, hashState } from './StateSurface.js';
+import { quantizeUnitState } from './DeterministicMath.js';
+import { UnitModel } from '../domain/UnitModel.js';
+import { OrderType, reorderOrders, deleteOrder, clearOrders } from '../domain/UnitOrders.js';
+import { MovementSystem, projectToTerrain } from '../systems/MovementSystem.js';
+import { GoalManager } from '../systems/GoalManager.js';
+import { ResearchSystem } from '../systems/ResearchSystem.js';
+import { ProductionSystem } from '../systems/ProductionSystem.js';
+import { TrainingSystem } from '../systems/TrainingSystem.js';
+import { LOCAL_TRAINING_USER } from './TrainingManager.js';
+import { applyBlueprintStats } from './UnitTypeBinder.js';
+import { FeatureRegistry } from '../domain/FeatureRegistry.js';
+import { SystemScheduler } from '../systems/SystemScheduler.js';
+import { EventBus } from './EventBus.js';
+import { Store } from './Store.js';
+import { EntityStore } from './EntityStore.js';
+import { EntityKind } from '../domain/Components.js';
+
+/**
+ * Create a smooth spherical terrain sampler (no noise).
+ * Satisfies the same contract as World/Terrain.js for headless runs.
+ *
+ * @param {number} [radius=10] - Planet radius
+ * @param {number} [waterLevel=-0.5] - Water level relative to radius
+ * @returns {{ params: { radius: number, waterLevel: number }, getRadiusAt: Function }}
+ */
+export function createSphereTerrain(radius = 10, waterLevel = -0.5) {
+    return {
+        params: { radius, waterLevel },
+        getRadiusAt() {
+            return radius;
+        }
+    };
+}
+
+/**
+ * SimWorld advances authoritative state on the fixed timestep.
+ */
+export class SimWorld {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.seed=0] - RNG seed
+     * @param {number} [options.fixedDtMs=50] - Fixed timestep in milliseconds
+     * @param {Object} [options.terrain] - Height sampler (default: smooth sphere, radius 10)
+     * @param {CommandQueue} [options.commandQueue] - Command buffer (default: new queue)
+     * @param {Object} [options.unitDefaults] - Stats applied to every spawned unit (speed, groundOffset, ...)
+     * @param {boolean} [options.quantize=false] - Snap unit motion state to the fixed-point grid every tick
+     *   and hash grid values (cross-engine determinism)
+     * @param {Store} [options.store] - Shared store for systems (default: new Store)
+     * @param {EventBus} [options.eventBus] - Shared event bus for systems (default: new EventBus)
+     * @param {Object} [options.goals] - GoalManager options (isFeatureKnown, onboarding, ...)
+     * @param {Object} [options.research] - ResearchSystem options (stats, spendEnergy, getResearchAllocation, ...)
+     * @param {Object} [options.production] - ProductionSystem options (stats, getBlueprint, spendEnergy, ...)
+     * @param {Object} [options.training] - TrainingSystem options (stats, ...)
+     */
+    constructor(options = {}) {
+        this.seed = options.seed ?? 0;
+
+        /** @type {Object} Height sampler shared with MovementSystem */
+        this.terrain = options.terrain ?? createSphereTerrain();
+
+        /** @type {Object} Stats applied to spawned units */
+        this.unitDefaults = options.unitDefaults ?? {};
+
+        /** @type {boolean} Quantized math mode (see DeterministicMath) */
+        this.quantize = options.quantize ?? false;
+
+        /** @type {EntityStore} Every world object, indexed by ID / kind / component */
+        this.entities = new EntityStore();
+
+        /** @type {UnitModel|null} */
+        this.selectedUnit = null;
+
+        this.commandQueue = options.commandQueue ?? new CommandQueue();
+        this.rng = getGlobalRNG();
+        this.store = options.store ?? new Store();
+        this.eventBus = options.eventBus ?? new EventBus();
+
+        // R011: SaveManager reads/writes the entity counter through this adapter
+        this.idGenerator = { peekEntityId, setEntityIdCounter };
+
+        this.movementSystem = new MovementSystem(this.terrain);
+
+        // Systems run after input commands each tick (see simTick)
+        const world = this;
+        this.systems = new SystemScheduler({
+            context: {
+                store: this.store,
+                eventBus: this.eventBus,
+                rng: this.rng,
+                entityStore: this.entities,
+                get units() { return world.units; },
+                get entities() { return world.units; }
+            }
+        });
+        this.systems.register(this.movementSystem);
+
+        // Goals (Need cards) from GameEvents emitted by movement and other systems
+        this.goalManager = new GoalManager({
+            eventBus: this.eventBus,
+            isFeatureKnown: (featureId) => FeatureRegistry.isUnlocked(featureId),
+            ...options.goals
+        });
+        this.systems.register(this.goalManager, { after: ['movement'] });
+
+        // Invent / Extend jobs on research-capable units
+        this.researchSystem = new ResearchSystem({
+            eventBus: this.eventBus,
+            goals: this.goalManager,
+            getUnit: (id) => this.getUnit(id),
+            ...options.research
+        });
+        this.systems.register(this.researchSystem, { after: ['goals'] });
+
+        // Replicated training high scores (APPLY_TRAINING); rebinds re-apply the unit's pinned design
+        this.trainingSystem = new TrainingSystem({
+            eventBus: this.eventBus,
+            getUnits: () => this.units,
+            rebindUnit: (unit, featureTraining) => {
+                if (!unit.typeSpec) return false;
+                const blueprint = { id: unit.typeId, version: unit.typeVersion, ...unit.typeSpec };
+                applyBlueprintStats(unit, blueprint, this.productionSystem.stats, featureTraining);
+                return true;
+            },
+            ...options.training
+        });
+
+        // Build / Refit queues on producer units; built units spawn next to the producer
+        this.productionSystem = new ProductionSystem({
+            eventBus: this.eventBus,
+            getUnit: (id) => this.getUnit(id),
+            spawnUnit: (blueprint, position, producer) => {
+                const unit = this.spawnUnit({ position, name: blueprint.name, ownerId: producer.ownerId });
+                const training = this.trainingSystem.getFeatureTraining(unit.ownerId ?? LOCAL_TRAINING_USER);
+                applyBlueprintStats(unit, blueprint, this.productionSystem.stats, training);
+                return unit;
+            },
+            ...options.production
+        });
+        this.systems.register(this.productionSystem, { after: ['research'] });
+        this.systems.register(this.trainingSystem, { after: ['production'] });
+
+        this.simLoop = new SimLoop({ fixedDtMs: options.fixedDtMs ?? 50 });
+        this.simLoop.onSimTick = (dt, tick) => this.simTick(dt, tick);
+
+        this._syntheticTimeMs = 0;
+
+        this.reset();
+    }
+
+    /**
+     * Reset world to an empty state with the configured seed.
+     * Resets the global RNG, entity ID counter and feature research
+     * progress (one world per process).
+     */
+    reset() {
+        this.entities.clear();
+        this.selectedUnit = null;
+        this.commandQueue.reset();
+        this.simLoop.reset();
+        this.goalManager.reset();
+        this.researchSystem.reset();
+        this.researchSystem.features.resetProgress();
+        this.productionSystem.reset();
+        this.trainingSystem.reset();
+        this._syntheticTimeMs = 0;
+        resetGlobalRNG(this.seed);
+        resetEntityIdCounter();
+    }
+
+    // ============ Units ============
+
+    /**
+     * Units in spawn order (copy of the EntityStore unit list).
+     * @returns {UnitModel[]}
+     */
+    get units() {
+        return this.entities.ofKind(EntityKind.UNIT);
+    }
+
+    /**
+     * Spawn a unit on the terrain surface.
+     *
+     * @param {Object} [config]
+     * @param {{x: number, y: number, z: number}} [config.position] - Any point; projected to surface
+     * @param {string} [config.name] - Display name
+     * @param {string} [config.ownerId] - Owner player ID (default: 'local')
+     * @returns {UnitModel}
+     */
+    spawnUnit(config = {}) {
+        const id = config.id ?? nextEntityId();
+        const unit = new UnitModel({ id, name: config.name ?? `Unit ${id}`, ownerId: config.ownerId });
+
+        Object.assign(unit, this.unitDefaults);
+        if (config.speed !== undefined) unit.speed = config.speed;
+        if (config.groundOffset !== undefined) unit.groundOffset = config.groundOffset;
+
+        const start = config.position ?? { x: 0, y: 1, z: 0 };
+        unit.position = projectToTerrain(this.terrain, start, unit.groundOffset);
+        if (this.quantize) quantizeUnitState(unit);
+
+        this.entities.add(unit, { kind: EntityKind.UNIT });
+        return unit;
+    }
+
+    /**
+     * Find a unit by ID (O(1)).
+     * @param {number|string} id
+     * @returns {UnitModel|null}
+     */
+    getUnit(id) {
+        return this.entities.get(id, EntityKind.UNIT);
+    }
+
+    /**
+     * Spawn a non-unit entity (deposit, pile, wreck, ...).
+     *
+     * @param {string} kind - EntityKind
+     * @param {Object<string, Object>} [components] - Component name → field values
+     * @returns {Object} The entity
+     */
+    spawnEntity(kind, components = {}) {
+        return this.entities.create(kind, components);
+    }
+
+    // ============ Tick ============
+
+    /**
+     * R001: Fixed-timestep simulation tick.
+     * @param {number} dt - Fixed delta time in seconds
+     * @param {number} tickCount - Current tick number
+     */
+    simTick(dt, tickCount) {
+        // R006: Process input commands from queue first
+        const commands = this.commandQueue.flush(tickCount);
+        for (const cmd of commands) {
+            this._applyCommand(cmd);
+        }
+
+        this.systems.update(dt, tickCount);
+
+        if (this.quantize) {
+            for (const unit of this.units) {
+                quantizeUnitState(unit);
+            }
+        }
+    }
+
+    /**
+     * Apply a single input command (mirrors Game._processInputCommands).
+     * @param {Object} cmd - Flushed command
+     * @private
+     */
+    _applyCommand(cmd) {
+        switch (cmd.type) {
+            case CommandType.SELECT: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit) {
+                    this.selectedUnit = unit;
+                }
+                break;
+            }
+            case CommandType.DESELECT: {
+                this.selectedUnit = null;
+                break;
+            }
+            case CommandType.MOVE: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit && cmd.position) {
+                    this._addMoveCommand(unit, cmd.position);
+                    this.movementSystem.syncPathFromCommands(unit);
+                }
+                break;
+            }
+            case CommandType.SET_PATH: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit && cmd.points && cmd.points.length > 0) {
+                    unit.commands = [];
+                    unit.waypoints = [];
+                    for (const pt of cmd.points) {
+                        this._addMoveCommand(unit, pt);
+                    }
+                    this.movementSystem.syncPathFromCommands(unit);
+                }
+                break;
+            }
+            case CommandType.CLOSE_PATH: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit && unit === this.selectedUnit &&
+                    unit.waypoints.length >= 3 && !unit.isPathClosed) {
+                    unit.loopingEnabled = true;
+                    unit.isPathClosed = true;
+                    this.movementSystem.syncPathFromCommands(unit);
+                }
+                break;
+            }
+            case CommandType.WAIT: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit) {
+                    this._addOrder(unit, OrderType.WAIT, { seconds: cmd.seconds });
+                }
+                break;
+            }
+            case CommandType.STOP: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit) {
+                    clearOrders(unit);
+                    unit.loopingEnabled = false;
+                    unit.isPathClosed = false;
+                    unit.pausedByCommand = false;
+                    this.movementSystem.syncPathFromCommands(unit);
+                }
+                break;
+            }
+            case CommandType.REORDER_COMMANDS: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit && reorderOrders(unit, cmd.order)) {
+                    this.movementSystem.syncPathFromCommands(unit);
+                }
+                break;
+            }
+            case CommandType.DELETE_COMMAND: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit && deleteOrder(unit, cmd.commandId)) {
+                    this.movementSystem.syncPathFromCommands(unit);
+                }
+                break;
+            }
+            case CommandType.TOGGLE_PAUSE: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit) {
+                    // Same as Unit.setCommandPause(!paused)
+                    unit.pausedByCommand = !unit.pausedByCommand;
+                    if (!unit.pausedByCommand && unit.path.length > 0) {
+                        unit.isFollowingPath = true;
+                    }
+                }
+                break;
+            }
+            case CommandType.RESUME: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit) {
+                    // Same as Game's Play button: unpause, clear a water stop, follow the path
+                    unit.pausedByCommand = false;
+                    unit.waterState = 'normal';
+                    if (unit.path.length > 0) {
+                        unit.isFollowingPath = true;
+                    }
+                }
+                break;
+            }
+            case CommandType.SET_LOOPING: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit) {
+                    unit.loopingEnabled = !!cmd.enabled;
+                }
+                break;
+            }
+            case CommandType.ATTACK: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit && this.getUnit(cmd.targetId)) {
+                    this._addOrder(unit, OrderType.ATTACK, { targetId: cmd.targetId });
+                }
+                break;
+            }
+            case CommandType.BUILD: {
+                const unit = this.getUnit(cmd.unitId);
+                if (unit && cmd.position) {
+                    const { x, y, z } = cmd.position;
+                    this._addOrder(unit, OrderType.BUILD, { typeId: cmd.typeId, position: { x, y, z } });
+                    this.movementSystem.syncPathFromCommands(unit);
+                }
+                break;
+            }
+            case CommandType.PRODUCE: {
+                const result = this.productionSystem.queueBuild(cmd.unitId, cmd.typeId);
+                if (!result.success) console.warn('[SimWorld] PRODUCE rejected:', result.error);
+                break;
+            }
+            case CommandType.REFIT: {
+                const result = this.productionSystem.queueRefit(cmd.unitId, cmd.targetId);
+                if (!result.success) console.warn('[SimWorld] REFIT rejected:', result.error);
+                break;
+            }
+            case CommandType.CANCEL_PRODUCTION: {
+                const job = this.productionSystem.getJob(cmd.jobId);
+                if (job?.producerUnitId === cmd.unitId) {
+                    this.productionSystem.cancelJob(cmd.jobId);
+                }
+                break;
+            }
+            case CommandType.APPLY_TRAINING: {
+                const result = this.trainingSystem.applyScores(cmd.senderId ?? LOCAL_TRAINING_USER, cmd.records);
+                if (!result.success) console.warn('[SimWorld] APPLY_TRAINING rejected:', result.error);
+                break;
+            }
+            case CommandType.SET_UNIT_SPEED: {
+                // Same as Game's unitParams.speed, which UnitUpdateSystem applies to every unit
+                this.unitDefaults = { ...this.unitDefaults, speed: cmd.speed };
+                for (const unit of this.units) {
+                    if (unit) unit.speed = cmd.speed;
+                }
+                break;
+            }
+            case CommandType.RESEARCH: {
+                const result = cmd.goalId
+                    ? this.researchSystem.queueGoal(cmd.goalId, cmd.unitId)
+                    : this.researchSystem.queueJob({
+                        type: cmd.researchType,
+                        featureId: cmd.featureId,
+                        constraintKey: cmd.constraintKey,
+                        researcherUnitId: cmd.unitId
+                    });
+                if (!result.success) console.warn('[SimWorld] RESEARCH rejected:', result.error);
+                break;
+            }
+            default:
+                console.warn('[SimWorld] Unknown input command type:', cmd.type);
+        }
+    }
+
+    /**
+     * Append a Move command (same ID order as Game.addCommand).
+     * @private
+     */
+    _addMoveCommand(unit, position) {
+        return this._addOrder(unit, OrderType.MOVE, {
+            position: { x: position.x, y: position.y, z: position.z }
+        });
+    }
+
+    /**
+     * Append an order (same ID order as Game.addCommand).
+     * @private
+     */
+    _addOrder(unit, type, params) {
+        // R004: deterministic command ID from entity counter
+        const command = {
+            id: 'cmd_' + nextEntityId(),
+            type,
+            params,
+            status: 'pending'
+        };
+
+        // First Move command: current position becomes the (completed) start point
+        const hasMove = unit.commands.some(c => c.type === OrderType.MOVE);
+        if (type === OrderType.MOVE && !hasMove) {
+            unit.commands.unshift({
+                id: 'cmd_start_' + nextEntityId(),
+                type: 'Move',
+                params: { position: { ...unit.position } },
+                status: 'completed'
+            });
+        }
+
+        unit.commands.push(command);
+        return command;
+    }
+
+    // ============ Time ============
+
+    /**
+     * Advance the loop by a real frame timestamp (same contract as SimLoop.step).
+     * @param {number} frameMs
+     */
+    step(frameMs) {
+        this.simLoop.step(frameMs);
+    }
+
+    /**
+     * Run exactly N ticks using synthetic time (no wall clock).
+     * @param {number} numTicks
+     * @param {Function} [onTick] - Called after each tick with (tickCount, world)
+     */
+    runTicks(numTicks, onTick = null) {
+        const fixedDtMs = this.simLoop.fixedDtMs;
+
+        // First step() only records the timestamp
+        if (this.simLoop.lastFrameMs === 0) {
+            this._syntheticTimeMs = fixedDtMs;
+            this.simLoop.step(this._syntheticTimeMs);
+        }
+
+        for (let i = 0; i < numTicks; i++) {
+            this._syntheticTimeMs += fixedDtMs;
+            this.simLoop.step(this._syntheticTimeMs);
+            if (onTick) onTick(this.simLoop.tickCount, this);
+        }
+    }
+
+    /**
+     * @returns {number} Completed tick count
+     */
+    getTickCount() {
+        return this.simLoop.tickCount;
+    }
+
+    // ============ State ============
+
+    /**
+     * Serialize authoritative state (StateSurface format).
+     * @returns {Object}
+     */
+    serialize() {
+        return serializeState(this);
+    }
+
+    /**
+     * @returns {string} State hash for the current tick
+     */
+    getHash() {
+        return hashState(this.serialize(), { quantized: this.quantize });
+    }
+
+    /**
+     * R011: Restore units from saved state (called by SaveManager).
+     * Replaces the unit list and rebuilds paths from the saved waypoints.
+     * @param {Object[]} unitDataArray - Serialized units (StateSurface format)
+     */
+    restoreUnits(unitDataArray) {
+        this.entities.clear(EntityKind.UNIT);
+
+        for (const data of unitDataArray || []) {
+            const unit = new UnitModel({ id: data.id, name: data.name });
+            unit.deserialize(data);
+            if (data.quaternion) unit.quaternion = { ...data.quaternion };
+            if (data.velocityDirection) unit.velocityDirection = { ...data.velocityDirection };
+            unit.currentSpeed = data.currentSpeed ?? 0;
+            unit.pathIndex = data.pathIndex ?? 0;
+            unit.isFollowingPath = data.isFollowingPath ?? false;
+            unit.pausedByCommand = data.pausedByCommand ?? false;
+            unit.isStuck = data.isStuck ?? false;
+            // Older saves lack the easing fields: settle them at the paused / running end
+            unit.speedFactor = data.speedFactor ?? (unit.pausedByCommand ? 0 : 1);
+            unit.waterSlowdownFactor = data.waterSlowdownFactor ?? 1.0;
+            unit.actionState = data.actionState ?? 'idle';
+            unit.actionTimer = data.actionTimer ?? 0;
+
+            this.movementSystem.rebuildPath(unit);
+            unit._prevPathIndex = data.prevPathIndex ?? unit.pathIndex;
+
+            this.entities.add(unit, { kind: EntityKind.UNIT });
+        }
+    }
+
+    /**
+     * Restore non-unit entities from saved state (called by SaveManager).
+     * Replaces every deposit, pile, wreck, ... with the saved records.
+     * @param {Object[]} records - EntityStore.serialize() output
+     */
+    restoreEntities(records) {
+        for (const entity of this.entities.all()) {
+            if (this.entities.kindOf(entity.id) !== EntityKind.UNIT) {
+                this.entities.remove(entity.id);
+            }
+        }
+        this.entities.restore(records);
+    }
+}
@@ -20,6 +20,9 @@
  *   const hash = hashState(snapshot);
  */
 
+import { toFixedInt } from './DeterministicMath.js';
+import { EntityKind } from '../domain/Components.js';
+
 /**
  * Convert Three.js Vector3 to plain object.
  * @param {THREE.Vector3|{x,y,z}} vec
@@ -63,6 +66,12 @@ export function serializeUnit(unit) {
         // Identity
         id: unit.id,
         name: unit.name,
+        ownerId: unit.ownerId ?? unit.model?.ownerId ?? null,
+
+        // Type (production / refit)
+        typeId: unit.typeId ?? unit.model?.typeId ?? null,
+        typeVersion: unit.typeVersion ?? unit.model?.typeVersion ?? null,
+        typeSpec: unit.typeSpec ?? unit.model?.typeSpec ?? null,
 
         // Position & Orientation (convert Vector3/Quaternion to plain)
         position: vec3ToPlain(unit.position),
@@ -75,9 +84,15 @@ export function serializeUnit(unit) {
         currentSpeed: unit.currentSpeed ?? 0,
         turnSpeed: unit.turnSpeed ?? 2.0,
         groundOffset: unit.groundOffset ?? 0.22,
+        maxSlopeDeg: unit.maxSlopeDeg ?? null,
+
+        // Pause / hover / water easing (a snapshot taken mid-ease must resume mid-ease)
+        speedFactor: unit.speedFactor ?? 1.0,
+        waterSlowdownFactor: unit.waterSlowdownFactor ?? 1.0,
 
         // Path following
         pathIndex: unit.pathIndex ?? 0,
+        prevPathIndex: unit._prevPathIndex ?? unit.pathIndex ?? 0,
         isFollowingPath: unit.isFollowingPath ?? false,
         loopingEnabled: unit.loopingEnabled ?? false,
         isPathClosed: unit.isPathClosed ?? false,
@@ -96,13 +111,14 @@ export function serializeUnit(unit) {
             id: cmd.id,
             type: cmd.type,
             params: cmd.params ? {
-                position: cmd.params.position ? vec3ToPlain(cmd.params.position) : undefined,
                 ...cmd.params,
-                position: undefined // Remove after spreading to avoid duplication
+                position: cmd.params.position ? vec3ToPlain(cmd.params.position) : undefined
             } : {},
             status: cmd.status
         })),
         currentCommandIndex: unit.currentCommandIndex ?? 0,
+        actionState: unit.actionState ?? 'idle',
+        actionTimer: unit.actionTimer ?? 0,
 
         // Combat / Health
         health: unit.health ?? 100,
@@ -139,6 +155,9 @@ export function serializeState(game, options = {}) {
             .filter(u => u != null)
             .map(u => serializeUnit(u)),
 
+        // Non-unit entities (deposits, piles, wrecks) from the EntityStore
+        entities: game.entities?.serialize?.({ excludeKinds: [EntityKind.UNIT] }) ?? [],
+
         // Command queue (if requested)
         commandQueue: includeCommands && game.commandQueue ? {
             pendingCount: game.commandQueue.pendingCount,
@@ -146,7 +165,14 @@ export function serializeState(game, options = {}) {
         } : undefined,
 
         // Selected unit ID (gameplay-relevant for commands)
-        selectedUnitId: game.selectedUnit?.id ?? null
+        selectedUnitId: game.selectedUnit?.id ?? null,
+
+        // State owned by systems (goals, ...), keyed by system name
+        systems: game.systems?.serialize?.() ?? {},
+
+        // Shared RNG position (saves restore it from the envelope's rngState;
+        // here so checksums catch peers that drew a different number of values)
+        rng: game.rng?.getState?.() ?? null
     };
 
     return state;
@@ -169,17 +195,21 @@ export function deserializeUnit(data) {
  * Uses position precision to detect drift.
  *
  * @param {Object} state - Serialized state from serializeState()
+ * @param {Object} [options]
+ * @param {boolean} [options.quantized=false] - Hash fixed-point grid indices instead of raw floats
  * @returns {string} Hash string
  */
-export function hashState(state) {
+export function hashState(state, options = {}) {
     // Simple deterministic hash based on unit positions
     let hash = state.tickCount.toString();
+    const format = options.quantized
+        ? (value) => toFixedInt(value).toString()
+        : (value) => value.toFixed(6); // Fixed precision catches floating-point drift
 
     for (const unit of state.units) {
-        // Use fixed precision to catch any floating-point drift
-        const px = unit.position.x.toFixed(6);
-        const py = unit.position.y.toFixed(6);
-        const pz = unit.position.z.toFixed(6);
+        const px = format(unit.position.x);
+        const py = format(unit.position.y);
+        const pz = format(unit.position.z);
         hash += `|${unit.id}:${px},${py},${pz}`;
     }
 
@@ -236,3 +266,132 @@ export function compareStates(state1, state2, options = {}) {
         differences
     };
 }
+
+/**
+ * FNV-1a 32-bit hash of a string.
+ * @param {string} str
+ * @returns {string} 8-char hex digest
+ */
+export function fnv1a32(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Compute a checksum over ALL authoritative state: every unit field (not just
+ * positions), non-unit entities, system state (goals, research, production,
+ * training) and the RNG position. Excludes per-peer data (selectedUnitId,
+ * command queue counters) so that peers in the same match can compare
+ * checksums directly.
+ *
+ * @param {Object} state - Serialized state from serializeState()
+ * @param {Object} [options]
+ * @param {boolean} [options.quantized=false] - Hash fixed-point grid indices instead of raw floats
+ * @returns {string} 8-char hex checksum
+ */
+export function checksumState(state, options = {}) {
+    const replacer = options.quantized
+        ? (key, value) => (typeof value === 'number' ? toFixedInt(value) : value)
+        : undefined;
+
+    return fnv1a32(JSON.stringify({
+        tickCount: state.tickCount,
+        units: state.units,
+        entities: state.entities ?? [],
+        systems: state.systems ?? {},
+        rng: state.rng ?? null
+    }, replacer));
+}
+
+/**
+ * Recursively collect field-level differences between two plain values.
+ * @private
+ */
+function collectDifferences(a, b, path, epsilon, out) {
+    if (a === b) return;
+
+    if (typeof a === 'number' && typeof b === 'number') {
+        if (Math.abs(a - b) > epsilon || Number.isNaN(a) !== Number.isNaN(b)) {
+            out.push({ path, a, b });
+        }
+        return;
+    }
+
+    const aIsObj = a !== null && typeof a === 'object';
+    const bIsObj = b !== null && typeof b === 'object';
+
+    if (!aIsObj || !bIsObj || Array.isArray(a) !== Array.isArray(b)) {
+        out.push({ path, a, b });
+        return;
+    }
+
+    if (Array.isArray(a)) {
+        if (a.length !== b.length) {
+            out.push({ path: `${path}.length`, a: a.length, b: b.length });
+        }
+        const count = Math.min(a.length, b.length);
+        for (let i = 0; i < count; i++) {
+            collectDifferences(a[i], b[i], `${path}[${i}]`, epsilon, out);
+        }
+        return;
+    }
+
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+        collectDifferences(a[key], b[key], path ? `${path}.${key}` : key, epsilon, out);
+    }
+}
+
+/**
+ * Field-level diff of two state snapshots.
+ * Units are matched by id; every serialized property is compared
+ * (waypoints, commands, quaternion, waterState, ...). Non-unit entities,
+ * system state and the RNG position are compared as well.
+ *
+ * @param {Object} state1
+ * @param {Object} state2
+ * @param {Object} [options]
+ * @param {number} [options.epsilon=0] - Numeric tolerance (0 = exact)
+ * @returns {{ equal: boolean, differences: Array<{ path: string, a: *, b: * }> }}
+ */
+export function diffStates(state1, state2, options = {}) {
+    const epsilon = options.epsilon ?? 0;
+    const differences = [];
+
+    if (state1.tickCount !== state2.tickCount) {
+        differences.push({ path: 'tickCount', a: state1.tickCount, b: state2.tickCount });
+    }
+
+    const units2 = new Map((state2.units || []).map(u => [u.id, u]));
+    const seen = new Set();
+
+    for (const u1 of state1.units || []) {
+        const u2 = units2.get(u1.id);
+        if (!u2) {
+            differences.push({ path: `units[${u1.id}]`, a: 'present', b: 'missing' });
+            continue;
+        }
+        seen.add(u1.id);
+        collectDifferences(u1, u2, `units[${u1.id}]`, epsilon, differences);
+    }
+
+    for (const u2 of state2.units || []) {
+        if (!seen.has(u2.id)) {
+            differences.push({ path: `units[${u2.id}]`, a: 'missing', b: 'present' });
+        }
+    }
+
+    // Everything else checksumState covers
+    collectDifferences(state1.entities ?? [], state2.entities ?? [], 'entities', epsilon, differences);
+    collectDifferences(state1.systems ?? {}, state2.systems ?? {}, 'systems', epsilon, differences);
+    collectDifferences(state1.rng ?? null, state2.rng ?? null, 'rng', epsilon, differences);
+
+    return {
+        equal: differences.length === 0,
+        differences
+    };
+}
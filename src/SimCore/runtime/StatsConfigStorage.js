@@ -3,12 +3,31 @@
  * 
  * Saves and loads the StatsEngine configuration to/from localStorage.
  * Enables Dev Panel values to persist across browser sessions.
+ * 
+ * Stored as { schemaVersion, config }. Configs saved before versioning
+ * (the bare config object) are v0 and migrate on load.
  */
 
 import { DEFAULT_STATS_CONFIG } from '../rules/StatsEngine.js';
+import { MigrationRegistry } from '../persistence/MigrationRegistry.js';
 
 const STORAGE_KEY = 'ASTEROIDA_StatsConfig';
 
+/** Current stored stats config schema version */
+export const STATS_CONFIG_SCHEMA_VERSION = 1;
+
+/**
+ * Stats config migrations (one pure step per schema version).
+ */
+export const statsConfigMigrations = new MigrationRegistry({
+    name: 'Stats config',
+    currentVersion: STATS_CONFIG_SCHEMA_VERSION,
+    defaultVersion: 0
+});
+
+// v0 → v1: wrap the bare config object
+statsConfigMigrations.register(0, (config) => ({ config }), 'Wrap config in a versioned envelope');
+
 /**
  * Load stats configuration from localStorage
  * @returns {Object} Saved config or default config
@@ -18,8 +37,18 @@ export function loadStatsConfig() {
         const saved = localStorage.getItem(STORAGE_KEY);
         if (saved) {
             const parsed = JSON.parse(saved);
+            const migration = statsConfigMigrations.migrate(parsed);
+            if (!migration.success) {
+                console.warn(`[StatsConfigStorage] ${migration.error}; using defaults`);
+                return { ...DEFAULT_STATS_CONFIG };
+            }
+            if (migration.applied.length > 0) {
+                // Keep the original, then store the migrated form
+                localStorage.setItem(`${STORAGE_KEY}:backup:v${migration.fromVersion}`, saved);
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(migration.data));
+            }
             // Merge with defaults to handle new fields added in updates
-            return deepMerge(DEFAULT_STATS_CONFIG, parsed);
+            return deepMerge(DEFAULT_STATS_CONFIG, migration.data.config || {});
         }
     } catch (error) {
         console.warn('[StatsConfigStorage] Failed to load config:', error);
@@ -33,7 +62,10 @@ export function loadStatsConfig() {
  */
 export function saveStatsConfig(config) {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            schemaVersion: STATS_CONFIG_SCHEMA_VERSION,
+            config
+        }));
     } catch (error) {
         console.warn('[StatsConfigStorage] Failed to save config:', error);
     }
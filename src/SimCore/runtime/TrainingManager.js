@@ -0,0 +1,306 @@
+/**
+ * TrainingManager - Tr step of G-R-F-Tr-D-P-U (Player skill per feature)
+ *
+ * Training is global per user and per feature (spec §3.2, §6.3): the player
+ * trains a feature in the isolated training scene, a session scores 0..100,
+ * and the best score sets the feature's multiplier for every unit that user
+ * owns:
+ *   GlobalTrainingMultiplier = 1.0 + HighScore / 100 (capped at trainingCaps.feature)
+ *
+ * Only the highest score is stored. Records are kept per user under
+ * `<userId>` in a StorageAdapter (sync or async); the multiplier is
+ * recomputed from the high score whenever a record is read.
+ *
+ * These are the player's own records, not sim state: RECORDS_CHANGED tells
+ * the host to publish them with an APPLY_TRAINING command, and TrainingSystem
+ * applies them on every peer on the same tick. UnitTypeBinder reads
+ * getFeatureTraining(ownerId) here only when no host has set a training
+ * source (single-client tools, tests).
+ *
+ * Usage:
+ *   await globalTrainingManager.load('local');
+ *   const { session } = globalTrainingManager.startSession('local', 'move');
+ *   // ... training scene runs for session.durationSec ...
+ *   await globalTrainingManager.finishSession(session.sessionId, 80); // move x1.8
+ */
+
+import { globalEventBus } from './EventBus.js';
+import { globalStatsEngine } from '../rules/StatsEngine.js';
+import { FeatureRegistry } from '../domain/FeatureRegistry.js';
+import { LocalStorageAdapter } from '../persistence/StorageAdapter.js';
+
+/** Events emitted by TrainingManager */
+export const TrainingEvent = Object.freeze({
+    SESSION_STARTED: 'TRAINING_SESSION_STARTED',    // { session }
+    SESSION_FINISHED: 'TRAINING_SESSION_FINISHED',  // { session, score, record, improved }
+    RECORDS_CHANGED: 'TRAINING_RECORDS_CHANGED'     // { userId, featureIds }
+});
+
+/** User ID of units owned by the local player ('local' owner) */
+export const LOCAL_TRAINING_USER = 'local';
+
+/**
+ * @typedef {Object} TrainingRecord
+ * @property {string} userId
+ * @property {string} featureId
+ * @property {number} highScore - Best session score
+ * @property {number} globalMultiplier - Multiplier from highScore
+ * @property {number} updatedAt - Unix timestamp ms
+ */
+
+/**
+ * @typedef {Object} TrainingSession
+ * @property {string} sessionId - TSES_001, TSES_002, ...
+ * @property {string} userId
+ * @property {string} featureId
+ * @property {number} durationSec
+ * @property {number} startedAt - Unix timestamp ms
+ */
+
+/**
+ * TrainingManager keeps training records and runs training sessions.
+ */
+export class TrainingManager {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.adapter] - StorageAdapter for records (default: localStorage, own prefix)
+     * @param {StatsEngine} [options.stats=globalStatsEngine] - Source of the `training` config and caps
+     * @param {EventBus} [options.eventBus=globalEventBus] - Bus for TrainingEvents
+     * @param {Function} [options.isTrainable] - (featureId) => boolean (default: unlocked features)
+     * @param {Function} [options.now] - Wall clock in ms (record timestamps only)
+     */
+    constructor(options = {}) {
+        this.adapter = options.adapter ?? new LocalStorageAdapter('asterobia_training_');
+        this.stats = options.stats ?? globalStatsEngine;
+        this.eventBus = options.eventBus ?? globalEventBus;
+        this.isTrainable = options.isTrainable ?? ((featureId) => FeatureRegistry.isUnlocked(featureId));
+        this.now = options.now ?? (() => Date.now());
+
+        /** @type {Map<string, Object<string, TrainingRecord>>} userId → featureId → record */
+        this._records = new Map();
+        /** @type {Map<string, TrainingSession>} Open sessions */
+        this._sessions = new Map();
+        this._nextSessionSeq = 1;
+    }
+
+    // ============ Records ============
+
+    /**
+     * @param {string} userId
+     * @param {string} featureId
+     * @returns {TrainingRecord|null}
+     */
+    getRecord(userId, featureId) {
+        const record = this._records.get(userId)?.[featureId];
+        return record ? this._withMultiplier(record) : null;
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {TrainingRecord[]} The user's records, sorted by feature ID
+     */
+    getRecords(userId) {
+        const records = this._records.get(userId) ?? {};
+        return Object.keys(records).sort().map(featureId => this._withMultiplier(records[featureId]));
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} featureId
+     * @returns {number} Training multiplier (1.0 when untrained)
+     */
+    getMultiplier(userId, featureId) {
+        return this.getRecord(userId, featureId)?.globalMultiplier ?? 1.0;
+    }
+
+    /**
+     * Per-feature multipliers in the form StatsEngine expects (`featureTraining`).
+     * @param {string} userId
+     * @returns {Object<string, number>}
+     */
+    getFeatureTraining(userId) {
+        const training = {};
+        for (const record of this.getRecords(userId)) {
+            training[record.featureId] = record.globalMultiplier;
+        }
+        return training;
+    }
+
+    /**
+     * Store a session score. Keeps only the highest score per feature and
+     * persists the user's records when it improves.
+     *
+     * @param {string} userId
+     * @param {string} featureId
+     * @param {number} score - 0..training.maxScore (clamped)
+     * @returns {Promise<{ success: boolean, record?: TrainingRecord, improved?: boolean, error?: string }>}
+     */
+    async recordScore(userId, featureId, score) {
+        if (typeof score !== 'number' || !Number.isFinite(score)) {
+            return { success: false, error: `Invalid score: ${score}` };
+        }
+        const clamped = Math.min(Math.max(score, 0), this.stats.getConfig().training.maxScore);
+
+        const previous = this._records.get(userId)?.[featureId] ?? null;
+        if (previous && previous.highScore >= clamped) {
+            return { success: true, record: this._withMultiplier(previous), improved: false };
+        }
+
+        const records = { ...(this._records.get(userId) ?? {}) };
+        records[featureId] = { userId, featureId, highScore: clamped, globalMultiplier: 1.0, updatedAt: this.now() };
+        this._records.set(userId, records);
+
+        const saved = await this.save(userId);
+        if (!saved.success) {
+            console.warn(`[TrainingManager] Could not persist training for ${userId}: ${saved.error}`);
+        }
+
+        this.eventBus?.emit(TrainingEvent.RECORDS_CHANGED, { userId, featureIds: [featureId] });
+        return { success: true, record: this.getRecord(userId, featureId), improved: true };
+    }
+
+    // ============ Sessions ============
+
+    /**
+     * Open a training session for a feature.
+     *
+     * @param {string} userId
+     * @param {string} featureId
+     * @returns {{ success: boolean, session?: TrainingSession, error?: string }}
+     */
+    startSession(userId, featureId) {
+        if (!this.isTrainable(featureId)) {
+            return { success: false, error: `Feature ${featureId} cannot be trained` };
+        }
+        for (const session of this._sessions.values()) {
+            if (session.userId === userId) {
+                return { success: false, error: `Session ${session.sessionId} is already running` };
+            }
+        }
+
+        const session = {
+            sessionId: `TSES_${String(this._nextSessionSeq++).padStart(3, '0')}`,
+            userId,
+            featureId,
+            durationSec: this.stats.getConfig().training.sessionDurationSec,
+            startedAt: this.now()
+        };
+        this._sessions.set(session.sessionId, session);
+        this.eventBus?.emit(TrainingEvent.SESSION_STARTED, { session });
+        return { success: true, session };
+    }
+
+    /**
+     * Close a session with its score (see recordScore).
+     *
+     * @param {string} sessionId
+     * @param {number} score
+     * @returns {Promise<{ success: boolean, record?: TrainingRecord, improved?: boolean, error?: string }>}
+     */
+    async finishSession(sessionId, score) {
+        const session = this._sessions.get(sessionId);
+        if (!session) {
+            return { success: false, error: `Session ${sessionId} is not running` };
+        }
+
+        const result = await this.recordScore(session.userId, session.featureId, score);
+        if (!result.success) return result;
+
+        this._sessions.delete(sessionId);
+        this.eventBus?.emit(TrainingEvent.SESSION_FINISHED, {
+            session, score, record: result.record, improved: result.improved
+        });
+        return result;
+    }
+
+    /**
+     * Close a session without a score.
+     * @param {string} sessionId
+     * @returns {boolean} True if the session was running
+     */
+    abortSession(sessionId) {
+        return this._sessions.delete(sessionId);
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {TrainingSession|null} The user's running session
+     */
+    getActiveSession(userId) {
+        for (const session of this._sessions.values()) {
+            if (session.userId === userId) return session;
+        }
+        return null;
+    }
+
+    // ============ Persistence ============
+
+    /**
+     * Read a user's records from storage, replacing cached ones.
+     * A user without stored records has none (not an error).
+     *
+     * @param {string} userId
+     * @returns {Promise<{ success: boolean, count?: number, error?: string }>}
+     */
+    async load(userId) {
+        let result;
+        try {
+            result = await this.adapter.load(userId);
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+
+        const records = {};
+        if (result.success) {
+            for (const record of result.data?.records ?? []) {
+                if (!record?.featureId || typeof record.highScore !== 'number') continue;
+                records[record.featureId] = { ...record, userId };
+            }
+        }
+
+        const featureIds = [...new Set([...Object.keys(this._records.get(userId) ?? {}), ...Object.keys(records)])];
+        this._records.set(userId, records);
+        if (featureIds.length > 0) {
+            this.eventBus?.emit(TrainingEvent.RECORDS_CHANGED, { userId, featureIds });
+        }
+        return { success: true, count: Object.keys(records).length };
+    }
+
+    /**
+     * Write a user's records to storage.
+     * @param {string} userId
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async save(userId) {
+        try {
+            return await this.adapter.save(userId, { userId, records: this.getRecords(userId) });
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+
+    /**
+     * Forget cached records and open sessions (storage is untouched).
+     */
+    reset() {
+        this._records.clear();
+        this._sessions.clear();
+        this._nextSessionSeq = 1;
+    }
+
+    // ============ Internals ============
+
+    /**
+     * @private
+     * @returns {TrainingRecord} Copy with the multiplier from the current config
+     */
+    _withMultiplier(record) {
+        return { ...record, globalMultiplier: this.stats.getTrainingMultiplier(record.highScore) };
+    }
+}
+
+/**
+ * Global TrainingManager (records of every user seen by this client).
+ * UnitTypeBinder reads it by default.
+ */
+export const globalTrainingManager = new TrainingManager();
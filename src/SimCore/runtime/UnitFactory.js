@@ -7,10 +7,12 @@
 
 import * as THREE from 'three';
 import { Unit } from '../../Entities/Unit.js';
-import { getBlueprint } from './BlueprintStorage.js';
+import { getBlueprint, getBlueprintRevision } from './BlueprintStorage.js';
 import { bindUnitToBlueprint } from './UnitTypeBinder.js';
 import { nextEntityId } from './IdGenerator.js';
 import { rngNext } from './SeededRNG.js';
+import { dcos, dsin } from './DeterministicMath.js';
+import { EntityKind } from '../domain/Components.js';
 
 /**
  * Get a spawn position near a reference point on spherical terrain.
@@ -69,8 +71,8 @@ export function getSpawnPosition(game, options = {}) {
     
     // Random angle on tangent plane (R004: seeded RNG for determinism)
     const angle = rngNext() * Math.PI * 2;
-    const offsetVec = tangent1.clone().multiplyScalar(Math.cos(angle) * offset)
-        .add(tangent2.clone().multiplyScalar(Math.sin(angle) * offset));
+    const offsetVec = tangent1.clone().multiplyScalar(dcos(angle) * offset)
+        .add(tangent2.clone().multiplyScalar(dsin(angle) * offset));
     
     // Add offset to reference position
     const spawnPos = refPos.clone().add(offsetVec);
@@ -93,13 +95,16 @@ export function getSpawnPosition(game, options = {}) {
  * @param {Game} game - The game instance
  * @param {string} blueprintId - The blueprint to spawn from
  * @param {Object} [options] - Spawn options
- * @param {string} [options.ownerId] - Owner ID (defaults to 'local')
+ * @param {string} [options.ownerId] - Owner player ID, same on every peer (defaults to 'local')
  * @param {THREE.Vector3} [options.position] - Explicit spawn position
  * @param {Unit} [options.nearUnit] - Spawn near this unit
+ * @param {number} [options.version] - Blueprint revision to build (default: latest)
  * @returns {Unit|null} The spawned unit, or null if failed
  */
 export function spawnUnit(game, blueprintId, options = {}) {
-    const blueprint = getBlueprint(blueprintId);
+    const blueprint = options.version == null
+        ? getBlueprint(blueprintId)
+        : getBlueprintRevision(blueprintId, options.version);
     if (!blueprint) {
         console.warn(`[UnitFactory] Blueprint not found: ${blueprintId}`);
         return null;
@@ -135,8 +140,15 @@ export function spawnUnit(game, blueprintId, options = {}) {
         unit.model.position = { x: unit.position.x, y: unit.position.y, z: unit.position.z };
     }
 
-    // Bind to blueprint (applies stats to model)
-    bindUnitToBlueprint(unit.model, blueprintId);
+    // Set owner (before binding: training multipliers are per owner)
+    const ownerId = options.ownerId || 'local';
+    unit.ownerId = ownerId;
+    if (unit.model) {
+        unit.model.ownerId = ownerId;
+    }
+
+    // Bind to blueprint (applies stats to model, pins the revision)
+    bindUnitToBlueprint(unit.model, blueprintId, blueprint.version);
 
     // Sync Unit's speed from model
     unit.speed = unit.model.speed;
@@ -147,12 +159,6 @@ export function spawnUnit(game, blueprintId, options = {}) {
         unit.model.name = blueprint.name;
     }
 
-    // Set owner
-    const ownerId = options.ownerId || 'local';
-    if (unit.model) {
-        unit.model.ownerId = ownerId;
-    }
-
     // Add to scene
     if (game.scene && unit.mesh) {
         game.scene.add(unit.mesh);
@@ -162,6 +168,9 @@ export function spawnUnit(game, blueprintId, options = {}) {
     if (game.units) {
         game.units.push(unit);
     }
+    if (game.entities) {
+        game.entities.add(unit, { kind: EntityKind.UNIT });
+    }
 
     console.log(`[UnitFactory] Spawned "${unit.name}" speed=${unit.speed.toFixed(1)} at (${unit.position.x.toFixed(1)}, ${unit.position.y.toFixed(1)}, ${unit.position.z.toFixed(1)})`);
 
@@ -169,19 +178,20 @@ export function spawnUnit(game, blueprintId, options = {}) {
 }
 
 /**
- * Apply a blueprint to an existing Unit.
+ * Apply a blueprint to an existing Unit (Refit: pins the new revision).
  * 
  * @param {Unit} unit - The unit to modify
  * @param {string} blueprintId - The blueprint to apply
+ * @param {number|null} [version=null] - Revision to apply (default: latest)
  * @returns {boolean} True if successful
  */
-export function applyBlueprintToUnit(unit, blueprintId) {
+export function applyBlueprintToUnit(unit, blueprintId, version = null) {
     if (!unit || !unit.model) {
         console.warn('[UnitFactory] Invalid unit');
         return false;
     }
 
-    const binding = bindUnitToBlueprint(unit.model, blueprintId);
+    const binding = bindUnitToBlueprint(unit.model, blueprintId, version);
     if (!binding) {
         return false;
     }
@@ -3,11 +3,19 @@
  * 
  * Binds UnitModels to TypeBlueprints and applies computed stats.
  * Part of the Production Stub (Prompt 06).
+ * The owner's per-feature training multipliers (TrainingManager) apply on
+ * every bind and rebind.
+ *
+ * Units are pinned to the blueprint revision they were bound to: editing the
+ * blueprint creates a new revision and does not change bound units until
+ * they are rebound to it (Refit).
  */
 
-import { getBlueprint } from './BlueprintStorage.js';
+import { getBlueprint, getBlueprintRevision } from './BlueprintStorage.js';
 import { StatsEngine } from '../rules/StatsEngine.js';
 import { loadStatsConfig } from './StatsConfigStorage.js';
+import { globalTrainingManager, LOCAL_TRAINING_USER } from './TrainingManager.js';
+import { globalStore } from './Store.js';
 
 // Active bindings: Map<unitId, BindingRecord>
 const activeBindings = new Map();
@@ -23,46 +31,71 @@ function getStatsEngine() {
     return statsEngine;
 }
 
+/**
+ * Default training source: the unit owner's records in the global TrainingManager.
+ * @param {UnitModel} unitModel
+ * @returns {Object<string, number>}
+ */
+function ownerTraining(unitModel) {
+    return globalTrainingManager.getFeatureTraining(unitModel.ownerId ?? LOCAL_TRAINING_USER);
+}
+
+// (unitModel) => { [feature]: multiplier }
+let trainingSource = ownerTraining;
+
+/**
+ * Replace where per-feature training multipliers come from (default: the
+ * owner's records in globalTrainingManager). Pass null to restore the default.
+ *
+ * @param {Function|null} source - (unitModel) => { [feature]: multiplier }
+ */
+export function setTrainingSource(source) {
+    trainingSource = source ?? ownerTraining;
+}
+
 /**
  * Binding record structure
  * @typedef {Object} BindingRecord
  * @property {string} unitId
  * @property {string} blueprintId
+ * @property {number} version - Pinned blueprint revision
  * @property {string} typeName
  * @property {number} boundAt - timestamp
  * @property {Object} computedStats - snapshot of stats at bind time
  */
 
 /**
- * Bind a UnitModel to a TypeBlueprint.
- * Computes stats and applies movement speed immediately.
- * 
- * @param {UnitModel} unitModel - The unit model to bind
- * @param {string} blueprintId - The blueprint ID to bind to
- * @returns {BindingRecord|null} The binding record, or null if blueprint not found
+ * Compute a blueprint's stats and write them (and the type version) to a UnitModel.
+ * No storage lookup and no binding record: usable headless (ProductionSystem).
+ *
+ * @param {UnitModel} unitModel - The unit model to update
+ * @param {TypeBlueprint} blueprint - The blueprint to apply
+ * @param {StatsEngine} [engine] - Stats engine (default: stored stats config)
+ * @param {Object<string, number>} [featureTraining] - Per-feature training (default: training source)
+ * @returns {Object} Computed stats { move, vision, shot, shield }
  */
-export function bindUnitToBlueprint(unitModel, blueprintId) {
-    const blueprint = getBlueprint(blueprintId);
-    if (!blueprint) {
-        console.warn(`[UnitTypeBinder] Blueprint not found: ${blueprintId}`);
-        return null;
-    }
-
+export function applyBlueprintStats(unitModel, blueprint, engine = getStatsEngine(), featureTraining = trainingSource(unitModel)) {
     // Compute stats using StatsEngine
     const featureCount = Object.keys(blueprint.allocations).filter(k => blueprint.allocations[k] > 0).length;
     const unitData = {
         typeAllocation: blueprint.allocations,
         featureCount: featureCount,
-        featureTraining: {},
+        featureTraining,
         unitTraining: 1.0,
         tunedFeature: null,
         amortization: 1.0,
         damage: {}
     };
-    const computedStats = getStatsEngine().computeAllStats(unitData);
+    const computedStats = engine.computeAllStats(unitData);
 
     // Apply to UnitModel
-    unitModel.typeId = blueprintId;
+    unitModel.typeId = blueprint.id;
+    unitModel.typeVersion = blueprint.version ?? 1;
+    unitModel.typeSpec = {
+        designPct: blueprint.designPct,
+        allocations: { ...blueprint.allocations },
+        subAllocations: JSON.parse(JSON.stringify(blueprint.subAllocations ?? {}))
+    };
     unitModel.speed = computedStats.move;
     unitModel.effectiveStats = {
         move: computedStats.move,
@@ -71,10 +104,33 @@ export function bindUnitToBlueprint(unitModel, blueprintId) {
         shield: computedStats.shield
     };
 
+    return computedStats;
+}
+
+/**
+ * Bind a UnitModel to a TypeBlueprint revision.
+ * Computes stats and applies movement speed immediately.
+ * 
+ * @param {UnitModel} unitModel - The unit model to bind
+ * @param {string} blueprintId - The blueprint ID to bind to
+ * @param {number|null} [version=null] - Revision to pin (default: latest)
+ * @returns {BindingRecord|null} The binding record, or null if blueprint not found
+ */
+export function bindUnitToBlueprint(unitModel, blueprintId, version = null) {
+    const blueprint = version === null ? getBlueprint(blueprintId) : getBlueprintRevision(blueprintId, version);
+    if (!blueprint) {
+        const revision = version === null ? '' : ` v${version}`;
+        console.warn(`[UnitTypeBinder] Blueprint not found: ${blueprintId}${revision}`);
+        return null;
+    }
+
+    const computedStats = applyBlueprintStats(unitModel, blueprint);
+
     // Create binding record
     const binding = {
         unitId: unitModel.id,
         blueprintId: blueprintId,
+        version: blueprint.version,
         typeName: blueprint.name,
         boundAt: Date.now(),
         computedStats: { ...computedStats }
@@ -83,14 +139,15 @@ export function bindUnitToBlueprint(unitModel, blueprintId) {
     // Store binding
     activeBindings.set(unitModel.id, binding);
 
-    console.log(`[UnitTypeBinder] Bound unit ${unitModel.id} to "${blueprint.name}" - speed=${computedStats.move.toFixed(1)}, vision=${computedStats.vision.toFixed(1)}`);
+    if (globalStore.get('debugMode')) console.log(`[UnitTypeBinder] Bound unit ${unitModel.id} to "${blueprint.name}" v${blueprint.version} - speed=${computedStats.move.toFixed(1)}, vision=${computedStats.vision.toFixed(1)}`);
 
     return binding;
 }
 
 /**
- * Rebind a unit to its current blueprint (recompute stats).
- * Useful when blueprint allocations have changed.
+ * Rebind a unit to its pinned blueprint revision (recompute stats).
+ * Useful when training records or the stats config have changed.
+ * Blueprint edits are not picked up: refit with bindUnitToBlueprint.
  * 
  * @param {UnitModel} unitModel - The unit model to rebind
  * @returns {BindingRecord|null} The updated binding record
@@ -102,7 +159,7 @@ export function rebindUnit(unitModel) {
         return null;
     }
 
-    return bindUnitToBlueprint(unitModel, binding.blueprintId);
+    return bindUnitToBlueprint(unitModel, binding.blueprintId, binding.version);
 }
 
 /**
@@ -8,11 +8,14 @@
 export { EventBus, globalEventBus } from './EventBus.js';
 export { Store, globalStore } from './Store.js';
 export { TimeSource, globalTimeSource } from './TimeSource.js';
+export { EntityStore } from './EntityStore.js';
 export { 
     loadStatsConfig, 
     saveStatsConfig, 
     resetStatsConfig, 
-    hasCustomConfig 
+    hasCustomConfig,
+    STATS_CONFIG_SCHEMA_VERSION,
+    statsConfigMigrations
 } from './StatsConfigStorage.js';
 export {
     getAllBlueprints,
@@ -20,23 +23,37 @@ export {
     getBlueprint,
     hasBlueprint,
     saveBlueprint,
+    getBlueprintRevision,
+    getBlueprintHistory,
+    diffBlueprintRevisions,
     deleteBlueprint,
     clearAllBlueprints,
     getSeedBlueprints,
     getUserBlueprints,
     getBlueprintCount,
     exportBlueprints,
-    importBlueprints
+    exportBlueprintHistory,
+    importBlueprints,
+    blueprintStorageMigrations,
+    migrateBlueprintStorage
 } from './BlueprintStorage.js';
 export {
     bindUnitToBlueprint,
+    applyBlueprintStats,
     rebindUnit,
     getBinding,
     applyMoveSpeed,
     isBound,
     unbindUnit,
-    getAllBindings
+    getAllBindings,
+    setTrainingSource
 } from './UnitTypeBinder.js';
+export {
+    TrainingManager,
+    TrainingEvent,
+    LOCAL_TRAINING_USER,
+    globalTrainingManager
+} from './TrainingManager.js';
 export {
     spawnUnit,
     getSpawnPosition,
@@ -58,22 +75,54 @@ export {
     rngNextInt,
     globalRNG
 } from './SeededRNG.js';
+export {
+    QUANTIZE_SCALE,
+    quantize,
+    toFixedInt,
+    quantizeVec3,
+    quantizeQuat,
+    quantizeUnitState,
+    dsqrt,
+    dsin,
+    dcos,
+    datan,
+    datan2
+} from './DeterministicMath.js';
 export {
     serializeState,
     serializeUnit,
     deserializeUnit,
     hashState,
-    compareStates
+    compareStates,
+    checksumState,
+    diffStates,
+    fnv1a32
 } from './StateSurface.js';
 export {
     CommandQueue,
     CommandType,
     globalCommandQueue
 } from './CommandQueue.js';
+export {
+    CommandValidator,
+    validateCommand,
+    RejectReason,
+    AuthorityMessageType,
+    LOCAL_PLAYER_ID
+} from './CommandValidator.js';
 export {
     InputFactory,
     globalInputFactory
 } from './InputFactory.js';
+export {
+    SimWorld,
+    createSphereTerrain
+} from './SimWorld.js';
+export {
+    SessionManager,
+    SessionEvent,
+    PLAYER_COLORS
+} from './SessionManager.js';
 
 // R007: Transport layer exports
 export {
@@ -81,6 +130,9 @@ export {
     TransportState,
     LocalTransport,
     globalLocalTransport,
+    LockstepTransport,
+    LockstepMessageType,
+    WebSocketTransport,
     initializeTransport,
     getGlobalTransport,
     disconnectTransport
@@ -0,0 +1,35 @@
+/**
+ * BaseSystem - Base class for all SimCore systems (optional pattern)
+ *
+ * Systems process entities each tick without owning state.
+ * NO Three.js or rendering code allowed here.
+ */
+export class BaseSystem {
+    constructor(name) {
+        this.name = name;
+        this.enabled = true;
+    }
+
+    /**
+     * Called each simulation tick
+     * @param {number} dt - Delta time in seconds
+     * @param {Object} context - Shared context (store, entities, etc.)
+     */
+    update(dt, context) {
+        // Override in subclass
+    }
+
+    /**
+     * Enable this system
+     */
+    enable() {
+        this.enabled = true;
+    }
+
+    /**
+     * Disable this system
+     */
+    disable() {
+        this.enabled = false;
+    }
+}
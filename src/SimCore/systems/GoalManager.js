@@ -0,0 +1,508 @@
+/**
+ * GoalManager - G step of G-R-F-Tr-D-P-U (Goals / Need cards)
+ *
+ * Listens to canonical game events on the EventBus and turns them into Goals
+ * (a "Need card" is the UI view of a Goal). Per incoming event:
+ *   1) map event → candidate goals (GOAL_TRIGGERS table)
+ *   2) check capabilities: INVENT only if the feature is unknown,
+ *      EXTEND only if it is known
+ *   3) create the Goal
+ *   4) avoid spam: one active goal per (type, featureId, constraintKey) and a
+ *      cooldown window (ticks) before the same goal can be raised again
+ *
+ * Events are queued when emitted and processed in update(), so goals are
+ * created on the sim tick in a deterministic order. Register after the
+ * systems that emit (movement). Goal state is saved through serialize()/restore()
+ * (SystemScheduler.serialize → SaveManager).
+ *
+ * NO Three.js or rendering code allowed here.
+ *
+ * Usage:
+ *   const goals = new GoalManager({ eventBus, isFeatureKnown: (id) => research.isKnown(id) });
+ *   scheduler.register(goals, { after: ['movement'] });
+ *   eventBus.on(GoalEvent.CREATED, ({ goal }) => needsList.add(goal));
+ */
+
+import { BaseSystem } from './BaseSystem.js';
+import { GameEvent } from '../domain/GameEvents.js';
+
+/** Events emitted by GoalManager */
+export const GoalEvent = Object.freeze({
+    CREATED: 'GOAL_CREATED',               // { goal }
+    STATUS_CHANGED: 'GOAL_STATUS_CHANGED'  // { goal, previousStatus }
+});
+
+/** Goal types */
+export const GoalType = Object.freeze({
+    INVENT: 'INVENT',
+    EXTEND: 'EXTEND'
+});
+
+/** Goal lifecycle */
+export const GoalStatus = Object.freeze({
+    AVAILABLE: 'AVAILABLE',
+    IN_PROGRESS: 'IN_PROGRESS',
+    RESOLVED: 'RESOLVED'
+});
+
+/** Ticks before a goal with the same key can be raised again (30s at 20Hz) */
+const DEFAULT_COOLDOWN_TICKS = 600;
+
+/**
+ * @typedef {Object} GoalTrigger
+ * @property {string} event - GameEvent that raises the goal
+ * @property {string} goalId - Stable goal ID (GOAL_*)
+ * @property {string} type - GoalType
+ * @property {string} featureId - Feature invented / extended by resolving the goal
+ * @property {string|null} [constraintKey] - Extended constraint (EXTEND goals)
+ * @property {string} label - Need card title
+ * @property {string} description - Need card text
+ * @property {boolean} [onboarding] - Part of the Demo 1.0 onboarding sequence
+ * @property {Function} [when] - (payload) => boolean, extra trigger condition
+ * @property {number} [cooldownTicks] - Overrides the manager's cooldown
+ */
+
+/**
+ * Trigger → goal table. Onboarding rows are binding for Demo 1.0
+ * (master bible "Goal/Need → Feature Unlock Mappings"); the others follow
+ * the engine contract examples.
+ * @type {ReadonlyArray<GoalTrigger>}
+ */
+export const GOAL_TRIGGERS = Object.freeze([
+    // ---- Demo 1.0 onboarding sequence (in order) ----
+    {
+        event: GameEvent.NO_MOBILE_UNITS, goalId: 'GOAL_EXPLORE', type: GoalType.INVENT,
+        featureId: 'MOVE_ROLL', label: 'Explore', onboarding: true,
+        description: 'No unit can move. Invent rolling movement.'
+    },
+    {
+        event: GameEvent.SURFACE_MATERA_SEEN, goalId: 'GOAL_DISCOVER_MATERA', type: GoalType.INVENT,
+        featureId: 'PERCEPTION_SUBSURFACE_SCAN', label: 'Discover Matera', onboarding: true,
+        description: 'Matera protrudes from the surface. Invent a subsurface scan to find more.'
+    },
+    {
+        event: GameEvent.SCAN_UNKNOWN_RESOURCE, goalId: 'GOAL_GATHER_MATERA', type: GoalType.INVENT,
+        featureId: 'MATERA_MINING', label: 'Gather Matera', onboarding: true,
+        description: 'An underground Matera mass was found. Invent mining.'
+    },
+    {
+        event: GameEvent.MATERA_PILE_GROWING, goalId: 'GOAL_COLLECT_MATERA', type: GoalType.INVENT,
+        featureId: 'MATERA_TRANSPORT', label: 'Collect Matera', onboarding: true,
+        description: 'Mined Matera piles up. Invent transport to collect it.'
+    },
+    {
+        event: GameEvent.BLOCKED_BY_SLOPE, goalId: 'GOAL_SURFACE_CONTROL', type: GoalType.INVENT,
+        featureId: 'TERRAIN_SHAPING', label: 'Surface Control', onboarding: true,
+        description: 'Height differences block the way. Invent terrain shaping.'
+    },
+    {
+        event: GameEvent.NON_MOBILE_DESIGN_CREATED, goalId: 'GOAL_DEPLOY_UNIT', type: GoalType.INVENT,
+        featureId: 'UNIT_CARRIER', label: 'Deploy Unit', onboarding: true,
+        description: 'This design cannot move by itself. Invent a carrier to deploy it.'
+    },
+    {
+        event: GameEvent.DARKSIDE_CONTACT, goalId: 'GOAL_COMBAT_CAPABILITY', type: GoalType.INVENT,
+        featureId: 'WPN_SHOOT', label: 'Combat Capability', onboarding: true,
+        description: 'An enemy appeared. Invent a weapon.'
+    },
+
+    // ---- Exploration ----
+    {
+        event: GameEvent.COLLISION_WATER, goalId: 'GOAL_INVENT_SWIM', type: GoalType.INVENT,
+        featureId: 'MOVE_SWIM', label: 'Cross Water',
+        description: 'Unit cannot traverse water. Invent swimming.'
+    },
+    {
+        event: GameEvent.BLOCKED_BY_SLOPE, goalId: 'GOAL_INVENT_CLIMB', type: GoalType.INVENT,
+        featureId: 'MOVE_CLIMB', label: 'Climb Cliffs',
+        description: 'Slope too steep to roll up. Invent climbing.',
+        when: (payload) => (payload?.slopeDeg ?? 0) > 60
+    },
+    {
+        event: GameEvent.FLIGHT_CEILING_HIT, goalId: 'GOAL_EXTEND_FLIGHT', type: GoalType.EXTEND,
+        featureId: 'MOVE_FLY', constraintKey: 'maxAltitude', label: 'Fly Higher',
+        description: 'Flight ceiling reached. Extend maximum altitude.'
+    },
+    {
+        event: GameEvent.INVENTORY_FULL, goalId: 'GOAL_INVENT_TRANSPORT', type: GoalType.INVENT,
+        featureId: 'MATERA_TRANSPORT', label: 'Haul Cargo',
+        description: 'Inventory is full. Invent transport.'
+    },
+
+    // ---- Combat ----
+    {
+        event: GameEvent.UNIT_DESTROYED_BY_INVISIBLE, goalId: 'GOAL_INVENT_SUBSURFACE_SCAN', type: GoalType.INVENT,
+        featureId: 'PERCEPTION_SUBSURFACE_SCAN', label: 'Reveal Attackers',
+        description: 'A unit was destroyed by something unseen. Invent a better scan.'
+    },
+    {
+        event: GameEvent.UNIT_DESTROYED_INSTANTLY, goalId: 'GOAL_INVENT_SHIELD', type: GoalType.INVENT,
+        featureId: 'SUP_SHIELD', label: 'Survive Bursts',
+        description: 'A unit was destroyed instantly. Invent shields.'
+    },
+    {
+        event: GameEvent.UNKNOWN_ATTACKER, goalId: 'GOAL_INVENT_THERMAL', type: GoalType.INVENT,
+        featureId: 'PERCEPTION_THERMAL', label: 'Identify Attacker',
+        description: 'Attacked from an unknown source. Invent thermal perception.'
+    },
+
+    // ---- Economy ----
+    {
+        event: GameEvent.LOW_ENERGY_STATE, goalId: 'GOAL_INVENT_GENERATOR', type: GoalType.INVENT,
+        featureId: 'ECO_GENERATOR', label: 'More Energy',
+        description: 'Empire energy is low. Invent a generator.'
+    },
+    {
+        event: GameEvent.DISTANT_UNITS_OFFLINE, goalId: 'GOAL_INVENT_TRANSMIT', type: GoalType.INVENT,
+        featureId: 'ECO_TRANSMIT', label: 'Extend Coverage',
+        description: 'Distant units went offline. Invent energy transmission.'
+    }
+].map(trigger => Object.freeze({ constraintKey: null, onboarding: false, ...trigger })));
+
+/**
+ * Dedupe key of a trigger (or a goal flattened to { type, ...reward }).
+ * @param {{ type: string, featureId: string, constraintKey?: string|null }} goal
+ * @returns {string}
+ */
+function goalKey(goal) {
+    return `${goal.type}:${goal.featureId}:${goal.constraintKey ?? ''}`;
+}
+
+/**
+ * JSON copy of an event payload (goals store it, saves persist it).
+ * @param {*} payload
+ * @returns {*}
+ */
+function clonePayload(payload) {
+    return payload === undefined ? null : JSON.parse(JSON.stringify(payload));
+}
+
+/**
+ * GoalManager turns trigger events into goals.
+ * @extends BaseSystem
+ */
+export class GoalManager extends BaseSystem {
+    /**
+     * @param {Object} [options]
+     * @param {EventBus} [options.eventBus] - Bus to listen on and emit GoalEvents to
+     * @param {GoalTrigger[]} [options.triggers=GOAL_TRIGGERS] - Trigger → goal table
+     * @param {Function} [options.isFeatureKnown] - (featureId) => boolean (default: nothing known)
+     * @param {boolean} [options.onboarding=true] - Enable the Demo 1.0 onboarding goals
+     * @param {Function} [options.isUnitMobile] - (unit) => boolean, for the "cannot move" check
+     * @param {number} [options.cooldownTicks=600] - Default cooldown window
+     */
+    constructor(options = {}) {
+        super('goals');
+
+        this.eventBus = null;
+        this.triggers = options.triggers ?? GOAL_TRIGGERS;
+        this.isFeatureKnown = options.isFeatureKnown ?? (() => false);
+        this.onboarding = options.onboarding ?? true;
+        this.isUnitMobile = options.isUnitMobile ?? (unit => !unit.disabled && (unit.speed ?? 0) > 0);
+        this.cooldownTicks = options.cooldownTicks ?? DEFAULT_COOLDOWN_TICKS;
+
+        /** @type {Map<string, GoalTrigger[]>} event → triggers */
+        this._byEvent = new Map();
+        for (const trigger of this.triggers) {
+            if (!this._byEvent.has(trigger.event)) this._byEvent.set(trigger.event, []);
+            this._byEvent.get(trigger.event).push(trigger);
+        }
+
+        /** @type {Function[]} EventBus unsubscribers */
+        this._unsubscribers = [];
+
+        this.reset();
+
+        if (options.eventBus) {
+            this.attach(options.eventBus);
+        }
+    }
+
+    /**
+     * Clear all goals, cooldowns and queued events.
+     */
+    reset() {
+        /** @type {Object[]} All goals in creation order (resolved ones included) */
+        this._goals = [];
+
+        /** @type {Object<string, number>} goal key → tick it was last raised */
+        this._lastRaised = {};
+
+        /** @type {Array<{ event: string, payload: * }>} Events waiting for the next update */
+        this._pending = [];
+
+        this._nextSeq = 1;
+        this._tick = 0;
+    }
+
+    /**
+     * Subscribe to every trigger event on a bus.
+     * @param {EventBus} eventBus
+     */
+    attach(eventBus) {
+        this.detach();
+        this.eventBus = eventBus;
+        for (const event of this._byEvent.keys()) {
+            this._unsubscribers.push(eventBus.on(event, (payload) => this.trigger(event, payload)));
+        }
+    }
+
+    /**
+     * Unsubscribe from the bus.
+     */
+    detach() {
+        for (const unsubscribe of this._unsubscribers) unsubscribe();
+        this._unsubscribers = [];
+        this.eventBus = null;
+    }
+
+    /**
+     * Queue a trigger event (processed on the next update).
+     * @param {string} event - GameEvent
+     * @param {Object} [payload]
+     */
+    trigger(event, payload = null) {
+        if (!this._byEvent.has(event)) return;
+        this._pending.push({ event, payload: clonePayload(payload) });
+    }
+
+    /**
+     * Process queued events (and the onboarding mobility check) for this tick.
+     * @param {number} dt - Fixed delta time in seconds
+     * @param {Object} context - Scheduler context (`tick`, `units`)
+     */
+    update(dt, context) {
+        this._tick = context?.tick ?? this._tick;
+
+        if (this.onboarding) {
+            this._checkMobility(context?.units ?? []);
+        }
+
+        const pending = this._pending;
+        this._pending = [];
+        for (const { event, payload } of pending) {
+            this._processEvent(event, payload);
+        }
+    }
+
+    // ============ Queries ============
+
+    /**
+     * @param {Object} [filter]
+     * @param {string} [filter.status] - Only goals with this GoalStatus
+     * @returns {Object[]} Goals in creation order
+     */
+    getGoals(filter = {}) {
+        return this._goals.filter(goal => !filter.status || goal.status === filter.status);
+    }
+
+    /**
+     * @returns {Object[]} AVAILABLE and IN_PROGRESS goals (the Needs list)
+     */
+    getActiveGoals() {
+        return this._goals.filter(goal => goal.status !== GoalStatus.RESOLVED);
+    }
+
+    /**
+     * Latest goal with this ID (active first).
+     * @param {string} goalId
+     * @returns {Object|null}
+     */
+    getGoal(goalId) {
+        let latest = null;
+        for (const goal of this._goals) {
+            if (goal.id !== goalId) continue;
+            if (goal.status !== GoalStatus.RESOLVED) return goal;
+            latest = goal;
+        }
+        return latest;
+    }
+
+    /**
+     * Demo 1.0 onboarding steps with the state of their goal.
+     * @returns {Array<{ goalId: string, label: string, featureId: string, status: string|null }>}
+     *   status is null while the step has not been triggered
+     */
+    getOnboardingProgress() {
+        return this.triggers
+            .filter(trigger => trigger.onboarding)
+            .map(trigger => ({
+                goalId: trigger.goalId,
+                label: trigger.label,
+                featureId: trigger.featureId,
+                status: this.getGoal(trigger.goalId)?.status ?? null
+            }));
+    }
+
+    // ============ Lifecycle ============
+
+    /**
+     * Mark a goal as being researched.
+     * @param {string} goalId
+     * @returns {{ success: boolean, goal?: Object, error?: string }}
+     */
+    startGoal(goalId) {
+        const goal = this.getGoal(goalId);
+        if (!goal || goal.status !== GoalStatus.AVAILABLE) {
+            return { success: false, error: `Goal ${goalId} is not available` };
+        }
+        this._setStatus(goal, GoalStatus.IN_PROGRESS);
+        return { success: true, goal };
+    }
+
+    /**
+     * Put an in-progress goal back on the Needs list (its research was cancelled).
+     * @param {string} goalId
+     * @returns {{ success: boolean, goal?: Object, error?: string }}
+     */
+    releaseGoal(goalId) {
+        const goal = this.getGoal(goalId);
+        if (!goal || goal.status !== GoalStatus.IN_PROGRESS) {
+            return { success: false, error: `Goal ${goalId} is not in progress` };
+        }
+        this._setStatus(goal, GoalStatus.AVAILABLE);
+        return { success: true, goal };
+    }
+
+    /**
+     * Resolve an active goal.
+     * @param {string} goalId
+     * @returns {{ success: boolean, goal?: Object, error?: string }}
+     */
+    resolveGoal(goalId) {
+        const goal = this.getGoal(goalId);
+        if (!goal || goal.status === GoalStatus.RESOLVED) {
+            return { success: false, error: `Goal ${goalId} is not active` };
+        }
+        this._setStatus(goal, GoalStatus.RESOLVED);
+        return { success: true, goal };
+    }
+
+    /**
+     * Resolve every active goal rewarding a feature (call when it is invented/extended).
+     * @param {string} featureId
+     * @param {string|null} [constraintKey] - Only EXTEND goals for this constraint (undefined: all)
+     * @returns {Object[]} Goals resolved
+     */
+    resolveFeature(featureId, constraintKey = undefined) {
+        const resolved = [];
+        for (const goal of this.getActiveGoals()) {
+            if (goal.reward.featureId !== featureId) continue;
+            if (constraintKey !== undefined && goal.reward.constraintKey !== constraintKey) continue;
+            this._setStatus(goal, GoalStatus.RESOLVED);
+            resolved.push(goal);
+        }
+        return resolved;
+    }
+
+    // ============ Persistence ============
+
+    /**
+     * @returns {Object} Plain data for saves
+     */
+    serialize() {
+        return {
+            goals: JSON.parse(JSON.stringify(this._goals)),
+            lastRaised: { ...this._lastRaised },
+            pending: JSON.parse(JSON.stringify(this._pending)),
+            nextSeq: this._nextSeq,
+            tick: this._tick
+        };
+    }
+
+    /**
+     * Replace all goal state with saved data.
+     * @param {Object} data - serialize() output
+     */
+    restore(data) {
+        this.reset();
+        if (!data) return;
+        this._goals = JSON.parse(JSON.stringify(data.goals ?? []));
+        this._lastRaised = { ...(data.lastRaised ?? {}) };
+        this._pending = JSON.parse(JSON.stringify(data.pending ?? []));
+        this._nextSeq = data.nextSeq ?? this._goals.length + 1;
+        this._tick = data.tick ?? 0;
+    }
+
+    // ============ Internals ============
+
+    /**
+     * Onboarding: raise "Explore" while units exist and none can move.
+     * @private
+     */
+    _checkMobility(units) {
+        const raised = this._goals.some(goal =>
+            goal.triggerEvent === GameEvent.NO_MOBILE_UNITS && goal.status !== GoalStatus.RESOLVED);
+        if (raised) return;
+
+        const present = units.filter(unit => unit);
+        if (present.length === 0 || present.some(unit => this.isUnitMobile(unit))) return;
+        this._processEvent(GameEvent.NO_MOBILE_UNITS, { unitIds: present.map(unit => unit.id) });
+    }
+
+    /**
+     * Create the goals an event maps to.
+     * @private
+     */
+    _processEvent(event, payload) {
+        for (const trigger of this._byEvent.get(event) ?? []) {
+            if (trigger.onboarding && !this.onboarding) continue;
+            if (trigger.when && !trigger.when(payload)) continue;
+
+            // Capability check: invent what is missing, extend what exists
+            const known = !!this.isFeatureKnown(trigger.featureId);
+            if (trigger.type === GoalType.INVENT ? known : !known) continue;
+
+            const key = goalKey(trigger);
+            const active = this._goals.find(goal => goal.status !== GoalStatus.RESOLVED && goalKey({ type: goal.type, ...goal.reward }) === key);
+            if (active) {
+                active.triggerCount++;
+                continue;
+            }
+
+            const lastRaised = this._lastRaised[key];
+            const cooldown = trigger.cooldownTicks ?? this.cooldownTicks;
+            if (lastRaised !== undefined && this._tick - lastRaised < cooldown) continue;
+
+            this._createGoal(trigger, payload);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createGoal(trigger, payload) {
+        const goal = {
+            id: trigger.goalId,
+            seq: this._nextSeq++,
+            type: trigger.type,
+            triggerEvent: trigger.event,
+            reward: {
+                featureId: trigger.featureId,
+                constraintKey: trigger.constraintKey ?? null
+            },
+            label: trigger.label,
+            description: trigger.description,
+            onboarding: !!trigger.onboarding,
+            status: GoalStatus.AVAILABLE,
+            createdAt: this._tick,
+            triggerCount: 1,
+            context: payload
+        };
+
+        this._goals.push(goal);
+        this._lastRaised[goalKey(trigger)] = this._tick;
+        this.eventBus?.emit(GoalEvent.CREATED, { goal });
+        return goal;
+    }
+
+    /**
+     * @private
+     */
+    _setStatus(goal, status) {
+        const previousStatus = goal.status;
+        goal.status = status;
+        if (status === GoalStatus.RESOLVED) goal.resolvedAt = this._tick;
+        this.eventBus?.emit(GoalEvent.STATUS_CHANGED, { goal, previousStatus });
+    }
+}
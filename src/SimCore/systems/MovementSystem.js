@@ -0,0 +1,316 @@
+/**
+ * MovementSystem - Engine-Agnostic Path Following
+ *
+ * Runs the shared movement rules (rules/MovementRules.js, also called by
+ * Entities/Unit.js update()) for plain-data units ({x,y,z} vectors, e.g.
+ * UnitModel), and derives velocity and heading from each tick's displacement.
+ * Also builds terrain-projected paths from Move commands.
+ * NO Three.js or rendering code allowed here.
+ *
+ * Blocked movement emits canonical GameEvents on context.eventBus (goal triggers):
+ * - COLLISION_WATER when a unit that cannot enter water halts at the shore
+ * - BLOCKED_BY_SLOPE when the next uphill step is steeper than unit.maxSlopeDeg
+ *
+ * Terrain contract (satisfied by World/Terrain.js and createSphereTerrain()):
+ *   { params: { radius, waterLevel }, getRadiusAt(dir: {x,y,z}): number }
+ */
+
+import { BaseSystem } from './BaseSystem.js';
+import { easeSpeed, stepAlongPath } from '../rules/MovementRules.js';
+
+/** Default spacing between sampled path points (world units) */
+const DEFAULT_PATH_SPACING = 1.0;
+
+// ============ Plain Vector Helpers (module-private) ============
+
+function vec(x = 0, y = 0, z = 0) {
+    return { x, y, z };
+}
+
+function copyVec(v) {
+    return { x: v.x, y: v.y, z: v.z };
+}
+
+function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function scale(a, s) {
+    return { x: a.x * s, y: a.y * s, z: a.z * s };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function length(a) {
+    return Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z);
+}
+
+function distance(a, b) {
+    return length(sub(a, b));
+}
+
+function normalize(a) {
+    const len = length(a);
+    if (len === 0) return vec(0, 0, 0);
+    return scale(a, 1 / len);
+}
+
+/**
+ * Build a quaternion from an orthonormal basis (right, up, forward).
+ * Same convention as THREE.Matrix4.makeBasis + Quaternion.setFromRotationMatrix.
+ * @returns {{x: number, y: number, z: number, w: number}}
+ */
+function quatFromBasis(right, up, forward) {
+    const m11 = right.x, m12 = up.x, m13 = forward.x;
+    const m21 = right.y, m22 = up.y, m23 = forward.y;
+    const m31 = right.z, m32 = up.z, m33 = forward.z;
+    const trace = m11 + m22 + m33;
+
+    if (trace > 0) {
+        const s = 0.5 / Math.sqrt(trace + 1.0);
+        return { x: (m32 - m23) * s, y: (m13 - m31) * s, z: (m21 - m12) * s, w: 0.25 / s };
+    } else if (m11 > m22 && m11 > m33) {
+        const s = 2.0 * Math.sqrt(1.0 + m11 - m22 - m33);
+        return { x: 0.25 * s, y: (m12 + m21) / s, z: (m13 + m31) / s, w: (m32 - m23) / s };
+    } else if (m22 > m33) {
+        const s = 2.0 * Math.sqrt(1.0 + m22 - m11 - m33);
+        return { x: (m12 + m21) / s, y: 0.25 * s, z: (m23 + m32) / s, w: (m13 - m31) / s };
+    }
+    const s = 2.0 * Math.sqrt(1.0 + m33 - m11 - m22);
+    return { x: (m13 + m31) / s, y: (m23 + m32) / s, z: 0.25 * s, w: (m21 - m12) / s };
+}
+
+// ============ Terrain Helpers ============
+
+/**
+ * Project a point onto the terrain surface (plus optional hover offset).
+ *
+ * @param {Object} terrain - Height sampler ({ getRadiusAt(dir) })
+ * @param {{x: number, y: number, z: number}} point - Any point (only direction is used)
+ * @param {number} [offset=0] - Height above terrain
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function projectToTerrain(terrain, point, offset = 0) {
+    let dir = normalize(point);
+    if (length(dir) === 0) dir = vec(0, 1, 0);
+    const radius = terrain.getRadiusAt(dir);
+    return scale(dir, radius + offset);
+}
+
+/**
+ * Build a dense, terrain-projected path through control points.
+ * Segments are sampled along the great circle (same as Game._createGeodesicPath).
+ *
+ * @param {Object} terrain - Height sampler
+ * @param {{x: number, y: number, z: number}[]} controlPoints - Waypoint positions
+ * @param {Object} [options]
+ * @param {boolean} [options.closed=false] - Add closing segment last → first
+ * @param {number} [options.offset=0] - Hover height above terrain
+ * @param {number} [options.spacing=1.0] - Approximate distance between samples
+ * @returns {{ path: Object[], segmentIndices: number[] }} Path points and the path index of each control point
+ */
+export function buildSurfacePath(terrain, controlPoints, options = {}) {
+    const closed = options.closed ?? false;
+    const offset = options.offset ?? 0;
+    const spacing = options.spacing ?? DEFAULT_PATH_SPACING;
+
+    const path = [];
+    const segmentIndices = [];
+
+    if (!controlPoints || controlPoints.length === 0) {
+        return { path, segmentIndices };
+    }
+
+    const count = controlPoints.length;
+    const segmentCount = closed ? count : count - 1;
+
+    path.push(projectToTerrain(terrain, controlPoints[0], offset));
+    segmentIndices.push(0);
+
+    for (let s = 0; s < segmentCount; s++) {
+        const start = controlPoints[s];
+        const end = controlPoints[(s + 1) % count];
+        const startDir = normalize(start);
+        const endDir = normalize(end);
+        const steps = Math.max(1, Math.ceil(distance(start, end) / spacing));
+
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const dir = {
+                x: startDir.x + (endDir.x - startDir.x) * t,
+                y: startDir.y + (endDir.y - startDir.y) * t,
+                z: startDir.z + (endDir.z - startDir.z) * t
+            };
+            path.push(projectToTerrain(terrain, dir, offset));
+        }
+
+        // Closing segment ends back on control point 0 (already indexed)
+        if (s + 1 < count) {
+            segmentIndices.push(path.length - 1);
+        }
+    }
+
+    return { path, segmentIndices };
+}
+
+// ============ MovementSystem ============
+
+/**
+ * MovementSystem advances every unit along its path once per sim tick.
+ * @extends BaseSystem
+ */
+export class MovementSystem extends BaseSystem {
+    /**
+     * @param {Object} terrain - Height sampler ({ params, getRadiusAt })
+     * @param {Object} [options]
+     * @param {number} [options.pathSpacing=1.0] - Distance between sampled path points
+     */
+    constructor(terrain, options = {}) {
+        super('movement');
+
+        if (!terrain || typeof terrain.getRadiusAt !== 'function') {
+            throw new Error('MovementSystem requires a terrain with getRadiusAt()');
+        }
+
+        /** @type {Object} Height sampler */
+        this.terrain = terrain;
+
+        /** @type {number} */
+        this.pathSpacing = options.pathSpacing ?? DEFAULT_PATH_SPACING;
+    }
+
+    /**
+     * Update all units in the context.
+     * @param {number} dt - Fixed delta time in seconds
+     * @param {Object} context - Must contain `units`
+     */
+    update(dt, context) {
+        const units = context?.units || [];
+        const eventBus = context?.eventBus ?? null;
+        for (const unit of units) {
+            if (!unit) continue;
+            this.updateUnit(unit, dt, eventBus);
+        }
+    }
+
+    /**
+     * Rebuild waypoints and the dense path from the unit's Move commands.
+     * Mirrors Game.syncWaypointsFromCommands + updateWaypointCurve path sync
+     * (forward-only rejoin: target the point after the closest one).
+     *
+     * @param {Object} unit - Plain-data unit
+     */
+    syncPathFromCommands(unit) {
+        unit.waypoints = [];
+
+        (unit.commands || []).forEach((cmd, index) => {
+            if (cmd.type === 'Move' || (cmd.type === 'Build' && cmd.params?.position)) {
+                unit.waypoints.push({
+                    id: cmd.id,
+                    position: copyVec(cmd.params.position),
+                    commandIndex: index,
+                    logicalState: (cmd.status === 'completed') ? 'left' : 'neutral'
+                });
+            }
+        });
+
+        if (!this.rebuildPath(unit)) {
+            unit.isFollowingPath = false;
+            return;
+        }
+
+        // Forward-only rejoin (same heuristic as Unit.setPath)
+        let closestIndex = 0;
+        let minDist = Infinity;
+        for (let i = 0; i < unit.path.length; i++) {
+            const d = distance(unit.position, unit.path[i]);
+            if (d < minDist) {
+                minDist = d;
+                closestIndex = i;
+            }
+        }
+
+        unit.pathIndex = Math.min(closestIndex + 1, unit.path.length - 1);
+        unit._prevPathIndex = unit.pathIndex;
+        unit.isFollowingPath = true;
+    }
+
+    /**
+     * Rebuild the dense path from the unit's current waypoints.
+     * Leaves pathIndex untouched (used when restoring saved state).
+     *
+     * @param {Object} unit - Plain-data unit
+     * @returns {boolean} True if a followable path (2+ waypoints) was built
+     */
+    rebuildPath(unit) {
+        const waypoints = unit.waypoints || [];
+
+        if (waypoints.length < 2) {
+            unit.path = [];
+            unit.pathSegmentIndices = [];
+            return false;
+        }
+
+        const { path, segmentIndices } = buildSurfacePath(
+            this.terrain,
+            waypoints.map(wp => wp.position),
+            {
+                closed: unit.isPathClosed,
+                offset: unit.groundOffset ?? 0.22,
+                spacing: this.pathSpacing
+            }
+        );
+
+        unit.path = path;
+        unit.pathSegmentIndices = segmentIndices;
+        return true;
+    }
+
+    /**
+     * Advance a single unit by one fixed tick (rules in MovementRules).
+     * @param {Object} unit - Plain-data unit
+     * @param {number} dt - Fixed delta time in seconds
+     * @param {EventBus} [eventBus] - Receives GameEvents when the unit gets blocked
+     */
+    updateUnit(unit, dt, eventBus = null) {
+        const startPos = copyVec(unit.position);
+
+        const moveSpeed = easeSpeed(unit, dt);
+        stepAlongPath(unit, moveSpeed, this.terrain, { eventBus });
+
+        // Derived motion state
+        const displacement = sub(unit.position, startPos);
+        unit.velocity = dt > 0 ? scale(displacement, 1 / dt) : vec(0, 0, 0);
+        unit.currentSpeed = length(unit.velocity);
+
+        if (unit.currentSpeed > 0) {
+            unit.velocityDirection = normalize(displacement);
+            this._alignHeading(unit);
+        }
+    }
+
+    /**
+     * Orient the unit: Up = surface normal, Forward = travel direction on tangent plane.
+     * @private
+     */
+    _alignHeading(unit) {
+        const up = normalize(unit.position);
+        const travel = unit.velocityDirection;
+        const tangent = normalize(sub(travel, scale(up, dot(travel, up))));
+        if (length(tangent) < 0.001) return;
+
+        const right = normalize(cross(up, tangent));
+        const forward = normalize(cross(right, up));
+        unit.quaternion = quatFromBasis(right, up, forward);
+    }
+}
@@ -0,0 +1,536 @@
+/**
+ * ProductionSystem - P step of G-R-F-Tr-D-P-U (Build & Refit)
+ *
+ * Production happens at the world position of a unit with the
+ * `produce_repair` feature; there is no global build menu. Every producer
+ * keeps its own queue and works on its first job only, so parallel
+ * production needs several producers:
+ *   BUILD  creates a new unit from a blueprint next to the producer
+ *          (cost from the blueprint's complexity)
+ *   REFIT  updates a unit within refitRange to a newer version of its
+ *          blueprint (cost from the delta complexity between versions)
+ *
+ * A job is pinned to the blueprint revision it was queued for: editing the
+ * blueprint meanwhile does not change what gets built or refit.
+ *
+ * Jobs advance only in update(), i.e. on the SimLoop tick:
+ *   QUEUED → RUNNING when the energy cost is paid
+ *   RUNNING: progress01 += dt × productionSpeed / timeCostSec
+ *   DONE: spawnUnit / refitUnit callbacks of the host (SimWorld, Game)
+ *
+ * Costs, speed, range and spawn offset come from the StatsEngine
+ * `production` config. Jobs are saved via serialize()/restore(); finished
+ * jobs leave the queues and only the last `historyLimit` are kept.
+ *
+ * NO Three.js or rendering code allowed here.
+ *
+ * Usage:
+ *   const production = new ProductionSystem({ eventBus, getUnit, spawnUnit: (bp, pos) => world.spawn(bp, pos) });
+ *   scheduler.register(production, { after: ['research'] });
+ *   production.queueBuild(factory.id, blueprint.id);
+ *   production.queueRefit(factory.id, rover.id);
+ */
+
+import { BaseSystem } from './BaseSystem.js';
+import { globalStatsEngine } from '../rules/StatsEngine.js';
+import { getBlueprint, getBlueprintRevision } from '../runtime/BlueprintStorage.js';
+import { applyBlueprintStats } from '../runtime/UnitTypeBinder.js';
+import { dcos, dsin } from '../runtime/DeterministicMath.js';
+
+/** Events emitted by ProductionSystem */
+export const ProductionEvent = Object.freeze({
+    QUEUED: 'PRODUCTION_QUEUED',        // { job }
+    STARTED: 'PRODUCTION_STARTED',      // { job }
+    COMPLETED: 'PRODUCTION_COMPLETED',  // { job, unit }
+    CANCELLED: 'PRODUCTION_CANCELLED',  // { job }
+    FAILED: 'PRODUCTION_FAILED'         // { job, reason }
+});
+
+/** Production job kinds */
+export const ProductionJobType = Object.freeze({
+    BUILD: 'BUILD',
+    REFIT: 'REFIT'
+});
+
+/** Production job lifecycle */
+export const ProductionJobStatus = Object.freeze({
+    QUEUED: 'QUEUED',
+    RUNNING: 'RUNNING',
+    DONE: 'DONE',
+    CANCELLED: 'CANCELLED',
+    FAILED: 'FAILED'
+});
+
+/** Golden angle: successive spawns around a producer never overlap */
+const SPAWN_ANGLE_STEP = Math.PI * (3 - Math.sqrt(5));
+
+/** Finished jobs kept for queries and saves */
+const DEFAULT_HISTORY_LIMIT = 16;
+
+/**
+ * @typedef {Object} ProductionJob
+ * @property {string} jobId - PJOB_001, PJOB_002, ...
+ * @property {string} type - ProductionJobType
+ * @property {string|number} producerUnitId
+ * @property {string} blueprintId
+ * @property {number} blueprintVersion - Version the job was queued for
+ * @property {string|number|null} targetUnitId - Unit being refit (REFIT only)
+ * @property {number} complexity - Blueprint complexity (BUILD) or delta complexity (REFIT)
+ * @property {number} energyCost
+ * @property {number} timeCostSec - Duration at 1x production speed
+ * @property {number} progress01
+ * @property {string} status - ProductionJobStatus
+ * @property {number} createdAt - Tick
+ * @property {number|null} completedAt - Tick
+ * @property {string|number|null} resultUnitId - Unit built (BUILD only)
+ */
+
+/**
+ * produce_repair allocation of the design a unit was built from.
+ * @param {Object} unit - UnitModel or render Unit (with .model)
+ * @returns {number}
+ */
+function typeProductionAllocation(unit) {
+    const model = unit?.model ?? unit;
+    if (model?.typeSpec) return model.typeSpec.allocations?.produce_repair ?? 0;
+    if (!model?.typeId) return 0;
+    const blueprint = model.typeVersion
+        ? getBlueprintRevision(model.typeId, model.typeVersion)
+        : getBlueprint(model.typeId);
+    return blueprint?.allocations?.produce_repair ?? 0;
+}
+
+/**
+ * @param {Object} unit
+ * @returns {Object} The unit's state (UnitModel) for type fields
+ */
+function typeState(unit) {
+    return unit?.model ?? unit;
+}
+
+/**
+ * @param {{x: number, y: number, z: number}} a
+ * @param {{x: number, y: number, z: number}} b
+ * @returns {number}
+ */
+function distance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * ProductionSystem runs per-producer Build / Refit queues.
+ * @extends BaseSystem
+ */
+export class ProductionSystem extends BaseSystem {
+    /**
+     * @param {Object} [options]
+     * @param {EventBus} [options.eventBus] - Bus for ProductionEvents
+     * @param {StatsEngine} [options.stats=globalStatsEngine] - Source of the `production` config
+     * @param {Function} [options.getUnit] - (unitId) => unit (required to queue jobs)
+     * @param {Function} [options.getBlueprint] - (blueprintId) => latest TypeBlueprint (default: BlueprintStorage)
+     * @param {Function} [options.getBlueprintRevision] - (blueprintId, version) => TypeBlueprint
+     *   (default: BlueprintStorage history; with a custom getBlueprint, its blueprint if the version matches)
+     * @param {Function} [options.spawnUnit] - (blueprint, position, producer) => unit; must take
+     *   its ID from IdGenerator and place the unit on the terrain surface
+     * @param {Function} [options.refitUnit] - (unit, blueprint) => void (default: applyBlueprintStats)
+     * @param {Function} [options.getProductionAllocation] - (unit) => produce_repair allocation 0..1
+     * @param {Function} [options.spendEnergy] - (amount, job) => boolean; false keeps the job queued
+     *   (default: energy is free until the economy exists)
+     * @param {number} [options.historyLimit=16] - Finished jobs kept (oldest dropped first)
+     */
+    constructor(options = {}) {
+        super('production');
+
+        this.eventBus = options.eventBus ?? null;
+        this.stats = options.stats ?? globalStatsEngine;
+        this.getUnit = options.getUnit ?? (() => null);
+        this.getBlueprint = options.getBlueprint ?? getBlueprint;
+        this.getBlueprintRevision = options.getBlueprintRevision ?? (options.getBlueprint
+            ? (id, version) => {
+                const blueprint = this.getBlueprint(id);
+                return blueprint && (blueprint.version ?? 1) === version ? blueprint : null;
+            }
+            : getBlueprintRevision);
+        this.spawnUnit = options.spawnUnit ?? null;
+        this.refitUnit = options.refitUnit ??
+            ((unit, blueprint) => applyBlueprintStats(typeState(unit), blueprint, this.stats));
+        this.getProductionAllocation = options.getProductionAllocation ?? typeProductionAllocation;
+        this.spendEnergy = options.spendEnergy ?? (() => true);
+        this.historyLimit = options.historyLimit ?? DEFAULT_HISTORY_LIMIT;
+
+        this.reset();
+    }
+
+    /**
+     * Drop all jobs.
+     */
+    reset() {
+        /** @type {ProductionJob[]} Queued and running jobs in creation order */
+        this._jobs = [];
+        /** @type {ProductionJob[]} Last historyLimit finished jobs, oldest first */
+        this._history = [];
+        this._nextJobSeq = 1;
+        this._tick = 0;
+    }
+
+    // ============ Queueing ============
+
+    /**
+     * Queue a new unit at a producer.
+     *
+     * @param {string|number} producerUnitId
+     * @param {string} blueprintId
+     * @returns {{ success: boolean, job?: ProductionJob, error?: string }}
+     */
+    queueBuild(producerUnitId, blueprintId) {
+        const error = this._validateProducer(producerUnitId);
+        if (error) return { success: false, error };
+        if (!this.spawnUnit) {
+            return { success: false, error: 'No spawnUnit handler configured' };
+        }
+
+        const blueprint = this.getBlueprint(blueprintId);
+        if (!blueprint) {
+            return { success: false, error: `Blueprint ${blueprintId} not found` };
+        }
+
+        const complexity = this.stats.getBlueprintComplexity(blueprint);
+        return { success: true, job: this._enqueue(ProductionJobType.BUILD, producerUnitId, blueprint, null, complexity) };
+    }
+
+    /**
+     * Queue a refit of a nearby unit to the current version of its blueprint.
+     *
+     * @param {string|number} producerUnitId
+     * @param {string|number} targetUnitId
+     * @returns {{ success: boolean, job?: ProductionJob, error?: string }}
+     */
+    queueRefit(producerUnitId, targetUnitId) {
+        const error = this._validateProducer(producerUnitId);
+        if (error) return { success: false, error };
+
+        const target = this.getUnit(targetUnitId);
+        if (!target || target.disabled) {
+            return { success: false, error: `Unit ${targetUnitId} not found` };
+        }
+        const state = typeState(target);
+        const blueprint = state.typeId ? this.getBlueprint(state.typeId) : null;
+        if (!blueprint) {
+            return { success: false, error: `Unit ${targetUnitId} has no blueprint to refit to` };
+        }
+        if ((blueprint.version ?? 1) <= (state.typeVersion ?? 0)) {
+            return { success: false, error: `Unit ${targetUnitId} already has the newest version of ${blueprint.name}` };
+        }
+        if (!this._inRefitRange(this.getUnit(producerUnitId), target)) {
+            return { success: false, error: `Unit ${targetUnitId} is out of refit range` };
+        }
+        if (this._jobs.some(job => this._isActive(job) && job.targetUnitId === targetUnitId)) {
+            return { success: false, error: `Unit ${targetUnitId} is already queued for refit` };
+        }
+
+        const design = blueprint.getDesignSpec ? blueprint.getDesignSpec() : blueprint;
+        const complexity = state.typeSpec
+            ? this.stats.getDeltaComplexity(state.typeSpec, design)
+            : this.stats.getBlueprintComplexity(design);
+        return { success: true, job: this._enqueue(ProductionJobType.REFIT, producerUnitId, blueprint, targetUnitId, complexity) };
+    }
+
+    /**
+     * Cancel a queued or running job. Energy already spent is not refunded.
+     *
+     * @param {string} jobId
+     * @returns {{ success: boolean, job?: ProductionJob, error?: string }}
+     */
+    cancelJob(jobId) {
+        const job = this.getJob(jobId);
+        if (!job || !this._isActive(job)) {
+            return { success: false, error: `Job ${jobId} is not active` };
+        }
+        this._finish(job, ProductionJobStatus.CANCELLED);
+        this.eventBus?.emit(ProductionEvent.CANCELLED, { job });
+        return { success: true, job };
+    }
+
+    // ============ Tick ============
+
+    /**
+     * Advance the first job of every producer's queue.
+     * @param {number} dt - Fixed delta time in seconds
+     * @param {Object} context - Scheduler context (`tick`)
+     */
+    update(dt, context) {
+        this._tick = context?.tick ?? this._tick;
+
+        const busy = new Set();
+        // Jobs appended while completing (none today) wait for the next tick
+        for (const job of [...this._jobs]) {
+            if (!this._isActive(job) || busy.has(job.producerUnitId)) continue;
+            busy.add(job.producerUnitId);
+
+            const producer = this.getUnit(job.producerUnitId);
+            if (!producer || producer.disabled) continue;
+
+            let target = null;
+            if (job.type === ProductionJobType.REFIT) {
+                target = this.getUnit(job.targetUnitId);
+                if (!target || target.disabled) {
+                    this._fail(job, `Unit ${job.targetUnitId} is gone`);
+                    continue;
+                }
+                // Paused while the target is out of range
+                if (!this._inRefitRange(producer, target)) continue;
+            }
+
+            if (job.status === ProductionJobStatus.QUEUED) {
+                if (!this.spendEnergy(job.energyCost, job)) continue;
+                job.status = ProductionJobStatus.RUNNING;
+                this.eventBus?.emit(ProductionEvent.STARTED, { job });
+            }
+
+            const speed = this.stats.getProductionSpeed(this.getProductionAllocation(producer));
+            if (speed <= 0) continue;
+
+            job.progress01 = job.timeCostSec > 0
+                ? Math.min(1, job.progress01 + (dt * speed) / job.timeCostSec)
+                : 1;
+            if (job.progress01 >= 1) {
+                this._complete(job, producer, target);
+            }
+        }
+    }
+
+    // ============ Queries ============
+
+    /**
+     * Active jobs and the finished ones still in the history.
+     * @param {Object} [filter]
+     * @param {string|number} [filter.producerUnitId]
+     * @param {string} [filter.status] - ProductionJobStatus
+     * @returns {ProductionJob[]} Jobs in creation order
+     */
+    getJobs(filter = {}) {
+        const jobs = [...this._history, ...this._jobs].sort((a, b) => jobSeq(a) - jobSeq(b));
+        return jobs.filter(job =>
+            (filter.producerUnitId === undefined || job.producerUnitId === filter.producerUnitId) &&
+            (!filter.status || job.status === filter.status));
+    }
+
+    /**
+     * Queued and running jobs of one producer, in run order.
+     * @param {string|number} producerUnitId
+     * @returns {ProductionJob[]}
+     */
+    getQueue(producerUnitId) {
+        return this._jobs.filter(job => job.producerUnitId === producerUnitId && this._isActive(job));
+    }
+
+    /**
+     * @param {string} jobId
+     * @returns {ProductionJob|null}
+     */
+    getJob(jobId) {
+        return this._jobs.find(job => job.jobId === jobId) ??
+            this._history.find(job => job.jobId === jobId) ?? null;
+    }
+
+    /**
+     * Whether a unit can run production jobs.
+     * @param {Object} unit
+     * @returns {boolean}
+     */
+    canProduce(unit) {
+        return !!unit && !unit.disabled && this.getProductionAllocation(unit) > 0;
+    }
+
+    /**
+     * Where a producer's next unit appears: spawnOffset away on the tangent
+     * plane, at a fixed angle per job (deterministic, no RNG draw).
+     * The host's spawnUnit projects it onto the terrain surface.
+     *
+     * @param {{x: number, y: number, z: number}} producerPosition
+     * @param {number} seq - Job sequence number
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getSpawnPosition(producerPosition, seq) {
+        const { x, y, z } = producerPosition;
+        const radius = Math.sqrt(x * x + y * y + z * z) || 1;
+        const n = { x: x / radius, y: y / radius, z: z / radius };
+
+        // Tangent basis (same construction as UnitFactory.getSpawnPosition)
+        let ref = { x: 1, y: 0, z: 0 };
+        if (Math.abs(n.x) > 0.9) ref = { x: 0, y: 1, z: 0 };
+        const t1 = normalize({
+            x: n.y * ref.z - n.z * ref.y,
+            y: n.z * ref.x - n.x * ref.z,
+            z: n.x * ref.y - n.y * ref.x
+        });
+        const t2 = {
+            x: n.y * t1.z - n.z * t1.y,
+            y: n.z * t1.x - n.x * t1.z,
+            z: n.x * t1.y - n.y * t1.x
+        };
+
+        const angle = seq * SPAWN_ANGLE_STEP;
+        const offset = this.stats.getConfig().production.spawnOffset;
+        const cos = dcos(angle) * offset;
+        const sin = dsin(angle) * offset;
+        const point = normalize({
+            x: x + t1.x * cos + t2.x * sin,
+            y: y + t1.y * cos + t2.y * sin,
+            z: z + t1.z * cos + t2.z * sin
+        });
+        return { x: point.x * radius, y: point.y * radius, z: point.z * radius };
+    }
+
+    // ============ Persistence ============
+
+    /**
+     * @returns {Object} Plain data for saves
+     */
+    serialize() {
+        return {
+            jobs: this._jobs.map(job => ({ ...job })),
+            history: this._history.map(job => ({ ...job })),
+            nextJobSeq: this._nextJobSeq,
+            tick: this._tick
+        };
+    }
+
+    /**
+     * Replace all jobs with saved data.
+     * @param {Object} data - serialize() output
+     */
+    restore(data) {
+        this.reset();
+        if (!data) return;
+        // Saves from before the history split keep finished jobs in `jobs`
+        const jobs = [...(data.history ?? []), ...(data.jobs ?? [])].map(job => ({ ...job }));
+        this._jobs = jobs.filter(job => this._isActive(job));
+        this._history = jobs.filter(job => !this._isActive(job)).slice(-this.historyLimit);
+        this._nextJobSeq = data.nextJobSeq ?? jobs.length + 1;
+        this._tick = data.tick ?? 0;
+    }
+
+    // ============ Internals ============
+
+    /**
+     * @private
+     * @returns {string|null} Error message, null when the unit can produce
+     */
+    _validateProducer(producerUnitId) {
+        const producer = this.getUnit(producerUnitId);
+        if (!producer) return `Unit ${producerUnitId} not found`;
+        if (!this.canProduce(producer)) return `Unit ${producerUnitId} cannot produce`;
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _inRefitRange(producer, target) {
+        return distance(producer.position, target.position) <= this.stats.getConfig().production.refitRange;
+    }
+
+    /**
+     * @private
+     */
+    _enqueue(type, producerUnitId, blueprint, targetUnitId, complexity) {
+        const cost = this.stats.getProductionCost(type, complexity);
+        const job = {
+            jobId: `PJOB_${String(this._nextJobSeq++).padStart(3, '0')}`,
+            type,
+            producerUnitId,
+            blueprintId: blueprint.id,
+            blueprintVersion: blueprint.version ?? 1,
+            targetUnitId,
+            complexity,
+            energyCost: cost.energyCost,
+            timeCostSec: cost.timeCostSec,
+            progress01: 0,
+            status: ProductionJobStatus.QUEUED,
+            createdAt: this._tick,
+            completedAt: null,
+            resultUnitId: null
+        };
+
+        this._jobs.push(job);
+        this.eventBus?.emit(ProductionEvent.QUEUED, { job });
+        return job;
+    }
+
+    /**
+     * @private
+     */
+    _complete(job, producer, target) {
+        const blueprint = this.getBlueprintRevision(job.blueprintId, job.blueprintVersion);
+        if (!blueprint) {
+            this._fail(job, `Blueprint ${job.blueprintId} v${job.blueprintVersion} not found`);
+            return;
+        }
+
+        let unit = target;
+        if (job.type === ProductionJobType.BUILD) {
+            unit = this.spawnUnit?.(blueprint, this.getSpawnPosition(producer.position, jobSeq(job)), producer) ?? null;
+            if (!unit) {
+                this._fail(job, 'Spawn failed');
+                return;
+            }
+            job.resultUnitId = unit.id;
+        } else {
+            this.refitUnit(target, blueprint);
+        }
+
+        this._finish(job, ProductionJobStatus.DONE);
+        this.eventBus?.emit(ProductionEvent.COMPLETED, { job, unit });
+    }
+
+    /**
+     * @private
+     */
+    _fail(job, reason) {
+        this._finish(job, ProductionJobStatus.FAILED);
+        console.warn(`[ProductionSystem] ${job.jobId} failed: ${reason}`);
+        this.eventBus?.emit(ProductionEvent.FAILED, { job, reason });
+    }
+
+    /**
+     * @private
+     */
+    _finish(job, status) {
+        job.status = status;
+        job.completedAt = this._tick;
+
+        this._jobs = this._jobs.filter(active => active !== job);
+        this._history.push(job);
+        if (this._history.length > this.historyLimit) {
+            this._history.splice(0, this._history.length - this.historyLimit);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _isActive(job) {
+        return job.status === ProductionJobStatus.QUEUED || job.status === ProductionJobStatus.RUNNING;
+    }
+}
+
+/**
+ * @param {ProductionJob} job
+ * @returns {number} Sequence number from the job ID (PJOB_007 → 7)
+ */
+function jobSeq(job) {
+    return Number(job.jobId.slice('PJOB_'.length));
+}
+
+/**
+ * @param {{x: number, y: number, z: number}} v
+ * @returns {{x: number, y: number, z: number}}
+ */
+function normalize(v) {
+    const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z) || 1;
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
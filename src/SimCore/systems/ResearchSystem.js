@@ -0,0 +1,403 @@
+/**
+ * ResearchSystem - R step of G-R-F-Tr-D-P-U (Invent & Extend)
+ *
+ * Research jobs are queued on units with the `research` feature by the
+ * RESEARCH command (usually sent by dropping a Need card on them). Each
+ * researcher works on the first job of its own queue:
+ *   QUEUED   → RUNNING when its energy cost is paid
+ *   RUNNING  → progress01 += dt × researchSpeed / timeCostSec
+ *   DONE     → INVENT unlocks the feature, EXTEND raises the constraint's
+ *              Extend level (cap 5, ExtendMultiplier = 1.0 + Level × 0.5)
+ *
+ * Costs, speed and the multiplier come from the StatsEngine `research` config.
+ * Feature status and Extend levels live in FeatureRegistry and are saved with
+ * the jobs (serialize()/restore() via SystemScheduler → SaveManager).
+ *
+ * NO Three.js or rendering code allowed here.
+ *
+ * Usage:
+ *   const research = new ResearchSystem({ eventBus, goals, getUnit: (id) => world.getUnit(id) });
+ *   scheduler.register(research, { after: ['goals'] });
+ *   research.queueGoal('GOAL_INVENT_SWIM', baseStation.id);
+ *   eventBus.on(ResearchEvent.COMPLETED, ({ job }) => console.log(job.featureId));
+ */
+
+import { BaseSystem } from './BaseSystem.js';
+import { GoalType, GoalStatus } from './GoalManager.js';
+import { FeatureRegistry } from '../domain/FeatureRegistry.js';
+import { globalStatsEngine } from '../rules/StatsEngine.js';
+import { getBlueprint, getBlueprintRevision } from '../runtime/BlueprintStorage.js';
+
+/** Events emitted by ResearchSystem */
+export const ResearchEvent = Object.freeze({
+    QUEUED: 'RESEARCH_QUEUED',        // { job }
+    STARTED: 'RESEARCH_STARTED',      // { job }
+    COMPLETED: 'RESEARCH_COMPLETED',  // { job, level, multiplier }
+    CANCELLED: 'RESEARCH_CANCELLED'   // { job }
+});
+
+/** Research job lifecycle */
+export const ResearchJobStatus = Object.freeze({
+    QUEUED: 'QUEUED',
+    RUNNING: 'RUNNING',
+    DONE: 'DONE',
+    CANCELLED: 'CANCELLED'
+});
+
+/**
+ * @typedef {Object} ResearchJob
+ * @property {string} jobId - RJOB_001, RJOB_002, ...
+ * @property {string|null} goalId - Goal the job resolves (null = started directly)
+ * @property {string} researcherUnitId
+ * @property {string} type - GoalType (INVENT / EXTEND)
+ * @property {string} featureId
+ * @property {string|null} constraintKey - Extended constraint (EXTEND only)
+ * @property {number} energyCost
+ * @property {number} timeCostSec - Duration at 1x research speed
+ * @property {number} progress01
+ * @property {string} status - ResearchJobStatus
+ * @property {number} createdAt - Tick
+ * @property {number|null} completedAt - Tick
+ */
+
+/**
+ * Research allocation of the blueprint revision a unit is pinned to.
+ * @param {Object} unit
+ * @returns {number}
+ */
+function blueprintResearchAllocation(unit) {
+    const model = unit?.model ?? unit;
+    if (model?.typeSpec) return model.typeSpec.allocations?.research ?? 0;
+    if (!model?.typeId) return 0;
+    const blueprint = model.typeVersion
+        ? getBlueprintRevision(model.typeId, model.typeVersion)
+        : getBlueprint(model.typeId);
+    return blueprint?.allocations?.research ?? 0;
+}
+
+/**
+ * ResearchSystem runs Invent / Extend jobs.
+ * @extends BaseSystem
+ */
+export class ResearchSystem extends BaseSystem {
+    /**
+     * @param {Object} [options]
+     * @param {EventBus} [options.eventBus] - Bus for ResearchEvents
+     * @param {GoalManager} [options.goals] - Goals started by queueGoal() and resolved on completion
+     * @param {Object} [options.features=FeatureRegistry] - Feature status / Extend level store
+     * @param {StatsEngine} [options.stats=globalStatsEngine] - Source of the `research` config
+     * @param {Function} [options.getUnit] - (unitId) => unit (entity store lookup), validates
+     *   researchers when queuing and finds them each tick
+     * @param {Function} [options.getResearchAllocation] - (unit) => research allocation 0..1
+     *   (default: the unit's type blueprint)
+     * @param {Function} [options.spendEnergy] - (amount, job) => boolean; false keeps the job queued
+     *   (default: energy is free until the economy exists)
+     */
+    constructor(options = {}) {
+        super('research');
+
+        this.eventBus = options.eventBus ?? null;
+        this.goals = options.goals ?? null;
+        this.features = options.features ?? FeatureRegistry;
+        this.stats = options.stats ?? globalStatsEngine;
+        this.getUnit = options.getUnit ?? null;
+        this.getResearchAllocation = options.getResearchAllocation ?? blueprintResearchAllocation;
+        this.spendEnergy = options.spendEnergy ?? (() => true);
+
+        this.reset();
+    }
+
+    /**
+     * Drop all jobs (feature progress is reset separately on the registry).
+     */
+    reset() {
+        /** @type {ResearchJob[]} All jobs in creation order (finished ones included) */
+        this._jobs = [];
+        this._nextJobSeq = 1;
+        this._tick = 0;
+    }
+
+    // ============ Queueing ============
+
+    /**
+     * Queue the research a goal asks for (Need card dropped on a unit).
+     * The goal moves to IN_PROGRESS.
+     *
+     * @param {string} goalId
+     * @param {string|number} researcherUnitId
+     * @returns {{ success: boolean, job?: ResearchJob, error?: string }}
+     */
+    queueGoal(goalId, researcherUnitId) {
+        const goal = this.goals?.getGoal(goalId);
+        if (!goal || goal.status === GoalStatus.RESOLVED) {
+            return { success: false, error: `Goal ${goalId} is not active` };
+        }
+        if (this._jobs.some(job => job.goalId === goalId && this._isActive(job))) {
+            return { success: false, error: `Goal ${goalId} is already being researched` };
+        }
+
+        const result = this.queueJob({
+            type: goal.type,
+            featureId: goal.reward.featureId,
+            constraintKey: goal.reward.constraintKey,
+            researcherUnitId,
+            goalId
+        });
+        if (result.success && goal.status === GoalStatus.AVAILABLE) {
+            this.goals.startGoal(goalId);
+        }
+        return result;
+    }
+
+    /**
+     * Queue an Invent or Extend job.
+     *
+     * @param {Object} request
+     * @param {string} request.type - GoalType.INVENT or GoalType.EXTEND
+     * @param {string} request.featureId
+     * @param {string|null} [request.constraintKey] - Required for EXTEND
+     * @param {string|number} request.researcherUnitId
+     * @param {string|null} [request.goalId]
+     * @returns {{ success: boolean, job?: ResearchJob, error?: string }}
+     */
+    queueJob({ type, featureId, constraintKey = null, researcherUnitId, goalId = null }) {
+        const error = this._validate(type, featureId, constraintKey, researcherUnitId);
+        if (error) {
+            return { success: false, error };
+        }
+
+        // Extend cost of the level this job reaches (after jobs already queued)
+        const level = type === GoalType.EXTEND
+            ? this.features.getExtendLevel(featureId, constraintKey) + this._pendingExtends(featureId, constraintKey)
+            : 0;
+        const cost = this.stats.getResearchCost(type, level);
+        const job = {
+            jobId: `RJOB_${String(this._nextJobSeq++).padStart(3, '0')}`,
+            goalId,
+            researcherUnitId,
+            type,
+            featureId,
+            constraintKey: type === GoalType.EXTEND ? constraintKey : null,
+            energyCost: cost.energyCost,
+            timeCostSec: cost.timeCostSec,
+            progress01: 0,
+            status: ResearchJobStatus.QUEUED,
+            createdAt: this._tick,
+            completedAt: null
+        };
+
+        this._jobs.push(job);
+        this.eventBus?.emit(ResearchEvent.QUEUED, { job });
+        return { success: true, job };
+    }
+
+    /**
+     * Cancel a queued or running job. Energy already spent is not refunded;
+     * its goal goes back on the Needs list.
+     *
+     * @param {string} jobId
+     * @returns {{ success: boolean, job?: ResearchJob, error?: string }}
+     */
+    cancelJob(jobId) {
+        const job = this.getJob(jobId);
+        if (!job || !this._isActive(job)) {
+            return { success: false, error: `Job ${jobId} is not active` };
+        }
+
+        job.status = ResearchJobStatus.CANCELLED;
+        job.completedAt = this._tick;
+        if (job.goalId) this.goals?.releaseGoal(job.goalId);
+        this.eventBus?.emit(ResearchEvent.CANCELLED, { job });
+        return { success: true, job };
+    }
+
+    // ============ Tick ============
+
+    /**
+     * Advance the first job of every researcher's queue.
+     * @param {number} dt - Fixed delta time in seconds
+     * @param {Object} context - Scheduler context (`tick`)
+     */
+    update(dt, context) {
+        this._tick = context?.tick ?? this._tick;
+        if (!this.getUnit) return;
+
+        const busy = new Set();
+        for (const job of this._jobs) {
+            if (!this._isActive(job) || busy.has(job.researcherUnitId)) continue;
+            busy.add(job.researcherUnitId);
+
+            const unit = this.getUnit(job.researcherUnitId);
+            if (!unit || unit.disabled) continue;
+
+            if (job.status === ResearchJobStatus.QUEUED) {
+                if (!this.spendEnergy(job.energyCost, job)) continue;
+                job.status = ResearchJobStatus.RUNNING;
+                this.eventBus?.emit(ResearchEvent.STARTED, { job });
+            }
+
+            const speed = this.stats.getResearchSpeed(this.getResearchAllocation(unit));
+            if (speed <= 0) continue;
+
+            job.progress01 = Math.min(1, job.progress01 + (dt * speed) / job.timeCostSec);
+            if (job.progress01 >= 1) {
+                this._complete(job);
+            }
+        }
+    }
+
+    // ============ Queries ============
+
+    /**
+     * @param {Object} [filter]
+     * @param {string|number} [filter.researcherUnitId]
+     * @param {string} [filter.status] - ResearchJobStatus
+     * @returns {ResearchJob[]} Jobs in creation order
+     */
+    getJobs(filter = {}) {
+        return this._jobs.filter(job =>
+            (filter.researcherUnitId === undefined || job.researcherUnitId === filter.researcherUnitId) &&
+            (!filter.status || job.status === filter.status));
+    }
+
+    /**
+     * Queued and running jobs of one researcher, in run order (job queue panel).
+     * @param {string|number} researcherUnitId
+     * @returns {ResearchJob[]}
+     */
+    getQueue(researcherUnitId) {
+        return this._jobs.filter(job => job.researcherUnitId === researcherUnitId && this._isActive(job));
+    }
+
+    /**
+     * @param {string} jobId
+     * @returns {ResearchJob|null}
+     */
+    getJob(jobId) {
+        return this._jobs.find(job => job.jobId === jobId) ?? null;
+    }
+
+    /**
+     * Whether a unit can accept research jobs.
+     * @param {Object} unit
+     * @returns {boolean}
+     */
+    canResearch(unit) {
+        return !!unit && !unit.disabled && this.getResearchAllocation(unit) > 0;
+    }
+
+    /**
+     * Current Extend multiplier of a feature constraint.
+     * @param {string} featureId
+     * @param {string} constraintKey
+     * @returns {number}
+     */
+    getExtendMultiplier(featureId, constraintKey) {
+        return this.stats.getExtendMultiplier(this.features.getExtendLevel(featureId, constraintKey));
+    }
+
+    // ============ Persistence ============
+
+    /**
+     * @returns {Object} Plain data for saves (jobs and feature progress)
+     */
+    serialize() {
+        return {
+            jobs: this._jobs.map(job => ({ ...job })),
+            nextJobSeq: this._nextJobSeq,
+            tick: this._tick,
+            features: this.features.serializeProgress()
+        };
+    }
+
+    /**
+     * Replace jobs and feature progress with saved data.
+     * @param {Object} data - serialize() output
+     */
+    restore(data) {
+        this.reset();
+        if (!data) return;
+        this._jobs = (data.jobs ?? []).map(job => ({ ...job }));
+        this._nextJobSeq = data.nextJobSeq ?? this._jobs.length + 1;
+        this._tick = data.tick ?? 0;
+        this.features.restoreProgress(data.features);
+    }
+
+    // ============ Internals ============
+
+    /**
+     * @private
+     * @returns {string|null} Error message, null when the job can be queued
+     */
+    _validate(type, featureId, constraintKey, researcherUnitId) {
+        if (type !== GoalType.INVENT && type !== GoalType.EXTEND) {
+            return `Unknown research type: ${type}`;
+        }
+        if (!featureId) {
+            return 'featureId is required';
+        }
+
+        if (this.getUnit) {
+            const unit = this.getUnit(researcherUnitId);
+            if (!unit) return `Unit ${researcherUnitId} not found`;
+            if (!this.canResearch(unit)) return `Unit ${researcherUnitId} cannot research`;
+        }
+
+        const unlocked = this.features.isUnlocked(featureId);
+        if (type === GoalType.INVENT) {
+            if (unlocked) return `${featureId} is already invented`;
+        } else {
+            if (!unlocked) return `${featureId} must be invented before it can be extended`;
+            if (!constraintKey) return 'constraintKey is required for EXTEND';
+
+            // Levels already reached plus the ones queued
+            const level = this.features.getExtendLevel(featureId, constraintKey) + this._pendingExtends(featureId, constraintKey);
+            if (level >= this.stats.getConfig().research.maxExtendLevel) {
+                return `${featureId}.${constraintKey} is at the maximum Extend level`;
+            }
+            return null;
+        }
+
+        if (this._jobs.some(job => this._isActive(job) && job.type === GoalType.INVENT && job.featureId === featureId)) {
+            return `${featureId} is already being invented`;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _complete(job) {
+        job.status = ResearchJobStatus.DONE;
+        job.completedAt = this._tick;
+
+        let level = null;
+        let multiplier = null;
+        if (job.type === GoalType.INVENT) {
+            this.features.unlock(job.featureId);
+        } else {
+            level = this.features.extendConstraint(job.featureId, job.constraintKey,
+                this.stats.getConfig().research.maxExtendLevel);
+            multiplier = this.stats.getExtendMultiplier(level);
+        }
+
+        this.goals?.resolveFeature(job.featureId, job.constraintKey);
+        this.eventBus?.emit(ResearchEvent.COMPLETED, { job, level, multiplier });
+    }
+
+    /**
+     * Active Extend jobs for one constraint.
+     * @private
+     */
+    _pendingExtends(featureId, constraintKey) {
+        return this._jobs.filter(job => this._isActive(job) && job.type === GoalType.EXTEND &&
+            job.featureId === featureId && job.constraintKey === constraintKey).length;
+    }
+
+    /**
+     * @private
+     */
+    _isActive(job) {
+        return job.status === ResearchJobStatus.QUEUED || job.status === ResearchJobStatus.RUNNING;
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * SystemScheduler - Runs registered BaseSystem instances every sim tick
+ *
+ * Systems are registered once and run in a deterministic order:
+ * registration order, adjusted by per-system `before` / `after` constraints
+ * (names of other systems). Constraints naming systems that are not
+ * registered are ignored until those systems appear.
+ *
+ * Each tick every enabled system receives update(dt, context) with one
+ * shared context object: whatever the host provides (store, eventBus, rng,
+ * entities, ...) plus `dt` and `tick`, refreshed before the first system runs.
+ *
+ * Timing is wall-clock diagnostics only and never feeds back into the sim.
+ *
+ * Systems that own sim state (e.g. GoalManager) implement serialize() and
+ * restore(data); serialize()/restore() here collect them by system name for saves.
+ *
+ * NO Three.js or rendering code allowed here.
+ *
+ * Usage:
+ *   const scheduler = new SystemScheduler({ context: { store, eventBus, rng, entities } });
+ *   scheduler.register(new MovementSystem(terrain));
+ *   scheduler.register(new CombatSystem(), { after: ['movement'] });
+ *   simLoop.onSimTick = (dt, tick) => { processCommands(tick); scheduler.update(dt, tick); };
+ */
+
+/**
+ * Default wall clock for timings (not used by the simulation).
+ * @returns {number}
+ */
+function defaultNow() {
+    return (typeof performance !== 'undefined' ? performance : Date).now();
+}
+
+/**
+ * SystemScheduler owns system order, enable flags and per-system timings.
+ */
+export class SystemScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.context] - Shared context passed to every system
+     * @param {Function} [options.now] - Wall clock in ms (timings only)
+     */
+    constructor(options = {}) {
+        /** @type {Object} Shared per-tick context */
+        this.context = options.context ?? {};
+
+        this._now = options.now ?? defaultNow;
+
+        /** @type {Map<string, { system: Object, before: string[], after: string[] }>} Insertion = registration order */
+        this._entries = new Map();
+
+        /** @type {Object[]|null} Cached run order (null = rebuild) */
+        this._order = null;
+
+        /** @type {Map<string, { calls: number, totalMs: number, lastMs: number, maxMs: number }>} */
+        this._timings = new Map();
+    }
+
+    /**
+     * Register a system.
+     *
+     * @param {BaseSystem} system - Object with `name` and update(dt, context)
+     * @param {Object} [options]
+     * @param {string[]} [options.before=[]] - Systems this one must run before
+     * @param {string[]} [options.after=[]] - Systems this one must run after
+     * @returns {BaseSystem} The registered system
+     * @throws {Error} On duplicate names or dependency cycles
+     */
+    register(system, options = {}) {
+        if (!system || typeof system.update !== 'function' || !system.name) {
+            throw new Error('SystemScheduler.register requires a system with a name and update()');
+        }
+        if (this._entries.has(system.name)) {
+            throw new Error(`SystemScheduler: system '${system.name}' is already registered`);
+        }
+
+        this._entries.set(system.name, {
+            system,
+            before: [...(options.before ?? [])],
+            after: [...(options.after ?? [])]
+        });
+        this._order = null;
+
+        try {
+            this._resolveOrder();
+        } catch (err) {
+            this._entries.delete(system.name);
+            this._order = null;
+            throw err;
+        }
+
+        this._timings.set(system.name, { calls: 0, totalMs: 0, lastMs: 0, maxMs: 0 });
+        return system;
+    }
+
+    /**
+     * Remove a system.
+     * @param {string} name
+     * @returns {boolean} True if it was registered
+     */
+    unregister(name) {
+        const removed = this._entries.delete(name);
+        if (removed) {
+            this._timings.delete(name);
+            this._order = null;
+        }
+        return removed;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {BaseSystem|null}
+     */
+    get(name) {
+        return this._entries.get(name)?.system ?? null;
+    }
+
+    /**
+     * Enable or disable a system (disabled systems are skipped, order is kept).
+     * @param {string} name
+     * @param {boolean} enabled
+     * @returns {boolean} True if the system exists
+     */
+    setEnabled(name, enabled) {
+        const system = this.get(name);
+        if (!system) return false;
+
+        if (enabled) {
+            if (typeof system.enable === 'function') system.enable();
+            else system.enabled = true;
+        } else if (typeof system.disable === 'function') {
+            system.disable();
+        } else {
+            system.enabled = false;
+        }
+        return true;
+    }
+
+    /**
+     * @returns {string[]} System names in run order
+     */
+    getOrder() {
+        return this._resolveOrder().map(entry => entry.system.name);
+    }
+
+    /**
+     * Run every enabled system once.
+     * @param {number} dt - Fixed delta time in seconds
+     * @param {number} tickCount - Current tick number
+     */
+    update(dt, tickCount) {
+        const context = this.context;
+        context.dt = dt;
+        context.tick = tickCount;
+
+        for (const entry of this._resolveOrder()) {
+            const system = entry.system;
+            if (system.enabled === false) continue;
+
+            const start = this._now();
+            system.update(dt, context);
+            const elapsed = this._now() - start;
+
+            const timing = this._timings.get(system.name);
+            timing.calls++;
+            timing.totalMs += elapsed;
+            timing.lastMs = elapsed;
+            if (elapsed > timing.maxMs) timing.maxMs = elapsed;
+        }
+    }
+
+    /**
+     * Saved state of every system that implements serialize().
+     * @returns {Object<string, Object>} System name → serialize() output
+     */
+    serialize() {
+        const state = {};
+        for (const { system } of this._entries.values()) {
+            if (typeof system.serialize === 'function') {
+                state[system.name] = system.serialize();
+            }
+        }
+        return state;
+    }
+
+    /**
+     * Restore systems from serialize() output. Systems missing from `state`
+     * (saves written before they existed) are left untouched.
+     * @param {Object<string, Object>} state
+     */
+    restore(state) {
+        if (!state) return;
+        for (const { system } of this._entries.values()) {
+            if (typeof system.restore === 'function' && state[system.name] !== undefined) {
+                system.restore(state[system.name]);
+            }
+        }
+    }
+
+    /**
+     * Per-system timings since the last reset.
+     * @returns {Object<string, { calls: number, totalMs: number, lastMs: number, maxMs: number, avgMs: number }>}
+     */
+    getTimings() {
+        const result = {};
+        for (const [name, timing] of this._timings) {
+            result[name] = {
+                ...timing,
+                avgMs: timing.calls > 0 ? timing.totalMs / timing.calls : 0
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Clear accumulated timings.
+     */
+    resetTimings() {
+        for (const name of this._timings.keys()) {
+            this._timings.set(name, { calls: 0, totalMs: 0, lastMs: 0, maxMs: 0 });
+        }
+    }
+
+    /**
+     * Topological sort of registered systems (depth-first).
+     * Systems are placed in registration order, each one preceded by the
+     * systems it must run after, so the result is deterministic.
+     * @private
+     * @returns {Object[]} Entries in run order
+     */
+    _resolveOrder() {
+        if (this._order) return this._order;
+
+        const entries = [...this._entries.values()];
+        const predecessors = new Map(entries.map(entry => [entry.system.name, []]));
+
+        for (const entry of entries) {
+            const name = entry.system.name;
+            for (const dep of entry.after) {
+                if (predecessors.has(dep)) predecessors.get(name).push(dep);
+            }
+            for (const dep of entry.before) {
+                if (predecessors.has(dep)) predecessors.get(dep).push(name);
+            }
+        }
+
+        const order = [];
+        const placed = new Set();
+        const visiting = [];
+
+        const visit = (name) => {
+            if (placed.has(name)) return;
+            if (visiting.includes(name)) {
+                const cycle = visiting.slice(visiting.indexOf(name)).join(' -> ');
+                throw new Error(`SystemScheduler: dependency cycle ${cycle} -> ${name}`);
+            }
+
+            visiting.push(name);
+            // Predecessors in registration order
+            for (const entry of entries) {
+                if (predecessors.get(name).includes(entry.system.name)) visit(entry.system.name);
+            }
+            visiting.pop();
+
+            placed.add(name);
+            order.push(this._entries.get(name));
+        };
+
+        for (const entry of entries) {
+            visit(entry.system.name);
+        }
+
+        this._order = order;
+        return order;
+    }
+}
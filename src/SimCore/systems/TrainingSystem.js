@@ -0,0 +1,175 @@
+/**
+ * TrainingSystem - Tr step of G-R-F-Tr-D-P-U in the simulation
+ *
+ * TrainingManager keeps a player's own records (storage, sessions) on that
+ * player's client only. The simulation never reads them directly: a client
+ * publishes its high scores with the APPLY_TRAINING command, and every peer
+ * applies the command on the same tick through applyScores():
+ *   - the owner's high scores are stored here (sim state, saved with the game)
+ *   - the owner's bound units are rebound, so the new multipliers apply at once
+ *
+ * Hosts bind new units with getFeatureTraining(ownerId) (Game through
+ * UnitTypeBinder.setTrainingSource, SimWorld explicitly), so units built
+ * later get the same multipliers on every peer.
+ *
+ * NO Three.js or rendering code allowed here.
+ *
+ * Usage:
+ *   const training = new TrainingSystem({ eventBus, getUnits: () => world.units });
+ *   scheduler.register(training);
+ *   setTrainingSource((model) => training.getFeatureTraining(model.ownerId ?? LOCAL_TRAINING_USER));
+ *   training.applyScores('peer-a', [{ featureId: 'move', highScore: 80 }]); // APPLY_TRAINING
+ */
+
+import { BaseSystem } from './BaseSystem.js';
+import { globalStatsEngine } from '../rules/StatsEngine.js';
+import { isBound, rebindUnit } from '../runtime/UnitTypeBinder.js';
+import { LOCAL_TRAINING_USER } from '../runtime/TrainingManager.js';
+
+/**
+ * Default rebind: units bound through UnitTypeBinder (Game units carry a model).
+ * @param {Object} unit
+ * @returns {boolean} True if rebound
+ */
+function rebindBoundUnit(unit) {
+    const model = unit.model ?? unit;
+    if (!isBound(model.id) || !rebindUnit(model)) return false;
+    if (unit.model) unit.speed = model.speed;
+    return true;
+}
+
+/** Events emitted by TrainingSystem */
+export const TrainingSystemEvent = Object.freeze({
+    APPLIED: 'TRAINING_APPLIED'   // { ownerId, featureIds, rebound }
+});
+
+/**
+ * TrainingSystem holds the replicated training high scores per unit owner.
+ * @extends BaseSystem
+ */
+export class TrainingSystem extends BaseSystem {
+    /**
+     * @param {Object} [options]
+     * @param {EventBus} [options.eventBus] - Bus for TrainingSystemEvents
+     * @param {StatsEngine} [options.stats=globalStatsEngine] - Score → multiplier and caps
+     * @param {Function} [options.getUnits] - () => units, rebound when their owner's scores change
+     * @param {Function} [options.rebindUnit] - (unit, featureTraining) => boolean; re-applies the unit's
+     *   blueprint stats (default: UnitTypeBinder.rebindUnit for bound units)
+     */
+    constructor(options = {}) {
+        super('training');
+
+        this.eventBus = options.eventBus ?? null;
+        this.stats = options.stats ?? globalStatsEngine;
+        this.getUnits = options.getUnits ?? (() => []);
+        this.rebindUnit = options.rebindUnit ?? rebindBoundUnit;
+
+        this.reset();
+    }
+
+    /**
+     * Forget every owner's scores.
+     */
+    reset() {
+        /** @type {Map<string, Object<string, number>>} ownerId → featureId → high score */
+        this._scores = new Map();
+    }
+
+    /**
+     * Apply an owner's published high scores (APPLY_TRAINING) and rebind
+     * the owner's units. Only improvements are kept, as in TrainingManager.
+     *
+     * @param {string} ownerId - Unit owner the scores belong to (the command's sender)
+     * @param {{ featureId: string, highScore: number }[]} records
+     * @returns {{ success: boolean, featureIds?: string[], rebound?: number, error?: string }}
+     */
+    applyScores(ownerId, records) {
+        if (!Array.isArray(records)) {
+            return { success: false, error: 'records must be an array' };
+        }
+        const maxScore = this.stats.getConfig().training.maxScore;
+        const scores = { ...(this._scores.get(ownerId) ?? {}) };
+        const featureIds = [];
+        for (const record of records) {
+            const score = record?.highScore;
+            if (typeof record?.featureId !== 'string' || typeof score !== 'number' || !Number.isFinite(score)) {
+                return { success: false, error: `Invalid training record: ${JSON.stringify(record)}` };
+            }
+            const clamped = Math.min(Math.max(score, 0), maxScore);
+            if (clamped > (scores[record.featureId] ?? 0)) {
+                scores[record.featureId] = clamped;
+                featureIds.push(record.featureId);
+            }
+        }
+        if (featureIds.length === 0) {
+            return { success: true, featureIds, rebound: 0 };
+        }
+
+        this._scores.set(ownerId, scores);
+        const rebound = this._rebindOwner(ownerId);
+        this.eventBus?.emit(TrainingSystemEvent.APPLIED, { ownerId, featureIds, rebound });
+        return { success: true, featureIds, rebound };
+    }
+
+    /**
+     * Per-feature multipliers of an owner, in the form StatsEngine expects (`featureTraining`).
+     * @param {string} ownerId
+     * @returns {Object<string, number>}
+     */
+    getFeatureTraining(ownerId) {
+        const training = {};
+        const scores = this._scores.get(ownerId) ?? {};
+        for (const featureId of Object.keys(scores).sort()) {
+            training[featureId] = this.stats.getTrainingMultiplier(scores[featureId]);
+        }
+        return training;
+    }
+
+    /**
+     * @param {string} ownerId
+     * @returns {Object<string, number>} featureId → applied high score
+     */
+    getScores(ownerId) {
+        return { ...(this._scores.get(ownerId) ?? {}) };
+    }
+
+    // ============ Persistence ============
+
+    /**
+     * @returns {Object} Plain data for saves (scores per owner, sorted)
+     */
+    serialize() {
+        const owners = {};
+        for (const ownerId of [...this._scores.keys()].sort()) {
+            owners[ownerId] = { ...this._scores.get(ownerId) };
+        }
+        return { owners };
+    }
+
+    /**
+     * Replace scores with saved data (units keep the stats they were saved with).
+     * @param {Object} data - serialize() output
+     */
+    restore(data) {
+        this.reset();
+        for (const [ownerId, scores] of Object.entries(data?.owners ?? {})) {
+            this._scores.set(ownerId, { ...scores });
+        }
+    }
+
+    // ============ Internals ============
+
+    /**
+     * @private
+     * @returns {number} Units rebound
+     */
+    _rebindOwner(ownerId) {
+        const training = this.getFeatureTraining(ownerId);
+        let count = 0;
+        for (const unit of this.getUnits()) {
+            const owner = unit?.model?.ownerId ?? unit?.ownerId ?? LOCAL_TRAINING_USER;
+            if (unit && owner === ownerId && this.rebindUnit(unit, training)) count++;
+        }
+        return count;
+    }
+}
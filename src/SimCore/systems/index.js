@@ -5,48 +5,48 @@
  * NO Three.js or rendering code allowed here.
  * 
  * Future contents (Prompt 04+):
- * - ResearchSystem: Goal → Feature progression
  * - DevSystem: Feature → TypeBlueprint progression
- * - ProductionSystem: Type → Unit creation
  * - CombatSystem: Damage resolution, disable, capture
  * - EconomySystem: Energy pool, Materia conversion
  * - TimelineSystem: Command → Action execution
- * - MovementSystem: Position updates (engine-agnostic)
+ *
+ * Implemented:
+ * - MovementSystem: Runs rules/MovementRules for plain-data units + terrain paths
+ * - SystemScheduler: Ordered per-tick execution of registered systems
+ * - GoalManager: GameEvent triggers → Goals (Need cards), Demo 1.0 onboarding
+ * - ResearchSystem: Goal → Feature progression (Invent / Extend jobs)
+ * - ProductionSystem: Type → Unit creation (per-producer Build / Refit queues)
+ * - TrainingSystem: Replicated training high scores per owner (APPLY_TRAINING)
  */
 
-// Placeholder - systems will be added in future prompts
-export const SYSTEMS_VERSION = '0.1.0';
+export const SYSTEMS_VERSION = '0.2.0';
 
-/**
- * Base class for all systems (optional pattern)
- * Systems process entities each tick without owning state.
- */
-export class BaseSystem {
-    constructor(name) {
-        this.name = name;
-        this.enabled = true;
-    }
-
-    /**
-     * Called each simulation tick
-     * @param {number} dt - Delta time in seconds
-     * @param {Object} context - Shared context (store, entities, etc.)
-     */
-    update(dt, context) {
-        // Override in subclass
-    }
-
-    /**
-     * Enable this system
-     */
-    enable() {
-        this.enabled = true;
-    }
-
-    /**
-     * Disable this system
-     */
-    disable() {
-        this.enabled = false;
-    }
-}
+export { BaseSystem } from './BaseSystem.js';
+export { SystemScheduler } from './SystemScheduler.js';
+export {
+    MovementSystem,
+    projectToTerrain,
+    buildSurfacePath
+} from './MovementSystem.js';
+export {
+    GoalManager,
+    GoalEvent,
+    GoalType,
+    GoalStatus,
+    GOAL_TRIGGERS
+} from './GoalManager.js';
+export {
+    ResearchSystem,
+    ResearchEvent,
+    ResearchJobStatus
+} from './ResearchSystem.js';
+export {
+    ProductionSystem,
+    ProductionEvent,
+    ProductionJobType,
+    ProductionJobStatus
+} from './ProductionSystem.js';
+export {
+    TrainingSystem,
+    TrainingSystemEvent
+} from './TrainingSystem.js';
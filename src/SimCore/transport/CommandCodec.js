@@ -0,0 +1,661 @@
+/**
+ * CommandCodec - Versioned binary wire format for command batches
+ *
+ * JSON batches spend most of their bytes on key names and on doubles for
+ * positions (a long SET_PATH drag is hundreds of {x,y,z} objects). The binary
+ * codec writes each known message type as a fixed field list:
+ *
+ * - Positions on the planet surface: octahedral-mapped direction (2 × 16 bit)
+ *   plus height (distance from the planet centre in 1/1024 units)
+ * - Point lists: the same quantities, delta-encoded point to point (zigzag varints)
+ * - IDs / integers: varints; strings: length-prefixed UTF-8 (optional
+ *   strings: presence byte first, so null stays compact)
+ * - Training records: feature ID string + float64 high score per record
+ * - Anything the schema does not know (unknown message types, extra fields,
+ *   fields with unexpected values) travels as embedded JSON, so encoding never
+ *   loses data other than the position quantization
+ *
+ * Quantization changes positions slightly, so every peer must see the SAME
+ * quantized values, including the sender's own copy. Codec-capable transports
+ * therefore pass every outgoing command through canonicalizeCommand() (an
+ * encode/decode round trip, idempotent) whatever wire version is in use.
+ *
+ * Versions:
+ *   0 - JSON (no codec; always understood)
+ *   1 - binary layout described above
+ *   2 - v1 plus PRODUCE, REFIT, CANCEL_PRODUCTION, RESEARCH, APPLY_TRAINING,
+ *       RESUME, SET_UNIT_SPEED and rollback input layouts (v1 peers still
+ *       embed those as JSON)
+ * A version's type table and field lists are frozen once shipped; changes
+ * need a new version. Peers agree on the highest version they all support
+ * (negotiateCodecVersion).
+ *
+ * Text channels (Supabase broadcast, relay frames) carry batches as base64.
+ *
+ * NO Three.js or Node-only code allowed here (imported by the browser client).
+ */
+
+import { CommandType } from '../runtime/CommandQueue.js';
+import { LockstepMessageType } from './LockstepTransport.js';
+import { RollbackMessageType } from './RollbackTransport.js';
+
+/** Wire version meaning "plain JSON" */
+export const JSON_CODEC_VERSION = 0;
+
+/** Binary versions this build can read and write (ascending) */
+export const SUPPORTED_CODEC_VERSIONS = [1, 2];
+
+/** Newest binary version */
+export const CURRENT_CODEC_VERSION = SUPPORTED_CODEC_VERSIONS[SUPPORTED_CODEC_VERSIONS.length - 1];
+
+/** Height quanta per world unit */
+const HEIGHT_SCALE = 1024;
+
+/** Octahedral grid resolution per axis (16 bit) */
+const OCT_MAX = 65535;
+
+/** Fields every known message type may carry, before its own fields */
+const COMMON_FIELDS = [
+    ['scheduledTick', 'uint'],
+    ['senderId', 'string']
+];
+
+/**
+ * Version 1 type table. Tag = index + 1 (tag 0 = JSON-embedded message).
+ * FROZEN once shipped: any change, even appending a type, needs a new version.
+ */
+const V1_TYPES = [
+    [CommandType.SELECT, [['unitId', 'id'], ['skipCamera', 'bool']]],
+    [CommandType.DESELECT, []],
+    [CommandType.MOVE, [['unitId', 'id'], ['position', 'vec3']]],
+    [CommandType.SET_PATH, [['unitId', 'id'], ['points', 'path']]],
+    [CommandType.CLOSE_PATH, [['unitId', 'id']]],
+    [CommandType.WAIT, [['unitId', 'id'], ['seconds', 'number']]],
+    [CommandType.STOP, [['unitId', 'id']]],
+    [CommandType.REORDER_COMMANDS, [['unitId', 'id'], ['order', 'idList']]],
+    [CommandType.DELETE_COMMAND, [['unitId', 'id'], ['commandId', 'id']]],
+    [CommandType.TOGGLE_PAUSE, [['unitId', 'id']]],
+    [CommandType.SET_LOOPING, [['unitId', 'id'], ['enabled', 'bool']]],
+    [CommandType.ATTACK, [['unitId', 'id'], ['targetId', 'id']]],
+    [CommandType.BUILD, [['unitId', 'id'], ['typeId', 'string'], ['position', 'vec3']]],
+    [LockstepMessageType.TURN, [['peerId', 'string'], ['tick', 'uint'], ['commands', 'commands']]]
+];
+
+/**
+ * Version 2 type table: v1 (same tags) plus the production, research and
+ * training commands, RESUME, SET_UNIT_SPEED and rollback inputs. FROZEN once
+ * shipped.
+ */
+const V2_TYPES = [
+    ...V1_TYPES,
+    [CommandType.PRODUCE, [['unitId', 'id'], ['typeId', 'string']]],
+    [CommandType.REFIT, [['unitId', 'id'], ['targetId', 'id']]],
+    [CommandType.CANCEL_PRODUCTION, [['unitId', 'id'], ['jobId', 'string']]],
+    [CommandType.RESEARCH, [
+        ['unitId', 'id'],
+        ['goalId', 'optString'],
+        ['researchType', 'optString'],
+        ['featureId', 'optString'],
+        ['constraintKey', 'optString']
+    ]],
+    [CommandType.APPLY_TRAINING, [['records', 'scoreList']]],
+    [CommandType.RESUME, [['unitId', 'id']]],
+    [CommandType.SET_UNIT_SPEED, [['speed', 'number']]],
+    [RollbackMessageType.INPUT, [['peerId', 'string'], ['inputSeq', 'uint'], ['tick', 'uint'], ['command', 'command']]]
+];
+
+/**
+ * Per-version lookup tables.
+ * @type {Map<number, { types: Array, tagByType: Map<string, number> }>}
+ */
+const SCHEMAS = new Map([
+    [1, buildSchema(V1_TYPES)],
+    [2, buildSchema(V2_TYPES)]
+]);
+
+function buildSchema(typeTable) {
+    const types = typeTable.map(([type, fields]) => ({ type, fields: [...COMMON_FIELDS, ...fields] }));
+    const tagByType = new Map(types.map((entry, i) => [entry.type, i + 1]));
+    return { types, tagByType };
+}
+
+// ============ Negotiation ============
+
+/**
+ * Highest binary version every participant supports.
+ *
+ * @param {...number[]} versionLists - Supported versions per participant
+ * @returns {number} Agreed version, or JSON_CODEC_VERSION if there is none
+ */
+export function negotiateCodecVersion(...versionLists) {
+    if (versionLists.length === 0) return JSON_CODEC_VERSION;
+    let common = null;
+    for (const list of versionLists) {
+        const versions = Array.isArray(list) ? list : [];
+        common = common === null ? versions : common.filter(v => versions.includes(v));
+    }
+    return common.length > 0 ? Math.max(...common) : JSON_CODEC_VERSION;
+}
+
+/**
+ * @param {number} version
+ * @returns {boolean} True if this build can read/write the binary version
+ */
+export function isCodecVersionSupported(version) {
+    return SCHEMAS.has(version);
+}
+
+// ============ Surface positions ============
+
+/** sign() that never returns 0, so both octahedron halves fold consistently */
+function signNotZero(v) {
+    return v < 0 ? -1 : 1;
+}
+
+/**
+ * Quantize a position to octahedral direction + height.
+ * @param {{x: number, y: number, z: number}} p
+ * @returns {{ u: number, v: number, h: number }}
+ */
+export function quantizeSurfacePoint(p) {
+    const length = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z);
+    const h = Math.round(length * HEIGHT_SCALE);
+    if (length === 0) {
+        return { u: (OCT_MAX + 1) / 2, v: (OCT_MAX + 1) / 2, h: 0 };
+    }
+
+    const l1 = Math.abs(p.x) + Math.abs(p.y) + Math.abs(p.z);
+    let ox = p.x / l1;
+    let oy = p.y / l1;
+    if (p.z < 0) {
+        const fx = (1 - Math.abs(oy)) * signNotZero(ox);
+        const fy = (1 - Math.abs(ox)) * signNotZero(oy);
+        ox = fx;
+        oy = fy;
+    }
+
+    return {
+        u: Math.round((ox * 0.5 + 0.5) * OCT_MAX),
+        v: Math.round((oy * 0.5 + 0.5) * OCT_MAX),
+        h
+    };
+}
+
+/**
+ * Inverse of quantizeSurfacePoint (IEEE basic ops only, so identical on every engine).
+ * @param {{ u: number, v: number, h: number }} q
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function dequantizeSurfacePoint(q) {
+    const length = q.h / HEIGHT_SCALE;
+    if (length === 0) {
+        return { x: 0, y: 0, z: 0 };
+    }
+
+    let x = (q.u / OCT_MAX) * 2 - 1;
+    let y = (q.v / OCT_MAX) * 2 - 1;
+    const z = 1 - Math.abs(x) - Math.abs(y);
+    if (z < 0) {
+        const fx = (1 - Math.abs(y)) * signNotZero(x);
+        const fy = (1 - Math.abs(x)) * signNotZero(y);
+        x = fx;
+        y = fy;
+    }
+
+    const scale = length / Math.sqrt(x * x + y * y + z * z);
+    return { x: x * scale, y: y * scale, z: z * scale };
+}
+
+// ============ Byte buffers ============
+
+/**
+ * Growable byte writer.
+ * @private
+ */
+class ByteWriter {
+    constructor() {
+        this._bytes = new Uint8Array(64);
+        this._length = 0;
+    }
+
+    _reserve(n) {
+        if (this._length + n <= this._bytes.length) return;
+        let size = this._bytes.length * 2;
+        while (size < this._length + n) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this._bytes.subarray(0, this._length));
+        this._bytes = next;
+    }
+
+    byte(b) {
+        this._reserve(1);
+        this._bytes[this._length++] = b;
+    }
+
+    /** Unsigned LEB128 (safe integers) */
+    uint(n) {
+        while (n >= 0x80) {
+            this.byte((n % 0x80) | 0x80);
+            n = Math.floor(n / 0x80);
+        }
+        this.byte(n);
+    }
+
+    /** Zigzag-encoded signed integer */
+    int(n) {
+        this.uint(n < 0 ? -n * 2 - 1 : n * 2);
+    }
+
+    float64(n) {
+        this._reserve(8);
+        new DataView(this._bytes.buffer).setFloat64(this._length, n, true);
+        this._length += 8;
+    }
+
+    string(s) {
+        const encoded = new TextEncoder().encode(s);
+        this.uint(encoded.length);
+        this._reserve(encoded.length);
+        this._bytes.set(encoded, this._length);
+        this._length += encoded.length;
+    }
+
+    toBytes() {
+        return this._bytes.slice(0, this._length);
+    }
+}
+
+/**
+ * Byte reader; throws on truncated input.
+ * @private
+ */
+class ByteReader {
+    constructor(bytes) {
+        this._bytes = bytes;
+        this._offset = 0;
+    }
+
+    get done() {
+        return this._offset >= this._bytes.length;
+    }
+
+    byte() {
+        if (this._offset >= this._bytes.length) {
+            throw new Error('Truncated command batch');
+        }
+        return this._bytes[this._offset++];
+    }
+
+    uint() {
+        let result = 0;
+        let factor = 1;
+        for (;;) {
+            const b = this.byte();
+            result += (b & 0x7f) * factor;
+            if (b < 0x80) return result;
+            factor *= 0x80;
+            if (factor > Number.MAX_SAFE_INTEGER) {
+                throw new Error('Varint too long');
+            }
+        }
+    }
+
+    int() {
+        const z = this.uint();
+        return z % 2 === 1 ? -(z + 1) / 2 : z / 2;
+    }
+
+    float64() {
+        if (this._offset + 8 > this._bytes.length) {
+            throw new Error('Truncated command batch');
+        }
+        const value = new DataView(this._bytes.buffer, this._bytes.byteOffset).getFloat64(this._offset, true);
+        this._offset += 8;
+        return value;
+    }
+
+    string() {
+        const length = this.uint();
+        if (this._offset + length > this._bytes.length) {
+            throw new Error('Truncated command batch');
+        }
+        const text = new TextDecoder().decode(this._bytes.subarray(this._offset, this._offset + length));
+        this._offset += length;
+        return text;
+    }
+}
+
+// ============ Field kinds ============
+
+const ID_UINT = 0;
+const ID_STRING = 1;
+const ID_FLOAT = 2;
+
+function isVec3(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length === 3 &&
+        Number.isFinite(value.x) && Number.isFinite(value.y) && Number.isFinite(value.z);
+}
+
+/**
+ * Field kinds: fits() decides whether the value can use the compact form
+ * (otherwise it goes to the JSON extras), write()/read() do the encoding.
+ */
+const FIELD_KINDS = {
+    uint: {
+        fits: v => Number.isSafeInteger(v) && v >= 0,
+        write: (w, v) => w.uint(v),
+        read: r => r.uint()
+    },
+    bool: {
+        fits: v => typeof v === 'boolean',
+        write: (w, v) => w.byte(v ? 1 : 0),
+        read: r => r.byte() === 1
+    },
+    number: {
+        fits: v => typeof v === 'number',
+        write: (w, v) => w.float64(v),
+        read: r => r.float64()
+    },
+    string: {
+        fits: v => typeof v === 'string',
+        write: (w, v) => w.string(v),
+        read: r => r.string()
+    },
+    optString: {
+        fits: v => v === null || typeof v === 'string',
+        write: (w, v) => {
+            w.byte(v === null ? 0 : 1);
+            if (v !== null) w.string(v);
+        },
+        read: r => (r.byte() === 1 ? r.string() : null)
+    },
+    id: {
+        fits: v => typeof v === 'string' || typeof v === 'number',
+        write: (w, v) => {
+            if (typeof v === 'string') {
+                w.byte(ID_STRING);
+                w.string(v);
+            } else if (Number.isSafeInteger(v) && v >= 0) {
+                w.byte(ID_UINT);
+                w.uint(v);
+            } else {
+                w.byte(ID_FLOAT);
+                w.float64(v);
+            }
+        },
+        read: r => {
+            const tag = r.byte();
+            if (tag === ID_STRING) return r.string();
+            if (tag === ID_UINT) return r.uint();
+            if (tag === ID_FLOAT) return r.float64();
+            throw new Error(`Unknown id tag: ${tag}`);
+        }
+    },
+    idList: {
+        fits: v => Array.isArray(v) && v.every(item => FIELD_KINDS.id.fits(item)),
+        write: (w, v) => {
+            w.uint(v.length);
+            for (const item of v) FIELD_KINDS.id.write(w, item);
+        },
+        read: r => {
+            const count = r.uint();
+            const list = [];
+            for (let i = 0; i < count; i++) list.push(FIELD_KINDS.id.read(r));
+            return list;
+        }
+    },
+    vec3: {
+        fits: isVec3,
+        write: (w, v) => {
+            const q = quantizeSurfacePoint(v);
+            w.uint(q.u);
+            w.uint(q.v);
+            w.uint(q.h);
+        },
+        read: r => dequantizeSurfacePoint({ u: r.uint(), v: r.uint(), h: r.uint() })
+    },
+    path: {
+        fits: v => Array.isArray(v) && v.every(isVec3),
+        write: (w, v) => {
+            w.uint(v.length);
+            let prev = { u: 0, v: 0, h: 0 };
+            for (const point of v) {
+                const q = quantizeSurfacePoint(point);
+                w.int(q.u - prev.u);
+                w.int(q.v - prev.v);
+                w.int(q.h - prev.h);
+                prev = q;
+            }
+        },
+        read: r => {
+            const count = r.uint();
+            const points = [];
+            let prev = { u: 0, v: 0, h: 0 };
+            for (let i = 0; i < count; i++) {
+                const q = { u: prev.u + r.int(), v: prev.v + r.int(), h: prev.h + r.int() };
+                points.push(dequantizeSurfacePoint(q));
+                prev = q;
+            }
+            return points;
+        }
+    },
+    scoreList: {
+        fits: v => Array.isArray(v) && v.every(item => item && Object.keys(item).length === 2 &&
+            typeof item.featureId === 'string' && typeof item.highScore === 'number'),
+        write: (w, v) => {
+            w.uint(v.length);
+            for (const item of v) {
+                w.string(item.featureId);
+                w.float64(item.highScore);
+            }
+        },
+        read: r => {
+            const count = r.uint();
+            const list = [];
+            for (let i = 0; i < count; i++) list.push({ featureId: r.string(), highScore: r.float64() });
+            return list;
+        }
+    },
+    commands: {
+        // Nested batch (lockstep turns); filled in per schema below
+        fits: v => Array.isArray(v) && v.every(item => item && typeof item === 'object' && !Array.isArray(item)),
+        write: null,
+        read: null
+    },
+    command: {
+        // Single nested message (rollback inputs); filled in per schema below
+        fits: v => !!v && typeof v === 'object' && !Array.isArray(v),
+        write: null,
+        read: null
+    }
+};
+
+// ============ Batches ============
+
+function writeMessage(w, schema, message) {
+    const tag = typeof message?.type === 'string' ? (schema.tagByType.get(message.type) ?? 0) : 0;
+    w.uint(tag);
+    if (tag === 0) {
+        w.string(JSON.stringify(message));
+        return;
+    }
+
+    const { fields } = schema.types[tag - 1];
+    const extras = {};
+    let hasExtras = false;
+    const known = new Set(['type']);
+
+    let mask = 0;
+    fields.forEach(([name, kind], i) => {
+        known.add(name);
+        const value = message[name];
+        if (value === undefined) return;
+        if (FIELD_KINDS[kind].fits(value)) {
+            mask |= 1 << i;
+        } else {
+            extras[name] = value;
+            hasExtras = true;
+        }
+    });
+    for (const key of Object.keys(message)) {
+        if (!known.has(key) && message[key] !== undefined) {
+            extras[key] = message[key];
+            hasExtras = true;
+        }
+    }
+    if (hasExtras) mask |= 1 << fields.length;
+
+    w.uint(mask);
+    fields.forEach(([name, kind], i) => {
+        if (!(mask & (1 << i))) return;
+        if (kind === 'commands') {
+            writeMessages(w, schema, message[name]);
+        } else if (kind === 'command') {
+            writeMessage(w, schema, message[name]);
+        } else {
+            FIELD_KINDS[kind].write(w, message[name]);
+        }
+    });
+    if (hasExtras) {
+        w.string(JSON.stringify(extras));
+    }
+}
+
+function readMessage(r, schema) {
+    const tag = r.uint();
+    if (tag === 0) {
+        return JSON.parse(r.string());
+    }
+
+    const entry = schema.types[tag - 1];
+    if (!entry) {
+        throw new Error(`Unknown message tag: ${tag}`);
+    }
+
+    const { fields } = entry;
+    const mask = r.uint();
+    const message = { type: entry.type };
+    fields.forEach(([name, kind], i) => {
+        if (!(mask & (1 << i))) return;
+        if (kind === 'commands') {
+            message[name] = readMessages(r, schema);
+        } else if (kind === 'command') {
+            message[name] = readMessage(r, schema);
+        } else {
+            message[name] = FIELD_KINDS[kind].read(r);
+        }
+    });
+    if (mask & (1 << fields.length)) {
+        Object.assign(message, JSON.parse(r.string()));
+    }
+    return message;
+}
+
+function writeMessages(w, schema, messages) {
+    w.uint(messages.length);
+    for (const message of messages) writeMessage(w, schema, message);
+}
+
+function readMessages(r, schema) {
+    const count = r.uint();
+    const messages = [];
+    for (let i = 0; i < count; i++) messages.push(readMessage(r, schema));
+    return messages;
+}
+
+/**
+ * Encode a batch of commands / transport messages.
+ *
+ * @param {Object[]} commands
+ * @param {number} [version=CURRENT_CODEC_VERSION] - Binary codec version
+ * @returns {Uint8Array} [version][count][messages...]
+ * @throws {Error} If the version is not supported
+ */
+export function encodeCommandBatch(commands, version = CURRENT_CODEC_VERSION) {
+    const schema = SCHEMAS.get(version);
+    if (!schema) {
+        throw new Error(`Unsupported codec version: ${version}`);
+    }
+    const w = new ByteWriter();
+    w.byte(version);
+    writeMessages(w, schema, commands);
+    return w.toBytes();
+}
+
+/**
+ * Decode the output of encodeCommandBatch().
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{ version: number, commands: Object[] }}
+ * @throws {Error} On unsupported versions or corrupt data
+ */
+export function decodeCommandBatch(bytes) {
+    const r = new ByteReader(bytes);
+    const version = r.byte();
+    const schema = SCHEMAS.get(version);
+    if (!schema) {
+        throw new Error(`Unsupported codec version: ${version}`);
+    }
+    const commands = readMessages(r, schema);
+    if (!r.done) {
+        throw new Error('Trailing bytes in command batch');
+    }
+    return { version, commands };
+}
+
+/**
+ * Number of messages in an encoded batch, without decoding it (relay stats/limits).
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ * @throws {Error} On unsupported versions or truncated headers
+ */
+export function readCommandBatchCount(bytes) {
+    const r = new ByteReader(bytes);
+    const version = r.byte();
+    if (!SCHEMAS.has(version)) {
+        throw new Error(`Unsupported codec version: ${version}`);
+    }
+    return r.uint();
+}
+
+/**
+ * The command exactly as peers decode it from the current binary version
+ * (positions quantized). Idempotent.
+ *
+ * @param {Object} command
+ * @returns {Object}
+ */
+export function canonicalizeCommand(command) {
+    return decodeCommandBatch(encodeCommandBatch([command])).commands[0];
+}
+
+// ============ Text channels ============
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} On invalid base64
+ */
+export function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
@@ -40,6 +40,9 @@ export const TransportState = {
     ERROR: 'ERROR'
 };
 
+/** Window for the bytes-per-second rates in getStats() */
+const BYTE_RATE_WINDOW_MS = 5000;
+
 /**
  * Base class providing common transport functionality.
  * Concrete transports should extend this class.
@@ -59,6 +62,18 @@ export class TransportBase {
 
         /** @type {number} */
         this._messagesReceived = 0;
+
+        /** @type {number} Wire bytes written (concrete transports call _recordBytes) */
+        this._bytesSent = 0;
+
+        /** @type {number} Wire bytes read */
+        this._bytesReceived = 0;
+
+        /** @type {Array<{ at: number, sent: number, received: number }>} Samples inside the rate window */
+        this._byteSamples = [];
+
+        /** @type {function(): number} Clock for byte rates (not used by the simulation) */
+        this._byteClock = () => Date.now();
     }
 
     /**
@@ -95,16 +110,46 @@ export class TransportBase {
 
     /**
      * Get statistics for debugging.
-     * @returns {{ sent: number, received: number, state: TransportState }}
+     * Byte counts are wire bytes (after encoding); rates average the last few seconds.
+     * @returns {{ sent: number, received: number, state: TransportState,
+     *   bytesSent: number, bytesReceived: number, bytesSentPerSec: number, bytesReceivedPerSec: number }}
      */
     getStats() {
+        const now = this._byteClock();
+        this._pruneByteSamples(now);
+
+        let sentInWindow = 0;
+        let receivedInWindow = 0;
+        for (const sample of this._byteSamples) {
+            sentInWindow += sample.sent;
+            receivedInWindow += sample.received;
+        }
+        // Shorter divisor until the window has filled once
+        const first = this._byteSamples[0];
+        const windowSec = first ? Math.max(1000, Math.min(BYTE_RATE_WINDOW_MS, now - first.at)) / 1000 : 1;
+
         return {
             sent: this._messagesSent,
             received: this._messagesReceived,
-            state: this._state
+            state: this._state,
+            bytesSent: this._bytesSent,
+            bytesReceived: this._bytesReceived,
+            bytesSentPerSec: Math.round(sentInWindow / windowSec),
+            bytesReceivedPerSec: Math.round(receivedInWindow / windowSec)
         };
     }
 
+    /**
+     * The command as peers will receive it. Transports that change values on
+     * the wire (quantizing codecs) return the decoded form, so wrappers that
+     * deliver their own local copy (LockstepTransport) stay in agreement.
+     * @param {TransportCommand} command
+     * @returns {TransportCommand}
+     */
+    canonicalize(command) {
+        return command;
+    }
+
     /**
      * Send a command through the transport.
      * Must be implemented by concrete transports.
@@ -145,4 +190,27 @@ export class TransportBase {
             this._onReceive(command);
         }
     }
+
+    /**
+     * Count wire traffic for getStats().
+     * @protected
+     * @param {number} sent - Bytes written
+     * @param {number} [received=0] - Bytes read
+     */
+    _recordBytes(sent, received = 0) {
+        const at = this._byteClock();
+        this._bytesSent += sent;
+        this._bytesReceived += received;
+        this._byteSamples.push({ at, sent, received });
+        this._pruneByteSamples(at);
+    }
+
+    /** @private */
+    _pruneByteSamples(now) {
+        let drop = 0;
+        while (drop < this._byteSamples.length && now - this._byteSamples[drop].at > BYTE_RATE_WINDOW_MS) {
+            drop++;
+        }
+        if (drop > 0) this._byteSamples.splice(0, drop);
+    }
 }
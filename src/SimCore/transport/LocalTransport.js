@@ -11,7 +11,7 @@
  *
  * Design notes:
  * - Synchronous delivery (send() immediately calls onReceive)
- * - No network latency simulation (add LatencyTransport wrapper if needed)
+ * - No network latency simulation (wrap in SimulatedNetworkTransport for that)
  * - Thread-safe for single-threaded JS environment
  * - Zero allocations in hot path beyond command object itself
  */
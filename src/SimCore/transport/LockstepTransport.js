@@ -0,0 +1,440 @@
+/**
+ * LockstepTransport - Deterministic Input-Delay Lockstep
+ *
+ * Wraps a network transport (e.g. SupabaseTransport) so that every peer
+ * applies every command on the SAME tick:
+ *
+ * - Local inputs are buffered and sent as a "turn" for tick
+ *   currentTick + inputDelay (one turn per peer per tick; empty turns are
+ *   no-op heartbeats).
+ * - Before each tick, SimLoop.canAdvance asks this transport whether all
+ *   peers' turns for that tick have arrived. If not, the sim stalls.
+ * - When a tick is complete, its commands are delivered to onReceive in
+ *   canonical order (peerId, then turn order), stamped with scheduledTick
+ *   and with the turn's peerId as senderId. Any senderId a peer put inside
+ *   its commands is overwritten, so every peer sees the same sender.
+ * - A turn whose envelope sender (stamped by the wrapped transport) is not
+ *   its peerId is dropped: peers cannot send turns for each other.
+ * - PING/PONG measures RTT; inputDelay adapts to it (within min/max).
+ * - After a state transfer (StateSync) a peer calls resync(tick): its turn
+ *   counters jump to the synced tick and the other peers resend their turns
+ *   after it (sent while it was away, so it never received them).
+ *
+ * Usage:
+ *   const lockstep = new LockstepTransport(new SupabaseTransport({...}), {
+ *       peerId: 'alice', peers: ['alice', 'bob']
+ *   });
+ *   initializeTransport(lockstep);   // onReceive → CommandQueue
+ *   lockstep.attach(game.simLoop);   // installs the canAdvance gate
+ */
+
+import { TransportBase, TransportState } from './ITransport.js';
+
+/**
+ * Message types exchanged over the wrapped transport.
+ */
+export const LockstepMessageType = {
+    TURN: 'LOCKSTEP_TURN',
+    RESEND: 'LOCKSTEP_RESEND',
+    PING: 'LOCKSTEP_PING',
+    PONG: 'LOCKSTEP_PONG'
+};
+
+/** Weight of the newest RTT sample in the moving average */
+const RTT_SMOOTHING = 0.2;
+
+/**
+ * Default wall clock for RTT measurement (not used by the simulation).
+ * @returns {number}
+ */
+function defaultNow() {
+    return (typeof performance !== 'undefined' ? performance : Date).now();
+}
+
+/**
+ * LockstepTransport gates the SimLoop on complete per-tick turns.
+ * @extends TransportBase
+ */
+export class LockstepTransport extends TransportBase {
+    /**
+     * @param {TransportBase} inner - Network transport carrying turns between peers
+     * @param {Object} options
+     * @param {string} options.peerId - This peer's identifier
+     * @param {string[]} [options.peers] - All participating peer IDs (including this one)
+     * @param {number} [options.inputDelay=3] - Initial input delay in ticks
+     * @param {number} [options.minInputDelay=1] - Lower bound for adaptive delay
+     * @param {number} [options.maxInputDelay=10] - Upper bound for adaptive delay
+     * @param {boolean} [options.adaptiveDelay=true] - Adapt inputDelay to measured RTT
+     * @param {number} [options.pingIntervalTicks=20] - Ticks between RTT probes (0 = off)
+     * @param {Function} [options.now] - Wall clock in ms (for RTT only)
+     */
+    constructor(inner, options = {}) {
+        super();
+
+        if (!inner) {
+            throw new Error('LockstepTransport requires an inner transport');
+        }
+        if (!options.peerId) {
+            throw new Error('LockstepTransport requires a peerId');
+        }
+
+        this._inner = inner;
+        this._peerId = options.peerId;
+        this._peers = [...(options.peers ?? [options.peerId])].sort();
+
+        this._inputDelay = options.inputDelay ?? 3;
+        this.minInputDelay = options.minInputDelay ?? 1;
+        this.maxInputDelay = options.maxInputDelay ?? 10;
+        this.adaptiveDelay = options.adaptiveDelay ?? true;
+        this.pingIntervalTicks = options.pingIntervalTicks ?? 20;
+        this._now = options.now ?? defaultNow;
+
+        /** @type {SimLoop|null} */
+        this._simLoop = null;
+
+        /** @type {Object[]} Local inputs waiting for the next turn */
+        this._outbox = [];
+
+        /** @type {Map<number, Map<string, Object[]>>} tick → peerId → commands */
+        this._turns = new Map();
+
+        this._lastSentTick = 0;
+        this._lastExecutedTick = 0;
+
+        /** @type {Map<string, number>} Smoothed RTT per peer (ms) */
+        this._rtt = new Map();
+        this._pingSeq = 0;
+
+        this._stallCount = 0;
+        this._stalledTick = null;
+        this._waitingOn = [];
+
+        this._inner.onReceive = (message) => this._handleMessage(message);
+    }
+
+    // ============ Wiring ============
+
+    /**
+     * Install the lockstep gate on a SimLoop.
+     * @param {SimLoop} simLoop
+     */
+    attach(simLoop) {
+        this._simLoop = simLoop;
+        this._lastSentTick = Math.max(this._lastSentTick, simLoop.tickCount);
+        this._lastExecutedTick = simLoop.tickCount;
+        simLoop.canAdvance = (nextTick) => this._canAdvance(nextTick);
+    }
+
+    /**
+     * Remove the gate (sim runs freely again).
+     */
+    detach() {
+        if (this._simLoop && this._simLoop.canAdvance) {
+            this._simLoop.canAdvance = null;
+        }
+        this._simLoop = null;
+    }
+
+    /**
+     * Continue from a tick whose state was taken from another peer
+     * (late join / reconnect). Turns up to it are done; peers are asked to
+     * resend their turns after it. Call before the sim advances past `tick`.
+     * @param {number} tick - Tick the sim was synced to
+     */
+    resync(tick) {
+        for (const turnTick of this._turns.keys()) {
+            if (turnTick <= tick) this._turns.delete(turnTick);
+        }
+        this._outbox = []; // Inputs made against the state that was replaced
+        this._lastExecutedTick = tick;
+        this._lastSentTick = tick;
+        this._stalledTick = null;
+        this._waitingOn = [];
+
+        this._inner.send({
+            type: LockstepMessageType.RESEND,
+            peerId: this._peerId,
+            fromTick: tick
+        });
+    }
+
+    /**
+     * Replace the participant list (e.g. after a lobby change).
+     * @param {string[]} peers
+     */
+    setPeers(peers) {
+        this._peers = [...peers].sort();
+    }
+
+    connect() {
+        this._state = TransportState.CONNECTING;
+        const result = this._inner.connect();
+
+        if (result && typeof result.then === 'function') {
+            return result.then(() => {
+                this._state = this._inner.state;
+            });
+        }
+
+        this._state = this._inner.state;
+        return result;
+    }
+
+    disconnect() {
+        this._state = TransportState.DISCONNECTED;
+        return this._inner.disconnect();
+    }
+
+    /**
+     * Buffer a local input for the next outgoing turn.
+     * @param {Object} command
+     */
+    send(command) {
+        this._messagesSent++;
+        // Our own turn is applied from this copy: it must match what peers decode
+        this._outbox.push(this.canonicalize(command));
+    }
+
+    /**
+     * @param {Object} command
+     * @returns {Object} The command as the inner transport delivers it to peers
+     */
+    canonicalize(command) {
+        return this._inner.canonicalize(command);
+    }
+
+    get type() {
+        return 'lockstep';
+    }
+
+    get peerId() {
+        return this._peerId;
+    }
+
+    get peers() {
+        return [...this._peers];
+    }
+
+    /**
+     * @returns {number} Current input delay in ticks
+     */
+    get inputDelay() {
+        return this._inputDelay;
+    }
+
+    /**
+     * Set input delay manually (clamped; adaptive updates may still change it).
+     * @param {number} ticks
+     */
+    set inputDelay(ticks) {
+        this._inputDelay = Math.max(this.minInputDelay, Math.min(this.maxInputDelay, Math.round(ticks)));
+    }
+
+    /**
+     * @returns {{ sent: number, received: number, state: string, inputDelay: number, rttMs: number|null, stalls: number, waitingOn: string[] }}
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            inputDelay: this._inputDelay,
+            rttMs: this._maxRtt(),
+            stalls: this._stallCount,
+            waitingOn: [...this._waitingOn]
+        };
+    }
+
+    // ============ Tick Gate ============
+
+    /**
+     * SimLoop.canAdvance hook.
+     * @param {number} nextTick - Tick about to run
+     * @returns {boolean}
+     * @private
+     */
+    _canAdvance(nextTick) {
+        const currentTick = nextTick - 1;
+
+        this._sendTurnsUpTo(currentTick + this._inputDelay);
+
+        if (this.pingIntervalTicks > 0 && currentTick % this.pingIntervalTicks === 0 &&
+            this._stalledTick !== nextTick) {
+            this._sendPing();
+        }
+
+        const missing = this._missingPeers(nextTick);
+        if (missing.length > 0) {
+            if (this._stalledTick !== nextTick) {
+                this._stalledTick = nextTick;
+                this._stallCount++;
+            }
+            this._waitingOn = missing;
+            return false;
+        }
+
+        this._waitingOn = [];
+        this._stalledTick = null;
+        this._executeTurn(nextTick);
+        return true;
+    }
+
+    /**
+     * Send turns (filling gaps with heartbeats) up to the target tick.
+     * Buffered inputs go into the first new turn.
+     * @private
+     */
+    _sendTurnsUpTo(targetTick) {
+        while (this._lastSentTick < targetTick) {
+            const tick = ++this._lastSentTick;
+            const commands = this._outbox.map(cmd => ({ ...cmd, scheduledTick: tick }));
+            this._outbox = [];
+
+            this._storeTurn(this._peerId, tick, commands);
+            this._inner.send({
+                type: LockstepMessageType.TURN,
+                peerId: this._peerId,
+                tick,
+                commands
+            });
+        }
+    }
+
+    /** @private */
+    _storeTurn(peerId, tick, commands) {
+        if (!this._turns.has(tick)) {
+            this._turns.set(tick, new Map());
+        }
+        this._turns.get(tick).set(peerId, commands.map(cmd => ({ ...cmd, senderId: peerId })));
+    }
+
+    /** @private */
+    _missingPeers(tick) {
+        const turns = this._turns.get(tick);
+        return this._peers.filter(peerId => !turns || !turns.has(peerId));
+    }
+
+    /**
+     * Deliver all commands of a complete tick in canonical order.
+     * @private
+     */
+    _executeTurn(tick) {
+        const turns = this._turns.get(tick);
+        this._turns.delete(tick);
+        this._lastExecutedTick = tick;
+
+        for (const peerId of this._peers) {
+            for (const command of turns.get(peerId)) {
+                this._deliverReceived({ ...command, scheduledTick: tick });
+            }
+        }
+    }
+
+    // ============ Network ============
+
+    /** @private */
+    _handleMessage(message) {
+        switch (message?.type) {
+            case LockstepMessageType.TURN:
+                if (message.peerId === this._peerId) return; // Own echo
+                if (!this._peers.includes(message.peerId)) return;
+                if (message.senderId !== undefined && message.senderId !== message.peerId) {
+                    console.warn(`[LockstepTransport] Dropped turn for ${message.peerId} sent by ${message.senderId}`);
+                    return;
+                }
+                if (message.tick <= this._lastExecutedTick) {
+                    console.warn(`[LockstepTransport] Late turn from ${message.peerId} for tick ${message.tick}`);
+                    return;
+                }
+                this._storeTurn(message.peerId, message.tick, Array.isArray(message.commands) ? message.commands : []);
+                break;
+
+            case LockstepMessageType.RESEND:
+                if (message.peerId === this._peerId) return;
+                if (!this._peers.includes(message.peerId)) return;
+                this._resendTurnsAfter(message.fromTick);
+                break;
+
+            case LockstepMessageType.PING:
+                if (message.peerId === this._peerId) return;
+                this._inner.send({
+                    type: LockstepMessageType.PONG,
+                    peerId: this._peerId,
+                    targetPeerId: message.peerId,
+                    seq: message.seq,
+                    sentAt: message.sentAt
+                });
+                break;
+
+            case LockstepMessageType.PONG:
+                if (message.targetPeerId !== this._peerId) return;
+                this._recordRtt(message.peerId, this._now() - message.sentAt);
+                break;
+
+            default:
+                // Not a lockstep message (diagnostics etc. chain their own handlers)
+                break;
+        }
+    }
+
+    /**
+     * Send our own turns that have not executed yet again (for a resynced peer).
+     * @private
+     */
+    _resendTurnsAfter(fromTick) {
+        const ticks = [...this._turns.keys()].filter(tick => tick > fromTick).sort((a, b) => a - b);
+        for (const tick of ticks) {
+            const commands = this._turns.get(tick).get(this._peerId);
+            if (!commands) continue;
+            this._inner.send({
+                type: LockstepMessageType.TURN,
+                peerId: this._peerId,
+                tick,
+                commands: commands.map(({ senderId, ...command }) => command)
+            });
+        }
+    }
+
+    /** @private */
+    _sendPing() {
+        this._inner.send({
+            type: LockstepMessageType.PING,
+            peerId: this._peerId,
+            seq: this._pingSeq++,
+            sentAt: this._now()
+        });
+    }
+
+    /** @private */
+    _recordRtt(peerId, sampleMs) {
+        const prev = this._rtt.get(peerId);
+        const smoothed = prev === undefined ? sampleMs : prev + (sampleMs - prev) * RTT_SMOOTHING;
+        this._rtt.set(peerId, smoothed);
+
+        if (this.adaptiveDelay) {
+            this._adaptDelay();
+        }
+    }
+
+    /** @private */
+    _maxRtt() {
+        if (this._rtt.size === 0) return null;
+        return Math.max(...this._rtt.values());
+    }
+
+    /**
+     * Delay = ticks needed for a turn to cross one-way latency, plus one tick margin.
+     * Increases apply immediately; decreases step down one tick at a time.
+     * @private
+     */
+    _adaptDelay() {
+        const fixedDtMs = this._simLoop?.fixedDtMs ?? 50;
+        const oneWayMs = this._maxRtt() / 2;
+        const target = Math.max(this.minInputDelay,
+            Math.min(this.maxInputDelay, Math.ceil(oneWayMs / fixedDtMs) + 1));
+
+        if (target > this._inputDelay) {
+            this._inputDelay = target;
+        } else if (target < this._inputDelay) {
+            this._inputDelay--;
+        }
+    }
+}
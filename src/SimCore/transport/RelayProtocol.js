@@ -0,0 +1,103 @@
+/**
+ * RelayProtocol - Message format shared by WebSocketTransport and RelayServer
+ *
+ * All messages are JSON text frames with a `type` field.
+ *
+ * Client → server:
+ *   { type: 'join', room, clientId?, echo, codecs? }
+ *                                              Join a room (clientId is a request, not a claim;
+ *                                              codecs = binary CommandCodec versions offered)
+ *   { type: 'commands', commands: [...] }      Relay commands to the room (JSON)
+ *   { type: 'commands', codec, data }          Same, as a base64 CommandCodec batch
+ *   { type: 'leave' }                          Leave the room (socket stays open)
+ *
+ * Server → client:
+ *   { type: 'welcome', room, clientId, peers, codec }
+ *                                              Join accepted; clientId is the assigned ID,
+ *                                              codec is the room's wire version (0 = JSON)
+ *   { type: 'commands', seq, clientId, commands } / { ..., codec, data }
+ *                                              Relayed batch; clientId is the attested sender,
+ *                                              seq is this recipient's delivery sequence (1, 2, ...)
+ *   { type: 'peer_joined', clientId, codec } / { type: 'peer_left', clientId, codec }
+ *                                              Membership change and the room's new wire version
+ *   { type: 'error', error }                   Rejected message
+ *
+ * Size limit: text frames up to MAX_RELAY_MESSAGE_BYTES. Clients keep their
+ * messages RELAY_ENVELOPE_BYTES under it so the fields the relay adds
+ * (seq, clientId) still fit.
+ *
+ * NO Three.js or Node-only code allowed here (imported by the browser client).
+ */
+
+/**
+ * Relay message types.
+ */
+export const RelayMessageType = {
+    JOIN: 'join',
+    LEAVE: 'leave',
+    WELCOME: 'welcome',
+    COMMANDS: 'commands',
+    PEER_JOINED: 'peer_joined',
+    PEER_LEFT: 'peer_left',
+    ERROR: 'error'
+};
+
+/**
+ * Default room for single-room multiplayer (same as SupabaseTransport).
+ */
+export const DEFAULT_RELAY_ROOM = 'asterobia-main';
+
+/**
+ * Default relay server port.
+ */
+export const DEFAULT_RELAY_PORT = 8787;
+
+/**
+ * Largest relay message in bytes (StateSync keyframes and DESYNC_STATE
+ * dumps of big worlds run to several MiB).
+ */
+export const MAX_RELAY_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Headroom for the fields the relay adds to a forwarded batch.
+ */
+export const RELAY_ENVELOPE_BYTES = 1024;
+
+/**
+ * Check a text frame payload against a byte limit (UTF-8).
+ * @param {string} text
+ * @param {number} [maxBytes] - Default: what a client may send
+ * @returns {boolean}
+ */
+export function fitsRelayMessage(text, maxBytes = MAX_RELAY_MESSAGE_BYTES - RELAY_ENVELOPE_BYTES) {
+    // A UTF-16 unit takes 1 to 3 UTF-8 bytes: only encode when the bounds disagree
+    if (text.length * 3 <= maxBytes) return true;
+    if (text.length > maxBytes) return false;
+    return new TextEncoder().encode(text).length <= maxBytes;
+}
+
+/**
+ * Encode a relay message as a text frame payload.
+ * @param {Object} message
+ * @returns {string}
+ */
+export function encodeRelayMessage(message) {
+    return JSON.stringify(message);
+}
+
+/**
+ * Decode a text frame payload.
+ * @param {string} data
+ * @returns {Object|null} Message, or null if it is not a relay message
+ */
+export function decodeRelayMessage(data) {
+    try {
+        const message = JSON.parse(data);
+        if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+            return null;
+        }
+        return message;
+    } catch (err) {
+        return null;
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * RollbackTransport - Input stamping for rollback netcode
+ *
+ * Wraps a network transport for use with RollbackManager. Unlike lockstep,
+ * the sim never waits for peers: local inputs apply on the next tick at once,
+ * and a remote input that arrives for a tick already simulated makes
+ * RollbackManager rewind and resimulate.
+ *
+ * - Local inputs are stamped with this peer's peerId, an inputSeq and
+ *   scheduledTick = currentTick + 1 + inputDelay, delivered to onReceive
+ *   immediately and sent to the other peers as an INPUT message.
+ * - Remote INPUT messages are delivered with the sender's peerId, inputSeq
+ *   and scheduledTick, and the peerId as senderId. Inputs from peers outside
+ *   the peer list, or whose envelope sender (stamped by the wrapped
+ *   transport) is not their peerId, are dropped.
+ *
+ * The peerId/inputSeq pair is the canonical order RollbackManager applies
+ * same-tick inputs in; it travels outside the command so any codec keeps it.
+ *
+ * Usage:
+ *   const net = new RollbackTransport(new WebSocketTransport({...}), {
+ *       peerId: 'alice', peers: ['alice', 'bob']
+ *   });
+ *   initializeTransport(net);
+ *   net.attach(game.simLoop);                       // scheduledTick source
+ *   const rollback = new RollbackManager(sim, { transport: net });
+ *   rollback.start();
+ */
+
+import { TransportBase, TransportState } from './ITransport.js';
+
+/**
+ * Message types exchanged over the wrapped transport.
+ */
+export const RollbackMessageType = {
+    INPUT: 'ROLLBACK_INPUT'
+};
+
+/**
+ * RollbackTransport stamps inputs for RollbackManager's input log.
+ * @extends TransportBase
+ */
+export class RollbackTransport extends TransportBase {
+    /**
+     * @param {TransportBase} inner - Network transport carrying inputs between peers
+     * @param {Object} options
+     * @param {string} options.peerId - This peer's identifier
+     * @param {string[]} [options.peers] - All participating peer IDs (including this one)
+     * @param {number} [options.inputDelay=0] - Extra ticks before a local input applies
+     *   (fewer rollbacks on slow links, at the cost of input latency)
+     */
+    constructor(inner, options = {}) {
+        super();
+
+        if (!inner) {
+            throw new Error('RollbackTransport requires an inner transport');
+        }
+        if (!options.peerId) {
+            throw new Error('RollbackTransport requires a peerId');
+        }
+
+        this._inner = inner;
+        this._peerId = options.peerId;
+        this._peers = [...(options.peers ?? [options.peerId])].sort();
+        this.inputDelay = options.inputDelay ?? 0;
+
+        /** @type {SimLoop|null} */
+        this._simLoop = null;
+        this._inputSeq = 0;
+
+        this._inner.onReceive = (message) => this._handleMessage(message);
+    }
+
+    // ============ Wiring ============
+
+    /**
+     * Use a SimLoop's tick to schedule local inputs.
+     * @param {SimLoop} simLoop
+     */
+    attach(simLoop) {
+        this._simLoop = simLoop;
+    }
+
+    /**
+     * Replace the participant list (e.g. after a lobby change).
+     * @param {string[]} peers
+     */
+    setPeers(peers) {
+        this._peers = [...peers].sort();
+    }
+
+    connect() {
+        this._state = TransportState.CONNECTING;
+        const result = this._inner.connect();
+
+        if (result && typeof result.then === 'function') {
+            return result.then(() => {
+                this._state = this._inner.state;
+            });
+        }
+
+        this._state = this._inner.state;
+        return result;
+    }
+
+    disconnect() {
+        this._state = TransportState.DISCONNECTED;
+        return this._inner.disconnect();
+    }
+
+    /**
+     * Stamp a local input, apply it locally and send it to the other peers.
+     * @param {Object} command
+     */
+    send(command) {
+        this._messagesSent++;
+        // Applied locally from this copy: it must match what peers decode
+        const canonical = this.canonicalize(command);
+        const { senderId, ...input } = canonical;
+        const inputSeq = this._inputSeq++;
+        const tick = (this._simLoop?.tickCount ?? 0) + 1 + this.inputDelay;
+
+        this._inner.send({
+            type: RollbackMessageType.INPUT,
+            peerId: this._peerId,
+            inputSeq,
+            tick,
+            command: input
+        });
+        this._deliverInput(this._peerId, inputSeq, tick, input);
+    }
+
+    /**
+     * @param {Object} command
+     * @returns {Object} The command as the inner transport delivers it to peers
+     */
+    canonicalize(command) {
+        return this._inner.canonicalize(command);
+    }
+
+    get type() {
+        return 'rollback';
+    }
+
+    get peerId() {
+        return this._peerId;
+    }
+
+    get peers() {
+        return [...this._peers];
+    }
+
+    // ============ Network ============
+
+    /** @private */
+    _deliverInput(peerId, inputSeq, tick, command) {
+        this._deliverReceived({ ...command, peerId, inputSeq, scheduledTick: tick, senderId: peerId });
+    }
+
+    /** @private */
+    _handleMessage(message) {
+        if (message?.type !== RollbackMessageType.INPUT) {
+            // Not a rollback message (diagnostics etc. chain their own handlers)
+            return;
+        }
+        if (message.peerId === this._peerId) return; // Own echo
+        if (!this._peers.includes(message.peerId)) return;
+        if (message.senderId !== undefined && message.senderId !== message.peerId) {
+            console.warn(`[RollbackTransport] Dropped input for ${message.peerId} sent by ${message.senderId}`);
+            return;
+        }
+        if (!message.command || typeof message.command !== 'object' ||
+            !Number.isInteger(message.tick) || !Number.isInteger(message.inputSeq)) {
+            return;
+        }
+        this._deliverInput(message.peerId, message.inputSeq, message.tick, message.command);
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * Signaling - Pluggable offer/answer/candidate exchange for WebRTCTransport
+ *
+ * A signaler delivers small JSON signals between two named peers before a
+ * direct connection exists. It never carries game commands.
+ *
+ * Implementations:
+ * - InMemorySignaler (InMemorySignalingHub) - same-process peers (tests, headless sims)
+ * - SupabaseSignaler (SupabaseSignaler.js)  - Supabase Realtime broadcast
+ *
+ * Contract:
+ *   await signaler.connect(peerId);          // start receiving signals for peerId
+ *   signaler.onSignal = (fromPeerId, signal) => { ... };
+ *   signaler.send(toPeerId, signal);         // fire-and-forget
+ *   await signaler.disconnect();
+ */
+
+/**
+ * Signal types exchanged during connection setup.
+ */
+export const SignalType = {
+    OFFER: 'offer',
+    ANSWER: 'answer',
+    CANDIDATE: 'candidate',
+    BYE: 'bye'
+};
+
+/**
+ * Base class for signalers.
+ * Concrete signalers implement connect/send/disconnect and call _deliver().
+ */
+export class SignalingBase {
+    constructor() {
+        /** @type {string|null} Local peer ID (set by connect) */
+        this.peerId = null;
+
+        /** @type {function(string, Object): void|null} (fromPeerId, signal) */
+        this.onSignal = null;
+    }
+
+    /**
+     * Start receiving signals addressed to peerId.
+     * @param {string} peerId
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async connect(peerId) {
+        throw new Error('SignalingBase.connect() must be implemented by subclass');
+    }
+
+    /**
+     * Send a signal to another peer.
+     * @param {string} toPeerId
+     * @param {Object} signal - { type: SignalType, ... }
+     * @abstract
+     */
+    send(toPeerId, signal) {
+        throw new Error('SignalingBase.send() must be implemented by subclass');
+    }
+
+    /**
+     * Stop receiving signals.
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async disconnect() {
+        throw new Error('SignalingBase.disconnect() must be implemented by subclass');
+    }
+
+    /**
+     * Hand a received signal to the callback.
+     * @protected
+     * @param {string} fromPeerId
+     * @param {Object} signal
+     */
+    _deliver(fromPeerId, signal) {
+        if (this.onSignal) {
+            this.onSignal(fromPeerId, signal);
+        }
+    }
+}
+
+/**
+ * Routes signals between InMemorySignalers in the same process.
+ * Delivery is asynchronous (microtask) like a real network hop.
+ */
+export class InMemorySignalingHub {
+    constructor() {
+        /** @type {Map<string, InMemorySignaler>} */
+        this._peers = new Map();
+
+        /** @type {number} Signals routed (for tests) */
+        this.signalCount = 0;
+    }
+
+    /**
+     * Create a signaler bound to this hub.
+     * @returns {InMemorySignaler}
+     */
+    createSignaler() {
+        return new InMemorySignaler(this);
+    }
+
+    /** @private */
+    _register(peerId, signaler) {
+        if (this._peers.has(peerId)) {
+            throw new Error(`InMemorySignalingHub: peer '${peerId}' already connected`);
+        }
+        this._peers.set(peerId, signaler);
+    }
+
+    /** @private */
+    _unregister(peerId, signaler) {
+        if (this._peers.get(peerId) === signaler) {
+            this._peers.delete(peerId);
+        }
+    }
+
+    /** @private */
+    _route(fromPeerId, toPeerId, signal) {
+        this.signalCount++;
+        // Copy so sender and receiver never share objects
+        const copy = JSON.parse(JSON.stringify(signal));
+        queueMicrotask(() => {
+            const target = this._peers.get(toPeerId);
+            if (target) target._deliver(fromPeerId, copy);
+        });
+    }
+}
+
+/**
+ * Signaler for peers sharing an InMemorySignalingHub.
+ * @extends SignalingBase
+ */
+export class InMemorySignaler extends SignalingBase {
+    /**
+     * @param {InMemorySignalingHub} hub
+     */
+    constructor(hub) {
+        super();
+        if (!hub) {
+            throw new Error('InMemorySignaler requires a hub');
+        }
+        this._hub = hub;
+    }
+
+    async connect(peerId) {
+        this._hub._register(peerId, this);
+        this.peerId = peerId;
+    }
+
+    send(toPeerId, signal) {
+        if (!this.peerId) {
+            throw new Error('InMemorySignaler.send() before connect()');
+        }
+        this._hub._route(this.peerId, toPeerId, signal);
+    }
+
+    async disconnect() {
+        if (this.peerId) {
+            this._hub._unregister(this.peerId, this);
+        }
+        this.peerId = null;
+    }
+}
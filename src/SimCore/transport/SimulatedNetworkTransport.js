@@ -0,0 +1,316 @@
+/**
+ * SimulatedNetworkTransport - Bad-network simulator for any transport
+ *
+ * Decorates a TransportBase and applies network conditions to the traffic
+ * passing through it:
+ * - Latency (one-way, per direction) and jitter
+ * - Packet loss and duplication
+ * - Reordering (a message is held back so later ones overtake it);
+ *   otherwise delivery stays in order like a TCP/WebSocket stream
+ * - Bandwidth cap: messages queue behind each other on the link
+ *
+ * Every random decision comes from a private SeededRNG, so a run with the
+ * same seed, conditions and traffic is reproducible. The simulation RNG is
+ * never touched.
+ *
+ * With the 'perfect' profile (all zero) messages pass straight through,
+ * synchronously, so wrapping a transport in dev builds changes nothing until
+ * conditions are set.
+ *
+ * Usage:
+ *   const net = new SimulatedNetworkTransport(new LocalTransport(), { profile: 'mobile', seed: 7 });
+ *   initializeTransport(net);
+ *   net.setConditions({ lossRate: 0.2 });   // change live (dev HUD)
+ */
+
+import { TransportBase, TransportState } from './ITransport.js';
+import { SeededRNG } from '../runtime/SeededRNG.js';
+
+/**
+ * Named condition presets (latency/jitter in ms, rates in [0, 1], bandwidth in bytes/s, 0 = unlimited).
+ */
+export const NetworkProfiles = {
+    perfect: { latencyMs: 0, jitterMs: 0, lossRate: 0, duplicateRate: 0, reorderRate: 0, bandwidthBps: 0 },
+    lan: { latencyMs: 2, jitterMs: 1, lossRate: 0, duplicateRate: 0, reorderRate: 0, bandwidthBps: 0 },
+    wifi: { latencyMs: 25, jitterMs: 10, lossRate: 0.005, duplicateRate: 0, reorderRate: 0.005, bandwidthBps: 0 },
+    mobile: { latencyMs: 90, jitterMs: 40, lossRate: 0.02, duplicateRate: 0.005, reorderRate: 0.02, bandwidthBps: 64000 },
+    terrible: { latencyMs: 250, jitterMs: 120, lossRate: 0.1, duplicateRate: 0.03, reorderRate: 0.1, bandwidthBps: 16000 }
+};
+
+/**
+ * Which traffic the conditions apply to.
+ */
+export const NetworkDirection = {
+    BOTH: 'both',
+    OUTBOUND: 'outbound',
+    INBOUND: 'inbound'
+};
+
+const CONDITION_KEYS = Object.keys(NetworkProfiles.perfect);
+
+/**
+ * Default clock for delivery scheduling (not used by the simulation).
+ * @returns {number}
+ */
+function defaultNow() {
+    return (typeof performance !== 'undefined' ? performance : Date).now();
+}
+
+/**
+ * SimulatedNetworkTransport delays, drops, duplicates and reorders traffic.
+ * @extends TransportBase
+ */
+export class SimulatedNetworkTransport extends TransportBase {
+    /**
+     * @param {TransportBase} inner - Transport to decorate
+     * @param {Object} [options]
+     * @param {string} [options.profile='perfect'] - NetworkProfiles key
+     * @param {number} [options.seed=1] - Seed for loss/jitter/duplication/reorder decisions
+     * @param {string} [options.direction='both'] - NetworkDirection the conditions apply to
+     * @param {number} [options.latencyMs] - Overrides the profile (same for every condition key)
+     * @param {number} [options.reorderDelayMs] - Extra hold for reordered messages (default: latency + 2 × jitter + 20)
+     * @param {{ setTimeout: Function, clearTimeout: Function }} [options.timers] - Scheduler (tests)
+     * @param {Function} [options.now] - Clock in ms (tests)
+     */
+    constructor(inner, options = {}) {
+        super();
+
+        if (!inner) {
+            throw new Error('SimulatedNetworkTransport requires an inner transport');
+        }
+
+        this._inner = inner;
+        this._rng = new SeededRNG(options.seed ?? 1);
+        this._timers = options.timers ?? {
+            setTimeout: (fn, ms) => setTimeout(fn, ms),
+            clearTimeout: (id) => clearTimeout(id)
+        };
+        this._now = options.now ?? defaultNow;
+        this.direction = options.direction ?? NetworkDirection.BOTH;
+        this.reorderDelayMs = options.reorderDelayMs ?? null;
+
+        /** @type {string} Last profile applied ('custom' after setConditions) */
+        this.profile = 'perfect';
+        this._conditions = { ...NetworkProfiles.perfect };
+        this.setProfile(options.profile ?? 'perfect');
+
+        const overrides = {};
+        for (const key of CONDITION_KEYS) {
+            if (options[key] !== undefined) overrides[key] = options[key];
+        }
+        if (Object.keys(overrides).length > 0) {
+            this.setConditions(overrides);
+        }
+
+        /** Link state per direction: when the link is free again, last in-order delivery time */
+        this._links = {
+            outbound: { freeAt: 0, lastDeliverAt: 0 },
+            inbound: { freeAt: 0, lastDeliverAt: 0 }
+        };
+
+        /** @type {Set<*>} Pending delivery timers */
+        this._inFlight = new Set();
+
+        this._dropped = 0;
+        this._duplicated = 0;
+        this._reordered = 0;
+        this._delivered = 0;
+        this._totalDelayMs = 0;
+
+        this._inner.onReceive = (message) => {
+            this._transmit(NetworkDirection.INBOUND, message, (msg) => this._deliverReceived(msg));
+        };
+    }
+
+    // ============ Conditions ============
+
+    /**
+     * Apply a named preset.
+     * @param {string} name - NetworkProfiles key
+     */
+    setProfile(name) {
+        const profile = NetworkProfiles[name];
+        if (!profile) {
+            throw new Error(`Unknown network profile: ${name} (expected one of ${Object.keys(NetworkProfiles).join(', ')})`);
+        }
+        this._conditions = { ...profile };
+        this.profile = name;
+    }
+
+    /**
+     * Change individual conditions (merged into the current ones).
+     * @param {Object} conditions - Any of latencyMs, jitterMs, lossRate, duplicateRate, reorderRate, bandwidthBps
+     */
+    setConditions(conditions) {
+        for (const key of Object.keys(conditions)) {
+            if (!CONDITION_KEYS.includes(key)) {
+                throw new Error(`Unknown network condition: ${key}`);
+            }
+            const value = conditions[key];
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`Invalid value for ${key}: ${value}`);
+            }
+        }
+        this._conditions = { ...this._conditions, ...conditions };
+        this.profile = 'custom';
+    }
+
+    /**
+     * @returns {Object} Current conditions (copy)
+     */
+    get conditions() {
+        return { ...this._conditions };
+    }
+
+    // ============ TransportBase ============
+
+    connect() {
+        return this._inner.connect();
+    }
+
+    disconnect() {
+        for (const timer of this._inFlight) {
+            this._timers.clearTimeout(timer);
+        }
+        this._inFlight.clear();
+        this._links.outbound = { freeAt: 0, lastDeliverAt: 0 };
+        this._links.inbound = { freeAt: 0, lastDeliverAt: 0 };
+        return this._inner.disconnect();
+    }
+
+    /**
+     * Send through the simulated link to the inner transport.
+     * @param {Object} command
+     */
+    send(command) {
+        this._messagesSent++;
+        this._transmit(NetworkDirection.OUTBOUND, command, (msg) => this._inner.send(msg));
+    }
+
+    /**
+     * @param {Object} command
+     * @returns {Object} The command as the inner transport delivers it
+     */
+    canonicalize(command) {
+        return this._inner.canonicalize(command);
+    }
+
+    /** @returns {string} Inner transport state (follows its reconnects) */
+    get state() {
+        return this._inner.state;
+    }
+
+    get isConnected() {
+        return this._inner.state === TransportState.CONNECTED;
+    }
+
+    get type() {
+        return 'simulated';
+    }
+
+    /** @returns {TransportBase} Decorated transport */
+    get inner() {
+        return this._inner;
+    }
+
+    /** @returns {string|null} Inner transport's client ID, if it has one */
+    get clientId() {
+        return this._inner.clientId ?? null;
+    }
+
+    /**
+     * @returns {Object} Base stats plus loss/duplication/reorder counters and average delay
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            state: this.state,
+            profile: this.profile,
+            conditions: this.conditions,
+            dropped: this._dropped,
+            duplicated: this._duplicated,
+            reordered: this._reordered,
+            inFlight: this._inFlight.size,
+            avgDelayMs: this._delivered > 0 ? this._totalDelayMs / this._delivered : 0
+        };
+    }
+
+    // ============ Link ============
+
+    /**
+     * @returns {boolean} True if messages can pass through untouched
+     * @private
+     */
+    _isPerfect() {
+        return CONDITION_KEYS.every(key => this._conditions[key] === 0);
+    }
+
+    /**
+     * Apply conditions to one message and schedule its delivery.
+     * @param {string} direction - 'outbound' | 'inbound'
+     * @param {Object} message
+     * @param {Function} deliver
+     * @private
+     */
+    _transmit(direction, message, deliver) {
+        const applies = this.direction === NetworkDirection.BOTH || this.direction === direction;
+        if (!applies || this._isPerfect()) {
+            deliver(message);
+            return;
+        }
+
+        const c = this._conditions;
+        if (c.lossRate > 0 && this._rng.next() < c.lossRate) {
+            this._dropped++;
+            return;
+        }
+
+        const copies = (c.duplicateRate > 0 && this._rng.next() < c.duplicateRate) ? 2 : 1;
+        if (copies === 2) this._duplicated++;
+
+        for (let i = 0; i < copies; i++) {
+            const delayMs = this._delayFor(direction, message);
+            // Each copy is its own packet; receivers must not share objects
+            const copy = i === 0 ? message : JSON.parse(JSON.stringify(message));
+            const timer = this._timers.setTimeout(() => {
+                this._inFlight.delete(timer);
+                this._delivered++;
+                this._totalDelayMs += delayMs;
+                deliver(copy);
+            }, delayMs);
+            this._inFlight.add(timer);
+        }
+    }
+
+    /**
+     * Delivery delay for one packet: queueing behind earlier packets on a
+     * capped link, then latency ± jitter, kept in order unless reordered.
+     * @private
+     */
+    _delayFor(direction, message) {
+        const c = this._conditions;
+        const link = this._links[direction];
+        const now = this._now();
+        let departAt = now;
+
+        if (c.bandwidthBps > 0) {
+            const bytes = JSON.stringify(message)?.length ?? 0;
+            departAt = Math.max(now, link.freeAt) + (bytes * 1000) / c.bandwidthBps;
+            link.freeAt = departAt;
+        }
+
+        const jitter = c.jitterMs > 0 ? (this._rng.next() * 2 - 1) * c.jitterMs : 0;
+        let deliverAt = departAt + Math.max(0, c.latencyMs + jitter);
+
+        if (c.reorderRate > 0 && this._rng.next() < c.reorderRate) {
+            // Held back: later packets overtake it; does not hold up the stream
+            this._reordered++;
+            deliverAt += this.reorderDelayMs ?? (c.latencyMs + 2 * c.jitterMs + 20);
+        } else {
+            deliverAt = Math.max(deliverAt, link.lastDeliverAt);
+            link.lastDeliverAt = deliverAt;
+        }
+
+        return deliverAt - now;
+    }
+}
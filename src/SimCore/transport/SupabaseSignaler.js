@@ -0,0 +1,116 @@
+/**
+ * SupabaseSignaler - WebRTC signaling over Supabase Realtime broadcast
+ *
+ * Offers, answers and ICE candidates are broadcast on a dedicated channel
+ * (separate from the command channel) and filtered by recipient peer ID.
+ *
+ * Usage:
+ *   const signaler = new SupabaseSignaler({ supabaseClient, room: 'asterobia-signal' });
+ *   const transport = new WebRTCTransport({ peerId: 'alice', remotePeerId: 'bob', signaler });
+ */
+
+import { SignalingBase } from './Signaling.js';
+
+/**
+ * Default signaling channel name
+ */
+const DEFAULT_SIGNAL_ROOM = 'asterobia-signal';
+
+/**
+ * SupabaseSignaler relays signals through a Realtime broadcast channel.
+ * @extends SignalingBase
+ */
+export class SupabaseSignaler extends SignalingBase {
+    /**
+     * @param {Object} options
+     * @param {Object} options.supabaseClient - Initialized Supabase client instance
+     * @param {string} [options.room] - Channel name (default: 'asterobia-signal')
+     */
+    constructor(options = {}) {
+        super();
+
+        if (!options.supabaseClient) {
+            throw new Error('SupabaseSignaler requires supabaseClient option');
+        }
+
+        /** @type {Object} Supabase client */
+        this._supabase = options.supabaseClient;
+
+        /** @type {string} Channel name */
+        this._room = options.room || DEFAULT_SIGNAL_ROOM;
+
+        /** @type {Object|null} Supabase Realtime channel */
+        this._channel = null;
+    }
+
+    /**
+     * Subscribe to the signaling channel.
+     * @param {string} peerId
+     * @returns {Promise<void>}
+     */
+    async connect(peerId) {
+        this.peerId = peerId;
+
+        this._channel = this._supabase.channel(this._room, {
+            config: {
+                broadcast: { ack: false, self: false }
+            }
+        });
+
+        this._channel.on('broadcast', { event: 'signal' }, (payload) => {
+            const { from, to, signal } = payload.payload || {};
+            if (to === this.peerId && from && signal) {
+                this._deliver(from, signal);
+            }
+        });
+
+        await new Promise((resolve, reject) => {
+            this._channel.subscribe((status) => {
+                if (status === 'SUBSCRIBED') {
+                    resolve();
+                } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                    reject(new Error(`Signaling subscription failed: ${status}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Broadcast a signal addressed to one peer.
+     * @param {string} toPeerId
+     * @param {Object} signal
+     */
+    send(toPeerId, signal) {
+        if (!this._channel) {
+            throw new Error('SupabaseSignaler.send() before connect()');
+        }
+
+        Promise.resolve(this._channel.send({
+            type: 'broadcast',
+            event: 'signal',
+            payload: { from: this.peerId, to: toPeerId, signal }
+        })).catch((err) => {
+            console.warn('[SupabaseSignaler] Send failed:', err);
+        });
+    }
+
+    /**
+     * Leave the signaling channel.
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this._channel) {
+            await this._supabase.removeChannel(this._channel);
+            this._channel = null;
+        }
+        this.peerId = null;
+    }
+
+    /**
+     * Get the channel name.
+     * @returns {string}
+     */
+    get room() {
+        return this._room;
+    }
+}
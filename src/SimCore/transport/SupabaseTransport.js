@@ -15,9 +15,27 @@
  * - Throttles outbound messages to ~10Hz max
  * - Queues commands while connecting
  * - Batches multiple commands per message when possible
+ * - Optional Realtime presence (trackPresence / onPresence) for the session layer;
+ *   the client ID is the presence key and stays stable across reconnects
+ * - Batches use the binary CommandCodec when every client in the room supports
+ *   it: clients announce their codec versions on a 'codec' broadcast after
+ *   subscribing, and everyone answers announcements with their own. A client
+ *   that leaves keeps its vote until our next reconnect (this can only hold
+ *   the room on an older version, never break it)
  */
 
 import { TransportBase, TransportState } from './ITransport.js';
+import {
+    JSON_CODEC_VERSION,
+    SUPPORTED_CODEC_VERSIONS,
+    negotiateCodecVersion,
+    isCodecVersionSupported,
+    encodeCommandBatch,
+    decodeCommandBatch,
+    canonicalizeCommand,
+    bytesToBase64,
+    base64ToBytes
+} from './CommandCodec.js';
 
 /**
  * Default throttle interval (ms) - limits network traffic to ~10Hz
@@ -40,6 +58,8 @@ export class SupabaseTransport extends TransportBase {
      * @param {string} [options.room] - Room/channel name (default: 'asterobia-main')
      * @param {number} [options.throttleMs] - Throttle interval in ms (default: 100)
      * @param {boolean} [options.echoLocal] - Echo local commands back (default: true for testing)
+     * @param {string} [options.clientId] - Fixed client ID (default: random UUID on first connect)
+     * @param {number[]} [options.codecVersions] - Binary codec versions to offer (default: all supported; [] = JSON only)
      */
     constructor(options = {}) {
         super();
@@ -72,8 +92,17 @@ export class SupabaseTransport extends TransportBase {
         /** @type {number|null} Throttle timer ID */
         this._throttleTimer = null;
 
-        /** @type {string|null} Local client ID for echo filtering */
-        this._clientId = null;
+        /** @type {string|null} Local client ID for echo filtering and presence */
+        this._clientId = options.clientId ?? null;
+
+        /** @type {Object|null} Presence payload tracked on the channel */
+        this._presenceState = null;
+
+        /** @type {function(Object[]): void|null} Called with the full presence list on every sync */
+        this.onPresence = null;
+
+        /** @type {function(): void|null} Called after a scheduled reconnect succeeds (state may be stale) */
+        this.onReconnected = null;
 
         /** @type {number} Sequence number for ordering */
         this._sequence = 0;
@@ -89,6 +118,15 @@ export class SupabaseTransport extends TransportBase {
 
         /** @type {number|null} Reconnect timer ID */
         this._reconnectTimer = null;
+
+        /** @type {number[]} Binary codec versions offered to the room */
+        this._codecVersions = (options.codecVersions ?? SUPPORTED_CODEC_VERSIONS).filter(isCodecVersionSupported);
+
+        /** @type {Map<string, number[]>} Codec versions announced by other clients */
+        this._peerCodecs = new Map();
+
+        /** @type {number} Wire version for outgoing batches */
+        this._codecVersion = negotiateCodecVersion(this._codecVersions);
     }
 
     /**
@@ -107,8 +145,8 @@ export class SupabaseTransport extends TransportBase {
         this._state = TransportState.CONNECTING;
 
         try {
-            // Generate unique client ID
-            this._clientId = crypto.randomUUID ? crypto.randomUUID() : `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            // Generate unique client ID (kept across reconnects so presence identity is stable)
+            this._clientId = this._clientId ?? (crypto.randomUUID ? crypto.randomUUID() : `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
 
             // Create and subscribe to Realtime channel
             this._channel = this._supabase.channel(this._room, {
@@ -118,6 +156,9 @@ export class SupabaseTransport extends TransportBase {
                         ack: false,
                         // Receive own broadcasts (for local echo)
                         self: this._echoLocal
+                    },
+                    presence: {
+                        key: this._clientId
                     }
                 }
             });
@@ -127,6 +168,16 @@ export class SupabaseTransport extends TransportBase {
                 this._handleBroadcast(payload);
             });
 
+            // Codec negotiation
+            this._channel.on('broadcast', { event: 'codec' }, (payload) => {
+                this._handleCodecAnnouncement(payload);
+            });
+
+            // Presence list for the session layer
+            this._channel.on('presence', { event: 'sync' }, () => {
+                this._handlePresenceSync();
+            });
+
             // Subscribe and wait for connection
             await new Promise((resolve, reject) => {
                 this._channel.subscribe((status) => {
@@ -140,6 +191,16 @@ export class SupabaseTransport extends TransportBase {
 
             this._state = TransportState.CONNECTED;
 
+            // Room membership may have changed while away: renegotiate from scratch
+            this._peerCodecs.clear();
+            this._updateCodecVersion();
+            await this._announceCodecs(false);
+
+            // Re-announce presence after (re)connect
+            if (this._presenceState) {
+                await this._channel.track(this._presenceState);
+            }
+
             // Flush pending commands
             if (this._pendingBeforeConnect.length > 0) {
                 const pending = this._pendingBeforeConnect;
@@ -189,6 +250,9 @@ export class SupabaseTransport extends TransportBase {
                 await this.connect();
                 this._reconnectAttempts = 0; // Reset on success
                 console.log('[SupabaseTransport] Reconnected successfully');
+                if (this.onReconnected) {
+                    this.onReconnected();
+                }
             } catch (err) {
                 // connect() will schedule another reconnect if needed
             }
@@ -217,6 +281,7 @@ export class SupabaseTransport extends TransportBase {
         this._state = TransportState.DISCONNECTED;
         this._outboundBatch = [];
         this._reconnectAttempts = 0;
+        this._peerCodecs.clear();
         console.log('[SupabaseTransport] Disconnected');
     }
 
@@ -228,6 +293,7 @@ export class SupabaseTransport extends TransportBase {
      */
     send(command) {
         this._messagesSent++;
+        command = this.canonicalize(command);
 
         if (this._state !== TransportState.CONNECTED) {
             // Queue for delivery when connected
@@ -235,18 +301,15 @@ export class SupabaseTransport extends TransportBase {
             return;
         }
 
-        // Add metadata for ordering and deduplication
-        const envelope = {
-            ...command,
-            _meta: {
+        // Add metadata for ordering and deduplication (JSON batches; binary batches carry it once)
+        this._outboundBatch.push({
+            command,
+            meta: {
                 clientId: this._clientId,
                 seq: this._sequence++,
                 ts: Date.now()
             }
-        };
-
-        // Add to outbound batch
-        this._outboundBatch.push(envelope);
+        });
 
         // Schedule flush if not already pending
         if (!this._throttleTimer) {
@@ -270,13 +333,12 @@ export class SupabaseTransport extends TransportBase {
 
         try {
             // Send as single broadcast with command array
+            const payload = this._encodeBatch(batch);
+            this._recordBytes(JSON.stringify(payload).length);
             await this._channel.send({
                 type: 'broadcast',
                 event: 'command',
-                payload: {
-                    clientId: this._clientId,
-                    commands: batch
-                }
+                payload
             });
         } catch (err) {
             console.error('[SupabaseTransport] Send failed:', err);
@@ -291,9 +353,11 @@ export class SupabaseTransport extends TransportBase {
      * @param {Object} payload - Broadcast payload
      */
     _handleBroadcast(payload) {
-        const { clientId, commands } = payload.payload || {};
+        const message = payload.payload || {};
+        const { clientId } = message;
+        const commands = this._decodeBatch(message);
 
-        if (!commands || !Array.isArray(commands)) {
+        if (!commands) {
             return;
         }
 
@@ -304,12 +368,206 @@ export class SupabaseTransport extends TransportBase {
 
         // Deliver each command to the receive callback
         for (const cmd of commands) {
-            // Strip internal metadata before delivery
-            const { _meta, ...command } = cmd;
+            // Strip internal metadata and any claimed sender before delivery
+            const { _meta, senderId, ...command } = cmd;
+
+            // Sender is attested by the broadcast envelope; own echoes stay local
+            if (clientId !== this._clientId) {
+                command.senderId = clientId;
+            }
             this._deliverReceived(command);
         }
     }
 
+    // ============ Codec ============
+
+    /**
+     * Quantize like the binary codec whenever it is on offer, so the command
+     * is identical whichever wire version ends up carrying it.
+     * @param {Object} command
+     * @returns {Object}
+     */
+    canonicalize(command) {
+        return this._codecVersions.length > 0 ? canonicalizeCommand(command) : command;
+    }
+
+    /**
+     * @returns {number} Wire version in use (0 = JSON)
+     */
+    get codecVersion() {
+        return this._codecVersion;
+    }
+
+    /**
+     * @returns {Object} Base stats plus the wire codec version
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            codecVersion: this._codecVersion
+        };
+    }
+
+    /**
+     * Build the broadcast payload for a batch in the current wire version.
+     * @private
+     * @param {Array<{ command: Object, meta: Object }>} batch
+     * @returns {Object}
+     */
+    _encodeBatch(batch) {
+        if (this._codecVersion === JSON_CODEC_VERSION) {
+            return {
+                clientId: this._clientId,
+                commands: batch.map(({ command, meta }) => ({ ...command, _meta: meta }))
+            };
+        }
+        return {
+            clientId: this._clientId,
+            codec: this._codecVersion,
+            seq: batch[0].meta.seq,
+            data: bytesToBase64(encodeCommandBatch(batch.map(entry => entry.command), this._codecVersion))
+        };
+    }
+
+    /**
+     * Commands of a broadcast payload (JSON or binary), or null if unreadable.
+     * @private
+     * @param {Object} message
+     * @returns {Object[]|null}
+     */
+    _decodeBatch(message) {
+        if (Array.isArray(message.commands)) {
+            this._recordBytes(0, JSON.stringify(message).length);
+            return message.commands;
+        }
+        if (typeof message.data !== 'string') {
+            return null;
+        }
+
+        this._recordBytes(0, JSON.stringify(message).length);
+        if (!isCodecVersionSupported(message.codec)) {
+            console.warn(`[SupabaseTransport] Dropped batch with unsupported codec version ${message.codec}`);
+            return null;
+        }
+        try {
+            return decodeCommandBatch(base64ToBytes(message.data)).commands;
+        } catch (err) {
+            console.warn('[SupabaseTransport] Dropped malformed batch:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Broadcast our codec versions (reply = answering someone else's announcement).
+     * @private
+     * @param {boolean} reply
+     */
+    async _announceCodecs(reply) {
+        if (!this._channel) return;
+        try {
+            await this._channel.send({
+                type: 'broadcast',
+                event: 'codec',
+                payload: { clientId: this._clientId, versions: this._codecVersions, reply }
+            });
+        } catch (err) {
+            console.warn('[SupabaseTransport] Codec announcement failed:', err.message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleCodecAnnouncement(payload) {
+        const { clientId, versions, reply } = payload.payload || {};
+        if (!clientId || clientId === this._clientId) return;
+
+        this._peerCodecs.set(clientId, Array.isArray(versions) ? versions : []);
+        this._updateCodecVersion();
+
+        // Newcomers learn about us from the reply; replies are never answered
+        if (!reply) {
+            this._announceCodecs(true);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _updateCodecVersion() {
+        const version = negotiateCodecVersion(this._codecVersions, ...this._peerCodecs.values());
+        if (version !== this._codecVersion) {
+            console.log(`[SupabaseTransport] Wire codec: ${version === JSON_CODEC_VERSION ? 'JSON' : `binary v${version}`}`);
+            this._codecVersion = version;
+        }
+    }
+
+    // ============ Rooms & Presence ============
+
+    /**
+     * Move to another room (disconnects from the current one).
+     * Presence tracked in the old room is carried over.
+     *
+     * @param {string} room - Room/channel name
+     * @returns {Promise<void>}
+     */
+    async joinRoom(room) {
+        if (room === this._room && this._state !== TransportState.DISCONNECTED) {
+            return; // Already there (or connecting); tracked presence is sent once subscribed
+        }
+
+        if (this._state !== TransportState.DISCONNECTED) {
+            await this.disconnect();
+        }
+        this._room = room;
+        await this.connect();
+    }
+
+    /**
+     * Publish this client's presence payload (name, ready flag, ...).
+     * Replaces the previous payload; re-sent automatically after reconnects.
+     *
+     * @param {Object} state - Plain JSON payload
+     * @returns {Promise<void>}
+     */
+    async trackPresence(state) {
+        this._presenceState = { ...state };
+        if (this._state === TransportState.CONNECTED && this._channel) {
+            await this._channel.track(this._presenceState);
+        }
+    }
+
+    /**
+     * Stop publishing presence.
+     * @returns {Promise<void>}
+     */
+    async untrackPresence() {
+        this._presenceState = null;
+        if (this._state === TransportState.CONNECTED && this._channel) {
+            await this._channel.untrack();
+        }
+    }
+
+    /**
+     * Convert the channel's presence state to a flat list.
+     * @private
+     */
+    _handlePresenceSync() {
+        if (!this._channel || !this.onPresence) {
+            return;
+        }
+
+        const state = this._channel.presenceState() || {};
+        const list = [];
+        for (const [key, metas] of Object.entries(state)) {
+            if (!Array.isArray(metas) || metas.length === 0) continue;
+            // Latest track() wins if a client has several entries
+            const { presence_ref, ...payload } = metas[metas.length - 1];
+            list.push({ ...payload, clientId: key });
+        }
+        this.onPresence(list);
+    }
+
     /**
      * Get transport type identifier.
      * @returns {string}
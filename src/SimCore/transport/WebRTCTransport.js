@@ -0,0 +1,718 @@
+/**
+ * WebRTCTransport - Peer-to-peer DataChannel transport with relay fallback
+ *
+ * Direct command path between two peers (live co-op visiting) instead of
+ * broadcasting every command through a server channel.
+ *
+ * Architecture:
+ *   InputFactory → WebRTCTransport.send() → RTCDataChannel → remote onReceive → CommandQueue
+ *                                        ↘ (direct path failed) fallback transport (Supabase / WebSocket relay)
+ *
+ * INVARIANT: No command enters the authoritative simulation without passing through transport.
+ * INVARIANT: ALL sim-affecting commands flow through transport, even from local client.
+ *
+ * Design notes:
+ * - Connection setup (offer/answer/ICE) goes through a pluggable signaler (Signaling.js)
+ * - One ordered, reliable DataChannel carries commands (no maxRetransmits / maxPacketLifeTime)
+ * - The initiator (lower peer ID by default) creates the channel and resends
+ *   its offer until answered, so start order does not matter
+ * - If the direct path cannot be established within connectTimeoutMs, or
+ *   drops later, commands switch to the fallback transport
+ * - Local commands are echoed to onReceive on the direct path (echoLocal);
+ *   on the relay path the fallback transport's echo applies
+ * - Both ends announce their CommandCodec versions when the channel opens;
+ *   commands use the best common binary version (JSON until the remote's
+ *   announcement arrives, or if it never does)
+ *
+ * Usage:
+ *   const transport = new WebRTCTransport({
+ *       peerId: 'alice', remotePeerId: 'bob',
+ *       signaler: new SupabaseSignaler({ supabaseClient }),
+ *       fallback: new SupabaseTransport({ supabaseClient })
+ *   });
+ *   initializeTransport(transport);
+ */
+
+import { TransportBase, TransportState } from './ITransport.js';
+import { SignalType } from './Signaling.js';
+import {
+    JSON_CODEC_VERSION,
+    SUPPORTED_CODEC_VERSIONS,
+    negotiateCodecVersion,
+    isCodecVersionSupported,
+    encodeCommandBatch,
+    decodeCommandBatch,
+    canonicalizeCommand,
+    bytesToBase64,
+    base64ToBytes
+} from './CommandCodec.js';
+
+/** DataChannel label for commands */
+const COMMAND_CHANNEL_LABEL = 'asterobia-commands';
+
+/** Default time to establish the direct path before falling back */
+const DEFAULT_CONNECT_TIMEOUT_MS = 10000;
+
+/** Interval for offer resends until an answer arrives */
+const OFFER_RETRY_MS = 1000;
+
+/** Default public STUN server */
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+/**
+ * Active command path.
+ */
+export const WebRTCPath = {
+    DIRECT: 'direct',
+    RELAY: 'relay'
+};
+
+/**
+ * Plain copy of an RTCSessionDescription / RTCIceCandidate for signaling.
+ * @private
+ */
+function toSignalPayload(value) {
+    if (!value) return null;
+    return typeof value.toJSON === 'function' ? value.toJSON() : { ...value };
+}
+
+/**
+ * WebRTCTransport sends commands over a DataChannel to one remote peer.
+ * @extends TransportBase
+ */
+export class WebRTCTransport extends TransportBase {
+    /**
+     * @param {Object} options
+     * @param {string} options.peerId - Local peer ID
+     * @param {string} options.remotePeerId - Remote peer ID
+     * @param {SignalingBase} options.signaler - Signaling implementation
+     * @param {TransportBase} [options.fallback] - Relay transport used when the direct path fails
+     * @param {boolean} [options.initiator] - Create the offer (default: peerId < remotePeerId)
+     * @param {boolean} [options.echoLocal] - Echo local commands back on the direct path (default: true)
+     * @param {Function} [options.RTCPeerConnection] - Implementation (default: globalThis.RTCPeerConnection)
+     * @param {Object[]} [options.iceServers] - ICE servers (default: public STUN)
+     * @param {number} [options.connectTimeoutMs=10000] - Direct connection timeout
+     * @param {number[]} [options.codecVersions] - Binary codec versions to offer (default: all supported; [] = JSON only)
+     */
+    constructor(options = {}) {
+        super();
+
+        if (!options.peerId || !options.remotePeerId) {
+            throw new Error('WebRTCTransport requires peerId and remotePeerId options');
+        }
+        if (options.peerId === options.remotePeerId) {
+            throw new Error('WebRTCTransport peerId and remotePeerId must differ');
+        }
+        if (!options.signaler) {
+            throw new Error('WebRTCTransport requires signaler option');
+        }
+
+        this._peerId = options.peerId;
+        this._remotePeerId = options.remotePeerId;
+        this._signaler = options.signaler;
+        this._fallback = options.fallback ?? null;
+        this._initiator = options.initiator ?? (this._peerId < this._remotePeerId);
+        this._echoLocal = options.echoLocal ?? true;
+        this._RTCPeerConnection = options.RTCPeerConnection ?? globalThis.RTCPeerConnection;
+        this._iceServers = options.iceServers ?? DEFAULT_ICE_SERVERS;
+        this._connectTimeoutMs = options.connectTimeoutMs ?? DEFAULT_CONNECT_TIMEOUT_MS;
+
+        /** @type {Object|null} RTCPeerConnection */
+        this._pc = null;
+
+        /** @type {Object|null} Open command DataChannel */
+        this._channel = null;
+
+        /** @type {string|null} WebRTCPath while connected */
+        this._path = null;
+
+        /** @type {string|null} Why the relay path is in use */
+        this._fallbackReason = null;
+
+        /** @type {{ resolve: Function, reject: Function }|null} Direct setup in progress */
+        this._directPending = null;
+
+        /** @type {Array} ICE candidates received before the remote description */
+        this._pendingCandidates = [];
+
+        /** @type {boolean} Remote description applied */
+        this._hasRemoteDescription = false;
+
+        /** @type {Array} Commands queued while connecting */
+        this._pendingBeforeConnect = [];
+
+        /** @type {number} Outbound sequence number */
+        this._sequence = 0;
+
+        /** @type {number} Last inbound sequence number */
+        this._lastReceivedSeq = -1;
+
+        /** @type {number} Dropped duplicate messages */
+        this._duplicates = 0;
+
+        /** @type {number[]} Binary codec versions offered to the remote peer */
+        this._codecVersions = (options.codecVersions ?? SUPPORTED_CODEC_VERSIONS).filter(isCodecVersionSupported);
+
+        /** @type {number} Wire version on the direct path */
+        this._codecVersion = JSON_CODEC_VERSION;
+
+        /** @type {Object|null} Channel our codec announcement went out on */
+        this._announcedOn = null;
+
+        this._connectTimer = null;
+        this._offerTimer = null;
+        this._closing = false;
+    }
+
+    // ============ Connection ============
+
+    /**
+     * Establish the direct path (or the fallback if it fails).
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this._state === TransportState.CONNECTED || this._state === TransportState.CONNECTING) {
+            return;
+        }
+
+        this._state = TransportState.CONNECTING;
+        this._closing = false;
+
+        try {
+            this._signaler.onSignal = (from, signal) => this._handleSignal(from, signal);
+            if (this._signaler.peerId !== this._peerId) {
+                await this._signaler.connect(this._peerId);
+            }
+            await this._connectDirect();
+            this._path = WebRTCPath.DIRECT;
+            console.log(`[WebRTCTransport] Direct connection to ${this._remotePeerId} open`);
+        } catch (err) {
+            this._closePeerConnection();
+
+            if (!this._fallback) {
+                this._state = TransportState.ERROR;
+                console.error('[WebRTCTransport] Connection failed:', err.message);
+                throw err;
+            }
+
+            console.warn(`[WebRTCTransport] Direct connection failed (${err.message}); using relay`);
+            try {
+                await this._useRelay(err.message);
+            } catch (relayErr) {
+                this._state = TransportState.ERROR;
+                throw relayErr;
+            }
+        }
+
+        this._state = TransportState.CONNECTED;
+
+        // Flush pending commands
+        if (this._pendingBeforeConnect.length > 0) {
+            const pending = this._pendingBeforeConnect;
+            this._pendingBeforeConnect = [];
+            for (const cmd of pending) {
+                this._transmit(cmd);
+            }
+        }
+    }
+
+    /**
+     * Close the direct path, the fallback and the signaler.
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        this._closing = true;
+
+        if (this._signaler.peerId) {
+            try {
+                this._signaler.send(this._remotePeerId, { type: SignalType.BYE });
+            } catch (err) {
+                // Best effort
+            }
+        }
+
+        this._closePeerConnection();
+        await this._signaler.disconnect();
+
+        if (this._path === WebRTCPath.RELAY && this._fallback) {
+            await this._fallback.disconnect();
+        }
+
+        this._path = null;
+        this._state = TransportState.DISCONNECTED;
+        console.log('[WebRTCTransport] Disconnected');
+    }
+
+    /**
+     * Send a command to the remote peer.
+     * @param {Object} command - The command to send
+     */
+    send(command) {
+        this._messagesSent++;
+        command = this.canonicalize(command);
+
+        if (this._state !== TransportState.CONNECTED) {
+            // Queue for delivery when connected
+            this._pendingBeforeConnect.push(command);
+            return;
+        }
+
+        this._transmit(command);
+    }
+
+    /**
+     * Statistics for debugging.
+     * @returns {{ sent: number, received: number, state: string, path: string|null,
+     *   peerId: string, remotePeerId: string, fallbackReason: string|null, duplicates: number,
+     *   codecVersion: number }}
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            path: this._path,
+            peerId: this._peerId,
+            remotePeerId: this._remotePeerId,
+            fallbackReason: this._fallbackReason,
+            duplicates: this._duplicates,
+            codecVersion: this._codecVersion
+        };
+    }
+
+    /**
+     * Quantize like the binary codec whenever it is on offer, so the command
+     * is identical whichever wire version ends up carrying it.
+     * @param {Object} command
+     * @returns {Object}
+     */
+    canonicalize(command) {
+        return this._codecVersions.length > 0 ? canonicalizeCommand(command) : command;
+    }
+
+    /**
+     * @returns {number} Wire version on the direct path (0 = JSON)
+     */
+    get codecVersion() {
+        return this._codecVersion;
+    }
+
+    // ============ Direct path ============
+
+    /**
+     * Create the peer connection and wait for the DataChannel to open.
+     * @private
+     * @returns {Promise<void>}
+     */
+    _connectDirect() {
+        if (!this._RTCPeerConnection) {
+            return Promise.reject(new Error('WebRTC is not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this._directPending = { resolve, reject };
+            this._hasRemoteDescription = false;
+            this._pendingCandidates = [];
+
+            this._connectTimer = setTimeout(() => {
+                this._failDirect(new Error(`no direct connection after ${this._connectTimeoutMs}ms`));
+            }, this._connectTimeoutMs);
+
+            const pc = new this._RTCPeerConnection({ iceServers: this._iceServers });
+            this._pc = pc;
+
+            pc.onicecandidate = (event) => {
+                if (event.candidate) {
+                    this._signal({ type: SignalType.CANDIDATE, candidate: toSignalPayload(event.candidate) });
+                }
+            };
+            pc.onconnectionstatechange = () => {
+                if (pc.connectionState === 'failed') {
+                    this._failDirect(new Error('peer connection failed'));
+                }
+            };
+
+            if (this._initiator) {
+                // Ordered + no retransmit limits = reliable, in-order delivery
+                this._attachChannel(pc.createDataChannel(COMMAND_CHANNEL_LABEL, { ordered: true }));
+                this._sendOffer(pc);
+            } else {
+                pc.ondatachannel = (event) => {
+                    if (event.channel.label === COMMAND_CHANNEL_LABEL) {
+                        this._attachChannel(event.channel);
+                    }
+                };
+            }
+        });
+    }
+
+    /**
+     * Create and send the offer; resend until the answer arrives.
+     * @private
+     */
+    _sendOffer(pc) {
+        pc.createOffer()
+            .then(offer => pc.setLocalDescription(offer))
+            .then(() => {
+                const offer = { type: SignalType.OFFER, description: toSignalPayload(pc.localDescription) };
+                this._signal(offer);
+                this._offerTimer = setInterval(() => {
+                    if (this._hasRemoteDescription) {
+                        clearInterval(this._offerTimer);
+                        this._offerTimer = null;
+                        return;
+                    }
+                    this._signal(offer);
+                }, OFFER_RETRY_MS);
+            })
+            .catch(err => this._failDirect(err));
+    }
+
+    /**
+     * @private
+     */
+    _attachChannel(channel) {
+        this._channel = channel;
+
+        channel.onopen = () => this._handleChannelOpen();
+        channel.onmessage = (event) => this._handleData(event.data);
+        channel.onclose = () => this._handleChannelClose(channel);
+
+        if (channel.readyState === 'open') {
+            this._handleChannelOpen();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleChannelOpen() {
+        if (this._channel && this._announcedOn !== this._channel) {
+            this._announcedOn = this._channel;
+            this._sendFrame(JSON.stringify({ codecs: this._codecVersions }));
+        }
+
+        if (!this._directPending) return;
+
+        const { resolve } = this._directPending;
+        this._directPending = null;
+        this._clearSetupTimers();
+        resolve();
+    }
+
+    /**
+     * @private
+     */
+    _handleChannelClose(channel) {
+        if (channel !== this._channel || this._closing) return;
+
+        if (this._directPending) {
+            this._failDirect(new Error('DataChannel closed during setup'));
+        } else if (this._path === WebRTCPath.DIRECT) {
+            this._switchToRelay('DataChannel closed');
+        }
+    }
+
+    /**
+     * Direct path failed: reject setup, or switch an open session to the relay.
+     * @private
+     */
+    _failDirect(err) {
+        if (this._directPending) {
+            const { reject } = this._directPending;
+            this._directPending = null;
+            this._clearSetupTimers();
+            reject(err);
+        } else if (this._path === WebRTCPath.DIRECT && !this._closing) {
+            this._switchToRelay(err.message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _clearSetupTimers() {
+        if (this._connectTimer) {
+            clearTimeout(this._connectTimer);
+            this._connectTimer = null;
+        }
+        if (this._offerTimer) {
+            clearInterval(this._offerTimer);
+            this._offerTimer = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _closePeerConnection() {
+        this._clearSetupTimers();
+        this._directPending = null;
+
+        const channel = this._channel;
+        const pc = this._pc;
+        this._channel = null;
+        this._pc = null;
+        this._announcedOn = null;
+        this._codecVersion = JSON_CODEC_VERSION;
+
+        if (channel) {
+            channel.onclose = null;
+            channel.onmessage = null;
+            try { channel.close(); } catch (err) { /* already closed */ }
+        }
+        if (pc) {
+            pc.onconnectionstatechange = null;
+            try { pc.close(); } catch (err) { /* already closed */ }
+        }
+    }
+
+    // ============ Relay path ============
+
+    /**
+     * Route commands through the fallback transport.
+     * @private
+     * @param {string} reason
+     * @returns {Promise<void>}
+     */
+    async _useRelay(reason) {
+        this._path = WebRTCPath.RELAY;
+        this._fallbackReason = reason;
+        this._fallback.onReceive = (command) => this._deliverReceived(command);
+        await this._fallback.connect();
+    }
+
+    /**
+     * An open direct session dropped.
+     * @private
+     */
+    _switchToRelay(reason) {
+        this._closePeerConnection();
+
+        if (!this._fallback) {
+            console.warn(`[WebRTCTransport] Direct connection lost (${reason})`);
+            this._path = null;
+            this._state = TransportState.DISCONNECTED;
+            return;
+        }
+
+        console.warn(`[WebRTCTransport] Direct connection lost (${reason}); switching to relay`);
+        // Fallback queues sends until its own connect() completes
+        this._useRelay(reason).catch((err) => {
+            this._state = TransportState.ERROR;
+            console.error('[WebRTCTransport] Relay fallback failed:', err.message);
+        });
+    }
+
+    // ============ Messages ============
+
+    /**
+     * @private
+     */
+    _transmit(command) {
+        if (this._path === WebRTCPath.RELAY) {
+            this._fallback.send(command);
+            return;
+        }
+
+        // Strip any claimed sender; the remote side attests it
+        const { senderId, ...local } = command;
+
+        const seq = this._sequence++;
+        this._sendFrame(JSON.stringify(this._codecVersion === JSON_CODEC_VERSION
+            ? { seq, commands: [local] }
+            : { seq, codec: this._codecVersion, data: bytesToBase64(encodeCommandBatch([local], this._codecVersion)) }));
+
+        if (this._echoLocal) {
+            this._deliverReceived(local);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sendFrame(text) {
+        this._recordBytes(text.length);
+        this._channel.send(text);
+    }
+
+    /**
+     * @private
+     */
+    _handleData(data) {
+        this._recordBytes(0, data?.length ?? 0);
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (err) {
+            console.warn('[WebRTCTransport] Dropped malformed message');
+            return;
+        }
+
+        if (message && Array.isArray(message.codecs)) {
+            this._codecVersion = negotiateCodecVersion(this._codecVersions, message.codecs);
+            return;
+        }
+
+        const commands = this._decodeCommands(message);
+        if (!commands) return;
+
+        // Ordered channel: anything at or below the last seq is a duplicate
+        if (typeof message.seq !== 'number' || message.seq <= this._lastReceivedSeq) {
+            this._duplicates++;
+            return;
+        }
+        this._lastReceivedSeq = message.seq;
+
+        for (const cmd of commands) {
+            const { senderId, ...command } = cmd;
+            // The channel is point-to-point: the sender is the remote peer
+            command.senderId = this._remotePeerId;
+            this._deliverReceived(command);
+        }
+    }
+
+    /**
+     * Commands of a JSON or binary message, or null if unreadable.
+     * @private
+     */
+    _decodeCommands(message) {
+        if (!message) return null;
+        if (Array.isArray(message.commands)) return message.commands;
+        if (typeof message.data !== 'string' || !isCodecVersionSupported(message.codec)) return null;
+        try {
+            return decodeCommandBatch(base64ToBytes(message.data)).commands;
+        } catch (err) {
+            console.warn('[WebRTCTransport] Dropped malformed message');
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleSignal(from, signal) {
+        if (from !== this._remotePeerId || !signal) return;
+
+        switch (signal.type) {
+            case SignalType.OFFER:
+                if (!this._initiator) this._handleOffer(signal.description);
+                break;
+            case SignalType.ANSWER:
+                if (this._initiator) this._handleAnswer(signal.description);
+                break;
+            case SignalType.CANDIDATE:
+                this._handleCandidate(signal.candidate);
+                break;
+            case SignalType.BYE:
+                if (this._path === WebRTCPath.DIRECT) {
+                    this._switchToRelay('remote peer left');
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleOffer(description) {
+        const pc = this._pc;
+        // Resent offers after the first are ignored
+        if (!pc || this._hasRemoteDescription) return;
+        this._hasRemoteDescription = true;
+
+        pc.setRemoteDescription(description)
+            .then(() => this._flushCandidates(pc))
+            .then(() => pc.createAnswer())
+            .then(answer => pc.setLocalDescription(answer))
+            .then(() => this._signal({ type: SignalType.ANSWER, description: toSignalPayload(pc.localDescription) }))
+            .catch(err => this._failDirect(err));
+    }
+
+    /**
+     * @private
+     */
+    _handleAnswer(description) {
+        const pc = this._pc;
+        if (!pc || this._hasRemoteDescription) return;
+        this._hasRemoteDescription = true;
+
+        pc.setRemoteDescription(description)
+            .then(() => this._flushCandidates(pc))
+            .catch(err => this._failDirect(err));
+    }
+
+    /**
+     * @private
+     */
+    _handleCandidate(candidate) {
+        if (!candidate) return;
+
+        const pc = this._pc;
+        if (!pc || !this._hasRemoteDescription) {
+            this._pendingCandidates.push(candidate);
+            return;
+        }
+        pc.addIceCandidate(candidate).catch((err) => {
+            console.warn('[WebRTCTransport] Bad ICE candidate:', err.message);
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _flushCandidates(pc) {
+        const candidates = this._pendingCandidates;
+        this._pendingCandidates = [];
+        for (const candidate of candidates) {
+            await pc.addIceCandidate(candidate);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _signal(signal) {
+        this._signaler.send(this._remotePeerId, signal);
+    }
+
+    // ============ Accessors ============
+
+    /**
+     * Get transport type identifier.
+     * @returns {string}
+     */
+    get type() {
+        return 'webrtc';
+    }
+
+    /**
+     * Get the active command path ('direct', 'relay' or null).
+     * @returns {string|null}
+     */
+    get path() {
+        return this._path;
+    }
+
+    /**
+     * Local peer ID (also the client ID used for ownership checks).
+     * @returns {string}
+     */
+    get clientId() {
+        return this._peerId;
+    }
+
+    /**
+     * @returns {string}
+     */
+    get peerId() {
+        return this._peerId;
+    }
+
+    /**
+     * @returns {string}
+     */
+    get remotePeerId() {
+        return this._remotePeerId;
+    }
+}
@@ -0,0 +1,588 @@
+/**
+ * WebSocketTransport - Command relay over a WebSocket room server
+ *
+ * Implements ITransport against RelayServer (transport/relay/RelayServer.js),
+ * a Supabase-free backend for offline play, CI and headless sims.
+ *
+ * Architecture:
+ *   InputFactory → WebSocketTransport.send() → RelayServer room → onReceive → CommandQueue
+ *
+ * INVARIANT: No command enters the authoritative simulation without passing through transport.
+ * INVARIANT: ALL sim-affecting commands flow through transport, even from local client.
+ *
+ * Design notes:
+ * - The server assigns the client ID (a requested ID is honoured when free)
+ *   and stamps the sender on every relayed batch
+ * - Batches arrive with a per-recipient delivery sequence; duplicates are
+ *   dropped and out-of-order batches are held until the gap is filled
+ * - Commands sent while connecting are queued and flushed on join
+ * - Reconnects with exponential backoff after an unexpected close
+ * - Batches use the binary CommandCodec version the relay picked for the
+ *   room (from the versions every member offered on join)
+ * - A command too large for the relay is dropped and reported through
+ *   onError, as are relay rejections and a close for an oversized message
+ *
+ * Usage (browser):
+ *   const transport = new WebSocketTransport({ url: 'ws://localhost:8787', room: 'match-1' });
+ *
+ * Usage (Node, no global WebSocket):
+ *   import { NodeWebSocket } from './relay/NodeWebSocket.js';
+ *   const transport = new WebSocketTransport({ url, WebSocket: NodeWebSocket });
+ */
+
+import { TransportBase, TransportState } from './ITransport.js';
+import {
+    RelayMessageType,
+    DEFAULT_RELAY_ROOM,
+    MAX_RELAY_MESSAGE_BYTES,
+    RELAY_ENVELOPE_BYTES,
+    fitsRelayMessage,
+    encodeRelayMessage,
+    decodeRelayMessage
+} from './RelayProtocol.js';
+import {
+    JSON_CODEC_VERSION,
+    SUPPORTED_CODEC_VERSIONS,
+    isCodecVersionSupported,
+    encodeCommandBatch,
+    decodeCommandBatch,
+    canonicalizeCommand,
+    bytesToBase64,
+    base64ToBytes
+} from './CommandCodec.js';
+
+/** WebSocket.OPEN (same value in every implementation) */
+const SOCKET_OPEN = 1;
+
+/** Close code of a peer that refused an oversized message (RFC 6455) */
+const CLOSE_MESSAGE_TOO_BIG = 1009;
+
+/**
+ * WebSocketTransport relays commands through a RelayServer room.
+ * @extends TransportBase
+ */
+export class WebSocketTransport extends TransportBase {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Relay server URL (ws://host:port)
+     * @param {string} [options.room] - Room name (default: 'asterobia-main')
+     * @param {string} [options.clientId] - Requested client ID (e.g. lockstep peer ID)
+     * @param {boolean} [options.echoLocal] - Echo local commands back (default: true)
+     * @param {Function} [options.WebSocket] - WebSocket constructor (default: globalThis.WebSocket)
+     * @param {number} [options.maxReconnectAttempts=5]
+     * @param {number} [options.reconnectDelayMs=2000]
+     * @param {number[]} [options.codecVersions] - Binary codec versions to offer (default: all supported; [] = JSON only)
+     * @param {number} [options.maxMessageBytes] - Largest message sent (default: the relay limit minus its envelope)
+     */
+    constructor(options = {}) {
+        super();
+
+        if (!options.url) {
+            throw new Error('WebSocketTransport requires url option');
+        }
+
+        /** @type {string} Relay server URL */
+        this._url = options.url;
+
+        /** @type {string} Room name */
+        this._room = options.room || DEFAULT_RELAY_ROOM;
+
+        /** @type {string|null} Client ID requested on join */
+        this._requestedClientId = options.clientId ?? null;
+
+        /** @type {boolean} Echo local commands back to self */
+        this._echoLocal = options.echoLocal ?? true;
+
+        /** @type {Function} WebSocket constructor */
+        this._WebSocket = options.WebSocket ?? globalThis.WebSocket;
+
+        /** @type {Object|null} Open socket */
+        this._socket = null;
+
+        /** @type {string|null} Client ID assigned by the server */
+        this._clientId = null;
+
+        /** @type {string[]} Other clients in the room */
+        this._peers = [];
+
+        /** @type {Array} Commands queued while connecting */
+        this._pendingBeforeConnect = [];
+
+        /** @type {number} Outbound sequence number (per sender) */
+        this._sequence = 0;
+
+        /** @type {number} Last delivered inbound batch sequence */
+        this._lastDeliveredSeq = 0;
+
+        /** @type {Map<number, Object>} Out-of-order inbound batches by seq */
+        this._heldBatches = new Map();
+
+        /** @type {number} Dropped duplicate batches */
+        this._duplicates = 0;
+
+        /** @type {boolean} True while disconnect() is closing the socket */
+        this._closing = false;
+
+        /** @type {number} Reconnect attempt count */
+        this._reconnectAttempts = 0;
+
+        /** @type {number} Max reconnect attempts */
+        this._maxReconnectAttempts = options.maxReconnectAttempts ?? 5;
+
+        /** @type {number} Reconnect delay in ms */
+        this._reconnectDelayMs = options.reconnectDelayMs ?? 2000;
+
+        /** @type {number|null} Reconnect timer ID */
+        this._reconnectTimer = null;
+
+        /** @type {function(string[]): void|null} Called when peers join or leave */
+        this.onPeersChanged = null;
+
+        /** @type {function(string): void|null} Called with a description when a message is dropped or rejected */
+        this.onError = null;
+
+        /** @type {number} Largest message sent */
+        this._maxMessageBytes = options.maxMessageBytes ?? MAX_RELAY_MESSAGE_BYTES - RELAY_ENVELOPE_BYTES;
+
+        /** @type {number} Commands dropped for exceeding the size limit */
+        this._dropped = 0;
+
+        /** @type {number[]} Binary codec versions offered on join */
+        this._codecVersions = (options.codecVersions ?? SUPPORTED_CODEC_VERSIONS).filter(isCodecVersionSupported);
+
+        /** @type {number} Room wire version announced by the relay */
+        this._codecVersion = JSON_CODEC_VERSION;
+    }
+
+    /**
+     * Open the socket and join the room.
+     * Resolves once the server has assigned a client ID.
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this._state === TransportState.CONNECTED || this._state === TransportState.CONNECTING) {
+            return;
+        }
+        if (!this._WebSocket) {
+            throw new Error('WebSocketTransport: no WebSocket implementation available');
+        }
+
+        this._state = TransportState.CONNECTING;
+        this._closing = false;
+
+        try {
+            await new Promise((resolve, reject) => {
+                const socket = new this._WebSocket(this._url);
+                this._socket = socket;
+                let joined = false;
+
+                socket.onopen = () => {
+                    socket.send(encodeRelayMessage({
+                        type: RelayMessageType.JOIN,
+                        room: this._room,
+                        clientId: this._requestedClientId ?? undefined,
+                        echo: this._echoLocal,
+                        codecs: this._codecVersions
+                    }));
+                };
+
+                socket.onmessage = (event) => {
+                    this._recordBytes(0, event.data?.length ?? 0);
+                    const message = decodeRelayMessage(event.data);
+                    if (!message) return;
+
+                    if (!joined && message.type === RelayMessageType.WELCOME) {
+                        joined = true;
+                        this._handleWelcome(message);
+                        resolve();
+                        return;
+                    }
+                    if (!joined && message.type === RelayMessageType.ERROR) {
+                        reject(new Error(`Join rejected: ${message.error}`));
+                        socket.close();
+                        return;
+                    }
+                    this._handleMessage(message);
+                };
+
+                socket.onerror = () => {
+                    // onclose follows with the details
+                };
+
+                socket.onclose = (event) => {
+                    if (!joined) {
+                        reject(new Error(`Connection closed before join (${event?.code ?? 'unknown'})`));
+                    }
+                    if (event?.code === CLOSE_MESSAGE_TOO_BIG) {
+                        this._reportError(`Relay closed the connection: message too big (${event.reason || 'no reason'})`);
+                    }
+                    this._handleClose(socket);
+                };
+            });
+        } catch (err) {
+            this._socket = null;
+            this._state = TransportState.ERROR;
+            console.error('[WebSocketTransport] Connection failed:', err.message);
+
+            // Schedule reconnect attempt
+            this._scheduleReconnect();
+
+            throw err;
+        }
+
+        this._state = TransportState.CONNECTED;
+        this._reconnectAttempts = 0;
+
+        // Flush pending commands
+        if (this._pendingBeforeConnect.length > 0) {
+            const pending = this._pendingBeforeConnect;
+            this._pendingBeforeConnect = [];
+            for (const cmd of pending) {
+                this._transmit(cmd);
+            }
+        }
+
+        console.log(`[WebSocketTransport] Connected to room ${this._room} as ${this._clientId}`);
+    }
+
+    /**
+     * Close the socket (no reconnect).
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+
+        if (this._socket) {
+            this._closing = true;
+            const socket = this._socket;
+            this._socket = null;
+            await new Promise(resolve => {
+                const previous = socket.onclose;
+                socket.onclose = (event) => {
+                    if (previous) previous(event);
+                    resolve();
+                };
+                socket.close();
+                if (socket.readyState === 3) resolve(); // already CLOSED
+            });
+        }
+
+        this._state = TransportState.DISCONNECTED;
+        this._reconnectAttempts = 0;
+        this._peers = [];
+        console.log('[WebSocketTransport] Disconnected');
+    }
+
+    /**
+     * Send a command to the room.
+     * @param {Object} command - The command to send
+     */
+    send(command) {
+        this._messagesSent++;
+        command = this.canonicalize(command);
+
+        if (this._state !== TransportState.CONNECTED || !this._socket || this._socket.readyState !== SOCKET_OPEN) {
+            // Queue for delivery when connected
+            this._pendingBeforeConnect.push(command);
+            return;
+        }
+
+        this._transmit(command);
+    }
+
+    /**
+     * Write one command to the open socket.
+     * @private
+     * @param {Object} command
+     */
+    _transmit(command) {
+        let frame;
+        if (this._codecVersion === JSON_CODEC_VERSION) {
+            frame = encodeRelayMessage({
+                type: RelayMessageType.COMMANDS,
+                commands: [{
+                    ...command,
+                    _meta: {
+                        seq: this._sequence++,
+                        ts: Date.now()
+                    }
+                }]
+            });
+        } else {
+            this._sequence++;
+            frame = encodeRelayMessage({
+                type: RelayMessageType.COMMANDS,
+                codec: this._codecVersion,
+                data: bytesToBase64(encodeCommandBatch([command], this._codecVersion))
+            });
+        }
+        if (!fitsRelayMessage(frame, this._maxMessageBytes)) {
+            this._dropped++;
+            this._reportError(`Dropped ${command.type}: larger than ${this._maxMessageBytes} bytes`);
+            return;
+        }
+        this._recordBytes(frame.length);
+        this._socket.send(frame);
+    }
+
+    /**
+     * Log an error and pass it to onError.
+     * @private
+     * @param {string} error
+     */
+    _reportError(error) {
+        console.error(`[WebSocketTransport] ${error}`);
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+
+    /**
+     * Quantize like the binary codec whenever it is on offer, so the command
+     * is identical whichever wire version ends up carrying it.
+     * @param {Object} command
+     * @returns {Object}
+     */
+    canonicalize(command) {
+        return this._codecVersions.length > 0 ? canonicalizeCommand(command) : command;
+    }
+
+    /**
+     * @returns {number} Wire version in use (0 = JSON)
+     */
+    get codecVersion() {
+        return this._codecVersion;
+    }
+
+    /**
+     * Statistics for debugging.
+     * @returns {{ sent: number, received: number, state: string, room: string,
+     *   clientId: string|null, peers: string[], lastSeq: number, held: number, duplicates: number,
+     *   dropped: number, codecVersion: number }}
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            room: this._room,
+            clientId: this._clientId,
+            peers: [...this._peers],
+            lastSeq: this._lastDeliveredSeq,
+            held: this._heldBatches.size,
+            duplicates: this._duplicates,
+            dropped: this._dropped,
+            codecVersion: this._codecVersion
+        };
+    }
+
+    // ============ Inbound ============
+
+    /**
+     * @private
+     */
+    _handleWelcome(message) {
+        this._clientId = message.clientId;
+        this._peers = [...(message.peers || [])];
+        // Delivery sequence restarts with every join
+        this._lastDeliveredSeq = 0;
+        this._heldBatches.clear();
+        this._setCodecVersion(message.codec);
+        this._notifyPeers();
+    }
+
+    /**
+     * Adopt the room's wire version (relays without codec support send none).
+     * @private
+     */
+    _setCodecVersion(version) {
+        const next = isCodecVersionSupported(version) ? version : JSON_CODEC_VERSION;
+        if (next !== this._codecVersion) {
+            console.log(`[WebSocketTransport] Wire codec: ${next === JSON_CODEC_VERSION ? 'JSON' : `binary v${next}`}`);
+            this._codecVersion = next;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleMessage(message) {
+        switch (message.type) {
+            case RelayMessageType.COMMANDS:
+                this._handleBatch(message);
+                break;
+            case RelayMessageType.PEER_JOINED:
+                this._setCodecVersion(message.codec);
+                if (!this._peers.includes(message.clientId)) {
+                    this._peers.push(message.clientId);
+                    this._notifyPeers();
+                }
+                break;
+            case RelayMessageType.PEER_LEFT:
+                this._setCodecVersion(message.codec);
+                this._peers = this._peers.filter(id => id !== message.clientId);
+                this._notifyPeers();
+                break;
+            case RelayMessageType.ERROR:
+                this._reportError(`Relay error: ${message.error}`);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Deliver batches in sequence order.
+     * @private
+     */
+    _handleBatch(batch) {
+        if (typeof batch.seq !== 'number' || batch.seq <= this._lastDeliveredSeq || this._heldBatches.has(batch.seq)) {
+            this._duplicates++;
+            return;
+        }
+
+        this._heldBatches.set(batch.seq, batch);
+        let next = this._heldBatches.get(this._lastDeliveredSeq + 1);
+        while (next) {
+            this._heldBatches.delete(next.seq);
+            this._lastDeliveredSeq = next.seq;
+            this._deliverBatch(next);
+            next = this._heldBatches.get(this._lastDeliveredSeq + 1);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _deliverBatch(batch) {
+        const { clientId } = batch;
+        const commands = this._decodeBatch(batch);
+        if (!commands) return;
+
+        for (const cmd of commands) {
+            // Strip internal metadata and any claimed sender before delivery
+            const { _meta, senderId, ...command } = cmd;
+
+            // Sender is attested by the relay; own echoes stay local
+            if (clientId !== this._clientId) {
+                command.senderId = clientId;
+            }
+            this._deliverReceived(command);
+        }
+    }
+
+    /**
+     * Commands of a JSON or binary batch, or null if unreadable.
+     * @private
+     */
+    _decodeBatch(batch) {
+        if (Array.isArray(batch.commands)) {
+            return batch.commands;
+        }
+        if (typeof batch.data !== 'string' || !isCodecVersionSupported(batch.codec)) {
+            return null;
+        }
+        try {
+            return decodeCommandBatch(base64ToBytes(batch.data)).commands;
+        } catch (err) {
+            console.warn('[WebSocketTransport] Dropped malformed batch:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _notifyPeers() {
+        if (this.onPeersChanged) {
+            this.onPeersChanged([...this._peers]);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleClose(socket) {
+        if (socket !== this._socket && this._socket !== null) return; // stale socket
+
+        const wasConnected = this._state === TransportState.CONNECTED;
+        this._socket = null;
+
+        if (this._closing) return;
+
+        if (wasConnected) {
+            this._state = TransportState.DISCONNECTED;
+            console.warn('[WebSocketTransport] Connection lost');
+            this._scheduleReconnect();
+        }
+    }
+
+    /**
+     * Schedule a reconnect attempt after delay.
+     * @private
+     */
+    _scheduleReconnect() {
+        if (this._closing) {
+            return;
+        }
+
+        if (this._reconnectAttempts >= this._maxReconnectAttempts) {
+            console.error(`[WebSocketTransport] Max reconnect attempts (${this._maxReconnectAttempts}) reached`);
+            return;
+        }
+
+        if (this._reconnectTimer) {
+            return; // Already scheduled
+        }
+
+        this._reconnectAttempts++;
+        const delay = this._reconnectDelayMs * Math.pow(1.5, this._reconnectAttempts - 1); // Exponential backoff
+
+        this._reconnectTimer = setTimeout(async () => {
+            this._reconnectTimer = null;
+            this._state = TransportState.DISCONNECTED; // Reset state for connect()
+
+            try {
+                await this.connect();
+                console.log('[WebSocketTransport] Reconnected successfully');
+            } catch (err) {
+                // connect() will schedule another reconnect if needed
+            }
+        }, delay);
+    }
+
+    // ============ Accessors ============
+
+    /**
+     * Get transport type identifier.
+     * @returns {string}
+     */
+    get type() {
+        return 'websocket';
+    }
+
+    /**
+     * Get the current room name.
+     * @returns {string}
+     */
+    get room() {
+        return this._room;
+    }
+
+    /**
+     * Get the client ID assigned by the server.
+     * @returns {string|null}
+     */
+    get clientId() {
+        return this._clientId;
+    }
+
+    /**
+     * Get the other clients in the room.
+     * @returns {string[]}
+     */
+    get peers() {
+        return [...this._peers];
+    }
+}
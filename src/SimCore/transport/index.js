@@ -8,12 +8,37 @@
  * - TransportBase, TransportState - Base class and state enum
  * - LocalTransport, globalLocalTransport - Synchronous loopback implementation
  * - SupabaseTransport - R012: Supabase Realtime broadcast transport
+ * - LockstepTransport - Input-delay lockstep wrapper (same-tick command application)
+ * - RollbackTransport - Input stamping wrapper for RollbackManager (local inputs apply at once)
+ * - WebSocketTransport - Relay-server transport (see relay/RelayServer.js, Node-only)
+ * - RelayMessageType - Relay wire protocol message types
+ * - WebRTCTransport - Peer-to-peer DataChannel transport with relay fallback
+ * - SignalingBase, InMemorySignalingHub, SupabaseSignaler - WebRTC signaling
+ * - SimulatedNetworkTransport, NetworkProfiles - Latency/jitter/loss/reorder simulator (dev, tests)
+ * - CommandCodec - Versioned binary wire format (encodeCommandBatch, negotiateCodecVersion, ...)
  * - initializeTransport, getGlobalTransport - Setup and access functions
  */
 
 export { TransportBase, TransportState } from './ITransport.js';
 export { LocalTransport, globalLocalTransport } from './LocalTransport.js';
 export { SupabaseTransport } from './SupabaseTransport.js';
+export { LockstepTransport, LockstepMessageType } from './LockstepTransport.js';
+export { RollbackTransport, RollbackMessageType } from './RollbackTransport.js';
+export { WebSocketTransport } from './WebSocketTransport.js';
+export { RelayMessageType, DEFAULT_RELAY_PORT } from './RelayProtocol.js';
+export { WebRTCTransport, WebRTCPath } from './WebRTCTransport.js';
+export { SignalingBase, SignalType, InMemorySignalingHub, InMemorySignaler } from './Signaling.js';
+export { SupabaseSignaler } from './SupabaseSignaler.js';
+export { SimulatedNetworkTransport, NetworkProfiles, NetworkDirection } from './SimulatedNetworkTransport.js';
+export {
+    JSON_CODEC_VERSION,
+    SUPPORTED_CODEC_VERSIONS,
+    CURRENT_CODEC_VERSION,
+    negotiateCodecVersion,
+    encodeCommandBatch,
+    decodeCommandBatch,
+    canonicalizeCommand
+} from './CommandCodec.js';
 
 import { globalLocalTransport } from './LocalTransport.js';
 import { globalCommandQueue } from '../runtime/CommandQueue.js';
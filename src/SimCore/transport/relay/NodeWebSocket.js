@@ -0,0 +1,264 @@
+/**
+ * NodeWebSocket - WebSocket endpoints for Node without extra packages
+ *
+ * - WebSocketConnection: framed text connection over an upgraded socket
+ *   (used by RelayServer for each client, and by NodeWebSocket)
+ * - NodeWebSocket: client with the browser WebSocket surface
+ *   (readyState, onopen/onmessage/onclose/onerror, send, close), so
+ *   WebSocketTransport runs unchanged in headless sims and tests:
+ *
+ *   new WebSocketTransport({ url, WebSocket: NodeWebSocket })
+ *
+ * Node-only (uses node:http). Never import from browser code.
+ */
+
+import { request } from 'node:http';
+import {
+    Opcode,
+    CloseCode,
+    FrameParser,
+    encodeFrame,
+    encodeClosePayload,
+    computeAcceptKey,
+    createClientKey
+} from './WebSocketFrames.js';
+
+/**
+ * Framed text connection over an upgraded TCP socket.
+ */
+export class WebSocketConnection {
+    /**
+     * @param {import('node:net').Socket} socket - Upgraded socket
+     * @param {Object} [options]
+     * @param {boolean} [options.masked=false] - Mask outgoing frames (client side);
+     *   incoming frames must then be unmasked, and masked otherwise
+     * @param {Buffer} [options.head] - Bytes already read past the handshake
+     */
+    constructor(socket, options = {}) {
+        this._socket = socket;
+        this._masked = options.masked ?? false;
+        this._closeSent = false;
+        this._closed = false;
+        this._protocolError = false;
+
+        /** @type {function(string): void|null} */
+        this.onText = null;
+
+        /** @type {function(number, string): void|null} Called once when the connection ends */
+        this.onClose = null;
+
+        this._parser = new FrameParser((opcode, payload) => this._handleMessage(opcode, payload), {
+            expectMasked: !this._masked
+        });
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => {
+            if (this._protocolError) return; // The offending frame is still buffered
+            try {
+                this._parser.push(chunk);
+            } catch (err) {
+                this._protocolError = true;
+                this.close(err.closeCode ?? CloseCode.PROTOCOL_ERROR, err.message);
+            }
+        });
+        socket.on('close', () => this._finish(1006, ''));
+        socket.on('error', () => this._finish(1006, ''));
+
+        // Replay early bytes once the owner has installed onText
+        if (options.head && options.head.length > 0) {
+            const head = options.head;
+            queueMicrotask(() => socket.emit('data', head));
+        }
+    }
+
+    /**
+     * @returns {boolean} True until a close frame is sent or the socket ends
+     */
+    get isOpen() {
+        return !this._closeSent && !this._closed;
+    }
+
+    /**
+     * Send a text message.
+     * @param {string} text
+     */
+    send(text) {
+        if (!this.isOpen) return;
+        this._socket.write(encodeFrame(Opcode.TEXT, text, this._masked));
+    }
+
+    /**
+     * Start the close handshake.
+     * @param {number} [code=1000]
+     * @param {string} [reason='']
+     */
+    close(code = 1000, reason = '') {
+        if (this._closed) return;
+        if (!this._closeSent) {
+            this._closeSent = true;
+            this._socket.write(encodeFrame(Opcode.CLOSE, encodeClosePayload(code, reason), this._masked));
+        }
+        // Do not wait forever for the peer's close frame
+        this._closeTimer = setTimeout(() => this._socket.destroy(), 1000);
+        this._closeTimer.unref?.();
+    }
+
+    /**
+     * Drop the connection without a close handshake.
+     */
+    terminate() {
+        this._socket.destroy();
+    }
+
+    /**
+     * @private
+     */
+    _handleMessage(opcode, payload) {
+        switch (opcode) {
+            case Opcode.TEXT:
+                if (this.onText) this.onText(payload.toString('utf8'));
+                break;
+            case Opcode.PING:
+                if (this.isOpen) this._socket.write(encodeFrame(Opcode.PONG, payload, this._masked));
+                break;
+            case Opcode.CLOSE: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                const reason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+                if (!this._closeSent) {
+                    this._closeSent = true;
+                    this._socket.write(encodeFrame(Opcode.CLOSE, payload.subarray(0, 2), this._masked));
+                }
+                this._socket.end();
+                this._finish(code, reason);
+                break;
+            }
+            default:
+                // Binary and pong frames are not used by the relay protocol
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _finish(code, reason) {
+        if (this._closed) return;
+        this._closed = true;
+        if (this._closeTimer) clearTimeout(this._closeTimer);
+        if (this.onClose) this.onClose(code, reason);
+    }
+}
+
+/**
+ * Browser-compatible WebSocket client for Node (text messages only).
+ */
+export class NodeWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    /**
+     * @param {string} url - ws:// URL (wss is not supported)
+     */
+    constructor(url) {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'ws:') {
+            throw new Error(`NodeWebSocket supports ws:// URLs only (got ${parsed.protocol})`);
+        }
+
+        this.url = url;
+        this.readyState = NodeWebSocket.CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+
+        /** @type {WebSocketConnection|null} */
+        this._connection = null;
+
+        const key = createClientKey();
+        const req = request({
+            host: parsed.hostname,
+            port: parsed.port || 80,
+            path: parsed.pathname + parsed.search,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+
+        req.on('upgrade', (res, socket, head) => {
+            if (res.headers['sec-websocket-accept'] !== computeAcceptKey(key)) {
+                socket.destroy();
+                this._fail(new Error('WebSocket handshake failed: bad accept key'));
+                return;
+            }
+            this._open(socket, head);
+        });
+        req.on('response', (res) => {
+            res.resume();
+            this._fail(new Error(`WebSocket handshake failed: HTTP ${res.statusCode}`));
+        });
+        req.on('error', (err) => this._fail(err));
+        req.end();
+        this._request = req;
+    }
+
+    /**
+     * Send a text message.
+     * @param {string} data
+     * @throws {Error} If the socket is not open (same as the browser API)
+     */
+    send(data) {
+        if (this.readyState !== NodeWebSocket.OPEN) {
+            throw new Error('NodeWebSocket is not open');
+        }
+        this._connection.send(String(data));
+    }
+
+    /**
+     * Close the connection.
+     * @param {number} [code=1000]
+     * @param {string} [reason='']
+     */
+    close(code = 1000, reason = '') {
+        if (this.readyState === NodeWebSocket.CLOSED || this.readyState === NodeWebSocket.CLOSING) return;
+        if (!this._connection) {
+            this._request.destroy();
+            this._fail(new Error('Closed before open'));
+            return;
+        }
+        this.readyState = NodeWebSocket.CLOSING;
+        this._connection.close(code, reason);
+    }
+
+    /**
+     * @private
+     */
+    _open(socket, head) {
+        this._connection = new WebSocketConnection(socket, { masked: true, head });
+        this._connection.onText = (text) => {
+            if (this.onmessage) this.onmessage({ data: text });
+        };
+        this._connection.onClose = (code, reason) => {
+            this.readyState = NodeWebSocket.CLOSED;
+            if (this.onclose) this.onclose({ code, reason, wasClean: code !== 1006 });
+        };
+
+        this.readyState = NodeWebSocket.OPEN;
+        if (this.onopen) this.onopen({});
+    }
+
+    /**
+     * @private
+     */
+    _fail(err) {
+        if (this.readyState === NodeWebSocket.CLOSED) return;
+        this.readyState = NodeWebSocket.CLOSED;
+        if (this.onerror) this.onerror({ error: err, message: err.message });
+        if (this.onclose) this.onclose({ code: 1006, reason: err.message, wasClean: false });
+    }
+}
@@ -0,0 +1,439 @@
+/**
+ * RelayServer - Local WebSocket relay for WebSocketTransport
+ *
+ * Supabase-free multiplayer backend for offline play, CI and headless sims.
+ * The relay never runs the simulation; it only forwards command batches:
+ *
+ * - Rooms: clients join a room by name; batches go to that room only
+ * - Client IDs: assigned by the server (a requested ID is honoured when free),
+ *   and stamped on every relayed batch so senders cannot impersonate peers
+ * - Ordering: batches are relayed in arrival order, and every recipient
+ *   gets its own gap-free delivery sequence (seq 1, 2, 3, ...)
+ * - Echo control: a client that joined with echo=false does not receive
+ *   its own batches
+ * - Wire codec: the relay picks the room's codec version from what every
+ *   member offered on join, announces it with welcome / peer_joined /
+ *   peer_left, and forwards binary batches as-is. A batch that crossed a
+ *   downgrade (sent just before a JSON-only client joined) is converted to
+ *   JSON for recipients that cannot read it
+ * - Size: messages up to MAX_RELAY_MESSAGE_BYTES; a batch that would not fit
+ *   once relayed is rejected with an error to the sender
+ *
+ * Node-only. Start from the command line:
+ *   node src/SimCore/transport/relay/RelayServer.js [--port 8787] [--host 127.0.0.1] [--public]
+ *
+ * The relay listens on 127.0.0.1 by default, so only this machine can join.
+ * Game connects to ws://<page host>:8787; to play from other machines, pass
+ * --public (listen on 0.0.0.0), or --host / RELAY_HOST for one interface.
+ *
+ * Or in-process (tests, headless sims):
+ *   const relay = new RelayServer({ port: 0 });
+ *   const { port } = await relay.start();
+ *   ...
+ *   await relay.stop();
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { WebSocketConnection } from './NodeWebSocket.js';
+import { computeAcceptKey } from './WebSocketFrames.js';
+import {
+    RelayMessageType,
+    DEFAULT_RELAY_ROOM,
+    DEFAULT_RELAY_PORT,
+    MAX_RELAY_MESSAGE_BYTES,
+    RELAY_ENVELOPE_BYTES,
+    fitsRelayMessage,
+    encodeRelayMessage,
+    decodeRelayMessage
+} from '../RelayProtocol.js';
+import {
+    negotiateCodecVersion,
+    isCodecVersionSupported,
+    readCommandBatchCount,
+    decodeCommandBatch,
+    base64ToBytes
+} from '../CommandCodec.js';
+
+/** Longest accepted room name / client ID */
+const MAX_NAME_LENGTH = 64;
+
+/** Most commands accepted in one batch */
+const MAX_BATCH_COMMANDS = 256;
+
+/** Largest accepted binary batch (base64 characters) */
+const MAX_BINARY_BATCH_LENGTH = MAX_RELAY_MESSAGE_BYTES - RELAY_ENVELOPE_BYTES;
+
+/** Default listen address (local machine only) */
+const DEFAULT_RELAY_HOST = '127.0.0.1';
+
+/** Listen address of --public (every interface) */
+const PUBLIC_RELAY_HOST = '0.0.0.0';
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for a usable room name / client ID
+ * @private
+ */
+function isValidName(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= MAX_NAME_LENGTH;
+}
+
+/**
+ * RelayServer accepts WebSocket clients and relays command batches per room.
+ */
+export class RelayServer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.port=8787] - Listen port (0 = any free port)
+     * @param {string} [options.host='127.0.0.1'] - Listen address ('0.0.0.0' accepts other machines)
+     * @param {boolean} [options.log=false] - Log joins and leaves to the console
+     */
+    constructor(options = {}) {
+        this.port = options.port ?? DEFAULT_RELAY_PORT;
+        this.host = options.host || DEFAULT_RELAY_HOST;
+        this._log = options.log ?? false;
+
+        /** @type {import('node:http').Server|null} */
+        this._server = null;
+
+        /** @type {Map<string, Map<string, Object>>} Room → clientId → client */
+        this._rooms = new Map();
+
+        /** @type {Set<Object>} Every open connection (joined or not) */
+        this._clients = new Set();
+
+        /** @type {number} Counter for assigned client IDs */
+        this._nextClientNumber = 1;
+
+        this._stats = { connections: 0, batchesRelayed: 0, commandsRelayed: 0, rejected: 0 };
+    }
+
+    /**
+     * Start listening.
+     * @returns {Promise<{ port: number, host: string, url: string }>}
+     */
+    start() {
+        if (this._server) {
+            return Promise.resolve(this.address);
+        }
+
+        this._server = createServer((req, res) => {
+            res.writeHead(426, { 'Content-Type': 'text/plain' });
+            res.end('WebSocket relay: connect with a WebSocket client\n');
+        });
+        this._server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+
+        return new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(this.port, this.host, () => {
+                this._server.off('error', reject);
+                this.port = this._server.address().port;
+                if (this._log) {
+                    const scope = this.host === DEFAULT_RELAY_HOST ? ' (this machine only; --public for LAN peers)' : '';
+                    console.log(`[RelayServer] Listening on ${this.host}:${this.port}${scope}`);
+                }
+                resolve(this.address);
+            });
+        });
+    }
+
+    /**
+     * Close every connection and stop listening.
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this._server) return Promise.resolve();
+
+        for (const client of this._clients) {
+            client.connection.terminate();
+        }
+        this._clients.clear();
+        this._rooms.clear();
+
+        const server = this._server;
+        this._server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * @returns {{ port: number, host: string, url: string }} url reaches the relay from this machine
+     */
+    get address() {
+        const urlHost = this.host === PUBLIC_RELAY_HOST ? DEFAULT_RELAY_HOST : this.host;
+        return { port: this.port, host: this.host, url: `ws://${urlHost}:${this.port}` };
+    }
+
+    /**
+     * Counters and room occupancy for debugging.
+     * @returns {{ connections: number, batchesRelayed: number, commandsRelayed: number,
+     *   rejected: number, rooms: Object<string, string[]> }}
+     */
+    getStats() {
+        const rooms = {};
+        for (const [name, members] of this._rooms) {
+            rooms[name] = [...members.keys()];
+        }
+        return { ...this._stats, rooms };
+    }
+
+    // ============ Connections ============
+
+    /**
+     * Complete the WebSocket handshake.
+     * @private
+     */
+    _handleUpgrade(req, socket, head) {
+        const key = req.headers['sec-websocket-key'];
+        if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${computeAcceptKey(key)}`,
+            '', ''
+        ].join('\r\n'));
+
+        const client = {
+            connection: new WebSocketConnection(socket, { head }),
+            clientId: null,
+            room: null,
+            echo: true,
+            codecs: [],
+            seq: 0
+        };
+        client.connection.onText = (text) => this._handleMessage(client, text);
+        client.connection.onClose = () => {
+            this._leave(client);
+            this._clients.delete(client);
+        };
+
+        this._clients.add(client);
+        this._stats.connections++;
+    }
+
+    /**
+     * @private
+     */
+    _handleMessage(client, text) {
+        const message = decodeRelayMessage(text);
+        if (!message) {
+            this._reject(client, 'Malformed message');
+            return;
+        }
+
+        switch (message.type) {
+            case RelayMessageType.JOIN:
+                this._join(client, message);
+                break;
+            case RelayMessageType.LEAVE:
+                this._leave(client);
+                break;
+            case RelayMessageType.COMMANDS:
+                this._relay(client, message);
+                break;
+            default:
+                this._reject(client, `Unknown message type: ${message.type}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _join(client, message) {
+        const room = message.room ?? DEFAULT_RELAY_ROOM;
+        if (!isValidName(room)) {
+            this._reject(client, 'Invalid room name');
+            return;
+        }
+        if (message.clientId !== undefined && !isValidName(message.clientId)) {
+            this._reject(client, 'Invalid client ID');
+            return;
+        }
+
+        this._leave(client);
+
+        if (!this._rooms.has(room)) this._rooms.set(room, new Map());
+        const members = this._rooms.get(room);
+
+        let clientId = message.clientId;
+        if (!clientId || members.has(clientId)) {
+            do {
+                clientId = `${message.clientId ?? 'client'}-${this._nextClientNumber++}`;
+            } while (members.has(clientId));
+        }
+
+        client.clientId = clientId;
+        client.room = room;
+        client.echo = message.echo !== false;
+        client.codecs = Array.isArray(message.codecs) ? message.codecs.filter(isCodecVersionSupported) : [];
+
+        const peers = [...members.keys()];
+        members.set(clientId, client);
+        const codec = this._roomCodec(members);
+
+        this._send(client, {
+            type: RelayMessageType.WELCOME,
+            room,
+            clientId,
+            peers,
+            codec
+        });
+        for (const peer of members.values()) {
+            if (peer === client) continue;
+            this._send(peer, { type: RelayMessageType.PEER_JOINED, clientId, codec });
+        }
+
+        if (this._log) console.log(`[RelayServer] ${clientId} joined ${room}`);
+    }
+
+    /**
+     * @private
+     */
+    _leave(client) {
+        if (!client.room) return;
+
+        const members = this._rooms.get(client.room);
+        if (members) {
+            members.delete(client.clientId);
+            const codec = this._roomCodec(members);
+            for (const peer of members.values()) {
+                this._send(peer, { type: RelayMessageType.PEER_LEFT, clientId: client.clientId, codec });
+            }
+            if (members.size === 0) this._rooms.delete(client.room);
+        }
+
+        if (this._log) console.log(`[RelayServer] ${client.clientId} left ${client.room}`);
+        client.room = null;
+    }
+
+    /**
+     * Forward a command batch to the room.
+     * @private
+     */
+    _relay(client, message) {
+        if (!client.room) {
+            this._reject(client, 'Join a room before sending commands');
+            return;
+        }
+        const count = this._batchCount(message);
+        if (count === 0 || count > MAX_BATCH_COMMANDS) {
+            this._reject(client, 'Invalid command batch');
+            return;
+        }
+
+        // Forward exactly one of the two forms
+        const members = [...this._rooms.get(client.room).values()];
+        const body = Array.isArray(message.commands)
+            ? { commands: message.commands }
+            : { codec: message.codec, data: message.data };
+        const canRead = peer => !body.data || peer.codecs.includes(body.codec);
+
+        let jsonBody = null;
+        if (!members.every(canRead)) {
+            try {
+                jsonBody = { commands: decodeCommandBatch(base64ToBytes(body.data)).commands };
+            } catch (err) {
+                this._reject(client, 'Invalid command batch');
+                return;
+            }
+            if (!fitsRelayMessage(JSON.stringify(jsonBody))) {
+                this._reject(client, 'Command batch too large for JSON-only peers');
+                return;
+            }
+        }
+
+        for (const peer of members) {
+            if (peer === client && !client.echo) continue;
+            peer.seq++;
+            this._send(peer, {
+                type: RelayMessageType.COMMANDS,
+                seq: peer.seq,
+                clientId: client.clientId,
+                ...(canRead(peer) ? body : jsonBody)
+            });
+        }
+
+        this._stats.batchesRelayed++;
+        this._stats.commandsRelayed += count;
+    }
+
+    /**
+     * Number of commands in a JSON or binary batch (0 if invalid).
+     * @private
+     */
+    _batchCount(message) {
+        if (Array.isArray(message.commands)) {
+            return message.commands.length;
+        }
+        if (typeof message.data !== 'string' || message.data.length > MAX_BINARY_BATCH_LENGTH ||
+            !isCodecVersionSupported(message.codec)) {
+            return 0;
+        }
+        try {
+            return readCommandBatchCount(base64ToBytes(message.data));
+        } catch (err) {
+            return 0;
+        }
+    }
+
+    /**
+     * Codec version every member of a room supports.
+     * @private
+     * @param {Map<string, Object>} members
+     * @returns {number}
+     */
+    _roomCodec(members) {
+        return negotiateCodecVersion(...[...members.values()].map(member => member.codecs));
+    }
+
+    /**
+     * @private
+     */
+    _reject(client, error) {
+        this._stats.rejected++;
+        this._send(client, { type: RelayMessageType.ERROR, error });
+    }
+
+    /**
+     * @private
+     */
+    _send(client, message) {
+        client.connection.send(encodeRelayMessage(message));
+    }
+}
+
+// ============ CLI ============
+
+/**
+ * Parse `--port N --host H --public` arguments (RELAY_HOST env sets the default host).
+ * @param {string[]} argv
+ * @param {Object} [env=process.env]
+ * @returns {{ port?: number, host?: string }}
+ */
+export function parseRelayArgs(argv, env = process.env) {
+    const options = {};
+    if (env.RELAY_HOST) options.host = env.RELAY_HOST;
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--host') options.host = argv[++i];
+        else if (argv[i] === '--public') options.host = PUBLIC_RELAY_HOST;
+    }
+    return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const relay = new RelayServer({ ...parseRelayArgs(process.argv.slice(2)), log: true });
+    relay.start().catch((err) => {
+        console.error('[RelayServer] Failed to start:', err.message);
+        process.exit(1);
+    });
+
+    const shutdown = () => relay.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
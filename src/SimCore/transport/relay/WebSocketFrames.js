@@ -0,0 +1,263 @@
+/**
+ * WebSocketFrames - Minimal RFC 6455 framing for the Node relay
+ *
+ * Node 20 has no built-in WebSocket server (or client), and the relay
+ * must run without extra packages, so the handshake and framing are
+ * implemented here. Supports text, close, ping and pong frames with
+ * fragmentation; binary frames are delivered as Buffers. Masking follows
+ * RFC 6455 §5.1: servers reject unmasked client frames, clients reject
+ * masked server frames.
+ *
+ * Node-only (uses node:crypto / Buffer). Never import from browser code.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { MAX_RELAY_MESSAGE_BYTES } from '../RelayProtocol.js';
+
+/** RFC 6455 handshake GUID */
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/** Largest accepted message (relay limit) */
+export const MAX_MESSAGE_BYTES = MAX_RELAY_MESSAGE_BYTES;
+
+/**
+ * Close codes used on protocol errors.
+ */
+export const CloseCode = {
+    PROTOCOL_ERROR: 1002,
+    MESSAGE_TOO_BIG: 1009
+};
+
+/**
+ * Error thrown by FrameParser; closeCode is the status to close with.
+ * @private
+ */
+function frameError(message, closeCode = CloseCode.PROTOCOL_ERROR) {
+    const err = new Error(message);
+    err.closeCode = closeCode;
+    return err;
+}
+
+/**
+ * Frame opcodes.
+ */
+export const Opcode = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Sec-WebSocket-Accept value for a client key.
+ * @param {string} key - Sec-WebSocket-Key header
+ * @returns {string}
+ */
+export function computeAcceptKey(key) {
+    return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Random Sec-WebSocket-Key for a client handshake.
+ * @returns {string}
+ */
+export function createClientKey() {
+    return randomBytes(16).toString('base64');
+}
+
+/**
+ * Encode one unfragmented frame.
+ *
+ * @param {number} opcode - Opcode value
+ * @param {Buffer|string} [payload]
+ * @param {boolean} [masked=false] - Client-to-server frames must be masked
+ * @returns {Buffer}
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0), masked = false) {
+    const data = typeof payload === 'string' ? Buffer.from(payload, 'utf8') : payload;
+    const length = data.length;
+
+    let headerLength = 2;
+    if (length >= 65536) headerLength += 8;
+    else if (length >= 126) headerLength += 2;
+    if (masked) headerLength += 4;
+
+    const frame = Buffer.alloc(headerLength + length);
+    frame[0] = 0x80 | opcode; // FIN + opcode
+
+    let offset = 2;
+    if (length >= 65536) {
+        frame[1] = 127;
+        frame.writeBigUInt64BE(BigInt(length), 2);
+        offset += 8;
+    } else if (length >= 126) {
+        frame[1] = 126;
+        frame.writeUInt16BE(length, 2);
+        offset += 2;
+    } else {
+        frame[1] = length;
+    }
+
+    if (masked) {
+        frame[1] |= 0x80;
+        const mask = randomBytes(4);
+        mask.copy(frame, offset);
+        offset += 4;
+        for (let i = 0; i < length; i++) {
+            frame[offset + i] = data[i] ^ mask[i % 4];
+        }
+    } else {
+        data.copy(frame, offset);
+    }
+
+    return frame;
+}
+
+/**
+ * Close frame payload (status code + optional reason).
+ * @param {number} [code=1000]
+ * @param {string} [reason='']
+ * @returns {Buffer}
+ */
+export function encodeClosePayload(code = 1000, reason = '') {
+    const reasonBytes = Buffer.from(reason, 'utf8');
+    const payload = Buffer.alloc(2 + reasonBytes.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBytes.copy(payload, 2);
+    return payload;
+}
+
+/**
+ * Incremental frame parser for a socket byte stream.
+ *
+ * Usage:
+ *   const parser = new FrameParser((opcode, payload) => { ... });
+ *   socket.on('data', chunk => parser.push(chunk));
+ */
+export class FrameParser {
+    /**
+     * @param {function(number, Buffer): void} onMessage - Called per complete message
+     *   (TEXT/BINARY after reassembly; control frames as they arrive)
+     * @param {Object} [options]
+     * @param {boolean} [options.expectMasked=true] - Frames must be masked (server side);
+     *   false for a client, which must not receive masked frames
+     */
+    constructor(onMessage, options = {}) {
+        this._onMessage = onMessage;
+        this._expectMasked = options.expectMasked ?? true;
+        this._buffer = Buffer.alloc(0);
+
+        /** @type {{ opcode: number, chunks: Buffer[], size: number }|null} Fragmented message */
+        this._fragments = null;
+    }
+
+    /**
+     * Feed received bytes.
+     * @param {Buffer} chunk
+     * @throws {Error} On protocol violations (caller should close the socket with err.closeCode)
+     */
+    push(chunk) {
+        this._buffer = this._buffer.length === 0 ? chunk : Buffer.concat([this._buffer, chunk]);
+
+        while (true) {
+            const frame = this._readFrame();
+            if (!frame) return;
+            this._handleFrame(frame);
+        }
+    }
+
+    /**
+     * Read one frame from the buffer, or null if incomplete.
+     * @private
+     */
+    _readFrame() {
+        const buf = this._buffer;
+        if (buf.length < 2) return null;
+
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0F;
+        const masked = (buf[1] & 0x80) !== 0;
+        if (masked !== this._expectMasked) {
+            throw frameError(masked ? 'WebSocket: masked frame from server' : 'WebSocket: unmasked frame from client');
+        }
+        let length = buf[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buf.length < offset + 2) return null;
+            length = buf.readUInt16BE(offset);
+            offset += 2;
+        } else if (length === 127) {
+            if (buf.length < offset + 8) return null;
+            const big = buf.readBigUInt64BE(offset);
+            if (big > BigInt(MAX_MESSAGE_BYTES)) {
+                throw frameError('WebSocket frame too large', CloseCode.MESSAGE_TOO_BIG);
+            }
+            length = Number(big);
+            offset += 8;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            throw frameError('WebSocket frame too large', CloseCode.MESSAGE_TOO_BIG);
+        }
+
+        let mask = null;
+        if (masked) {
+            if (buf.length < offset + 4) return null;
+            mask = buf.subarray(offset, offset + 4);
+            offset += 4;
+        }
+
+        if (buf.length < offset + length) return null;
+
+        const payload = Buffer.from(buf.subarray(offset, offset + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        this._buffer = buf.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * Reassemble fragments and dispatch.
+     * @private
+     */
+    _handleFrame({ fin, opcode, payload }) {
+        // Control frames may interleave with fragments
+        if (opcode >= Opcode.CLOSE) {
+            this._onMessage(opcode, payload);
+            return;
+        }
+
+        if (opcode !== Opcode.CONTINUATION) {
+            if (this._fragments) {
+                throw frameError('WebSocket: new message before previous fragments completed');
+            }
+            if (fin) {
+                this._onMessage(opcode, payload);
+                return;
+            }
+            this._fragments = { opcode, chunks: [payload], size: payload.length };
+            return;
+        }
+
+        if (!this._fragments) {
+            throw frameError('WebSocket: continuation frame without a message');
+        }
+        this._fragments.chunks.push(payload);
+        this._fragments.size += payload.length;
+        if (this._fragments.size > MAX_MESSAGE_BYTES) {
+            throw frameError('WebSocket message too large', CloseCode.MESSAGE_TOO_BIG);
+        }
+
+        if (fin) {
+            const { opcode: messageOpcode, chunks } = this._fragments;
+            this._fragments = null;
+            this._onMessage(messageOpcode, Buffer.concat(chunks));
+        }
+    }
+}
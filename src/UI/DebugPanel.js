@@ -1,6 +1,7 @@
 import { Pane } from 'tweakpane';
 import { BUILD_HASH, BUILD_DATE } from '../buildInfo.js';
 import { Unit } from '../Entities/Unit.js'; // Import Unit for static flags
+import { globalInputFactory } from '../SimCore/runtime/InputFactory.js';
 
 export class DebugPanel {
     constructor(game) {
@@ -741,7 +742,11 @@ export class DebugPanel {
 
     setupUnitControls() {
         const unitFolder = this.pane.addFolder({ title: 'Unit & Vision', expanded: false });
-        unitFolder.addBinding(this.game.unitParams, 'speed', { min: 1, max: 20 });
+        // Speed is sim state: the slider sends SET_UNIT_SPEED instead of writing unitParams
+        const speedParams = { speed: this.game.unitParams.speed };
+        unitFolder.addBinding(speedParams, 'speed', { min: 1, max: 20 }).on('change', (ev) => {
+            globalInputFactory.setUnitSpeed(ev.value);
+        });
         unitFolder.addBinding(this.game.unitParams, 'turnSpeed', { min: 0.1, max: 5.0 });
         unitFolder.addBinding(this.game.unitParams, 'groundOffset', { min: -5.0, max: 10.0, label: 'Hover Height' });
         unitFolder.addBinding(this.game.unitParams, 'smoothingRadius', { min: 0.5, max: 10.0, label: 'Normal Smoothing' });